@@ -3,11 +3,18 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import bcrypt from 'bcryptjs';
+import { createConfirmationCode } from '../utils/confirmationCodes.js';
+import { normalizeStoredTimes } from '../utils/venueTime.js';
+import { backfillBookingCustomers } from '../utils/customers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DB_PATH = process.env.DB_PATH || './data/database.sqlite';
+export const DB_PATH = process.env.DB_PATH || './data/database.sqlite';
+
+// How long a write waits for another connection's transaction to finish (see
+// withTransaction) before failing with SQLITE_BUSY
+export const BUSY_TIMEOUT_MS = 10000;
 
 // Ensure data directory exists
 const dataDir = path.dirname(DB_PATH);
@@ -16,6 +23,7 @@ if (!fs.existsSync(dataDir)) {
 }
 
 export const db = new sqlite3.Database(DB_PATH);
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
 
 export async function initDatabase() {
   return new Promise((resolve, reject) => {
@@ -48,6 +56,56 @@ export async function initDatabase() {
         )
       `);
 
+      // Room categories. Rooms and the settings, rules and policies that apply per
+      // category refer to it by name. The defaults fill in new rooms in the category.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_categories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          default_price_per_hour DECIMAL(10,2),
+          default_capacity INTEGER,
+          color TEXT,
+          sort_order INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Room photos. The files live in media storage (utils/mediaStorage.js) under
+      // storage_key and thumbnail_key; one photo per room may be its cover.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_photos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_id INTEGER NOT NULL REFERENCES rooms (id),
+          storage_key TEXT NOT NULL,
+          thumbnail_key TEXT NOT NULL,
+          content_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          caption TEXT,
+          sort_order INTEGER DEFAULT 0,
+          is_cover BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Customer directory (see utils/customers.js). The *_normalized columns are the
+      // email and phone bookings are matched on.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS customers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          email TEXT,
+          phone TEXT,
+          email_normalized TEXT,
+          phone_normalized TEXT,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // Bookings table
       db.run(`
         CREATE TABLE IF NOT EXISTS bookings (
@@ -80,6 +138,284 @@ export async function initDatabase() {
         )
       `);
 
+      // Date-specific overrides of the weekly hours: closed for a holiday, open late
+      // for an event. A recurring one applies to that month and day every year; an
+      // exception for the exact date wins over a recurring one.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS business_hours_exceptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          name TEXT NOT NULL,
+          kind TEXT NOT NULL DEFAULT 'holiday',
+          is_closed BOOLEAN DEFAULT 1,
+          open_time TEXT,
+          close_time TEXT,
+          recurs_annually BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Recurring booking series (occurrences live in bookings.series_id)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS booking_series (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_id INTEGER NOT NULL,
+          customer_name TEXT NOT NULL,
+          customer_email TEXT,
+          customer_phone TEXT,
+          notes TEXT,
+          rrule TEXT NOT NULL,
+          start_time DATETIME NOT NULL,
+          end_time DATETIME NOT NULL,
+          status TEXT DEFAULT 'active',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (room_id) REFERENCES rooms (id)
+        )
+      `);
+
+      // Waitlist for fully booked windows. room_ids and categories are JSON arrays
+      // of acceptable rooms; both empty means any room that fits the party.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS waitlist_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          customer_name TEXT NOT NULL,
+          customer_email TEXT,
+          customer_phone TEXT,
+          party_size INTEGER NOT NULL DEFAULT 1,
+          window_start DATETIME NOT NULL,
+          window_end DATETIME NOT NULL,
+          duration_minutes INTEGER NOT NULL,
+          room_ids TEXT DEFAULT '[]',
+          categories TEXT DEFAULT '[]',
+          notes TEXT,
+          status TEXT DEFAULT 'waiting',
+          booking_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (booking_id) REFERENCES bookings (id)
+        )
+      `);
+
+      // Audit trail of booking status changes; source is 'staff' or 'system' (sweepers)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS booking_status_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          booking_id INTEGER NOT NULL,
+          from_status TEXT,
+          to_status TEXT NOT NULL,
+          source TEXT DEFAULT 'staff',
+          changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (booking_id) REFERENCES bookings (id)
+        )
+      `);
+
+      // Venue-defined booking fields; values are stored per booking in bookings.custom_fields.
+      // min_value/max_value bound numbers, or the length of text values.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS booking_custom_fields (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          field_key TEXT UNIQUE NOT NULL,
+          label TEXT NOT NULL,
+          type TEXT NOT NULL DEFAULT 'text',
+          required BOOLEAN DEFAULT 0,
+          visible BOOLEAN DEFAULT 1,
+          min_value REAL,
+          max_value REAL,
+          options TEXT DEFAULT '[]',
+          placeholder TEXT,
+          sort_order INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Venue-defined room fields, like booking_custom_fields; values are stored per
+      // room in rooms.custom_fields
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_custom_fields (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          field_key TEXT UNIQUE NOT NULL,
+          label TEXT NOT NULL,
+          type TEXT NOT NULL DEFAULT 'text',
+          required BOOLEAN DEFAULT 0,
+          visible BOOLEAN DEFAULT 1,
+          min_value REAL,
+          max_value REAL,
+          options TEXT DEFAULT '[]',
+          placeholder TEXT,
+          sort_order INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Rate rules for the pricing engine (backend/utils/pricing.js). Empty conditions
+      // match everything; a time band whose end is at or before its start runs past midnight.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS pricing_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          rule_type TEXT NOT NULL DEFAULT 'rate',
+          amount REAL NOT NULL DEFAULT 0,
+          amount_type TEXT NOT NULL DEFAULT 'per_hour',
+          days_of_week TEXT DEFAULT '[]',
+          start_time TEXT,
+          end_time TEXT,
+          start_date TEXT,
+          end_date TEXT,
+          room_id INTEGER REFERENCES rooms (id) ON DELETE CASCADE,
+          category TEXT,
+          priority INTEGER DEFAULT 0,
+          active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Promotion codes. room_ids and days_of_week are JSON arrays; empty means any.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS promo_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT UNIQUE NOT NULL,
+          description TEXT,
+          discount_type TEXT NOT NULL DEFAULT 'percent',
+          amount REAL NOT NULL DEFAULT 0,
+          valid_from TEXT,
+          valid_until TEXT,
+          room_ids TEXT DEFAULT '[]',
+          days_of_week TEXT DEFAULT '[]',
+          start_time TEXT,
+          end_time TEXT,
+          min_duration_minutes INTEGER,
+          max_uses INTEGER,
+          max_uses_per_customer INTEGER,
+          stackable BOOLEAN DEFAULT 0,
+          active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // One row per code used on a booking. discount_type and amount are copied from
+      // the code so later edits to it do not reprice the booking.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS promo_redemptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          promo_code_id INTEGER NOT NULL REFERENCES promo_codes (id),
+          booking_id INTEGER NOT NULL REFERENCES bookings (id) ON DELETE CASCADE,
+          code TEXT NOT NULL,
+          discount_type TEXT NOT NULL,
+          amount REAL NOT NULL,
+          customer_email TEXT,
+          customer_phone TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Cancellation fees. tiers is a JSON array of { hours_before, fee_percent }: cancelling
+      // less than hours_before hours ahead of the start costs fee_percent of the booking's
+      // total. room_category NULL is the venue default; a category's own policy wins.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS cancellation_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          room_category TEXT,
+          tiers TEXT DEFAULT '[]',
+          no_show_fee_percent REAL DEFAULT 0,
+          active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Payment ledger per booking. amount is positive for charges, payments and refunds;
+      // adjustments are signed (negative reduces what is owed). Failed card attempts are
+      // kept with status 'failed' and do not count towards the balance.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          booking_id INTEGER NOT NULL REFERENCES bookings (id) ON DELETE CASCADE,
+          entry_type TEXT NOT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          provider TEXT,
+          status TEXT NOT NULL DEFAULT 'succeeded',
+          reference TEXT,
+          card_last4 TEXT,
+          refunded_payment_id INTEGER REFERENCES payments (id),
+          note TEXT,
+          failure_reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Numbered invoices and receipts. Each keeps a copy of what it said when issued
+      // (data, JSON) so it reads the same later even if the booking changes or is
+      // deleted. Numbers run in sequence per document type.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          booking_id INTEGER REFERENCES bookings (id) ON DELETE SET NULL,
+          document_type TEXT NOT NULL,
+          sequence INTEGER NOT NULL,
+          number TEXT UNIQUE NOT NULL,
+          total DECIMAL(10,2) NOT NULL DEFAULT 0,
+          data TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (document_type, sequence)
+        )
+      `);
+
+      // Rooms that can be opened up together for a large party. A combined booking
+      // takes every member room; price_per_hour is the group's rate, or NULL for the
+      // sum of the member rooms' rates.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_groups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          price_per_hour DECIMAL(10,2),
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_group_members (
+          group_id INTEGER NOT NULL REFERENCES room_groups (id) ON DELETE CASCADE,
+          room_id INTEGER NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+          PRIMARY KEY (group_id, room_id)
+        )
+      `);
+
+      // Every room a combined booking holds, its own room_id included, as reserved
+      // when it was made. Single-room bookings have no rows here.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS booking_rooms (
+          booking_id INTEGER NOT NULL REFERENCES bookings (id) ON DELETE CASCADE,
+          room_id INTEGER NOT NULL REFERENCES rooms (id),
+          PRIMARY KEY (booking_id, room_id)
+        )
+      `);
+
+      // Maintenance and out-of-service blocks. A recurring block repeats its first
+      // occurrence by rrule (see utils/recurrence.js); last_end_time is when its last
+      // occurrence ends, so range queries can skip blocks that are already over.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS room_blocks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_id INTEGER NOT NULL REFERENCES rooms (id),
+          reason TEXT NOT NULL,
+          start_time DATETIME NOT NULL,
+          end_time DATETIME NOT NULL,
+          rrule TEXT,
+          last_end_time DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // Settings table
       db.run(`
         CREATE TABLE IF NOT EXISTS settings (
@@ -91,8 +427,14 @@ export async function initDatabase() {
         )
       `);
 
-      // Insert default data
-      insertDefaultData()
+      // Bring existing databases up to date, then insert default data
+      migrateSchema()
+        .then(insertDefaultData)
+        .then(backfillConfirmationCodes)
+        .then(backfillRoomStatus)
+        .then(backfillRoomCategories)
+        .then(normalizeStoredTimes)
+        .then(backfillBookingCustomers)
         .then(() => {
           // console.log (removed for clean version)('✅ Database tables created successfully');
           resolve();
@@ -102,6 +444,116 @@ export async function initDatabase() {
   });
 }
 
+// Columns added after the original schema. Listed per table so that
+// databases created by older versions get them via ALTER TABLE.
+const COLUMN_MIGRATIONS = {
+  bookings: {
+    series_id: 'INTEGER REFERENCES booking_series (id)',
+    series_index: 'INTEGER',
+    // Only set while status is 'held'; the hold sweeper cancels the booking once it passes
+    hold_expires_at: 'DATETIME',
+    party_size: 'INTEGER DEFAULT 1',
+    source: "TEXT DEFAULT 'walk_in'",
+    priority: "TEXT DEFAULT 'normal'",
+    // total_price = base_price + surcharges + rule_fees + additional_fees
+    //   - rule_discounts - discount - promo_discount + tax
+    // base_price and the rule_* amounts come from pricing rules; additional_fees and
+    // discount are entered by staff
+    base_price: 'DECIMAL(10,2)',
+    additional_fees: 'DECIMAL(10,2) DEFAULT 0',
+    discount: 'DECIMAL(10,2) DEFAULT 0',
+    surcharges: 'DECIMAL(10,2) DEFAULT 0',
+    rule_fees: 'DECIMAL(10,2) DEFAULT 0',
+    rule_discounts: 'DECIMAL(10,2) DEFAULT 0',
+    // Total of the promo codes redeemed on the booking (see promo_redemptions)
+    promo_discount: 'DECIMAL(10,2) DEFAULT 0',
+    promo_codes: "TEXT DEFAULT '[]'",
+    tax_rate: 'REAL DEFAULT 0',
+    tax: 'DECIMAL(10,2) DEFAULT 0',
+    // Set when staff priced the booking by hand; moves then keep its base_price
+    base_price_manual: 'BOOLEAN DEFAULT 0',
+    // JSON array of the itemised quote lines the booking was priced with
+    price_lines: "TEXT DEFAULT '[]'",
+    special_requests: 'TEXT',
+    confirmation_code: 'TEXT',
+    // JSON object of values for the fields in booking_custom_fields, keyed by field_key
+    custom_fields: "TEXT DEFAULT '{}'",
+    // JSON copy of the cancellation policy in force when the booking was made
+    cancellation_policy: 'TEXT',
+    // Fee charged when the booking was cancelled or marked a no-show, and its waiver
+    cancellation_fee: 'DECIMAL(10,2) DEFAULT 0',
+    cancellation_fee_percent: 'REAL',
+    cancellation_fee_waived_at: 'DATETIME',
+    cancellation_fee_waiver_reason: 'TEXT',
+    // Set on combined bookings; room_id is then the group's first room and
+    // booking_rooms lists them all
+    room_group_id: 'INTEGER REFERENCES room_groups (id)',
+    // The customer the booking was matched to; the customer_* columns keep the details
+    // it was made with
+    customer_id: 'INTEGER REFERENCES customers (id)'
+  },
+  rooms: {
+    // NULL means "inherit from the category or global buffer settings"
+    buffer_before_minutes: 'INTEGER',
+    buffer_after_minutes: 'INTEGER',
+    // Free-form size label, e.g. 'medium' or 'party'
+    type: 'TEXT',
+    // 'active', 'inactive' or 'maintenance'; 'inactive' goes with is_active = 0
+    status: "TEXT DEFAULT 'active'",
+    is_bookable: 'BOOLEAN DEFAULT 1',
+    // Schedule rows are ordered by sort_order, then name
+    sort_order: 'INTEGER DEFAULT 0',
+    color: 'TEXT',
+    amenities: "TEXT DEFAULT '[]'",
+    // JSON object of values for the fields in room_custom_fields, keyed by field_key
+    custom_fields: "TEXT DEFAULT '{}'"
+  },
+  business_hours_exceptions: {
+    // JSON array of an open date's opening intervals ({ open_time, close_time }), so a
+    // special day can have a split shift; open_time and close_time span them
+    intervals: "TEXT DEFAULT '[]'"
+  }
+};
+
+function ensureColumns(table, columns) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const existing = new Set(rows.map(row => row.name));
+      const missing = Object.entries(columns).filter(([name]) => !existing.has(name));
+
+      if (missing.length === 0) {
+        resolve();
+        return;
+      }
+
+      let completed = 0;
+      missing.forEach(([name, definition]) => {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          completed++;
+          if (completed === missing.length) {
+            resolve();
+          }
+        });
+      });
+    });
+  });
+}
+
+async function migrateSchema() {
+  for (const [table, columns] of Object.entries(COLUMN_MIGRATIONS)) {
+    await ensureColumns(table, columns);
+  }
+}
+
 async function insertDefaultData() {
   return new Promise((resolve, reject) => {
     // Check if data already exists
@@ -127,17 +579,31 @@ async function insertDefaultData() {
         VALUES (?, ?, ?, ?)
       `, ['demo@example.com', hashedPassword, 'Demo User', 'admin']);
 
+      // Insert default room categories
+      const categories = [
+        ['Standard', 'Standard karaoke rooms for small groups', 25.00, 4, '#3B82F6', 0],
+        ['Premium', 'Rooms with a better sound system', 35.00, 6, '#10B981', 1],
+        ['VIP', 'Rooms with luxury amenities', 50.00, 8, '#F59E0B', 2]
+      ];
+
+      categories.forEach(category => {
+        db.run(`
+          INSERT INTO room_categories (name, description, default_price_per_hour, default_capacity, color, sort_order)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, category);
+      });
+
       // Insert default rooms
       const rooms = [
-        ['Room A', 4, 'Standard', 'Standard karaoke room for small groups', 25.00],
-        ['Room B', 6, 'Premium', 'Premium room with better sound system', 35.00],
-        ['Room C', 8, 'VIP', 'VIP room with luxury amenities', 50.00]
+        ['Room A', 4, 'Standard', 'Standard karaoke room for small groups', 25.00, 0, '#3B82F6'],
+        ['Room B', 6, 'Premium', 'Premium room with better sound system', 35.00, 1, '#10B981'],
+        ['Room C', 8, 'VIP', 'VIP room with luxury amenities', 50.00, 2, '#F59E0B']
       ];
 
       rooms.forEach(room => {
         db.run(`
-          INSERT INTO rooms (name, capacity, category, description, price_per_hour) 
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO rooms (name, capacity, category, description, price_per_hour, sort_order, color) 
+          VALUES (?, ?, ?, ?, ?, ?, ?)
         `, room);
       });
 
@@ -153,10 +619,20 @@ async function insertDefaultData() {
       const settings = [
         ['app_name', 'Boom Karaoke'],
         ['timezone', 'America/New_York'],
+        // Sessions starting before this local time belong to the previous business date
+        ['business_day_start', '06:00'],
         ['currency', 'USD'],
         ['booking_advance_days', '30'],
         ['booking_min_duration', '60'],
-        ['booking_max_duration', '480']
+        ['booking_max_duration', '480'],
+        ['booking_lead_minutes', '0'],
+        ['booking_time_interval', '15'],
+        ['buffer_before_minutes', '0'],
+        ['buffer_after_minutes', '0'],
+        ['category_buffers', '{}'],
+        ['hold_duration_minutes', '15'],
+        ['no_show_after_minutes', '15'],
+        ['tax_rate', '0']
       ];
 
       settings.forEach(setting => {
@@ -186,11 +662,13 @@ async function insertDefaultData() {
       ];
 
       sampleBookings.forEach(booking => {
+        const totalPrice = booking[booking.length - 1];
         db.run(`
           INSERT INTO bookings (room_id, customer_name, customer_email, customer_phone, 
-                              start_time, end_time, status, notes, total_price) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, booking);
+                              start_time, end_time, status, notes, total_price,
+                              base_price, confirmation_code) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [...booking, totalPrice, createConfirmationCode()]);
       });
 
       // console.log (removed for clean version)('✅ Default data inserted successfully');
@@ -199,5 +677,50 @@ async function insertDefaultData() {
   });
 }
 
+// Bookings made before confirmation codes and itemised prices existed get a code,
+// and their total becomes the base price. Codes are unique from then on.
+function backfillConfirmationCodes() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT id FROM bookings WHERE confirmation_code IS NULL', [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      db.serialize(() => {
+        rows.forEach(row => {
+          db.run('UPDATE bookings SET confirmation_code = ? WHERE id = ?', [createConfirmationCode(), row.id]);
+        });
+        db.run('UPDATE bookings SET base_price = total_price WHERE base_price IS NULL');
+        db.run(
+          'CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_confirmation_code ON bookings (confirmation_code)',
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+    });
+  });
+}
+
+// Rooms deactivated before rooms had a status column read as 'inactive'
+function backfillRoomStatus() {
+  return new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE rooms SET status = 'inactive' WHERE is_active = 0 AND status != 'inactive'",
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// Categories that rooms were given before categories were managed get a row, without defaults
+function backfillRoomCategories() {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO room_categories (name)
+       SELECT DISTINCT category FROM rooms WHERE category NOT IN (SELECT name FROM room_categories)`,
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
 export default db;
 
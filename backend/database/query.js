@@ -0,0 +1,93 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import sqlite3 from 'sqlite3';
+import { BUSY_TIMEOUT_MS, DB_PATH, db } from './init.js';
+
+// Promise wrappers around the sqlite3 callback API so route handlers can use async/await.
+// Inside withTransaction they use the transaction's own connection, and everywhere
+// else the shared one.
+
+const transactionConnection = new AsyncLocalStorage();
+
+const connection = () => transactionConnection.getStore() || db;
+
+export function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection().get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+export function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection().all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+export function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    connection().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// A LIKE pattern matching `text` anywhere in a value, with any % and _ in it taken
+// literally. Use it as `LIKE ? ESCAPE '\'`.
+export function containsPattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function openConnection() {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(DB_PATH, (err) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  });
+}
+
+function closeConnection(connection) {
+  return new Promise(resolve => connection.close(() => resolve()));
+}
+
+// Each transaction runs on a connection of its own, so writes other requests make
+// on the shared connection meanwhile are not part of it (they wait for it to finish)
+// and nobody else reads its rows before it commits. Transactions are also queued and
+// run one at a time within this process. BEGIN IMMEDIATE takes the write lock up
+// front, which makes a conflict check followed by a write atomic against every other
+// connection to the database file.
+let transactionQueue = Promise.resolve();
+
+// Run `work` inside a transaction, rolling back if it throws. The db* helpers called
+// from `work` run on the transaction's connection.
+export function withTransaction(work) {
+  const run = async () => {
+    const transaction = await openConnection();
+    try {
+      return await transactionConnection.run(transaction, async () => {
+        await dbRun('BEGIN IMMEDIATE TRANSACTION');
+        try {
+          const result = await work();
+          await dbRun('COMMIT');
+          return result;
+        } catch (error) {
+          await dbRun('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      await closeConnection(transaction);
+    }
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
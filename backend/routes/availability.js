@@ -0,0 +1,93 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { getAvailability, findBestRooms } from '../utils/availability.js';
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 31;
+
+const availabilityValidators = [
+  query('start_date').isISO8601(),
+  query('end_date').isISO8601().optional(),
+  query('party_size').isInt({ min: 1 }).toInt().optional(),
+  query('duration').isInt({ min: 1, max: 24 * 60 }).toInt().optional(),
+  query('interval').isInt({ min: 5, max: 240 }).toInt().optional(),
+  query('room_id').isInt({ min: 1 }).toInt().optional()
+];
+
+function getRangeError({ start_date, end_date }) {
+  if (!end_date) return null;
+  const days = (new Date(end_date) - new Date(start_date)) / (1000 * 60 * 60 * 24);
+  if (days < 0) return 'End date must not be before start date';
+  if (days > MAX_RANGE_DAYS) return `Date range cannot exceed ${MAX_RANGE_DAYS} days`;
+  return null;
+}
+
+// Free slots per room for a date range
+router.get('/', availabilityValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rangeError = getRangeError(req.query);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const data = await getAvailability({
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      partySize: req.query.party_size,
+      duration: req.query.duration,
+      interval: req.query.interval,
+      roomId: req.query.room_id
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    // console.error('Error fetching availability:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Rooms ranked by fit for a party, optionally at a specific start time
+router.get('/best', [
+  query('start_date').isISO8601().optional(),
+  query('start_time').isISO8601().optional(),
+  ...availabilityValidators.slice(1)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.query.start_date && !req.query.start_time) {
+      return res.status(400).json({ error: 'Either start_date or start_time is required' });
+    }
+
+    const rangeError = req.query.start_date ? getRangeError(req.query) : null;
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const data = await findBestRooms({
+      startDate: req.query.start_date,
+      endDate: req.query.end_date,
+      startTime: req.query.start_time,
+      partySize: req.query.party_size,
+      duration: req.query.duration,
+      interval: req.query.interval,
+      roomId: req.query.room_id
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    // console.error('Error finding best room:', error);
+    res.status(500).json({ error: 'Failed to find available rooms' });
+  }
+});
+
+export default router;
@@ -1,18 +1,77 @@
 import express from 'express';
+import moment from 'moment';
 import { body, validationResult } from 'express-validator';
-import { db } from '../database/init.js';
+import { containsPattern, dbGet, dbAll, dbRun, withTransaction } from '../database/query.js';
+import { assertNoConflicts, checkOccurrences, BookingConflictError, sendConflict } from '../utils/bookingConflicts.js';
+import { getHoldExpiry, MAX_HOLD_MINUTES } from '../utils/holds.js';
+import { notifyWaitlist } from '../utils/waitlist.js';
+import { assertBookingPolicy, checkOccurrencePolicies, BookingPolicyError, sendPolicyErrors } from '../utils/bookingPolicy.js';
+import { resolvePromoCodes } from '../utils/promotions.js';
+import { resolveBookingCustomer } from '../utils/customers.js';
+import { assertRoomBookable, RoomUnavailableError, sendRoomUnavailable } from '../utils/rooms.js';
+import { getRoomBuffers, turnoverGap } from '../utils/buffers.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { applyCancellationFees, previewCancellationFee, waiveCancellationFee } from '../utils/cancellations.js';
+import {
+  BOOKING_SOURCES,
+  BOOKING_PRIORITIES,
+  DETAIL_FIELDS,
+  PRICE_FIELDS,
+  PLACEMENT_FIELDS,
+  BOOKING_WITH_ROOM_QUERY,
+  deleteBooking,
+  formatBooking,
+  getBookingWithRoom,
+  getPricingRoom,
+  insertBooking,
+  repriceBooking,
+  updateBookingFields
+} from '../utils/bookingModel.js';
+import { getCustomFieldSchema, validateCustomFieldValues, buildCustomFieldFilters } from '../utils/customFields.js';
+import {
+  BOOKING_STATUSES,
+  RELEASED_STATUSES,
+  assertTransition,
+  canTransition,
+  recordStatusChanges,
+  getStatusHistory
+} from '../utils/bookingLifecycle.js';
+import {
+  RECURRENCE_FREQUENCIES,
+  MAX_OCCURRENCES,
+  buildRRule,
+  expandSeries,
+  truncateRRule,
+  remainingRRule
+} from '../utils/recurrence.js';
+import { getBusinessDayRange, getVenueClock, storeBodyTimes, toStoredTime } from '../utils/venueTime.js';
+import {
+  CombinedBookingError,
+  getBookingRoomIds,
+  getGroupPricingRoom,
+  getRoomGroup,
+  isGroupBookable,
+  reserveBookingRooms,
+  sendCombinedBookingError
+} from '../utils/roomGroups.js';
 
 const router = express.Router();
 
-// Get all bookings
-router.get('/', (req, res) => {
-  const { room_id, status, start_date, end_date } = req.query;
+// Booking times arrive in any offset and are stored in UTC
+router.use(storeBodyTimes([
+  'start_time', 'end_time', 'new_start_time', 'new_end_time', 'target_new_start_time', 'target_new_end_time'
+]));
+
+// Get all bookings. Custom field values filter as ?custom[field_key]=value. ?date=
+// is a business date: the night it names, including sessions after midnight.
+router.get('/', async (req, res) => {
+  const { room_id, status, date, start_date, end_date, customer, custom } = req.query;
+
+  if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'date must be a YYYY-MM-DD business date' });
+  }
   
-  let query = `
-    SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category
-    FROM bookings b
-    JOIN rooms r ON b.room_id = r.id
-  `;
+  let query = BOOKING_WITH_ROOM_QUERY;
   const params = [];
   const conditions = [];
 
@@ -26,312 +85,1198 @@ router.get('/', (req, res) => {
     params.push(status);
   }
 
-  if (start_date) {
-    conditions.push('b.start_time >= ?');
-    params.push(start_date);
+  if (customer) {
+    conditions.push("b.customer_name LIKE ? ESCAPE '\\'");
+    params.push(containsPattern(customer));
   }
 
-  if (end_date) {
-    conditions.push('b.end_time <= ?');
-    params.push(end_date);
-  }
+  try {
+    const clock = await getVenueClock();
+
+    if (date) {
+      const { start, end } = getBusinessDayRange(date, clock);
+      conditions.push('b.start_time >= ? AND b.start_time < ?');
+      params.push(start.toISOString(), end.toISOString());
+    }
+
+    if (start_date) {
+      conditions.push('b.start_time >= ?');
+      params.push(toStoredTime(start_date, clock.timezone));
+    }
+
+    if (end_date) {
+      conditions.push('b.end_time <= ?');
+      params.push(toStoredTime(end_date, clock.timezone));
+    }
 
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
+    if (custom) {
+      const filters = buildCustomFieldFilters(custom, await getCustomFieldSchema());
+      conditions.push(...filters.conditions);
+      params.push(...filters.params);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+
+    query += ' ORDER BY b.start_time';
+
+    const rows = await dbAll(query, params);
+    res.json({ success: true, data: rows.map(formatBooking) });
+  } catch (error) {
+    // console.error('Error fetching bookings:', error);
+    res.status(500).json({ error: 'Failed to fetch bookings' });
   }
+});
+
+const SERIES_SCOPES = ['this', 'following', 'series'];
+
+// Fields of an occurrence that can be edited across a series
+const SERIES_EDITABLE_FIELDS = ['room_id', 'customer_name', 'customer_email', 'customer_phone', 'notes'];
+
+// Details that can be edited across a series. They live on the occurrences only,
+// and prices stay per occurrence.
+const SERIES_DETAIL_FIELDS = DETAIL_FIELDS.filter(field => !PRICE_FIELDS.includes(field));
 
-  query += ' ORDER BY b.start_time';
+// Optional booking details accepted when creating or editing bookings
+const DETAIL_VALIDATORS = {
+  party_size: body('party_size').isInt({ min: 1 }).toInt().optional(),
+  source: body('source').isIn(BOOKING_SOURCES).optional(),
+  priority: body('priority').isIn(BOOKING_PRIORITIES).optional(),
+  // null hands the base price back to the pricing rules
+  base_price: body('base_price').isFloat({ min: 0 }).toFloat().optional({ values: 'null' }),
+  additional_fees: body('additional_fees').isFloat({ min: 0 }).toFloat().optional(),
+  discount: body('discount').isFloat({ min: 0 }).toFloat().optional(),
+  special_requests: body('special_requests').trim().optional()
+};
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      // console.error('Error fetching bookings:', err);
-      return res.status(500).json({ error: 'Failed to fetch bookings' });
+const detailValidators = (fields = DETAIL_FIELDS) => fields.map(field => DETAIL_VALIDATORS[field]);
+
+// Custom field values from the request body checked against the venue schema.
+// They always replace a booking's values as a whole.
+async function readCustomFields(body) {
+  return validateCustomFieldValues(body.custom_fields ?? {}, await getCustomFieldSchema());
+}
+
+function pickDetails(source, fields = DETAIL_FIELDS) {
+  const details = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      details[field] = source[field];
     }
-    res.json({ success: true, data: rows });
   });
+  return details;
+}
+
+// Occurrences affected by an edit/cancel of `booking` with the given scope.
+// "series" only touches occurrences that have not finished yet.
+function getScopedOccurrences(booking, scope) {
+  if (scope === 'this' || !booking.series_id) {
+    return Promise.resolve([booking]);
+  }
+
+  const boundary = scope === 'following' ? booking.start_time : new Date().toISOString();
+  const column = scope === 'following' ? 'start_time' : 'end_time';
+
+  return dbAll(
+    `SELECT * FROM bookings
+     WHERE series_id = ? AND ${column} >= ? AND status NOT IN ('cancelled', 'completed')
+     ORDER BY start_time`,
+    [booking.series_id, boundary]
+  );
+}
+
+// Create a recurring booking series
+router.post('/series', [
+  body('room_id').isInt({ min: 1 }),
+  body('customer_name').isLength({ min: 1 }).trim(),
+  body('customer_email').isEmail().normalizeEmail().optional(),
+  body('customer_phone').isLength({ min: 1 }).trim().optional(),
+  body('customer_id').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+  body('start_time').isISO8601(),
+  body('end_time').isISO8601(),
+  body('notes').trim().optional(),
+  ...detailValidators(),
+  body('recurrence.frequency').isIn(RECURRENCE_FREQUENCIES),
+  body('recurrence.until').isISO8601().optional(),
+  body('recurrence.count').isInt({ min: 1, max: MAX_OCCURRENCES }).optional(),
+  body('on_conflict').isIn(['skip', 'abort']).optional(),
+  body('dry_run').isBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customFields = await readCustomFields(req.body);
+    if (customFields.errors.length > 0) {
+      return res.status(400).json({ errors: customFields.errors });
+    }
+
+    const {
+      room_id, customer_name, customer_email, customer_phone, start_time, end_time, notes,
+      recurrence, on_conflict = 'skip', dry_run = false
+    } = req.body;
+
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    if (!recurrence.until && !recurrence.count) {
+      return res.status(400).json({ error: 'Recurrence needs either an end date or an occurrence count' });
+    }
+
+    const room = await getPricingRoom(room_id);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const { timezone } = await getVenueClock();
+    const rrule = buildRRule(recurrence, start_time, timezone);
+    const planned = expandSeries(rrule, start_time, end_time, timezone);
+
+    // Occurrences that overlap other bookings or break the booking policy count as conflicts
+    const checkPlanned = async () => checkOccurrencePolicies(await checkOccurrences(planned, room_id));
+
+    if (dry_run) {
+      const occurrences = await checkPlanned();
+      return res.json({ success: true, data: { rrule, occurrences } });
+    }
+
+    const { seriesId, occurrences } = await withTransaction(async () => {
+      await assertRoomBookable(room_id);
+      const occurrences = await checkPlanned();
+      const conflictCount = occurrences.filter(o => o.status === 'conflict').length;
+      if (conflictCount > 0 && (on_conflict === 'abort' || conflictCount === occurrences.length)) {
+        throw new BookingConflictError(
+          conflictCount === occurrences.length
+            ? 'No occurrence can be booked: each conflicts with an existing booking or the booking policy'
+            : 'Some occurrences conflict with existing bookings or the booking policy',
+          { rrule, occurrences }
+        );
+      }
+
+      const { lastID } = await dbRun(
+        `INSERT INTO booking_series (room_id, customer_name, customer_email, customer_phone,
+         notes, rrule, start_time, end_time)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [room_id, customer_name, customer_email, customer_phone, notes, rrule, start_time, end_time]
+      );
+
+      for (const occurrence of occurrences) {
+        if (occurrence.status === 'conflict') {
+          occurrence.status = 'skipped';
+          continue;
+        }
+
+        const created = await insertBooking({
+          room_id,
+          customer_name,
+          customer_email,
+          customer_phone,
+          customer_id: req.body.customer_id,
+          start_time: occurrence.start_time,
+          end_time: occurrence.end_time,
+          notes,
+          ...pickDetails(req.body),
+          custom_fields: customFields.values,
+          series_id: lastID,
+          series_index: occurrence.index
+        }, room);
+        occurrence.status = 'created';
+        occurrence.booking_id = created.lastID;
+      }
+
+      return { seriesId: lastID, occurrences };
+    });
+
+    const series = await dbGet('SELECT * FROM booking_series WHERE id = ?', [seriesId]);
+    res.status(201).json({ success: true, data: { series, occurrences } });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error creating booking series:', error);
+    res.status(500).json({ error: 'Failed to create booking series' });
+  }
 });
 
-// Get booking by ID
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
+// Get a series with its occurrences
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await dbGet('SELECT * FROM booking_series WHERE id = ?', [req.params.seriesId]);
+    if (!series) {
+      return res.status(404).json({ error: 'Booking series not found' });
+    }
 
-  const query = `
-    SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category
-    FROM bookings b
-    JOIN rooms r ON b.room_id = r.id
-    WHERE b.id = ?
-  `;
+    const occurrences = await dbAll(
+      `${BOOKING_WITH_ROOM_QUERY} WHERE b.series_id = ? ORDER BY b.start_time`,
+      [series.id]
+    );
 
-  db.get(query, [id], (err, row) => {
-    if (err) {
-      // console.error('Error fetching booking:', err);
-      return res.status(500).json({ error: 'Failed to fetch booking' });
+    res.json({ success: true, data: { series, occurrences: occurrences.map(formatBooking) } });
+  } catch (error) {
+    // console.error('Error fetching booking series:', error);
+    res.status(500).json({ error: 'Failed to fetch booking series' });
+  }
+});
+
+// Edit an occurrence, this and following occurrences, or the whole series
+router.put('/:id/series', [
+  body('scope').isIn(SERIES_SCOPES),
+  body('room_id').isInt({ min: 1 }).optional(),
+  body('customer_name').isLength({ min: 1 }).trim().optional(),
+  body('customer_email').isEmail().normalizeEmail().optional(),
+  body('customer_phone').isLength({ min: 1 }).trim().optional(),
+  body('start_time').isISO8601().optional(),
+  body('end_time').isISO8601().optional(),
+  body('notes').trim().optional(),
+  ...detailValidators(SERIES_DETAIL_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (!row) {
+    const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [req.params.id]);
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    res.json({ success: true, data: row });
-  });
+    if (!booking.series_id) {
+      return res.status(400).json({ error: 'Booking is not part of a series' });
+    }
+
+    const { scope, start_time, end_time } = req.body;
+    const updates = {};
+    SERIES_EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    const details = pickDetails(req.body, SERIES_DETAIL_FIELDS);
+    if (req.body.custom_fields !== undefined) {
+      const customFields = await readCustomFields(req.body);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
+      details.custom_fields = JSON.stringify(customFields.values);
+    }
+
+    // Time edits are applied as a shift relative to the edited occurrence
+    const newStart = moment(start_time || booking.start_time);
+    const newEnd = moment(end_time || booking.end_time);
+    if (!newEnd.isAfter(newStart)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+    const shiftMinutes = newStart.diff(moment(booking.start_time), 'minutes');
+    const durationMinutes = newEnd.diff(newStart, 'minutes');
+
+    const targets = await getScopedOccurrences(booking, scope);
+    const targetIds = targets.map(t => t.id);
+    const planned = targets.map(target => {
+      const start = moment(target.start_time).add(shiftMinutes, 'minutes');
+      return {
+        id: target.id,
+        room_id: updates.room_id || target.room_id,
+        start_time: start.toISOString(),
+        end_time: start.clone().add(durationMinutes, 'minutes').toISOString()
+      };
+    });
+
+    await withTransaction(async () => {
+      if (updates.room_id && targets.some(target => target.room_id !== updates.room_id)) {
+        await assertRoomBookable(updates.room_id);
+      }
+      const report = await checkOccurrences(planned, null, targetIds);
+      if (report.some(o => o.status === 'conflict')) {
+        throw new BookingConflictError('The change conflicts with existing bookings', { occurrences: report });
+      }
+      for (const [index, occurrence] of planned.entries()) {
+        await assertBookingPolicy(occurrence, { previous: targets[index] });
+      }
+
+      const series = await dbGet('SELECT * FROM booking_series WHERE id = ?', [booking.series_id]);
+      const templateUpdates = { ...updates };
+      if (start_time || end_time) {
+        const templateStart = moment(series.start_time).add(shiftMinutes, 'minutes');
+        templateUpdates.start_time = templateStart.toISOString();
+        templateUpdates.end_time = templateStart.clone().add(durationMinutes, 'minutes').toISOString();
+      }
+
+      if (scope === 'following' && booking.series_index > 0) {
+        // Split: the original series ends before this occurrence, the rest becomes a new series
+        const template = { ...series, ...updates, start_time: planned[0].start_time, end_time: planned[0].end_time };
+        const { lastID: newSeriesId } = await dbRun(
+          `INSERT INTO booking_series (room_id, customer_name, customer_email, customer_phone,
+           notes, rrule, start_time, end_time)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [template.room_id, template.customer_name, template.customer_email, template.customer_phone,
+            template.notes, remainingRRule(series.rrule, booking.series_index), template.start_time, template.end_time]
+        );
+        const { timezone } = await getVenueClock();
+        await dbRun(
+          'UPDATE booking_series SET rrule = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [truncateRRule(series.rrule, booking.start_time, timezone), series.id]
+        );
+        await dbRun(
+          `UPDATE bookings SET series_id = ?, series_index = series_index - ?
+           WHERE series_id = ? AND series_index >= ?`,
+          [newSeriesId, booking.series_index, series.id, booking.series_index]
+        );
+      } else if (scope !== 'this' && Object.keys(templateUpdates).length > 0) {
+        const fields = Object.keys(templateUpdates);
+        await dbRun(
+          `UPDATE booking_series SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => templateUpdates[f]), series.id]
+        );
+      }
+
+      for (const [index, occurrence] of planned.entries()) {
+        const fields = { ...updates, ...details, start_time: occurrence.start_time, end_time: occurrence.end_time };
+        if (PLACEMENT_FIELDS.some(f => fields[f] !== targets[index][f])) {
+          Object.assign(fields, await repriceBooking({ ...targets[index], ...fields }));
+        }
+        await updateBookingFields(occurrence.id, fields);
+      }
+    });
+
+    const updated = await dbAll(
+      `${BOOKING_WITH_ROOM_QUERY} WHERE b.id IN (${targetIds.map(() => '?').join(', ')}) ORDER BY b.start_time`,
+      targetIds
+    );
+
+    res.json({ success: true, data: updated.map(formatBooking) });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    // console.error('Error updating booking series:', error);
+    res.status(500).json({ error: 'Failed to update booking series' });
+  }
 });
 
-// Create new booking
+// Get booking by ID, with every room of a combined booking
+router.get('/:id', async (req, res) => {
+  try {
+    const booking = await getBookingWithRoom(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json({ success: true, data: booking });
+  } catch (error) {
+    // console.error('Error fetching booking:', error);
+    res.status(500).json({ error: 'Failed to fetch booking' });
+  }
+});
+
+// Create new booking. With room_group_id it is a combined booking holding every
+// room of the group, and room_id may be left out.
 router.post('/', [
-  body('room_id').isInt({ min: 1 }),
+  body('room_group_id').isInt({ min: 1 }).toInt().optional(),
+  body('room_id').if(body('room_group_id').not().exists()).isInt({ min: 1 }),
   body('customer_name').isLength({ min: 1 }).trim(),
   body('customer_email').isEmail().normalizeEmail().optional(),
   body('customer_phone').isLength({ min: 1 }).trim().optional(),
+  // A customer picked from the directory; otherwise one is matched on email or phone
+  body('customer_id').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
   body('start_time').isISO8601(),
   body('end_time').isISO8601(),
-  body('notes').trim().optional()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { room_id, customer_name, customer_email, customer_phone, start_time, end_time, notes } = req.body;
-
-  // Check for time conflicts
-  const conflictQuery = `
-    SELECT COUNT(*) as count FROM bookings 
-    WHERE room_id = ? AND status != 'cancelled' 
-    AND ((start_time < ? AND end_time > ?) OR (start_time < ? AND end_time > ?))
-  `;
+  body('status').isIn(['pending', 'confirmed', 'held']).optional(),
+  body('hold_minutes').isInt({ min: 1, max: MAX_HOLD_MINUTES }).optional(),
+  body('notes').trim().optional(),
+  body('promo_codes').isArray().optional(),
+  body('promo_codes.*').isString().trim(),
+  ...detailValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  db.get(conflictQuery, [room_id, end_time, start_time, start_time, end_time], (err, row) => {
-    if (err) {
-      // console.error('Error checking conflicts:', err);
-      return res.status(500).json({ error: 'Failed to check booking conflicts' });
+    const customFields = await readCustomFields(req.body);
+    if (customFields.errors.length > 0) {
+      return res.status(400).json({ errors: customFields.errors });
     }
 
-    if (row.count > 0) {
-      return res.status(400).json({ error: 'Time slot conflicts with existing booking' });
+    const { room_group_id = null, customer_name, customer_email, customer_phone, start_time, end_time, notes } = req.body;
+    const status = req.body.status || 'confirmed';
+    const holdExpiresAt = status === 'held' ? await getHoldExpiry(req.body.hold_minutes) : null;
+
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
     }
 
-    // Get room price
-    db.get('SELECT price_per_hour FROM rooms WHERE id = ?', [room_id], (err, room) => {
-      if (err) {
-        // console.error('Error fetching room price:', err);
-        return res.status(500).json({ error: 'Failed to fetch room information' });
+    let room_id = req.body.room_id;
+    let roomIds = [room_id];
+    let room;
+    if (room_group_id) {
+      const group = await getRoomGroup(room_group_id);
+      if (!group) {
+        return res.status(404).json({ error: 'Room group not found' });
       }
-
+      if (!isGroupBookable(group)) {
+        return res.status(400).json({ error: `${group.name} cannot be booked while it or one of its rooms is inactive or not taking bookings` });
+      }
+      room_id = group.room_ids[0];
+      roomIds = group.room_ids;
+      room = getGroupPricingRoom(group);
+    } else {
+      room = await getPricingRoom(room_id);
       if (!room) {
         return res.status(404).json({ error: 'Room not found' });
       }
+    }
 
-      // Calculate total price
-      const start = new Date(start_time);
-      const end = new Date(end_time);
-      const durationHours = (end - start) / (1000 * 60 * 60);
-      const totalPrice = durationHours * room.price_per_hour;
-
-      // Create booking
-      db.run(
-        `INSERT INTO bookings (room_id, customer_name, customer_email, customer_phone, 
-         start_time, end_time, notes, total_price) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [room_id, customer_name, customer_email, customer_phone, start_time, end_time, notes, totalPrice],
-        function(err) {
-          if (err) {
-            // console.error('Error creating booking:', err);
-            return res.status(500).json({ error: 'Failed to create booking' });
-          }
-
-          // Fetch created booking with room details
-          const fetchQuery = `
-            SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category
-            FROM bookings b
-            JOIN rooms r ON b.room_id = r.id
-            WHERE b.id = ?
-          `;
-
-          db.get(fetchQuery, [this.lastID], (err, booking) => {
-            if (err) {
-              // console.error('Error fetching created booking:', err);
-              return res.status(500).json({ error: 'Failed to fetch created booking' });
-            }
-
-            res.status(201).json({ success: true, data: booking });
-          });
-        }
-      );
+    // Conflict check, promo usage caps and insert run in one transaction so concurrent
+    // requests cannot double-book or redeem a code past its limit. A combined booking
+    // reserves all its rooms or none.
+    const bookingId = await withTransaction(async () => {
+      if (!room_group_id) await assertRoomBookable(room_id);
+      await assertBookingPolicy({ start_time, end_time });
+      await assertNoConflicts(roomIds, start_time, end_time);
+      const promos = await resolvePromoCodes(req.body.promo_codes, {
+        room_id, start_time, end_time, customer_email, customer_phone
+      });
+      const { lastID } = await insertBooking({
+        room_id,
+        room_group_id,
+        customer_name,
+        customer_email,
+        customer_phone,
+        customer_id: req.body.customer_id,
+        start_time,
+        end_time,
+        notes,
+        ...pickDetails(req.body),
+        custom_fields: customFields.values,
+        status,
+        hold_expires_at: holdExpiresAt
+      }, room, { promos });
+      if (room_group_id) {
+        await reserveBookingRooms(lastID, roomIds);
+      }
+      return lastID;
     });
-  });
+
+    const booking = await getBookingWithRoom(bookingId);
+    res.status(201).json({ success: true, data: booking });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code, promo_code: error.promo_code });
+    }
+    // console.error('Error creating booking:', error);
+    res.status(500).json({ error: 'Failed to create booking' });
+  }
 });
 
+// Columns that PUT /:id may change
+const UPDATABLE_FIELDS = [
+  'room_id', 'customer_name', 'customer_email', 'customer_phone', 'start_time', 'end_time', 'status', 'notes',
+  ...DETAIL_FIELDS
+];
+
 // Update booking
 router.put('/:id', [
+  body('room_id').isInt({ min: 1 }).optional(),
   body('customer_name').isLength({ min: 1 }).trim().optional(),
   body('customer_email').isEmail().normalizeEmail().optional(),
   body('customer_phone').isLength({ min: 1 }).trim().optional(),
+  // Relink to another customer, or null to unlink
+  body('customer_id').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
   body('start_time').isISO8601().optional(),
   body('end_time').isISO8601().optional(),
-  body('status').isIn(['confirmed', 'cancelled', 'completed']).optional(),
-  body('notes').trim().optional()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+  body('status').isIn(BOOKING_STATUSES).optional(),
+  body('hold_minutes').isInt({ min: 1, max: MAX_HOLD_MINUTES }).optional(),
+  body('notes').trim().optional(),
+  ...detailValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  const { id } = req.params;
-  const updates = req.body;
+    const { id } = req.params;
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (req.body.custom_fields !== undefined) {
+      const customFields = await readCustomFields(req.body);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
+      updates.custom_fields = JSON.stringify(customFields.values);
+    }
 
-  // Build dynamic update query
-  const updateFields = [];
-  const values = [];
+    if ('base_price' in updates) {
+      updates.base_price_manual = updates.base_price === null ? 0 : 1;
+    }
 
-  Object.keys(updates).forEach(key => {
-    if (updates[key] !== undefined) {
-      updateFields.push(`${key} = ?`);
-      values.push(updates[key]);
+    if (Object.keys(updates).length === 0 && req.body.hold_minutes === undefined && req.body.customer_id === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
     }
-  });
 
-  if (updateFields.length === 0) {
-    return res.status(400).json({ error: 'No valid fields to update' });
-  }
+    const previous = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return null;
+
+      const next = { ...current, ...updates };
+      if (updates.status) {
+        assertTransition(current.status, updates.status);
+      }
+
+      // A booking without a customer is matched once it is given an email or phone
+      if (req.body.customer_id !== undefined) {
+        updates.customer_id = req.body.customer_id ? await resolveBookingCustomer(next, req.body.customer_id) : null;
+      } else if (!current.customer_id && ['customer_email', 'customer_phone'].some(f => f in updates)) {
+        const customerId = await resolveBookingCustomer(next);
+        if (customerId) updates.customer_id = customerId;
+      }
+      if (current.room_group_id && next.room_id !== current.room_id) {
+        throw new CombinedBookingError();
+      }
+      if (next.room_id !== current.room_id) {
+        await assertRoomBookable(next.room_id);
+      }
+
+      // Placing a hold (or passing hold_minutes to an existing one) restarts its expiry;
+      // any other status clears it
+      if (next.status === 'held') {
+        if (current.status !== 'held' || req.body.hold_minutes !== undefined) {
+          updates.hold_expires_at = await getHoldExpiry(req.body.hold_minutes);
+        }
+      } else if (req.body.hold_minutes !== undefined) {
+        const error = new Error('Only held bookings have an expiry');
+        error.status = 400;
+        throw error;
+      } else if (current.hold_expires_at) {
+        updates.hold_expires_at = null;
+      }
+
+      // Reinstating a released booking (or confirming a hold) needs its slot to still be free
+      const reclaimsSlot = 'status' in updates && (RELEASED_STATUSES.includes(current.status) || current.status === 'held');
+      const timeChanged = reclaimsSlot || ['room_id', 'start_time', 'end_time'].some(f => f in updates);
+      if (timeChanged && !RELEASED_STATUSES.includes(next.status)) {
+        if (new Date(next.end_time) <= new Date(next.start_time)) {
+          const error = new Error('End time must be after start time');
+          error.status = 400;
+          throw error;
+        }
+        await assertBookingPolicy(next, { previous: current });
+        await assertNoConflicts(await getBookingRoomIds(next), next.start_time, next.end_time, [current.id]);
+      }
 
-  updateFields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(id);
+      if ([...PRICE_FIELDS, ...PLACEMENT_FIELDS].some(f => f in updates)) {
+        Object.assign(updates, await repriceBooking(next));
+      }
 
-  const query = `UPDATE bookings SET ${updateFields.join(', ')} WHERE id = ?`;
+      await updateBookingFields(id, updates);
+      await recordStatusChanges([current], next.status);
+      if (updates.status && updates.status !== current.status) {
+        await applyCancellationFees(current, updates.status);
+      }
+      return current;
+    });
 
-  db.run(query, values, function(err) {
-    if (err) {
-      // console.error('Error updating booking:', err);
-      return res.status(500).json({ error: 'Failed to update booking' });
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (this.changes === 0) {
+    const booking = await getBookingWithRoom(id);
+
+    // Cancelling, moving or shortening a booking may free time someone on the waitlist can use
+    const freedSlot = !RELEASED_STATUSES.includes(previous.status) && (
+      RELEASED_STATUSES.includes(booking.status) ||
+      booking.room_id !== previous.room_id ||
+      booking.start_time !== previous.start_time ||
+      booking.end_time !== previous.end_time
+    );
+    const waitlist = freedSlot ? await notifyWaitlist(req.app.get('io'), [previous]) : [];
+
+    res.json({ success: true, data: booking, waitlist });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error instanceof CombinedBookingError) {
+      return sendCombinedBookingError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error updating booking:', error);
+    res.status(500).json({ error: 'Failed to update booking' });
+  }
+});
+
+// Promote a held or pending booking to confirmed
+router.put('/:id/confirm', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const found = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return false;
+
+      if (!['held', 'pending'].includes(current.status)) {
+        const error = new Error('Only held or pending bookings can be confirmed');
+        error.status = 400;
+        throw error;
+      }
+
+      // A hold past its expiry that the sweeper has not released yet no longer
+      // reserves the slot, so it can only be confirmed if nobody has taken it since
+      await assertNoConflicts(await getBookingRoomIds(current), current.start_time, current.end_time, [current.id]);
+      await dbRun(
+        `UPDATE bookings SET status = 'confirmed', hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [id]
+      );
+      await recordStatusChanges([current], 'confirmed');
+      return true;
+    });
+
+    if (!found) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // Fetch updated booking
-    const fetchQuery = `
-      SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category
-      FROM bookings b
-      JOIN rooms r ON b.room_id = r.id
-      WHERE b.id = ?
-    `;
+    const booking = await getBookingWithRoom(id);
+    res.json({ success: true, data: booking });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    // console.error('Error confirming booking:', error);
+    res.status(500).json({ error: 'Failed to confirm booking' });
+  }
+});
 
-    db.get(fetchQuery, [id], (err, row) => {
-      if (err) {
-        // console.error('Error fetching updated booking:', err);
-        return res.status(500).json({ error: 'Failed to fetch updated booking' });
+// Move a booking along its lifecycle (check in, start, complete, no-show, reinstate...)
+router.put('/:id/status', [
+  body('status').isIn(BOOKING_STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const previous = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return null;
+
+      assertTransition(current.status, status);
+      if (status === current.status) return current;
+
+      if (RELEASED_STATUSES.includes(current.status) && !RELEASED_STATUSES.includes(status)) {
+        await assertNoConflicts(await getBookingRoomIds(current), current.start_time, current.end_time, [current.id]);
       }
 
-      res.json({ success: true, data: row });
+      await dbRun(
+        'UPDATE bookings SET status = ?, hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, id]
+      );
+      await recordStatusChanges([current], status);
+      await applyCancellationFees(current, status);
+      return current;
     });
-  });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = await getBookingWithRoom(id);
+    const freedSlot = !RELEASED_STATUSES.includes(previous.status) && RELEASED_STATUSES.includes(booking.status);
+    const waitlist = freedSlot ? await notifyWaitlist(req.app.get('io'), [previous]) : [];
+
+    res.json({ success: true, data: booking, waitlist });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error changing booking status:', error);
+    res.status(500).json({ error: 'Failed to change booking status' });
+  }
 });
 
-// Cancel booking
-router.put('/:id/cancel', (req, res) => {
-  const { id } = req.params;
+// Status changes of a booking, oldest first
+router.get('/:id/history', async (req, res) => {
+  try {
+    const booking = await dbGet('SELECT id FROM bookings WHERE id = ?', [req.params.id]);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const history = await getStatusHistory(booking.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    // console.error('Error fetching booking history:', error);
+    res.status(500).json({ error: 'Failed to fetch booking history' });
+  }
+});
+
+// Cancel booking (optionally this and following occurrences, or the whole series),
+// charging each one its cancellation fee unless a waiver reason is given
+router.put('/:id/cancel', [
+  body('scope').isIn(SERIES_SCOPES).optional(),
+  body('waiver_reason').isString().trim().isLength({ min: 1, max: 500 }).optional({ values: 'falsy' })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const scope = req.body.scope || 'this';
+
+    const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (scope === 'this') {
+      assertTransition(booking.status, 'cancelled');
+    }
+
+    // Occurrences already checked in or finished are left as they are
+    const targets = (await getScopedOccurrences(booking, scope)).filter(t => canTransition(t.status, 'cancelled'));
+    const targetIds = targets.map(t => t.id);
 
-  db.run(
-    'UPDATE bookings SET status = "cancelled", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [id],
-    function(err) {
-      if (err) {
-        // console.error('Error cancelling booking:', err);
-        return res.status(500).json({ error: 'Failed to cancel booking' });
+    const fees = await withTransaction(async () => {
+      const charged = [];
+      if (targetIds.length > 0) {
+        await dbRun(
+          `UPDATE bookings SET status = 'cancelled', hold_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id IN (${targetIds.map(() => '?').join(', ')})`,
+          targetIds
+        );
+        await recordStatusChanges(targets, 'cancelled');
+        for (const target of targets) {
+          const fee = await applyCancellationFees(target, 'cancelled', { waiverReason: req.body.waiver_reason || null });
+          if (fee) charged.push({ booking_id: target.id, ...fee });
+        }
       }
 
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Booking not found' });
+      if (booking.series_id && scope !== 'this') {
+        if (scope === 'following' && booking.series_index > 0) {
+          const series = await dbGet('SELECT rrule FROM booking_series WHERE id = ?', [booking.series_id]);
+          const { timezone } = await getVenueClock();
+          await dbRun(
+            'UPDATE booking_series SET rrule = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [truncateRRule(series.rrule, booking.start_time, timezone), booking.series_id]
+          );
+        } else {
+          await dbRun(
+            `UPDATE booking_series SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [booking.series_id]
+          );
+        }
       }
+      return charged;
+    });
 
-      res.json({ success: true, message: 'Booking cancelled successfully' });
+    const waitlist = await notifyWaitlist(req.app.get('io'), targets.filter(t => !RELEASED_STATUSES.includes(t.status)));
+
+    res.json({
+      success: true,
+      message: targetIds.length > 1 ? `${targetIds.length} bookings cancelled successfully` : 'Booking cancelled successfully',
+      data: { cancelled: targetIds, fees },
+      waitlist
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
     }
-  );
+    // console.error('Error cancelling booking:', error);
+    res.status(500).json({ error: 'Failed to cancel booking' });
+  }
 });
 
-// Delete booking
-router.delete('/:id', (req, res) => {
-  const { id } = req.params;
+// What cancelling a booking (or marking it a no-show, with kind=no_show) would cost
+// under its cancellation policy, for each occurrence `scope` would cancel
+router.get('/:id/cancellation-fee', async (req, res) => {
+  try {
+    const scope = SERIES_SCOPES.includes(req.query.scope) ? req.query.scope : 'this';
+    const kind = req.query.kind === 'no_show' ? 'no_show' : 'cancelled';
 
-  db.run('DELETE FROM bookings WHERE id = ?', [id], function(err) {
-    if (err) {
-      // console.error('Error deleting booking:', err);
-      return res.status(500).json({ error: 'Failed to delete booking' });
+    const booking = await dbGet('SELECT * FROM bookings WHERE id = ?', [req.params.id]);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (this.changes === 0) {
+    const targets = (await getScopedOccurrences(booking, scope))
+      .filter(t => canTransition(t.status, kind) && t.status !== 'held');
+    const previews = [];
+    for (const target of targets) {
+      previews.push(await previewCancellationFee(target, kind));
+    }
+
+    const sum = (key) => roundCurrency(previews.reduce((total, preview) => total + preview[key], 0));
+    res.json({
+      success: true,
+      data: {
+        bookings: previews,
+        total_fee: sum('fee'),
+        total_balance_due: sum('balance_due'),
+        total_refund_due: sum('refund_due')
+      }
+    });
+  } catch (error) {
+    // console.error('Error previewing cancellation fee:', error);
+    res.status(500).json({ error: 'Failed to preview cancellation fee' });
+  }
+});
+
+// Waive the fee a cancelled or no-show booking was charged. The reason is kept on
+// the booking and in its payment ledger.
+router.post('/:id/cancellation-fee/waive', [
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Give a reason for waiving the fee')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const found = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return false;
+
+      if (!RELEASED_STATUSES.includes(current.status) || !(current.cancellation_fee > 0)) {
+        const error = new Error('This booking has no cancellation fee to waive');
+        error.status = 400;
+        error.code = 'NO_CANCELLATION_FEE';
+        throw error;
+      }
+      if (current.cancellation_fee_waived_at) {
+        const error = new Error('The cancellation fee has already been waived');
+        error.status = 400;
+        error.code = 'FEE_ALREADY_WAIVED';
+        throw error;
+      }
+
+      await waiveCancellationFee(current, req.body.reason);
+      return true;
+    });
+
+    if (!found) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
+    const booking = await getBookingWithRoom(id);
+    res.json({ success: true, data: booking });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error waiving cancellation fee:', error);
+    res.status(500).json({ error: 'Failed to waive cancellation fee' });
+  }
+});
+
+// Delete booking
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const changes = await withTransaction(() => deleteBooking(id));
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
     res.json({ success: true, message: 'Booking deleted successfully' });
-  });
+  } catch (error) {
+    // console.error('Error deleting booking:', error);
+    res.status(500).json({ error: 'Failed to delete booking' });
+  }
 });
 
 // Move booking (change room and/or time)
 router.put('/:id/move', [
-  body('new_room_id').isInt({ min: 1 }),
+  body('new_room_id').isInt({ min: 1 }).toInt(),
   body('new_start_time').isISO8601(),
   body('new_end_time').isISO8601()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { new_room_id, new_start_time, new_end_time } = req.body;
+
+    if (new Date(new_end_time) <= new Date(new_start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const previous = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return null;
 
-  const { id } = req.params;
-  const { new_room_id, new_start_time, new_end_time } = req.body;
+      if (RELEASED_STATUSES.includes(current.status)) {
+        const error = new Error('Cancelled or no-show bookings cannot be moved');
+        error.status = 400;
+        throw error;
+      }
+      if (current.room_group_id && new_room_id !== current.room_id) {
+        throw new CombinedBookingError();
+      }
+      // A booking already in a room that stopped taking bookings can still change its time
+      if (new_room_id !== current.room_id) {
+        await assertRoomBookable(new_room_id, 'new_room_id');
+      }
 
-  // Check for conflicts in new time slot
-  const conflictQuery = `
-    SELECT COUNT(*) as count FROM bookings 
-    WHERE room_id = ? AND status != 'cancelled' AND id != ?
-    AND ((start_time < ? AND end_time > ?) OR (start_time < ? AND end_time > ?))
-  `;
+      const placement = { room_id: new_room_id, start_time: new_start_time, end_time: new_end_time };
+      await assertBookingPolicy(placement, { previous: current });
+      await assertNoConflicts(await getBookingRoomIds({ ...current, room_id: new_room_id }), new_start_time, new_end_time, [current.id]);
+      await updateBookingFields(id, { ...placement, ...(await repriceBooking({ ...current, ...placement })) });
+      return current;
+    });
 
-  db.get(conflictQuery, [new_room_id, id, new_end_time, new_start_time, new_start_time, new_end_time], (err, row) => {
-    if (err) {
-      // console.error('Error checking conflicts:', err);
-      return res.status(500).json({ error: 'Failed to check booking conflicts' });
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (row.count > 0) {
-      return res.status(400).json({ error: 'Time slot conflicts with existing booking' });
+    const booking = await getBookingWithRoom(id);
+    const waitlist = await notifyWaitlist(req.app.get('io'), [previous]);
+    res.json({ success: true, data: booking, waitlist });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error instanceof CombinedBookingError) {
+      return sendCombinedBookingError(res, error);
     }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error moving booking:', error);
+    res.status(500).json({ error: 'Failed to move booking' });
+  }
+});
+
+// Swap two bookings: each takes the other's room and time unless explicit placements
+// are given. Both moves apply in one transaction, so a failed check changes neither booking.
+router.put('/:id/swap', [
+  body('target_booking_id').isInt({ min: 1 }).toInt(),
+  body('new_room_id').isInt({ min: 1 }).toInt().optional(),
+  body('new_start_time').isISO8601().optional(),
+  body('new_end_time').isISO8601().optional(),
+  body('target_new_room_id').isInt({ min: 1 }).toInt().optional(),
+  body('target_new_start_time').isISO8601().optional(),
+  body('target_new_end_time').isISO8601().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    const targetId = req.body.target_booking_id;
+    if (id === targetId) {
+      return res.status(400).json({ error: 'A booking cannot be swapped with itself' });
+    }
+
+    const previous = await withTransaction(async () => {
+      const source = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      const target = await dbGet('SELECT * FROM bookings WHERE id = ?', [targetId]);
+      if (!source || !target) return null;
+
+      if (RELEASED_STATUSES.includes(source.status) || RELEASED_STATUSES.includes(target.status)) {
+        const error = new Error('Cancelled or no-show bookings cannot be swapped');
+        error.status = 400;
+        throw error;
+      }
+      if (source.room_group_id || target.room_group_id) {
+        throw new CombinedBookingError('Combined bookings cannot be swapped; move them instead');
+      }
+
+      const sourceNext = {
+        room_id: req.body.new_room_id || target.room_id,
+        start_time: req.body.new_start_time || target.start_time,
+        end_time: req.body.new_end_time || target.end_time
+      };
+      const targetNext = {
+        room_id: req.body.target_new_room_id || source.room_id,
+        start_time: req.body.target_new_start_time || source.start_time,
+        end_time: req.body.target_new_end_time || source.end_time
+      };
 
-    // Update booking
-    db.run(
-      'UPDATE bookings SET room_id = ?, start_time = ?, end_time = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [new_room_id, new_start_time, new_end_time, id],
-      function(err) {
-        if (err) {
-          // console.error('Error moving booking:', err);
-          return res.status(500).json({ error: 'Failed to move booking' });
+      for (const [booking, placement, roomPath] of [[source, sourceNext, 'new_room_id'], [target, targetNext, 'target_new_room_id']]) {
+        if (new Date(placement.end_time) <= new Date(placement.start_time)) {
+          const error = new Error('End time must be after start time');
+          error.status = 400;
+          throw error;
         }
+        // As with a move, only a booking changing rooms needs its new room to take bookings
+        if (placement.room_id !== booking.room_id) {
+          await assertRoomBookable(placement.room_id, roomPath);
+        }
+        await assertBookingPolicy(placement, { previous: booking });
+      }
 
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Booking not found' });
+      // Neither booking may land on a third one...
+      await assertNoConflicts(sourceNext.room_id, sourceNext.start_time, sourceNext.end_time, [source.id, target.id]);
+      await assertNoConflicts(targetNext.room_id, targetNext.start_time, targetNext.end_time, [source.id, target.id]);
+
+      // ...or on each other
+      if (sourceNext.room_id === targetNext.room_id) {
+        const gap = turnoverGap(await getRoomBuffers(sourceNext.room_id));
+        const overlaps = moment(sourceNext.start_time).isBefore(moment(targetNext.end_time).add(gap, 'minutes')) &&
+          moment(sourceNext.end_time).add(gap, 'minutes').isAfter(moment(targetNext.start_time));
+        if (overlaps) {
+          throw new BookingConflictError('Swapped bookings would overlap each other', {
+            conflicts: [{ id: target.id, customer_name: target.customer_name, status: target.status, ...targetNext }]
+          });
         }
+      }
+
+      const move = async (booking, placement) => updateBookingFields(booking.id, {
+        ...placement,
+        ...(await repriceBooking({ ...booking, ...placement }))
+      });
+      await move(source, sourceNext);
+      await move(target, targetNext);
+      return [source, target];
+    });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const source = await getBookingWithRoom(id);
+    const target = await getBookingWithRoom(targetId);
+    // Bookings of different lengths can leave part of a slot free after a swap
+    const waitlist = await notifyWaitlist(req.app.get('io'), previous);
+    res.json({ success: true, data: { source, target }, waitlist });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error instanceof CombinedBookingError) {
+      return sendCombinedBookingError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error swapping bookings:', error);
+    res.status(500).json({ error: 'Failed to swap bookings' });
+  }
+});
+
+// Resize booking (change start and/or end within the same room)
+router.put('/:id/resize', [
+  body('start_time').isISO8601(),
+  body('end_time').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-        // Fetch updated booking
-        const fetchQuery = `
-          SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category
-          FROM bookings b
-          JOIN rooms r ON b.room_id = r.id
-          WHERE b.id = ?
-        `;
+    const { id } = req.params;
+    const { start_time, end_time } = req.body;
 
-        db.get(fetchQuery, [id], (err, row) => {
-          if (err) {
-            // console.error('Error fetching moved booking:', err);
-            return res.status(500).json({ error: 'Failed to fetch moved booking' });
-          }
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const previous = await withTransaction(async () => {
+      const current = await dbGet('SELECT * FROM bookings WHERE id = ?', [id]);
+      if (!current) return null;
 
-          res.json({ success: true, data: row });
-        });
+      if (RELEASED_STATUSES.includes(current.status)) {
+        const error = new Error('Cancelled or no-show bookings cannot be resized');
+        error.status = 400;
+        throw error;
       }
-    );
-  });
+
+      await assertBookingPolicy({ start_time, end_time }, { previous: current });
+      await assertNoConflicts(await getBookingRoomIds(current), start_time, end_time, [current.id]);
+      await updateBookingFields(id, { start_time, end_time, ...(await repriceBooking({ ...current, start_time, end_time })) });
+      return current;
+    });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const booking = await getBookingWithRoom(id);
+    const waitlist = await notifyWaitlist(req.app.get('io'), [previous]);
+    res.json({ success: true, data: booking, waitlist });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error resizing booking:', error);
+    res.status(500).json({ error: 'Failed to resize booking' });
+  }
 });
 
 export default router;
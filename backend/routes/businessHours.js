@@ -1,13 +1,57 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
+import moment from 'moment';
 import { db } from '../database/init.js';
+import { dbGet, dbAll, dbRun, withTransaction } from '../database/query.js';
+import { EXCEPTION_KINDS, formatHoursException, getIntervalsError } from '../utils/businessHours.js';
 
 const router = express.Router();
 
-// Get business hours
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Days in order, and each day's opening intervals by start
+const HOURS_ORDER = 'ORDER BY day_of_week, is_closed DESC, open_time';
+
+const padTime = (time) => moment(time, 'H:mm').format('HH:mm');
+
+// Why one day's rows can't be saved, or null: a closed day has just the one row, and
+// an open day's intervals may not overlap
+function getDayError(rows) {
+  if (rows.some(row => row.is_closed)) {
+    return rows.length > 1 ? 'A closed day cannot also have opening times' : null;
+  }
+  return getIntervalsError(rows);
+}
+
+async function insertDayRows(day, rows) {
+  for (const row of rows) {
+    await dbRun(
+      'INSERT INTO business_hours (day_of_week, open_time, close_time, is_closed) VALUES (?, ?, ?, ?)',
+      [day, padTime(row.open_time), padTime(row.close_time), row.is_closed ? 1 : 0]
+    );
+  }
+}
+
+// A day's hours as one record: its opening intervals, with open_time and close_time
+// spanning them
+function formatDayHours(day, rows) {
+  const isClosed = rows.length === 0 || rows.some(row => row.is_closed);
+  const intervals = isClosed ? [] : rows.map(row => ({ open_time: row.open_time, close_time: row.close_time }));
+  return {
+    day_of_week: day,
+    is_closed: isClosed,
+    open_time: rows[0]?.open_time || null,
+    close_time: rows[rows.length - 1]?.close_time || null,
+    intervals
+  };
+}
+
+// Get business hours, one row per opening interval
 router.get('/', (req, res) => {
   db.all(
-    'SELECT * FROM business_hours ORDER BY day_of_week',
+    `SELECT * FROM business_hours ${HOURS_ORDER}`,
     [],
     (err, rows) => {
       if (err) {
@@ -19,159 +63,314 @@ router.get('/', (req, res) => {
   );
 });
 
-// Update business hours
+// Update business hours. `hours` has one row per opening interval, so a day with a
+// split shift has several; a closed day has a single row with is_closed set.
 router.put('/', [
   body('hours').isArray(),
-  body('hours.*.day_of_week').isInt({ min: 0, max: 6 }),
-  body('hours.*.open_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('hours.*.close_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('hours.*.is_closed').isBoolean().optional()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+  body('hours.*.day_of_week').isInt({ min: 0, max: 6 }).toInt(),
+  body('hours.*.open_time').matches(TIME_PATTERN),
+  body('hours.*.close_time').matches(TIME_PATTERN),
+  body('hours.*.is_closed').isBoolean().toBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rowsByDay = DAY_NAMES.map((_, day) => req.body.hours.filter(row => row.day_of_week === day));
+    if (rowsByDay.some(rows => rows.length === 0)) {
+      return res.status(400).json({ error: 'Must provide business hours for all 7 days' });
+    }
 
-  const { hours } = req.body;
+    for (const [day, rows] of rowsByDay.entries()) {
+      const dayError = getDayError(rows);
+      if (dayError) {
+        return res.status(400).json({ error: `${DAY_NAMES[day]}: ${dayError}`, code: 'INVALID_OPENING_INTERVALS' });
+      }
+    }
+
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM business_hours');
+      for (const [day, rows] of rowsByDay.entries()) {
+        await insertDayRows(day, rows);
+      }
+    });
 
-  // Validate that we have exactly 7 days (0-6)
-  if (!Array.isArray(hours) || hours.length !== 7) {
-    return res.status(400).json({ error: 'Must provide exactly 7 days of business hours' });
+    res.json({ success: true, data: await dbAll(`SELECT * FROM business_hours ${HOURS_ORDER}`) });
+  } catch (error) {
+    // console.error('Error updating business hours:', error);
+    res.status(500).json({ error: 'Failed to update business hours' });
   }
+});
 
-  // Start transaction
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+// Columns that PUT /exceptions/:id may change besides the opening times, which come
+// from getBodyIntervals
+const EXCEPTION_FIELDS = ['date', 'name', 'kind', 'is_closed', 'recurs_annually'];
 
-    // Clear existing hours
-    db.run('DELETE FROM business_hours', (err) => {
-      if (err) {
-        // console.error('Error clearing business hours:', err);
-        db.run('ROLLBACK');
-        return res.status(500).json({ error: 'Failed to update business hours' });
-      }
+const exceptionValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('date').custom(value => moment(value, 'YYYY-MM-DD', true).isValid()))
+      .withMessage('Date must be YYYY-MM-DD'),
+    field(body('name').isString().trim().isLength({ min: 1, max: 100 })),
+    body('kind').isIn(EXCEPTION_KINDS).optional(),
+    body('is_closed').isBoolean().toBoolean().optional(),
+    body('intervals').isArray({ min: 1 }).optional({ values: 'null' }),
+    body('intervals.*.open_time').matches(TIME_PATTERN),
+    body('intervals.*.close_time').matches(TIME_PATTERN),
+    body('open_time').matches(TIME_PATTERN).optional({ values: 'null' }),
+    body('close_time').matches(TIME_PATTERN).optional({ values: 'null' }),
+    body('recurs_annually').isBoolean().toBoolean().optional()
+  ];
+};
 
-      // Insert new hours
-      let completed = 0;
-      let hasError = false;
-
-      hours.forEach((day, index) => {
-        db.run(
-          'INSERT INTO business_hours (day_of_week, open_time, close_time, is_closed) VALUES (?, ?, ?, ?)',
-          [day.day_of_week, day.open_time, day.close_time, day.is_closed || false],
-          (err) => {
-            if (err && !hasError) {
-              hasError = true;
-              // console.error('Error inserting business hours:', err);
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Failed to update business hours' });
-            }
-
-            completed++;
-            if (completed === hours.length && !hasError) {
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  // console.error('Error committing transaction:', err);
-                  return res.status(500).json({ error: 'Failed to update business hours' });
-                }
-
-                // Fetch updated hours
-                db.all(
-                  'SELECT * FROM business_hours ORDER BY day_of_week',
-                  [],
-                  (err, rows) => {
-                    if (err) {
-                      // console.error('Error fetching updated business hours:', err);
-                      return res.status(500).json({ error: 'Failed to fetch updated business hours' });
-                    }
-
-                    res.json({ success: true, data: rows });
-                  }
-                );
-              });
-            }
-          }
-        );
-      });
-    });
+// The opening intervals a request sets: `intervals` for a split shift, or a single
+// open_time and close_time (the other taken from `current` when only one is sent).
+// Undefined when it sets no times.
+function getBodyIntervals(body, current = {}) {
+  if (body.intervals) return body.intervals;
+  if (body.open_time === undefined && body.close_time === undefined) return undefined;
+  const open_time = body.open_time === undefined ? current.open_time : body.open_time;
+  const close_time = body.close_time === undefined ? current.close_time : body.close_time;
+  return open_time && close_time ? [{ open_time, close_time }] : [];
+}
+
+// Why an exception can't be saved, as an error response body, or null. An open date
+// needs opening intervals, checked as a weekday's are.
+function getExceptionError(exception) {
+  if (exception.is_closed) return null;
+  if (exception.intervals.length === 0) {
+    return { error: 'Set opening and closing times, or mark the day as closed' };
+  }
+  const intervalsError = getIntervalsError(exception.intervals);
+  return intervalsError ? { error: intervalsError, code: 'INVALID_OPENING_INTERVALS' } : null;
+}
+
+// Another exception covering the same day: the same date, or for recurring ones the
+// same month and day
+async function findDuplicateException(exception, id = null) {
+  if (exception.recurs_annually) {
+    return dbGet(
+      "SELECT id, name FROM business_hours_exceptions WHERE recurs_annually = 1 AND substr(date, 6) = ? AND id IS NOT ?",
+      [exception.date.slice(5), id]
+    );
+  }
+  return dbGet(
+    'SELECT id, name FROM business_hours_exceptions WHERE recurs_annually = 0 AND date = ? AND id IS NOT ?',
+    [exception.date, id]
+  );
+}
+
+function toExceptionRow(exception) {
+  const row = { ...exception };
+  ['is_closed', 'recurs_annually'].forEach(flag => {
+    if (flag in row) row[flag] = row[flag] ? 1 : 0;
   });
+  // A closed day keeps no times
+  if (row.is_closed) row.intervals = [];
+  if (row.intervals) {
+    const intervals = row.intervals
+      .map(interval => ({ open_time: padTime(interval.open_time), close_time: padTime(interval.close_time) }))
+      .sort((a, b) => a.open_time.localeCompare(b.open_time));
+    row.intervals = JSON.stringify(intervals);
+    row.open_time = intervals[0]?.open_time || null;
+    row.close_time = intervals[intervals.length - 1]?.close_time || null;
+  }
+  return row;
+}
+
+async function getException(id) {
+  return formatHoursException(await dbGet('SELECT * FROM business_hours_exceptions WHERE id = ?', [id]));
+}
+
+// Get every date exception, earliest first
+router.get('/exceptions', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM business_hours_exceptions ORDER BY date, id');
+    res.json({ success: true, data: rows.map(formatHoursException) });
+  } catch (error) {
+    // console.error('Error fetching business hours exceptions:', error);
+    res.status(500).json({ error: 'Failed to fetch business hours exceptions' });
+  }
 });
 
-// Get business hours for specific day
-router.get('/:day', (req, res) => {
-  const { day } = req.params;
-  const dayOfWeek = parseInt(day);
+// Add a date exception: closed, or open for `intervals` (or a single open_time and
+// close_time). It is closed unless times are given. Existing bookings on that date are
+// left as they are.
+router.post('/exceptions', exceptionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
-    return res.status(400).json({ error: 'Invalid day of week. Must be 0-6' });
+    const intervals = getBodyIntervals(req.body) || [];
+    const exception = {
+      date: req.body.date,
+      name: req.body.name,
+      kind: req.body.kind || 'holiday',
+      is_closed: req.body.is_closed ?? intervals.length === 0,
+      intervals,
+      recurs_annually: req.body.recurs_annually ?? false
+    };
+
+    const definitionError = getExceptionError(exception);
+    if (definitionError) {
+      return res.status(400).json(definitionError);
+    }
+
+    const duplicate = await findDuplicateException(exception);
+    if (duplicate) {
+      return res.status(400).json({ error: `${duplicate.name} already covers this date`, code: 'DUPLICATE_EXCEPTION' });
+    }
+
+    const row = toExceptionRow(exception);
+    const columns = Object.keys(row);
+    const { lastID } = await dbRun(
+      `INSERT INTO business_hours_exceptions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => row[column])
+    );
+
+    res.status(201).json({ success: true, data: await getException(lastID) });
+  } catch (error) {
+    // console.error('Error creating business hours exception:', error);
+    res.status(500).json({ error: 'Failed to create business hours exception' });
   }
+});
 
-  db.get(
-    'SELECT * FROM business_hours WHERE day_of_week = ?',
-    [dayOfWeek],
-    (err, row) => {
-      if (err) {
-        // console.error('Error fetching business hours for day:', err);
-        return res.status(500).json({ error: 'Failed to fetch business hours' });
-      }
+// Update a date exception
+router.put('/exceptions/:id', exceptionValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await getException(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Business hours exception not found' });
+    }
 
-      if (!row) {
-        return res.status(404).json({ error: 'Business hours not found for this day' });
+    const updates = {};
+    EXCEPTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
       }
+    });
+    const intervals = getBodyIntervals(req.body, current);
+    if (intervals !== undefined) {
+      updates.intervals = intervals;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
 
-      res.json({ success: true, data: row });
+    const merged = { ...current, ...updates };
+    const definitionError = getExceptionError(merged);
+    if (definitionError) {
+      return res.status(400).json(definitionError);
     }
-  );
+
+    const duplicate = await findDuplicateException(merged, current.id);
+    if (duplicate) {
+      return res.status(400).json({ error: `${duplicate.name} already covers this date`, code: 'DUPLICATE_EXCEPTION' });
+    }
+
+    const row = toExceptionRow({ ...updates, is_closed: merged.is_closed });
+    const fields = Object.keys(row);
+    await dbRun(
+      `UPDATE business_hours_exceptions SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => row[f]), id]
+    );
+
+    res.json({ success: true, data: await getException(id) });
+  } catch (error) {
+    // console.error('Error updating business hours exception:', error);
+    res.status(500).json({ error: 'Failed to update business hours exception' });
+  }
 });
 
-// Update business hours for specific day
+// Delete a date exception; the weekly hours apply to that date again
+router.delete('/exceptions/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM business_hours_exceptions WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Business hours exception not found' });
+    }
+    res.json({ success: true, message: 'Business hours exception deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting business hours exception:', error);
+    res.status(500).json({ error: 'Failed to delete business hours exception' });
+  }
+});
+
+// Get business hours for specific day, with its opening intervals
+router.get('/:day', async (req, res) => {
+  const dayOfWeek = parseInt(req.params.day);
+  if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    return res.status(400).json({ error: 'Invalid day of week. Must be 0-6' });
+  }
+
+  try {
+    const rows = await dbAll(`SELECT * FROM business_hours WHERE day_of_week = ? ${HOURS_ORDER}`, [dayOfWeek]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Business hours not found for this day' });
+    }
+    res.json({ success: true, data: formatDayHours(dayOfWeek, rows) });
+  } catch (error) {
+    // console.error('Error fetching business hours for day:', error);
+    res.status(500).json({ error: 'Failed to fetch business hours' });
+  }
+});
+
+// Update business hours for specific day. Either `intervals` for a split shift, or a
+// single open_time and close_time; either way the day's previous intervals are replaced.
 router.put('/:day', [
-  body('open_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('close_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('is_closed').isBoolean().optional()
-], (req, res) => {
+  body('intervals').isArray({ min: 1 }).optional(),
+  body('intervals.*.open_time').matches(TIME_PATTERN),
+  body('intervals.*.close_time').matches(TIME_PATTERN),
+  body('open_time').if(body('intervals').not().exists()).matches(TIME_PATTERN),
+  body('close_time').if(body('intervals').not().exists()).matches(TIME_PATTERN),
+  body('is_closed').isBoolean().toBoolean().optional()
+], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { day } = req.params;
-  const dayOfWeek = parseInt(day);
-
+  const dayOfWeek = parseInt(req.params.day);
   if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
     return res.status(400).json({ error: 'Invalid day of week. Must be 0-6' });
   }
 
-  const { open_time, close_time, is_closed } = req.body;
+  try {
+    const { intervals, open_time, close_time, is_closed } = req.body;
+    const rows = is_closed
+      ? [{ open_time: intervals?.[0]?.open_time || open_time, close_time: intervals?.[0]?.close_time || close_time, is_closed: true }]
+      : (intervals || [{ open_time, close_time }]);
 
-  db.run(
-    'UPDATE business_hours SET open_time = ?, close_time = ?, is_closed = ?, updated_at = CURRENT_TIMESTAMP WHERE day_of_week = ?',
-    [open_time, close_time, is_closed || false, dayOfWeek],
-    function(err) {
-      if (err) {
-        // console.error('Error updating business hours:', err);
-        return res.status(500).json({ error: 'Failed to update business hours' });
-      }
-
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Business hours not found for this day' });
-      }
-
-      // Fetch updated hours
-      db.get(
-        'SELECT * FROM business_hours WHERE day_of_week = ?',
-        [dayOfWeek],
-        (err, row) => {
-          if (err) {
-            // console.error('Error fetching updated business hours:', err);
-            return res.status(500).json({ error: 'Failed to fetch updated business hours' });
-          }
+    const dayError = getDayError(rows);
+    if (dayError) {
+      return res.status(400).json({ error: dayError, code: 'INVALID_OPENING_INTERVALS' });
+    }
 
-          res.json({ success: true, data: row });
-        }
-      );
+    const existing = await dbGet('SELECT id FROM business_hours WHERE day_of_week = ?', [dayOfWeek]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Business hours not found for this day' });
     }
-  );
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM business_hours WHERE day_of_week = ?', [dayOfWeek]);
+      await insertDayRows(dayOfWeek, rows);
+    });
+
+    const saved = await dbAll(`SELECT * FROM business_hours WHERE day_of_week = ? ${HOURS_ORDER}`, [dayOfWeek]);
+    res.json({ success: true, data: formatDayHours(dayOfWeek, saved) });
+  } catch (error) {
+    // console.error('Error updating business hours:', error);
+    res.status(500).json({ error: 'Failed to update business hours' });
+  }
 });
 
 export default router;
@@ -0,0 +1,177 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbGet, dbRun } from '../database/query.js';
+import { formatCancellationPolicy, getCancellationPolicies } from '../utils/cancellations.js';
+
+const router = express.Router();
+
+// Columns that PUT /:id may change
+const UPDATABLE_FIELDS = ['name', 'room_category', 'tiers', 'no_show_fee_percent', 'active'];
+
+const policyValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isString().trim().isLength({ min: 1, max: 100 })),
+    body('room_category').isString().trim().optional({ values: 'null' }),
+    field(body('tiers').isArray()),
+    body('tiers.*.hours_before').isFloat({ min: 0 }).toFloat()
+      .withMessage('Hours before start must be zero or more'),
+    body('tiers.*.fee_percent').isFloat({ min: 0, max: 100 }).toFloat()
+      .withMessage('Fees are a percentage of the booking price, 0-100'),
+    body('no_show_fee_percent').isFloat({ min: 0, max: 100 }).toFloat().optional(),
+    body('active').isBoolean().toBoolean().optional()
+  ];
+};
+
+function getDefinitionError(policy) {
+  const hours = policy.tiers.map(tier => tier.hours_before);
+  if (new Set(hours).size !== hours.length) {
+    return 'Each tier needs a different number of hours before start';
+  }
+  return null;
+}
+
+// Only one active policy may apply to a category (or be the default, with no category)
+async function findActiveConflict(policy, id = null) {
+  if (!policy.active) return null;
+  return dbGet(
+    `SELECT id, name FROM cancellation_policies
+     WHERE active = 1 AND room_category IS ? AND id IS NOT ?`,
+    [policy.room_category, id]
+  );
+}
+
+function toRow(policy) {
+  const row = { ...policy };
+  if (row.tiers) {
+    row.tiers = JSON.stringify(row.tiers
+      .map(tier => ({ hours_before: tier.hours_before, fee_percent: tier.fee_percent }))
+      .sort((a, b) => b.hours_before - a.hours_before));
+  }
+  if ('active' in row) row.active = row.active ? 1 : 0;
+  if (row.room_category === '') row.room_category = null;
+  return row;
+}
+
+async function getPolicy(id) {
+  return formatCancellationPolicy(await dbGet('SELECT * FROM cancellation_policies WHERE id = ?', [id]));
+}
+
+// Get all cancellation policies, the default first
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getCancellationPolicies() });
+  } catch (error) {
+    // console.error('Error fetching cancellation policies:', error);
+    res.status(500).json({ error: 'Failed to fetch cancellation policies' });
+  }
+});
+
+// Create a cancellation policy
+router.post('/', policyValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = toRow({
+      name: req.body.name,
+      room_category: req.body.room_category || null,
+      tiers: req.body.tiers,
+      no_show_fee_percent: req.body.no_show_fee_percent ?? 0,
+      active: req.body.active ?? true
+    });
+
+    const definitionError = getDefinitionError(req.body);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const conflict = await findActiveConflict(policy);
+    if (conflict) {
+      return res.status(400).json({
+        error: `${conflict.name} already applies to ${policy.room_category || 'rooms without their own policy'}; deactivate it first`
+      });
+    }
+
+    const columns = Object.keys(policy);
+    const { lastID } = await dbRun(
+      `INSERT INTO cancellation_policies (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => policy[column])
+    );
+
+    res.status(201).json({ success: true, data: await getPolicy(lastID) });
+  } catch (error) {
+    // console.error('Error creating cancellation policy:', error);
+    res.status(500).json({ error: 'Failed to create cancellation policy' });
+  }
+});
+
+// Update a cancellation policy. Existing bookings keep the copy they were made under.
+router.put('/:id', policyValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await getPolicy(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const definitionError = getDefinitionError({ ...current, ...updates });
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const row = toRow(updates);
+    const merged = { ...current, ...updates, room_category: 'room_category' in row ? row.room_category : current.room_category };
+    const conflict = await findActiveConflict(merged, current.id);
+    if (conflict) {
+      return res.status(400).json({
+        error: `${conflict.name} already applies to ${merged.room_category || 'rooms without their own policy'}; deactivate it first`
+      });
+    }
+
+    await dbRun(
+      `UPDATE cancellation_policies SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => row[f]), id]
+    );
+
+    res.json({ success: true, data: await getPolicy(id) });
+  } catch (error) {
+    // console.error('Error updating cancellation policy:', error);
+    res.status(500).json({ error: 'Failed to update cancellation policy' });
+  }
+});
+
+// Delete a cancellation policy. Bookings made under it keep their copy.
+router.delete('/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM cancellation_policies WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+    res.json({ success: true, message: 'Cancellation policy deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting cancellation policy:', error);
+    res.status(500).json({ error: 'Failed to delete cancellation policy' });
+  }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbGet, dbRun } from '../database/query.js';
+import {
+  CUSTOM_FIELD_TABLES,
+  CUSTOM_FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  formatCustomField,
+  getCustomFieldSchema
+} from '../utils/customFields.js';
+
+// Columns that PUT /:id may change. field_key is fixed once created because
+// stored values are keyed by it.
+const UPDATABLE_FIELDS = [
+  'label', 'type', 'required', 'visible', 'min_value', 'max_value', 'options', 'placeholder', 'sort_order'
+];
+
+const fieldValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('label').isLength({ min: 1 }).trim()),
+    field(body('type').isIn(CUSTOM_FIELD_TYPES)),
+    body('required').isBoolean().toBoolean().optional(),
+    body('visible').isBoolean().toBoolean().optional(),
+    body('min_value').isFloat().toFloat().optional({ values: 'null' }),
+    body('max_value').isFloat().toFloat().optional({ values: 'null' }),
+    body('options').isArray().optional(),
+    body('options.*').isString().trim().notEmpty(),
+    body('placeholder').trim().optional(),
+    body('sort_order').isInt().toInt().optional()
+  ];
+};
+
+function getDefinitionError(definition) {
+  if (definition.type === 'select' && definition.options.length === 0) {
+    return 'Select fields need at least one option';
+  }
+  if (definition.min_value !== null && definition.max_value !== null && definition.min_value > definition.max_value) {
+    return 'Minimum cannot be greater than maximum';
+  }
+  return null;
+}
+
+// Routes for the custom field schema of `entity` ('booking' or 'room'), mounted at
+// /api/booking-fields and /api/room-fields
+export function createCustomFieldsRouter(entity) {
+  const router = express.Router();
+  const table = CUSTOM_FIELD_TABLES[entity];
+  const noun = `${entity} field`;
+  const Noun = noun.charAt(0).toUpperCase() + noun.slice(1);
+
+  // Get the venue's custom field schema
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ success: true, data: await getCustomFieldSchema(entity) });
+    } catch (error) {
+      // console.error(`Error fetching ${noun}s:`, error);
+      res.status(500).json({ error: `Failed to fetch ${noun}s` });
+    }
+  });
+
+  // Define a custom field
+  router.post('/', [
+    body('field_key').matches(FIELD_KEY_PATTERN),
+    ...fieldValidators(false)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const definition = {
+        field_key: req.body.field_key,
+        label: req.body.label,
+        type: req.body.type,
+        required: req.body.required ?? false,
+        visible: req.body.visible ?? true,
+        min_value: req.body.min_value ?? null,
+        max_value: req.body.max_value ?? null,
+        options: req.body.options || [],
+        placeholder: req.body.placeholder || null,
+        sort_order: req.body.sort_order ?? 0
+      };
+
+      const definitionError = getDefinitionError(definition);
+      if (definitionError) {
+        return res.status(400).json({ error: definitionError });
+      }
+
+      const existing = await dbGet(`SELECT id FROM ${table} WHERE field_key = ?`, [definition.field_key]);
+      if (existing) {
+        return res.status(400).json({ error: 'A field with this key already exists', code: 'DUPLICATE_FIELD_KEY' });
+      }
+
+      const { lastID } = await dbRun(
+        `INSERT INTO ${table} (field_key, label, type, required, visible,
+         min_value, max_value, options, placeholder, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          definition.field_key, definition.label, definition.type, definition.required ? 1 : 0,
+          definition.visible ? 1 : 0, definition.min_value, definition.max_value,
+          JSON.stringify(definition.options), definition.placeholder, definition.sort_order
+        ]
+      );
+
+      const row = await dbGet(`SELECT * FROM ${table} WHERE id = ?`, [lastID]);
+      res.status(201).json({ success: true, data: formatCustomField(row) });
+    } catch (error) {
+      // console.error(`Error creating ${noun}:`, error);
+      res.status(500).json({ error: `Failed to create ${noun}` });
+    }
+  });
+
+  // Update a custom field definition
+  router.put('/:id', fieldValidators(true), async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const current = await dbGet(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+      if (!current) {
+        return res.status(404).json({ error: `${Noun} not found` });
+      }
+
+      const updates = {};
+      UPDATABLE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      const fields = Object.keys(updates);
+      if (fields.length === 0) {
+        return res.status(400).json({ error: 'No valid fields to update' });
+      }
+
+      const definitionError = getDefinitionError({ ...formatCustomField(current), ...updates });
+      if (definitionError) {
+        return res.status(400).json({ error: definitionError });
+      }
+
+      if (updates.options) updates.options = JSON.stringify(updates.options);
+      ['required', 'visible'].forEach(flag => {
+        if (flag in updates) updates[flag] = updates[flag] ? 1 : 0;
+      });
+
+      await dbRun(
+        `UPDATE ${table} SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(f => updates[f]), id]
+      );
+
+      const row = await dbGet(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+      res.json({ success: true, data: formatCustomField(row) });
+    } catch (error) {
+      // console.error(`Error updating ${noun}:`, error);
+      res.status(500).json({ error: `Failed to update ${noun}` });
+    }
+  });
+
+  // Remove a custom field. Values already stored are kept but no longer shown,
+  // validated or filterable.
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { changes } = await dbRun(`DELETE FROM ${table} WHERE id = ?`, [req.params.id]);
+      if (changes === 0) {
+        return res.status(404).json({ error: `${Noun} not found` });
+      }
+      res.json({ success: true, message: `${Noun} removed successfully` });
+    } catch (error) {
+      // console.error(`Error removing ${noun}:`, error);
+      res.status(500).json({ error: `Failed to remove ${noun}` });
+    }
+  });
+
+  return router;
+}
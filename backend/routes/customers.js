@@ -0,0 +1,203 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { containsPattern, dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { BOOKING_WITH_ROOM_QUERY, formatBooking } from '../utils/bookingModel.js';
+import {
+  CUSTOMER_WITH_STATS_SQL,
+  customerStatsParams,
+  findCustomerByContact,
+  formatCustomer,
+  getCustomer,
+  insertCustomer
+} from '../utils/customers.js';
+import { normalizeCustomerEmail, normalizeCustomerPhone } from '../utils/promotions.js';
+
+const router = express.Router();
+
+// ?sort= values for the customer list; the most useful first for each
+const CUSTOMER_SORTS = {
+  last_visit: 'last_visit IS NULL, last_visit DESC, c.name',
+  total_spend: 'total_spend DESC, c.name',
+  booking_count: 'booking_count DESC, c.name',
+  name: 'c.name COLLATE NOCASE, c.id'
+};
+
+const customerValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isString().trim().isLength({ min: 1, max: 100 })),
+    body('email').isEmail().normalizeEmail().optional({ values: 'falsy' }),
+    body('phone').isString().trim().isLength({ max: 30 }).optional({ values: 'null' }),
+    body('notes').isString().trim().optional({ values: 'null' })
+  ];
+};
+
+// Throw a 400 error when another customer already has this email or phone. Call inside
+// the transaction that saves the customer, so two requests can't both pass the check.
+async function assertNotDuplicate(contact, excludeId = null) {
+  const duplicate = await findCustomerByContact(contact, excludeId);
+  if (duplicate) {
+    const error = new Error(`${duplicate.name} already has this email or phone`);
+    error.status = 400;
+    error.code = 'DUPLICATE_CUSTOMER';
+    error.customer_id = duplicate.id;
+    throw error;
+  }
+}
+
+const sendDuplicate = (res, error) => res.status(400).json({
+  error: error.message,
+  code: error.code,
+  customer_id: error.customer_id
+});
+
+// Get customers with their booking count, last visit and total spend. ?search= matches
+// name, email or phone (ignoring its formatting), as used by booking autocomplete.
+router.get('/', [
+  query('search').isString().trim().optional(),
+  query('sort').isIn(Object.keys(CUSTOMER_SORTS)).optional(),
+  query('limit').isInt({ min: 1, max: 500 }).toInt().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, sort = 'last_visit', limit = 100 } = req.query;
+    let sql = CUSTOMER_WITH_STATS_SQL;
+    const params = customerStatsParams();
+
+    if (search) {
+      const conditions = ["c.name LIKE ? ESCAPE '\\'", "c.email_normalized LIKE ? ESCAPE '\\'"];
+      params.push(containsPattern(search), containsPattern(search.toLowerCase()));
+      const digits = normalizeCustomerPhone(search);
+      if (digits) {
+        conditions.push('c.phone_normalized LIKE ?');
+        params.push(`%${digits}%`);
+      }
+      sql += ` WHERE (${conditions.join(' OR ')})`;
+    }
+
+    sql += ` GROUP BY c.id ORDER BY ${CUSTOMER_SORTS[sort]} LIMIT ?`;
+    params.push(limit);
+
+    const rows = await dbAll(sql, params);
+    res.json({ success: true, data: rows.map(formatCustomer) });
+  } catch (error) {
+    // console.error('Error fetching customers:', error);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
+});
+
+// Get a customer with their bookings, most recent first
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await getCustomer(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const bookings = await dbAll(
+      `${BOOKING_WITH_ROOM_QUERY} WHERE b.customer_id = ? ORDER BY b.start_time DESC`,
+      [customer.id]
+    );
+    res.json({ success: true, data: { ...customer, bookings: bookings.map(formatBooking) } });
+  } catch (error) {
+    // console.error('Error fetching customer:', error);
+    res.status(500).json({ error: 'Failed to fetch customer' });
+  }
+});
+
+// Add a customer by hand; most are created by their first booking
+router.post('/', customerValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email = null, phone = null, notes = null } = req.body;
+    const id = await withTransaction(async () => {
+      await assertNotDuplicate({ email, phone });
+      return insertCustomer({ name, email, phone, notes: notes || null });
+    });
+    res.status(201).json({ success: true, data: await getCustomer(id) });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_CUSTOMER') {
+      return sendDuplicate(res, error);
+    }
+    // console.error('Error creating customer:', error);
+    res.status(500).json({ error: 'Failed to create customer' });
+  }
+});
+
+// Update a customer. Their bookings keep the details they were made with.
+router.put('/:id', customerValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const current = await dbGet('SELECT * FROM customers WHERE id = ?', [req.params.id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const updates = {};
+    ['name', 'email', 'phone', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] || null;
+      }
+    });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+    if ('email' in updates) updates.email_normalized = normalizeCustomerEmail(updates.email);
+    if ('phone' in updates) updates.phone_normalized = normalizeCustomerPhone(updates.phone);
+
+    const contact = {
+      email: 'email' in updates ? updates.email : null,
+      phone: 'phone' in updates ? updates.phone : null
+    };
+    const fields = Object.keys(updates);
+    await withTransaction(async () => {
+      await assertNotDuplicate(contact, current.id);
+      await dbRun(
+        `UPDATE customers SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(f => updates[f]), current.id]
+      );
+    });
+
+    res.json({ success: true, data: await getCustomer(current.id) });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_CUSTOMER') {
+      return sendDuplicate(res, error);
+    }
+    // console.error('Error updating customer:', error);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// Delete a customer. Not allowed while any booking, cancelled ones included, is theirs.
+router.delete('/:id', async (req, res) => {
+  try {
+    const customer = await dbGet('SELECT id FROM customers WHERE id = ?', [req.params.id]);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { count } = await dbGet('SELECT COUNT(*) as count FROM bookings WHERE customer_id = ?', [customer.id]);
+    if (count > 0) {
+      return res.status(400).json({ error: 'Cannot delete a customer with bookings', code: 'CUSTOMER_HAS_BOOKINGS' });
+    }
+
+    await dbRun('DELETE FROM customers WHERE id = ?', [customer.id]);
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting customer:', error);
+    res.status(500).json({ error: 'Failed to delete customer' });
+  }
+});
+
+export default router;
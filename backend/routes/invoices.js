@@ -0,0 +1,113 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { dbGet, dbAll, withTransaction } from '../database/query.js';
+import { DOCUMENT_TYPES, BUSINESS_FIELDS, formatInvoice, issueDocument } from '../utils/invoices.js';
+import { renderDocumentHtml, renderDocumentPdf } from '../utils/invoiceRenderers.js';
+import { getVenueClock } from '../utils/venueTime.js';
+
+const router = express.Router();
+
+async function getDocument(id) {
+  return formatInvoice(await dbGet('SELECT * FROM invoices WHERE id = ?', [id]));
+}
+
+// Invoices and receipts issued for a booking, newest first
+router.get('/', [
+  query('booking_id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rows = await dbAll(
+      'SELECT * FROM invoices WHERE booking_id = ? ORDER BY created_at DESC, id DESC',
+      [req.query.booking_id]
+    );
+    res.json({ success: true, data: rows.map(formatInvoice) });
+  } catch (error) {
+    // console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Issue an invoice or receipt for a booking. The business details to print come from
+// the caller, and any it leaves out from the stored settings. Asking again when nothing
+// has changed returns the document already issued.
+router.post('/', [
+  body('booking_id').isInt({ min: 1 }).toInt(),
+  body('document_type').isIn(DOCUMENT_TYPES),
+  body('business').isObject().optional({ values: 'null' }),
+  ...BUSINESS_FIELDS.map(field => body(`business.${field}`).isString().trim().optional({ values: 'null' }))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { booking_id, document_type, business } = req.body;
+    const result = await withTransaction(() => issueDocument(booking_id, document_type, business || {}));
+    if (!result) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.document });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error issuing invoice:', error);
+    res.status(500).json({ error: 'Failed to issue document' });
+  }
+});
+
+// Get an issued document
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, data: document });
+  } catch (error) {
+    // console.error('Error fetching invoice:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// Download an issued document as a printable HTML page
+router.get('/:id/html', async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${document.number}.html"`);
+    const { timezone } = await getVenueClock();
+    res.send(renderDocumentHtml(document, timezone));
+  } catch (error) {
+    // console.error('Error rendering invoice:', error);
+    res.status(500).json({ error: 'Failed to render document' });
+  }
+});
+
+// Download an issued document as a PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${document.number}.pdf"`);
+    const { timezone } = await getVenueClock();
+    res.send(renderDocumentPdf(document, timezone));
+  } catch (error) {
+    // console.error('Error rendering invoice:', error);
+    res.status(500).json({ error: 'Failed to render document' });
+  }
+});
+
+export default router;
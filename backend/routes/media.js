@@ -0,0 +1,31 @@
+import express from 'express';
+import path from 'path';
+import { getMediaStorage, MEDIA_KEY_PATTERN } from '../utils/mediaStorage.js';
+
+const router = express.Router();
+
+// Serve a stored file by its media key, e.g. /api/media/rooms/3/9f2c...e1.jpg
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    if (!MEDIA_KEY_PATTERN.test(key)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const buffer = await getMediaStorage().read(key);
+    if (!buffer) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Keys are never reused, so a file can be cached for good. The app may be on
+    // another origin, which helmet's default resource policy would block.
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type(path.extname(key)).send(buffer);
+  } catch (error) {
+    // console.error('Error serving media file:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+export default router;
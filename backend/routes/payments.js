@@ -0,0 +1,154 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbGet, withTransaction } from '../database/query.js';
+import { roundCurrency } from '../utils/pricing.js';
+import { getPaymentProvider, listPaymentProviders, PAYMENT_PROVIDERS } from '../utils/paymentProviders.js';
+import {
+  PAYMENT_ENTRY_TYPES,
+  addLedgerEntry,
+  getLedgerEntries,
+  getPaymentLedger,
+  getRefundableAmount
+} from '../utils/payments.js';
+
+const router = express.Router();
+
+function paymentError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+// Take a payment through its provider. Declined attempts are recorded too.
+async function collectPayment(booking, { amount, provider: providerId, card_number, reference, note }) {
+  const provider = getPaymentProvider(providerId);
+  if (!provider) {
+    throw paymentError('Choose how the payment was taken', 'PROVIDER_REQUIRED');
+  }
+
+  const ledger = await getPaymentLedger(booking.id);
+  if (amount > ledger.summary.balance_due) {
+    throw paymentError(`Payment is more than the balance due of ${ledger.summary.balance_due.toFixed(2)}`, 'AMOUNT_TOO_HIGH');
+  }
+
+  const result = await provider.collect({ amount, booking, details: { card_number, reference } });
+  return addLedgerEntry({
+    booking_id: booking.id,
+    entry_type: 'payment',
+    amount,
+    provider: provider.id,
+    status: result.status,
+    reference: result.reference,
+    card_last4: result.card_last4 || null,
+    note: note || null,
+    failure_reason: result.failure_reason || null
+  });
+}
+
+// Give back (part of) an earlier payment through the provider that took it
+async function refundPayment(booking, { amount, payment_id, note }) {
+  const payment = await dbGet(
+    "SELECT * FROM payments WHERE id = ? AND booking_id = ? AND entry_type = 'payment' AND status = 'succeeded'",
+    [payment_id, booking.id]
+  );
+  if (!payment) {
+    throw paymentError('Choose a payment on this booking to refund', 'PAYMENT_NOT_FOUND');
+  }
+
+  const refundable = getRefundableAmount(payment, await getLedgerEntries(booking.id));
+  if (amount > refundable) {
+    throw paymentError(`At most ${refundable.toFixed(2)} of this payment can be refunded`, 'AMOUNT_TOO_HIGH');
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.refund({ amount, payment });
+  return addLedgerEntry({
+    booking_id: booking.id,
+    entry_type: 'refund',
+    amount,
+    provider: provider.id,
+    status: result.status,
+    reference: result.reference,
+    card_last4: result.card_last4 || null,
+    refunded_payment_id: payment.id,
+    note: note || null,
+    failure_reason: result.failure_reason || null
+  });
+}
+
+// Payment providers staff can take payments through
+router.get('/providers', (req, res) => {
+  res.json({ success: true, data: listPaymentProviders() });
+});
+
+// A booking's ledger, oldest entry first, with its balance and deposit
+router.get('/booking/:bookingId', async (req, res) => {
+  try {
+    const ledger = await getPaymentLedger(req.params.bookingId);
+    if (!ledger) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.json({ success: true, data: ledger });
+  } catch (error) {
+    // console.error('Error fetching payment ledger:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Add a ledger entry. Payments and refunds go through a provider; charges and
+// adjustments are bookkeeping and need a note saying what they are for. Entries are
+// never edited or removed: mistakes are corrected with an adjustment.
+router.post('/', [
+  body('booking_id').isInt({ min: 1 }).toInt(),
+  body('entry_type').isIn(PAYMENT_ENTRY_TYPES),
+  body('amount').isFloat().toFloat(),
+  body('provider').isIn(Object.keys(PAYMENT_PROVIDERS)).optional({ values: 'null' }),
+  body('payment_id').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+  body('card_number').isString().optional({ values: 'null' }),
+  body('reference').isString().trim().optional({ values: 'null' }),
+  body('note').isString().trim().optional({ values: 'null' })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { booking_id, entry_type, note } = req.body;
+    const amount = roundCurrency(req.body.amount);
+    if (entry_type === 'adjustment' ? amount === 0 : amount <= 0) {
+      return res.status(400).json({ error: 'Enter an amount greater than zero' });
+    }
+    if ((entry_type === 'charge' || entry_type === 'adjustment') && !note) {
+      return res.status(400).json({ error: `A ${entry_type} needs a note saying what it is for` });
+    }
+
+    const booking = await dbGet('SELECT id, customer_name, total_price, status FROM bookings WHERE id = ?', [booking_id]);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    // Balance checks and the entry they allow are written together
+    const entry = await withTransaction(() => {
+      const values = { ...req.body, amount };
+      if (entry_type === 'payment') return collectPayment(booking, values);
+      if (entry_type === 'refund') return refundPayment(booking, values);
+      return addLedgerEntry({ booking_id, entry_type, amount, status: 'succeeded', note });
+    });
+
+    const ledger = await getPaymentLedger(booking_id);
+    if (entry.status === 'failed') {
+      return res.status(400).json({ error: entry.failure_reason || 'Payment failed', code: 'PAYMENT_FAILED', data: { entry, ...ledger } });
+    }
+    res.status(201).json({ success: true, data: { entry, ...ledger } });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    // console.error('Error recording payment:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+export default router;
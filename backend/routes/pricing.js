@@ -0,0 +1,255 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { dbGet, dbRun } from '../database/query.js';
+import { getPricingRoom } from '../utils/bookingModel.js';
+import {
+  PRICING_RULE_TYPES,
+  PRICING_AMOUNT_TYPES,
+  RULE_AMOUNT_TYPES,
+  TIME_OF_DAY_PATTERN,
+  formatPricingRule,
+  getPricingRules,
+  quotePrice
+} from '../utils/pricing.js';
+import { getBookingPromos, resolvePromoCodes } from '../utils/promotions.js';
+import { getGroupPricingRoom, getRoomGroup } from '../utils/roomGroups.js';
+
+const router = express.Router();
+
+// Columns that PUT /rules/:id may change
+const UPDATABLE_FIELDS = [
+  'name', 'rule_type', 'amount', 'amount_type', 'days_of_week', 'start_time', 'end_time',
+  'start_date', 'end_date', 'room_id', 'category', 'priority', 'active'
+];
+
+const ruleValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isLength({ min: 1 }).trim()),
+    field(body('rule_type').isIn(PRICING_RULE_TYPES)),
+    field(body('amount').isFloat({ min: 0 }).toFloat()),
+    field(body('amount_type').isIn(PRICING_AMOUNT_TYPES)),
+    body('days_of_week').isArray().optional(),
+    body('days_of_week.*').isInt({ min: 0, max: 6 }).toInt(),
+    body('start_time').matches(TIME_OF_DAY_PATTERN).optional({ values: 'null' }),
+    body('end_time').matches(TIME_OF_DAY_PATTERN).optional({ values: 'null' }),
+    body('start_date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).optional({ values: 'null' }),
+    body('end_date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).optional({ values: 'null' }),
+    body('room_id').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+    body('category').trim().optional({ values: 'null' }),
+    body('priority').isInt().toInt().optional(),
+    body('active').isBoolean().toBoolean().optional()
+  ];
+};
+
+function getDefinitionError(rule) {
+  if (!RULE_AMOUNT_TYPES[rule.rule_type].includes(rule.amount_type)) {
+    return `A ${rule.rule_type} rule cannot be priced ${rule.amount_type.replace('_', ' ')}`;
+  }
+  if (Boolean(rule.start_time) !== Boolean(rule.end_time)) {
+    return 'A time band needs both a start and an end time';
+  }
+  if (rule.start_time && rule.start_time === rule.end_time) {
+    return 'A time band cannot start and end at the same time';
+  }
+  if (rule.start_date && rule.end_date && rule.start_date > rule.end_date) {
+    return 'Start date cannot be after end date';
+  }
+  return null;
+}
+
+function toRow(rule) {
+  const row = { ...rule };
+  if (row.days_of_week) row.days_of_week = JSON.stringify([...new Set(row.days_of_week)].sort());
+  if ('active' in row) row.active = row.active ? 1 : 0;
+  if (row.category === '') row.category = null;
+  return row;
+}
+
+// Get all pricing rules, highest priority first
+router.get('/rules', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getPricingRules() });
+  } catch (error) {
+    // console.error('Error fetching pricing rules:', error);
+    res.status(500).json({ error: 'Failed to fetch pricing rules' });
+  }
+});
+
+// Create a pricing rule
+router.post('/rules', ruleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = {
+      name: req.body.name,
+      rule_type: req.body.rule_type,
+      amount: req.body.amount,
+      amount_type: req.body.amount_type,
+      days_of_week: req.body.days_of_week || [],
+      start_time: req.body.start_time || null,
+      end_time: req.body.end_time || null,
+      start_date: req.body.start_date || null,
+      end_date: req.body.end_date || null,
+      room_id: req.body.room_id || null,
+      category: req.body.category || null,
+      priority: req.body.priority ?? 0,
+      active: req.body.active ?? true
+    };
+
+    const definitionError = getDefinitionError(rule);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const row = toRow(rule);
+    const columns = Object.keys(row);
+    const { lastID } = await dbRun(
+      `INSERT INTO pricing_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => row[column])
+    );
+
+    const created = await dbGet('SELECT * FROM pricing_rules WHERE id = ?', [lastID]);
+    res.status(201).json({ success: true, data: formatPricingRule(created) });
+  } catch (error) {
+    // console.error('Error creating pricing rule:', error);
+    res.status(500).json({ error: 'Failed to create pricing rule' });
+  }
+});
+
+// Update a pricing rule. Existing bookings keep their price until they are next changed.
+router.put('/rules/:id', ruleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await dbGet('SELECT * FROM pricing_rules WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const definitionError = getDefinitionError({ ...formatPricingRule(current), ...updates });
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const row = toRow(updates);
+    await dbRun(
+      `UPDATE pricing_rules SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => row[f]), id]
+    );
+
+    const updated = await dbGet('SELECT * FROM pricing_rules WHERE id = ?', [id]);
+    res.json({ success: true, data: formatPricingRule(updated) });
+  } catch (error) {
+    // console.error('Error updating pricing rule:', error);
+    res.status(500).json({ error: 'Failed to update pricing rule' });
+  }
+});
+
+// Delete a pricing rule
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM pricing_rules WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    res.json({ success: true, message: 'Pricing rule deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting pricing rule:', error);
+    res.status(500).json({ error: 'Failed to delete pricing rule' });
+  }
+});
+
+// Itemised quote for booking a room for a time, as a booking would be priced.
+// additional_fees, discount and a hand-set base_price are applied like staff input.
+// promo_codes (comma separated) are checked as on booking, per-customer caps against
+// customer_email / customer_phone. booking_id quotes an existing booking, which keeps
+// the promos redeemed on it instead.
+router.get('/quote', [
+  query('room_group_id').isInt({ min: 1 }).toInt().optional(),
+  query('room_id').if(query('room_group_id').not().exists()).isInt({ min: 1 }).toInt(),
+  query('start_time').isISO8601(),
+  query('end_time').isISO8601(),
+  query('base_price').isFloat({ min: 0 }).toFloat().optional(),
+  query('additional_fees').isFloat({ min: 0 }).toFloat().optional(),
+  query('discount').isFloat({ min: 0 }).toFloat().optional(),
+  query('promo_codes').isString().optional(),
+  query('customer_email').isString().optional(),
+  query('customer_phone').isString().optional(),
+  query('booking_id').isInt({ min: 1 }).toInt().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { room_group_id, start_time, end_time, base_price, additional_fees, discount } = req.query;
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    // A combined booking is quoted at its group's rate and checked against promo
+    // restrictions as its first room, as POST /bookings does
+    let room_id = req.query.room_id;
+    let room;
+    if (room_group_id) {
+      const group = await getRoomGroup(room_group_id);
+      if (!group) {
+        return res.status(404).json({ error: 'Room group not found' });
+      }
+      room_id = group.room_ids[0];
+      room = getGroupPricingRoom(group);
+    } else {
+      room = await getPricingRoom(room_id);
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+    }
+
+    const promos = req.query.booking_id
+      ? await getBookingPromos(req.query.booking_id)
+      : await resolvePromoCodes((req.query.promo_codes || '').split(','), {
+        room_id,
+        start_time,
+        end_time,
+        customer_email: req.query.customer_email,
+        customer_phone: req.query.customer_phone
+      });
+
+    const quote = await quotePrice({
+      room,
+      start_time,
+      end_time,
+      adjustments: { base_price: base_price ?? null, additional_fees: additional_fees || 0, discount: discount || 0, promos }
+    });
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, code: error.code, promo_code: error.promo_code });
+    }
+    // console.error('Error quoting price:', error);
+    res.status(500).json({ error: 'Failed to quote price' });
+  }
+});
+
+export default router;
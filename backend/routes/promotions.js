@@ -0,0 +1,239 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { TIME_OF_DAY_PATTERN } from '../utils/pricing.js';
+import {
+  PROMO_DISCOUNT_TYPES,
+  normalizePromoCode,
+  formatPromoCode,
+  getPromoCodes
+} from '../utils/promotions.js';
+
+const router = express.Router();
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{2,32}$/;
+
+// Columns that PUT /:id may change
+const UPDATABLE_FIELDS = [
+  'code', 'description', 'discount_type', 'amount', 'valid_from', 'valid_until', 'room_ids', 'days_of_week',
+  'start_time', 'end_time', 'min_duration_minutes', 'max_uses', 'max_uses_per_customer', 'stackable', 'active'
+];
+
+const promoValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('code').customSanitizer(normalizePromoCode).matches(PROMO_CODE_PATTERN)
+      .withMessage('Codes are 2-32 letters, digits, dashes or underscores')),
+    body('description').trim().optional({ values: 'null' }),
+    field(body('discount_type').isIn(PROMO_DISCOUNT_TYPES)),
+    field(body('amount').isFloat({ min: 0 }).toFloat()),
+    body('valid_from').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).optional({ values: 'null' }),
+    body('valid_until').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).optional({ values: 'null' }),
+    body('room_ids').isArray().optional(),
+    body('room_ids.*').isInt({ min: 1 }).toInt(),
+    body('days_of_week').isArray().optional(),
+    body('days_of_week.*').isInt({ min: 0, max: 6 }).toInt(),
+    body('start_time').matches(TIME_OF_DAY_PATTERN).optional({ values: 'null' }),
+    body('end_time').matches(TIME_OF_DAY_PATTERN).optional({ values: 'null' }),
+    body('min_duration_minutes').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+    body('max_uses').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+    body('max_uses_per_customer').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+    body('stackable').isBoolean().toBoolean().optional(),
+    body('active').isBoolean().toBoolean().optional()
+  ];
+};
+
+function getDefinitionError(promo) {
+  if (promo.discount_type === 'percent' && promo.amount > 100) {
+    return 'A percentage discount cannot be more than 100%';
+  }
+  if (Boolean(promo.start_time) !== Boolean(promo.end_time)) {
+    return 'A time band needs both a start and an end time';
+  }
+  if (promo.start_time && promo.start_time === promo.end_time) {
+    return 'A time band cannot start and end at the same time';
+  }
+  if (promo.valid_from && promo.valid_until && promo.valid_from > promo.valid_until) {
+    return 'Valid from cannot be after valid until';
+  }
+  return null;
+}
+
+function toRow(promo) {
+  const row = { ...promo };
+  if (row.room_ids) row.room_ids = JSON.stringify([...new Set(row.room_ids)].sort((a, b) => a - b));
+  if (row.days_of_week) row.days_of_week = JSON.stringify([...new Set(row.days_of_week)].sort());
+  if ('stackable' in row) row.stackable = row.stackable ? 1 : 0;
+  if ('active' in row) row.active = row.active ? 1 : 0;
+  if (row.description === '') row.description = null;
+  return row;
+}
+
+async function getPromoWithCount(id) {
+  const row = await dbGet(`
+    SELECT p.*, (
+      SELECT COUNT(*) FROM promo_redemptions r JOIN bookings b ON b.id = r.booking_id
+      WHERE r.promo_code_id = p.id AND b.status != 'cancelled'
+    ) AS redemption_count
+    FROM promo_codes p WHERE p.id = ?
+  `, [id]);
+  return formatPromoCode(row);
+}
+
+// Get all promo codes with their redemption counts
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getPromoCodes() });
+  } catch (error) {
+    // console.error('Error fetching promo codes:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// Get the bookings a promo code was redeemed on, newest first
+router.get('/:id/redemptions', async (req, res) => {
+  try {
+    const promo = await dbGet('SELECT id FROM promo_codes WHERE id = ?', [req.params.id]);
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const redemptions = await dbAll(`
+      SELECT r.id, r.booking_id, r.code, r.discount_type, r.amount, r.customer_email, r.customer_phone, r.created_at,
+        b.customer_name, b.start_time, b.status, b.confirmation_code
+      FROM promo_redemptions r
+      JOIN bookings b ON b.id = r.booking_id
+      WHERE r.promo_code_id = ?
+      ORDER BY r.created_at DESC, r.id DESC
+    `, [req.params.id]);
+    res.json({ success: true, data: redemptions });
+  } catch (error) {
+    // console.error('Error fetching promo redemptions:', error);
+    res.status(500).json({ error: 'Failed to fetch promo redemptions' });
+  }
+});
+
+// Create a promo code
+router.post('/', promoValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promo = {
+      code: req.body.code,
+      description: req.body.description || null,
+      discount_type: req.body.discount_type,
+      amount: req.body.amount,
+      valid_from: req.body.valid_from || null,
+      valid_until: req.body.valid_until || null,
+      room_ids: req.body.room_ids || [],
+      days_of_week: req.body.days_of_week || [],
+      start_time: req.body.start_time || null,
+      end_time: req.body.end_time || null,
+      min_duration_minutes: req.body.min_duration_minutes ?? null,
+      max_uses: req.body.max_uses ?? null,
+      max_uses_per_customer: req.body.max_uses_per_customer ?? null,
+      stackable: req.body.stackable ?? false,
+      active: req.body.active ?? true
+    };
+
+    const definitionError = getDefinitionError(promo);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const existing = await dbGet('SELECT id FROM promo_codes WHERE code = ?', [promo.code]);
+    if (existing) {
+      return res.status(400).json({ error: `Promo code ${promo.code} already exists` });
+    }
+
+    const row = toRow(promo);
+    const columns = Object.keys(row);
+    const { lastID } = await dbRun(
+      `INSERT INTO promo_codes (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => row[column])
+    );
+
+    res.status(201).json({ success: true, data: await getPromoWithCount(lastID) });
+  } catch (error) {
+    // console.error('Error creating promo code:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// Update a promo code. Bookings it was already redeemed on keep the discount they got.
+router.put('/:id', promoValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await dbGet('SELECT * FROM promo_codes WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const definitionError = getDefinitionError({ ...formatPromoCode(current), ...updates });
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    if (updates.code && updates.code !== current.code) {
+      const existing = await dbGet('SELECT id FROM promo_codes WHERE code = ?', [updates.code]);
+      if (existing) {
+        return res.status(400).json({ error: `Promo code ${updates.code} already exists` });
+      }
+    }
+
+    const row = toRow(updates);
+    await dbRun(
+      `UPDATE promo_codes SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => row[f]), id]
+    );
+
+    res.json({ success: true, data: await getPromoWithCount(id) });
+  } catch (error) {
+    // console.error('Error updating promo code:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// Delete a promo code that has never been redeemed; redeemed codes are deactivated instead
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const promo = await dbGet('SELECT id FROM promo_codes WHERE id = ?', [id]);
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const redeemed = await dbGet('SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = ?', [id]);
+    if (redeemed.count > 0) {
+      return res.status(400).json({ error: 'This code has been redeemed, so it can only be deactivated' });
+    }
+
+    await dbRun('DELETE FROM promo_codes WHERE id = ?', [id]);
+    res.json({ success: true, message: 'Promo code deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting promo code:', error);
+    res.status(500).json({ error: 'Failed to delete promo code' });
+  }
+});
+
+export default router;
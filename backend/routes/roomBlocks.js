@@ -0,0 +1,197 @@
+import express from 'express';
+import moment from 'moment';
+import { body, query, validationResult } from 'express-validator';
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { assertNoConflicts, BookingConflictError } from '../utils/bookingConflicts.js';
+import { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES, buildRRule } from '../utils/recurrence.js';
+import {
+  expandBlock,
+  findAffectedBookings,
+  findReplacementRoom,
+  findRoomBlocks,
+  getLastEndTime
+} from '../utils/roomBlocks.js';
+import { getVenueClock, storeBodyTimes } from '../utils/venueTime.js';
+
+const router = express.Router();
+
+// Block times arrive in any offset and are stored in UTC
+router.use(storeBodyTimes(['start_time', 'end_time']));
+
+const BLOCK_WITH_ROOM_QUERY = `
+  SELECT room_blocks.*, rooms.name as room_name
+  FROM room_blocks LEFT JOIN rooms ON rooms.id = room_blocks.room_id
+`;
+
+const formatAffectedBooking = (booking, replacementRoom) => ({
+  id: booking.id,
+  room_id: booking.room_id,
+  room_name: booking.room_name,
+  room_group_id: booking.room_group_id,
+  customer_name: booking.customer_name,
+  party_size: booking.party_size,
+  start_time: booking.start_time,
+  end_time: booking.end_time,
+  status: booking.status,
+  replacement_room: replacementRoom
+});
+
+// Bookings the block's occurrences land on, each with an equivalent free room to move
+// it to. Two bookings are never offered the same room for overlapping times.
+async function getAffectedBookings(occurrences) {
+  const claimed = [];
+  const isFree = async (roomId, booking) => {
+    const overlapsClaim = claimed.some(claim => (
+      claim.room_id === roomId && claim.start_time < booking.end_time && claim.end_time > booking.start_time
+    ));
+    if (overlapsClaim) return false;
+    try {
+      await assertNoConflicts(roomId, booking.start_time, booking.end_time, [booking.id]);
+      return true;
+    } catch (error) {
+      if (error instanceof BookingConflictError) return false;
+      throw error;
+    }
+  };
+
+  const affected = [];
+  for (const booking of await findAffectedBookings(occurrences)) {
+    const replacementRoom = await findReplacementRoom(booking, isFree);
+    if (replacementRoom) {
+      claimed.push({ room_id: replacementRoom.id, start_time: booking.start_time, end_time: booking.end_time });
+    }
+    affected.push(formatAffectedBooking(booking, replacementRoom));
+  }
+  return affected;
+}
+
+// Get room blocks that have not ended yet (or all of them with ?include_past=true)
+router.get('/', [
+  query('room_id').isInt({ min: 1 }).optional(),
+  query('include_past').isBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (req.query.room_id) {
+      conditions.push('room_blocks.room_id = ?');
+      params.push(req.query.room_id);
+    }
+    if (req.query.include_past !== 'true') {
+      conditions.push('room_blocks.last_end_time > ?');
+      params.push(moment().toISOString());
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const blocks = await dbAll(`${BLOCK_WITH_ROOM_QUERY}${where} ORDER BY room_blocks.start_time`, params);
+    res.json({ success: true, data: blocks });
+  } catch (error) {
+    // console.error('Error fetching room blocks:', error);
+    res.status(500).json({ error: 'Failed to fetch room blocks' });
+  }
+});
+
+// Block occurrences overlapping [start_time, end_time), for drawing the schedule
+router.get('/occurrences', [
+  query('start_time').isISO8601(),
+  query('end_time').isISO8601(),
+  query('room_id').isInt({ min: 1 }).optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { start_time, end_time, room_id } = req.query;
+    const occurrences = await findRoomBlocks(room_id ? [parseInt(room_id)] : null, start_time, end_time);
+    res.json({ success: true, data: occurrences });
+  } catch (error) {
+    // console.error('Error fetching room block occurrences:', error);
+    res.status(500).json({ error: 'Failed to fetch room block occurrences' });
+  }
+});
+
+// Block a room. Bookings already in the way are kept; they come back as `affected`,
+// each with a free room it could move to. With dry_run nothing is saved.
+router.post('/', [
+  body('room_id').isInt({ min: 1 }).toInt(),
+  body('reason').isString().trim().isLength({ min: 1, max: 200 }),
+  body('start_time').isISO8601(),
+  body('end_time').isISO8601(),
+  body('recurrence.frequency').isIn(RECURRENCE_FREQUENCIES).optional(),
+  body('recurrence.until').isISO8601().optional(),
+  body('recurrence.count').isInt({ min: 1, max: MAX_OCCURRENCES }).optional(),
+  body('dry_run').isBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { room_id, reason, start_time, end_time, recurrence, dry_run = false } = req.body;
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+    if (recurrence?.frequency && !recurrence.until && !recurrence.count) {
+      return res.status(400).json({ error: 'Recurrence needs either an end date or an occurrence count' });
+    }
+
+    const room = await dbGet('SELECT id FROM rooms WHERE id = ?', [room_id]);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const { timezone } = await getVenueClock();
+    const block = {
+      room_id,
+      reason,
+      start_time,
+      end_time,
+      rrule: recurrence?.frequency ? buildRRule(recurrence, start_time, timezone) : null
+    };
+    block.last_end_time = getLastEndTime(block, timezone);
+
+    const occurrences = expandBlock(block, timezone);
+    const affected = await getAffectedBookings(occurrences);
+    if (dry_run) {
+      return res.json({ success: true, data: { block: null, occurrences, affected } });
+    }
+
+    const { lastID } = await dbRun(
+      'INSERT INTO room_blocks (room_id, reason, start_time, end_time, rrule, last_end_time) VALUES (?, ?, ?, ?, ?, ?)',
+      [block.room_id, block.reason, block.start_time, block.end_time, block.rrule, block.last_end_time]
+    );
+
+    const created = await dbGet(`${BLOCK_WITH_ROOM_QUERY} WHERE room_blocks.id = ?`, [lastID]);
+    res.status(201).json({
+      success: true,
+      data: { block: created, occurrences: expandBlock(created, timezone), affected }
+    });
+  } catch (error) {
+    // console.error('Error creating room block:', error);
+    res.status(500).json({ error: 'Failed to create room block' });
+  }
+});
+
+// Delete a room block, putting the room back in service
+router.delete('/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM room_blocks WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Room block not found' });
+    }
+    res.json({ success: true, message: 'Room block deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting room block:', error);
+    res.status(500).json({ error: 'Failed to delete room block' });
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbGet, dbRun, withTransaction } from '../database/query.js';
+import { DEPOSIT_TYPES } from '../utils/payments.js';
+import {
+  countCategoryRooms,
+  getRoomCategories,
+  getRoomCategory,
+  getRoomCategoryByName,
+  removeCategorySettings,
+  renameCategoryReferences,
+  setCategoryDeposit
+} from '../utils/roomCategories.js';
+
+const router = express.Router();
+
+// Columns that PUT /:id may change; deposit is kept in the category_deposits setting
+const UPDATABLE_FIELDS = ['name', 'description', 'default_price_per_hour', 'default_capacity', 'color', 'sort_order'];
+
+const categoryValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isString().trim().isLength({ min: 1, max: 50 })),
+    body('description').trim().optional({ values: 'null' }),
+    body('default_price_per_hour').isFloat({ min: 0 }).toFloat().optional({ values: 'null' }),
+    body('default_capacity').isInt({ min: 1 }).toInt().optional({ values: 'null' }),
+    body('color').matches(/^#[0-9a-fA-F]{6}$/).optional({ values: 'null' }),
+    body('sort_order').isInt().toInt().optional(),
+    body('deposit').isObject().optional({ values: 'null' }),
+    body('deposit.type').if(body('deposit').isObject()).isIn(DEPOSIT_TYPES),
+    body('deposit.amount').if(body('deposit').isObject()).isFloat({ min: 0 }).toFloat()
+  ];
+};
+
+// Get all room categories with their defaults and deposit rules
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getRoomCategories() });
+  } catch (error) {
+    // console.error('Error fetching room categories:', error);
+    res.status(500).json({ error: 'Failed to fetch room categories' });
+  }
+});
+
+// Create a room category
+router.post('/', categoryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description = null, default_price_per_hour = null, default_capacity = null, color = null } = req.body;
+    if (await getRoomCategoryByName(name)) {
+      return res.status(400).json({ error: 'A category with this name already exists', code: 'DUPLICATE_CATEGORY' });
+    }
+
+    const id = await withTransaction(async () => {
+      // New categories go last unless given a place
+      const sortOrder = req.body.sort_order
+        ?? (await dbGet('SELECT COALESCE(MAX(sort_order), -1) + 1 as next FROM room_categories')).next;
+      const { lastID } = await dbRun(
+        `INSERT INTO room_categories (name, description, default_price_per_hour, default_capacity, color, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, description || null, default_price_per_hour, default_capacity, color, sortOrder]
+      );
+      if (req.body.deposit !== undefined) {
+        await setCategoryDeposit(name, req.body.deposit);
+      }
+      return lastID;
+    });
+
+    res.status(201).json({ success: true, data: await getRoomCategory(id) });
+  } catch (error) {
+    // console.error('Error creating room category:', error);
+    res.status(500).json({ error: 'Failed to create room category' });
+  }
+});
+
+// Update a room category. A new name is carried through to its rooms and to the pricing
+// rules, cancellation policies, waitlist entries and settings that name it.
+router.put('/:id', categoryValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await dbGet('SELECT * FROM room_categories WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Room category not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0 && req.body.deposit === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const renamed = updates.name !== undefined && updates.name !== current.name;
+    if (renamed && await getRoomCategoryByName(updates.name)) {
+      return res.status(400).json({ error: 'A category with this name already exists', code: 'DUPLICATE_CATEGORY' });
+    }
+
+    await withTransaction(async () => {
+      if (fields.length > 0) {
+        await dbRun(
+          `UPDATE room_categories SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => updates[f]), id]
+        );
+      }
+      if (renamed) {
+        await renameCategoryReferences(current.name, updates.name);
+      }
+      if (req.body.deposit !== undefined) {
+        await setCategoryDeposit(updates.name ?? current.name, req.body.deposit);
+      }
+    });
+
+    res.json({ success: true, data: await getRoomCategory(id) });
+  } catch (error) {
+    // console.error('Error updating room category:', error);
+    res.status(500).json({ error: 'Failed to update room category' });
+  }
+});
+
+// Delete a room category. Not allowed while any room, inactive ones included, is in it.
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await dbGet('SELECT * FROM room_categories WHERE id = ?', [req.params.id]);
+    if (!category) {
+      return res.status(404).json({ error: 'Room category not found' });
+    }
+
+    const roomCount = await countCategoryRooms(category.name);
+    if (roomCount > 0) {
+      return res.status(400).json({
+        error: `${roomCount === 1 ? '1 room still uses' : `${roomCount} rooms still use`} ${category.name}; move ${roomCount === 1 ? 'it' : 'them'} to another category first`,
+        code: 'CATEGORY_IN_USE'
+      });
+    }
+
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM room_categories WHERE id = ?', [category.id]);
+      await removeCategorySettings(category.name);
+    });
+    res.json({ success: true, message: 'Room category deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting room category:', error);
+    res.status(500).json({ error: 'Failed to delete room category' });
+  }
+});
+
+export default router;
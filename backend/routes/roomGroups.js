@@ -0,0 +1,165 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { getRoomGroup, getRoomGroups } from '../utils/roomGroups.js';
+
+const router = express.Router();
+
+// Columns that PUT /:id may change; room_ids replaces the member rooms
+const UPDATABLE_FIELDS = ['name', 'price_per_hour', 'is_active'];
+
+const groupValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isString().trim().isLength({ min: 1, max: 100 })),
+    field(body('room_ids').isArray({ min: 2 }).withMessage('A combined room needs at least two rooms')),
+    body('room_ids.*').isInt({ min: 1 }).toInt(),
+    body('price_per_hour').isFloat({ min: 0 }).toFloat().optional({ values: 'null' }),
+    body('is_active').isBoolean().toBoolean().optional()
+  ];
+};
+
+// Why `roomIds` cannot make up a group, or null if they can
+async function getMembersError(roomIds) {
+  const unique = [...new Set(roomIds)];
+  if (unique.length !== roomIds.length) {
+    return 'Each room can only be added to a combined room once';
+  }
+  const rooms = await dbAll(
+    `SELECT id FROM rooms WHERE id IN (${unique.map(() => '?').join(', ')})`,
+    unique
+  );
+  if (rooms.length !== unique.length) {
+    return 'One or more rooms were not found';
+  }
+  return null;
+}
+
+async function setMembers(groupId, roomIds) {
+  await dbRun('DELETE FROM room_group_members WHERE group_id = ?', [groupId]);
+  for (const roomId of roomIds) {
+    await dbRun('INSERT INTO room_group_members (group_id, room_id) VALUES (?, ?)', [groupId, roomId]);
+  }
+}
+
+// Get all combined rooms with their member rooms
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getRoomGroups() });
+  } catch (error) {
+    // console.error('Error fetching room groups:', error);
+    res.status(500).json({ error: 'Failed to fetch room groups' });
+  }
+});
+
+// Create a combined room
+router.post('/', groupValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, room_ids, price_per_hour = null, is_active = true } = req.body;
+    const membersError = await getMembersError(room_ids);
+    if (membersError) {
+      return res.status(400).json({ error: membersError });
+    }
+
+    const id = await withTransaction(async () => {
+      const { lastID } = await dbRun(
+        'INSERT INTO room_groups (name, price_per_hour, is_active) VALUES (?, ?, ?)',
+        [name, price_per_hour, is_active ? 1 : 0]
+      );
+      await setMembers(lastID, room_ids);
+      return lastID;
+    });
+
+    res.status(201).json({ success: true, data: await getRoomGroup(id) });
+  } catch (error) {
+    // console.error('Error creating room group:', error);
+    res.status(500).json({ error: 'Failed to create room group' });
+  }
+});
+
+// Update a combined room. Bookings already made keep the rooms they reserved.
+router.put('/:id', groupValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await dbGet('SELECT id FROM room_groups WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Room group not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'is_active' ? (req.body[field] ? 1 : 0) : req.body[field];
+      }
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0 && req.body.room_ids === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    if (req.body.room_ids !== undefined) {
+      const membersError = await getMembersError(req.body.room_ids);
+      if (membersError) {
+        return res.status(400).json({ error: membersError });
+      }
+    }
+
+    await withTransaction(async () => {
+      if (fields.length > 0) {
+        await dbRun(
+          `UPDATE room_groups SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => updates[f]), id]
+        );
+      }
+      if (req.body.room_ids !== undefined) {
+        await setMembers(id, req.body.room_ids);
+      }
+    });
+
+    res.json({ success: true, data: await getRoomGroup(id) });
+  } catch (error) {
+    // console.error('Error updating room group:', error);
+    res.status(500).json({ error: 'Failed to update room group' });
+  }
+});
+
+// Delete a combined room. One with active bookings can only be deactivated, since
+// moving or repricing those bookings needs the group's rate.
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { count } = await dbGet(
+      'SELECT COUNT(*) as count FROM bookings WHERE room_group_id = ? AND status != "cancelled"',
+      [id]
+    );
+    if (count > 0) {
+      return res.status(400).json({ error: 'Cannot delete a combined room with active bookings; deactivate it instead' });
+    }
+
+    const changes = await withTransaction(async () => {
+      const result = await dbRun('DELETE FROM room_groups WHERE id = ?', [id]);
+      await dbRun('DELETE FROM room_group_members WHERE group_id = ?', [id]);
+      return result.changes;
+    });
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Room group not found' });
+    }
+    res.json({ success: true, message: 'Room group deleted successfully' });
+  } catch (error) {
+    // console.error('Error deleting room group:', error);
+    res.status(500).json({ error: 'Failed to delete room group' });
+  }
+});
+
+export default router;
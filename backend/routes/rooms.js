@@ -1,164 +1,270 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { db } from '../database/init.js';
+import { dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { getCustomFieldSchema, parseCustomFieldValues, validateCustomFieldValues } from '../utils/customFields.js';
+import { createMediaKey, decodeBase64Data, detectImageType, getMediaStorage, IMAGE_TYPES, readImageSize } from '../utils/mediaStorage.js';
+import { getRoomCategoryByName } from '../utils/roomCategories.js';
+import { OCCUPIES_ROOM_SQL } from '../utils/roomGroups.js';
+import { ROOM_STATUSES } from '../utils/rooms.js';
+import {
+  ensureCoverPhoto,
+  formatRoomPhoto,
+  getRoomPhoto,
+  getRoomPhotos,
+  MAX_PHOTO_BYTES,
+  MAX_THUMBNAIL_BYTES,
+  removePhotoFiles,
+  ROOM_WITH_COVER_SQL,
+  setCoverPhoto,
+  THUMBNAIL_SIZE
+} from '../utils/roomPhotos.js';
 
 const router = express.Router();
 
-// Get all rooms
-router.get('/', (req, res) => {
-  const { category, is_active } = req.query;
-  
-  let query = 'SELECT * FROM rooms';
-  const params = [];
-  const conditions = [];
-
-  if (category) {
-    conditions.push('category = ?');
-    params.push(category);
+// Columns that PUT /:id may change
+const UPDATABLE_FIELDS = [
+  'name', 'capacity', 'category', 'description', 'price_per_hour', 'buffer_before_minutes',
+  'buffer_after_minutes', 'type', 'status', 'is_active', 'is_bookable', 'sort_order', 'color', 'amenities'
+];
+
+const roomValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('name').isLength({ min: 1 }).trim()),
+    // Left out of a new room, capacity comes from its category's default
+    body('capacity').isInt({ min: 1 }).toInt().optional(),
+    field(body('category').isLength({ min: 1 }).trim()),
+    body('description').trim().optional({ values: 'null' }),
+    body('price_per_hour').isFloat({ min: 0 }).toFloat().optional(),
+    body('buffer_before_minutes').optional({ values: 'null' }).isInt({ min: 0, max: 240 }),
+    body('buffer_after_minutes').optional({ values: 'null' }).isInt({ min: 0, max: 240 }),
+    body('type').isString().trim().isLength({ max: 50 }).optional({ values: 'null' }),
+    body('status').isIn(ROOM_STATUSES).optional(),
+    body('is_active').isBoolean().toBoolean().optional(),
+    body('is_bookable').isBoolean().toBoolean().optional(),
+    body('sort_order').isInt().toInt().optional(),
+    body('color').matches(/^#[0-9a-fA-F]{6}$/).optional({ values: 'null' }),
+    body('amenities').isArray().optional(),
+    body('amenities.*').isString().trim().isLength({ min: 1, max: 50 })
+  ];
+};
+
+// A row from ROOM_WITH_COVER_SQL, with the cover photo's keys turned into URLs
+function formatRoom(row) {
+  let amenities = [];
+  try {
+    amenities = JSON.parse(row.amenities || '[]') || [];
+  } catch (error) {
+    amenities = [];
   }
-
-  if (is_active !== undefined) {
-    conditions.push('is_active = ?');
-    params.push(is_active === 'true' ? 1 : 0);
-  }
-
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
+  const { cover_storage_key, cover_thumbnail_key, ...room } = row;
+  const storage = getMediaStorage();
+  return {
+    ...room,
+    is_active: Boolean(row.is_active),
+    is_bookable: Boolean(row.is_bookable),
+    amenities,
+    custom_fields: parseCustomFieldValues(row.custom_fields),
+    cover_photo_url: cover_storage_key ? storage.url(cover_storage_key) : null,
+    cover_thumbnail_url: cover_thumbnail_key ? storage.url(cover_thumbnail_key) : null
+  };
+}
+
+const getRoom = (id) => dbGet(`${ROOM_WITH_COVER_SQL} WHERE rooms.id = ?`, [id]);
+
+// status 'inactive' and is_active = 0 mean the same thing, so setting either sets both
+function syncActiveStatus(room, current = null) {
+  if (room.status !== undefined) {
+    room.is_active = room.status !== 'inactive';
+  } else if (room.is_active !== undefined) {
+    const status = current?.status || 'active';
+    room.status = room.is_active
+      ? (status === 'inactive' ? 'active' : status)
+      : 'inactive';
   }
+}
+
+// Custom field values from the request body checked against the room field schema.
+// They always replace a room's values as a whole.
+async function readCustomFields(body) {
+  return validateCustomFieldValues(body.custom_fields ?? {}, await getCustomFieldSchema('room'));
+}
+
+// Get all rooms, in schedule order
+router.get('/', async (req, res) => {
+  try {
+    const { category, is_active } = req.query;
+
+    let query = ROOM_WITH_COVER_SQL;
+    const params = [];
+    const conditions = [];
+
+    if (category) {
+      conditions.push('rooms.category = ?');
+      params.push(category);
+    }
 
-  query += ' ORDER BY name';
+    if (is_active !== undefined) {
+      conditions.push('rooms.is_active = ?');
+      params.push(is_active === 'true' ? 1 : 0);
+    }
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      // console.error('Error fetching rooms:', err);
-      return res.status(500).json({ error: 'Failed to fetch rooms' });
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
     }
-    res.json({ success: true, data: rows });
-  });
-});
 
-// Get room by ID
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
+    query += ' ORDER BY rooms.sort_order, rooms.name';
 
-  db.get('SELECT * FROM rooms WHERE id = ?', [id], (err, row) => {
-    if (err) {
-      // console.error('Error fetching room:', err);
-      return res.status(500).json({ error: 'Failed to fetch room' });
-    }
+    const rows = await dbAll(query, params);
+    res.json({ success: true, data: rows.map(formatRoom) });
+  } catch (error) {
+    // console.error('Error fetching rooms:', error);
+    res.status(500).json({ error: 'Failed to fetch rooms' });
+  }
+});
 
+// Get room by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const row = await getRoom(req.params.id);
     if (!row) {
       return res.status(404).json({ error: 'Room not found' });
     }
-
-    res.json({ success: true, data: row });
-  });
+    res.json({ success: true, data: formatRoom(row) });
+  } catch (error) {
+    // console.error('Error fetching room:', error);
+    res.status(500).json({ error: 'Failed to fetch room' });
+  }
 });
 
-// Create new room
-router.post('/', [
-  body('name').isLength({ min: 1 }).trim(),
-  body('capacity').isInt({ min: 1 }),
-  body('category').isLength({ min: 1 }).trim(),
-  body('price_per_hour').isFloat({ min: 0 }).optional()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+const unknownCategory = (res) => res.status(400).json({ error: 'Unknown room category', code: 'UNKNOWN_CATEGORY' });
 
-  const { name, capacity, category, description, price_per_hour } = req.body;
+// Create new room. Capacity, rate and colour left out are taken from the category's defaults.
+router.post('/', roomValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  db.run(
-    'INSERT INTO rooms (name, capacity, category, description, price_per_hour) VALUES (?, ?, ?, ?, ?)',
-    [name, capacity, category, description || null, price_per_hour || 0],
-    function(err) {
-      if (err) {
-        // console.error('Error creating room:', err);
-        return res.status(500).json({ error: 'Failed to create room' });
-      }
+    const category = await getRoomCategoryByName(req.body.category);
+    if (!category) {
+      return unknownCategory(res);
+    }
+    const capacity = req.body.capacity ?? category.default_capacity;
+    if (!capacity) {
+      return res.status(400).json({ error: `Capacity is required; ${category.name} has no default capacity` });
+    }
 
-      res.status(201).json({
-        success: true,
-        data: {
-          id: this.lastID,
-          name,
-          capacity,
-          category,
-          description,
-          price_per_hour: price_per_hour || 0,
-          is_active: 1
-        }
-      });
+    const customFields = await readCustomFields(req.body);
+    if (customFields.errors.length > 0) {
+      return res.status(400).json({ errors: customFields.errors });
     }
-  );
-});
 
-// Update room
-router.put('/:id', [
-  body('name').isLength({ min: 1 }).trim().optional(),
-  body('capacity').isInt({ min: 1 }).optional(),
-  body('category').isLength({ min: 1 }).trim().optional(),
-  body('price_per_hour').isFloat({ min: 0 }).optional()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    const room = {
+      name: req.body.name,
+      capacity,
+      category: category.name,
+      description: req.body.description || null,
+      price_per_hour: req.body.price_per_hour ?? category.default_price_per_hour ?? 0,
+      buffer_before_minutes: req.body.buffer_before_minutes ?? null,
+      buffer_after_minutes: req.body.buffer_after_minutes ?? null,
+      type: req.body.type || null,
+      status: req.body.status,
+      is_active: req.body.is_active,
+      is_bookable: req.body.is_bookable ?? true,
+      sort_order: req.body.sort_order ?? 0,
+      color: req.body.color || category.color || null,
+      amenities: req.body.amenities || []
+    };
+    syncActiveStatus(room);
+
+    const { lastID } = await dbRun(
+      `INSERT INTO rooms (name, capacity, category, description, price_per_hour, buffer_before_minutes,
+       buffer_after_minutes, type, status, is_active, is_bookable, sort_order, color, amenities, custom_fields)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        room.name, room.capacity, room.category, room.description, room.price_per_hour,
+        room.buffer_before_minutes, room.buffer_after_minutes, room.type, room.status || 'active',
+        room.is_active === false ? 0 : 1, room.is_bookable ? 1 : 0, room.sort_order, room.color,
+        JSON.stringify(room.amenities), JSON.stringify(customFields.values)
+      ]
+    );
+
+    const row = await getRoom(lastID);
+    res.status(201).json({ success: true, data: formatRoom(row) });
+  } catch (error) {
+    // console.error('Error creating room:', error);
+    res.status(500).json({ error: 'Failed to create room' });
   }
+});
 
-  const { id } = req.params;
-  const updates = req.body;
-  
-  // Build dynamic update query
-  const updateFields = [];
-  const values = [];
-
-  Object.keys(updates).forEach(key => {
-    if (updates[key] !== undefined) {
-      updateFields.push(`${key} = ?`);
-      values.push(updates[key]);
+// Update room
+router.put('/:id', roomValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  });
-
-  if (updateFields.length === 0) {
-    return res.status(400).json({ error: 'No valid fields to update' });
-  }
 
-  updateFields.push('updated_at = CURRENT_TIMESTAMP');
-  values.push(id);
+    const { id } = req.params;
+    const current = await dbGet('SELECT * FROM rooms WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
 
-  const query = `UPDATE rooms SET ${updateFields.join(', ')} WHERE id = ?`;
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    syncActiveStatus(updates, current);
 
-  db.run(query, values, function(err) {
-    if (err) {
-      // console.error('Error updating room:', err);
-      return res.status(500).json({ error: 'Failed to update room' });
+    if (updates.category !== undefined && !(await getRoomCategoryByName(updates.category))) {
+      return unknownCategory(res);
     }
 
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Room not found' });
+    if (req.body.custom_fields !== undefined) {
+      const customFields = await readCustomFields(req.body);
+      if (customFields.errors.length > 0) {
+        return res.status(400).json({ errors: customFields.errors });
+      }
+      updates.custom_fields = JSON.stringify(customFields.values);
     }
 
-    // Fetch updated room
-    db.get('SELECT * FROM rooms WHERE id = ?', [id], (err, row) => {
-      if (err) {
-        // console.error('Error fetching updated room:', err);
-        return res.status(500).json({ error: 'Failed to fetch updated room' });
-      }
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
 
-      res.json({ success: true, data: row });
+    if (updates.amenities) updates.amenities = JSON.stringify(updates.amenities);
+    ['is_active', 'is_bookable'].forEach(flag => {
+      if (flag in updates) updates[flag] = updates[flag] ? 1 : 0;
     });
-  });
+
+    await dbRun(
+      `UPDATE rooms SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => updates[f]), id]
+    );
+
+    const row = await getRoom(id);
+    res.json({ success: true, data: formatRoom(row) });
+  } catch (error) {
+    // console.error('Error updating room:', error);
+    res.status(500).json({ error: 'Failed to update room' });
+  }
 });
 
 // Delete room
 router.delete('/:id', (req, res) => {
   const { id } = req.params;
 
-  // Check if room has active bookings
+  // Check if room has active bookings, including combined bookings holding it
   db.get(
-    'SELECT COUNT(*) as count FROM bookings WHERE room_id = ? AND status != "cancelled"',
-    [id],
+    `SELECT COUNT(*) as count FROM bookings WHERE ${OCCUPIES_ROOM_SQL} AND status != "cancelled"`,
+    [id, id],
     (err, row) => {
       if (err) {
         // console.error('Error checking room bookings:', err);
@@ -173,7 +279,7 @@ router.delete('/:id', (req, res) => {
 
       // Soft delete (set is_active to false)
       db.run(
-        'UPDATE rooms SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        "UPDATE rooms SET is_active = 0, status = 'inactive', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
         [id],
         function(err) {
           if (err) {
@@ -192,10 +298,195 @@ router.delete('/:id', (req, res) => {
   );
 });
 
-// Get room categories
+const roomNotFound = (res) => res.status(404).json({ error: 'Room not found' });
+const photoNotFound = (res) => res.status(404).json({ error: 'Photo not found' });
+
+// Get a room's photos, in gallery order
+router.get('/:id/photos', async (req, res) => {
+  try {
+    const room = await dbGet('SELECT id FROM rooms WHERE id = ?', [req.params.id]);
+    if (!room) {
+      return roomNotFound(res);
+    }
+    res.json({ success: true, data: await getRoomPhotos(room.id) });
+  } catch (error) {
+    // console.error('Error fetching room photos:', error);
+    res.status(500).json({ error: 'Failed to fetch room photos' });
+  }
+});
+
+// Add a photo, sent as base64 (or a data: URL) in `image`, with `thumbnail`, a copy the
+// client scaled down to at most THUMBNAIL_SIZE pixels. It goes last in the gallery, and
+// becomes the cover if the room has none.
+router.post('/:id/photos', [
+  body('image').isString().notEmpty(),
+  body('thumbnail').isString().notEmpty(),
+  body('caption').isString().trim().isLength({ max: 200 }).optional({ values: 'null' })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const room = await dbGet('SELECT id FROM rooms WHERE id = ?', [req.params.id]);
+    if (!room) {
+      return roomNotFound(res);
+    }
+
+    const image = decodeBase64Data(req.body.image);
+    const contentType = image && detectImageType(image);
+    if (!contentType) {
+      return res.status(400).json({ error: 'Upload a JPEG, PNG, WebP or GIF image', code: 'INVALID_IMAGE' });
+    }
+    if (image.length > MAX_PHOTO_BYTES) {
+      return res.status(400).json({ error: `Photos can be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`, code: 'IMAGE_TOO_LARGE' });
+    }
+
+    const thumbnail = decodeBase64Data(req.body.thumbnail);
+    const thumbnailType = thumbnail && detectImageType(thumbnail);
+    const thumbnailSize = thumbnailType && readImageSize(thumbnail);
+    if (!thumbnailSize || thumbnail.length > MAX_THUMBNAIL_BYTES ||
+      Math.max(thumbnailSize.width, thumbnailSize.height) > THUMBNAIL_SIZE) {
+      return res.status(400).json({
+        error: `The thumbnail must be an image of at most ${THUMBNAIL_SIZE} pixels a side and ${MAX_THUMBNAIL_BYTES / 1024} KB`,
+        code: 'INVALID_THUMBNAIL'
+      });
+    }
+
+    const storage = getMediaStorage();
+    const prefix = `rooms/${room.id}`;
+    const storageKey = createMediaKey(prefix, IMAGE_TYPES[contentType]);
+    const thumbnailKey = createMediaKey(prefix, IMAGE_TYPES[thumbnailType], '-thumb');
+    await storage.put(storageKey, image, contentType);
+    await storage.put(thumbnailKey, thumbnail, thumbnailType);
+
+    let id;
+    try {
+      id = await withTransaction(async () => {
+        const { next } = await dbGet(
+          'SELECT COALESCE(MAX(sort_order), -1) + 1 as next FROM room_photos WHERE room_id = ?',
+          [room.id]
+        );
+        const { lastID } = await dbRun(
+          `INSERT INTO room_photos (room_id, storage_key, thumbnail_key, content_type, size, caption, sort_order)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [room.id, storageKey, thumbnailKey, contentType, image.length, req.body.caption || null, next]
+        );
+        await ensureCoverPhoto(room.id);
+        return lastID;
+      });
+    } catch (error) {
+      await removePhotoFiles({ storage_key: storageKey, thumbnail_key: thumbnailKey });
+      throw error;
+    }
+
+    res.status(201).json({ success: true, data: formatRoomPhoto(await getRoomPhoto(room.id, id)) });
+  } catch (error) {
+    // console.error('Error uploading room photo:', error);
+    res.status(500).json({ error: 'Failed to upload room photo' });
+  }
+});
+
+// Reorder a room's gallery; photo_ids lists every one of its photos in the new order
+router.put('/:id/photos/order', [
+  body('photo_ids').isArray({ min: 1 }),
+  body('photo_ids.*').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const photos = await dbAll('SELECT id FROM room_photos WHERE room_id = ?', [id]);
+    const photoIds = req.body.photo_ids;
+    const current = new Set(photos.map(photo => photo.id));
+    if (photoIds.length !== current.size || new Set(photoIds).size !== photoIds.length || !photoIds.every(photoId => current.has(photoId))) {
+      return res.status(400).json({ error: "List each of the room's photos exactly once" });
+    }
+
+    await withTransaction(async () => {
+      for (const [index, photoId] of photoIds.entries()) {
+        await dbRun(
+          'UPDATE room_photos SET sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [index, photoId]
+        );
+      }
+    });
+
+    res.json({ success: true, data: await getRoomPhotos(id) });
+  } catch (error) {
+    // console.error('Error reordering room photos:', error);
+    res.status(500).json({ error: 'Failed to reorder room photos' });
+  }
+});
+
+// Change a photo's caption, or make it the room's cover with is_cover: true
+router.put('/:id/photos/:photoId', [
+  body('caption').isString().trim().isLength({ max: 200 }).optional({ values: 'null' }),
+  body('is_cover').isBoolean().toBoolean().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, photoId } = req.params;
+    const photo = await getRoomPhoto(id, photoId);
+    if (!photo) {
+      return photoNotFound(res);
+    }
+    if (req.body.is_cover === false && photo.is_cover) {
+      return res.status(400).json({ error: 'Make another photo the cover instead' });
+    }
+
+    await withTransaction(async () => {
+      if (req.body.caption !== undefined) {
+        await dbRun(
+          'UPDATE room_photos SET caption = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [req.body.caption || null, photo.id]
+        );
+      }
+      if (req.body.is_cover) {
+        await setCoverPhoto(photo.room_id, photo.id);
+      }
+    });
+
+    res.json({ success: true, data: formatRoomPhoto(await getRoomPhoto(id, photoId)) });
+  } catch (error) {
+    // console.error('Error updating room photo:', error);
+    res.status(500).json({ error: 'Failed to update room photo' });
+  }
+});
+
+// Remove a photo and its files. Removing the cover makes the next photo the cover.
+router.delete('/:id/photos/:photoId', async (req, res) => {
+  try {
+    const photo = await getRoomPhoto(req.params.id, req.params.photoId);
+    if (!photo) {
+      return photoNotFound(res);
+    }
+
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM room_photos WHERE id = ?', [photo.id]);
+      await ensureCoverPhoto(photo.room_id);
+    });
+    await removePhotoFiles(photo);
+
+    res.json({ success: true, message: 'Photo removed successfully' });
+  } catch (error) {
+    // console.error('Error removing room photo:', error);
+    res.status(500).json({ error: 'Failed to remove room photo' });
+  }
+});
+
+// Get room category names; /api/room-categories has the categories in full
 router.get('/categories/list', (req, res) => {
   db.all(
-    'SELECT DISTINCT category FROM rooms WHERE is_active = 1 ORDER BY category',
+    'SELECT name FROM room_categories ORDER BY sort_order, name',
     [],
     (err, rows) => {
       if (err) {
@@ -203,7 +494,7 @@ router.get('/categories/list', (req, res) => {
         return res.status(500).json({ error: 'Failed to fetch categories' });
       }
 
-      const categories = rows.map(row => row.category);
+      const categories = rows.map(row => row.name);
       res.json({ success: true, data: categories });
     }
   );
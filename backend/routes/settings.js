@@ -1,9 +1,27 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { db } from '../database/init.js';
+import { isValidCurrency } from '../utils/invoices.js';
+import { isValidDayStart, isValidTimezone } from '../utils/venueTime.js';
 
 const router = express.Router();
 
+// Why `value` can't be stored under `key`, or null. Booking times are read on the
+// venue's clock and documents priced in its currency, so these must be understood
+// before they are saved.
+function getSettingError(key, value) {
+  if (key === 'timezone' && !isValidTimezone(value)) {
+    return `Unknown timezone: ${value}`;
+  }
+  if (key === 'business_day_start' && !isValidDayStart(value)) {
+    return 'business_day_start must be a time of day (HH:mm)';
+  }
+  if (key === 'currency' && !isValidCurrency(value)) {
+    return `Unknown currency: ${value}`;
+  }
+  return null;
+}
+
 // Get all settings
 router.get('/', (req, res) => {
   db.all(
@@ -64,6 +82,11 @@ router.put('/', [
     return res.status(400).json({ error: 'No settings provided' });
   }
 
+  const settingError = keys.map(key => getSettingError(key, settings[key])).find(Boolean);
+  if (settingError) {
+    return res.status(400).json({ error: settingError });
+  }
+
   // Start transaction
   db.serialize(() => {
     db.run('BEGIN TRANSACTION');
@@ -112,6 +135,11 @@ router.put('/:key', [
   const { key } = req.params;
   const { value } = req.body;
 
+  const settingError = getSettingError(key, value);
+  if (settingError) {
+    return res.status(400).json({ error: settingError });
+  }
+
   db.run(
     'INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
     [key, value],
@@ -0,0 +1,296 @@
+import express from 'express';
+import moment from 'moment';
+import { body, query, validationResult } from 'express-validator';
+import { dbGet, dbAll, dbRun, withTransaction } from '../database/query.js';
+import { assertNoConflicts, BookingConflictError, sendConflict } from '../utils/bookingConflicts.js';
+import { WAITLIST_STATUSES, formatWaitlistEntry, findWaitlistMatches } from '../utils/waitlist.js';
+import { insertBooking, getBookingWithRoom, getPricingRoom } from '../utils/bookingModel.js';
+import { assertBookingPolicy, BookingPolicyError, sendPolicyErrors } from '../utils/bookingPolicy.js';
+import { assertRoomBookable, RoomUnavailableError, sendRoomUnavailable } from '../utils/rooms.js';
+import { getBusinessDayRange, getVenueClock, storeBodyTimes } from '../utils/venueTime.js';
+
+const router = express.Router();
+
+// Windows and booking times arrive in any offset and are stored in UTC
+router.use(storeBodyTimes(['window_start', 'window_end', 'start_time', 'end_time']));
+
+// Columns that PUT /:id may change
+const UPDATABLE_FIELDS = [
+  'customer_name', 'customer_email', 'customer_phone', 'party_size',
+  'window_start', 'window_end', 'duration_minutes', 'notes', 'status'
+];
+
+const entryValidators = (optional) => {
+  const field = (validator) => (optional ? validator.optional() : validator);
+  return [
+    field(body('customer_name').isLength({ min: 1 }).trim()),
+    body('customer_email').isEmail().normalizeEmail().optional({ values: 'falsy' }),
+    body('customer_phone').trim().optional(),
+    field(body('party_size').isInt({ min: 1 }).toInt()),
+    field(body('window_start').isISO8601()),
+    field(body('window_end').isISO8601()),
+    field(body('duration_minutes').isInt({ min: 1, max: 24 * 60 }).toInt()),
+    body('room_ids').isArray().optional(),
+    body('room_ids.*').isInt({ min: 1 }).toInt(),
+    body('categories').isArray().optional(),
+    body('categories.*').isString().trim(),
+    body('notes').trim().optional()
+  ];
+};
+
+function getWindowError(entry) {
+  const windowMinutes = moment(entry.window_end).diff(moment(entry.window_start), 'minutes');
+  if (windowMinutes <= 0) return 'Window end must be after window start';
+  if (windowMinutes < entry.duration_minutes) return 'Preferred window is shorter than the requested duration';
+  return null;
+}
+
+// Get waitlist entries (waiting ones by default), optionally those whose window touches
+// a business date: the night it names, including after midnight
+router.get('/', [
+  query('status').isIn([...WAITLIST_STATUSES, 'all']).optional(),
+  query('date').custom(value => moment(value, 'YYYY-MM-DD', true).isValid())
+    .withMessage('date must be a YYYY-MM-DD business date').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = req.query.status || 'waiting';
+    const conditions = [];
+    const params = [];
+
+    if (status !== 'all') {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (req.query.date) {
+      const { start, end } = getBusinessDayRange(req.query.date, await getVenueClock());
+      conditions.push('window_start < ? AND window_end > ?');
+      params.push(end.toISOString(), start.toISOString());
+    }
+
+    let sql = 'SELECT * FROM waitlist_entries';
+    if (conditions.length > 0) {
+      sql += ' WHERE ' + conditions.join(' AND ');
+    }
+    sql += ' ORDER BY created_at, id';
+
+    const entries = await dbAll(sql, params);
+    res.json({ success: true, data: entries.map(formatWaitlistEntry) });
+  } catch (error) {
+    // console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+// Ranked waitlist entries that could take a free slot
+router.get('/matches', [
+  query('room_id').isInt({ min: 1 }).toInt(),
+  query('start_time').isISO8601(),
+  query('end_time').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const matches = await findWaitlistMatches({
+      roomId: req.query.room_id,
+      startTime: req.query.start_time,
+      endTime: req.query.end_time
+    });
+    res.json({ success: true, data: matches });
+  } catch (error) {
+    // console.error('Error matching waitlist:', error);
+    res.status(500).json({ error: 'Failed to match waitlist' });
+  }
+});
+
+// Add a customer to the waitlist
+router.post('/', entryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const windowError = getWindowError(req.body);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    const {
+      customer_name, customer_email, customer_phone, party_size,
+      window_start, window_end, duration_minutes, room_ids = [], categories = [], notes
+    } = req.body;
+
+    const { lastID } = await dbRun(
+      `INSERT INTO waitlist_entries (customer_name, customer_email, customer_phone, party_size,
+       window_start, window_end, duration_minutes, room_ids, categories, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        customer_name, customer_email || null, customer_phone || null, party_size,
+        moment(window_start).toISOString(), moment(window_end).toISOString(), duration_minutes,
+        JSON.stringify(room_ids), JSON.stringify(categories), notes || null
+      ]
+    );
+
+    const entry = await dbGet('SELECT * FROM waitlist_entries WHERE id = ?', [lastID]);
+    res.status(201).json({ success: true, data: formatWaitlistEntry(entry) });
+  } catch (error) {
+    // console.error('Error creating waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to add to waitlist' });
+  }
+});
+
+// Update a waitlist entry
+router.put('/:id', [
+  ...entryValidators(true),
+  body('status').isIn(WAITLIST_STATUSES).optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const current = await dbGet('SELECT * FROM waitlist_entries WHERE id = ?', [id]);
+    if (!current) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    ['window_start', 'window_end'].forEach(field => {
+      if (updates[field]) updates[field] = moment(updates[field]).toISOString();
+    });
+    ['room_ids', 'categories'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = JSON.stringify(req.body[field]);
+    });
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const windowError = getWindowError({ ...current, ...updates });
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    await dbRun(
+      `UPDATE waitlist_entries SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(f => updates[f]), id]
+    );
+
+    const entry = await dbGet('SELECT * FROM waitlist_entries WHERE id = ?', [id]);
+    res.json({ success: true, data: formatWaitlistEntry(entry) });
+  } catch (error) {
+    // console.error('Error updating waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to update waitlist entry' });
+  }
+});
+
+// Turn a waitlist entry into a booking for an offered slot
+router.post('/:id/convert', [
+  body('room_id').isInt({ min: 1 }).toInt(),
+  body('start_time').isISO8601(),
+  body('end_time').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { room_id, start_time, end_time } = req.body;
+
+    if (new Date(end_time) <= new Date(start_time)) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const room = await getPricingRoom(room_id);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const bookingId = await withTransaction(async () => {
+      const entry = await dbGet('SELECT * FROM waitlist_entries WHERE id = ?', [id]);
+      if (!entry) return null;
+
+      if (entry.status !== 'waiting') {
+        const error = new Error('Waitlist entry is no longer waiting');
+        error.status = 400;
+        throw error;
+      }
+
+      await assertRoomBookable(room_id);
+      await assertBookingPolicy({ start_time, end_time });
+      await assertNoConflicts(room_id, start_time, end_time);
+      const { lastID } = await insertBooking({
+        room_id,
+        customer_name: entry.customer_name,
+        customer_email: entry.customer_email,
+        customer_phone: entry.customer_phone,
+        start_time,
+        end_time,
+        notes: entry.notes,
+        party_size: entry.party_size
+      }, room);
+      await dbRun(
+        `UPDATE waitlist_entries SET status = 'converted', booking_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [lastID, id]
+      );
+      return lastID;
+    });
+
+    if (!bookingId) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    const booking = await getBookingWithRoom(bookingId);
+    res.status(201).json({ success: true, data: booking });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return sendConflict(res, error);
+    }
+    if (error instanceof BookingPolicyError) {
+      return sendPolicyErrors(res, error);
+    }
+    if (error instanceof RoomUnavailableError) {
+      return sendRoomUnavailable(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    // console.error('Error converting waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to book waitlist entry' });
+  }
+});
+
+// Remove a waitlist entry
+router.delete('/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM waitlist_entries WHERE id = ?', [req.params.id]);
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    res.json({ success: true, message: 'Waitlist entry removed successfully' });
+  } catch (error) {
+    // console.error('Error removing waitlist entry:', error);
+    res.status(500).json({ error: 'Failed to remove waitlist entry' });
+  }
+});
+
+export default router;
@@ -15,9 +15,25 @@ import bookingsRoutes from './routes/bookings.js';
 import businessHoursRoutes from './routes/businessHours.js';
 import settingsRoutes from './routes/settings.js';
 import healthRoutes from './routes/health.js';
+import availabilityRoutes from './routes/availability.js';
+import waitlistRoutes from './routes/waitlist.js';
+import { createCustomFieldsRouter } from './routes/customFields.js';
+import pricingRoutes from './routes/pricing.js';
+import promotionsRoutes from './routes/promotions.js';
+import paymentsRoutes from './routes/payments.js';
+import cancellationPoliciesRoutes from './routes/cancellationPolicies.js';
+import invoicesRoutes from './routes/invoices.js';
+import roomGroupsRoutes from './routes/roomGroups.js';
+import roomBlocksRoutes from './routes/roomBlocks.js';
+import roomCategoriesRoutes from './routes/roomCategories.js';
+import mediaRoutes from './routes/media.js';
+import customersRoutes from './routes/customers.js';
 
 // Import database initialization
 import { initDatabase } from './database/init.js';
+import { startHoldSweeper } from './utils/holds.js';
+import { startNoShowSweeper } from './utils/noShows.js';
+import { PHOTO_UPLOAD_BODY_LIMIT } from './utils/roomPhotos.js';
 
 // Load environment variables
 dotenv.config();
@@ -40,9 +56,13 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  // Lets the app name downloaded invoices
+  exposedHeaders: ['Content-Disposition']
 }));
 app.use(morgan('combined'));
+// Photo uploads arrive as base64 in JSON, well over the default body limit
+app.use('/api/rooms/:id/photos', express.json({ limit: PHOTO_UPLOAD_BODY_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -56,6 +76,20 @@ app.use('/api/bookings', bookingsRoutes);
 app.use('/api/business-hours', businessHoursRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/booking-fields', createCustomFieldsRouter('booking'));
+app.use('/api/room-fields', createCustomFieldsRouter('room'));
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/promotions', promotionsRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/cancellation-policies', cancellationPoliciesRoutes);
+app.use('/api/invoices', invoicesRoutes);
+app.use('/api/room-groups', roomGroupsRoutes);
+app.use('/api/room-blocks', roomBlocksRoutes);
+app.use('/api/room-categories', roomCategoriesRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/customers', customersRoutes);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -98,6 +132,9 @@ async function startServer() {
   try {
     await initDatabase();
     // console.log (removed for clean version)('✅ Database initialized successfully');
+
+    startHoldSweeper(io);
+    startNoShowSweeper(io);
     
     server.listen(PORT, () => {
       // console.log (removed for clean version)(`🚀 Server running on port ${PORT}`);
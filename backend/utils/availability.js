@@ -0,0 +1,328 @@
+import moment from 'moment';
+import { dbAll, dbGet } from '../database/query.js';
+import { getBufferSettings, resolveRoomBuffers, turnoverGap } from './buffers.js';
+import { BLOCKING_BOOKING_SQL } from './holds.js';
+import { getBusinessWindows, getOpeningHours } from './businessHours.js';
+import { checkBookingPolicy, getBookingPolicy } from './bookingPolicy.js';
+import { venueMoment } from './venueTime.js';
+import { getRoomGroups, isGroupBookable } from './roomGroups.js';
+import { findRoomBlocks } from './roomBlocks.js';
+import { BOOKABLE_ROOM_SQL } from './rooms.js';
+
+export const DEFAULT_SLOT_INTERVAL = 15;
+const DEFAULT_DURATION = 60;
+
+// Gaps in [windowStart, windowEnd) that no busy interval covers. Each busy
+// interval is widened by `gap` minutes on both sides for room turnover.
+export function getFreeWindows(windowStart, windowEnd, busy, gap = 0) {
+  const sorted = busy
+    .map(b => ({ start: moment(b.start_time).subtract(gap, 'minutes'), end: moment(b.end_time).add(gap, 'minutes') }))
+    .filter(b => b.end.isAfter(windowStart) && b.start.isBefore(windowEnd))
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = windowStart.clone();
+  sorted.forEach(b => {
+    if (b.start.isAfter(cursor)) {
+      free.push({ start: cursor.clone(), end: b.start.clone() });
+    }
+    if (b.end.isAfter(cursor)) {
+      cursor = b.end.clone();
+    }
+  });
+  if (windowEnd.isAfter(cursor)) {
+    free.push({ start: cursor, end: windowEnd.clone() });
+  }
+
+  return free;
+}
+
+// Start times, stepped by `interval` minutes from the start of each free window,
+// at which a booking of `duration` minutes fits. Slots starting before `notBefore` are dropped.
+export function getSlots(freeWindows, duration, interval, notBefore = null) {
+  const slots = [];
+  freeWindows.forEach(window => {
+    for (let start = window.start.clone(); ; start.add(interval, 'minutes')) {
+      const end = start.clone().add(duration, 'minutes');
+      if (end.isAfter(window.end)) break;
+      if (notBefore && start.isBefore(notBefore)) continue;
+      slots.push({ start: start.clone(), end, window });
+    }
+  });
+  return slots;
+}
+
+// Minutes of the free window that would be left in pieces too short to sell
+// (shorter than `minUseful`) if a booking were placed at [start, end)
+export function fragmentationMinutes(window, start, end, minUseful) {
+  return [start.diff(window.start, 'minutes'), window.end.diff(end, 'minutes')]
+    .filter(gap => gap > 0 && gap < minUseful)
+    .reduce((sum, gap) => sum + gap, 0);
+}
+
+async function getSettingNumber(key, fallback) {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', [key]);
+  const value = parseInt(row?.value, 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Bookable combined rooms big enough for the party, with their member rooms' rows
+async function loadCombinations(partySize) {
+  const groups = (await getRoomGroups()).filter(group => isGroupBookable(group) && group.capacity >= partySize);
+  const memberIds = [...new Set(groups.flatMap(group => group.room_ids))];
+  if (memberIds.length === 0) return [];
+
+  const members = await dbAll(`SELECT * FROM rooms WHERE id IN (${memberIds.map(() => '?').join(', ')})`, memberIds);
+  const byId = Object.fromEntries(members.map(room => [room.id, room]));
+  return groups
+    .map(group => ({ ...group, rooms: group.room_ids.map(id => byId[id]) }))
+    .sort((a, b) => a.capacity - b.capacity || a.name.localeCompare(b.name));
+}
+
+// Rooms, opening windows, busy intervals and room blocks needed to answer an
+// availability query. When no single room is big enough for the party, combined rooms
+// that are come back as `combinations`.
+async function loadAvailabilityContext({ startDate, endDate, partySize, roomId }, openingHours) {
+
+  // Calendar dates on the venue's clock. Slots step through each window in real
+  // minutes, so a window spanning a DST change holds as many slots as it has time.
+  const days = [];
+  for (let day = moment(startDate, 'YYYY-MM-DD'); !day.isAfter(moment(endDate, 'YYYY-MM-DD')); day.add(1, 'day')) {
+    days.push({ date: day.format('YYYY-MM-DD'), windows: getBusinessWindows(day, openingHours) });
+  }
+
+  let roomQuery = `SELECT * FROM rooms WHERE ${BOOKABLE_ROOM_SQL} AND capacity >= ?`;
+  const roomParams = [partySize];
+  if (roomId) {
+    roomQuery += ' AND id = ?';
+    roomParams.push(roomId);
+  }
+  roomQuery += ' ORDER BY capacity, name';
+  const rooms = await dbAll(roomQuery, roomParams);
+  const combinations = rooms.length === 0 && !roomId ? await loadCombinations(partySize) : [];
+
+  const bufferSettings = await getBufferSettings();
+  const allRooms = [...rooms, ...combinations.flatMap(group => group.rooms)];
+  allRooms.forEach(room => {
+    room.buffers = resolveRoomBuffers(room, bufferSettings);
+  });
+
+  // Bookings just outside the opening hours still matter when their turnover gap reaches inside
+  const maxGap = Math.max(0, ...allRooms.map(room => turnoverGap(room.buffers)));
+  const windows = days.flatMap(d => d.windows);
+  const roomIds = [...new Set(allRooms.map(room => room.id))];
+  let bookings = [];
+  let blocks = [];
+  if (windows.length > 0 && roomIds.length > 0) {
+    const rangeStart = windows[0].open.clone().subtract(maxGap, 'minutes').toISOString();
+    const rangeEnd = windows[windows.length - 1].close.clone().add(maxGap, 'minutes').toISOString();
+    const placeholders = roomIds.map(() => '?').join(', ');
+    const rows = await dbAll(
+      `SELECT id, room_id, start_time, end_time,
+         (SELECT group_concat(room_id) FROM booking_rooms WHERE booking_id = bookings.id) as combined_room_ids
+       FROM bookings
+       WHERE ${BLOCKING_BOOKING_SQL} AND start_time < ? AND end_time > ?
+       AND (room_id IN (${placeholders}) OR id IN (SELECT booking_id FROM booking_rooms WHERE room_id IN (${placeholders})))`,
+      [rangeEnd, rangeStart, ...roomIds, ...roomIds]
+    );
+    // Every room each booking holds, so a combined booking blocks all of them
+    bookings = rows.map(({ combined_room_ids: combined, ...booking }) => ({
+      ...booking,
+      room_ids: combined ? combined.split(',').map(Number) : [booking.room_id]
+    }));
+    blocks = await findRoomBlocks(roomIds, windows[0].open, windows[windows.length - 1].close);
+  }
+
+  return { days, rooms, combinations, bookings, blocks };
+}
+
+// Busy intervals in `room`: its bookings with the turnover gap already added, and its
+// blocks, which need no gap
+function roomSchedule(room, { bookings, blocks }) {
+  const gap = turnoverGap(room.buffers);
+  const busy = bookings
+    .filter(b => b.room_ids.includes(room.id))
+    .map(b => ({
+      start_time: moment(b.start_time).subtract(gap, 'minutes'),
+      end_time: moment(b.end_time).add(gap, 'minutes')
+    }))
+    .concat(blocks.filter(block => block.room_id === room.id));
+  return { busy, gap: 0 };
+}
+
+// A combined room is busy whenever any of its rooms is
+const groupSchedule = (group, context) => ({
+  busy: group.rooms.flatMap(room => roomSchedule(room, context).busy),
+  gap: 0
+});
+
+async function resolveOptions(options) {
+  const minDuration = await getSettingNumber('booking_min_duration', DEFAULT_DURATION);
+  return {
+    ...options,
+    endDate: options.endDate || options.startDate,
+    partySize: options.partySize || 1,
+    duration: options.duration || minDuration,
+    interval: options.interval || DEFAULT_SLOT_INTERVAL,
+    minUseful: minDuration
+  };
+}
+
+function formatWindow(window) {
+  return { start_time: window.start.toISOString(), end_time: window.end.toISOString() };
+}
+
+// Slots that creating a booking would accept: the same policy check POST /bookings runs,
+// so lead time, advance window, time grid and duration limits all apply
+const withinPolicy = (slots, policy, openingHours, now) => slots.filter(slot => (
+  checkBookingPolicy(formatWindow(slot), policy, openingHours, { now }).length === 0
+));
+
+// Free windows and bookable slots per room and day
+export async function getAvailability(options) {
+  const opts = await resolveOptions(options);
+  const openingHours = await getOpeningHours();
+  const policy = await getBookingPolicy();
+  const context = await loadAvailabilityContext(opts, openingHours);
+  const { days, rooms, combinations } = context;
+  const now = moment();
+
+  const dayAvailability = ({ busy, gap }) => days.map(({ date, windows }) => {
+    if (windows.length === 0) {
+      return { date, is_closed: true, open_time: null, close_time: null, opening_windows: [], free_windows: [], slots: [] };
+    }
+    const free = windows.flatMap(window => getFreeWindows(window.open, window.close, busy, gap));
+    return {
+      date,
+      is_closed: false,
+      open_time: windows[0].open.toISOString(),
+      close_time: windows[windows.length - 1].close.toISOString(),
+      opening_windows: windows.map(window => formatWindow({ start: window.open, end: window.close })),
+      free_windows: free.map(formatWindow),
+      slots: withinPolicy(getSlots(free, opts.duration, opts.interval, now), policy, openingHours, now).map(formatWindow)
+    };
+  });
+
+  return {
+    start_date: opts.startDate,
+    end_date: opts.endDate,
+    party_size: opts.partySize,
+    duration: opts.duration,
+    interval: opts.interval,
+    rooms: rooms.map(room => ({
+      room_id: room.id,
+      name: room.name,
+      capacity: room.capacity,
+      category: room.category,
+      buffer_before_minutes: room.buffers.before,
+      buffer_after_minutes: room.buffers.after,
+      days: dayAvailability(roomSchedule(room, context))
+    })),
+    combinations: combinations.map(group => ({
+      room_group_id: group.id,
+      room_ids: group.room_ids,
+      name: group.name,
+      capacity: group.capacity,
+      days: dayAvailability(groupSchedule(group, context))
+    }))
+  };
+}
+
+// Rooms that can take the party, best fit first: the smallest room that fits,
+// then the placement that leaves the fewest unsellable minutes, then the earliest start.
+// With `startTime` only that exact placement is considered. When no single room is big
+// enough, combined rooms are ranked the same way and carry room_group_id and room_ids.
+export async function findBestRooms(options) {
+  const opts = await resolveOptions(options);
+  const openingHours = await getOpeningHours();
+  const policy = await getBookingPolicy();
+  if (opts.startTime) {
+    // The day before too, whose last window may run past midnight into the start
+    const start = venueMoment(opts.startTime, openingHours.timezone);
+    opts.startDate = start.clone().subtract(1, 'day').format('YYYY-MM-DD');
+    opts.endDate = start.format('YYYY-MM-DD');
+  }
+
+  const context = await loadAvailabilityContext(opts, openingHours);
+  const { days, rooms, combinations } = context;
+  const now = moment();
+  const requestedStart = opts.startTime ? venueMoment(opts.startTime, openingHours.timezone) : null;
+  const candidates = [];
+
+  const findBestSlot = ({ busy, gap }) => {
+    let best = null;
+
+    days.flatMap(day => day.windows).forEach(window => {
+      const free = getFreeWindows(window.open, window.close, busy, gap);
+
+      let slots;
+      if (requestedStart) {
+        const requestedEnd = requestedStart.clone().add(opts.duration, 'minutes');
+        const container = free.find(w => !requestedStart.isBefore(w.start) && !requestedEnd.isAfter(w.end));
+        slots = container ? [{ start: requestedStart.clone(), end: requestedEnd, window: container }] : [];
+      } else {
+        slots = getSlots(free, opts.duration, opts.interval, now);
+      }
+
+      withinPolicy(slots, policy, openingHours, now).forEach(slot => {
+        const fragmentation = fragmentationMinutes(slot.window, slot.start, slot.end, opts.minUseful);
+        if (!best || fragmentation < best.fragmentation ||
+            (fragmentation === best.fragmentation && slot.start.isBefore(best.slot.start))) {
+          best = { slot, fragmentation };
+        }
+      });
+    });
+
+    return best && {
+      start_time: best.slot.start.toISOString(),
+      end_time: best.slot.end.toISOString(),
+      fragmentation_minutes: best.fragmentation
+    };
+  };
+
+  rooms.forEach(room => {
+    const best = findBestSlot(roomSchedule(room, context));
+    if (best) {
+      candidates.push({
+        room_id: room.id,
+        name: room.name,
+        capacity: room.capacity,
+        category: room.category,
+        start_time: best.start_time,
+        end_time: best.end_time,
+        spare_capacity: room.capacity - opts.partySize,
+        fragmentation_minutes: best.fragmentation_minutes
+      });
+    }
+  });
+
+  combinations.forEach(group => {
+    const best = findBestSlot(groupSchedule(group, context));
+    if (best) {
+      candidates.push({
+        room_id: null,
+        room_group_id: group.id,
+        room_ids: group.room_ids,
+        name: group.name,
+        capacity: group.capacity,
+        category: null,
+        start_time: best.start_time,
+        end_time: best.end_time,
+        spare_capacity: group.capacity - opts.partySize,
+        fragmentation_minutes: best.fragmentation_minutes
+      });
+    }
+  });
+
+  candidates.sort((a, b) =>
+    a.spare_capacity - b.spare_capacity ||
+    a.fragmentation_minutes - b.fragmentation_minutes ||
+    new Date(a.start_time) - new Date(b.start_time)
+  );
+
+  return {
+    party_size: opts.partySize,
+    duration: opts.duration,
+    rooms: candidates.map((candidate, index) => ({ rank: index + 1, ...candidate }))
+  };
+}
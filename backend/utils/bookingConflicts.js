@@ -0,0 +1,86 @@
+import moment from 'moment';
+import { dbAll } from '../database/query.js';
+import { getRoomBuffers, turnoverGap } from './buffers.js';
+import { BLOCKING_BOOKING_SQL } from './holds.js';
+import { OCCUPIES_ROOM_SQL } from './roomGroups.js';
+import { findRoomBlocks } from './roomBlocks.js';
+
+// Bookings in a room that overlap [startTime, endTime) or sit closer to it than
+// the room's turnover buffers allow, combined bookings holding the room included.
+// Cancelled bookings, no-shows and expired holds are ignored.
+export async function findConflictingBookings(roomId, startTime, endTime, excludeIds = []) {
+  const gap = turnoverGap(await getRoomBuffers(roomId));
+  let query = `
+    SELECT id, room_id, room_group_id, customer_name, start_time, end_time, status, hold_expires_at
+    FROM bookings
+    WHERE ${OCCUPIES_ROOM_SQL} AND ${BLOCKING_BOOKING_SQL}
+    AND start_time < ? AND end_time > ?
+  `;
+  const params = [
+    roomId,
+    roomId,
+    moment(endTime).add(gap, 'minutes').toISOString(),
+    moment(startTime).subtract(gap, 'minutes').toISOString()
+  ];
+
+  if (excludeIds.length > 0) {
+    query += ` AND id NOT IN (${excludeIds.map(() => '?').join(', ')})`;
+    params.push(...excludeIds);
+  }
+
+  query += ' ORDER BY start_time';
+
+  return dbAll(query, params);
+}
+
+// Thrown inside a transaction to abort a write that would overlap other bookings.
+// `data` is returned to the client as the body of the 409 response.
+export class BookingConflictError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'BookingConflictError';
+    this.data = data;
+  }
+}
+
+// `roomIds` is a room id, or every room of a combined booking. Room blocks over the
+// slot count as conflicts too and come back as `blocks`.
+export async function assertNoConflicts(roomIds, startTime, endTime, excludeIds = []) {
+  const conflicts = [];
+  for (const roomId of [].concat(roomIds)) {
+    const found = await findConflictingBookings(roomId, startTime, endTime, excludeIds);
+    conflicts.push(...found.filter(booking => !conflicts.some(c => c.id === booking.id)));
+  }
+  const blocks = await findRoomBlocks([].concat(roomIds), startTime, endTime);
+  if (conflicts.length > 0) {
+    throw new BookingConflictError('Time slot conflicts with existing booking', { conflicts, blocks });
+  }
+  if (blocks.length > 0) {
+    throw new BookingConflictError(`Room is out of service: ${blocks[0].reason}`, { conflicts, blocks });
+  }
+}
+
+// Per-occurrence conflict report for a set of planned { room_id?, start_time, end_time } slots
+export function checkOccurrences(occurrences, roomId, excludeIds = []) {
+  return Promise.all(occurrences.map(async (occurrence) => {
+    const occurrenceRoomId = occurrence.room_id || roomId;
+    const conflicts = await findConflictingBookings(
+      occurrenceRoomId, occurrence.start_time, occurrence.end_time, excludeIds
+    );
+    const blocks = await findRoomBlocks([occurrenceRoomId], occurrence.start_time, occurrence.end_time);
+    return {
+      ...occurrence,
+      status: conflicts.length > 0 || blocks.length > 0 ? 'conflict' : 'available',
+      conflicts,
+      blocks
+    };
+  }));
+}
+
+export function sendConflict(res, error) {
+  return res.status(409).json({
+    error: error.message,
+    code: 'TIME_SLOT_CONFLICT',
+    data: error.data
+  });
+}
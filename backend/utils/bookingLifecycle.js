@@ -0,0 +1,56 @@
+import { dbAll, dbRun } from '../database/query.js';
+
+// Booking lifecycle: which status changes are legal and an audit row for every change
+
+export const BOOKING_STATUSES = [
+  'held', 'pending', 'confirmed', 'checked_in', 'in_progress', 'completed', 'no_show', 'cancelled'
+];
+
+// Allowed next statuses. Cancelled and no-show bookings can be reinstated as
+// confirmed, and a no-show can still be checked in when the party turns up late.
+export const STATUS_TRANSITIONS = {
+  held: ['pending', 'confirmed', 'cancelled'],
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['pending', 'checked_in', 'no_show', 'cancelled'],
+  checked_in: ['in_progress', 'completed'],
+  in_progress: ['completed'],
+  completed: [],
+  no_show: ['confirmed', 'checked_in', 'cancelled'],
+  cancelled: ['confirmed']
+};
+
+// Statuses whose booking no longer occupies its room
+export const RELEASED_STATUSES = ['cancelled', 'no_show'];
+
+export function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    const error = new Error(`Cannot change a booking from ${from} to ${to}`);
+    error.status = 400;
+    error.code = 'INVALID_STATUS_TRANSITION';
+    throw error;
+  }
+}
+
+// Audit one status change per booking. `source` is 'staff' for API calls and
+// 'system' for the sweepers.
+export async function recordStatusChanges(bookings, toStatus, source = 'staff') {
+  for (const booking of bookings) {
+    if (booking.status === toStatus) continue;
+    await dbRun(
+      `INSERT INTO booking_status_changes (booking_id, from_status, to_status, source)
+       VALUES (?, ?, ?, ?)`,
+      [booking.id, booking.status, toStatus, source]
+    );
+  }
+}
+
+export function getStatusHistory(bookingId) {
+  return dbAll(
+    'SELECT * FROM booking_status_changes WHERE booking_id = ? ORDER BY changed_at, id',
+    [bookingId]
+  );
+}
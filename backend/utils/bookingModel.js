@@ -0,0 +1,175 @@
+import { dbGet, dbRun } from '../database/query.js';
+import { recordStatusChanges } from './bookingLifecycle.js';
+import { createConfirmationCode } from './confirmationCodes.js';
+import { parseCustomFieldValues } from './customFields.js';
+import { resolveBookingCustomer } from './customers.js';
+import { priceBooking } from './pricing.js';
+import { getBookingPromos, recordRedemptions } from './promotions.js';
+import { getPolicyForCategory, snapshotPolicy } from './cancellations.js';
+import { getGroupPricingRoom, getRoomGroup } from './roomGroups.js';
+
+export const BOOKING_SOURCES = ['walk_in', 'phone', 'email', 'online', 'app', 'other'];
+export const BOOKING_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Booking details beyond who, where and when
+export const DETAIL_FIELDS = [
+  'party_size', 'source', 'priority', 'base_price', 'additional_fees', 'discount', 'special_requests'
+];
+export const PRICE_FIELDS = ['base_price', 'additional_fees', 'discount'];
+
+// Columns that decide what a booking costs under the pricing rules
+export const PLACEMENT_FIELDS = ['room_id', 'start_time', 'end_time'];
+
+export const BOOKING_WITH_ROOM_QUERY = `
+  SELECT b.*, r.name as room_name, r.capacity as room_capacity, r.category as room_category,
+    g.name as room_group_name,
+    (SELECT group_concat(br.room_id) FROM booking_rooms br WHERE br.booking_id = b.id) as combined_room_ids
+  FROM bookings b
+  JOIN rooms r ON b.room_id = r.id
+  LEFT JOIN room_groups g ON b.room_group_id = g.id
+`;
+
+function parseJsonList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function parseJsonObject(json) {
+  try {
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Rooms a booking row holds, in id order: all of a combined booking's, otherwise its own
+function getRoomIds(row) {
+  if (!row.combined_room_ids) return [row.room_id];
+  return String(row.combined_room_ids).split(',').map(Number).sort((a, b) => a - b);
+}
+
+// A bookings row as returned by the API, with custom field values, price lines, promo
+// codes and the cancellation policy parsed, and room_ids listing the rooms it holds
+export function formatBooking(row) {
+  if (!row) return row;
+  const booking = { ...row };
+  delete booking.combined_room_ids;
+  return {
+    ...booking,
+    room_ids: getRoomIds(row),
+    custom_fields: parseCustomFieldValues(row.custom_fields),
+    price_lines: parseJsonList(row.price_lines),
+    promo_codes: parseJsonList(row.promo_codes),
+    cancellation_policy: parseJsonObject(row.cancellation_policy),
+    base_price_manual: Boolean(row.base_price_manual)
+  };
+}
+
+export async function getBookingWithRoom(id) {
+  return formatBooking(await dbGet(`${BOOKING_WITH_ROOM_QUERY} WHERE b.id = ?`, [id]));
+}
+
+// The room a booking is priced as: its room, or for a combined booking its room group
+export async function getPricingRoom(roomId, roomGroupId = null) {
+  if (roomGroupId) {
+    const group = await getRoomGroup(roomGroupId);
+    return group && getGroupPricingRoom(group);
+  }
+  return dbGet('SELECT id, category, price_per_hour FROM rooms WHERE id = ?', [roomId]);
+}
+
+// Price columns for a bookings row after a change to its placement or price fields.
+// A base price staff set by hand (base_price_manual) and redeemed promo codes
+// survive moves and resizes.
+export async function repriceBooking(booking) {
+  const room = await getPricingRoom(booking.room_id, booking.room_group_id);
+  if (!room) {
+    const error = new Error('Room not found');
+    error.status = 400;
+    throw error;
+  }
+  return priceBooking(booking, room, {
+    keepBasePrice: Boolean(booking.base_price_manual),
+    promos: await getBookingPromos(booking.id)
+  });
+}
+
+export function updateBookingFields(id, fields) {
+  const columns = Object.keys(fields);
+  return dbRun(
+    `UPDATE bookings SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...columns.map(column => fields[column]), id]
+  );
+}
+
+// A confirmation code no other booking has yet. Call inside the transaction that
+// inserts the booking so two requests cannot pick the same one.
+export async function generateConfirmationCode() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = createConfirmationCode();
+    const existing = await dbGet('SELECT id FROM bookings WHERE confirmation_code = ?', [code]);
+    if (!existing) return code;
+  }
+  throw new Error('Could not generate a unique confirmation code');
+}
+
+// Insert a booking from its column values. It is priced by the pricing rules unless
+// a base price is given, `promos` (from resolvePromoCodes) are redeemed on it, the
+// room's cancellation policy is copied onto it, it is linked to its customer (the
+// given customer_id, or one matched on email or phone) and a fresh confirmation code
+// is assigned. Its status history starts with the status it was created with. Call
+// inside a transaction.
+export async function insertBooking(fields, room, { promos = [] } = {}) {
+  const basePriceManual = fields.base_price !== undefined && fields.base_price !== null;
+  const booking = {
+    ...fields,
+    additional_fees: fields.additional_fees || 0,
+    discount: fields.discount || 0
+  };
+  const row = {
+    ...booking,
+    ...(await priceBooking(booking, room, { keepBasePrice: basePriceManual, promos })),
+    base_price_manual: basePriceManual ? 1 : 0,
+    promo_codes: JSON.stringify(promos.map(promo => promo.code)),
+    custom_fields: JSON.stringify(fields.custom_fields || {}),
+    cancellation_policy: snapshotPolicy(await getPolicyForCategory(room.category)),
+    customer_id: await resolveBookingCustomer(fields, fields.customer_id),
+    confirmation_code: await generateConfirmationCode()
+  };
+
+  const columns = Object.keys(row).filter(column => row[column] !== undefined);
+  const result = await dbRun(
+    `INSERT INTO bookings (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+  await recordRedemptions(result.lastID, promos, fields);
+  const { status } = await dbGet('SELECT status FROM bookings WHERE id = ?', [result.lastID]);
+  await recordStatusChanges([{ id: result.lastID, status: null }], status);
+  return result;
+}
+
+// Rows that belong to a booking and go when it is deleted, as their ON DELETE CASCADE
+// clauses say; the connection does not enforce foreign keys
+const BOOKING_CHILD_TABLES = ['booking_rooms', 'promo_redemptions', 'payments', 'booking_status_changes'];
+
+// Rows that outlive a booking but lose their link to it (ON DELETE SET NULL)
+const BOOKING_LINK_TABLES = ['invoices', 'waitlist_entries'];
+
+// Delete a booking with the rows that belong to it, unlinking issued documents and
+// the waitlist entry it was converted from. Resolves to the number of bookings
+// deleted. Call inside a transaction.
+export async function deleteBooking(id) {
+  const { changes } = await dbRun('DELETE FROM bookings WHERE id = ?', [id]);
+  if (changes === 0) return 0;
+  for (const table of BOOKING_CHILD_TABLES) {
+    await dbRun(`DELETE FROM ${table} WHERE booking_id = ?`, [id]);
+  }
+  for (const table of BOOKING_LINK_TABLES) {
+    await dbRun(`UPDATE ${table} SET booking_id = NULL WHERE booking_id = ?`, [id]);
+  }
+  return changes;
+}
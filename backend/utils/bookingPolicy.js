@@ -0,0 +1,132 @@
+import moment from 'moment';
+import { dbAll } from '../database/query.js';
+import { findBusinessWindow, findHoursException, getOpeningHours } from './businessHours.js';
+import { venueMoment } from './venueTime.js';
+
+// Booking policy: how long a booking may be, how far ahead and how soon it may start,
+// the grid its times snap to and the opening hours it must fit. Checked whenever a
+// booking is created or its time changes.
+
+// Settings keys and the values used when a key is missing
+export const BOOKING_POLICY_SETTINGS = {
+  min_duration: { key: 'booking_min_duration', fallback: 60 },
+  max_duration: { key: 'booking_max_duration', fallback: 480 },
+  advance_days: { key: 'booking_advance_days', fallback: 30 },
+  lead_minutes: { key: 'booking_lead_minutes', fallback: 0 },
+  time_interval: { key: 'booking_time_interval', fallback: 15 }
+};
+
+// { min_duration, max_duration, advance_days, lead_minutes, time_interval } in minutes
+// (days for advance_days). Zero turns a limit off.
+export async function getBookingPolicy() {
+  const keys = Object.values(BOOKING_POLICY_SETTINGS).map(setting => setting.key);
+  const rows = await dbAll(`SELECT key, value FROM settings WHERE key IN (${keys.map(() => '?').join(', ')})`, keys);
+  const values = Object.fromEntries(rows.map(row => [row.key, parseInt(row.value, 10)]));
+  return Object.fromEntries(Object.entries(BOOKING_POLICY_SETTINGS).map(([name, { key, fallback }]) => (
+    [name, Number.isNaN(values[key]) || values[key] === undefined ? fallback : Math.max(0, values[key])]
+  )));
+}
+
+// Thrown inside a transaction when a placement breaks the policy. `errors` are shaped
+// like express-validator's, against start_time or end_time, each with a code.
+export class BookingPolicyError extends Error {
+  constructor(errors) {
+    super(errors[0].msg);
+    this.name = 'BookingPolicyError';
+    this.errors = errors;
+  }
+}
+
+export function sendPolicyErrors(res, error) {
+  return res.status(400).json({
+    error: error.message,
+    code: 'BOOKING_POLICY_VIOLATION',
+    errors: error.errors
+  });
+}
+
+const describeMinutes = (minutes) => {
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+// Whether `time` sits on the `interval`-minute grid counted from midnight on its own clock
+const isAligned = (time, interval) => (
+  !interval || (time.seconds() === 0 && time.milliseconds() === 0 && (time.hours() * 60 + time.minutes()) % interval === 0)
+);
+
+// Policy errors for placing a booking at [start_time, end_time). With `previous`
+// (the booking as it was) only what changed is checked, so a booking made under
+// older rules, or one already under way, can still be edited in other ways. Times are
+// read on the venue's clock (openingHours.timezone).
+export function checkBookingPolicy({ start_time, end_time }, policy, openingHours, { previous = null, now = moment() } = {}) {
+  const errors = [];
+  const fieldError = (path, value, msg, code) => errors.push({ type: 'field', value, msg, path, location: 'body', code });
+
+  const start = venueMoment(start_time, openingHours.timezone);
+  const end = venueMoment(end_time, openingHours.timezone);
+  const startChanged = !previous || !start.isSame(moment(previous.start_time));
+  const endChanged = !previous || !end.isSame(moment(previous.end_time));
+  const duration = end.diff(start, 'minutes');
+
+  if (startChanged || endChanged) {
+    if (policy.min_duration && duration < policy.min_duration) {
+      fieldError('end_time', end_time, `Bookings must be at least ${describeMinutes(policy.min_duration)} long`, 'DURATION_TOO_SHORT');
+    } else if (policy.max_duration && duration > policy.max_duration) {
+      fieldError('end_time', end_time, `Bookings can be at most ${describeMinutes(policy.max_duration)} long`, 'DURATION_TOO_LONG');
+    }
+  }
+
+  if (startChanged) {
+    const earliest = now.clone().add(policy.lead_minutes, 'minutes');
+    if (start.isBefore(now)) {
+      fieldError('start_time', start_time, 'Bookings cannot start in the past', 'START_IN_PAST');
+    } else if (start.isBefore(earliest)) {
+      fieldError('start_time', start_time, `Bookings must start at least ${describeMinutes(policy.lead_minutes)} from now`, 'LEAD_TIME');
+    }
+    if (policy.advance_days && start.isAfter(now.clone().add(policy.advance_days, 'days'))) {
+      fieldError('start_time', start_time, `Bookings can be made at most ${policy.advance_days} days ahead`, 'BEYOND_ADVANCE_WINDOW');
+    }
+    if (!isAligned(start, policy.time_interval)) {
+      fieldError('start_time', start_time, `Start time must be on a ${policy.time_interval}-minute mark`, 'NOT_ALIGNED');
+    }
+  }
+  if (endChanged && !isAligned(end, policy.time_interval)) {
+    fieldError('end_time', end_time, `End time must be on a ${policy.time_interval}-minute mark`, 'NOT_ALIGNED');
+  }
+
+  if (startChanged || endChanged) {
+    const window = findBusinessWindow(start, openingHours);
+    if (!window) {
+      const exception = findHoursException(start, openingHours.exceptions);
+      const message = exception?.is_closed ? `Closed on ${start.format('MMM D')} (${exception.name})` : 'Start time is outside business hours';
+      fieldError('start_time', start_time, message, 'OUTSIDE_BUSINESS_HOURS');
+    } else if (end.isAfter(window.close)) {
+      fieldError('end_time', end_time, `Bookings must end by closing time (${window.close.format('h:mm A')})`, 'OUTSIDE_BUSINESS_HOURS');
+    }
+  }
+
+  return errors;
+}
+
+// Throw a BookingPolicyError if [start_time, end_time) breaks the booking policy
+export async function assertBookingPolicy(placement, options = {}) {
+  const errors = checkBookingPolicy(placement, await getBookingPolicy(), await getOpeningHours(), options);
+  if (errors.length > 0) {
+    throw new BookingPolicyError(errors);
+  }
+}
+
+// Planned { start_time, end_time } occurrences of a new series with their policy errors
+// as `policy_errors`. One that breaks the policy is marked as a conflict, so the series
+// skips or aborts on it as it does on an overlap.
+export async function checkOccurrencePolicies(occurrences) {
+  const policy = await getBookingPolicy();
+  const openingHours = await getOpeningHours();
+  return occurrences.map(occurrence => {
+    const errors = checkBookingPolicy(occurrence, policy, openingHours);
+    return errors.length > 0
+      ? { ...occurrence, status: 'conflict', policy_errors: errors }
+      : { ...occurrence, policy_errors: [] };
+  });
+}
@@ -0,0 +1,63 @@
+import { dbAll, dbGet } from '../database/query.js';
+
+// Turnover buffers (cleaning/setup minutes) around bookings. A room's own
+// buffer_before_minutes/buffer_after_minutes win over its category's entry in
+// the `category_buffers` setting, which wins over the global settings.
+
+export const BUFFER_SETTING_KEYS = ['buffer_before_minutes', 'buffer_after_minutes', 'category_buffers'];
+
+function toMinutes(value, fallback = 0) {
+  const minutes = parseInt(value, 10);
+  return Number.isNaN(minutes) || minutes < 0 ? fallback : minutes;
+}
+
+export async function getBufferSettings() {
+  const rows = await dbAll(
+    `SELECT key, value FROM settings WHERE key IN (${BUFFER_SETTING_KEYS.map(() => '?').join(', ')})`,
+    BUFFER_SETTING_KEYS
+  );
+  const values = {};
+  rows.forEach(row => {
+    values[row.key] = row.value;
+  });
+
+  let categories = {};
+  try {
+    categories = JSON.parse(values.category_buffers || '{}') || {};
+  } catch (error) {
+    categories = {};
+  }
+
+  return {
+    before: toMinutes(values.buffer_before_minutes),
+    after: toMinutes(values.buffer_after_minutes),
+    categories
+  };
+}
+
+export function resolveRoomBuffers(room, settings) {
+  const category = settings.categories[room.category] || {};
+  const pick = (roomValue, categoryValue, globalValue) => {
+    if (roomValue !== null && roomValue !== undefined) return toMinutes(roomValue, globalValue);
+    if (categoryValue !== null && categoryValue !== undefined) return toMinutes(categoryValue, globalValue);
+    return globalValue;
+  };
+
+  return {
+    before: pick(room.buffer_before_minutes, category.before, settings.before),
+    after: pick(room.buffer_after_minutes, category.after, settings.after)
+  };
+}
+
+export async function getRoomBuffers(roomId) {
+  const [room, settings] = await Promise.all([
+    dbGet('SELECT category, buffer_before_minutes, buffer_after_minutes FROM rooms WHERE id = ?', [roomId]),
+    getBufferSettings()
+  ]);
+  return room ? resolveRoomBuffers(room, settings) : { before: settings.before, after: settings.after };
+}
+
+// Minimum gap between two bookings in a room: the earlier one's cleanup plus the later one's setup
+export function turnoverGap(buffers) {
+  return buffers.before + buffers.after;
+}
@@ -0,0 +1,135 @@
+import moment from 'moment';
+import { dbAll } from '../database/query.js';
+import { atVenueTime, getVenueClock, venueMoment } from './venueTime.js';
+
+export const EXCEPTION_KINDS = ['holiday', 'event', 'other'];
+
+function parseIntervals(json) {
+  try {
+    const intervals = JSON.parse(json || '[]');
+    return Array.isArray(intervals) ? intervals : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// An exception with its flags as booleans and its opening intervals, none when closed.
+// Exceptions saved before they had intervals have just an open_time and close_time.
+export function formatHoursException(row) {
+  if (!row) return row;
+  const is_closed = Boolean(row.is_closed);
+  let intervals = is_closed ? [] : parseIntervals(row.intervals);
+  if (!is_closed && intervals.length === 0 && row.open_time && row.close_time) {
+    intervals = [{ open_time: row.open_time, close_time: row.close_time }];
+  }
+  return {
+    ...row,
+    is_closed,
+    intervals,
+    recurs_annually: Boolean(row.recurs_annually)
+  };
+}
+
+// The exception that applies on `date`: one for that exact date, otherwise a recurring
+// one for its month and day. Recurring exceptions apply from the year they were set for.
+export function findHoursException(date, exceptions) {
+  const dateText = moment(date).format('YYYY-MM-DD');
+  return exceptions.find(e => e.date === dateText)
+    || exceptions.find(e => e.recurs_annually && e.date.slice(5) === dateText.slice(5) && e.date <= dateText)
+    || null;
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A day's opening intervals ({ open_time, close_time }) in order, as minutes from the
+// start of the day. A close at or before its open runs past midnight.
+function intervalMinutes(intervals) {
+  return intervals
+    .map(interval => {
+      const open = toMinutes(interval.open_time);
+      let close = toMinutes(interval.close_time);
+      if (close <= open) close += 24 * 60;
+      return { open, close };
+    })
+    .sort((a, b) => a.open - b.open);
+}
+
+// Why a day's opening intervals can't be saved, or null. They may not overlap, and
+// only the last one as entered may run past midnight: an opening listed after one that
+// does (20:00-02:00, then 03:00-04:00) would otherwise be read as earlier that day.
+export function getIntervalsError(intervals) {
+  const minutes = intervalMinutes(intervals);
+  if (minutes.some((interval, index) => index > 0 && interval.open < minutes[index - 1].close)) {
+    return 'Opening times on the same day may not overlap';
+  }
+  if (intervals.slice(0, -1).some(interval => toMinutes(interval.close_time) <= toMinutes(interval.open_time))) {
+    return 'Only the last opening on a day may run past midnight';
+  }
+  return null;
+}
+
+// { is_closed, intervals: [{ open_time, close_time }], exception } for a calendar date,
+// from its exception if it has one and the weekly hours otherwise
+export function getHoursForDate(date, openingHours) {
+  const exception = findHoursException(date, openingHours.exceptions);
+  if (exception) {
+    return { is_closed: exception.is_closed, intervals: exception.intervals, exception };
+  }
+  const rows = openingHours.weekly[moment(date).day()] || [];
+  const is_closed = rows.length === 0 || rows.some(row => row.is_closed);
+  return { is_closed, intervals: is_closed ? [] : rows, exception: null };
+}
+
+// The venue moment `minutes` after the start of calendar date `dateText`, counted
+// on the wall clock so that a DST change inside the day doesn't shift it
+function wallClockTime(dateText, minutes, timezone) {
+  const date = moment(dateText, 'YYYY-MM-DD').add(Math.floor(minutes / (24 * 60)), 'days').format('YYYY-MM-DD');
+  const time = moment.utc(0).add(minutes % (24 * 60), 'minutes').format('HH:mm');
+  return atVenueTime(date, time, timezone);
+}
+
+// Opening windows for a calendar date in the venue's timezone, earliest first; none
+// when closed. A closing time at or before the opening time (e.g. 18:00-02:00) rolls
+// over to the next day.
+export function getBusinessWindows(date, openingHours) {
+  const dateText = moment.isMoment(date) ? date.format('YYYY-MM-DD') : moment(date).format('YYYY-MM-DD');
+  const hours = getHoursForDate(moment(dateText, 'YYYY-MM-DD'), openingHours);
+  if (hours.is_closed) return [];
+
+  return intervalMinutes(hours.intervals).map(({ open, close }) => ({
+    open: wallClockTime(dateText, open, openingHours.timezone),
+    close: wallClockTime(dateText, close, openingHours.timezone)
+  }));
+}
+
+// Weekly business_hours rows grouped by day of week (0 = Sunday), one per opening
+// interval, every date exception and the venue timezone they are read in
+export async function getOpeningHours() {
+  const hours = await dbAll('SELECT * FROM business_hours');
+  const weekly = {};
+  hours.forEach(h => {
+    weekly[h.day_of_week] = [...(weekly[h.day_of_week] || []), h];
+  });
+  const exceptions = (await dbAll('SELECT * FROM business_hours_exceptions')).map(formatHoursException);
+  const { timezone } = await getVenueClock();
+  return { weekly, exceptions, timezone };
+}
+
+// The opening window `startTime` falls in: one of the venue date it starts on, or the
+// previous day's last when that runs past midnight. Null when closed at that time,
+// including in the gap between split shifts.
+export function findBusinessWindow(startTime, openingHours) {
+  const start = venueMoment(startTime, openingHours.timezone);
+  return [start.clone().subtract(1, 'day'), start.clone()]
+    .flatMap(day => getBusinessWindows(day, openingHours))
+    .find(window => !start.isBefore(window.open) && start.isBefore(window.close)) || null;
+}
+
+// Whether [startTime, endTime) fits inside one opening window
+export async function isWithinBusinessHours(startTime, endTime) {
+  const window = findBusinessWindow(startTime, await getOpeningHours());
+  return Boolean(window) && !moment(endTime).isAfter(window.close);
+}
@@ -0,0 +1,194 @@
+import moment from 'moment';
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { roundCurrency } from './pricing.js';
+import { addLedgerEntry, getPaymentLedger } from './payments.js';
+import { RELEASED_STATUSES } from './bookingLifecycle.js';
+
+// Cancellation policies. A booking keeps a copy of the policy in force when it was
+// made (bookings.cancellation_policy), so later policy changes only affect new
+// bookings. Cancelling, or being marked a no-show, charges the fee to the booking's
+// payment ledger; staff can waive it with a reason.
+
+function parseTiers(json) {
+  try {
+    const tiers = JSON.parse(json || '[]');
+    return Array.isArray(tiers) ? tiers : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function formatCancellationPolicy(row) {
+  return row && {
+    ...row,
+    tiers: parseTiers(row.tiers).sort((a, b) => b.hours_before - a.hours_before),
+    active: Boolean(row.active)
+  };
+}
+
+export async function getCancellationPolicies() {
+  const rows = await dbAll('SELECT * FROM cancellation_policies ORDER BY room_category IS NOT NULL, room_category, id');
+  return rows.map(formatCancellationPolicy);
+}
+
+// The active policy for rooms of `category`: the category's own, else the venue default
+export async function getPolicyForCategory(category) {
+  const row = await dbGet(
+    `SELECT * FROM cancellation_policies
+     WHERE active = 1 AND (room_category = ? OR room_category IS NULL)
+     ORDER BY room_category IS NULL, id
+     LIMIT 1`,
+    [category ?? null]
+  );
+  return formatCancellationPolicy(row);
+}
+
+// The part of a policy copied onto a booking
+export function snapshotPolicy(policy) {
+  return policy && JSON.stringify({
+    policy_id: policy.id,
+    name: policy.name,
+    tiers: policy.tiers,
+    no_show_fee_percent: policy.no_show_fee_percent || 0
+  });
+}
+
+// The policy a booking is held to: its own copy, or for bookings made before it had
+// one, the current policy for its room
+export async function getBookingPolicy(booking) {
+  if (booking.cancellation_policy && typeof booking.cancellation_policy === 'object') {
+    return booking.cancellation_policy;
+  }
+  if (booking.cancellation_policy) {
+    try {
+      return JSON.parse(booking.cancellation_policy);
+    } catch (error) {
+      // Fall through to the current policy
+    }
+  }
+  const room = await dbGet('SELECT category FROM rooms WHERE id = ?', [booking.room_id]);
+  const policy = await getPolicyForCategory(room?.category);
+  return policy && JSON.parse(snapshotPolicy(policy));
+}
+
+// Fee for cancelling `booking` at `at` (or marking it a no-show when `kind` is
+// 'no_show') under `policy`: the highest tier whose window the cancellation falls in
+export function getCancellationFee(policy, booking, { kind = 'cancelled', at = moment() } = {}) {
+  const hoursBefore = roundCurrency(moment(booking.start_time).diff(moment(at), 'hours', true));
+  let percent = 0;
+  let tier = null;
+
+  if (policy && kind === 'no_show') {
+    percent = policy.no_show_fee_percent || 0;
+  } else if (policy) {
+    (policy.tiers || []).forEach(candidate => {
+      if (hoursBefore < candidate.hours_before && candidate.fee_percent >= percent) {
+        percent = candidate.fee_percent;
+        tier = candidate;
+      }
+    });
+  }
+
+  return {
+    policy_name: policy?.name || null,
+    kind,
+    hours_before_start: hoursBefore,
+    tier,
+    fee_percent: percent,
+    fee: roundCurrency((booking.total_price || 0) * percent / 100)
+  };
+}
+
+// What cancelling `booking` now would cost, and what that leaves owed or to refund
+export async function previewCancellationFee(booking, kind = 'cancelled') {
+  const fee = getCancellationFee(await getBookingPolicy(booking), booking, { kind });
+  const ledger = await getPaymentLedger(booking.id);
+  const netPaid = ledger ? ledger.summary.net_paid : 0;
+  const alreadyCharged = ledger ? ledger.summary.charges + ledger.summary.adjustments : 0;
+  const balance = roundCurrency(fee.fee + alreadyCharged - netPaid);
+  return {
+    booking_id: booking.id,
+    start_time: booking.start_time,
+    total_price: booking.total_price,
+    ...fee,
+    net_paid: netPaid,
+    balance_due: Math.max(0, balance),
+    refund_due: Math.max(0, -balance)
+  };
+}
+
+function describeFee(fee) {
+  const reason = fee.kind === 'no_show' ? 'no-show' : `cancelled ${Math.max(0, fee.hours_before_start).toFixed(1)}h before start`;
+  return `${fee.kind === 'no_show' ? 'No-show' : 'Cancellation'} fee: ${fee.fee_percent}% (${reason}${fee.policy_name ? `, ${fee.policy_name}` : ''})`;
+}
+
+// Charge the fee for cancelling `booking` (or marking it a no-show) to its ledger,
+// waiving it straight away when `waiverReason` is given. Call inside the transaction
+// that changes its status.
+export async function chargeCancellationFee(booking, { kind = 'cancelled', waiverReason = null } = {}) {
+  const fee = getCancellationFee(await getBookingPolicy(booking), booking, { kind });
+  await dbRun(
+    `UPDATE bookings SET cancellation_fee = ?, cancellation_fee_percent = ?,
+       cancellation_fee_waived_at = NULL, cancellation_fee_waiver_reason = NULL
+     WHERE id = ?`,
+    [fee.fee, fee.fee_percent, booking.id]
+  );
+  if (fee.fee > 0) {
+    await addLedgerEntry({ booking_id: booking.id, entry_type: 'charge', amount: fee.fee, status: 'succeeded', note: describeFee(fee) });
+    if (waiverReason) {
+      await waiveCancellationFee({ ...booking, cancellation_fee: fee.fee }, waiverReason);
+    }
+  }
+  return fee;
+}
+
+// Waive a booking's cancellation fee: credits it back in the ledger and keeps the
+// reason on the booking for auditing
+export async function waiveCancellationFee(booking, reason) {
+  await addLedgerEntry({
+    booking_id: booking.id,
+    entry_type: 'adjustment',
+    amount: -booking.cancellation_fee,
+    status: 'succeeded',
+    note: `Cancellation fee waived: ${reason}`
+  });
+  await dbRun(
+    `UPDATE bookings SET cancellation_fee_waived_at = CURRENT_TIMESTAMP, cancellation_fee_waiver_reason = ?
+     WHERE id = ?`,
+    [reason, booking.id]
+  );
+}
+
+// A cancelled or no-show booking is being reinstated: credit back any fee it was
+// charged and has not had waived
+export async function reverseCancellationFee(booking) {
+  if (booking.cancellation_fee > 0 && !booking.cancellation_fee_waived_at) {
+    await addLedgerEntry({
+      booking_id: booking.id,
+      entry_type: 'adjustment',
+      amount: -booking.cancellation_fee,
+      status: 'succeeded',
+      note: 'Cancellation fee reversed: booking reinstated'
+    });
+  }
+  await dbRun(
+    `UPDATE bookings SET cancellation_fee = 0, cancellation_fee_percent = NULL,
+       cancellation_fee_waived_at = NULL, cancellation_fee_waiver_reason = NULL
+     WHERE id = ?`,
+    [booking.id]
+  );
+}
+
+// Charge or reverse cancellation fees for `booking` moving to `nextStatus`. Expiring
+// or dropping a hold is not a cancellation the customer pays for.
+export async function applyCancellationFees(booking, nextStatus, { waiverReason = null } = {}) {
+  const wasReleased = RELEASED_STATUSES.includes(booking.status);
+  const releases = RELEASED_STATUSES.includes(nextStatus);
+  if (releases && !wasReleased && booking.status !== 'held') {
+    return chargeCancellationFee(booking, { kind: nextStatus === 'no_show' ? 'no_show' : 'cancelled', waiverReason });
+  }
+  if (wasReleased && !releases) {
+    await reverseCancellationFee(booking);
+  }
+  return null;
+}
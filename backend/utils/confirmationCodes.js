@@ -0,0 +1,15 @@
+import crypto from 'crypto';
+
+// Codes get read out over the phone, so look-alike characters (0/O, 1/I/L) are left out
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// A random code such as BK-7QX4MZ. Uniqueness is up to the caller; the bookings
+// table has a unique index on confirmation_code as the backstop.
+export function createConfirmationCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `BK-${code}`;
+}
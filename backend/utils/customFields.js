@@ -0,0 +1,156 @@
+import moment from 'moment';
+import { containsPattern, dbAll } from '../database/query.js';
+
+// Venue-defined booking and room fields. Definitions live in booking_custom_fields and
+// room_custom_fields; each booking or room keeps its values as a JSON object keyed by
+// field_key in its custom_fields column.
+
+// Definition table for each kind of record that carries custom fields
+export const CUSTOM_FIELD_TABLES = {
+  booking: 'booking_custom_fields',
+  room: 'room_custom_fields'
+};
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date', 'checkbox'];
+
+// Keys end up in JSON paths and query strings, so they are kept to identifiers
+export const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+export function formatCustomField(row) {
+  let options = [];
+  try {
+    options = JSON.parse(row.options || '[]') || [];
+  } catch (error) {
+    options = [];
+  }
+  return {
+    ...row,
+    required: Boolean(row.required),
+    visible: Boolean(row.visible),
+    options
+  };
+}
+
+export async function getCustomFieldSchema(entity = 'booking') {
+  const rows = await dbAll(`SELECT * FROM ${CUSTOM_FIELD_TABLES[entity]} ORDER BY sort_order, id`);
+  return rows.map(formatCustomField);
+}
+
+export function parseCustomFieldValues(json) {
+  try {
+    const values = JSON.parse(json || '{}');
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// The stored form of `value` for `field`, or an error message
+function normalizeValue(field, value) {
+  const { min_value: min, max_value: max } = field;
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (typeof value === 'boolean' || Number.isNaN(number)) return { error: `${field.label} must be a number` };
+      if (min !== null && number < min) return { error: `${field.label} must be at least ${min}` };
+      if (max !== null && number > max) return { error: `${field.label} must be at most ${max}` };
+      return { value: number };
+    }
+    case 'checkbox':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    case 'date':
+      if (typeof value !== 'string' || !moment(value, 'YYYY-MM-DD', true).isValid()) {
+        return { error: `${field.label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+    case 'select':
+      if (!field.options.includes(value)) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    default: {
+      const text = String(value).trim();
+      if (min !== null && text.length < min) return { error: `${field.label} must be at least ${min} characters` };
+      if (max !== null && text.length > max) return { error: `${field.label} must be at most ${max} characters` };
+      return { value: text };
+    }
+  }
+}
+
+// Check a booking's or room's custom field values against the schema. Returns the values to
+// store (blank ones dropped) and errors shaped like express-validator's, so clients
+// handle them the same way as any other field error.
+export function validateCustomFieldValues(values, schema) {
+  const errors = [];
+  const normalized = {};
+  const fieldError = (key, value, msg) => errors.push({
+    type: 'field', value, msg, path: `custom_fields.${key}`, location: 'body'
+  });
+
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push({ type: 'field', value: values, msg: 'Custom fields must be an object', path: 'custom_fields', location: 'body' });
+    return { values: normalized, errors };
+  }
+
+  const byKey = new Map(schema.map(field => [field.field_key, field]));
+  Object.keys(values).forEach(key => {
+    if (!byKey.has(key)) fieldError(key, values[key], `Unknown custom field "${key}"`);
+  });
+
+  schema.forEach(field => {
+    const value = values[field.field_key];
+    // An unticked required checkbox is a missing answer, not a false one
+    if (isBlank(value) || (field.type === 'checkbox' && field.required && (value === false || value === 'false'))) {
+      if (field.required) fieldError(field.field_key, value, `${field.label} is required`);
+      return;
+    }
+    const result = normalizeValue(field, value);
+    if (result.error) {
+      fieldError(field.field_key, value, result.error);
+    } else {
+      normalized[field.field_key] = result.value;
+    }
+  });
+
+  return { values: normalized, errors };
+}
+
+// SQL conditions for filtering bookings by custom field values, from a query such as
+// ?custom[company]=acme. Text fields match by substring, case-insensitively; other
+// types must match exactly. Filters on unknown fields are ignored.
+export function buildCustomFieldFilters(filters, schema, alias = 'b') {
+  const conditions = [];
+  const params = [];
+  if (!filters || typeof filters !== 'object') return { conditions, params };
+
+  schema.forEach(field => {
+    const value = filters[field.field_key];
+    if (isBlank(value) || typeof value !== 'string') return;
+
+    const column = `json_extract(${alias}.custom_fields, ?)`;
+    const path = `$.${field.field_key}`;
+    if (field.type === 'text') {
+      conditions.push(`${column} LIKE ? ESCAPE '\\'`);
+      params.push(path, containsPattern(value));
+    } else if (field.type === 'number') {
+      if (Number.isNaN(Number(value))) return;
+      conditions.push(`${column} = ?`);
+      params.push(path, Number(value));
+    } else if (field.type === 'checkbox') {
+      conditions.push(`${column} = ?`);
+      params.push(path, value === 'true' ? 1 : 0);
+    } else {
+      conditions.push(`${column} = ?`);
+      params.push(path, value);
+    }
+  });
+
+  return { conditions, params };
+}
@@ -0,0 +1,133 @@
+import { dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { RELEASED_STATUSES } from './bookingLifecycle.js';
+import { normalizeCustomerEmail, normalizeCustomerPhone } from './promotions.js';
+
+// The customer directory. Bookings keep their own copy of the name, email and phone
+// they were made with and point at a customer through customer_id. A new booking is
+// matched to a customer on its phone or email, ignoring case and formatting, and one is
+// created when nobody matches. Bookings with neither are left without a customer, as
+// a name alone is too weak to match on.
+
+// Bookings left out of a customer's booking count and last visit: cancelled, no-shows
+// and holds not yet confirmed
+const UNCOUNTED_STATUSES = [...RELEASED_STATUSES, 'held'];
+
+// Customers with their booking count, last visit (latest counted booking already started)
+// and total spend. Spend is what they have actually paid: succeeded payments less refunds
+// in the payment ledger, across all their bookings. Takes the current time.
+export const CUSTOMER_WITH_STATS_SQL = `
+  SELECT c.*,
+    COUNT(b.id) as booking_count,
+    MAX(CASE WHEN b.start_time <= ? THEN b.start_time END) as last_visit,
+    (SELECT COALESCE(SUM(CASE p.entry_type WHEN 'payment' THEN p.amount WHEN 'refund' THEN -p.amount ELSE 0 END), 0)
+     FROM payments p JOIN bookings pb ON pb.id = p.booking_id
+     WHERE pb.customer_id = c.id AND p.status = 'succeeded') as total_spend
+  FROM customers c
+  LEFT JOIN bookings b ON b.customer_id = c.id
+    AND b.status NOT IN (${UNCOUNTED_STATUSES.map(() => '?').join(', ')})
+`;
+
+export const customerStatsParams = () => [new Date().toISOString(), ...UNCOUNTED_STATUSES];
+
+export function formatCustomer(row) {
+  if (!row) return row;
+  const customer = { ...row };
+  delete customer.email_normalized;
+  delete customer.phone_normalized;
+  return {
+    ...customer,
+    booking_count: row.booking_count ?? 0,
+    total_spend: Math.round((row.total_spend ?? 0) * 100) / 100
+  };
+}
+
+export async function getCustomer(id) {
+  return formatCustomer(await dbGet(
+    `${CUSTOMER_WITH_STATS_SQL} WHERE c.id = ? GROUP BY c.id`,
+    [...customerStatsParams(), id]
+  ));
+}
+
+// The customer with this email or phone, preferring one that has both. Pass `excludeId`
+// to ignore that customer, e.g. the one being edited.
+export async function findCustomerByContact({ email, phone }, excludeId = null) {
+  const emailKey = normalizeCustomerEmail(email);
+  const phoneKey = normalizeCustomerPhone(phone);
+  if (!emailKey && !phoneKey) return null;
+  return dbGet(
+    `SELECT * FROM customers
+     WHERE (email_normalized = ? OR phone_normalized = ?) AND id IS NOT ?
+     ORDER BY COALESCE(email_normalized = ?, 0) + COALESCE(phone_normalized = ?, 0) DESC, id
+     LIMIT 1`,
+    [emailKey, phoneKey, excludeId, emailKey, phoneKey]
+  );
+}
+
+// Insert a customer. Call inside a transaction.
+export async function insertCustomer({ name, email = null, phone = null, notes = null }) {
+  const { lastID } = await dbRun(
+    `INSERT INTO customers (name, email, phone, email_normalized, phone_normalized, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [name, email || null, phone || null, normalizeCustomerEmail(email), normalizeCustomerPhone(phone), notes]
+  );
+  return lastID;
+}
+
+// The customer_id for a new booking from its customer_* fields: `customerId` when staff
+// picked the customer, otherwise the customer matching its email or phone, created if
+// there is none. A matched customer missing an email or phone gets the booking's.
+// Call inside a transaction.
+export async function resolveBookingCustomer(fields, customerId = null) {
+  if (customerId) {
+    const customer = await dbGet('SELECT id FROM customers WHERE id = ?', [customerId]);
+    if (!customer) {
+      const error = new Error('Customer not found');
+      error.status = 400;
+      error.code = 'CUSTOMER_NOT_FOUND';
+      throw error;
+    }
+    return customer.id;
+  }
+
+  const contact = { email: fields.customer_email, phone: fields.customer_phone };
+  const match = await findCustomerByContact(contact);
+  if (!match) {
+    if (!normalizeCustomerEmail(contact.email) && !normalizeCustomerPhone(contact.phone)) return null;
+    return insertCustomer({ name: fields.customer_name, ...contact });
+  }
+
+  const missing = {};
+  if (!match.email && contact.email) {
+    Object.assign(missing, { email: contact.email, email_normalized: normalizeCustomerEmail(contact.email) });
+  }
+  if (!match.phone && normalizeCustomerPhone(contact.phone)) {
+    Object.assign(missing, { phone: contact.phone, phone_normalized: normalizeCustomerPhone(contact.phone) });
+  }
+  const columns = Object.keys(missing);
+  if (columns.length > 0) {
+    await dbRun(
+      `UPDATE customers SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => missing[column]), match.id]
+    );
+  }
+  return match.id;
+}
+
+// Build the directory from bookings made before there was one, oldest first so each
+// customer is named as on their first booking. Run at startup.
+export async function backfillBookingCustomers() {
+  const bookings = await dbAll(
+    `SELECT id, customer_name, customer_email, customer_phone FROM bookings
+     WHERE customer_id IS NULL AND (customer_email IS NOT NULL OR customer_phone IS NOT NULL)
+     ORDER BY created_at, id`
+  );
+  if (bookings.length === 0) return;
+  await withTransaction(async () => {
+    for (const booking of bookings) {
+      const customerId = await resolveBookingCustomer(booking);
+      if (customerId) {
+        await dbRun('UPDATE bookings SET customer_id = ? WHERE id = ?', [customerId, booking.id]);
+      }
+    }
+  });
+}
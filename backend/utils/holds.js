@@ -0,0 +1,63 @@
+import moment from 'moment';
+import { dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { RELEASED_STATUSES, recordStatusChanges } from './bookingLifecycle.js';
+import { notifyWaitlist } from './waitlist.js';
+
+// Tentative holds: a `held` booking blocks its slot until hold_expires_at,
+// after which the sweeper cancels it so the slot opens up again.
+
+export const DEFAULT_HOLD_MINUTES = 15;
+export const MAX_HOLD_MINUTES = 24 * 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// SQLite's clock in the same ISO-8601 shape the API stores timestamps in
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Bookings that still occupy their slot: anything not cancelled or a no-show, except holds past their expiry
+export const BLOCKING_BOOKING_SQL = `status NOT IN (${RELEASED_STATUSES.map(s => `'${s}'`).join(', ')}) AND (status != 'held' OR hold_expires_at > ${NOW_SQL})`;
+
+export async function getHoldExpiry(holdMinutes) {
+  let minutes = parseInt(holdMinutes, 10);
+  if (Number.isNaN(minutes)) {
+    const row = await dbGet('SELECT value FROM settings WHERE key = ?', ['hold_duration_minutes']);
+    minutes = parseInt(row?.value, 10);
+  }
+  if (Number.isNaN(minutes) || minutes < 1) minutes = DEFAULT_HOLD_MINUTES;
+  return moment().add(Math.min(minutes, MAX_HOLD_MINUTES), 'minutes').toISOString();
+}
+
+export function releaseExpiredHolds() {
+  return withTransaction(async () => {
+    const expired = await dbAll(
+      `SELECT id, room_id, room_group_id, start_time, end_time, status FROM bookings
+       WHERE status = 'held' AND hold_expires_at <= ${NOW_SQL}`
+    );
+    if (expired.length > 0) {
+      await dbRun(
+        `UPDATE bookings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (${expired.map(() => '?').join(', ')})`,
+        expired.map(b => b.id)
+      );
+      await recordStatusChanges(expired, 'cancelled', 'system');
+    }
+    return expired;
+  });
+}
+
+// Periodically release expired holds, tell connected clients which slots opened up
+// and offer them to the waitlist
+export function startHoldSweeper(io, intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredHolds();
+      if (released.length > 0 && io) {
+        io.emit('booking-changed', { type: 'holds-released', bookings: released });
+        await notifyWaitlist(io, released);
+      }
+    } catch (error) {
+      // console.error('Error releasing expired holds:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
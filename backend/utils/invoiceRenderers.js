@@ -0,0 +1,214 @@
+import moment from 'moment-timezone';
+import { formatMoney } from './invoices.js';
+import { renderPdf, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+import { DEFAULT_TIMEZONE, venueMoment } from './venueTime.js';
+
+// HTML and PDF renderings of an issued invoice or receipt (see formatInvoice). Both
+// lay out the same sections: business and customer, the booking, its price lines,
+// other charges, payments and what is left to pay. Dates and times are shown on the
+// venue's clock in `timezone`, and amounts in the currency the document was issued in.
+
+const TITLES = { invoice: 'Invoice', receipt: 'Receipt' };
+
+const PAYMENT_STATUS_LABELS = {
+  no_charge: 'No charge',
+  unpaid: 'Unpaid',
+  deposit_due: 'Deposit due',
+  deposit_paid: 'Deposit paid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  refund_due: 'Refund due'
+};
+
+// The business details printed under its name
+const getBusinessLines = (business) => [
+  business.address, business.phone, business.email, business.website, business.tax_id && `Tax ID ${business.tax_id}`
+].filter(Boolean);
+
+// Issue and payment dates are SQLite CURRENT_TIMESTAMP values: UTC without an offset
+const formatDate = (value, timezone) => moment.utc(value).tz(timezone).format('MMM D, YYYY');
+
+function describeBooking(booking, timezone) {
+  return `${venueMoment(booking.start_time, timezone).format('MMM D, YYYY h:mm A')} - ${venueMoment(booking.end_time, timezone).format('h:mm A')}`;
+}
+
+// The label/amount rows under the line items, in order
+function getTotals(document) {
+  const rows = [];
+  if (document.items.length > 0) {
+    rows.push({ label: 'Subtotal', amount: document.subtotal });
+    if (document.tax_rate > 0) rows.push({ label: `Tax (${document.tax_rate}%)`, amount: document.tax });
+  }
+  rows.push({ label: 'Total', amount: document.total_due, bold: true });
+  if (document.paid !== 0) rows.push({ label: 'Paid', amount: -document.paid });
+  if (document.balance_due < 0) {
+    rows.push({ label: 'Refund due', amount: -document.balance_due, bold: true });
+  } else {
+    rows.push({ label: 'Balance due', amount: document.balance_due, bold: true });
+  }
+  return rows;
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export function renderDocumentHtml(document, timezone = DEFAULT_TIMEZONE) {
+  const { business, customer, booking } = document;
+  const title = `${TITLES[document.document_type]} ${document.number}`;
+  const lines = (values) => values.filter(Boolean).map(value => `<div>${escapeHtml(value)}</div>`).join('');
+  const rows = (entries, withDate) => entries.map(entry => `
+        <tr>
+          ${withDate ? `<td>${escapeHtml(formatDate(entry.date, timezone))}</td>` : ''}
+          <td>${escapeHtml(entry.label)}${entry.detail ? `<div class="detail">${escapeHtml(entry.detail)}</div>` : ''}</td>
+          <td class="amount">${escapeHtml(formatMoney(entry.amount, document.currency))}</td>
+        </tr>`).join('');
+  const table = (heading, entries, withDate) => (entries.length === 0 ? '' : `
+    <h2>${heading}</h2>
+    <table>
+      <tbody>${rows(entries, withDate)}
+      </tbody>
+    </table>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 720px; margin: 40px auto; padding: 0 24px; font-size: 14px; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #111827; padding-bottom: 16px; }
+    h1 { margin: 0; font-size: 28px; }
+    h2 { font-size: 14px; text-transform: uppercase; color: #6b7280; margin: 24px 0 8px; }
+    .parties { display: flex; justify-content: space-between; margin-top: 24px; }
+    .muted, .detail { color: #6b7280; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 6px 0; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.amount { text-align: right; white-space: nowrap; }
+    .totals td { border: none; }
+    .totals .strong td { font-weight: bold; border-top: 1px solid #111827; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <strong>${escapeHtml(business.name || '')}</strong>
+      <div class="muted">${lines(getBusinessLines(business))}</div>
+    </div>
+    <div style="text-align: right">
+      <h1>${escapeHtml(TITLES[document.document_type])}</h1>
+      <div>${escapeHtml(document.number)}</div>
+      <div class="muted">Issued ${escapeHtml(formatDate(document.created_at, timezone))}</div>
+      <div class="muted">${escapeHtml(PAYMENT_STATUS_LABELS[document.payment_status] || '')}</div>
+    </div>
+  </header>
+  <div class="parties">
+    <div>
+      <h2>Billed to</h2>
+      ${lines([customer.name, customer.email, customer.phone])}
+    </div>
+    <div style="text-align: right">
+      <h2>Booking</h2>
+      ${lines([booking.confirmation_code, booking.room_name, describeBooking(booking, timezone)])}
+    </div>
+  </div>
+  ${table('Items', document.items, false)}
+  ${table('Other charges', document.charges, true)}
+  ${table('Payments', document.payments, true)}
+  <table class="totals" style="margin-top: 16px">
+    <tbody>${getTotals(document).map(row => `
+      <tr${row.bold ? ' class="strong"' : ''}>
+        <td>${escapeHtml(row.label)}</td>
+        <td class="amount">${escapeHtml(formatMoney(row.amount, document.currency))}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const LINE_HEIGHT = 15;
+
+export function renderDocumentPdf(document, timezone = DEFAULT_TIMEZONE) {
+  const { business, customer, booking } = document;
+  const pages = [[]];
+  let y = MARGIN;
+  const page = () => pages[pages.length - 1];
+  const text = (x, value, options = {}) => page().push({ type: 'text', x, y, text: value, ...options });
+  const rule = (width = 0.5) => page().push({ type: 'line', x1: MARGIN, y1: y, x2: RIGHT, y2: y, width });
+  // Start a new page when the next `rows` lines would run past the bottom margin
+  const ensureSpace = (rows = 1) => {
+    if (y + rows * LINE_HEIGHT > PAGE_HEIGHT - MARGIN) {
+      pages.push([]);
+      y = MARGIN;
+    }
+  };
+
+  // Header: business on the left, document title and number on the right
+  y += 10;
+  text(MARGIN, business.name || '', { size: 14, bold: true });
+  text(RIGHT, TITLES[document.document_type], { size: 22, bold: true, align: 'right' });
+  getBusinessLines(business).forEach((value, index) => {
+    y += LINE_HEIGHT;
+    text(MARGIN, value, { size: 9 });
+    if (index === 0) text(RIGHT, document.number, { size: 11, align: 'right' });
+    if (index === 1) text(RIGHT, `Issued ${formatDate(document.created_at, timezone)}`, { size: 9, align: 'right' });
+  });
+  y += LINE_HEIGHT;
+  text(RIGHT, PAYMENT_STATUS_LABELS[document.payment_status] || '', { size: 9, align: 'right' });
+  y += 10;
+  rule(1.5);
+
+  // Customer and booking
+  y += 25;
+  text(MARGIN, 'BILLED TO', { size: 9, bold: true });
+  text(RIGHT, 'BOOKING', { size: 9, bold: true, align: 'right' });
+  const left = [customer.name, customer.email, customer.phone].filter(Boolean);
+  const right = [booking.confirmation_code, booking.room_name, describeBooking(booking, timezone)].filter(Boolean);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    y += LINE_HEIGHT;
+    if (left[i]) text(MARGIN, left[i]);
+    if (right[i]) text(RIGHT, right[i], { align: 'right' });
+  }
+
+  const section = (heading, entries, withDate) => {
+    if (entries.length === 0) return;
+    y += 30;
+    ensureSpace(2);
+    text(MARGIN, heading.toUpperCase(), { size: 9, bold: true });
+    y += 6;
+    rule();
+    entries.forEach(entry => {
+      ensureSpace(entry.detail ? 2 : 1);
+      y += LINE_HEIGHT;
+      const x = withDate ? MARGIN + 90 : MARGIN;
+      if (withDate) text(MARGIN, formatDate(entry.date, timezone));
+      text(x, entry.label || '');
+      text(RIGHT, formatMoney(entry.amount, document.currency), { align: 'right' });
+      if (entry.detail) {
+        y += 12;
+        text(x, entry.detail, { size: 8 });
+      }
+    });
+  };
+  section('Items', document.items, false);
+  section('Other charges', document.charges, true);
+  section('Payments', document.payments, true);
+
+  y += 20;
+  getTotals(document).forEach(row => {
+    ensureSpace();
+    y += LINE_HEIGHT;
+    text(RIGHT - 160, row.label, { bold: row.bold });
+    text(RIGHT, formatMoney(row.amount, document.currency), { bold: row.bold, align: 'right' });
+  });
+
+  return renderPdf(pages, { title: `${TITLES[document.document_type]} ${document.number}` });
+}
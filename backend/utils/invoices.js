@@ -0,0 +1,194 @@
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { getBookingWithRoom } from './bookingModel.js';
+import { getPaymentLedger } from './payments.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { roundCurrency } from './pricing.js';
+
+// Invoices and receipts. Issuing one copies the booking's price breakdown, ledger and
+// the business details onto a numbered document, so it reads the same later. Numbers
+// run in sequence per document type: INV-000001, INV-000002... and RCT-000001...
+// An invoice shows what is owed; a receipt is issued once something has been paid.
+
+export const DOCUMENT_TYPES = ['invoice', 'receipt'];
+
+const NUMBER_PREFIXES = { invoice: 'INV', receipt: 'RCT' };
+
+// Business details a document can show, as kept in the frontend's business info. Any
+// the request leaves out come from the business_<field> settings (the name falling
+// back to app_name).
+export const BUSINESS_FIELDS = ['name', 'address', 'phone', 'email', 'website', 'tax_id'];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Whether `code` is an ISO 4217 currency code amounts can be formatted in
+export function isValidCurrency(code) {
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    return /^[A-Z]{3}$/.test(code);
+  } catch (error) {
+    return false;
+  }
+}
+
+// `amount` in `currency`, signed, e.g. -$20.00 for a refund
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => (
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0)
+);
+
+// Price line types that take money off
+const DEDUCTION_TYPES = ['discount', 'promo'];
+
+export function formatDocumentNumber(documentType, sequence) {
+  return `${NUMBER_PREFIXES[documentType]}-${String(sequence).padStart(6, '0')}`;
+}
+
+export function formatInvoice(row) {
+  if (!row) return row;
+  const { data, ...columns } = row;
+  let content = {};
+  try {
+    content = JSON.parse(data || '{}');
+  } catch (error) {
+    // Shown without its content rather than not at all
+  }
+  return { ...content, ...columns };
+}
+
+function describePriceLine(line, currency) {
+  if (line.type === 'base' && line.hourly_rate != null) {
+    return `${roundCurrency(line.minutes / 60)}h at ${formatMoney(line.hourly_rate, currency)}/h`;
+  }
+  if (line.minutes) return `${roundCurrency(line.minutes / 60)}h`;
+  return null;
+}
+
+function describeLedgerEntry(entry) {
+  const provider = getPaymentProvider(entry.provider);
+  const parts = [provider ? provider.label : entry.provider];
+  if (entry.card_last4) parts.push(`ending ${entry.card_last4}`);
+  if (entry.reference) parts.push(entry.reference);
+  return parts.filter(Boolean).join(' · ');
+}
+
+// Bookings priced before itemised quotes have no price lines and show as one item
+function getItems(booking, subtotal, currency) {
+  if (!booking.price_lines || booking.price_lines.length === 0) {
+    return [{ label: 'Room booking', detail: null, amount: subtotal }];
+  }
+  return booking.price_lines.map(line => ({
+    label: line.label,
+    detail: describePriceLine(line, currency),
+    amount: DEDUCTION_TYPES.includes(line.type) ? -line.amount : line.amount
+  }));
+}
+
+// What a document for `booking` says, from its price lines and payment ledger, with
+// amounts in `currency`
+export function buildDocumentContent(booking, ledger, business = {}, currency = DEFAULT_CURRENCY) {
+  const { summary } = ledger;
+  const succeeded = ledger.entries.filter(entry => entry.status === 'succeeded');
+  const owesBookingPrice = summary.booking_total > 0;
+  const subtotal = roundCurrency((booking.total_price || 0) - (booking.tax || 0));
+
+  return {
+    business: Object.fromEntries(BUSINESS_FIELDS.map(field => [field, business[field] || null])),
+    currency,
+    customer: {
+      name: booking.customer_name,
+      email: booking.customer_email || null,
+      phone: booking.customer_phone || null
+    },
+    booking: {
+      id: booking.id,
+      confirmation_code: booking.confirmation_code,
+      room_name: booking.room_name,
+      start_time: booking.start_time,
+      end_time: booking.end_time,
+      status: booking.status,
+      party_size: booking.party_size ?? null
+    },
+    items: owesBookingPrice ? getItems(booking, subtotal, currency) : [],
+    subtotal: owesBookingPrice ? subtotal : 0,
+    tax_rate: owesBookingPrice ? booking.tax_rate || 0 : 0,
+    tax: owesBookingPrice ? booking.tax || 0 : 0,
+    booking_total: summary.booking_total,
+    charges: succeeded
+      .filter(entry => entry.entry_type === 'charge' || entry.entry_type === 'adjustment')
+      .map(entry => ({ date: entry.created_at, label: entry.note, amount: entry.amount })),
+    total_due: summary.total_due,
+    payments: succeeded
+      .filter(entry => entry.entry_type === 'payment' || entry.entry_type === 'refund')
+      .map(entry => ({
+        date: entry.created_at,
+        label: entry.entry_type === 'refund' ? 'Refund' : 'Payment',
+        detail: describeLedgerEntry(entry),
+        amount: entry.entry_type === 'refund' ? -entry.amount : entry.amount
+      })),
+    paid: summary.net_paid,
+    balance_due: summary.balance_due,
+    payment_status: summary.status
+  };
+}
+
+// { business, currency } from settings: the stored business details and the currency
+// amounts are shown in
+async function getDocumentSettings() {
+  const keys = ['app_name', 'currency', ...BUSINESS_FIELDS.map(field => `business_${field}`)];
+  const rows = await dbAll(`SELECT key, value FROM settings WHERE key IN (${keys.map(() => '?').join(', ')})`, keys);
+  const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+  const business = Object.fromEntries(BUSINESS_FIELDS.map(field => [field, values[`business_${field}`] || null]));
+  business.name = business.name || values.app_name || null;
+  return {
+    business,
+    currency: isValidCurrency(values.currency) ? values.currency : DEFAULT_CURRENCY
+  };
+}
+
+function documentError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+// Issue a `documentType` document for a booking, or return the last one issued for
+// it if nothing on it has changed since, so numbers are not used up by re-downloads.
+// Resolves to { document, created }, or null if there is no such booking. Call inside
+// a transaction so two requests cannot take the same number.
+export async function issueDocument(bookingId, documentType, business) {
+  const booking = await getBookingWithRoom(bookingId);
+  if (!booking) return null;
+
+  const ledger = await getPaymentLedger(booking.id);
+  const settings = await getDocumentSettings();
+  const details = Object.fromEntries(BUSINESS_FIELDS.map(field => [field, business[field] || settings.business[field]]));
+  const content = buildDocumentContent(booking, ledger, details, settings.currency);
+  if (documentType === 'receipt' && !(content.paid > 0)) {
+    throw documentError('Nothing has been paid on this booking yet, so there is no receipt to issue', 'NOTHING_PAID');
+  }
+  if (documentType === 'invoice' && content.total_due === 0 && content.payments.length === 0) {
+    throw documentError('This booking has nothing to invoice', 'NOTHING_TO_INVOICE');
+  }
+
+  const data = JSON.stringify(content);
+  const latest = await dbGet(
+    'SELECT * FROM invoices WHERE booking_id = ? AND document_type = ? ORDER BY sequence DESC LIMIT 1',
+    [booking.id, documentType]
+  );
+  if (latest && latest.data === data) {
+    return { document: formatInvoice(latest), created: false };
+  }
+
+  const { last } = await dbGet('SELECT MAX(sequence) AS last FROM invoices WHERE document_type = ?', [documentType]);
+  const sequence = (last || 0) + 1;
+  const { lastID } = await dbRun(
+    `INSERT INTO invoices (booking_id, document_type, sequence, number, total, data)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      booking.id, documentType, sequence, formatDocumentNumber(documentType, sequence),
+      documentType === 'receipt' ? content.paid : content.total_due, data
+    ]
+  );
+  const row = await dbGet('SELECT * FROM invoices WHERE id = ?', [lastID]);
+  return { document: formatInvoice(row), created: true };
+}
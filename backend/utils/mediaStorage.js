@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Media storage keeps uploaded files such as room photos. Each driver has
+//   put(key, buffer, contentType), read(key), remove(key) and url(key)
+// where read resolves to a Buffer, or null when there is no such file, and url gives
+// the address the browser loads the file from. Keys are made by createMediaKey and
+// contain only [a-z0-9/_.-]. Add new drivers (e.g. object storage) to MEDIA_DRIVERS and
+// pick one with MEDIA_STORAGE.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Image types accepted for upload, with the extension stored files get
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+export const MEDIA_KEY_PATTERN = /^[a-z0-9_-]+(\/[a-z0-9_-]+)*\.[a-z0-9]+$/;
+
+// A new key under `prefix`, e.g. createMediaKey('rooms/3', 'jpg') -> 'rooms/3/9f2c...e1.jpg'
+export function createMediaKey(prefix, extension, suffix = '') {
+  return `${prefix}/${crypto.randomBytes(12).toString('hex')}${suffix}.${extension}`;
+}
+
+// Files under MEDIA_ROOT (default backend/data/media), served by routes/media.js
+function createLocalDiskStorage(root) {
+  const filePath = (key) => {
+    if (!MEDIA_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    id: 'local',
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    },
+    url(key) {
+      return `/api/media/${key}`;
+    }
+  };
+}
+
+export const MEDIA_DRIVERS = {
+  local: () => createLocalDiskStorage(process.env.MEDIA_ROOT || path.join(__dirname, '../data/media'))
+};
+
+let storage = null;
+
+export function getMediaStorage() {
+  if (!storage) {
+    const driver = MEDIA_DRIVERS[process.env.MEDIA_STORAGE || 'local'];
+    if (!driver) {
+      throw new Error(`Unknown media storage: ${process.env.MEDIA_STORAGE}`);
+    }
+    storage = driver();
+  }
+  return storage;
+}
+
+// The type of image in `buffer` from its first bytes, or null if it is not one of IMAGE_TYPES
+export function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'image/gif';
+  return null;
+}
+
+// { width, height } in pixels of the image in `buffer`, read from its header, or null
+// if it is not one of IMAGE_TYPES or the header cannot be read
+export function readImageSize(buffer) {
+  const type = detectImageType(buffer);
+  if (type === 'image/png' && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (type === 'image/gif' && buffer.length >= 10) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (type === 'image/jpeg') {
+    // Walk the segments to the start-of-frame, which holds the size
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+  if (type === 'image/webp' && buffer.length >= 30) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+  }
+  return null;
+}
+
+// The bytes of a base64 string or data: URL, or null if it is neither
+export function decodeBase64Data(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^data:[^;,]*;base64,(.*)$/s);
+  const base64 = (match ? match[1] : value).replace(/\s/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/]+=*$/.test(base64)) return null;
+  return Buffer.from(base64, 'base64');
+}
@@ -0,0 +1,69 @@
+import moment from 'moment';
+import { dbAll, dbGet, dbRun, withTransaction } from '../database/query.js';
+import { recordStatusChanges } from './bookingLifecycle.js';
+import { notifyWaitlist } from './waitlist.js';
+import { applyCancellationFees } from './cancellations.js';
+
+// Automatic no-shows: a booking nobody checked in for is flagged no_show_after_minutes
+// after its start, which releases the rest of its slot and charges its no-show fee.
+
+export const DEFAULT_NO_SHOW_MINUTES = 15;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Statuses still waiting for the party to arrive
+const AWAITING_ARRIVAL_STATUSES = ['pending', 'confirmed'];
+
+async function getNoShowMinutes() {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', ['no_show_after_minutes']);
+  const minutes = parseInt(row?.value, 10);
+  return Number.isNaN(minutes) ? DEFAULT_NO_SHOW_MINUTES : minutes;
+}
+
+// Mark bookings as no-shows once they are no_show_after_minutes past their start
+// without a check-in (0 turns this off). Bookings that have already ended are left
+// alone so switching this on does not relabel past bookings.
+export async function flagNoShows() {
+  const minutes = await getNoShowMinutes();
+  if (minutes <= 0) return [];
+
+  const now = moment();
+  const cutoff = now.clone().subtract(minutes, 'minutes').toISOString();
+
+  return withTransaction(async () => {
+    const missed = await dbAll(
+      `SELECT id, room_id, start_time, end_time, status, total_price, cancellation_policy FROM bookings
+       WHERE status IN (${AWAITING_ARRIVAL_STATUSES.map(() => '?').join(', ')})
+       AND start_time <= ? AND end_time > ?`,
+      [...AWAITING_ARRIVAL_STATUSES, cutoff, now.toISOString()]
+    );
+    if (missed.length > 0) {
+      await dbRun(
+        `UPDATE bookings SET status = 'no_show', updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (${missed.map(() => '?').join(', ')})`,
+        missed.map(b => b.id)
+      );
+      await recordStatusChanges(missed, 'no_show', 'system');
+      for (const booking of missed) {
+        await applyCancellationFees(booking, 'no_show');
+      }
+    }
+    return missed;
+  });
+}
+
+// Periodically flag no-shows, tell connected clients and offer the rest of each slot to the waitlist
+export function startNoShowSweeper(io, intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(async () => {
+    try {
+      const flagged = await flagNoShows();
+      if (flagged.length > 0 && io) {
+        io.emit('booking-changed', { type: 'no-shows-flagged', bookings: flagged });
+        await notifyWaitlist(io, flagged);
+      }
+    } catch (error) {
+      // console.error('Error flagging no-shows:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+
+// Payment providers take money for a booking and give it back. Each provider has
+//   collect({ amount, booking, details }) and refund({ amount, payment })
+// which resolve to { status: 'succeeded' | 'failed', reference, card_last4?, failure_reason? }.
+// A declined card is a failed result, not a thrown error; throw only when the
+// provider could not be reached. Add new providers to PAYMENT_PROVIDERS.
+
+function createReference(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Cash, bank transfer or a card terminal not connected to us: staff record what they took
+const manualProvider = {
+  id: 'manual',
+  label: 'Cash / manual',
+  requires_card: false,
+  async collect({ details = {} }) {
+    return { status: 'succeeded', reference: details.reference || createReference('man') };
+  },
+  async refund() {
+    return { status: 'succeeded', reference: createReference('man') };
+  }
+};
+
+function passesLuhn(number) {
+  let sum = 0;
+  [...number].reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+}
+
+// Test card numbers the fake card provider declines, with the reason it gives
+export const FAKE_DECLINED_CARDS = {
+  '4000000000000002': 'Card declined',
+  '4000000000009995': 'Insufficient funds'
+};
+
+// A local stand-in for a card processor, for trying out card payments without one.
+// Any number passing the Luhn check is accepted (e.g. 4242 4242 4242 4242) except the
+// FAKE_DECLINED_CARDS.
+const fakeCardProvider = {
+  id: 'fake_card',
+  label: 'Card (test)',
+  requires_card: true,
+  async collect({ details = {} }) {
+    const number = String(details.card_number || '').replace(/\D/g, '');
+    const last4 = number.slice(-4) || null;
+    if (number.length < 12 || !passesLuhn(number)) {
+      return { status: 'failed', reference: null, card_last4: last4, failure_reason: 'Invalid card number' };
+    }
+    if (FAKE_DECLINED_CARDS[number]) {
+      return { status: 'failed', reference: null, card_last4: last4, failure_reason: FAKE_DECLINED_CARDS[number] };
+    }
+    return { status: 'succeeded', reference: createReference('fake_ch'), card_last4: last4 };
+  },
+  async refund({ payment }) {
+    return { status: 'succeeded', reference: createReference('fake_re'), card_last4: payment.card_last4 };
+  }
+};
+
+export const PAYMENT_PROVIDERS = {
+  [manualProvider.id]: manualProvider,
+  [fakeCardProvider.id]: fakeCardProvider
+};
+
+export function getPaymentProvider(id) {
+  return PAYMENT_PROVIDERS[id] || null;
+}
+
+// Providers as listed to the frontend
+export function listPaymentProviders() {
+  return Object.values(PAYMENT_PROVIDERS).map(({ id, label, requires_card }) => ({ id, label, requires_card }));
+}
@@ -0,0 +1,113 @@
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { roundCurrency } from './pricing.js';
+import { RELEASED_STATUSES } from './bookingLifecycle.js';
+
+// Payment ledger. What a booking owes is its total_price plus ledger charges and
+// adjustments; what has been paid is succeeded payments less refunds. The price of a
+// cancelled or no-show booking is no longer owed, only what was charged to it in the
+// ledger, such as its cancellation fee.
+// Deposits are required per room category through the `category_deposits` setting:
+// { [category]: { type: 'percent' | 'fixed', amount } }.
+
+export const PAYMENT_ENTRY_TYPES = ['charge', 'payment', 'refund', 'adjustment'];
+export const DEPOSIT_TYPES = ['percent', 'fixed'];
+
+export const PAYMENT_STATUSES = [
+  'no_charge', 'unpaid', 'deposit_due', 'deposit_paid', 'partially_paid', 'paid', 'refund_due'
+];
+
+export async function getDepositSettings() {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', ['category_deposits']);
+  try {
+    return JSON.parse(row?.value || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Deposit owed up front on a booking priced `total` under a category's deposit rule
+export function getDepositAmount(total, rule) {
+  if (!rule || !(rule.amount > 0) || total <= 0) return 0;
+  const amount = rule.type === 'percent' ? total * rule.amount / 100 : rule.amount;
+  return roundCurrency(Math.min(total, amount));
+}
+
+// Totals of a booking's ledger and where its payment stands
+export function summarizeLedger(booking, entries, depositRule = null) {
+  const succeeded = entries.filter(entry => entry.status === 'succeeded');
+  const sum = (type) => roundCurrency(succeeded
+    .filter(entry => entry.entry_type === type)
+    .reduce((total, entry) => total + entry.amount, 0));
+
+  const bookingTotal = RELEASED_STATUSES.includes(booking.status) ? 0 : booking.total_price || 0;
+  const charges = sum('charge');
+  const adjustments = sum('adjustment');
+  const paid = sum('payment');
+  const refunded = sum('refund');
+
+  const totalDue = roundCurrency(bookingTotal + charges + adjustments);
+  const netPaid = roundCurrency(paid - refunded);
+  const balanceDue = roundCurrency(totalDue - netPaid);
+  const depositRequired = getDepositAmount(bookingTotal, depositRule);
+  const depositOutstanding = roundCurrency(Math.max(0, depositRequired - netPaid));
+
+  let status = 'unpaid';
+  if (balanceDue < 0) status = 'refund_due';
+  else if (totalDue <= 0 && netPaid === 0) status = 'no_charge';
+  else if (balanceDue === 0) status = 'paid';
+  else if (depositOutstanding > 0) status = 'deposit_due';
+  else if (depositRequired > 0) status = 'deposit_paid';
+  else if (netPaid > 0) status = 'partially_paid';
+
+  return {
+    booking_total: bookingTotal,
+    charges,
+    adjustments,
+    paid,
+    refunded,
+    total_due: totalDue,
+    net_paid: netPaid,
+    balance_due: balanceDue,
+    deposit_required: depositRequired,
+    deposit_outstanding: depositOutstanding,
+    status
+  };
+}
+
+export function getLedgerEntries(bookingId) {
+  return dbAll('SELECT * FROM payments WHERE booking_id = ? ORDER BY created_at, id', [bookingId]);
+}
+
+// Append an entry to a booking's ledger and return the stored row
+export async function addLedgerEntry(entry) {
+  const columns = Object.keys(entry);
+  const { lastID } = await dbRun(
+    `INSERT INTO payments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => entry[column])
+  );
+  return dbGet('SELECT * FROM payments WHERE id = ?', [lastID]);
+}
+
+// How much of a succeeded payment has not been refunded yet
+export function getRefundableAmount(payment, entries) {
+  const refunded = entries
+    .filter(entry => entry.entry_type === 'refund' && entry.status === 'succeeded' && entry.refunded_payment_id === payment.id)
+    .reduce((total, entry) => total + entry.amount, 0);
+  return roundCurrency(payment.amount - refunded);
+}
+
+// A booking's ledger entries and summary, or null if there is no such booking
+export async function getPaymentLedger(bookingId) {
+  const booking = await dbGet(`
+    SELECT b.id, b.status, b.total_price, r.category AS room_category
+    FROM bookings b LEFT JOIN rooms r ON r.id = b.room_id
+    WHERE b.id = ?
+  `, [bookingId]);
+  if (!booking) return null;
+
+  const [entries, deposits] = await Promise.all([getLedgerEntries(booking.id), getDepositSettings()]);
+  return {
+    entries,
+    summary: summarizeLedger(booking, entries, deposits[booking.room_category])
+  };
+}
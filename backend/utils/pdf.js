@@ -0,0 +1,87 @@
+// A small PDF writer for plain documents such as invoices: text in the standard
+// Helvetica fonts and straight lines, on US Letter pages. Coordinates are points
+// from the top-left corner of the page.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (per 1000 units of font size) for the characters amounts
+// are made of; anything else is estimated. Only used to right-align text.
+const CHAR_WIDTHS = {
+  ' ': 278, '.': 278, ',': 278, '-': 333, '(': 333, ')': 333, '%': 889, '$': 556, ':': 278, '/': 278
+};
+const DEFAULT_CHAR_WIDTH = 556;
+
+export function textWidth(text, size) {
+  let width = 0;
+  for (const char of String(text)) {
+    width += CHAR_WIDTHS[char] ?? DEFAULT_CHAR_WIDTH;
+  }
+  return width * size / 1000;
+}
+
+// Latin-1 text with PDF string delimiters escaped, and the euro sign at its
+// WinAnsiEncoding code; other characters the standard fonts cannot show become '?'
+function encodeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff€]/g, '?')
+    .replace(/€/g, '\x80')
+    .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+function pageContent(operations) {
+  return operations.map(operation => {
+    if (operation.type === 'line') {
+      const { x1, y1, x2, y2, width = 0.5 } = operation;
+      return `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`;
+    }
+    const { text, size = 10, bold = false, align = 'left' } = operation;
+    const x = align === 'right' ? operation.x - textWidth(text, size) : operation.x;
+    return `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - operation.y)} Td (${encodeText(text)}) Tj ET`;
+  }).join('\n');
+}
+
+// PDF file (as a Buffer) for `pages`, each a list of drawing operations:
+// { type: 'text', x, y, text, size?, bold?, align?: 'left' | 'right' } and
+// { type: 'line', x1, y1, x2, y2, width? }
+export function renderPdf(pages, { title = '' } = {}) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${encodeText(title)}) >>`);
+
+  const pageIds = pages.map(operations => {
+    const content = Buffer.from(pageContent(operations), 'latin1');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
@@ -0,0 +1,247 @@
+import { DEFAULT_TIMEZONE, getVenueClock, venueMoment } from './venueTime.js';
+import { dbAll, dbGet } from '../database/query.js';
+
+// Rule-based pricing. A booking is priced minute by minute: each minute costs the
+// hourly rate of the highest-priority `rate` rule matching it (or the room's own
+// price_per_hour), so a booking crossing from off-peak into peak is prorated across
+// both. Surcharge, fee and discount rules then apply to the minutes they match.
+
+export const PRICING_RULE_TYPES = ['rate', 'surcharge', 'fee', 'discount'];
+
+// per_hour: amount per hour of matched time
+// percent: percentage of the room rate (rate rules) or of the base price of the matched time
+// flat: amount once, when any of the booking matches
+export const PRICING_AMOUNT_TYPES = ['per_hour', 'percent', 'flat'];
+export const RULE_AMOUNT_TYPES = {
+  rate: ['per_hour', 'percent'],
+  surcharge: ['per_hour', 'percent', 'flat'],
+  fee: ['per_hour', 'percent', 'flat'],
+  discount: ['per_hour', 'percent', 'flat']
+};
+
+export const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export function formatPricingRule(row) {
+  let days = [];
+  try {
+    days = JSON.parse(row.days_of_week || '[]') || [];
+  } catch (error) {
+    days = [];
+  }
+  return { ...row, days_of_week: days, active: Boolean(row.active) };
+}
+
+export async function getPricingRules() {
+  const rows = await dbAll('SELECT * FROM pricing_rules ORDER BY priority DESC, id');
+  return rows.map(formatPricingRule);
+}
+
+// Sales tax as a percentage, from the `tax_rate` setting
+export async function getTaxRate() {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', ['tax_rate']);
+  const rate = parseFloat(row?.value);
+  return Number.isNaN(rate) || rate < 0 ? 0 : rate;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// The calendar day a rule's conditions are checked against for `minute`: the day
+// itself, or the previous one for the after-midnight part of an overnight band
+function getRuleDay(rule, minute) {
+  if (!rule.start_time || !rule.end_time) return minute;
+
+  const start = minutesOfDay(rule.start_time);
+  const end = minutesOfDay(rule.end_time);
+  const now = minute.hours() * 60 + minute.minutes();
+  if (start < end) {
+    return now >= start && now < end ? minute : null;
+  }
+  if (now >= start) return minute;
+  if (now < end) return minute.clone().subtract(1, 'day');
+  return null;
+}
+
+export function ruleMatches(rule, minute, room) {
+  if (!rule.active) return false;
+  if (rule.room_id && rule.room_id !== room.id) return false;
+  if (rule.category && rule.category !== room.category) return false;
+
+  const day = getRuleDay(rule, minute);
+  if (!day) return false;
+  if (rule.days_of_week.length > 0 && !rule.days_of_week.includes(day.day())) return false;
+
+  const date = day.format('YYYY-MM-DD');
+  if (rule.start_date && date < rule.start_date) return false;
+  if (rule.end_date && date > rule.end_date) return false;
+  return true;
+}
+
+function ruleAmount(rule, minutes, matchedBase) {
+  if (rule.amount_type === 'flat') return rule.amount;
+  if (rule.amount_type === 'percent') return matchedBase * rule.amount / 100;
+  return rule.amount * minutes / 60;
+}
+
+// Promo code lines. Percentages are of the subtotal before any promo; together the
+// codes never take off more than that subtotal.
+function getPromoLines(promos, subtotal) {
+  let remaining = subtotal;
+  return promos.map(promo => {
+    const value = promo.discount_type === 'percent' ? subtotal * promo.amount / 100 : promo.amount;
+    const amount = roundCurrency(Math.min(remaining, value));
+    remaining = roundCurrency(remaining - amount);
+    return {
+      type: 'promo',
+      label: promo.discount_type === 'percent' ? `Promo ${promo.code} (${promo.amount}%)` : `Promo ${promo.code}`,
+      rule_id: null,
+      code: promo.code,
+      // The redeemed terms, so the line can be repriced without the code
+      discount_type: promo.discount_type,
+      promo_amount: promo.amount,
+      amount
+    };
+  });
+}
+
+// Itemised price of booking `room` from start_time to end_time. `adjustments` are
+// the staff-entered additional_fees and discount, base_price when it is overridden
+// by hand, and the redeemed promos (see resolvePromoCodes). Rule times and days are
+// read on the venue's clock in `timezone`.
+export function buildQuote({ room, start_time, end_time, rules, taxRate = 0, adjustments = {}, timezone = DEFAULT_TIMEZONE }) {
+  const start = venueMoment(start_time, timezone);
+  const totalMinutes = Math.max(0, Math.round(venueMoment(end_time, timezone).diff(start, 'minutes', true)));
+  const roomRate = room.price_per_hour || 0;
+
+  const rateRules = rules.filter(rule => rule.rule_type === 'rate');
+  const extraRules = rules.filter(rule => rule.rule_type !== 'rate');
+  const baseLines = [];
+  const extras = new Map(extraRules.map(rule => [rule.id, { minutes: 0, base: 0 }]));
+
+  for (let i = 0; i < totalMinutes; i++) {
+    const minute = start.clone().add(i, 'minutes');
+    // Rules arrive ordered by priority, so the first match wins
+    const rateRule = rateRules.find(rule => ruleMatches(rule, minute, room));
+    let hourlyRate = roomRate;
+    if (rateRule) {
+      hourlyRate = rateRule.amount_type === 'percent' ? roomRate * rateRule.amount / 100 : rateRule.amount;
+    }
+
+    const last = baseLines[baseLines.length - 1];
+    if (last && last.rule_id === (rateRule?.id ?? null) && last.hourly_rate === roundCurrency(hourlyRate)) {
+      last.minutes += 1;
+    } else {
+      baseLines.push({
+        type: 'base',
+        label: rateRule ? rateRule.name : 'Standard rate',
+        rule_id: rateRule?.id ?? null,
+        start_time: minute.toISOString(),
+        minutes: 1,
+        hourly_rate: roundCurrency(hourlyRate)
+      });
+    }
+
+    extraRules.forEach(rule => {
+      if (ruleMatches(rule, minute, room)) {
+        const extra = extras.get(rule.id);
+        extra.minutes += 1;
+        extra.base += hourlyRate / 60;
+      }
+    });
+  }
+
+  baseLines.forEach(line => {
+    line.amount = roundCurrency(line.hourly_rate * line.minutes / 60);
+  });
+  const ratedBase = roundCurrency(baseLines.reduce((sum, line) => sum + line.amount, 0));
+
+  const lines = [];
+  const basePrice = adjustments.base_price ?? null;
+  if (basePrice !== null) {
+    lines.push({ type: 'base', label: 'Base price (set manually)', rule_id: null, minutes: totalMinutes, amount: roundCurrency(basePrice) });
+  } else {
+    lines.push(...baseLines);
+  }
+
+  extraRules.forEach(rule => {
+    const { minutes, base } = extras.get(rule.id);
+    if (minutes === 0) return;
+    const amount = roundCurrency(ruleAmount(rule, minutes, base));
+    if (amount === 0) return;
+    lines.push({ type: rule.rule_type, label: rule.name, rule_id: rule.id, minutes, amount });
+  });
+
+  if (adjustments.additional_fees > 0) {
+    lines.push({ type: 'fee', label: 'Additional fees', rule_id: null, amount: roundCurrency(adjustments.additional_fees) });
+  }
+  if (adjustments.discount > 0) {
+    lines.push({ type: 'discount', label: 'Discount', rule_id: null, amount: roundCurrency(adjustments.discount) });
+  }
+
+  const sum = (predicate) => roundCurrency(lines.filter(predicate).reduce((total, line) => total + line.amount, 0));
+  const quote = {
+    minutes: totalMinutes,
+    lines,
+    base_price: basePrice !== null ? roundCurrency(basePrice) : ratedBase,
+    surcharges: sum(line => line.type === 'surcharge'),
+    rule_fees: sum(line => line.type === 'fee' && line.rule_id !== null),
+    rule_discounts: sum(line => line.type === 'discount' && line.rule_id !== null),
+    additional_fees: roundCurrency(adjustments.additional_fees || 0),
+    discount: roundCurrency(adjustments.discount || 0),
+    tax_rate: taxRate
+  };
+
+  lines.push(...getPromoLines(adjustments.promos || [], computePriceTotals(quote).subtotal));
+  quote.promo_discount = sum(line => line.type === 'promo');
+  return { ...quote, ...computePriceTotals(quote) };
+}
+
+// Subtotal (never below zero), tax on it and the total, from a booking's or quote's price columns
+export function computePriceTotals(prices) {
+  const subtotal = roundCurrency(Math.max(0,
+    (prices.base_price || 0) + (prices.surcharges || 0) + (prices.rule_fees || 0) + (prices.additional_fees || 0) -
+    (prices.rule_discounts || 0) - (prices.discount || 0) - (prices.promo_discount || 0)
+  ));
+  const tax = roundCurrency(subtotal * (prices.tax_rate || 0) / 100);
+  return { subtotal, tax, total_price: roundCurrency(subtotal + tax) };
+}
+
+// Quote a placement with the venue's current rules and tax rate
+export async function quotePrice({ room, start_time, end_time, adjustments }) {
+  const [rules, taxRate, { timezone }] = await Promise.all([getPricingRules(), getTaxRate(), getVenueClock()]);
+  return buildQuote({ room, start_time, end_time, rules, taxRate, adjustments, timezone });
+}
+
+// The price columns of a booking placed in `room` from start_time to end_time.
+// A base_price set on the booking by hand is kept only when `keepBasePrice` is set.
+export async function priceBooking(booking, room, { keepBasePrice = false, promos = [] } = {}) {
+  const quote = await quotePrice({
+    room,
+    start_time: booking.start_time,
+    end_time: booking.end_time,
+    adjustments: {
+      base_price: keepBasePrice ? booking.base_price ?? null : null,
+      additional_fees: booking.additional_fees || 0,
+      discount: booking.discount || 0,
+      promos
+    }
+  });
+
+  return {
+    base_price: quote.base_price,
+    surcharges: quote.surcharges,
+    rule_fees: quote.rule_fees,
+    rule_discounts: quote.rule_discounts,
+    promo_discount: quote.promo_discount,
+    tax_rate: quote.tax_rate,
+    tax: quote.tax,
+    total_price: quote.total_price,
+    price_lines: JSON.stringify(quote.lines)
+  };
+}
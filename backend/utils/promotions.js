@@ -0,0 +1,213 @@
+import moment from 'moment-timezone';
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import {
+  DEFAULT_BUSINESS_DAY_START,
+  DEFAULT_TIMEZONE,
+  getBusinessDate,
+  getVenueClock,
+  venueMoment
+} from './venueTime.js';
+
+// Promotion codes. A code is checked against the booking it is redeemed on when the
+// booking is created; once redeemed its discount follows the booking through moves
+// and resizes.
+
+// percent: percentage of the booking's subtotal; fixed: amount off the subtotal
+export const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+export function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Customers are matched for per-customer caps on email or phone, ignoring case and formatting
+export function normalizeCustomerEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+export function normalizeCustomerPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+function parseList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function formatPromoCode(row) {
+  return row && {
+    ...row,
+    room_ids: parseList(row.room_ids),
+    days_of_week: parseList(row.days_of_week),
+    stackable: Boolean(row.stackable),
+    active: Boolean(row.active)
+  };
+}
+
+// Codes with how many non-cancelled bookings have redeemed each
+export async function getPromoCodes() {
+  const rows = await dbAll(`
+    SELECT p.*, (
+      SELECT COUNT(*) FROM promo_redemptions r JOIN bookings b ON b.id = r.booking_id
+      WHERE r.promo_code_id = p.id AND b.status != 'cancelled'
+    ) AS redemption_count
+    FROM promo_codes p
+    ORDER BY p.code
+  `);
+  return rows.map(formatPromoCode);
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+const DEFAULT_CLOCK = { timezone: DEFAULT_TIMEZONE, business_day_start: DEFAULT_BUSINESS_DAY_START };
+
+// Why `promo` cannot be used on a booking of room_id from start_time to end_time, or
+// null. Times are read on the venue's `clock`; dates and days are those of the business
+// date the booking starts on, so a 1am session counts towards the night before.
+export function getPromoEligibilityError(promo, { room_id, start_time, end_time }, clock = DEFAULT_CLOCK) {
+  const start = venueMoment(start_time, clock.timezone);
+  const end = venueMoment(end_time, clock.timezone);
+  const date = getBusinessDate(start_time, clock);
+  const day = moment(date, 'YYYY-MM-DD');
+
+  if (!promo.active) return `Promo code ${promo.code} is not active`;
+  if (promo.valid_from && date < promo.valid_from) return `Promo code ${promo.code} is not valid until ${promo.valid_from}`;
+  if (promo.valid_until && date > promo.valid_until) return `Promo code ${promo.code} expired on ${promo.valid_until}`;
+  if (promo.room_ids.length > 0 && !promo.room_ids.includes(Number(room_id))) {
+    return `Promo code ${promo.code} is not valid for this room`;
+  }
+  if (promo.days_of_week.length > 0 && !promo.days_of_week.includes(day.day())) {
+    return `Promo code ${promo.code} is not valid on ${day.format('dddd')}s`;
+  }
+  if (promo.start_time && promo.end_time) {
+    const bandStart = minutesOfDay(promo.start_time);
+    let bandEnd = minutesOfDay(promo.end_time);
+    let startMinute = start.hours() * 60 + start.minutes();
+    // Wall-clock minutes, so a DST change doesn't move the end
+    let endMinute = end.clone().startOf('day').diff(start.clone().startOf('day'), 'days') * 24 * 60 + end.hours() * 60 + end.minutes();
+    // A band ending before it starts runs past midnight. A booking starting in its
+    // after-midnight part is measured from the day before.
+    if (bandEnd <= bandStart) {
+      bandEnd += 24 * 60;
+      if (startMinute < bandEnd - 24 * 60) {
+        startMinute += 24 * 60;
+        endMinute += 24 * 60;
+      }
+    }
+    if (startMinute < bandStart || endMinute > bandEnd) {
+      return `Promo code ${promo.code} is only valid for bookings between ${promo.start_time} and ${promo.end_time}`;
+    }
+  }
+  if (promo.min_duration_minutes && end.diff(start, 'minutes') < promo.min_duration_minutes) {
+    return `Promo code ${promo.code} needs a booking of at least ${promo.min_duration_minutes} minutes`;
+  }
+  return null;
+}
+
+function promoCodeError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_PROMO_CODE';
+  error.promo_code = code;
+  return error;
+}
+
+async function countRedemptions(promoId, customer = null) {
+  const conditions = ['r.promo_code_id = ?', "b.status != 'cancelled'"];
+  const params = [promoId];
+  if (customer) {
+    const matches = [];
+    if (customer.email) {
+      matches.push('r.customer_email = ?');
+      params.push(customer.email);
+    }
+    if (customer.phone) {
+      matches.push('r.customer_phone = ?');
+      params.push(customer.phone);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+  const row = await dbGet(
+    `SELECT COUNT(*) AS count FROM promo_redemptions r JOIN bookings b ON b.id = r.booking_id
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  return row.count;
+}
+
+// The discounts for promo `codes` on a booking ({ room_id, start_time, end_time,
+// customer_email, customer_phone }), as buildQuote takes them. Throws a 400
+// INVALID_PROMO_CODE error naming the first code that cannot be used.
+export async function resolvePromoCodes(codes, booking) {
+  const normalized = [...new Set((codes || []).map(normalizePromoCode).filter(Boolean))];
+  const customer = {
+    email: normalizeCustomerEmail(booking.customer_email),
+    phone: normalizeCustomerPhone(booking.customer_phone)
+  };
+
+  const clock = await getVenueClock();
+  const promos = [];
+  for (const code of normalized) {
+    const promo = formatPromoCode(await dbGet('SELECT * FROM promo_codes WHERE code = ?', [code]));
+    if (!promo) {
+      throw promoCodeError(`Promo code ${code} does not exist`, code);
+    }
+
+    const eligibilityError = getPromoEligibilityError(promo, booking, clock);
+    if (eligibilityError) {
+      throw promoCodeError(eligibilityError, code);
+    }
+    if (!promo.stackable && normalized.length > 1) {
+      throw promoCodeError(`Promo code ${code} cannot be combined with other codes`, code);
+    }
+    if (promo.max_uses != null && await countRedemptions(promo.id) >= promo.max_uses) {
+      throw promoCodeError(`Promo code ${code} has been used the maximum number of times`, code);
+    }
+    if (promo.max_uses_per_customer != null) {
+      if (!customer.email && !customer.phone) {
+        throw promoCodeError(`Promo code ${code} needs the customer's email or phone`, code);
+      }
+      if (await countRedemptions(promo.id, customer) >= promo.max_uses_per_customer) {
+        throw promoCodeError(`This customer has already used promo code ${code} the maximum number of times`, code);
+      }
+    }
+
+    promos.push({ promo_code_id: promo.id, code: promo.code, discount_type: promo.discount_type, amount: promo.amount });
+  }
+  return promos;
+}
+
+// The promos redeemed on a booking, as they were when redeemed
+export function getBookingPromos(bookingId) {
+  return dbAll(
+    'SELECT promo_code_id, code, discount_type, amount FROM promo_redemptions WHERE booking_id = ? ORDER BY id',
+    [bookingId]
+  );
+}
+
+// Record `promos` (from resolvePromoCodes) as redeemed on a booking. Call inside the
+// transaction that inserts it.
+export async function recordRedemptions(bookingId, promos, booking) {
+  for (const promo of promos) {
+    await dbRun(
+      `INSERT INTO promo_redemptions (promo_code_id, booking_id, code, discount_type, amount, customer_email, customer_phone)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        promo.promo_code_id,
+        bookingId,
+        promo.code,
+        promo.discount_type,
+        promo.amount,
+        normalizeCustomerEmail(booking.customer_email),
+        normalizeCustomerPhone(booking.customer_phone)
+      ]
+    );
+  }
+}
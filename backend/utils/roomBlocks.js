@@ -0,0 +1,88 @@
+import moment from 'moment';
+import { dbAll, dbGet } from '../database/query.js';
+import { expandSeries } from './recurrence.js';
+import { BLOCKING_BOOKING_SQL } from './holds.js';
+import { OCCUPIES_ROOM_SQL } from './roomGroups.js';
+import { getVenueClock } from './venueTime.js';
+import { BOOKABLE_ROOM_SQL } from './rooms.js';
+
+// Room blocks take a room out of service for maintenance, repairs or private use.
+// Nothing can be booked over a block, and availability treats it as busy time.
+// Unlike bookings they need no turnover gap around them.
+
+// Occurrences of `block` as { block_id, room_id, reason, index, start_time, end_time }:
+// just the one for a one-off block, or one per repeat of a recurring block
+export function expandBlock(block, timezone) {
+  const occurrences = block.rrule
+    ? expandSeries(block.rrule, block.start_time, block.end_time, timezone)
+    : [{ index: 0, start_time: block.start_time, end_time: block.end_time }];
+  return occurrences.map(occurrence => ({
+    block_id: block.id,
+    room_id: block.room_id,
+    reason: block.reason,
+    ...occurrence
+  }));
+}
+
+// When the last occurrence of a block ends, for storing in last_end_time
+export function getLastEndTime(block, timezone) {
+  const occurrences = expandBlock(block, timezone);
+  return occurrences[occurrences.length - 1].end_time;
+}
+
+// Block occurrences in any of `roomIds` (all rooms when null) that overlap
+// [startTime, endTime), earliest first
+export async function findRoomBlocks(roomIds, startTime, endTime) {
+  let query = 'SELECT * FROM room_blocks WHERE start_time < ? AND last_end_time > ?';
+  const params = [moment(endTime).toISOString(), moment(startTime).toISOString()];
+  if (roomIds) {
+    if (roomIds.length === 0) return [];
+    query += ` AND room_id IN (${roomIds.map(() => '?').join(', ')})`;
+    params.push(...roomIds);
+  }
+
+  const blocks = await dbAll(query, params);
+  if (blocks.length === 0) return [];
+
+  const { timezone } = await getVenueClock();
+  return blocks
+    .flatMap(block => expandBlock(block, timezone))
+    .filter(occurrence => moment(occurrence.start_time).isBefore(endTime) && moment(occurrence.end_time).isAfter(startTime))
+    .sort((a, b) => a.start_time.localeCompare(b.start_time));
+}
+
+// Bookings that block occurrences land on, combined bookings holding the room included
+export async function findAffectedBookings(occurrences) {
+  const affected = [];
+  for (const occurrence of occurrences) {
+    const bookings = await dbAll(
+      `SELECT *, (SELECT name FROM rooms WHERE rooms.id = bookings.room_id) as room_name
+       FROM bookings
+       WHERE ${OCCUPIES_ROOM_SQL} AND ${BLOCKING_BOOKING_SQL} AND start_time < ? AND end_time > ?
+       ORDER BY start_time`,
+      [occurrence.room_id, occurrence.room_id, occurrence.end_time, occurrence.start_time]
+    );
+    affected.push(...bookings.filter(booking => !affected.some(a => a.id === booking.id)));
+  }
+  return affected;
+}
+
+// A room that takes bookings, other than the booking's own, that is free for the whole of `booking`
+// and holds its party: one of the same category first, then the smallest that fits.
+// Combined bookings keep their rooms, so they get none.
+export async function findReplacementRoom(booking, isFree) {
+  if (booking.room_group_id) return null;
+  const current = await dbGet('SELECT * FROM rooms WHERE id = ?', [booking.room_id]);
+  const rooms = await dbAll(
+    `SELECT * FROM rooms WHERE ${BOOKABLE_ROOM_SQL} AND id != ? AND capacity >= ? ORDER BY capacity, name`,
+    [booking.room_id, booking.party_size || 1]
+  );
+  rooms.sort((a, b) => Number(b.category === current?.category) - Number(a.category === current?.category));
+
+  for (const room of rooms) {
+    if (await isFree(room.id, booking)) {
+      return { id: room.id, name: room.name, capacity: room.capacity, category: room.category };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,104 @@
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { getDepositSettings } from './payments.js';
+
+// Room categories. Rooms, pricing rules, cancellation policies, waitlist entries and the
+// category_buffers/category_deposits settings all refer to a category by name, so a
+// rename is carried through to each of them. A category's deposit rule is its entry in
+// category_deposits, where the payment ledger reads it.
+
+// Settings keyed by category name
+const CATEGORY_SETTING_KEYS = ['category_buffers', 'category_deposits'];
+
+export function formatRoomCategory(row, deposits = {}) {
+  return {
+    ...row,
+    deposit: deposits[row.name] || null
+  };
+}
+
+export async function getRoomCategories() {
+  const [rows, deposits] = await Promise.all([
+    dbAll('SELECT * FROM room_categories ORDER BY sort_order, name'),
+    getDepositSettings()
+  ]);
+  return rows.map(row => formatRoomCategory(row, deposits));
+}
+
+export async function getRoomCategory(id) {
+  const row = await dbGet('SELECT * FROM room_categories WHERE id = ?', [id]);
+  return row ? formatRoomCategory(row, await getDepositSettings()) : null;
+}
+
+export function getRoomCategoryByName(name) {
+  return dbGet('SELECT * FROM room_categories WHERE name = ?', [name]);
+}
+
+async function readCategorySetting(key) {
+  const row = await dbGet('SELECT value FROM settings WHERE key = ?', [key]);
+  try {
+    return JSON.parse(row?.value || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeCategorySetting(key, value) {
+  return dbRun(
+    'INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+    [key, JSON.stringify(value)]
+  );
+}
+
+// Set (or with null, remove) the deposit rule for category `name`
+export async function setCategoryDeposit(name, deposit) {
+  const deposits = await readCategorySetting('category_deposits');
+  if (deposit) {
+    deposits[name] = { type: deposit.type, amount: deposit.amount };
+  } else {
+    delete deposits[name];
+  }
+  await writeCategorySetting('category_deposits', deposits);
+}
+
+// Carry a rename from `oldName` to `newName` through everything that refers to the
+// category by name. Call inside a transaction.
+export async function renameCategoryReferences(oldName, newName) {
+  await dbRun('UPDATE rooms SET category = ? WHERE category = ?', [newName, oldName]);
+  await dbRun('UPDATE pricing_rules SET category = ? WHERE category = ?', [newName, oldName]);
+  await dbRun('UPDATE cancellation_policies SET room_category = ? WHERE room_category = ?', [newName, oldName]);
+
+  const entries = await dbAll(
+    'SELECT id, categories FROM waitlist_entries WHERE EXISTS (SELECT 1 FROM json_each(waitlist_entries.categories) WHERE value = ?)',
+    [oldName]
+  );
+  for (const entry of entries) {
+    const categories = JSON.parse(entry.categories).map(category => (category === oldName ? newName : category));
+    await dbRun('UPDATE waitlist_entries SET categories = ? WHERE id = ?', [JSON.stringify([...new Set(categories)]), entry.id]);
+  }
+
+  for (const key of CATEGORY_SETTING_KEYS) {
+    const value = await readCategorySetting(key);
+    if (oldName in value) {
+      value[newName] = value[oldName];
+      delete value[oldName];
+      await writeCategorySetting(key, value);
+    }
+  }
+}
+
+// Drop a deleted category's buffer and deposit settings. Call inside a transaction.
+export async function removeCategorySettings(name) {
+  for (const key of CATEGORY_SETTING_KEYS) {
+    const value = await readCategorySetting(key);
+    if (name in value) {
+      delete value[name];
+      await writeCategorySetting(key, value);
+    }
+  }
+}
+
+// How many rooms, inactive ones included, are in category `name`
+export async function countCategoryRooms(name) {
+  const row = await dbGet('SELECT COUNT(*) as count FROM rooms WHERE category = ?', [name]);
+  return row.count;
+}
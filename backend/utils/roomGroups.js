@@ -0,0 +1,84 @@
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { isRoomBookable } from './rooms.js';
+
+// Room combining: groups of rooms opened up together for a large party. A combined
+// booking keeps room_id pointing at the group's first room (so it shows up and joins
+// like any other booking), sets room_group_id and reserves every member room in
+// booking_rooms. The rooms it holds are fixed when it is made; later changes to the
+// group only affect new bookings.
+
+// Bookings that occupy room `?`: their own room, or one they hold as a combined
+// booking. Takes the room id twice.
+export const OCCUPIES_ROOM_SQL = '(room_id = ? OR id IN (SELECT booking_id FROM booking_rooms WHERE room_id = ?))';
+
+// A room_groups row with its member rooms (in id order), their total capacity and
+// whether every member still takes bookings
+async function withMembers(group) {
+  if (!group) return group;
+  const rooms = await dbAll(
+    `SELECT r.id, r.name, r.capacity, r.category, r.price_per_hour, r.is_active, r.is_bookable, r.status
+     FROM room_group_members m JOIN rooms r ON r.id = m.room_id
+     WHERE m.group_id = ? ORDER BY r.id`,
+    [group.id]
+  );
+  return {
+    ...group,
+    is_active: Boolean(group.is_active),
+    room_ids: rooms.map(room => room.id),
+    rooms,
+    capacity: rooms.reduce((sum, room) => sum + room.capacity, 0),
+    members_active: rooms.every(isRoomBookable)
+  };
+}
+
+export async function getRoomGroups() {
+  const groups = await dbAll('SELECT * FROM room_groups ORDER BY name');
+  return Promise.all(groups.map(withMembers));
+}
+
+export async function getRoomGroup(id) {
+  return withMembers(await dbGet('SELECT * FROM room_groups WHERE id = ?', [id]));
+}
+
+// Whether a combined booking can be made on `group` now
+export const isGroupBookable = (group) => group.is_active && group.members_active && group.room_ids.length >= 2;
+
+// The hourly rate a combined booking on `group` is charged: the group's own rate,
+// or the member rooms' rates added up
+export function getGroupRate(group) {
+  if (group.price_per_hour !== null && group.price_per_hour !== undefined) return group.price_per_hour;
+  return group.rooms.reduce((sum, room) => sum + (room.price_per_hour || 0), 0);
+}
+
+// The room a combined booking on `group` is priced as. It has no id or category of
+// its own, so only venue-wide pricing rules apply on top of the group rate.
+export function getGroupPricingRoom(group) {
+  return { id: null, name: group.name, category: null, price_per_hour: getGroupRate(group) };
+}
+
+// Rooms `booking` occupies: every room of a combined booking, otherwise its own
+export async function getBookingRoomIds(booking) {
+  if (!booking.room_group_id) return [booking.room_id];
+  const rows = await dbAll('SELECT room_id FROM booking_rooms WHERE booking_id = ? ORDER BY room_id', [booking.id]);
+  return rows.length > 0 ? rows.map(row => row.room_id) : [booking.room_id];
+}
+
+// Reserve `roomIds` for combined booking `bookingId`. Call inside the transaction
+// that inserts the booking.
+export async function reserveBookingRooms(bookingId, roomIds) {
+  for (const roomId of roomIds) {
+    await dbRun('INSERT INTO booking_rooms (booking_id, room_id) VALUES (?, ?)', [bookingId, roomId]);
+  }
+}
+
+// Thrown when a change would split a combined booking across other rooms
+export class CombinedBookingError extends Error {
+  constructor(message = 'Combined bookings keep their rooms; change the time, or cancel and book again') {
+    super(message);
+    this.name = 'CombinedBookingError';
+  }
+}
+
+export function sendCombinedBookingError(res, error) {
+  return res.status(400).json({ error: error.message, code: 'COMBINED_BOOKING' });
+}
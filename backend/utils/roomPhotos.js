@@ -0,0 +1,73 @@
+import { dbAll, dbGet, dbRun } from '../database/query.js';
+import { getMediaStorage } from './mediaStorage.js';
+
+// Room photos: an ordered gallery per room, one photo of which is the cover shown for
+// the room elsewhere. The first photo added becomes the cover, and when the cover is
+// removed the next photo in order takes its place.
+
+// Largest photo accepted, and the JSON body limit its base64 upload needs
+export const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+export const PHOTO_UPLOAD_BODY_LIMIT = '15mb';
+
+// Thumbnails are made by the client (src/utils/images.js): at most THUMBNAIL_SIZE pixels
+// on their longest side, and small enough to show as a room's avatar
+export const THUMBNAIL_SIZE = 320;
+export const MAX_THUMBNAIL_BYTES = 256 * 1024;
+
+// Rooms with the storage keys of their cover photo, for formatRoom
+export const ROOM_WITH_COVER_SQL = `
+  SELECT rooms.*, cover.storage_key AS cover_storage_key, cover.thumbnail_key AS cover_thumbnail_key
+  FROM rooms LEFT JOIN room_photos cover ON cover.room_id = rooms.id AND cover.is_cover = 1`;
+
+export function formatRoomPhoto(row) {
+  const storage = getMediaStorage();
+  return {
+    id: row.id,
+    room_id: row.room_id,
+    url: storage.url(row.storage_key),
+    thumbnail_url: storage.url(row.thumbnail_key),
+    content_type: row.content_type,
+    size: row.size,
+    caption: row.caption,
+    sort_order: row.sort_order,
+    is_cover: Boolean(row.is_cover),
+    created_at: row.created_at
+  };
+}
+
+export async function getRoomPhotos(roomId) {
+  const rows = await dbAll('SELECT * FROM room_photos WHERE room_id = ? ORDER BY sort_order, id', [roomId]);
+  return rows.map(formatRoomPhoto);
+}
+
+export function getRoomPhoto(roomId, photoId) {
+  return dbGet('SELECT * FROM room_photos WHERE id = ? AND room_id = ?', [photoId, roomId]);
+}
+
+// Make `photoId` the cover of room `roomId`. Call inside a transaction.
+export async function setCoverPhoto(roomId, photoId) {
+  await dbRun(
+    'UPDATE room_photos SET is_cover = (id = ?), updated_at = CURRENT_TIMESTAMP WHERE room_id = ?',
+    [photoId, roomId]
+  );
+}
+
+// Give room `roomId` a cover if it has photos but none is the cover. Call inside a transaction.
+export async function ensureCoverPhoto(roomId) {
+  const cover = await dbGet('SELECT id FROM room_photos WHERE room_id = ? AND is_cover = 1', [roomId]);
+  if (cover) return;
+  const first = await dbGet('SELECT id FROM room_photos WHERE room_id = ? ORDER BY sort_order, id LIMIT 1', [roomId]);
+  if (first) {
+    await setCoverPhoto(roomId, first.id);
+  }
+}
+
+// Remove a photo's files from storage. Photos uploaded before thumbnails were required
+// are their own thumbnail.
+export async function removePhotoFiles(photo) {
+  const storage = getMediaStorage();
+  await storage.remove(photo.storage_key);
+  if (photo.thumbnail_key !== photo.storage_key) {
+    await storage.remove(photo.thumbnail_key);
+  }
+}
@@ -0,0 +1,53 @@
+import { dbGet } from '../database/query.js';
+
+// Whether a room takes new bookings. A room can be kept active, and so on the schedule,
+// while closed for bookings (is_bookable = 0) or under maintenance.
+
+export const ROOM_STATUSES = ['active', 'inactive', 'maintenance'];
+
+// Condition on rooms columns for rooms that take new bookings
+export const BOOKABLE_ROOM_SQL = "(is_active = 1 AND is_bookable = 1 AND COALESCE(status, 'active') != 'maintenance')";
+
+export const isRoomBookable = (room) => (
+  Boolean(room.is_active) && Boolean(room.is_bookable ?? 1) && room.status !== 'maintenance'
+);
+
+// Thrown inside a transaction when a booking is placed in a room that takes no bookings.
+// `errors` are shaped like express-validator's, against the room field.
+export class RoomUnavailableError extends Error {
+  constructor(errors) {
+    super(errors[0].msg);
+    this.name = 'RoomUnavailableError';
+    this.errors = errors;
+  }
+}
+
+export function sendRoomUnavailable(res, error) {
+  return res.status(400).json({
+    error: error.message,
+    code: 'ROOM_UNAVAILABLE',
+    errors: error.errors
+  });
+}
+
+function describeUnbookable(room) {
+  if (!room.is_active) return `${room.name} is inactive`;
+  if (room.status === 'maintenance') return `${room.name} is under maintenance`;
+  return `${room.name} is not taking bookings`;
+}
+
+// Throw a RoomUnavailableError unless room `roomId` exists and takes bookings. `path`
+// is the request field the room came from.
+export async function assertRoomBookable(roomId, path = 'room_id') {
+  const room = await dbGet('SELECT id, name, is_active, is_bookable, status FROM rooms WHERE id = ?', [roomId]);
+  if (!room || !isRoomBookable(room)) {
+    throw new RoomUnavailableError([{
+      type: 'field',
+      value: roomId,
+      msg: room ? describeUnbookable(room) : 'Room not found',
+      path,
+      location: 'body',
+      code: 'ROOM_UNAVAILABLE'
+    }]);
+  }
+}
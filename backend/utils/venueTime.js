@@ -0,0 +1,105 @@
+import moment from 'moment-timezone';
+import { dbAll, dbRun } from '../database/query.js';
+
+// Venue time. Booking times are stored as UTC ISO-8601 strings (see toStoredTime) so
+// SQL compares and orders them correctly as text. Anything about the wall clock -
+// opening hours, pricing bands, which night a booking belongs to - is worked out in
+// the venue's timezone from settings, whatever the server's own timezone is.
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Sessions starting before this local time belong to the previous night's business date
+export const DEFAULT_BUSINESS_DAY_START = '06:00';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimezone = (name) => typeof name === 'string' && Boolean(moment.tz.zone(name));
+
+export const isValidDayStart = (time) => TIME_PATTERN.test(time || '');
+
+// { timezone, business_day_start } from settings, falling back to the defaults when
+// a value is missing or not understood
+export async function getVenueClock() {
+  const rows = await dbAll("SELECT key, value FROM settings WHERE key IN ('timezone', 'business_day_start')");
+  const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+  return {
+    timezone: isValidTimezone(values.timezone) ? values.timezone : DEFAULT_TIMEZONE,
+    business_day_start: isValidDayStart(values.business_day_start) ? values.business_day_start : DEFAULT_BUSINESS_DAY_START
+  };
+}
+
+// `value` as a moment on the venue's clock. Strings without an offset are read as
+// venue wall-clock time.
+export const venueMoment = (value, timezone) => moment.tz(value, timezone);
+
+// Venue wall-clock `time` (HH:mm) on calendar `date` (YYYY-MM-DD). On a DST change
+// a time that does not exist moves forward, and an ambiguous one is the first.
+export const atVenueTime = (date, time, timezone) => moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+
+// The canonical stored form of a time: UTC ISO-8601 with milliseconds
+export const toStoredTime = (value, timezone) => venueMoment(value, timezone).toISOString();
+
+// The business date (YYYY-MM-DD) `value` belongs to. Times before the business day
+// starts count towards the night before, so a 1am session is part of the previous date.
+export function getBusinessDate(value, clock) {
+  const local = venueMoment(value, clock.timezone);
+  if (local.format('HH:mm') < clock.business_day_start) local.subtract(1, 'day');
+  return local.format('YYYY-MM-DD');
+}
+
+// { start, end } of business date `date` as venue moments: from the business day
+// start on that date to the same wall-clock time the next day, which is 23 or 25
+// hours apart across a DST change
+export function getBusinessDayRange(date, clock) {
+  const start = atVenueTime(date, clock.business_day_start, clock.timezone);
+  const nextDate = moment(date, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD');
+  return { start, end: atVenueTime(nextDate, clock.business_day_start, clock.timezone) };
+}
+
+// Express middleware rewriting the body `fields` that hold times to their stored form,
+// reading any without an offset on the venue's clock. Values that aren't ISO-8601
+// are left alone for the validators to reject.
+export const storeBodyTimes = (fields) => async (req, res, next) => {
+  try {
+    const present = fields.filter(field => (
+      typeof req.body?.[field] === 'string' && moment(req.body[field], moment.ISO_8601, true).isValid()
+    ));
+    if (present.length > 0) {
+      const { timezone } = await getVenueClock();
+      present.forEach(field => {
+        req.body[field] = toStoredTime(req.body[field], timezone);
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Columns holding instants, which are kept in their stored form
+const STORED_TIME_COLUMNS = {
+  bookings: ['start_time', 'end_time'],
+  booking_series: ['start_time', 'end_time'],
+  waitlist_entries: ['window_start', 'window_end'],
+  room_blocks: ['start_time', 'end_time', 'last_end_time']
+};
+
+// Rewrite times saved before they were kept in UTC - with another offset, or none
+// at all for venue wall-clock time - to their stored form. Run at startup.
+export async function normalizeStoredTimes() {
+  const { timezone } = await getVenueClock();
+  for (const [table, columns] of Object.entries(STORED_TIME_COLUMNS)) {
+    const rows = await dbAll(`SELECT id, ${columns.join(', ')} FROM ${table}`);
+    for (const row of rows) {
+      const updates = columns.filter(column => (
+        row[column] && venueMoment(row[column], timezone).isValid() && toStoredTime(row[column], timezone) !== row[column]
+      ));
+      if (updates.length > 0) {
+        await dbRun(
+          `UPDATE ${table} SET ${updates.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...updates.map(column => toStoredTime(row[column], timezone)), row.id]
+        );
+      }
+    }
+  }
+}
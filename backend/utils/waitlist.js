@@ -0,0 +1,131 @@
+import moment from 'moment';
+import { dbAll, dbGet } from '../database/query.js';
+import { getBufferSettings, resolveRoomBuffers, turnoverGap } from './buffers.js';
+import { getFreeWindows } from './availability.js';
+import { BLOCKING_BOOKING_SQL } from './holds.js';
+import { OCCUPIES_ROOM_SQL, getBookingRoomIds } from './roomGroups.js';
+import { findRoomBlocks } from './roomBlocks.js';
+import { BOOKABLE_ROOM_SQL } from './rooms.js';
+
+export const WAITLIST_STATUSES = ['waiting', 'converted', 'cancelled'];
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function formatWaitlistEntry(entry) {
+  return { ...entry, room_ids: parseList(entry.room_ids).map(Number), categories: parseList(entry.categories) };
+}
+
+function acceptsRoom(entry, room) {
+  if (entry.room_ids.length === 0 && entry.categories.length === 0) return true;
+  return entry.room_ids.includes(room.id) || entry.categories.includes(room.category);
+}
+
+// Where the entry's booking would go in `room` so that it uses the freed slot:
+// as close to the freed start as the room's free time inside the entry's window allows
+async function findPlacement(entry, room, gap, freedStart, freedEnd) {
+  const windowStart = moment(entry.window_start);
+  const windowEnd = moment(entry.window_end);
+  const busy = await dbAll(
+    `SELECT start_time, end_time FROM bookings
+     WHERE ${OCCUPIES_ROOM_SQL} AND ${BLOCKING_BOOKING_SQL} AND start_time < ? AND end_time > ?`,
+    [
+      room.id,
+      room.id,
+      windowEnd.clone().add(gap, 'minutes').toISOString(),
+      windowStart.clone().subtract(gap, 'minutes').toISOString()
+    ]
+  );
+
+  // Bookings need the turnover gap around them; room blocks do not
+  const blocks = await findRoomBlocks([room.id], windowStart, windowEnd);
+  const widened = busy.map(b => ({
+    start_time: moment(b.start_time).subtract(gap, 'minutes'),
+    end_time: moment(b.end_time).add(gap, 'minutes')
+  }));
+
+  const free = getFreeWindows(windowStart, windowEnd, [...widened, ...blocks])
+    .find(w => w.start.isBefore(freedEnd) && w.end.isAfter(freedStart) &&
+      w.end.diff(w.start, 'minutes') >= entry.duration_minutes);
+  if (!free) return null;
+
+  const latestStart = free.end.clone().subtract(entry.duration_minutes, 'minutes');
+  const start = moment.max(free.start, moment.min(freedStart, latestStart));
+  return { start, end: start.clone().add(entry.duration_minutes, 'minutes') };
+}
+
+// Waiting entries that could take a slot freed in a room, longest-waiting first,
+// then the party that fills the room best
+export async function findWaitlistMatches({ roomId, startTime, endTime }) {
+  const room = await dbGet(`SELECT * FROM rooms WHERE id = ? AND ${BOOKABLE_ROOM_SQL}`, [roomId]);
+  if (!room) return [];
+
+  const freedStart = moment(startTime);
+  const freedEnd = moment(endTime);
+  const entries = (await dbAll(
+    `SELECT * FROM waitlist_entries
+     WHERE status = 'waiting' AND party_size <= ? AND window_start < ? AND window_end > ?
+     ORDER BY created_at, id`,
+    [room.capacity, freedEnd.toISOString(), freedStart.toISOString()]
+  )).map(formatWaitlistEntry).filter(entry => acceptsRoom(entry, room));
+  if (entries.length === 0) return [];
+
+  const gap = turnoverGap(resolveRoomBuffers(room, await getBufferSettings()));
+  const matches = [];
+  for (const entry of entries) {
+    const placement = await findPlacement(entry, room, gap, freedStart, freedEnd);
+    if (placement) {
+      matches.push({
+        entry,
+        room_id: room.id,
+        room_name: room.name,
+        start_time: placement.start.toISOString(),
+        end_time: placement.end.toISOString(),
+        spare_capacity: room.capacity - entry.party_size
+      });
+    }
+  }
+
+  matches.sort((a, b) =>
+    a.entry.created_at.localeCompare(b.entry.created_at) ||
+    a.spare_capacity - b.spare_capacity
+  );
+  return matches.map((match, index) => ({ rank: index + 1, ...match }));
+}
+
+// Ranked waitlist matches for each slot that a cancellation or move just freed.
+// A combined booking frees a slot in each of its rooms. Slots already in the past and
+// slots nobody on the waitlist can use are left out.
+export async function evaluateFreedSlots(slots) {
+  const now = moment();
+  const results = [];
+  for (const slot of slots) {
+    if (!moment(slot.end_time).isAfter(now)) continue;
+    for (const roomId of await getBookingRoomIds(slot)) {
+      const matches = await findWaitlistMatches({
+        roomId,
+        startTime: moment.max(moment(slot.start_time), now).toISOString(),
+        endTime: slot.end_time
+      });
+      if (matches.length > 0) {
+        results.push({ room_id: roomId, start_time: slot.start_time, end_time: slot.end_time, matches });
+      }
+    }
+  }
+  return results;
+}
+
+// Evaluate freed slots and push any offers to connected staff clients
+export async function notifyWaitlist(io, slots) {
+  const waitlist = await evaluateFreedSlots(slots);
+  if (waitlist.length > 0 && io) {
+    io.emit('waitlist-matches', waitlist);
+  }
+  return waitlist;
+}
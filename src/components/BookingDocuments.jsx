@@ -0,0 +1,92 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import moment from 'moment';
+import { invoicesAPI } from '../lib/api';
+import { useBusinessInfo } from '../contexts/BusinessInfoContext';
+import { DOCUMENT_TYPE_LABELS, formatSignedCurrency, saveFile } from '../utils/invoices';
+import { Button } from './ui/Button';
+import { FileText, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Invoices and receipts issued for a booking, with buttons to issue new ones. A
+// document is a numbered snapshot: issuing again after a payment or price change
+// gives a new number, while issuing again with nothing changed returns the last one.
+const BookingDocuments = ({ booking }) => {
+  const queryClient = useQueryClient();
+  const { businessInfo } = useBusinessInfo();
+  const bookingId = booking._id || booking.id;
+
+  const { data: documentsData, isLoading } = useQuery({
+    queryKey: ['invoices', bookingId],
+    queryFn: () => invoicesAPI.getForBooking(bookingId),
+    enabled: !!bookingId,
+  });
+  const documents = documentsData?.data || [];
+
+  const issueMutation = useMutation({
+    mutationFn: (documentType) => invoicesAPI.issue({ bookingId, documentType, business: businessInfo }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['invoices', bookingId] });
+      toast.success(`${DOCUMENT_TYPE_LABELS[response.data.documentType]} ${response.data.number} ready`);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to issue document');
+    },
+  });
+
+  const downloadMutation = useMutation({
+    mutationFn: ({ id, format }) => invoicesAPI.download(id, format),
+    onSuccess: (response) => saveFile(response.data, response.filename),
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to download document');
+    },
+  });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center font-medium text-gray-700">
+          <FileText className="h-3 w-3 mr-1" />
+          Invoices &amp; receipts
+        </div>
+        <div className="flex space-x-2">
+          <Button variant="outline" size="sm" onClick={() => issueMutation.mutate('invoice')} disabled={issueMutation.isPending}>
+            Issue Invoice
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => issueMutation.mutate('receipt')} disabled={issueMutation.isPending}>
+            Issue Receipt
+          </Button>
+        </div>
+      </div>
+
+      {isLoading && <p className="text-gray-500">Loading documents…</p>}
+      {!isLoading && documents.length === 0 && <p className="text-xs text-gray-500">Nothing issued yet.</p>}
+      {documents.map(document => (
+        <div key={document.id} className="flex items-center justify-between text-gray-600">
+          <span className="min-w-0 truncate">
+            <span className="text-gray-800">{document.number}</span>
+            <span> · {DOCUMENT_TYPE_LABELS[document.documentType]} · {formatSignedCurrency(document.total, document.currency)}</span>
+          </span>
+          <span className="flex items-center space-x-2 flex-shrink-0 ml-2">
+            <span className="text-xs text-gray-400">{moment(document.createdAt).format('MMM DD, h:mm A')}</span>
+            {['pdf', 'html'].map(format => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => downloadMutation.mutate({ id: document.id, format })}
+                disabled={downloadMutation.isPending}
+                className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+                title={`Download ${document.number} as ${format.toUpperCase()}`}
+              >
+                <Download className="h-3 w-3 mr-0.5" />
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BookingDocuments;
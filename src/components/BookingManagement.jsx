@@ -1,13 +1,17 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { bookingsAPI, roomsAPI } from '../lib/api';
+import { bookingsAPI, roomsAPI, bookingFieldsAPI, pricingAPI, invoicesAPI } from '../lib/api';
+import { validateCustomFieldValues, formatCustomFieldValue } from '../utils/customFields';
+import { parsePromoCodes } from '../utils/promotions';
 import { useSettings } from '../contexts/SettingsContext';
 import { useBusinessHours } from '../contexts/BusinessHoursContext';
+import { useBusinessInfo } from '../contexts/BusinessInfoContext';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Button } from './ui/Button';
 import { Input } from './ui/Input';
 import { Badge } from './ui/Badge';
 import CustomSelect from './ui/CustomSelect';
+import PriceQuoteSummary from './PriceQuoteSummary';
 import { 
   Plus, 
   Edit, 
@@ -28,36 +32,76 @@ import {
   Calendar as CalendarIcon,
   User,
   MapPin,
-  X
+  X,
+  Repeat,
+  Hourglass,
+  UserCheck,
+  UserX,
+  Play,
+  Tag,
+  FileText
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import moment from 'moment';
 import ReservationViewModal from './ReservationViewModal';
+import CustomFieldInput from './CustomFieldInput';
+import SeriesScopeDialog from './SeriesScopeDialog';
+import CancelBookingDialog from './CancelBookingDialog';
+import { getConflictMessage } from '../utils/bookingConflicts';
+import { announceWaitlistOffers } from '../utils/waitlist';
+import { saveFile } from '../utils/invoices';
+import { getBookingPolicyErrors } from '../utils/bookingPolicy';
+import {
+  BOOKING_STATUS_OPTIONS,
+  RELEASED_STATUSES,
+  canTransition,
+  getFrontDeskActions,
+  getStatusLabel,
+  getStatusOptions
+} from '../utils/bookingLifecycle';
 
 const BookingManagement = () => {
   const { settings } = useSettings();
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [showForm, setShowForm] = useState(false);
+  // Booking policy errors from the last save, shown under the form's start and end times
+  const [policyErrors, setPolicyErrors] = useState({});
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterRoom, setFilterRoom] = useState('all');
   const [filterDate, setFilterDate] = useState('');
+  const [customFilters, setCustomFilters] = useState({});
   const [showFilters, setShowFilters] = useState(false);
+  const [seriesAction, setSeriesAction] = useState(null);
+  // { booking, scope } of a cancellation waiting on its fee to be confirmed
+  const [pendingCancel, setPendingCancel] = useState(null);
   const queryClient = useQueryClient();
   const { isWithinBusinessHours, getBusinessHoursForDay } = useBusinessHours();
+  const { businessInfo } = useBusinessInfo();
+
+  const { data: customFieldsData } = useQuery({
+    queryKey: ['booking-fields'],
+    queryFn: () => bookingFieldsAPI.getAll(),
+  });
+  const customFieldSchema = customFieldsData?.data || [];
+  const activeCustomFilters = Object.fromEntries(
+    Object.entries(customFilters).filter(([, value]) => value !== '')
+  );
+  const bookingsQueryKey = ['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate, custom: activeCustomFilters }];
 
   // Fetch bookings
   const { data: bookingsData, isLoading } = useQuery({
-    queryKey: ['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate }],
+    queryKey: bookingsQueryKey,
     queryFn: () => {
       // Only pass date parameter if filterDate is explicitly set
       const params = {
         ...(searchQuery && { customer: searchQuery }),
         ...(filterStatus !== 'all' && { status: filterStatus }),
         ...(filterRoom !== 'all' && { room: filterRoom }),
-        ...(filterDate && { date: filterDate })
+        ...(filterDate && { date: filterDate }),
+        ...(Object.keys(activeCustomFilters).length > 0 && { custom: activeCustomFilters })
       };
       return bookingsAPI.getAll(params);
     },
@@ -101,18 +145,20 @@ const BookingManagement = () => {
       // Optimistically merge the newly created booking for instant feedback
       const newBooking = resp?.data?.booking || resp?.data?.data?.booking;
       if (newBooking) {
-        queryClient.setQueryData(['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate }], (old) => {
+        queryClient.setQueryData(bookingsQueryKey, (old) => {
           const prev = old?.data?.bookings || [];
           return { ...(old || {}), data: { ...(old?.data || {}), bookings: [newBooking, ...prev] } };
         });
       }
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
       toast.success('Booking created successfully');
+      setPolicyErrors({});
       setShowForm(false);
       setSelectedBooking(null);
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to create booking');
+      setPolicyErrors(getBookingPolicyErrors(error));
+      toast.error(getConflictMessage(error) || error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to create booking');
     },
   });
 
@@ -123,7 +169,7 @@ const BookingManagement = () => {
       const updated = resp?.data?.booking || resp?.data?.data?.booking;
       const updatedId = variables?.id;
       if (updated || updatedId) {
-        queryClient.setQueryData(['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate }], (old) => {
+        queryClient.setQueryData(bookingsQueryKey, (old) => {
           const prev = old?.data?.bookings || [];
           const next = prev.map(b => (b._id === (updated?._id || updatedId) ? (updated || { ...b, ...variables.data }) : b));
           return { ...(old || {}), data: { ...(old?.data || {}), bookings: next } };
@@ -131,32 +177,56 @@ const BookingManagement = () => {
       }
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
       toast.success('Booking updated successfully');
+      announceWaitlistOffers(resp?.data?.waitlist);
+      setPolicyErrors({});
       setShowForm(false);
       setSelectedBooking(null);
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to update booking');
+      setPolicyErrors(getBookingPolicyErrors(error));
+      toast.error(getConflictMessage(error) || error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update booking');
     },
   });
 
   // Cancel booking mutation
   const cancelBookingMutation = useMutation({
-    mutationFn: (id) => bookingsAPI.cancel(id),
-    onSuccess: () => {
+    mutationFn: ({ id, scope, waiverReason }) => bookingsAPI.cancel(id, scope, { waiverReason }),
+    onSuccess: (resp) => {
+      const cancelledCount = resp?.data?.cancelled?.length || 1;
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
-      toast.success('Booking cancelled successfully');
+      queryClient.invalidateQueries({ queryKey: ['payment-ledger'] });
+      toast.success(cancelledCount > 1 ? `${cancelledCount} bookings cancelled successfully` : 'Booking cancelled successfully');
+      announceWaitlistOffers(resp?.data?.waitlist);
+      setPendingCancel(null);
     },
     onError: (error) => {
       toast.error(error.response?.data?.error || 'Failed to cancel booking');
     },
   });
 
+  // Update several occurrences of a recurring series
+  const updateSeriesMutation = useMutation({
+    mutationFn: ({ id, data, scope }) => bookingsAPI.updateSeries(id, data, scope),
+    onSuccess: (resp) => {
+      const updatedCount = resp?.data?.length || 1;
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      toast.success(updatedCount > 1 ? `${updatedCount} bookings updated successfully` : 'Booking updated successfully');
+      setSeriesAction(null);
+      setShowForm(false);
+      setSelectedBooking(null);
+    },
+    onError: (error) => {
+      setSeriesAction(null);
+      toast.error(error.response?.data?.error || 'Failed to update recurring booking');
+    },
+  });
+
   // Delete booking mutation (permanent delete or server-side cancel depending on backend)
   const deleteBookingMutation = useMutation({
     mutationFn: (id) => bookingsAPI.delete(id),
     onSuccess: (_resp, id) => {
       // Optimistically remove from current cache list
-      queryClient.setQueryData(['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate }], (old) => {
+      queryClient.setQueryData(bookingsQueryKey, (old) => {
         const prev = old?.data?.bookings || [];
         const next = prev.filter(b => b._id !== id);
         return { ...(old || {}), data: { ...(old?.data || {}), bookings: next } };
@@ -169,12 +239,25 @@ const BookingManagement = () => {
     },
   });
 
+  // Front-desk status changes (check in, start, complete, no-show)
+  const setStatusMutation = useMutation({
+    mutationFn: ({ id, status }) => bookingsAPI.setStatus(id, status),
+    onSuccess: (resp, { status }) => {
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      toast.success(`Booking marked ${getStatusLabel(status).toLowerCase()}`);
+      announceWaitlistOffers(resp?.data?.waitlist);
+    },
+    onError: (error) => {
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to update booking status');
+    },
+  });
+
   // Restore booking mutation (e.g., from cancelled/no_show back to confirmed)
   const restoreBookingMutation = useMutation({
-    mutationFn: (id) => bookingsAPI.update(id, { status: 'confirmed' }),
+    mutationFn: (id) => bookingsAPI.setStatus(id, 'confirmed'),
     onSuccess: (_resp, id) => {
       // Update cache status immediately
-      queryClient.setQueryData(['bookings', { search: searchQuery, status: filterStatus, room: filterRoom, date: filterDate }], (old) => {
+      queryClient.setQueryData(bookingsQueryKey, (old) => {
         const prev = old?.data?.bookings || [];
         const next = prev.map(b => (b._id === id ? { ...b, status: 'confirmed' } : b));
         return { ...(old || {}), data: { ...(old?.data || {}), bookings: next } };
@@ -183,7 +266,23 @@ const BookingManagement = () => {
       toast.success('Booking restored');
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to restore booking');
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to restore booking');
+    },
+  });
+
+  // Download a booking's invoice as a PDF. Issuing returns the current invoice when
+  // nothing has changed, so this only takes a new number when the booking has.
+  const invoiceMutation = useMutation({
+    mutationFn: async (id) => {
+      const { data: invoice } = await invoicesAPI.issue({ bookingId: id, documentType: 'invoice', business: businessInfo });
+      return invoicesAPI.download(invoice.id, 'pdf');
+    },
+    onSuccess: (response, id) => {
+      queryClient.invalidateQueries({ queryKey: ['invoices', id] });
+      saveFile(response.data, response.filename);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to download invoice');
     },
   });
 
@@ -205,6 +304,7 @@ const BookingManagement = () => {
     setSelectedBooking(normalized);
     setIsViewModalOpen(false);
     setIsEditing(true);
+    setPolicyErrors({});
     setShowForm(true);
   };
 
@@ -219,18 +319,37 @@ const BookingManagement = () => {
     };
     setSelectedBooking(normalized);
     setIsEditing(true);
+    setPolicyErrors({});
     setShowForm(true);
   };
 
   const handleCreate = () => {
     setSelectedBooking(null);
     setIsEditing(false);
+    setPolicyErrors({});
     setShowForm(true);
   };
 
-  const handleCancel = (bookingId) => {
-    if (window.confirm('Are you sure you want to cancel this booking?')) {
-      cancelBookingMutation.mutate(bookingId);
+  const handleCancel = (booking) => {
+    if (booking.seriesId) {
+      setSeriesAction({ action: 'cancel', booking });
+    } else {
+      setPendingCancel({ booking, scope: 'this' });
+    }
+  };
+
+  // Apply an edit of a recurring booking with the scope picked in SeriesScopeDialog; a
+  // cancellation goes on to show its fee first
+  const handleSeriesScopeConfirm = (scope) => {
+    const { action, booking, data } = seriesAction;
+    if (action === 'cancel') {
+      setSeriesAction(null);
+      setPendingCancel({ booking, scope });
+    } else if (scope === 'this') {
+      setSeriesAction(null);
+      updateBookingMutation.mutate({ id: booking._id, data });
+    } else {
+      updateSeriesMutation.mutate({ id: booking._id, data, scope });
     }
   };
 
@@ -249,7 +368,10 @@ const BookingManagement = () => {
   const getStatusColor = (status) => {
     const colors = {
       confirmed: 'bg-green-100 text-green-800',
+      held: 'bg-amber-100 text-amber-800',
       pending: 'bg-yellow-100 text-yellow-800',
+      checked_in: 'bg-blue-100 text-blue-800',
+      in_progress: 'bg-indigo-100 text-indigo-800',
       cancelled: 'bg-red-100 text-red-800',
       completed: 'bg-gray-100 text-gray-800',
       no_show: 'bg-purple-100 text-purple-800'
@@ -260,10 +382,13 @@ const BookingManagement = () => {
   const getStatusIcon = (status) => {
     const icons = {
       confirmed: <CheckCircle className="w-4 h-4" />,
+      held: <Hourglass className="w-4 h-4" />,
       pending: <AlertCircle className="w-4 h-4" />,
+      checked_in: <UserCheck className="w-4 h-4" />,
+      in_progress: <Play className="w-4 h-4" />,
       cancelled: <XCircle className="w-4 h-4" />,
       completed: <CheckCircle className="w-4 h-4" />,
-      no_show: <XCircle className="w-4 h-4" />
+      no_show: <UserX className="w-4 h-4" />
     };
     return icons[status] || <AlertCircle className="w-4 h-4" />;
   };
@@ -380,11 +505,7 @@ const BookingManagement = () => {
                     onChange={setFilterStatus}
                     options={[
                       { value: 'all', label: 'All Status' },
-                      { value: 'confirmed', label: 'Confirmed' },
-                      { value: 'pending', label: 'Pending' },
-                      { value: 'cancelled', label: 'Cancelled' },
-                      { value: 'completed', label: 'Completed' },
-                      { value: 'no_show', label: 'No Show' },
+                      ...BOOKING_STATUS_OPTIONS,
                     ]}
                   />
                 </div>
@@ -406,6 +527,35 @@ const BookingManagement = () => {
                   />
                 </div>
               </div>
+              {customFieldSchema.length > 0 && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                  {customFieldSchema.map(field => (
+                    <div key={field.id}>
+                      <label className="text-sm font-medium text-gray-700 mb-1 block">{field.label}</label>
+                      {field.type === 'select' || field.type === 'checkbox' ? (
+                        <CustomSelect
+                          value={customFilters[field.key] || ''}
+                          onChange={(value) => setCustomFilters(prev => ({ ...prev, [field.key]: value }))}
+                          options={[
+                            { value: '', label: 'Any' },
+                            ...(field.type === 'checkbox'
+                              ? [{ value: 'true', label: 'Yes' }, { value: 'false', label: 'No' }]
+                              : field.options.map(option => ({ value: option, label: option })))
+                          ]}
+                        />
+                      ) : (
+                        <Input
+                          type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+                          value={customFilters[field.key] || ''}
+                          onChange={(e) => setCustomFilters(prev => ({ ...prev, [field.key]: e.target.value }))}
+                          placeholder={field.type === 'text' ? `Search ${field.label.toLowerCase()}` : ''}
+                          className="w-full"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
         </CardContent>
@@ -429,12 +579,20 @@ const BookingManagement = () => {
                     <Badge className={getStatusColor(booking.status)}>
                       <div className="flex items-center space-x-1">
                         {getStatusIcon(booking.status)}
-                        <span className="capitalize">{booking.status}</span>
+                        <span>{getStatusLabel(booking.status)}</span>
                       </div>
                     </Badge>
                     <Badge className={getSourceColor(booking.source)}>
                       {booking.source.replace('_', ' ').toUpperCase()}
                     </Badge>
+                    {booking.seriesId && (
+                      <Badge className="bg-indigo-100 text-indigo-800">
+                        <div className="flex items-center space-x-1">
+                          <Repeat className="w-3 h-3" />
+                          <span>Repeats</span>
+                        </div>
+                      </Badge>
+                    )}
                   </div>
 
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
@@ -471,6 +629,12 @@ const BookingManagement = () => {
                       <DollarSign className="w-4 h-4" />
                       <span>${booking.totalPrice}</span>
                     </div>
+                    {booking.promoCodes?.length > 0 && (
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <Tag className="w-4 h-4" />
+                        <span>{booking.promoCodes.join(', ')}</span>
+                      </div>
+                    )}
                     {booking.confirmationCode && (
                       <div className="flex items-center space-x-2 text-sm text-gray-600">
                         <span className="font-mono bg-gray-100 px-2 py-1 rounded text-xs">
@@ -495,6 +659,18 @@ const BookingManagement = () => {
                       </p>
                     </div>
                   )}
+
+                  {customFieldSchema.some(field => booking.customFields?.[field.key] != null) && (
+                    <div className="flex flex-wrap gap-2 mb-4">
+                      {customFieldSchema
+                        .filter(field => booking.customFields?.[field.key] != null)
+                        .map(field => (
+                          <span key={field.id} className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
+                            <span className="font-medium">{field.label}:</span> {formatCustomFieldValue(field, booking.customFields[field.key])}
+                          </span>
+                        ))}
+                    </div>
+                  )}
                 </div>
 
                 {/* Actions */}
@@ -515,11 +691,33 @@ const BookingManagement = () => {
                   >
                     <Edit className="w-4 h-4" />
                   </Button>
-                  {booking.status === 'confirmed' && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => invoiceMutation.mutate(booking._id)}
+                    disabled={invoiceMutation.isPending}
+                    title="Download invoice"
+                  >
+                    <FileText className="w-4 h-4" />
+                  </Button>
+                  {getFrontDeskActions(booking.status).map(action => (
+                    <Button
+                      key={action.status}
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setStatusMutation.mutate({ id: booking._id, status: action.status })}
+                      disabled={setStatusMutation.isPending}
+                      title={action.label}
+                    >
+                      {getStatusIcon(action.status)}
+                      <span className="ml-1 hidden lg:inline">{action.label}</span>
+                    </Button>
+                  ))}
+                  {!RELEASED_STATUSES.includes(booking.status) && canTransition(booking.status, 'cancelled') && (
                     <Button
                       variant="outline"
                       size="sm"
-                      onClick={() => handleCancel(booking._id)}
+                      onClick={() => handleCancel(booking)}
                       className="text-red-600 hover:text-red-700 hover:bg-red-50"
                     >
                       <XCircle className="w-4 h-4" />
@@ -581,6 +779,10 @@ const BookingManagement = () => {
         }}
         booking={selectedBooking}
         onEdit={handleEditFromView}
+        onStatusChange={(booking, status) => {
+          setStatusMutation.mutate({ id: booking._id, status });
+          setIsViewModalOpen(false);
+        }}
         onDelete={(booking) => {
           if (window.confirm('Are you sure you want to delete this reservation?')) {
             handleDelete(booking._id);
@@ -600,7 +802,9 @@ const BookingManagement = () => {
             setIsEditing(false);
           }}
           onSave={(data) => {
-            if (isEditing) {
+            if (isEditing && selectedBooking.seriesId) {
+              setSeriesAction({ action: 'edit', booking: selectedBooking, data });
+            } else if (isEditing) {
               updateBookingMutation.mutate({ id: selectedBooking._id, data });
             } else {
               createBookingMutation.mutate(data);
@@ -609,15 +813,42 @@ const BookingManagement = () => {
           saving={isEditing ? updateBookingMutation.isPending : createBookingMutation.isPending}
           rooms={rooms}
           isWithinBusinessHours={isWithinBusinessHours}
+          customFieldSchema={customFieldSchema}
+          policyErrors={policyErrors}
         />
       )}
+
+      {/* Recurring series scope picker */}
+      <SeriesScopeDialog
+        isOpen={!!seriesAction}
+        action={seriesAction?.action}
+        onConfirm={handleSeriesScopeConfirm}
+        onClose={() => setSeriesAction(null)}
+        isLoading={updateSeriesMutation.isPending}
+      />
+
+      {/* Cancellation fee confirmation */}
+      <CancelBookingDialog
+        isOpen={!!pendingCancel}
+        bookingId={pendingCancel?.booking._id}
+        scope={pendingCancel?.scope}
+        onConfirm={({ waiverReason }) => cancelBookingMutation.mutate({
+          id: pendingCancel.booking._id,
+          scope: pendingCancel.scope,
+          waiverReason
+        })}
+        onClose={() => setPendingCancel(null)}
+        isLoading={cancelBookingMutation.isPending}
+      />
     </div>
   );
 };
 
 // Booking Form Component
-const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = false, isWithinBusinessHours }) => {
+const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = false, isWithinBusinessHours, customFieldSchema = [], policyErrors = {} }) => {
   const { settings } = useSettings();
+  const [customFieldErrors, setCustomFieldErrors] = useState({});
+  const [promoText, setPromoText] = useState('');
   const [formData, setFormData] = useState({
     customerName: '',
     phone: '',
@@ -631,10 +862,31 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
     notes: '',
     specialRequests: '',
     partySize: 1,
-    basePrice: 0,
+    basePrice: '',
     additionalFees: 0,
     discount: 0,
-    totalPrice: 0,
+    customFields: {},
+  });
+
+  // Live price of the form's room, time and adjustments, as the server will charge it
+  const quoteParams = {
+    roomId: formData.room,
+    startTime: formData.timeIn ? new Date(formData.timeIn).toISOString() : null,
+    endTime: formData.timeOut ? new Date(formData.timeOut).toISOString() : null,
+    basePrice: formData.basePrice,
+    additionalFees: formData.additionalFees,
+    discount: formData.discount,
+    // An existing booking keeps the codes redeemed on it; new ones are checked as typed
+    ...(isEditing
+      ? { bookingId: booking?.id }
+      : { promoCodes: parsePromoCodes(promoText), customerEmail: formData.email, customerPhone: formData.phone })
+  };
+  const { data: quoteData, isFetching: isQuoting, error: quoteError } = useQuery({
+    queryKey: ['price-quote', quoteParams],
+    queryFn: () => pricingAPI.getQuote(quoteParams),
+    enabled: Boolean(formData.room && formData.timeIn && formData.timeOut) && new Date(formData.timeOut) > new Date(formData.timeIn),
+    placeholderData: (previous) => previous,
+    retry: false,
   });
 
   // Get room form fields configuration
@@ -691,10 +943,11 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
         notes: booking.notes || '',
         specialRequests: booking.specialRequests || '',
         partySize: booking.partySize || 1,
-        basePrice: typeof booking.basePrice === 'number' ? booking.basePrice : 0,
+        // Blank unless set by hand, so the pricing rules keep pricing the booking
+        basePrice: booking.basePriceManual && typeof booking.basePrice === 'number' ? booking.basePrice : '',
         additionalFees: typeof booking.additionalFees === 'number' ? booking.additionalFees : 0,
         discount: typeof booking.discount === 'number' ? booking.discount : 0,
-        totalPrice: typeof booking.totalPrice === 'number' ? booking.totalPrice : 0,
+        customFields: booking.customFields || {},
       });
     } else if (!booking && !isEditing) {
       // Reset form for new booking creation with sensible defaults
@@ -715,12 +968,14 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
         notes: '',
         specialRequests: '',
         partySize: 1,
-        basePrice: 0,
+        basePrice: '',
         additionalFees: 0,
         discount: 0,
-        totalPrice: 0,
+        customFields: {},
       });
     }
+    setCustomFieldErrors({});
+    setPromoText('');
   }, [booking, isEditing]);
 
   const handleSubmit = (e) => {
@@ -739,7 +994,7 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
       return;
     }
     
-    // Calculate duration and total price
+    // Calculate duration
     const startTime = new Date(formData.timeIn);
     const endTime = new Date(formData.timeOut);
     
@@ -762,24 +1017,32 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
       toast.error('Booking duration must be at least 15 minutes.');
       return;
     }
-    
-    const selectedRoom = (rooms && Array.isArray(rooms) ? rooms.find(r => r._id === formData.room) : null);
-    const hourlyRate = selectedRoom?.hourlyRate || 25;
-    const basePrice = (durationMinutes / 60) * hourlyRate;
-    const totalPrice = basePrice + (formData.additionalFees || 0) - (formData.discount || 0);
 
+    // Only send values for fields the venue still defines
+    const customFields = Object.fromEntries(
+      customFieldSchema.map(field => [field.key, formData.customFields[field.key]])
+    );
+    const { errors: fieldErrors } = validateCustomFieldValues(customFields, customFieldSchema);
+    setCustomFieldErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      toast.error(Object.values(fieldErrors)[0]);
+      return;
+    }
+    
+    // The server prices the booking; a blank base price leaves it to the pricing rules
     const bookingData = {
       ...formData,
+      customFields,
       durationMinutes,
-      basePrice: Math.round(basePrice * 100) / 100,
-      totalPrice: Math.round(totalPrice * 100) / 100,
       // Send both legacy (timeIn/timeOut, room) and API (startTime/endTime, roomId) fields for compatibility
       timeIn: startTime.toISOString(),
       timeOut: endTime.toISOString(),
       startTime: startTime.toISOString(),
       endTime: endTime.toISOString(),
       roomId: formData.room,
-      room: formData.room
+      room: formData.room,
+      // Promo codes are only checked and redeemed when a booking is created
+      ...(isEditing ? {} : { promoCodes: parsePromoCodes(promoText) })
     };
 
     onSave(bookingData);
@@ -819,22 +1082,11 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
   const handleTimeChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     
-    // Auto-calculate duration if both times are set
+    // If end time is not after start time, automatically adjust end time to be 1 hour later
     if (field === 'timeIn' && formData.timeOut) {
       const startTime = new Date(value);
       const endTime = new Date(formData.timeOut);
-      if (endTime > startTime) {
-        const durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
-        const selectedRoom = (rooms && Array.isArray(rooms) ? rooms.find(r => r._id === formData.room) : null);
-        const hourlyRate = selectedRoom?.hourlyRate || 25;
-        const basePrice = (durationMinutes / 60) * hourlyRate;
-        setFormData(prev => ({
-          ...prev,
-          basePrice: Math.round(basePrice * 100) / 100,
-          totalPrice: Math.round((basePrice + (prev.additionalFees || 0) - (prev.discount || 0)) * 100) / 100
-        }));
-      } else if (endTime <= startTime) {
-        // If end time is not after start time, automatically adjust end time to be 1 hour later
+      if (endTime <= startTime) {
         const adjustedEndTime = new Date(startTime.getTime() + 60 * 60 * 1000);
         setFormData(prev => ({
           ...prev,
@@ -844,18 +1096,7 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
     } else if (field === 'timeOut' && formData.timeIn) {
       const startTime = new Date(formData.timeIn);
       const endTime = new Date(value);
-      if (endTime > startTime) {
-        const durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
-        const selectedRoom = (rooms && Array.isArray(rooms) ? rooms.find(r => r._id === formData.room) : null);
-        const hourlyRate = selectedRoom?.hourlyRate || 25;
-        const basePrice = (durationMinutes / 60) * hourlyRate;
-        setFormData(prev => ({
-          ...prev,
-          basePrice: Math.round(basePrice * 100) / 100,
-          totalPrice: Math.round((basePrice + (prev.additionalFees || 0) - (prev.discount || 0)) * 100) / 100
-        }));
-      } else if (endTime <= startTime) {
-        // If end time is not after start time, automatically adjust end time to be 1 hour later
+      if (endTime <= startTime) {
         const adjustedEndTime = new Date(startTime.getTime() + 60 * 60 * 1000);
         setFormData(prev => ({
           ...prev,
@@ -903,14 +1144,22 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
             )}
 
             {/* Custom Fields */}
-            {settings.customBookingFields?.filter(field => field.visible).map((field) => (
-              <div key={field.id} className="space-y-4">
+            {customFieldSchema.some(field => field.visible) && (
+              <div className="space-y-4">
                 <h3 className="text-lg font-semibold">Additional Information</h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {renderFormField(field.name, field, formData[field.name] || '', (value) => setFormData(prev => ({ ...prev, [field.name]: value })))}
+                  {customFieldSchema.filter(field => field.visible).map((field) => (
+                    <CustomFieldInput
+                      key={field.id}
+                      field={field}
+                      value={formData.customFields[field.key]}
+                      onChange={(value) => setFormData(prev => ({ ...prev, customFields: { ...prev.customFields, [field.key]: value } }))}
+                      error={customFieldErrors[field.key]}
+                    />
+                  ))}
                 </div>
               </div>
-            ))}
+            )}
 
             {/* Booking Details */}
             {(settings.bookingFormFields.room?.visible || settings.bookingFormFields.source?.visible || settings.bookingFormFields.timeIn?.visible || settings.bookingFormFields.timeOut?.visible || settings.bookingFormFields.status?.visible || settings.bookingFormFields.priority?.visible) && (
@@ -962,6 +1211,9 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
                         placeholder={settings.bookingFormFields.timeIn.placeholder}
                         required={settings.bookingFormFields.timeIn.required}
                       />
+                      {policyErrors.startTime && (
+                        <p className="text-sm text-red-500">{policyErrors.startTime}</p>
+                      )}
                     </div>
                   )}
                   {settings.bookingFormFields.timeOut?.visible && (
@@ -976,6 +1228,9 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
                         placeholder={settings.bookingFormFields.timeOut.placeholder}
                         required={settings.bookingFormFields.timeOut.required}
                       />
+                      {policyErrors.endTime && (
+                        <p className="text-sm text-red-500">{policyErrors.endTime}</p>
+                      )}
                     </div>
                   )}
                   {settings.bookingFormFields.status?.visible && (
@@ -986,13 +1241,7 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
                       <CustomSelect
                         value={formData.status}
                         onChange={(value) => setFormData(prev => ({ ...prev, status: value }))}
-                        options={[
-                          { value: 'confirmed', label: 'Confirmed' },
-                          { value: 'pending', label: 'Pending' },
-                          { value: 'cancelled', label: 'Cancelled' },
-                          { value: 'completed', label: 'Completed' },
-                          { value: 'no_show', label: 'No Show' },
-                        ]}
+                        options={getStatusOptions(isEditing ? booking?.status : null)}
                       />
                     </div>
                   )}
@@ -1022,13 +1271,40 @@ const BookingForm = ({ booking, isEditing, onClose, onSave, rooms, saving = fals
               <div className="space-y-4">
                 <h3 className="text-lg font-semibold">Pricing</h3>
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  {renderFormField('basePrice', settings.bookingFormFields.basePrice, formData.basePrice, (value) => setFormData(prev => ({ ...prev, basePrice: parseFloat(value) })))}
+                  {renderFormField('basePrice', settings.bookingFormFields.basePrice, formData.basePrice, (value) => setFormData(prev => ({ ...prev, basePrice: value })))}
                   {renderFormField('additionalFees', settings.bookingFormFields.additionalFees, formData.additionalFees, (value) => setFormData(prev => ({ ...prev, additionalFees: parseFloat(value) })))}
                   {renderFormField('discount', settings.bookingFormFields.discount, formData.discount, (value) => setFormData(prev => ({ ...prev, discount: parseFloat(value) })))}
                 </div>
+                {settings.bookingFormFields.basePrice?.visible && (
+                  <p className="text-xs text-gray-500">
+                    Leave the base price blank to charge the room's rates and pricing rules for the booked time.
+                  </p>
+                )}
+                {!isEditing && (
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Promo codes</label>
+                    <div className="relative">
+                      <div className="absolute left-3 top-3 w-4 h-4 text-gray-400">
+                        <Tag className="w-4 h-4" />
+                      </div>
+                      <Input
+                        value={promoText}
+                        onChange={(e) => setPromoText(e.target.value.toUpperCase())}
+                        placeholder="e.g., SUMMER10 (separate several with commas)"
+                        className="pl-10"
+                      />
+                    </div>
+                    {quoteError?.response?.data?.code === 'INVALID_PROMO_CODE' && (
+                      <p className="text-sm text-red-500">{quoteError.response.data.error}</p>
+                    )}
+                  </div>
+                )}
+                {isEditing && booking?.promoCodes?.length > 0 && (
+                  <p className="text-sm text-gray-600">Promo codes redeemed: {booking.promoCodes.join(', ')}</p>
+                )}
                 {settings.bookingFormFields.totalPrice?.visible && (
-                  <div className="text-lg font-semibold text-gray-900">
-                    Total: ${Number(formData.totalPrice || 0).toFixed(2)}
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    <PriceQuoteSummary quote={quoteData?.data} isLoading={isQuoting} />
                   </div>
                 )}
               </div>
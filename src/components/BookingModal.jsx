@@ -6,23 +6,70 @@ import { Button } from './ui/Button';
 import { Input } from './ui/Input';
 import { Badge } from './ui/Badge';
 import CustomSelect from './ui/CustomSelect';
-import { X, Calendar, Clock, Users, Phone, Mail, User, AlertCircle, Copy, FileText, DollarSign, Star, Tag } from 'lucide-react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
-import { bookingsAPI } from '../lib/api';
+import { X, Calendar, Clock, Users, Phone, Mail, User, AlertCircle, Copy, FileText, DollarSign, Star, Tag, Repeat, CheckCircle, Search, Link2 } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { bookingsAPI, availabilityAPI, bookingFieldsAPI, pricingAPI, roomGroupsAPI, customersAPI } from '../lib/api';
 import { useBusinessHours } from '../contexts/BusinessHoursContext';
 import { useSettings } from '../contexts/SettingsContext';
 import toast from 'react-hot-toast';
 import BookingConfirmation from './BookingConfirmation';
+import SeriesScopeDialog from './SeriesScopeDialog';
+import CancelBookingDialog from './CancelBookingDialog';
+import CustomFieldInput from './CustomFieldInput';
+import PriceQuoteSummary from './PriceQuoteSummary';
+import { getConflictMessage } from '../utils/bookingConflicts';
+import { announceWaitlistOffers } from '../utils/waitlist';
+import { getStatusOptions } from '../utils/bookingLifecycle';
+import { getCustomFieldErrors, validateCustomFieldValues } from '../utils/customFields';
+import { parsePromoCodes } from '../utils/promotions';
+import { getBookingPolicyErrors } from '../utils/bookingPolicy';
+import { getGroupRate, isGroupBookable } from '../utils/roomGroups';
+
+// Combined rooms share the room select with single rooms as `group-<id>`
+const ROOM_GROUP_PREFIX = 'group-';
+const toRoomGroupValue = (groupId) => `${ROOM_GROUP_PREFIX}${groupId}`;
+const getRoomGroupId = (value) => (
+  typeof value === 'string' && value.startsWith(ROOM_GROUP_PREFIX) ? parseInt(value.slice(ROOM_GROUP_PREFIX.length)) : null
+);
+
+// Returning customers are looked up once this much of their name is typed
+const CUSTOMER_SEARCH_MIN_LENGTH = 2;
+const CUSTOMER_SEARCH_LIMIT = 6;
 
 const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [showConfirmation, setShowConfirmation] = useState(false);
   const [createdBooking, setCreatedBooking] = useState(null);
+  const [repeat, setRepeat] = useState({ frequency: 'none', endType: 'count', count: 4, until: '' });
+  const [seriesReport, setSeriesReport] = useState(null);
+  const [pendingSeriesAction, setPendingSeriesAction] = useState(null);
+  // Scope of a cancellation waiting on its fee to be confirmed
+  const [pendingCancelScope, setPendingCancelScope] = useState(null);
+  const [roomSuggestions, setRoomSuggestions] = useState(null);
+  const [isFindingRoom, setIsFindingRoom] = useState(false);
+  const [promoText, setPromoText] = useState('');
+  // The returning customer picked from the name suggestions; without one the server
+  // matches the booking to a customer on its email or phone
+  const [pickedCustomer, setPickedCustomer] = useState(null);
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [showCustomerMatches, setShowCustomerMatches] = useState(false);
   const queryClient = useQueryClient();
-  const { getBusinessHoursForDay, isWithinBusinessHours, getTimeSlotsForDay } = useBusinessHours();
+  const { getBusinessHoursForDate, isWithinBusinessHours, getTimeSlotsForDay } = useBusinessHours();
   const { settings } = useSettings();
 
-  const { register, handleSubmit, reset, watch, setValue, formState: { errors } } = useForm({
+  const { data: customFieldsData } = useQuery({
+    queryKey: ['booking-fields'],
+    queryFn: () => bookingFieldsAPI.getAll(),
+  });
+  const customFieldSchema = customFieldsData?.data || [];
+
+  const { data: roomGroupsData } = useQuery({
+    queryKey: ['room-groups'],
+    queryFn: () => roomGroupsAPI.getAll(),
+  });
+  const roomGroups = roomGroupsData?.data || [];
+
+  const { register, handleSubmit, reset, watch, setValue, setError, clearErrors, formState: { errors } } = useForm({
     defaultValues: {
       customerName: '',
       phone: '',
@@ -32,6 +79,7 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
       startTime: '',
       endTime: '',
       status: 'confirmed',
+      holdMinutes: '',
       priority: 'normal',
       basePrice: '',
       additionalFees: '',
@@ -40,11 +88,60 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
       notes: '',
       specialRequests: '',
       roomId: '',
+      customFields: {},
     }
   });
 
+  // Suggest returning customers as their name is typed, once typing pauses
+  const typedCustomerName = watch('customerName');
+  useEffect(() => {
+    if (!showCustomerMatches) return undefined;
+    const timer = setTimeout(() => setCustomerSearch((typedCustomerName || '').trim()), 250);
+    return () => clearTimeout(timer);
+  }, [typedCustomerName, showCustomerMatches]);
+
+  const isSearchingCustomers = isOpen && showCustomerMatches && customerSearch.length >= CUSTOMER_SEARCH_MIN_LENGTH;
+  const { data: customerMatchesData } = useQuery({
+    queryKey: ['customers', { search: customerSearch, limit: CUSTOMER_SEARCH_LIMIT }],
+    queryFn: () => customersAPI.getAll({ search: customerSearch, limit: CUSTOMER_SEARCH_LIMIT }),
+    enabled: isSearchingCustomers,
+  });
+  const customerMatches = isSearchingCustomers ? customerMatchesData?.data || [] : [];
+
+  const handleCustomerNameChange = (e) => {
+    setShowCustomerMatches(true);
+    // A different name is someone else; the booking is matched on its email or phone instead
+    if (pickedCustomer && e.target.value.trim() !== pickedCustomer.name) {
+      setPickedCustomer(null);
+    }
+  };
+
+  const selectCustomer = (customer) => {
+    setValue('customerName', customer.name, { shouldValidate: true });
+    if (customer.phone) setValue('phone', customer.phone, { shouldValidate: true });
+    if (customer.email) setValue('email', customer.email, { shouldValidate: true });
+    setPickedCustomer(customer);
+    setShowCustomerMatches(false);
+  };
+
+  const seriesId = booking?.resource?.seriesId || booking?.seriesId || null;
+  const holdExpiresAt = booking?.resource?.holdExpiresAt || booking?.holdExpiresAt || null;
+  const redeemedPromoCodes = booking?.resource?.promoCodes || booking?.promoCodes || [];
+  // A combined booking keeps its rooms; only its time and details can change
+  const bookingRoomGroupId = booking?.resource?.roomGroupId || booking?.roomGroupId || null;
+  const bookingRoomGroupName = booking?.resource?.roomGroupName || booking?.roomGroupName || null;
+
   // Reset form when booking changes
   useEffect(() => {
+    setRepeat({ frequency: 'none', endType: 'count', count: 4, until: '' });
+    setSeriesReport(null);
+    setPendingSeriesAction(null);
+    setRoomSuggestions(null);
+    setPromoText('');
+    setPickedCustomer(null);
+    setCustomerSearch('');
+    setShowCustomerMatches(false);
+
     if (booking) {
       // Debug logging removed for clean version
       // console.log('🔍 BookingModal: Booking object received:', booking);
@@ -62,14 +159,21 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
           startTime: moment(booking.startTime || booking.start).format('YYYY-MM-DDTHH:mm'),
           endTime: moment(booking.endTime || booking.end).format('YYYY-MM-DDTHH:mm'),
           status: booking.resource?.status || booking.status || 'confirmed',
+          holdMinutes: '',
           priority: booking.resource?.priority || booking.priority || 'normal',
-          basePrice: booking.resource?.basePrice || booking.basePrice || '',
+          // Only a hand-set base price is shown; blank leaves it to the pricing rules
+          basePrice: (booking.resource?.basePriceManual ?? booking.basePriceManual)
+            ? booking.resource?.basePrice ?? booking.basePrice ?? ''
+            : '',
           additionalFees: booking.resource?.additionalFees || booking.additionalFees || '',
           discount: booking.resource?.discount || booking.discount || '',
           totalPrice: booking.resource?.totalPrice || booking.totalPrice || '',
           notes: booking.resource?.notes || booking.notes || '',
           specialRequests: booking.resource?.specialRequests || booking.specialRequests || '',
-          roomId: booking.resource?.roomId || booking.room?._id || booking.roomId || '',
+          roomId: (booking.resource?.roomGroupId || booking.roomGroupId)
+            ? toRoomGroupValue(booking.resource?.roomGroupId || booking.roomGroupId)
+            : booking.resource?.roomId || booking.room?._id || booking.roomId || '',
+          customFields: booking.resource?.customFields || booking.customFields || {},
         });
         // Debug logging removed for clean version
         // console.log('🔍 BookingModal: Form reset with values:', {
@@ -100,6 +204,7 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
           notes: '',
           specialRequests: '',
           roomId: booking.resource?.roomId || '',
+          customFields: {},
         });
       }
     } else {
@@ -122,10 +227,31 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
         notes: '',
         specialRequests: '',
         roomId: '',
+        customFields: {},
       });
     }
   }, [booking, reset]);
 
+  // Shows the server's custom field errors next to their inputs; false when there are none
+  const applyCustomFieldErrors = (err) => {
+    const fieldErrors = Object.entries(getCustomFieldErrors(err));
+    fieldErrors.forEach(([key, message]) => setError(`customFields.${key}`, { type: 'server', message }));
+    if (fieldErrors.length > 0) {
+      toast.error(fieldErrors[0][1]);
+    }
+    return fieldErrors.length > 0;
+  };
+
+  // Shows the server's booking policy errors under the start and end times; false when there are none
+  const applyBookingPolicyErrors = (err) => {
+    const fieldErrors = Object.entries(getBookingPolicyErrors(err));
+    fieldErrors.forEach(([field, message]) => setError(field, { type: 'server', message }));
+    if (fieldErrors.length > 0) {
+      toast.error(fieldErrors[0][1]);
+    }
+    return fieldErrors.length > 0;
+  };
+
   // Create booking mutation (optimistic)
   const createBookingMutation = useMutation({
     mutationFn: (data) => bookingsAPI.create(data),
@@ -163,10 +289,12 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
       if (ctx?.previous) queryClient.setQueryData(['bookings'], ctx.previous);
       
       // Show specific error messages
-      if (err.response?.data?.code === 'OUTSIDE_BUSINESS_HOURS') {
-        toast.error('Booking time is outside business hours. Please check the schedule for available times.');
+      if (applyBookingPolicyErrors(err)) {
+        // Shown inline on the start and end times
       } else if (err.response?.data?.code === 'TIME_SLOT_CONFLICT') {
-        toast.error('This time slot is already booked. Please choose a different time.');
+        toast.error(getConflictMessage(err));
+      } else if (applyCustomFieldErrors(err)) {
+        // Shown inline on the custom fields
       } else if (err.response?.data?.error) {
         toast.error(err.response.data.error);
       } else {
@@ -175,6 +303,7 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
     },
     onSuccess: (data) => {
       toast.success('Booking created successfully');
@@ -230,10 +359,12 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
       if (ctx?.previous) queryClient.setQueryData(['bookings'], ctx.previous);
       
       // Show specific error messages
-      if (err.response?.data?.code === 'OUTSIDE_BUSINESS_HOURS') {
-        toast.error('Booking time is outside business hours. Please check the schedule for available times.');
+      if (applyBookingPolicyErrors(err)) {
+        // Shown inline on the start and end times
       } else if (err.response?.data?.code === 'TIME_SLOT_CONFLICT') {
-        toast.error('This time slot is already booked. Please choose a different time.');
+        toast.error(getConflictMessage(err));
+      } else if (applyCustomFieldErrors(err)) {
+        // Shown inline on the custom fields
       } else if (err.response?.data?.error) {
         toast.error(err.response.data.error);
       } else {
@@ -242,9 +373,11 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
     },
     onSuccess: (data) => {
       toast.success('Booking updated successfully');
+      announceWaitlistOffers(data?.data?.waitlist);
       // Store the updated booking for confirmation
       const updatedBooking = data?.data?.booking || data?.data?.data?.booking || data?.data;
       if (updatedBooking) {
@@ -258,8 +391,8 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
 
   // Cancel booking mutation (optimistic)
   const cancelBookingMutation = useMutation({
-    mutationFn: (id) => bookingsAPI.cancel(id),
-    onMutate: async (id) => {
+    mutationFn: ({ id, scope, waiverReason }) => bookingsAPI.cancel(id, scope, { waiverReason }),
+    onMutate: async ({ id }) => {
       await queryClient.cancelQueries({ queryKey: ['bookings'] });
       const previous = queryClient.getQueryData(['bookings']);
       try {
@@ -280,9 +413,71 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+    onSuccess: (data) => {
+      const cancelledCount = data?.data?.cancelled?.length || 1;
+      toast.success(cancelledCount > 1 ? `${cancelledCount} bookings cancelled successfully` : 'Booking cancelled successfully');
+      queryClient.invalidateQueries({ queryKey: ['payment-ledger'] });
+      announceWaitlistOffers(data?.data?.waitlist);
+      setPendingCancelScope(null);
+      onSuccess();
+    },
+  });
+
+  // Create recurring series mutation
+  const createSeriesMutation = useMutation({
+    mutationFn: (data) => bookingsAPI.createSeries(data),
+    onError: (err) => {
+      if (err.response?.data?.code === 'TIME_SLOT_CONFLICT' && err.response.data.data?.occurrences) {
+        setSeriesReport({ created: false, occurrences: err.response.data.data.occurrences });
+        toast.error(err.response.data.error);
+      } else if (err.response?.data?.error) {
+        toast.error(err.response.data.error);
+      } else {
+        toast.error('Failed to create recurring booking. Please try again.');
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+    onSuccess: (data) => {
+      const occurrences = data?.data?.occurrences || [];
+      const createdCount = occurrences.filter(o => o.status === 'created').length;
+      setSeriesReport({ created: true, occurrences });
+      if (createdCount < occurrences.length) {
+        toast.success(`Created ${createdCount} of ${occurrences.length} bookings; ${occurrences.length - createdCount} skipped due to conflicts`);
+      } else {
+        toast.success(`Created ${createdCount} recurring bookings`);
+      }
+    },
+  });
+
+  // Update recurring series mutation
+  const updateSeriesMutation = useMutation({
+    mutationFn: ({ id, data, scope }) => bookingsAPI.updateSeries(id, data, scope),
+    onError: (err) => {
+      setPendingSeriesAction(null);
+      if (applyBookingPolicyErrors(err)) {
+        // Shown inline on the start and end times
+      } else if (err.response?.data?.code === 'TIME_SLOT_CONFLICT' && err.response.data.data?.occurrences) {
+        setSeriesReport({ created: false, occurrences: err.response.data.data.occurrences });
+        toast.error(err.response.data.error);
+      } else if (err.response?.data?.error) {
+        toast.error(err.response.data.error);
+      } else {
+        toast.error('Failed to update recurring booking. Please try again.');
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
     },
-    onSuccess: () => {
-      toast.success('Booking cancelled successfully');
+    onSuccess: (data) => {
+      const updatedCount = data?.data?.length || 1;
+      toast.success(updatedCount > 1 ? `${updatedCount} bookings updated successfully` : 'Booking updated successfully');
+      setPendingSeriesAction(null);
       onSuccess();
     },
   });
@@ -302,37 +497,127 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
       toast.error('Booking time is outside business hours. Please choose a time within business hours.');
       return;
     }
+
+    // Only fields the venue still defines; values of hidden fields are kept as loaded
+    const customFields = Object.fromEntries(
+      customFieldSchema.map(field => [field.key, data.customFields?.[field.key]])
+    );
+    clearErrors('customFields');
+    const customFieldErrors = Object.entries(validateCustomFieldValues(customFields, customFieldSchema).errors);
+    if (customFieldErrors.length > 0) {
+      customFieldErrors.forEach(([key, message]) => setError(`customFields.${key}`, { type: 'validate', message }));
+      toast.error(customFieldErrors[0][1]);
+      return;
+    }
     
+    // A combined booking is placed on its group; the server reserves every room in it
+    const roomGroupId = getRoomGroupId(data.roomId);
+    const roomGroup = roomGroups.find(group => group.id === roomGroupId);
+    if (roomGroupId && !isEditing && !roomGroup) {
+      toast.error('That combined room is no longer available.');
+      return;
+    }
+    if (roomGroupId && repeat.frequency !== 'none') {
+      toast.error('Recurring bookings need a single room.');
+      return;
+    }
+
     // Align payload with backend API expectations
     const bookingData = {
       customerName: data.customerName,
       phone: data.phone,
       email: data.email,
+      // Left out unless a customer was picked, which keeps an edited booking's customer
+      customerId: pickedCustomer?.id,
       partySize: data.partySize,
       source: data.source,
       status: data.status,
+      // Only sent to place a hold or restart its countdown; blank uses the default hold length
+      holdMinutes: data.status === 'held' && data.holdMinutes ? parseInt(data.holdMinutes) : undefined,
       priority: data.priority,
       basePrice: data.basePrice,
       additionalFees: data.additionalFees,
       discount: data.discount,
-      totalPrice: data.totalPrice,
       notes: data.notes,
       specialRequests: data.specialRequests,
-      roomId: data.roomId,
+      customFields,
+      roomId: roomGroupId ? (isEditing ? undefined : roomGroup.roomIds[0]) : data.roomId,
+      roomGroupId: roomGroupId && !isEditing ? roomGroupId : undefined,
       startTime: new Date(data.startTime).toISOString(),
       endTime: new Date(data.endTime).toISOString(),
     };
 
-    if (isEditing) {
+    setSeriesReport(null);
+
+    if (isEditing && seriesId) {
+      // Ask which occurrences the edit applies to before saving
+      setPendingSeriesAction({ action: 'edit', data: bookingData });
+    } else if (isEditing) {
       updateBookingMutation.mutate({ id: booking._id || booking.id, data: bookingData });
+    } else if (repeat.frequency !== 'none') {
+      if (repeat.endType === 'until' && !repeat.until) {
+        toast.error('Please choose when the recurring booking ends.');
+        return;
+      }
+      createSeriesMutation.mutate({
+        ...bookingData,
+        recurrence: repeat.endType === 'until'
+          ? { frequency: repeat.frequency, until: repeat.until }
+          : { frequency: repeat.frequency, count: parseInt(repeat.count) || 1 },
+      });
     } else {
-      createBookingMutation.mutate(bookingData);
+      // Promo codes are checked and redeemed when a single booking is created
+      createBookingMutation.mutate({ ...bookingData, promoCodes: parsePromoCodes(promoText) });
+    }
+  };
+
+  // Rank rooms that are free for the chosen time and party size
+  const handleFindBestRoom = async () => {
+    const start = watch('startTime');
+    const end = watch('endTime');
+    if (!start || !end || new Date(end) <= new Date(start)) {
+      toast.error('Choose a start and end time first.');
+      return;
+    }
+
+    setIsFindingRoom(true);
+    try {
+      const response = await availabilityAPI.findBest({
+        startTime: new Date(start).toISOString(),
+        duration: moment(end).diff(moment(start), 'minutes'),
+        partySize: parseInt(watch('partySize')) || 1,
+      });
+      setRoomSuggestions(response.data.rooms);
+      if (response.data.rooms.length === 0) {
+        toast.error('No room is free for that time and party size.');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to check availability.');
+    } finally {
+      setIsFindingRoom(false);
     }
   };
 
   const handleCancel = () => {
-    if (booking.id) {
-      cancelBookingMutation.mutate(booking.id);
+    if (seriesId) {
+      setPendingSeriesAction({ action: 'cancel' });
+    } else if (booking.id) {
+      setPendingCancelScope('this');
+    }
+  };
+
+  // Apply the pending edit of a series occurrence with the chosen scope; a cancellation
+  // goes on to show its fee first
+  const handleSeriesScopeConfirm = (scope) => {
+    const id = booking._id || booking.id;
+    if (pendingSeriesAction?.action === 'cancel') {
+      setPendingSeriesAction(null);
+      setPendingCancelScope(scope);
+    } else if (scope === 'this') {
+      setPendingSeriesAction(null);
+      updateBookingMutation.mutate({ id, data: pendingSeriesAction.data });
+    } else {
+      updateSeriesMutation.mutate({ id, data: pendingSeriesAction.data, scope });
     }
   };
 
@@ -349,8 +634,7 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
   const selectedDate = watch('startTime') ? new Date(watch('startTime')) : new Date();
   
   // Get business hours for the selected date
-  const weekday = selectedDate.getDay();
-  const dayHours = getBusinessHoursForDay(weekday);
+  const dayHours = getBusinessHoursForDate(selectedDate);
 
   // Helper function to render form fields based on settings
   const renderFormField = (fieldKey, fieldConfig, register, errors, options = {}) => {
@@ -411,15 +695,18 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
             </div>
           )}
           <Input
-            {...register(fieldKey, validationRules)}
+            {...register(fieldKey, { ...validationRules, onChange: options.onChange, onBlur: options.onBlur })}
             placeholder={placeholder}
             className={options.icon ? "pl-10" : ""}
             type={fieldConfig.type === 'email' ? 'email' : fieldConfig.type === 'tel' ? 'tel' : fieldConfig.type === 'number' ? 'number' : 'text'}
+            autoComplete={options.suggestions ? 'off' : undefined}
           />
+          {options.suggestions}
         </div>
         {errors[fieldKey] && (
           <p className="text-sm text-red-500">{errors[fieldKey].message}</p>
         )}
+        {options.hint}
       </div>
     );
   };
@@ -430,6 +717,28 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
   // Check if selected times are within business hours
   const startTime = watch('startTime');
   const endTime = watch('endTime');
+
+  // Live price for the current room, time and adjustments, as the server will charge it
+  const quoteParams = {
+    roomId: getRoomGroupId(watch('roomId')) ? undefined : watch('roomId'),
+    roomGroupId: getRoomGroupId(watch('roomId')) || undefined,
+    startTime: startTime ? new Date(startTime).toISOString() : null,
+    endTime: endTime ? new Date(endTime).toISOString() : null,
+    basePrice: watch('basePrice'),
+    additionalFees: watch('additionalFees'),
+    discount: watch('discount'),
+    // An existing booking keeps the codes redeemed on it; new ones are checked as typed
+    ...(isEditing
+      ? { bookingId: booking?._id || booking?.id }
+      : { promoCodes: parsePromoCodes(promoText), customerEmail: watch('email'), customerPhone: watch('phone') })
+  };
+  const { data: quoteData, isFetching: isQuoting, error: quoteError } = useQuery({
+    queryKey: ['price-quote', quoteParams],
+    queryFn: () => pricingAPI.getQuote(quoteParams),
+    enabled: isOpen && Boolean((quoteParams.roomId || quoteParams.roomGroupId) && startTime && endTime) && new Date(endTime) > new Date(startTime),
+    placeholderData: (previous) => previous,
+    retry: false,
+  });
   const isTimeWithinBusinessHours = startTime && endTime ? 
     isWithinBusinessHours(selectedDate, startTime, endTime) : true;
   
@@ -438,10 +747,10 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
   
   // Get business hours display text
   const getBusinessHoursText = () => {
-    if (isBusinessClosed) {
-      return 'Closed';
-    }
-    return `${dayHours.openTime} - ${dayHours.closeTime}`;
+    const hours = isBusinessClosed
+      ? 'Closed'
+      : dayHours.intervals.map(interval => `${interval.openTime} - ${interval.closeTime}`).join(', ');
+    return dayHours.exception ? `${hours} (${dayHours.exception.name})` : hours;
   };
 
   if (!isOpen) return null;
@@ -472,7 +781,37 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
               <div className="space-y-4">
                 <h3 className="text-lg font-semibold">Customer Information</h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {renderFormField('customerName', settings.bookingFormFields.customerName, register, errors, { icon: <User className="w-4 h-4" /> })}
+                  {renderFormField('customerName', settings.bookingFormFields.customerName, register, errors, {
+                    icon: <User className="w-4 h-4" />,
+                    onChange: handleCustomerNameChange,
+                    onBlur: () => setShowCustomerMatches(false),
+                    suggestions: customerMatches.length > 0 && (
+                      <div className="absolute z-20 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+                        {customerMatches.map(customer => (
+                          <button
+                            key={customer.id}
+                            type="button"
+                            // Keep focus in the field so its blur doesn't close the list before the click
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => selectCustomer(customer)}
+                            className="w-full text-left px-3 py-2 hover:bg-gray-50"
+                          >
+                            <div className="text-sm font-medium">{customer.name}</div>
+                            <div className="text-xs text-gray-500">
+                              {[customer.phone, customer.email].filter(Boolean).join(' · ')}
+                              {' · '}{customer.bookingCount} {customer.bookingCount === 1 ? 'booking' : 'bookings'}
+                            </div>
+                          </button>
+                        ))}
+                      </div>
+                    ),
+                    hint: pickedCustomer && (
+                      <p className="text-xs text-green-700">
+                        Returning customer · {pickedCustomer.bookingCount} {pickedCustomer.bookingCount === 1 ? 'booking' : 'bookings'}
+                        {pickedCustomer.lastVisit ? ` · last visit ${moment(pickedCustomer.lastVisit).format('MMM D, YYYY')}` : ''}
+                      </p>
+                    ),
+                  })}
                   {renderFormField('phone', settings.bookingFormFields.phone, register, errors, { icon: <Phone className="w-4 h-4" /> })}
                   {renderFormField('email', settings.bookingFormFields.email, register, errors, { icon: <Mail className="w-4 h-4" /> })}
                   {renderFormField('partySize', settings.bookingFormFields.partySize, register, errors, { icon: <Users className="w-4 h-4" /> })}
@@ -481,14 +820,22 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
             )}
 
             {/* Custom Fields */}
-            {settings.customBookingFields?.filter(field => field.visible).map((field) => (
-              <div key={field.id} className="space-y-4">
+            {customFieldSchema.some(field => field.visible) && (
+              <div className="space-y-4">
                 <h3 className="text-lg font-semibold">Additional Information</h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {renderFormField(field.name, field, register, errors)}
+                  {customFieldSchema.filter(field => field.visible).map((field) => (
+                    <CustomFieldInput
+                      key={field.id}
+                      field={field}
+                      value={watch(`customFields.${field.key}`)}
+                      onChange={(value) => setValue(`customFields.${field.key}`, value)}
+                      error={errors.customFields?.[field.key]?.message}
+                    />
+                  ))}
                 </div>
               </div>
-            ))}
+            )}
 
             {/* Booking Details */}
             {(settings.bookingFormFields.room?.visible || settings.bookingFormFields.room === true || settings.bookingFormFields.source?.visible || settings.bookingFormFields.source === true || settings.bookingFormFields.timeIn?.visible || settings.bookingFormFields.timeIn === true || settings.bookingFormFields.timeOut?.visible || settings.bookingFormFields.timeOut === true || settings.bookingFormFields.status?.visible || settings.bookingFormFields.status === true || settings.bookingFormFields.priority?.visible || settings.bookingFormFields.priority === true) && (
@@ -500,13 +847,62 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
                       <label className="text-sm font-medium">
                         {settings.bookingFormFields.room.label} {settings.bookingFormFields.room.required && '*'}
                       </label>
-                      <CustomSelect
-                        value={watch('roomId')}
-                        onChange={(value) => setValue('roomId', value)}
-                        options={rooms
-                          .filter(r => r.status === 'active' && r.isBookable)
-                          .map(r => ({ value: r._id || r.id, label: `${r.name} (${r.capacity} max) - $${r.hourlyRate || 0}/hour` }))}
-                      />
+                      {isEditing && bookingRoomGroupId ? (
+                        <div className="flex items-center space-x-2 px-3 py-2 border border-gray-200 rounded-md bg-gray-50 text-sm text-gray-700">
+                          <Link2 className="w-4 h-4 text-blue-600" />
+                          <span>{bookingRoomGroupName || 'Combined rooms'} (combined booking)</span>
+                        </div>
+                      ) : (
+                        <CustomSelect
+                          value={watch('roomId')}
+                          onChange={(value) => setValue('roomId', value)}
+                          options={[
+                            ...rooms
+                              .filter(r => r.status === 'active' && r.isBookable)
+                              .map(r => ({ value: r._id || r.id, label: `${r.name} (${r.capacity} max) - $${r.hourlyRate || 0}/hour` })),
+                            ...(isEditing ? [] : roomGroups.filter(isGroupBookable).map(group => ({
+                              value: toRoomGroupValue(group.id),
+                              label: `${group.name} - combined (${group.capacity} max) - $${getGroupRate(group)}/hour`
+                            })))
+                          ]}
+                        />
+                      )}
+                      {!isEditing && (
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="sm"
+                          onClick={handleFindBestRoom}
+                          disabled={isFindingRoom}
+                          className="flex items-center space-x-1"
+                        >
+                          <Search className="w-3 h-3" />
+                          <span>{isFindingRoom ? 'Checking...' : 'Find best room'}</span>
+                        </Button>
+                      )}
+                      {roomSuggestions?.length > 0 && (
+                        <div className="flex flex-wrap gap-1">
+                          {roomSuggestions.map(suggestion => {
+                            // No single room fits: the suggestion is a combined room
+                            const value = suggestion.roomGroupId ? toRoomGroupValue(suggestion.roomGroupId) : suggestion.roomId;
+                            return (
+                              <button
+                                key={value}
+                                type="button"
+                                onClick={() => setValue('roomId', value)}
+                                className={`px-2 py-1 rounded text-xs border ${
+                                  watch('roomId') === value
+                                    ? 'bg-blue-600 text-white border-blue-600'
+                                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                }`}
+                                title={`${suggestion.spareCapacity} spare seats`}
+                              >
+                                {suggestion.rank}. {suggestion.name} ({suggestion.capacity}){suggestion.roomGroupId ? ' - combined' : ''}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
                     </div>
                   )}
                   {settings.bookingFormFields.source?.visible && (
@@ -578,13 +974,26 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
                       <CustomSelect
                         value={watch('status')}
                         onChange={(value) => setValue('status', value)}
-                        options={[
-                          { value: 'confirmed', label: 'Confirmed' },
-                          { value: 'pending', label: 'Pending' },
-                          { value: 'cancelled', label: 'Cancelled' },
-                          { value: 'completed', label: 'Completed' },
-                        ]}
+                        options={getStatusOptions(isEditing ? (booking?.resource?.status || booking?.status) : null).map(option => (
+                          option.value === 'held' ? { ...option, label: 'Held (tentative)' } : option
+                        ))}
                       />
+                      {watch('status') === 'held' && (
+                        <div className="space-y-1">
+                          <Input
+                            type="number"
+                            min="1"
+                            max="1440"
+                            placeholder="Hold for (minutes)"
+                            {...register('holdMinutes')}
+                          />
+                          <p className="text-xs text-gray-500">
+                            {holdExpiresAt && moment(holdExpiresAt).isAfter(moment())
+                              ? `Hold expires at ${moment(holdExpiresAt).format('h:mm A')}. Enter minutes to extend it.`
+                              : 'The slot is released automatically when the hold expires.'}
+                          </p>
+                        </div>
+                      )}
                     </div>
                   )}
                   {settings.bookingFormFields.priority?.visible && (
@@ -616,8 +1025,43 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
                   {renderFormField('basePrice', settings.bookingFormFields.basePrice, register, errors, { icon: <DollarSign className="w-4 h-4" /> })}
                   {renderFormField('additionalFees', settings.bookingFormFields.additionalFees, register, errors, { icon: <DollarSign className="w-4 h-4" /> })}
                   {renderFormField('discount', settings.bookingFormFields.discount, register, errors, { icon: <DollarSign className="w-4 h-4" /> })}
-                  {renderFormField('totalPrice', settings.bookingFormFields.totalPrice, register, errors, { icon: <DollarSign className="w-4 h-4" /> })}
                 </div>
+                {settings.bookingFormFields.basePrice?.visible && (
+                  <p className="text-xs text-gray-500">
+                    Leave the base price blank to charge the room's rates and pricing rules for the booked time.
+                  </p>
+                )}
+                {!isEditing && repeat.frequency === 'none' && (
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Promo codes</label>
+                    <div className="relative">
+                      <Tag className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                      <Input
+                        value={promoText}
+                        onChange={(e) => setPromoText(e.target.value.toUpperCase())}
+                        placeholder="e.g., SUMMER10 (separate several with commas)"
+                        className="pl-10"
+                      />
+                    </div>
+                    {quoteError?.response?.data?.code === 'INVALID_PROMO_CODE' && (
+                      <p className="text-sm text-red-500">{quoteError.response.data.error}</p>
+                    )}
+                  </div>
+                )}
+                {isEditing && redeemedPromoCodes.length > 0 && (
+                  <div className="flex items-center flex-wrap gap-2 text-sm text-gray-600">
+                    <Tag className="w-4 h-4" />
+                    <span>Promo codes redeemed:</span>
+                    {redeemedPromoCodes.map(code => (
+                      <Badge key={code} variant="outline" className="font-mono text-xs">{code}</Badge>
+                    ))}
+                  </div>
+                )}
+                {settings.bookingFormFields.totalPrice?.visible && (
+                  <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    <PriceQuoteSummary quote={quoteData?.data} isLoading={isQuoting} />
+                  </div>
+                )}
               </div>
             )}
 
@@ -695,6 +1139,112 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
             )}
 
 
+            {/* Repeat */}
+            {!isEditing && (
+              <div className="space-y-4">
+                <h3 className="text-lg font-semibold flex items-center">
+                  <Repeat className="w-5 h-5 mr-2" />
+                  Repeat
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Frequency</label>
+                    <CustomSelect
+                      value={repeat.frequency}
+                      onChange={(value) => setRepeat(prev => ({ ...prev, frequency: value }))}
+                      options={[
+                        { value: 'none', label: 'Does not repeat' },
+                        { value: 'weekly', label: 'Every week' },
+                        { value: 'biweekly', label: 'Every other week' },
+                        { value: 'monthly', label: 'Monthly on the same weekday' },
+                      ]}
+                    />
+                  </div>
+                  {repeat.frequency !== 'none' && (
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium">Ends</label>
+                      <div className="flex items-center space-x-2">
+                        <CustomSelect
+                          value={repeat.endType}
+                          onChange={(value) => setRepeat(prev => ({ ...prev, endType: value }))}
+                          options={[
+                            { value: 'count', label: 'After' },
+                            { value: 'until', label: 'On date' },
+                          ]}
+                        />
+                        {repeat.endType === 'count' ? (
+                          <Input
+                            type="number"
+                            min={1}
+                            max={104}
+                            value={repeat.count}
+                            onChange={(e) => setRepeat(prev => ({ ...prev, count: e.target.value }))}
+                            className="w-24"
+                          />
+                        ) : (
+                          <Input
+                            type="date"
+                            value={repeat.until}
+                            min={startTime ? moment(startTime).format('YYYY-MM-DD') : undefined}
+                            onChange={(e) => setRepeat(prev => ({ ...prev, until: e.target.value }))}
+                          />
+                        )}
+                        {repeat.endType === 'count' && <span className="text-sm text-gray-600">times</span>}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {seriesId && isEditing && (
+              <div className="flex items-center text-sm text-blue-700 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                <Repeat className="w-4 h-4 mr-2 flex-shrink-0" />
+                This booking is part of a recurring series. You will be asked which occurrences to change.
+              </div>
+            )}
+
+            {/* Series conflict report */}
+            {seriesReport && (
+              <div className={`border rounded-lg p-3 ${seriesReport.created ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                <p className={`text-sm font-medium mb-2 ${seriesReport.created ? 'text-green-800' : 'text-red-800'}`}>
+                  {seriesReport.created
+                    ? `Created ${seriesReport.occurrences.filter(o => o.status === 'created').length} of ${seriesReport.occurrences.length} occurrences`
+                    : 'Some occurrences conflict with existing bookings or the booking policy'}
+                </p>
+                <ul className="space-y-1 max-h-48 overflow-y-auto">
+                  {seriesReport.occurrences.map((occurrence, index) => (
+                    <li key={occurrence.index ?? occurrence.id ?? index} className="flex items-start text-xs">
+                      {occurrence.status === 'created' || occurrence.status === 'available' ? (
+                        <CheckCircle className="w-3.5 h-3.5 text-green-600 mr-1.5 mt-0.5 flex-shrink-0" />
+                      ) : (
+                        <AlertCircle className="w-3.5 h-3.5 text-red-600 mr-1.5 mt-0.5 flex-shrink-0" />
+                      )}
+                      <span className="text-gray-800">
+                        {moment(occurrence.startTime).format('ddd, MMM D YYYY h:mm A')}
+                        {occurrence.status === 'skipped' && ' — skipped'}
+                        {occurrence.conflicts?.length > 0 && (
+                          <span className="text-red-700">
+                            {' '}conflicts with {occurrence.conflicts.map(c => `${c.customerName} (${moment(c.startTime).format('h:mm A')}–${moment(c.endTime).format('h:mm A')})`).join(', ')}
+                          </span>
+                        )}
+                        {occurrence.blocks?.length > 0 && (
+                          <span className="text-red-700">
+                            {' '}room out of service ({occurrence.blocks.map(b => b.reason).join(', ')})
+                          </span>
+                        )}
+                        {occurrence.policyErrors?.length > 0 && (
+                          <span className="text-red-700">
+                            {' '}{occurrence.policyErrors.join('; ')}
+                          </span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Room Info Display */}
             {selectedRoom && (
               <div className="bg-gray-50 rounded-lg p-4">
@@ -717,8 +1267,8 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
 
             {/* Action Buttons */}
             <div className="flex justify-end space-x-3 pt-4 border-t">
-              <Button type="button" variant="ghost" onClick={onClose}>
-                Cancel
+              <Button type="button" variant="ghost" onClick={seriesReport?.created ? onSuccess : onClose}>
+                {seriesReport?.created ? 'Done' : 'Cancel'}
               </Button>
               {isEditing && (
                 <Button
@@ -735,12 +1285,15 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
                 disabled={
                   createBookingMutation.isPending || 
                   updateBookingMutation.isPending || 
+                  createSeriesMutation.isPending || 
+                  updateSeriesMutation.isPending || 
+                  seriesReport?.created || 
                   isBusinessClosed || 
                   (!isTimeWithinBusinessHours && startTime && endTime)
                 }
                 className="flex items-center space-x-2"
               >
-                {createBookingMutation.isPending || updateBookingMutation.isPending
+                {createBookingMutation.isPending || updateBookingMutation.isPending || createSeriesMutation.isPending || updateSeriesMutation.isPending
                   ? 'Saving...'
                   : isBusinessClosed
                   ? 'Business Closed'
@@ -748,6 +1301,8 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
                   ? 'Outside Business Hours'
                   : isEditing
                   ? 'Update Booking'
+                  : repeat.frequency !== 'none'
+                  ? 'Create Recurring Booking'
                   : 'Create Booking'
                 }
                 {!isEditing && (
@@ -765,6 +1320,29 @@ const BookingModal = ({ isOpen, onClose, booking, rooms, onSuccess }) => {
         onClose={handleConfirmationClose}
         booking={createdBooking}
       />
+
+      {/* Recurring series scope picker */}
+      <SeriesScopeDialog
+        isOpen={!!pendingSeriesAction}
+        action={pendingSeriesAction?.action}
+        onConfirm={handleSeriesScopeConfirm}
+        onClose={() => setPendingSeriesAction(null)}
+        isLoading={updateSeriesMutation.isPending}
+      />
+
+      {/* Cancellation fee confirmation */}
+      <CancelBookingDialog
+        isOpen={!!pendingCancelScope}
+        bookingId={booking?._id || booking?.id}
+        scope={pendingCancelScope || 'this'}
+        onConfirm={({ waiverReason }) => cancelBookingMutation.mutate({
+          id: booking._id || booking.id,
+          scope: pendingCancelScope,
+          waiverReason
+        })}
+        onClose={() => setPendingCancelScope(null)}
+        isLoading={cancelBookingMutation.isPending}
+      />
     </div>
   );
 };
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import moment from 'moment';
+import { paymentsAPI } from '../lib/api';
+import { formatCurrency } from '../utils/pricing';
+import {
+  PAYMENT_ENTRY_TYPES,
+  PAYMENT_STATUS_LABELS,
+  PAYMENT_STATUS_COLORS,
+  getRefundableAmount
+} from '../utils/payments';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { CreditCard, Plus, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ENTRY_LABELS = Object.fromEntries(PAYMENT_ENTRY_TYPES.map(({ value, label }) => [value, label]));
+
+// Entry types staff add from the form; refunds start from the payment being refunded
+const NEW_ENTRY_TYPES = PAYMENT_ENTRY_TYPES.filter(({ value }) => value !== 'refund');
+
+const EMPTY_ENTRY = { entryType: 'payment', amount: '', provider: 'manual', cardNumber: '', reference: '', note: '', paymentId: null };
+
+// How an entry moves the balance: payments reduce it, charges and refunds add to it
+const signedAmount = (entry) => (entry.entryType === 'payment' ? -entry.amount : entry.amount);
+
+// Payment status, balance and ledger of one booking, with a form to add entries
+const BookingPayments = ({ booking }) => {
+  const queryClient = useQueryClient();
+  const [newEntry, setNewEntry] = useState(null);
+  const bookingId = booking._id || booking.id;
+
+  const { data: ledgerData, isLoading } = useQuery({
+    // The booking's price and status change what it owes
+    queryKey: ['payment-ledger', bookingId, booking.totalPrice, booking.status],
+    queryFn: () => paymentsAPI.getLedger(bookingId),
+    enabled: !!bookingId,
+  });
+  const entries = ledgerData?.data?.entries || [];
+  const summary = ledgerData?.data?.summary;
+
+  const { data: providersData } = useQuery({
+    queryKey: ['payment-providers'],
+    queryFn: () => paymentsAPI.getProviders(),
+  });
+  const providers = providersData?.data || [];
+  const selectedProvider = providers.find(provider => provider.id === newEntry?.provider);
+
+  const recordMutation = useMutation({
+    mutationFn: (entry) => paymentsAPI.record(entry),
+    onSuccess: (response) => {
+      const { entry } = response.data;
+      toast.success(`${ENTRY_LABELS[entry.entryType]} of ${formatCurrency(Math.abs(entry.amount))} recorded`);
+      setNewEntry(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to record payment');
+    },
+    onSettled: () => {
+      // Declined card attempts are recorded too
+      queryClient.invalidateQueries({ queryKey: ['payment-ledger', bookingId] });
+    },
+  });
+
+  const startEntry = () => {
+    const suggested = summary?.depositOutstanding > 0 ? summary.depositOutstanding : Math.max(0, summary?.balanceDue || 0);
+    setNewEntry({ ...EMPTY_ENTRY, amount: suggested ? String(suggested) : '' });
+  };
+
+  const startRefund = (payment) => {
+    setNewEntry({
+      ...EMPTY_ENTRY,
+      entryType: 'refund',
+      amount: String(getRefundableAmount(payment, entries)),
+      paymentId: payment.id,
+      provider: payment.provider
+    });
+  };
+
+  const handleRecord = () => {
+    recordMutation.mutate({
+      bookingId,
+      entryType: newEntry.entryType,
+      amount: parseFloat(newEntry.amount),
+      provider: newEntry.entryType === 'payment' ? newEntry.provider : null,
+      cardNumber: selectedProvider?.requiresCard ? newEntry.cardNumber : null,
+      reference: newEntry.reference.trim() || null,
+      paymentId: newEntry.paymentId,
+      note: newEntry.note.trim() || null
+    });
+  };
+
+  const describeEntry = (entry) => {
+    const parts = [];
+    const provider = providers.find(p => p.id === entry.provider);
+    if (provider) parts.push(provider.label);
+    if (entry.cardLast4) parts.push(`•••• ${entry.cardLast4}`);
+    if (entry.refundedPaymentId) parts.push(`of payment #${entry.refundedPaymentId}`);
+    if (entry.note) parts.push(entry.note);
+    return parts.join(' · ');
+  };
+
+  if (isLoading || !summary) {
+    return <p className="text-sm text-gray-500">Loading payments…</p>;
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center font-medium text-gray-700">
+          <CreditCard className="h-3 w-3 mr-1" />
+          Payments
+        </div>
+        <Badge className={PAYMENT_STATUS_COLORS[summary.status]}>{PAYMENT_STATUS_LABELS[summary.status]}</Badge>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div className="bg-gray-50 p-2 rounded">
+          <div className="text-xs text-gray-500">Total due</div>
+          <div className="font-medium text-gray-900">{formatCurrency(summary.totalDue)}</div>
+        </div>
+        <div className="bg-gray-50 p-2 rounded">
+          <div className="text-xs text-gray-500">Paid</div>
+          <div className="font-medium text-gray-900">{formatCurrency(summary.netPaid)}</div>
+        </div>
+        <div className={`p-2 rounded ${summary.balanceDue > 0 ? 'bg-red-50' : 'bg-green-50'}`}>
+          <div className="text-xs text-gray-500">{summary.balanceDue < 0 ? 'To refund' : 'Balance due'}</div>
+          <div className={`font-medium ${summary.balanceDue > 0 ? 'text-red-700' : 'text-green-700'}`}>
+            {formatCurrency(Math.abs(summary.balanceDue))}
+          </div>
+        </div>
+      </div>
+      {summary.depositRequired > 0 && (
+        <p className="text-xs text-gray-600">
+          Deposit of {formatCurrency(summary.depositRequired)} required
+          {summary.depositOutstanding > 0 ? `, ${formatCurrency(summary.depositOutstanding)} still to pay` : ', paid'}
+        </p>
+      )}
+
+      {entries.length > 0 && (
+        <div className="space-y-1">
+          {entries.map(entry => (
+            <div key={entry.id} className={`flex items-center justify-between ${entry.status === 'failed' ? 'text-gray-400' : 'text-gray-600'}`}>
+              <span className="min-w-0 truncate">
+                <span className={entry.status === 'failed' ? 'line-through' : 'text-gray-800'}>{ENTRY_LABELS[entry.entryType]}</span>
+                {describeEntry(entry) && <span> · {describeEntry(entry)}</span>}
+                {entry.status === 'failed' && <span className="text-red-500"> · {entry.failureReason || 'Failed'}</span>}
+              </span>
+              <span className="flex items-center space-x-2 flex-shrink-0 ml-2">
+                <span className="text-xs text-gray-400">{moment(entry.createdAt).format('MMM DD, h:mm A')}</span>
+                <span className={entry.status === 'succeeded' && signedAmount(entry) < 0 ? 'text-green-600' : ''}>
+                  {signedAmount(entry) < 0 ? '-' : ''}{formatCurrency(Math.abs(entry.amount))}
+                </span>
+                {entry.entryType === 'payment' && entry.status === 'succeeded' && getRefundableAmount(entry, entries) > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => startRefund(entry)}
+                    className="text-gray-400 hover:text-gray-700"
+                    title="Refund this payment"
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {newEntry ? (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            {newEntry.entryType === 'refund' ? (
+              <div className="flex items-center text-gray-700">Refund of payment #{newEntry.paymentId}</div>
+            ) : (
+              <CustomSelect
+                value={newEntry.entryType}
+                onChange={(value) => setNewEntry(prev => ({ ...prev, entryType: value }))}
+                options={NEW_ENTRY_TYPES}
+              />
+            )}
+            <Input
+              type="number"
+              step="0.01"
+              value={newEntry.amount}
+              onChange={(e) => setNewEntry(prev => ({ ...prev, amount: e.target.value }))}
+              placeholder={newEntry.entryType === 'adjustment' ? 'Amount (negative to reduce)' : 'Amount'}
+            />
+            {newEntry.entryType === 'payment' && (
+              <CustomSelect
+                value={newEntry.provider}
+                onChange={(value) => setNewEntry(prev => ({ ...prev, provider: value }))}
+                options={providers.map(provider => ({ value: provider.id, label: provider.label }))}
+              />
+            )}
+            {newEntry.entryType === 'payment' && (selectedProvider?.requiresCard ? (
+              <Input
+                value={newEntry.cardNumber}
+                onChange={(e) => setNewEntry(prev => ({ ...prev, cardNumber: e.target.value }))}
+                placeholder="Card number"
+                autoComplete="off"
+              />
+            ) : (
+              <Input
+                value={newEntry.reference}
+                onChange={(e) => setNewEntry(prev => ({ ...prev, reference: e.target.value }))}
+                placeholder="Receipt or reference (optional)"
+              />
+            ))}
+          </div>
+          <Input
+            value={newEntry.note}
+            onChange={(e) => setNewEntry(prev => ({ ...prev, note: e.target.value }))}
+            placeholder={newEntry.entryType === 'charge' || newEntry.entryType === 'adjustment' ? 'What is this for? (required)' : 'Note (optional)'}
+          />
+          {selectedProvider?.requiresCard && newEntry.entryType === 'payment' && (
+            <p className="text-xs text-gray-500">
+              Test provider: 4242 4242 4242 4242 is approved, 4000 0000 0000 0002 is declined.
+            </p>
+          )}
+          <div className="flex justify-end space-x-2">
+            <Button variant="ghost" size="sm" onClick={() => setNewEntry(null)}>Cancel</Button>
+            <Button
+              size="sm"
+              onClick={handleRecord}
+              disabled={newEntry.amount === '' || recordMutation.isPending}
+            >
+              {recordMutation.isPending ? 'Recording…' : `Record ${ENTRY_LABELS[newEntry.entryType].toLowerCase()}`}
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button variant="outline" size="sm" onClick={startEntry}>
+          <Plus className="h-3 w-3 mr-1" />
+          Add payment or charge
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default BookingPayments;
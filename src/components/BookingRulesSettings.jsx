@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomsAPI, settingsAPI } from '../lib/api';
+import { DEFAULT_BUFFER_SETTINGS } from '../utils/buffers';
+import { DEFAULT_BOOKING_POLICY } from '../utils/bookingPolicy';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Timer, Save, Info, UserX, CalendarClock } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const MAX_BUFFER_MINUTES = 240;
+const MAX_NO_SHOW_MINUTES = 240;
+
+// Editable booking limits: label, unit and upper bound for each
+const POLICY_FIELDS = [
+  { key: 'minDuration', label: 'Shortest booking', unit: 'minutes', max: 1440 },
+  { key: 'maxDuration', label: 'Longest booking', unit: 'minutes', max: 1440 },
+  { key: 'leadMinutes', label: 'Minimum notice', unit: 'minutes', max: 10080 },
+  { key: 'advanceDays', label: 'Bookable ahead', unit: 'days', max: 730 }
+];
+
+// Blank inputs mean "inherit", so keep them as '' while editing and drop them on save
+const toMinutes = (value) => {
+  if (value === '' || value === null || value === undefined) return '';
+  return Math.min(MAX_BUFFER_MINUTES, Math.max(0, parseInt(value, 10) || 0));
+};
+
+const BookingRulesSettings = () => {
+  const queryClient = useQueryClient();
+  const [localBuffers, setLocalBuffers] = useState(DEFAULT_BUFFER_SETTINGS);
+  const [noShowMinutes, setNoShowMinutes] = useState(15);
+  const [policy, setPolicy] = useState(DEFAULT_BOOKING_POLICY);
+
+  const { data: bufferData, isLoading } = useQuery({
+    queryKey: ['buffer-settings'],
+    queryFn: () => settingsAPI.getBufferSettings(),
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['room-categories'],
+    queryFn: () => roomsAPI.getCategories(),
+  });
+
+  const { data: lifecycleData } = useQuery({
+    queryKey: ['lifecycle-settings'],
+    queryFn: () => settingsAPI.getLifecycleSettings(),
+  });
+
+  const { data: policyData } = useQuery({
+    queryKey: ['booking-policy-settings'],
+    queryFn: () => settingsAPI.getBookingPolicySettings(),
+  });
+
+  const categories = categoriesData?.data || [];
+
+  useEffect(() => {
+    if (bufferData?.data) {
+      setLocalBuffers(bufferData.data);
+    }
+  }, [bufferData]);
+
+  useEffect(() => {
+    if (lifecycleData?.data) {
+      setNoShowMinutes(lifecycleData.data.noShowAfterMinutes);
+    }
+  }, [lifecycleData]);
+
+  useEffect(() => {
+    if (policyData?.data) {
+      setPolicy(policyData.data);
+    }
+  }, [policyData]);
+
+  const savePolicyMutation = useMutation({
+    mutationFn: (limits) => settingsAPI.updateBookingPolicySettings(limits),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['booking-policy-settings'] });
+      toast.success('Booking limits saved');
+    },
+    onError: () => {
+      toast.error('Failed to save booking limits');
+    },
+  });
+
+  const handleSavePolicy = () => {
+    if (policy.minDuration && policy.maxDuration && policy.minDuration > policy.maxDuration) {
+      toast.error('The shortest booking cannot be longer than the longest');
+      return;
+    }
+    savePolicyMutation.mutate(Object.fromEntries(POLICY_FIELDS.map(({ key }) => [key, policy[key]])));
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (buffers) => settingsAPI.updateBufferSettings(buffers),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['buffer-settings']);
+      toast.success('Turnover buffers saved');
+    },
+    onError: () => {
+      toast.error('Failed to save turnover buffers');
+    },
+  });
+
+  const saveLifecycleMutation = useMutation({
+    mutationFn: (lifecycle) => settingsAPI.updateLifecycleSettings(lifecycle),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['lifecycle-settings']);
+      toast.success('No-show setting saved');
+    },
+    onError: () => {
+      toast.error('Failed to save no-show setting');
+    },
+  });
+
+  const updateCategoryBuffer = (category, field, value) => {
+    setLocalBuffers(prev => ({
+      ...prev,
+      categories: {
+        ...prev.categories,
+        [category]: { ...prev.categories?.[category], [field]: toMinutes(value) },
+      },
+    }));
+  };
+
+  const handleSave = () => {
+    const categoryBuffers = {};
+    Object.entries(localBuffers.categories || {}).forEach(([category, buffers]) => {
+      const entry = {};
+      if (buffers.before !== '' && buffers.before !== undefined) entry.before = buffers.before;
+      if (buffers.after !== '' && buffers.after !== undefined) entry.after = buffers.after;
+      if (Object.keys(entry).length > 0) categoryBuffers[category] = entry;
+    });
+
+    saveMutation.mutate({
+      before: toMinutes(localBuffers.before) || 0,
+      after: toMinutes(localBuffers.after) || 0,
+      categories: categoryBuffers,
+    });
+  };
+
+  if (isLoading) {
+    return <div className="text-sm text-gray-500">Loading booking rules...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center text-lg">
+            <CalendarClock className="w-5 h-5 mr-2 text-blue-600" />
+            Booking Limits
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Every new booking, and every change to a booking's time, must fit these limits and the business hours.
+            Start and end times also snap to the {policy.timeInterval}-minute time slot interval set under Display.
+            Set a limit to 0 to turn it off.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            {POLICY_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {field.label} ({field.unit})
+                </label>
+                <Input
+                  type="number"
+                  min="0"
+                  max={field.max}
+                  value={policy[field.key]}
+                  onChange={(e) => setPolicy(prev => ({
+                    ...prev,
+                    [field.key]: Math.min(field.max, Math.max(0, parseInt(e.target.value, 10) || 0))
+                  }))}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={handleSavePolicy} disabled={savePolicyMutation.isPending}>
+              <Save className="w-4 h-4 mr-2" />
+              {savePolicyMutation.isPending ? 'Saving...' : 'Save Limits'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center text-lg">
+            <Timer className="w-5 h-5 mr-2 text-blue-600" />
+            Turnover Buffers
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="flex items-start p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            <Info className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+            <span>
+              Setup time is kept free before each booking and cleanup time after it. Two bookings in the same room
+              must be at least the cleanup of the first plus the setup of the second apart. Room settings override
+              category settings, which override the defaults below.
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default setup (minutes before)</label>
+              <Input
+                type="number"
+                min="0"
+                max={MAX_BUFFER_MINUTES}
+                value={localBuffers.before}
+                onChange={(e) => setLocalBuffers(prev => ({ ...prev, before: toMinutes(e.target.value) }))}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default cleanup (minutes after)</label>
+              <Input
+                type="number"
+                min="0"
+                max={MAX_BUFFER_MINUTES}
+                value={localBuffers.after}
+                onChange={(e) => setLocalBuffers(prev => ({ ...prev, after: toMinutes(e.target.value) }))}
+              />
+            </div>
+          </div>
+
+          {categories.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Per category</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 font-medium">Category</th>
+                    <th className="py-2 font-medium">Setup</th>
+                    <th className="py-2 font-medium">Cleanup</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map(category => (
+                    <tr key={category} className="border-t border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">{category}</td>
+                      <td className="py-2 pr-4">
+                        <Input
+                          type="number"
+                          min="0"
+                          max={MAX_BUFFER_MINUTES}
+                          placeholder="Default"
+                          value={localBuffers.categories?.[category]?.before ?? ''}
+                          onChange={(e) => updateCategoryBuffer(category, 'before', e.target.value)}
+                        />
+                      </td>
+                      <td className="py-2">
+                        <Input
+                          type="number"
+                          min="0"
+                          max={MAX_BUFFER_MINUTES}
+                          placeholder="Default"
+                          value={localBuffers.categories?.[category]?.after ?? ''}
+                          onChange={(e) => updateCategoryBuffer(category, 'after', e.target.value)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <Button onClick={handleSave} disabled={saveMutation.isLoading}>
+              <Save className="w-4 h-4 mr-2" />
+              {saveMutation.isLoading ? 'Saving...' : 'Save Buffers'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center text-lg">
+            <UserX className="w-5 h-5 mr-2 text-blue-600" />
+            No-shows
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Pending and confirmed bookings that nobody has checked in for are marked as no-shows this many
+            minutes after they start, which frees the rest of the slot. Set to 0 to mark no-shows by hand only.
+          </p>
+          <div className="flex items-end space-x-4">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minutes after start</label>
+              <Input
+                type="number"
+                min="0"
+                max={MAX_NO_SHOW_MINUTES}
+                value={noShowMinutes}
+                onChange={(e) => setNoShowMinutes(Math.min(MAX_NO_SHOW_MINUTES, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              />
+            </div>
+            <Button
+              onClick={() => saveLifecycleMutation.mutate({ noShowAfterMinutes: noShowMinutes })}
+              disabled={saveLifecycleMutation.isLoading}
+            >
+              <Save className="w-4 h-4 mr-2" />
+              {saveLifecycleMutation.isLoading ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default BookingRulesSettings;
@@ -0,0 +1,347 @@
+import React, { useState } from 'react';
+import moment from 'moment';
+import { businessHoursAPI } from '../lib/api';
+import { useBusinessHours } from '../contexts/BusinessHoursContext';
+import {
+  EXCEPTION_KINDS,
+  EXCEPTION_KIND_LABELS,
+  findHoursException,
+  getIntervalsError,
+  normalizeDayHours
+} from '../utils/businessHours';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { CalendarDays, ChevronLeft, ChevronRight, Plus, Repeat, Trash2, Save, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const KIND_STYLES = {
+  holiday: 'bg-red-100 text-red-800',
+  event: 'bg-purple-100 text-purple-800',
+  other: 'bg-amber-100 text-amber-800'
+};
+
+const formatTime = (time) => moment(time, 'HH:mm').format('h:mm A');
+
+const describeHours = (exception) => (
+  exception.isClosed
+    ? 'Closed'
+    : normalizeDayHours(exception).intervals.map(interval => `${formatTime(interval.openTime)} - ${formatTime(interval.closeTime)}`).join(', ')
+);
+
+const DEFAULT_INTERVAL = { openTime: '18:00', closeTime: '02:00' };
+
+// The editor's starting values for `date`: the exception covering it, or a new one.
+// A closed day starts from one interval, used if it is opened.
+const getDraft = (date, exception) => (exception ? {
+  ...exception,
+  intervals: exception.isClosed ? [DEFAULT_INTERVAL] : normalizeDayHours(exception).intervals
+} : {
+  date: date.format('YYYY-MM-DD'),
+  name: '',
+  kind: 'holiday',
+  isClosed: true,
+  intervals: [DEFAULT_INTERVAL],
+  recursAnnually: false
+});
+
+// Month calendar of date exceptions to the weekly hours. Clicking a day opens an
+// editor for the exception covering it; a recurring exception is edited at its own
+// date, so changes apply to every year.
+const BusinessHoursExceptions = () => {
+  const { hoursExceptions, fetchHoursExceptions, getBusinessHoursForDay } = useBusinessHours();
+  const [month, setMonth] = useState(() => moment().startOf('month'));
+  const [draft, setDraft] = useState(null);
+  // The day clicked, which differs from draft.date when editing a recurring exception
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const days = [];
+  const end = month.clone().endOf('month').endOf('week');
+  for (const day = month.clone().startOf('week'); !day.isAfter(end, 'day'); day.add(1, 'day')) {
+    days.push(day.clone());
+  }
+
+  const upcoming = hoursExceptions
+    .map(exception => {
+      if (!exception.recursAnnually) return { exception, date: moment(exception.date) };
+      const date = moment(`${moment().year()}-${exception.date.slice(5)}`, 'YYYY-MM-DD');
+      if (date.isBefore(moment(), 'day')) date.add(1, 'year');
+      return { exception, date: moment.max(date, moment(exception.date)) };
+    })
+    .filter(({ date }) => !date.isBefore(moment(), 'day'))
+    .sort((a, b) => a.date - b.date);
+
+  const openDay = (day) => {
+    setSelectedDay(day);
+    setDraft(getDraft(day, findHoursException(day, hoursExceptions)));
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateInterval = (index, field, value) => {
+    updateDraft('intervals', draft.intervals.map((interval, i) => (i === index ? { ...interval, [field]: value } : interval)));
+  };
+
+  // Add a shift a little after the last one closes, as the weekly hours do
+  const addInterval = () => {
+    const lastClose = moment(draft.intervals[draft.intervals.length - 1].closeTime, 'HH:mm');
+    updateDraft('intervals', [
+      ...draft.intervals,
+      { openTime: lastClose.clone().add(1, 'hour').format('HH:mm'), closeTime: lastClose.clone().add(3, 'hours').format('HH:mm') }
+    ]);
+  };
+
+  const saveDraft = async () => {
+    if (!draft.name.trim()) {
+      toast.error('Give the exception a name, e.g. Christmas Day');
+      return;
+    }
+    const intervalsError = draft.isClosed ? null : getIntervalsError(draft.intervals);
+    if (intervalsError) {
+      toast.error(intervalsError);
+      return;
+    }
+    try {
+      setSaving(true);
+      if (draft.id) {
+        await businessHoursAPI.updateException(draft.id, draft);
+      } else {
+        await businessHoursAPI.createException(draft);
+      }
+      await fetchHoursExceptions();
+      toast.success(`${draft.name} saved`);
+      setDraft(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save exception');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteDraft = async () => {
+    if (!window.confirm(`Remove ${draft.name}? The weekly hours will apply again.`)) return;
+    try {
+      setSaving(true);
+      await businessHoursAPI.deleteException(draft.id);
+      await fetchHoursExceptions();
+      toast.success(`${draft.name} removed`);
+      setDraft(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove exception');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <CalendarDays className="w-5 h-5 text-blue-600" />
+          <span>Holidays &amp; Special Hours</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Override the weekly hours on particular dates. Bookings already made on a date are kept when you change its hours.
+        </p>
+
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" size="sm" onClick={() => setMonth(month.clone().subtract(1, 'month'))} title="Previous month">
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <span className="font-medium text-gray-900">{month.format('MMMM YYYY')}</span>
+          <Button variant="ghost" size="sm" onClick={() => setMonth(month.clone().add(1, 'month'))} title="Next month">
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+        </div>
+
+        <div className="grid grid-cols-7 gap-1 text-center text-xs font-medium text-gray-500">
+          {moment.weekdaysShort().map(name => <div key={name}>{name}</div>)}
+        </div>
+        <div className="grid grid-cols-7 gap-1">
+          {days.map(day => {
+            const exception = findHoursException(day, hoursExceptions);
+            const weeklyClosed = getBusinessHoursForDay(day.day()).isClosed;
+            const isSelected = draft && selectedDay && selectedDay.isSame(day, 'day');
+            return (
+              <button
+                key={day.format('YYYY-MM-DD')}
+                type="button"
+                onClick={() => openDay(day)}
+                className={`
+                  min-h-[64px] p-1 rounded-lg border text-left text-xs transition-colors
+                  ${day.isSame(month, 'month') ? 'bg-white' : 'bg-gray-50 text-gray-400'}
+                  ${isSelected ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200 hover:border-blue-300'}
+                `}
+              >
+                <div className={`font-medium ${day.isSame(moment(), 'day') ? 'text-blue-600' : ''}`}>{day.format('D')}</div>
+                {exception ? (
+                  <div className={`mt-1 px-1 rounded truncate ${KIND_STYLES[exception.kind] || KIND_STYLES.other}`} title={`${exception.name}: ${describeHours(exception)}`}>
+                    {exception.recursAnnually && <Repeat className="inline w-3 h-3 mr-0.5" />}
+                    {exception.name}
+                  </div>
+                ) : weeklyClosed && (
+                  <div className="mt-1 text-gray-400">Closed</div>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        {draft && (
+          <div className="p-4 border border-blue-200 bg-blue-50 rounded-lg space-y-4">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-900">
+                {draft.id ? 'Edit' : 'New'} exception for {moment(draft.date).format(draft.recursAnnually ? 'MMMM D' : 'dddd, MMMM D, YYYY')}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => setDraft(null)} title="Close">
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Name</label>
+                <Input
+                  value={draft.name}
+                  onChange={(e) => updateDraft('name', e.target.value)}
+                  placeholder="e.g. New Year's Eve"
+                  maxLength={100}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Type</label>
+                <select
+                  value={draft.kind}
+                  onChange={(e) => updateDraft('kind', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {EXCEPTION_KINDS.map(kind => (
+                    <option key={kind} value={kind}>{EXCEPTION_KIND_LABELS[kind]}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-6">
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.isClosed}
+                  onChange={(e) => updateDraft('isClosed', e.target.checked)}
+                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span>Closed all day</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={draft.recursAnnually}
+                  onChange={(e) => updateDraft('recursAnnually', e.target.checked)}
+                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span>Every year on {moment(draft.date).format('MMMM D')}</span>
+              </label>
+            </div>
+
+            {draft.id && draft.recursAnnually && selectedDay && selectedDay.format('YYYY-MM-DD') !== draft.date && (
+              <button
+                type="button"
+                onClick={() => setDraft({ ...getDraft(selectedDay, null), name: draft.name, kind: draft.kind })}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Set different hours for {selectedDay.format('MMMM D, YYYY')} only
+              </button>
+            )}
+
+            {!draft.isClosed && (
+              <div className="space-y-3">
+                {draft.intervals.map((interval, index) => (
+                  <div key={index} className="flex items-end gap-4">
+                    <div className="grid grid-cols-2 gap-4 flex-1">
+                      <div className="space-y-2">
+                        <label className="text-sm font-medium text-gray-700">
+                          {draft.intervals.length > 1 ? `Shift ${index + 1} Open` : 'Open Time'}
+                        </label>
+                        <Input type="time" value={interval.openTime || ''} onChange={(e) => updateInterval(index, 'openTime', e.target.value)} />
+                      </div>
+                      <div className="space-y-2">
+                        <label className="text-sm font-medium text-gray-700">
+                          {draft.intervals.length > 1 ? `Shift ${index + 1} Close` : 'Close Time'}
+                        </label>
+                        <Input type="time" value={interval.closeTime || ''} onChange={(e) => updateInterval(index, 'closeTime', e.target.value)} />
+                      </div>
+                    </div>
+                    {draft.intervals.length > 1 && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => updateDraft('intervals', draft.intervals.filter((_, i) => i !== index))}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Remove shift"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                <Button variant="outline" size="sm" onClick={addInterval} className="flex items-center space-x-1">
+                  <Plus className="w-4 h-4" />
+                  <span>Add Shift</span>
+                </Button>
+                <p className="text-xs text-gray-500">A close time before the open time runs past midnight.</p>
+              </div>
+            )}
+
+            <div className="flex justify-between">
+              {draft.id ? (
+                <Button variant="outline" size="sm" onClick={deleteDraft} disabled={saving} className="text-red-600">
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Remove
+                </Button>
+              ) : <span />}
+              <Button size="sm" onClick={saveDraft} disabled={saving}>
+                <Save className="w-4 h-4 mr-1" />
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium text-gray-700">Coming up</h4>
+          {upcoming.length === 0 && <p className="text-sm text-gray-500">No holidays or special hours ahead.</p>}
+          {upcoming.map(({ exception, date }) => (
+            <button
+              key={exception.id}
+              type="button"
+              onClick={() => {
+                setMonth(date.clone().startOf('month'));
+                setSelectedDay(date);
+                setDraft(getDraft(date, exception));
+              }}
+              className="w-full flex items-center justify-between text-sm text-left px-2 py-1 rounded hover:bg-gray-50"
+            >
+              <span className="flex items-center space-x-2 min-w-0">
+                <span className={`px-2 py-0.5 rounded-full text-xs ${KIND_STYLES[exception.kind] || KIND_STYLES.other}`}>
+                  {EXCEPTION_KIND_LABELS[exception.kind]}
+                </span>
+                <span className="truncate text-gray-900">{exception.name}</span>
+                {exception.recursAnnually && <Repeat className="w-3 h-3 text-gray-400 flex-shrink-0" title="Every year" />}
+              </span>
+              <span className="flex-shrink-0 ml-2 text-gray-600">
+                {date.format('ddd, MMM D, YYYY')} · {describeHours(exception)}
+              </span>
+            </button>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BusinessHoursExceptions;
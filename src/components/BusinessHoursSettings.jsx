@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import moment from 'moment';
 import { useBusinessHours } from '../contexts/BusinessHoursContext';
+import BusinessHoursExceptions from './BusinessHoursExceptions';
+import { getIntervalMinutes, getIntervalsError, normalizeDayHours } from '../utils/businessHours';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Button } from './ui/Button';
 import CustomSelect from './ui/CustomSelect';
@@ -46,12 +48,47 @@ const BusinessHoursSettings = () => {
     ));
   };
 
+  // Replace a day's opening intervals; openTime and closeTime follow them
+  const setDayIntervals = (weekday, intervals) => {
+    setLocalBusinessHours(prev => prev.map(bh => 
+      bh.weekday === weekday 
+        ? normalizeDayHours({ ...bh, intervals })
+        : bh
+    ));
+  };
+
+  const updateInterval = (weekday, index, field, value) => {
+    const dayHours = localBusinessHours.find(bh => bh.weekday === weekday);
+    setDayIntervals(weekday, dayHours.intervals.map((interval, i) => (i === index ? { ...interval, [field]: value } : interval)));
+  };
+
+  // Add a shift a little after the day's last one closes
+  const addInterval = (weekday) => {
+    const dayHours = localBusinessHours.find(bh => bh.weekday === weekday);
+    const lastClose = moment(dayHours.closeTime, 'HH:mm');
+    setDayIntervals(weekday, [
+      ...dayHours.intervals,
+      { openTime: lastClose.clone().add(1, 'hour').format('HH:mm'), closeTime: lastClose.clone().add(3, 'hours').format('HH:mm') }
+    ]);
+  };
+
+  const removeInterval = (weekday, index) => {
+    const dayHours = localBusinessHours.find(bh => bh.weekday === weekday);
+    setDayIntervals(weekday, dayHours.intervals.filter((_, i) => i !== index));
+  };
+
+  // Days' hours set to the same single interval (or closed), for the bulk actions
+  const withHours = (bh, openTime, closeTime, isClosed) => normalizeDayHours({
+    ...bh,
+    intervals: [{ openTime, closeTime }],
+    isClosed
+  });
+
   // Copy hours from one day to another
   const copyDayHours = (fromWeekday, toWeekday) => {
     const sourceDay = localBusinessHours.find(bh => bh.weekday === fromWeekday);
     if (sourceDay) {
-      updateBusinessHour(toWeekday, 'openTime', sourceDay.openTime);
-      updateBusinessHour(toWeekday, 'closeTime', sourceDay.closeTime);
+      setDayIntervals(toWeekday, sourceDay.intervals);
       updateBusinessHour(toWeekday, 'isClosed', sourceDay.isClosed);
       toast.success(`Copied ${daysOfWeek[fromWeekday].name} hours to ${daysOfWeek[toWeekday].name}`);
     }
@@ -61,10 +98,9 @@ const BusinessHoursSettings = () => {
   const copyToAllDays = (fromWeekday) => {
     const sourceDay = localBusinessHours.find(bh => bh.weekday === fromWeekday);
     if (sourceDay) {
-      const updatedHours = localBusinessHours.map(bh => ({
+      const updatedHours = localBusinessHours.map(bh => normalizeDayHours({
         ...bh,
-        openTime: sourceDay.openTime,
-        closeTime: sourceDay.closeTime,
+        intervals: sourceDay.intervals,
         isClosed: sourceDay.isClosed
       }));
       setLocalBusinessHours(updatedHours);
@@ -93,6 +129,19 @@ const BusinessHoursSettings = () => {
     };
   };
 
+  // Each shift's time range checked on its own, then the shifts against each other
+  const validateDay = (dayHours) => {
+    const ranges = dayHours.intervals.map(interval => validateTimeRange(interval.openTime, interval.closeTime));
+    const invalidRange = ranges.some(range => !range.isValid);
+    const overlapError = invalidRange ? null : getIntervalsError(dayHours.intervals);
+    return {
+      isValid: !invalidRange && !overlapError,
+      error: invalidRange ? 'Close time must be after open time' : overlapError,
+      isLateNight: ranges.some(range => range.isLateNight),
+      duration: ranges.reduce((sum, range) => sum + (range.duration || 0), 0)
+    };
+  };
+
   const toggleClosed = (weekday) => {
     setLocalBusinessHours(prev => prev.map(bh => 
       bh.weekday === weekday 
@@ -102,6 +151,11 @@ const BusinessHoursSettings = () => {
   };
 
   const saveBusinessHours = async () => {
+    const invalidDay = localBusinessHours.find(bh => !bh.isClosed && !validateDay(bh).isValid);
+    if (invalidDay) {
+      toast.error(`${daysOfWeek[invalidDay.weekday].name}: ${validateDay(invalidDay).error}`);
+      return;
+    }
     try {
       setSaving(true);
       const success = await updateBusinessHours(localBusinessHours);
@@ -117,7 +171,7 @@ const BusinessHoursSettings = () => {
   };
 
   const resetToDefaults = () => {
-    const defaultHours = daysOfWeek.map(day => ({
+    const defaultHours = daysOfWeek.map(day => normalizeDayHours({
       weekday: day.id,
       openTime: day.id === 0 || day.id === 6 ? '12:00' : '16:00', // Sunday/Saturday: 12:00, others: 16:00
       closeTime: day.id === 5 || day.id === 6 ? '23:59' : '23:00', // Friday/Saturday: 23:59, others: 23:00
@@ -147,6 +201,18 @@ const BusinessHoursSettings = () => {
         isClosed: false
       }))
     },
+    {
+      name: 'Split Shift',
+      description: '12 PM - 3 PM and 6 PM - 2 AM, closed in between',
+      hours: daysOfWeek.map(day => ({
+        weekday: day.id,
+        intervals: [
+          { openTime: '12:00', closeTime: '15:00' },
+          { openTime: '18:00', closeTime: '02:00' }
+        ],
+        isClosed: false
+      }))
+    },
     {
       name: 'Daytime Business',
       description: '10 AM - 10 PM',
@@ -180,41 +246,30 @@ const BusinessHoursSettings = () => {
   ];
 
   const applyPreset = (preset) => {
-    setLocalBusinessHours(preset.hours);
+    setLocalBusinessHours(preset.hours.map(normalizeDayHours));
     toast.success(`Applied ${preset.name} preset`);
     setShowPresets(false);
   };
 
   // Bulk operations
   const setAllDays = (openTime, closeTime, isClosed = false) => {
-    const updatedHours = localBusinessHours.map(bh => ({
-      ...bh,
-      openTime,
-      closeTime,
-      isClosed
-    }));
+    const updatedHours = localBusinessHours.map(bh => withHours(bh, openTime, closeTime, isClosed));
     setLocalBusinessHours(updatedHours);
     toast.success(`Set all days to ${isClosed ? 'closed' : `${openTime} - ${closeTime}`}`);
   };
 
   const setWeekdays = (openTime, closeTime, isClosed = false) => {
-    const updatedHours = localBusinessHours.map(bh => ({
-      ...bh,
-      openTime: bh.weekday >= 1 && bh.weekday <= 5 ? openTime : bh.openTime,
-      closeTime: bh.weekday >= 1 && bh.weekday <= 5 ? closeTime : bh.closeTime,
-      isClosed: bh.weekday >= 1 && bh.weekday <= 5 ? isClosed : bh.isClosed
-    }));
+    const updatedHours = localBusinessHours.map(bh => (
+      bh.weekday >= 1 && bh.weekday <= 5 ? withHours(bh, openTime, closeTime, isClosed) : bh
+    ));
     setLocalBusinessHours(updatedHours);
     toast.success(`Set weekdays to ${isClosed ? 'closed' : `${openTime} - ${closeTime}`}`);
   };
 
   const setWeekends = (openTime, closeTime, isClosed = false) => {
-    const updatedHours = localBusinessHours.map(bh => ({
-      ...bh,
-      openTime: bh.weekday === 0 || bh.weekday === 6 ? openTime : bh.openTime,
-      closeTime: bh.weekday === 0 || bh.weekday === 6 ? closeTime : bh.closeTime,
-      isClosed: bh.weekday === 0 || bh.weekday === 6 ? isClosed : bh.isClosed
-    }));
+    const updatedHours = localBusinessHours.map(bh => (
+      bh.weekday === 0 || bh.weekday === 6 ? withHours(bh, openTime, closeTime, isClosed) : bh
+    ));
     setLocalBusinessHours(updatedHours);
     toast.success(`Set weekends to ${isClosed ? 'closed' : `${openTime} - ${closeTime}`}`);
   };
@@ -333,12 +388,12 @@ const BusinessHoursSettings = () => {
                   return <div key={`${day.id}-${hour}`} className="h-6 bg-gray-200 rounded"></div>;
                 }
                 
+                // Open if any shift covers the hour, including a previous shift's run past midnight
+                const intervals = getIntervalMinutes(normalizeDayHours(dayHours).intervals);
                 const [openHour] = dayHours.openTime.split(':').map(Number);
-                const [closeHour] = dayHours.closeTime.split(':').map(Number);
-                const isLateNight = closeHour < openHour;
-                const isOpen = isLateNight 
-                  ? (hour >= openHour || hour < closeHour)
-                  : (hour >= openHour && hour < closeHour);
+                const isOpen = intervals.some(({ open, close }) => (
+                  [hour * 60, hour * 60 + 24 * 60].some(minutes => minutes >= open && minutes < close)
+                ));
                 
                 return (
                   <div
@@ -616,14 +671,14 @@ const BusinessHoursSettings = () => {
       ) : (
         <div className="space-y-4">
           {daysOfWeek.map(day => {
-            const dayHours = (localBusinessHours && Array.isArray(localBusinessHours) ? localBusinessHours.find(bh => bh.weekday === day.id) : null) || {
+            const dayHours = normalizeDayHours((localBusinessHours && Array.isArray(localBusinessHours) ? localBusinessHours.find(bh => bh.weekday === day.id) : null) || {
               weekday: day.id,
               openTime: '16:00',
               closeTime: '23:00',
               isClosed: false
-            };
+            });
 
-            const validation = validateTimeRange(dayHours.openTime, dayHours.closeTime);
+            const validation = validateDay(dayHours);
 
             return (
               <Card key={day.id} className={`border ${validation.isValid ? 'border-gray-200' : 'border-red-200'}`}>
@@ -665,25 +720,50 @@ const BusinessHoursSettings = () => {
 
                   {!dayHours.isClosed && (
                     <div className="space-y-4">
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <TimePicker
-                          value={dayHours.openTime}
-                          onChange={(value) => updateBusinessHour(day.id, 'openTime', value)}
-                          label="Open Time"
-                        />
-                        <TimePicker
-                          value={dayHours.closeTime}
-                          onChange={(value) => updateBusinessHour(day.id, 'closeTime', value)}
-                          label="Close Time"
-                        />
-                      </div>
+                      {dayHours.intervals.map((interval, index) => (
+                        <div key={index} className="flex items-end gap-4">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 flex-1">
+                            <TimePicker
+                              value={interval.openTime}
+                              onChange={(value) => updateInterval(day.id, index, 'openTime', value)}
+                              label={dayHours.intervals.length > 1 ? `Shift ${index + 1} Open` : 'Open Time'}
+                            />
+                            <TimePicker
+                              value={interval.closeTime}
+                              onChange={(value) => updateInterval(day.id, index, 'closeTime', value)}
+                              label={dayHours.intervals.length > 1 ? `Shift ${index + 1} Close` : 'Close Time'}
+                            />
+                          </div>
+                          {dayHours.intervals.length > 1 && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => removeInterval(day.id, index)}
+                              className="text-gray-500 hover:text-red-600"
+                              title="Remove shift"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          )}
+                        </div>
+                      ))}
+
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => addInterval(day.id)}
+                        className="flex items-center space-x-1"
+                      >
+                        <Plus className="w-4 h-4" />
+                        <span>Add Shift</span>
+                      </Button>
                       
                       {!validation.isValid && (
                         <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg">
                           <AlertCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
                           <div className="text-sm text-red-800">
                             <p className="font-medium">Invalid time range</p>
-                            <p>Close time must be after open time</p>
+                            <p>{validation.error}</p>
                           </div>
                         </div>
                       )}
@@ -705,6 +785,9 @@ const BusinessHoursSettings = () => {
         </div>
       )}
 
+      {/* Date exceptions */}
+      <BusinessHoursExceptions />
+
       {/* Information Panel */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
         <div className="flex items-start space-x-2">
@@ -715,8 +798,10 @@ const BusinessHoursSettings = () => {
               <li>• Bookings can only be made during open hours</li>
               <li>• Times are displayed in your local timezone</li>
               <li>• <strong>Late-night hours</strong> (e.g., 2:00 AM, 3:00 AM) will display on the same day schedule</li>
+              <li>• Add a second shift for split hours; the gap between shifts is closed to bookings</li>
               <li>• Use presets for common karaoke business hours</li>
               <li>• Closed days will not accept any bookings</li>
+              <li>• Holidays and special hours replace the weekly hours on their dates and are saved straight away</li>
               <li>• Changes are saved when you click Save Changes</li>
             </ul>
           </div>
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import moment from 'moment';
+import { bookingsAPI } from '../lib/api';
+import { formatCurrency } from '../utils/pricing';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { CalendarX, X } from 'lucide-react';
+
+// Confirms a cancellation, showing the fee the booking's policy charges and what that
+// leaves to refund or collect. Staff can waive the fee, giving a reason.
+const CancelBookingDialog = ({ isOpen, bookingId, scope = 'this', onConfirm, onClose, isLoading = false }) => {
+  const [waive, setWaive] = useState(false);
+  const [waiverReason, setWaiverReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setWaive(false);
+      setWaiverReason('');
+    }
+  }, [isOpen]);
+
+  const { data: previewData, isLoading: isPreviewLoading } = useQuery({
+    queryKey: ['cancellation-fee', bookingId, scope],
+    queryFn: () => bookingsAPI.getCancellationFee(bookingId, { scope }),
+    enabled: isOpen && !!bookingId,
+  });
+  const preview = previewData?.data;
+
+  if (!isOpen) return null;
+
+  const bookings = preview?.bookings || [];
+  const hasFee = preview?.totalFee > 0;
+  const netPaid = bookings.reduce((total, item) => total + (item.netPaid || 0), 0);
+  // Without the fee, whatever was paid beyond other charges goes back
+  const refundIfWaived = preview ? Math.max(0, preview.totalRefundDue + preview.totalFee - preview.totalBalanceDue) : 0;
+
+  const handleConfirm = () => {
+    onConfirm({ waiverReason: hasFee && waive ? waiverReason.trim() : null });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="flex flex-row items-center justify-between pb-4">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <CalendarX className="w-5 h-5 mr-2 text-red-600" />
+            {bookings.length > 1 ? `Cancel ${bookings.length} bookings` : 'Cancel booking'}
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isPreviewLoading && <p className="text-sm text-gray-500">Working out the cancellation fee…</p>}
+
+          {preview && bookings.length === 0 && (
+            <p className="text-sm text-gray-600">None of these bookings can be cancelled any more.</p>
+          )}
+
+          {preview && bookings.length > 0 && (
+            <div className="space-y-3 text-sm">
+              {bookings.length > 1 && (
+                <ul className="max-h-40 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {bookings.map(item => (
+                    <li key={item.bookingId} className="flex justify-between px-3 py-2">
+                      <span className="text-gray-700">{moment(item.startTime).format('ddd, MMM D h:mm A')}</span>
+                      <span className="text-gray-900">{item.fee > 0 ? `${formatCurrency(item.fee)} (${item.feePercent}%)` : 'No fee'}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Cancellation fee</span>
+                  <span className="font-medium text-gray-900">
+                    {hasFee ? formatCurrency(preview.totalFee) : 'None'}
+                    {hasFee && bookings.length === 1 && ` (${bookings[0].feePercent}%)`}
+                  </span>
+                </div>
+                {bookings.length === 1 && (
+                  <p className="text-xs text-gray-500">
+                    {bookings[0].policyName
+                      ? `${bookings[0].policyName} policy, ${Math.max(0, bookings[0].hoursBeforeStart).toFixed(1)} hours before start`
+                      : 'No cancellation policy applies to this booking'}
+                  </p>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Paid so far</span>
+                  <span className="text-gray-900">{formatCurrency(netPaid)}</span>
+                </div>
+                {!waive && preview.totalRefundDue > 0 && (
+                  <div className="flex justify-between text-purple-700">
+                    <span>To refund</span>
+                    <span className="font-medium">{formatCurrency(preview.totalRefundDue)}</span>
+                  </div>
+                )}
+                {!waive && preview.totalBalanceDue > 0 && (
+                  <div className="flex justify-between text-red-700">
+                    <span>Still to collect</span>
+                    <span className="font-medium">{formatCurrency(preview.totalBalanceDue)}</span>
+                  </div>
+                )}
+                {waive && refundIfWaived > 0 && (
+                  <div className="flex justify-between text-purple-700">
+                    <span>To refund</span>
+                    <span className="font-medium">{formatCurrency(refundIfWaived)}</span>
+                  </div>
+                )}
+              </div>
+
+              {hasFee && (
+                <div className="space-y-2">
+                  <label className="flex items-center space-x-2 text-gray-700">
+                    <input type="checkbox" checked={waive} onChange={(e) => setWaive(e.target.checked)} />
+                    <span>Waive the fee</span>
+                  </label>
+                  {waive && (
+                    <textarea
+                      value={waiverReason}
+                      onChange={(e) => setWaiverReason(e.target.value)}
+                      placeholder="Why is the fee being waived?"
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2 pt-2">
+            <Button variant="outline" onClick={onClose} disabled={isLoading}>
+              Back
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleConfirm}
+              disabled={isLoading || !preview || bookings.length === 0 || (hasFee && waive && !waiverReason.trim())}
+            >
+              {isLoading ? 'Cancelling...' : 'Cancel Booking'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default CancelBookingDialog;
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { cancellationPoliciesAPI, roomsAPI } from '../lib/api';
+import { describePolicyTiers } from '../utils/cancellations';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { CalendarX, Plus, Trash2, Edit, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_POLICY = {
+  name: '',
+  roomCategory: '',
+  tiers: [{ hoursBefore: '24', feePercent: '50' }],
+  noShowFeePercent: '100'
+};
+
+const toPercent = (value) => parseFloat(value);
+const isPercent = (value) => !Number.isNaN(value) && value >= 0 && value <= 100;
+
+// Fee tiers by how close to the start a booking is cancelled, per room category.
+// Bookings keep the policy they were made under, so edits only affect new bookings.
+const CancellationPolicySettings = () => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const { data: policiesData, isLoading } = useQuery({
+    queryKey: ['cancellation-policies'],
+    queryFn: () => cancellationPoliciesAPI.getAll(),
+  });
+  const policies = policiesData?.data || [];
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['room-categories'],
+    queryFn: () => roomsAPI.getCategories(),
+  });
+  const categoryOptions = [
+    { value: '', label: 'All rooms (default)' },
+    ...(categoriesData?.data || []).map(category => ({ value: category, label: category }))
+  ];
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? cancellationPoliciesAPI.update(id, data) : cancellationPoliciesAPI.create(data)),
+    onSuccess: (_, { id }) => {
+      queryClient.invalidateQueries({ queryKey: ['cancellation-policies'] });
+      toast.success(id ? 'Cancellation policy updated' : 'Cancellation policy added');
+      closeForm();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save cancellation policy');
+    },
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ id, active }) => cancellationPoliciesAPI.update(id, { active }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['cancellation-policies'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update cancellation policy');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => cancellationPoliciesAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['cancellation-policies'] });
+      toast.success('Cancellation policy removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to remove cancellation policy');
+    },
+  });
+
+  const startEdit = (policy) => {
+    setEditingId(policy.id);
+    setForm({
+      name: policy.name,
+      roomCategory: policy.roomCategory || '',
+      tiers: policy.tiers.map(tier => ({ hoursBefore: String(tier.hoursBefore), feePercent: String(tier.feePercent) })),
+      noShowFeePercent: String(policy.noShowFeePercent ?? 0)
+    });
+  };
+
+  const updateTier = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      toast.error('Give the policy a name');
+      return;
+    }
+    const tiers = form.tiers.map(tier => ({ hoursBefore: parseFloat(tier.hoursBefore), feePercent: toPercent(tier.feePercent) }));
+    if (tiers.some(tier => Number.isNaN(tier.hoursBefore) || tier.hoursBefore < 0)) {
+      toast.error('Hours before start must be zero or more');
+      return;
+    }
+    if (tiers.some(tier => !isPercent(tier.feePercent))) {
+      toast.error('Fees are a percentage of the booking price, 0-100');
+      return;
+    }
+    if (new Set(tiers.map(tier => tier.hoursBefore)).size !== tiers.length) {
+      toast.error('Each tier needs a different number of hours before start');
+      return;
+    }
+    const noShowFeePercent = toPercent(form.noShowFeePercent || 0);
+    if (!isPercent(noShowFeePercent)) {
+      toast.error('The no-show fee is a percentage of the booking price, 0-100');
+      return;
+    }
+    saveMutation.mutate({
+      id: editingId,
+      data: { name: form.name.trim(), roomCategory: form.roomCategory || null, tiers, noShowFeePercent }
+    });
+  };
+
+  const handleRemove = (policy) => {
+    if (window.confirm(`Remove the ${policy.name} policy? Existing bookings keep the fees they were booked under.`)) {
+      deleteMutation.mutate(policy.id);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center text-lg">
+            <CalendarX className="w-5 h-5 mr-2 text-blue-600" />
+            Cancellation Policies
+          </CardTitle>
+          <Button onClick={() => { setEditingId(null); setForm(EMPTY_POLICY); }} className="text-sm">
+            <Plus className="w-4 h-4 mr-2" />
+            Add Policy
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Cancelling a booking charges the fee of the tightest tier it falls within, as a percentage of its price; a
+          no-show is charged the no-show fee. Rooms use their category's policy, or the default one. Bookings keep
+          the policy in force when they were made, and staff can waive a fee with a reason.
+        </p>
+
+        {isLoading && <p className="text-sm text-gray-500">Loading cancellation policies…</p>}
+        {!isLoading && policies.length === 0 && (
+          <p className="text-sm text-gray-500">No cancellation policies yet, so cancelling is free.</p>
+        )}
+
+        {policies.map(policy => (
+          <div key={policy.id} className="flex items-start justify-between border border-gray-200 rounded-lg p-4">
+            <div className="space-y-1">
+              <div className="flex items-center space-x-3">
+                <span className={`text-sm font-semibold ${policy.active ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                  {policy.name}
+                </span>
+                <Badge variant="outline" className="text-xs">
+                  {policy.roomCategory || 'Default'}
+                </Badge>
+              </div>
+              <p className="text-xs text-gray-500">
+                {policy.tiers.length > 0 ? describePolicyTiers(policy.tiers).join(' · ') : 'Free to cancel'}
+              </p>
+              <p className="text-xs text-gray-500">No-show: {policy.noShowFeePercent || 0}%</p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="relative inline-flex items-center cursor-pointer" title="Apply this policy to new bookings">
+                <input
+                  type="checkbox"
+                  checked={policy.active}
+                  onChange={(e) => toggleMutation.mutate({ id: policy.id, active: e.target.checked })}
+                  className="sr-only peer"
+                />
+                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+              </label>
+              <Button variant="ghost" size="sm" onClick={() => startEdit(policy)}>
+                <Edit className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => handleRemove(policy)} className="text-red-500 hover:text-red-700">
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-4">
+            <h5 className="text-sm font-medium text-gray-700">{editingId ? 'Edit Policy' : 'Add Policy'}</h5>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Name</label>
+                <Input
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., Standard"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Applies to</label>
+                <CustomSelect
+                  value={form.roomCategory}
+                  onChange={(value) => setForm(prev => ({ ...prev, roomCategory: value }))}
+                  options={categoryOptions}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">No-show fee (%)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={form.noShowFeePercent}
+                  onChange={(e) => setForm(prev => ({ ...prev, noShowFeePercent: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Fee tiers</label>
+              {form.tiers.length === 0 && <p className="text-xs text-gray-500">No tiers: cancelling is free.</p>}
+              {form.tiers.map((tier, index) => (
+                <div key={index} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <span>Cancelled within</span>
+                  <div className="w-24">
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={tier.hoursBefore}
+                      onChange={(e) => updateTier(index, 'hoursBefore', e.target.value)}
+                    />
+                  </div>
+                  <span>hours of start:</span>
+                  <div className="w-24">
+                    <Input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={tier.feePercent}
+                      onChange={(e) => updateTier(index, 'feePercent', e.target.value)}
+                    />
+                  </div>
+                  <span>% fee</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setForm(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                  >
+                    <X className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setForm(prev => ({ ...prev, tiers: [...prev.tiers, { hoursBefore: '', feePercent: '' }] }))}
+              >
+                <Plus className="w-4 h-4 mr-1" />
+                Add Tier
+              </Button>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button variant="outline" onClick={closeForm}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : editingId ? 'Save Policy' : 'Add Policy'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CancellationPolicySettings;
@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomGroupsAPI } from '../lib/api';
+import { getGroupRate, isGroupBookable } from '../utils/roomGroups';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import { Link2, Plus, Trash2, Edit, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_GROUP = { name: '', roomIds: [], pricePerHour: '' };
+
+// Rooms that can be opened up together for a party too big for any one of them.
+// A combined booking reserves every room in the group; bookings keep the rooms they
+// reserved when the group changes later.
+const CombinedRoomsSettings = ({ rooms }) => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const { data: groupsData, isLoading } = useQuery({
+    queryKey: ['room-groups'],
+    queryFn: () => roomGroupsAPI.getAll(),
+  });
+  const groups = groupsData?.data || [];
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? roomGroupsAPI.update(id, data) : roomGroupsAPI.create(data)),
+    onSuccess: (_, { id }) => {
+      queryClient.invalidateQueries({ queryKey: ['room-groups'] });
+      toast.success(id ? 'Combined room updated' : 'Combined room added');
+      closeForm();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save combined room');
+    },
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ id, isActive }) => roomGroupsAPI.update(id, { isActive }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['room-groups'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update combined room');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => roomGroupsAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['room-groups'] });
+      toast.success('Combined room removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to remove combined room');
+    },
+  });
+
+  const startEdit = (group) => {
+    setEditingId(group.id);
+    setForm({
+      name: group.name,
+      roomIds: group.roomIds,
+      pricePerHour: group.pricePerHour === null || group.pricePerHour === undefined ? '' : String(group.pricePerHour)
+    });
+  };
+
+  const toggleRoom = (roomId) => {
+    setForm(prev => ({
+      ...prev,
+      roomIds: prev.roomIds.includes(roomId)
+        ? prev.roomIds.filter(id => id !== roomId)
+        : [...prev.roomIds, roomId].sort((a, b) => a - b)
+    }));
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      toast.error('Give the combined room a name');
+      return;
+    }
+    if (form.roomIds.length < 2) {
+      toast.error('Pick at least two rooms to combine');
+      return;
+    }
+    const pricePerHour = form.pricePerHour === '' ? null : parseFloat(form.pricePerHour);
+    if (pricePerHour !== null && (Number.isNaN(pricePerHour) || pricePerHour < 0)) {
+      toast.error('The hourly rate must be zero or more');
+      return;
+    }
+    saveMutation.mutate({
+      id: editingId,
+      data: { name: form.name.trim(), roomIds: form.roomIds, pricePerHour }
+    });
+  };
+
+  const handleRemove = (group) => {
+    if (window.confirm(`Remove ${group.name}? Its rooms can still be booked on their own.`)) {
+      deleteMutation.mutate(group.id);
+    }
+  };
+
+  const formRooms = form ? rooms.filter(room => form.roomIds.includes(room.id)) : [];
+  const summedRate = formRooms.reduce((sum, room) => sum + (Number(room.hourlyRate) || 0), 0);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center text-lg">
+            <Link2 className="w-5 h-5 mr-2 text-blue-600" />
+            Combined Rooms
+          </CardTitle>
+          <Button onClick={() => { setEditingId(null); setForm(EMPTY_GROUP); }} className="text-sm">
+            <Plus className="w-4 h-4 mr-2" />
+            Add Combined Room
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Rooms that open up into one space for a big party. Booking a combined room reserves all of its rooms at
+          once, and it is offered when no single room is big enough. It charges its own hourly rate, or its rooms'
+          rates added up.
+        </p>
+
+        {isLoading && <p className="text-sm text-gray-500">Loading combined rooms…</p>}
+        {!isLoading && groups.length === 0 && (
+          <p className="text-sm text-gray-500">No combined rooms yet.</p>
+        )}
+
+        {groups.map(group => (
+          <div key={group.id} className="flex items-start justify-between border border-gray-200 rounded-lg p-4">
+            <div className="space-y-1">
+              <div className="flex items-center space-x-3">
+                <span className={`text-sm font-semibold ${group.isActive ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                  {group.name}
+                </span>
+                <Badge variant="outline" className="text-xs">
+                  <Users className="w-3 h-3 mr-1 inline" />
+                  {group.capacity} max
+                </Badge>
+                {group.isActive && !isGroupBookable(group) && (
+                  <Badge className="bg-yellow-100 text-yellow-800 text-xs">A room is inactive</Badge>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">{group.rooms.map(room => room.name).join(' + ')}</p>
+              <p className="text-xs text-gray-500">
+                ${getGroupRate(group)}/hr{group.pricePerHour === null || group.pricePerHour === undefined ? ' (rooms added up)' : ''}
+              </p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="relative inline-flex items-center cursor-pointer" title="Offer this combined room for new bookings">
+                <input
+                  type="checkbox"
+                  checked={group.isActive}
+                  onChange={(e) => toggleMutation.mutate({ id: group.id, isActive: e.target.checked })}
+                  className="sr-only peer"
+                />
+                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+              </label>
+              <Button variant="ghost" size="sm" onClick={() => startEdit(group)}>
+                <Edit className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => handleRemove(group)} className="text-red-500 hover:text-red-700">
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-4">
+            <h5 className="text-sm font-medium text-gray-700">{editingId ? 'Edit Combined Room' : 'Add Combined Room'}</h5>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Name</label>
+                <Input
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., Rooms A + B"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Hourly rate ($)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.pricePerHour}
+                  onChange={(e) => setForm(prev => ({ ...prev, pricePerHour: e.target.value }))}
+                  placeholder={`Rooms added up: ${summedRate}`}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Rooms</label>
+              <div className="flex flex-wrap gap-3">
+                {rooms.map(room => (
+                  <label key={room.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.roomIds.includes(room.id)}
+                      onChange={() => toggleRoom(room.id)}
+                      className="w-4 h-4 text-blue-600 rounded"
+                    />
+                    <span>{room.name} ({room.capacity})</span>
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                Holds {formRooms.reduce((sum, room) => sum + (room.capacity || 0), 0)} people together.
+              </p>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button variant="outline" onClick={closeForm}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : editingId ? 'Save Combined Room' : 'Add Combined Room'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CombinedRoomsSettings;
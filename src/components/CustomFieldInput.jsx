@@ -0,0 +1,57 @@
+import React from 'react';
+import { Input } from './ui/Input';
+
+// Input for one venue-defined booking or room field, by its type
+const CustomFieldInput = ({ field, value, onChange, error }) => {
+  if (field.type === 'checkbox') {
+    return (
+      <div className="space-y-2">
+        <label className="flex items-center space-x-2 pt-7">
+          <input
+            type="checkbox"
+            checked={value === true}
+            onChange={(e) => onChange(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span className="text-sm font-medium">{field.label} {field.required && '*'}</span>
+        </label>
+        {error && <p className="text-sm text-red-500">{error}</p>}
+      </div>
+    );
+  }
+
+  const input = field.type === 'select' ? (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      <option value="">{field.placeholder || `Select ${field.label.toLowerCase()}`}</option>
+      {field.options.map(option => (
+        <option key={option} value={option}>{option}</option>
+      ))}
+    </select>
+  ) : (
+    <Input
+      type={field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text'}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={field.placeholder || `Enter ${field.label.toLowerCase()}`}
+      min={field.type === 'number' && field.min != null ? field.min : undefined}
+      max={field.type === 'number' && field.max != null ? field.max : undefined}
+      maxLength={field.type === 'text' && field.max != null ? field.max : undefined}
+    />
+  );
+
+  return (
+    <div className="space-y-2">
+      <label className="text-sm font-medium">
+        {field.label} {field.required && '*'}
+      </label>
+      {input}
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default CustomFieldInput;
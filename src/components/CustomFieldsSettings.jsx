@@ -0,0 +1,307 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { bookingFieldsAPI, roomFieldsAPI } from '../lib/api';
+import { CUSTOM_FIELD_TYPES, FIELD_KEY_PATTERN } from '../utils/customFields';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_FIELD = {
+  key: '',
+  label: '',
+  type: 'text',
+  required: false,
+  min: '',
+  max: '',
+  options: '',
+  placeholder: ''
+};
+
+const typeLabel = (type) => CUSTOM_FIELD_TYPES.find(t => t.value === type)?.label || type;
+
+const toBound = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+const ENTITIES = {
+  booking: {
+    api: bookingFieldsAPI,
+    queryKey: 'booking-fields',
+    records: 'bookings',
+    description: 'Custom fields are saved with each booking, checked by the server and can be used to filter the bookings list.'
+  },
+  room: {
+    api: roomFieldsAPI,
+    queryKey: 'room-fields',
+    records: 'rooms',
+    description: 'Custom fields are saved with each room and checked by the server.'
+  }
+};
+
+// Custom booking and room fields are venue-wide schemas stored on the server, so every
+// booking or room form validates against the same definitions
+const CustomFieldsSettings = ({ entity = 'booking' }) => {
+  const { api, queryKey, records, description } = ENTITIES[entity];
+  const queryClient = useQueryClient();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newField, setNewField] = useState(EMPTY_FIELD);
+
+  const { data: fieldsData, isLoading } = useQuery({
+    queryKey: [queryKey],
+    queryFn: () => api.getAll(),
+  });
+  const fields = fieldsData?.data || [];
+
+  const createMutation = useMutation({
+    mutationFn: (field) => api.create(field),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [queryKey] });
+      toast.success('Custom field added');
+      setNewField(EMPTY_FIELD);
+      setShowAddForm(false);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to add custom field');
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => api.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [queryKey] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update custom field');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [queryKey] });
+      toast.success('Custom field removed');
+    },
+    onError: () => {
+      toast.error('Failed to remove custom field');
+    },
+  });
+
+  const handleAdd = () => {
+    if (!FIELD_KEY_PATTERN.test(newField.key)) {
+      toast.error('Field key must start with a letter and use only letters, digits and underscores');
+      return;
+    }
+    const options = newField.options.split(',').map(o => o.trim()).filter(Boolean);
+    if (newField.type === 'select' && options.length === 0) {
+      toast.error('Dropdown fields need at least one option');
+      return;
+    }
+    createMutation.mutate({
+      key: newField.key,
+      label: newField.label,
+      type: newField.type,
+      required: newField.required,
+      visible: true,
+      min: ['text', 'number'].includes(newField.type) ? toBound(newField.min) : null,
+      max: ['text', 'number'].includes(newField.type) ? toBound(newField.max) : null,
+      options: newField.type === 'select' ? options : [],
+      placeholder: newField.placeholder || null,
+      sortOrder: fields.length
+    });
+  };
+
+  const handleRemove = (field) => {
+    if (window.confirm(`Remove "${field.label}"? Values already saved on ${records} will no longer be shown.`)) {
+      deleteMutation.mutate(field.id);
+    }
+  };
+
+  const describeField = (field) => {
+    const parts = [typeLabel(field.type), `key: ${field.key}`];
+    if (field.type === 'select') parts.push(field.options.join(', '));
+    if (field.min != null || field.max != null) {
+      const unit = field.type === 'text' ? ' chars' : '';
+      parts.push(`${field.min ?? '…'}–${field.max ?? '…'}${unit}`);
+    }
+    return parts.join(' · ');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-md font-medium text-gray-800 border-b border-gray-200 pb-2">
+          Custom Fields
+        </h4>
+        <Button
+          onClick={() => setShowAddForm(true)}
+          className="text-sm"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Custom Field
+        </Button>
+      </div>
+      <p className="text-sm text-gray-600">
+        {description}
+      </p>
+
+      {isLoading && <p className="text-sm text-gray-500">Loading custom fields…</p>}
+
+      {fields.map((field) => (
+        <div key={field.id} className="border border-gray-200 rounded-lg">
+          <div className="flex items-center justify-between p-4">
+            <div className="space-y-1">
+              <div className="flex items-center space-x-3">
+                <span className="text-sm font-medium text-gray-700">{field.label}</span>
+                <Badge variant="outline" className="text-xs text-blue-600 border-blue-200">
+                  Custom
+                </Badge>
+                {field.required && (
+                  <Badge variant="outline" className="text-xs text-red-600 border-red-200">
+                    Required
+                  </Badge>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">{describeField(field)}</p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center space-x-1 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={field.required}
+                  onChange={(e) => updateMutation.mutate({ id: field.id, data: { required: e.target.checked } })}
+                  className="rounded border-gray-300"
+                />
+                <span>Required</span>
+              </label>
+              <label className="relative inline-flex items-center cursor-pointer" title={`Show on ${entity} forms`}>
+                <input
+                  type="checkbox"
+                  checked={field.visible}
+                  onChange={(e) => updateMutation.mutate({ id: field.id, data: { visible: e.target.checked } })}
+                  disabled={field.required}
+                  className="sr-only peer"
+                />
+                <div className={`w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600 ${field.required ? 'opacity-50 cursor-not-allowed' : ''}`}></div>
+              </label>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => handleRemove(field)}
+                className="text-red-500 hover:text-red-700"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {showAddForm && (
+        <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+          <h5 className="text-sm font-medium text-gray-700 mb-4">Add Custom Field</h5>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Field Key</label>
+              <Input
+                value={newField.key}
+                onChange={(e) => setNewField(prev => ({ ...prev, key: e.target.value }))}
+                placeholder="e.g., companyName"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Field Label</label>
+              <Input
+                value={newField.label}
+                onChange={(e) => setNewField(prev => ({ ...prev, label: e.target.value }))}
+                placeholder="e.g., Company name"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Field Type</label>
+              <CustomSelect
+                value={newField.type}
+                onChange={(value) => setNewField(prev => ({ ...prev, type: value }))}
+                options={CUSTOM_FIELD_TYPES}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Placeholder</label>
+              <Input
+                value={newField.placeholder}
+                onChange={(e) => setNewField(prev => ({ ...prev, placeholder: e.target.value }))}
+                placeholder="Placeholder text"
+              />
+            </div>
+            {newField.type === 'select' && (
+              <div className="space-y-2 md:col-span-2">
+                <label className="text-sm font-medium text-gray-700">Options (comma separated)</label>
+                <Input
+                  value={newField.options}
+                  onChange={(e) => setNewField(prev => ({ ...prev, options: e.target.value }))}
+                  placeholder="e.g., Birthday, Corporate, Date night"
+                />
+              </div>
+            )}
+            {['text', 'number'].includes(newField.type) && (
+              <>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">
+                    {newField.type === 'text' ? 'Minimum length' : 'Minimum value'}
+                  </label>
+                  <Input
+                    type="number"
+                    value={newField.min}
+                    onChange={(e) => setNewField(prev => ({ ...prev, min: e.target.value }))}
+                    placeholder="No minimum"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">
+                    {newField.type === 'text' ? 'Maximum length' : 'Maximum value'}
+                  </label>
+                  <Input
+                    type="number"
+                    value={newField.max}
+                    onChange={(e) => setNewField(prev => ({ ...prev, max: e.target.value }))}
+                    placeholder="No maximum"
+                  />
+                </div>
+              </>
+            )}
+            <div className="space-y-2">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={newField.required}
+                  onChange={(e) => setNewField(prev => ({ ...prev, required: e.target.checked }))}
+                  className="rounded border-gray-300"
+                />
+                <span className="text-sm font-medium text-gray-700">Required Field</span>
+              </label>
+            </div>
+          </div>
+          <div className="flex justify-end space-x-2 mt-4">
+            <Button
+              variant="ghost"
+              onClick={() => {
+                setShowAddForm(false);
+                setNewField(EMPTY_FIELD);
+              }}
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleAdd}
+              disabled={!newField.key || !newField.label || createMutation.isPending}
+            >
+              Add Field
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomFieldsSettings;
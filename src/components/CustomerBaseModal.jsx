@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { customersAPI } from '../lib/api';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Badge } from './ui/Badge';
+import CustomSelect from './ui/CustomSelect';
+import { Users, X, Search, Mail, Phone, ArrowLeft, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { RELEASED_STATUSES, getStatusLabel } from '../utils/bookingLifecycle';
+import { formatCurrency } from '../utils/pricing';
+
+const SORT_OPTIONS = [
+  { value: 'last_visit', label: 'Last visit' },
+  { value: 'total_spend', label: 'Total spend' },
+  { value: 'booking_count', label: 'Bookings' },
+  { value: 'name', label: 'Name' },
+];
+
+const formatVisit = (date) => (date ? moment(date).format('MMM D, YYYY') : 'Not yet');
+
+// One customer's details, which can be edited, and every booking made for them
+const CustomerDetails = ({ customerId, onBack }) => {
+  const queryClient = useQueryClient();
+  const [formData, setFormData] = useState(null);
+
+  const { data: customerData, isLoading } = useQuery({
+    queryKey: ['customers', customerId],
+    queryFn: () => customersAPI.getById(customerId),
+  });
+  const customer = customerData?.data;
+
+  useEffect(() => {
+    if (customer) {
+      setFormData({ name: customer.name, email: customer.email || '', phone: customer.phone || '', notes: customer.notes || '' });
+    }
+  }, [customer]);
+
+  const showError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => customersAPI.update(customerId, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+      toast.success('Customer updated');
+    },
+    onError: showError('Failed to update customer'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => customersAPI.delete(customerId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+      toast.success('Customer deleted');
+      onBack();
+    },
+    onError: showError('Failed to delete customer'),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      toast.error('Please enter a name.');
+      return;
+    }
+    updateMutation.mutate({
+      name: formData.name.trim(),
+      email: formData.email.trim() || null,
+      phone: formData.phone.trim() || null,
+      notes: formData.notes.trim() || null,
+    });
+  };
+
+  if (isLoading || !formData) {
+    return <p className="text-sm text-gray-500">Loading customer…</p>;
+  }
+  if (!customer) {
+    return <p className="text-sm text-gray-500">This customer no longer exists.</p>;
+  }
+
+  const bookings = customer.bookings || [];
+
+  return (
+    <div className="space-y-6">
+      <Button variant="ghost" size="sm" onClick={onBack}>
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        All customers
+      </Button>
+
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="border border-gray-200 rounded-lg p-3">
+          <div className="text-lg font-semibold">{customer.bookingCount}</div>
+          <div className="text-xs text-gray-500">Bookings</div>
+        </div>
+        <div className="border border-gray-200 rounded-lg p-3">
+          <div className="text-lg font-semibold">{formatVisit(customer.lastVisit)}</div>
+          <div className="text-xs text-gray-500">Last visit</div>
+        </div>
+        <div className="border border-gray-200 rounded-lg p-3">
+          <div className="text-lg font-semibold">{formatCurrency(customer.totalSpend)}</div>
+          <div className="text-xs text-gray-500">Total spend</div>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="text-sm font-medium">Name</label>
+            <Input value={formData.name} onChange={(e) => setFormData({ ...formData, name: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Email</label>
+            <Input type="email" value={formData.email} onChange={(e) => setFormData({ ...formData, email: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-sm font-medium">Phone</label>
+            <Input type="tel" value={formData.phone} onChange={(e) => setFormData({ ...formData, phone: e.target.value })} />
+          </div>
+        </div>
+        <div>
+          <label className="text-sm font-medium">Notes</label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            placeholder="Preferences, regular songs, anything staff should know"
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-gray-500">Bookings keep the details they were made with.</p>
+          <div className="flex items-center space-x-2">
+            {/* Customers with any booking, cancelled ones included, are kept */}
+            {bookings.length === 0 && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="text-red-500 hover:text-red-700"
+                onClick={() => window.confirm(`Delete ${customer.name}?`) && deleteMutation.mutate()}
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Delete
+              </Button>
+            )}
+            <Button type="submit" size="sm" disabled={updateMutation.isPending}>
+              {updateMutation.isPending ? 'Saving…' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </form>
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-900">Bookings ({bookings.length})</h3>
+        {bookings.length === 0 && <p className="text-sm text-gray-500">No bookings yet.</p>}
+        {bookings.map(booking => (
+          <div key={booking.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2 text-sm">
+            <div>
+              <div className="font-medium">
+                {moment(booking.startTime || booking.timeIn).format('ddd MMM D, YYYY h:mm A')}
+              </div>
+              <div className="text-xs text-gray-500">
+                {booking.roomGroupName || booking.roomId?.name || booking.room?.name}
+                {booking.partySize ? ` · ${booking.partySize} guests` : ''}
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <span className={RELEASED_STATUSES.includes(booking.status) ? 'text-gray-400 line-through' : ''}>
+                {formatCurrency(booking.totalPrice)}
+              </span>
+              <Badge className="text-xs">{getStatusLabel(booking.status)}</Badge>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// The customer directory: everyone who has booked with their booking count, last visit and
+// total spend. Customers are added by their first booking with an email or phone.
+const CustomerBaseModal = ({ isOpen, onClose }) => {
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('last_visit');
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSearch('');
+      setSelectedId(null);
+    }
+  }, [isOpen]);
+
+  const { data: customersData, isLoading } = useQuery({
+    queryKey: ['customers', { search: search.trim(), sort }],
+    queryFn: () => customersAPI.getAll({ search: search.trim() || undefined, sort }),
+    enabled: isOpen && !selectedId,
+    placeholderData: (previous) => previous,
+  });
+  const customers = customersData?.data || [];
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <CardHeader className="flex flex-row items-center justify-between pb-4">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <Users className="w-5 h-5 mr-2 text-blue-600" />
+            Customer Base
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {selectedId ? (
+            <CustomerDetails customerId={selectedId} onBack={() => setSelectedId(null)} />
+          ) : (
+            <>
+              <div className="flex items-center space-x-3">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-3 w-4 h-4 text-gray-400" />
+                  <Input
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search by name, email or phone"
+                    className="pl-10"
+                  />
+                </div>
+                <CustomSelect value={sort} onChange={setSort} options={SORT_OPTIONS} className="w-40" />
+              </div>
+
+              {isLoading && <p className="text-sm text-gray-500">Loading customers…</p>}
+              {!isLoading && customers.length === 0 && (
+                <p className="text-sm text-gray-500">
+                  {search.trim() ? 'No customers match your search.' : 'No customers yet. They are added by their first booking with an email or phone.'}
+                </p>
+              )}
+
+              {customers.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="py-2 font-medium">Customer</th>
+                      <th className="py-2 font-medium text-right">Bookings</th>
+                      <th className="py-2 font-medium text-right">Last visit</th>
+                      <th className="py-2 font-medium text-right">Total spend</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customers.map(customer => (
+                      <tr
+                        key={customer.id}
+                        onClick={() => setSelectedId(customer.id)}
+                        className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="py-2">
+                          <div className="font-medium">{customer.name}</div>
+                          <div className="text-xs text-gray-500 flex items-center space-x-3">
+                            {customer.phone && (
+                              <span className="flex items-center"><Phone className="w-3 h-3 mr-1" />{customer.phone}</span>
+                            )}
+                            {customer.email && (
+                              <span className="flex items-center"><Mail className="w-3 h-3 mr-1" />{customer.email}</span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="py-2 text-right">{customer.bookingCount}</td>
+                        <td className="py-2 text-right">{formatVisit(customer.lastVisit)}</td>
+                        <td className="py-2 text-right">{formatCurrency(customer.totalSpend)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default CustomerBaseModal;
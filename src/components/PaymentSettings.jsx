@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomsAPI, settingsAPI } from '../lib/api';
+import { DEPOSIT_TYPES } from '../utils/payments';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { CreditCard, Save, Info } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PaymentSettings = () => {
+  const queryClient = useQueryClient();
+  const [localDeposits, setLocalDeposits] = useState({});
+
+  const { data: depositData, isLoading } = useQuery({
+    queryKey: ['deposit-settings'],
+    queryFn: () => settingsAPI.getDepositSettings(),
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['room-categories'],
+    queryFn: () => roomsAPI.getCategories(),
+  });
+  const categories = categoriesData?.data || [];
+
+  useEffect(() => {
+    if (depositData?.data) {
+      setLocalDeposits(depositData.data);
+    }
+  }, [depositData]);
+
+  const saveMutation = useMutation({
+    mutationFn: (deposits) => settingsAPI.updateDepositSettings(deposits),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['deposit-settings'] });
+      queryClient.invalidateQueries({ queryKey: ['payment-ledger'] });
+      toast.success('Deposits saved');
+    },
+    onError: () => {
+      toast.error('Failed to save deposits');
+    },
+  });
+
+  const updateDeposit = (category, field, value) => {
+    setLocalDeposits(prev => ({
+      ...prev,
+      [category]: { type: 'percent', ...prev[category], [field]: value },
+    }));
+  };
+
+  const handleSave = () => {
+    // Blank or zero amounts mean no deposit for the category
+    const deposits = {};
+    for (const [category, deposit] of Object.entries(localDeposits)) {
+      const amount = parseFloat(deposit.amount);
+      if (Number.isNaN(amount) || amount <= 0) continue;
+      if (deposit.type === 'percent' && amount > 100) {
+        toast.error(`The ${category} deposit cannot be more than 100%`);
+        return;
+      }
+      deposits[category] = { type: deposit.type, amount };
+    }
+    saveMutation.mutate(deposits);
+  };
+
+  if (isLoading) {
+    return <div className="text-sm text-gray-500">Loading payment settings...</div>;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center text-lg">
+          <CreditCard className="w-5 h-5 mr-2 text-blue-600" />
+          Deposits
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex items-start p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <Info className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          <span>
+            Bookings in a room category with a deposit show it as due until that much has been paid. A percentage
+            is taken of the booking's total price; a fixed deposit is never more than the total.
+          </span>
+        </div>
+
+        {categories.length === 0 ? (
+          <p className="text-sm text-gray-500">Add room categories to set deposits for them.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 font-medium">Category</th>
+                <th className="py-2 font-medium">Deposit</th>
+                <th className="py-2 font-medium">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => (
+                <tr key={category} className="border-t border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-900">{category}</td>
+                  <td className="py-2 pr-4">
+                    <CustomSelect
+                      value={localDeposits[category]?.type || 'percent'}
+                      onChange={(value) => updateDeposit(category, 'type', value)}
+                      options={DEPOSIT_TYPES}
+                    />
+                  </td>
+                  <td className="py-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="None"
+                      value={localDeposits[category]?.amount ?? ''}
+                      onChange={(e) => updateDeposit(category, 'amount', e.target.value)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saveMutation.isPending}>
+            <Save className="w-4 h-4 mr-2" />
+            {saveMutation.isPending ? 'Saving...' : 'Save Deposits'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PaymentSettings;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { formatCurrency } from '../utils/pricing';
+
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Discounts and promo codes are shown as deductions
+const isDeduction = (line) => line.type === 'discount' || line.type === 'promo';
+
+const describeLine = (line) => {
+  if (line.hourlyRate != null) return `${formatMinutes(line.minutes)} at ${formatCurrency(line.hourlyRate)}/h`;
+  if (line.minutes) return formatMinutes(line.minutes);
+  return null;
+};
+
+// Itemised price of a booking or quote: { lines, subtotal?, taxRate, tax, totalPrice }
+const PriceQuoteSummary = ({ quote, isLoading, className = '' }) => {
+  if (!quote) {
+    return isLoading ? <p className="text-sm text-gray-500">Calculating price…</p> : null;
+  }
+
+  const lines = quote.lines || [];
+  return (
+    <div className={`space-y-1 text-sm ${className}`}>
+      {lines.map((line, index) => (
+        <div key={index} className="flex justify-between">
+          <span className="text-gray-600">
+            {line.label}
+            {describeLine(line) && <span className="text-gray-400"> · {describeLine(line)}</span>}
+          </span>
+          <span className={isDeduction(line) ? 'text-green-600' : 'text-gray-900'}>
+            {isDeduction(line) ? '-' : ''}{formatCurrency(line.amount)}
+          </span>
+        </div>
+      ))}
+      {quote.tax > 0 && (
+        <div className="flex justify-between">
+          <span className="text-gray-600">Tax ({quote.taxRate}%)</span>
+          <span className="text-gray-900">{formatCurrency(quote.tax)}</span>
+        </div>
+      )}
+      <div className="flex justify-between border-t border-gray-200 pt-1 font-semibold">
+        <span className="text-gray-900">Total</span>
+        <span className="text-gray-900">
+          {formatCurrency(quote.totalPrice)}
+          {isLoading && <span className="ml-1 text-xs font-normal text-gray-400">updating…</span>}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceQuoteSummary;
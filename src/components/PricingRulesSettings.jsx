@@ -0,0 +1,442 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { pricingAPI, roomsAPI, settingsAPI } from '../lib/api';
+import { PRICING_RULE_TYPES, PRICING_AMOUNT_TYPES, RULE_AMOUNT_TYPES, formatCurrency } from '../utils/pricing';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { DollarSign, Percent, Plus, Save, Trash2, Info } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_RULE = {
+  name: '',
+  type: 'rate',
+  amount: '',
+  amountType: 'per_hour',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  startDate: '',
+  endDate: '',
+  roomId: '',
+  category: '',
+  priority: 0
+};
+
+const TYPE_BADGE_CLASSES = {
+  rate: 'text-blue-600 border-blue-200',
+  surcharge: 'text-orange-600 border-orange-200',
+  fee: 'text-purple-600 border-purple-200',
+  discount: 'text-green-600 border-green-200'
+};
+
+const typeLabel = (type) => PRICING_RULE_TYPES.find(t => t.value === type)?.label || type;
+
+const describeAmount = (rule) => {
+  if (rule.amountType === 'percent') {
+    return rule.type === 'rate' ? `${rule.amount}% of room rate` : `${rule.amount}% of base price`;
+  }
+  if (rule.amountType === 'flat') return `${formatCurrency(rule.amount)} per booking`;
+  return `${formatCurrency(rule.amount)}/hour`;
+};
+
+// Rules are checked by the server whenever a booking is created, moved, resized or
+// has its price changed. Higher priority wins among rate rules for the same minute.
+const PricingRulesSettings = () => {
+  const queryClient = useQueryClient();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [taxRate, setTaxRate] = useState(0);
+
+  const { data: rulesData, isLoading } = useQuery({
+    queryKey: ['pricing-rules'],
+    queryFn: () => pricingAPI.getRules(),
+  });
+  const rules = rulesData?.data || [];
+
+  const { data: roomsData } = useQuery({
+    queryKey: ['rooms'],
+    queryFn: () => roomsAPI.getAll(),
+  });
+  const rooms = roomsData?.data || [];
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['room-categories'],
+    queryFn: () => roomsAPI.getCategories(),
+  });
+  const categories = categoriesData?.data || [];
+
+  const { data: pricingSettingsData } = useQuery({
+    queryKey: ['pricing-settings'],
+    queryFn: () => settingsAPI.getPricingSettings(),
+  });
+
+  useEffect(() => {
+    if (pricingSettingsData?.data) {
+      setTaxRate(pricingSettingsData.data.taxRate);
+    }
+  }, [pricingSettingsData]);
+
+  const onRulesChanged = () => {
+    queryClient.invalidateQueries({ queryKey: ['pricing-rules'] });
+    queryClient.invalidateQueries({ queryKey: ['price-quote'] });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (rule) => pricingAPI.createRule(rule),
+    onSuccess: () => {
+      onRulesChanged();
+      toast.success('Pricing rule added');
+      setNewRule(EMPTY_RULE);
+      setShowAddForm(false);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to add pricing rule');
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => pricingAPI.updateRule(id, data),
+    onSuccess: onRulesChanged,
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update pricing rule');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => pricingAPI.deleteRule(id),
+    onSuccess: () => {
+      onRulesChanged();
+      toast.success('Pricing rule removed');
+    },
+    onError: () => {
+      toast.error('Failed to remove pricing rule');
+    },
+  });
+
+  const saveTaxMutation = useMutation({
+    mutationFn: (settings) => settingsAPI.updatePricingSettings(settings),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['pricing-settings'] });
+      queryClient.invalidateQueries({ queryKey: ['price-quote'] });
+      toast.success('Tax rate saved');
+    },
+    onError: () => {
+      toast.error('Failed to save tax rate');
+    },
+  });
+
+  const setRuleType = (type) => {
+    setNewRule(prev => ({
+      ...prev,
+      type,
+      amountType: RULE_AMOUNT_TYPES[type].includes(prev.amountType) ? prev.amountType : RULE_AMOUNT_TYPES[type][0]
+    }));
+  };
+
+  const toggleDay = (day) => {
+    setNewRule(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day].sort()
+    }));
+  };
+
+  const handleAdd = () => {
+    const amount = parseFloat(newRule.amount);
+    if (Number.isNaN(amount) || amount < 0) {
+      toast.error('Enter an amount of 0 or more');
+      return;
+    }
+    if (Boolean(newRule.startTime) !== Boolean(newRule.endTime)) {
+      toast.error('A time band needs both a start and an end time');
+      return;
+    }
+    if (newRule.startDate && newRule.endDate && newRule.startDate > newRule.endDate) {
+      toast.error('Start date cannot be after end date');
+      return;
+    }
+    createMutation.mutate({
+      name: newRule.name.trim(),
+      type: newRule.type,
+      amount,
+      amountType: newRule.amountType,
+      daysOfWeek: newRule.daysOfWeek,
+      startTime: newRule.startTime || null,
+      endTime: newRule.endTime || null,
+      startDate: newRule.startDate || null,
+      endDate: newRule.endDate || null,
+      roomId: newRule.roomId ? parseInt(newRule.roomId) : null,
+      category: newRule.category || null,
+      priority: parseInt(newRule.priority) || 0,
+      active: true
+    });
+  };
+
+  const handleRemove = (rule) => {
+    if (window.confirm(`Remove "${rule.name}"? Existing bookings keep their price until they are next changed.`)) {
+      deleteMutation.mutate(rule.id);
+    }
+  };
+
+  const describeConditions = (rule) => {
+    const parts = [];
+    if (rule.daysOfWeek.length > 0) parts.push(rule.daysOfWeek.map(day => WEEKDAYS[day]).join(', '));
+    if (rule.startTime) parts.push(`${rule.startTime}–${rule.endTime}`);
+    if (rule.startDate || rule.endDate) parts.push(`${rule.startDate || '…'} to ${rule.endDate || '…'}`);
+    if (rule.roomId) parts.push(rooms.find(room => room.id === rule.roomId)?.name || `Room ${rule.roomId}`);
+    if (rule.category) parts.push(rule.category);
+    parts.push(`priority ${rule.priority}`);
+    return parts.join(' · ');
+  };
+
+  const amountTypeOptions = PRICING_AMOUNT_TYPES.filter(t => RULE_AMOUNT_TYPES[newRule.type].includes(t.value));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center text-lg">
+            <Percent className="w-5 h-5 mr-2 text-blue-600" />
+            Sales Tax
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Tax is charged on each booking's subtotal after fees and discounts.
+          </p>
+          <div className="flex items-end space-x-4">
+            <div className="w-48">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tax rate (%)</label>
+              <Input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={taxRate}
+                onChange={(e) => setTaxRate(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+              />
+            </div>
+            <Button
+              onClick={() => saveTaxMutation.mutate({ taxRate })}
+              disabled={saveTaxMutation.isPending}
+            >
+              <Save className="w-4 h-4 mr-2" />
+              {saveTaxMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle className="flex items-center text-lg">
+              <DollarSign className="w-5 h-5 mr-2 text-blue-600" />
+              Pricing Rules
+            </CardTitle>
+            <Button onClick={() => setShowAddForm(true)} className="text-sm">
+              <Plus className="w-4 h-4 mr-2" />
+              Add Rule
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-start p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            <Info className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+            <span>
+              Bookings are priced minute by minute. Rate rules replace the room's hourly rate for the time they
+              match, the highest priority winning, so a booking running into peak hours pays peak rates only for
+              that part. Surcharges, fees and discounts are added for the time they match. A time band that ends
+              before it starts runs past midnight.
+            </span>
+          </div>
+
+          {isLoading && <p className="text-sm text-gray-500">Loading pricing rules…</p>}
+          {!isLoading && rules.length === 0 && (
+            <p className="text-sm text-gray-500">No rules yet: every booking is charged its room's hourly rate.</p>
+          )}
+
+          {rules.map(rule => (
+            <div key={rule.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div className="space-y-1">
+                <div className="flex items-center space-x-3">
+                  <span className={`text-sm font-medium ${rule.active ? 'text-gray-700' : 'text-gray-400 line-through'}`}>
+                    {rule.name}
+                  </span>
+                  <Badge variant="outline" className={`text-xs ${TYPE_BADGE_CLASSES[rule.type]}`}>
+                    {typeLabel(rule.type)}
+                  </Badge>
+                  <span className="text-sm text-gray-600">{describeAmount(rule)}</span>
+                </div>
+                <p className="text-xs text-gray-500">{describeConditions(rule)}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <label className="relative inline-flex items-center cursor-pointer" title="Apply this rule">
+                  <input
+                    type="checkbox"
+                    checked={rule.active}
+                    onChange={(e) => updateMutation.mutate({ id: rule.id, data: { active: e.target.checked } })}
+                    className="sr-only peer"
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                </label>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(rule)}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+
+          {showAddForm && (
+            <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+              <h5 className="text-sm font-medium text-gray-700 mb-4">Add Pricing Rule</h5>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Name</label>
+                  <Input
+                    value={newRule.name}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="e.g., Weekend peak"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Rule Type</label>
+                  <CustomSelect value={newRule.type} onChange={setRuleType} options={PRICING_RULE_TYPES} />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Charged</label>
+                  <CustomSelect
+                    value={newRule.amountType}
+                    onChange={(value) => setNewRule(prev => ({ ...prev, amountType: value }))}
+                    options={amountTypeOptions}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">
+                    {newRule.amountType === 'percent' ? 'Percent' : 'Amount ($)'}
+                  </label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={newRule.amount}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, amount: e.target.value }))}
+                    placeholder={newRule.amountType === 'percent' ? 'e.g., 150' : 'e.g., 45'}
+                  />
+                </div>
+                <div className="space-y-2 md:col-span-2">
+                  <label className="text-sm font-medium text-gray-700">Days (none selected means every day)</label>
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map((label, day) => (
+                      <label key={label} className="flex items-center space-x-1 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={newRule.daysOfWeek.includes(day)}
+                          onChange={() => toggleDay(day)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">From time</label>
+                  <Input
+                    type="time"
+                    value={newRule.startTime}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, startTime: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Until time</label>
+                  <Input
+                    type="time"
+                    value={newRule.endTime}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, endTime: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">From date</label>
+                  <Input
+                    type="date"
+                    value={newRule.startDate}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, startDate: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Until date</label>
+                  <Input
+                    type="date"
+                    value={newRule.endDate}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, endDate: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Room</label>
+                  <CustomSelect
+                    value={String(newRule.roomId)}
+                    onChange={(value) => setNewRule(prev => ({ ...prev, roomId: value }))}
+                    options={[
+                      { value: '', label: 'All rooms' },
+                      ...rooms.map(room => ({ value: String(room.id), label: room.name }))
+                    ]}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Category</label>
+                  <CustomSelect
+                    value={newRule.category}
+                    onChange={(value) => setNewRule(prev => ({ ...prev, category: value }))}
+                    options={[
+                      { value: '', label: 'All categories' },
+                      ...categories.map(category => ({ value: category, label: category }))
+                    ]}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Priority</label>
+                  <Input
+                    type="number"
+                    value={newRule.priority}
+                    onChange={(e) => setNewRule(prev => ({ ...prev, priority: e.target.value }))}
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-2 mt-4">
+                <Button
+                  variant="ghost"
+                  onClick={() => {
+                    setShowAddForm(false);
+                    setNewRule(EMPTY_RULE);
+                  }}
+                >
+                  Cancel
+                </Button>
+                <Button
+                  onClick={handleAdd}
+                  disabled={!newRule.name.trim() || newRule.amount === '' || createMutation.isPending}
+                >
+                  Add Rule
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default PricingRulesSettings;
@@ -0,0 +1,435 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import moment from 'moment';
+import { promotionsAPI, roomsAPI } from '../lib/api';
+import { PROMO_DISCOUNT_TYPES, normalizePromoCode, describePromoCode } from '../utils/promotions';
+import { getStatusLabel } from '../utils/bookingLifecycle';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { Tag, Plus, Trash2, ChevronDown, ChevronRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_PROMO = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  amount: '',
+  validFrom: '',
+  validUntil: '',
+  roomIds: [],
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  minDurationMinutes: '',
+  maxUses: '',
+  maxUsesPerCustomer: '',
+  stackable: false
+};
+
+const toLimit = (value) => (value === '' || value === null || value === undefined ? null : parseInt(value, 10));
+
+const toggleValue = (list, value) => (
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value].sort((a, b) => a - b)
+);
+
+// Bookings a code was redeemed on, loaded when its row is expanded
+const PromoRedemptions = ({ promoId }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['promo-redemptions', promoId],
+    queryFn: () => promotionsAPI.getRedemptions(promoId),
+  });
+  const redemptions = data?.data || [];
+
+  if (isLoading) return <p className="text-xs text-gray-500">Loading redemptions…</p>;
+  if (redemptions.length === 0) return <p className="text-xs text-gray-500">Not redeemed yet.</p>;
+
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="py-1 font-medium">Customer</th>
+          <th className="py-1 font-medium">Booking</th>
+          <th className="py-1 font-medium">Status</th>
+          <th className="py-1 font-medium">Redeemed</th>
+        </tr>
+      </thead>
+      <tbody>
+        {redemptions.map(redemption => (
+          <tr key={redemption.id} className={`border-t border-gray-100 ${redemption.status === 'cancelled' ? 'text-gray-400' : 'text-gray-700'}`}>
+            <td className="py-1 pr-2">{redemption.customerName || redemption.customerEmail || redemption.customerPhone}</td>
+            <td className="py-1 pr-2">
+              {redemption.confirmationCode} · {moment(redemption.startTime).format('MMM D, h:mm A')}
+            </td>
+            <td className="py-1 pr-2">{getStatusLabel(redemption.status)}</td>
+            <td className="py-1">{moment(redemption.createdAt).format('MMM D, YYYY')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Promo codes are checked by the server when a booking is created with them. Usage
+// caps count bookings that were not cancelled.
+const PromoCodesSettings = () => {
+  const queryClient = useQueryClient();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newPromo, setNewPromo] = useState(EMPTY_PROMO);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data: promosData, isLoading } = useQuery({
+    queryKey: ['promo-codes'],
+    queryFn: () => promotionsAPI.getAll(),
+  });
+  const promos = promosData?.data || [];
+
+  const { data: roomsData } = useQuery({
+    queryKey: ['rooms'],
+    queryFn: () => roomsAPI.getAll(),
+  });
+  const rooms = roomsData?.data || [];
+
+  const createMutation = useMutation({
+    mutationFn: (promo) => promotionsAPI.create(promo),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['promo-codes'] });
+      toast.success('Promo code added');
+      setNewPromo(EMPTY_PROMO);
+      setShowAddForm(false);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to add promo code');
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => promotionsAPI.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['promo-codes'] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to update promo code');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => promotionsAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['promo-codes'] });
+      toast.success('Promo code removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to remove promo code');
+    },
+  });
+
+  const handleAdd = () => {
+    const amount = parseFloat(newPromo.amount);
+    if (Number.isNaN(amount) || amount < 0) {
+      toast.error('Enter a discount of 0 or more');
+      return;
+    }
+    if (newPromo.discountType === 'percent' && amount > 100) {
+      toast.error('A percentage discount cannot be more than 100%');
+      return;
+    }
+    if (Boolean(newPromo.startTime) !== Boolean(newPromo.endTime)) {
+      toast.error('A time band needs both a start and an end time');
+      return;
+    }
+    if (newPromo.startTime && newPromo.startTime === newPromo.endTime) {
+      toast.error('A time band cannot start and end at the same time');
+      return;
+    }
+    if (newPromo.validFrom && newPromo.validUntil && newPromo.validFrom > newPromo.validUntil) {
+      toast.error('Valid from cannot be after valid until');
+      return;
+    }
+    createMutation.mutate({
+      code: normalizePromoCode(newPromo.code),
+      description: newPromo.description.trim() || null,
+      discountType: newPromo.discountType,
+      amount,
+      validFrom: newPromo.validFrom || null,
+      validUntil: newPromo.validUntil || null,
+      roomIds: newPromo.roomIds,
+      daysOfWeek: newPromo.daysOfWeek,
+      startTime: newPromo.startTime || null,
+      endTime: newPromo.endTime || null,
+      minDurationMinutes: toLimit(newPromo.minDurationMinutes),
+      maxUses: toLimit(newPromo.maxUses),
+      maxUsesPerCustomer: toLimit(newPromo.maxUsesPerCustomer),
+      stackable: newPromo.stackable,
+      active: true
+    });
+  };
+
+  const handleRemove = (promo) => {
+    if (window.confirm(`Remove promo code ${promo.code}?`)) {
+      deleteMutation.mutate(promo.id);
+    }
+  };
+
+  const describeEligibility = (promo) => {
+    const parts = [];
+    if (promo.roomIds?.length > 0) {
+      parts.push(promo.roomIds.map(id => rooms.find(room => room.id === id)?.name || `Room ${id}`).join(', '));
+    }
+    if (promo.daysOfWeek?.length > 0) parts.push(promo.daysOfWeek.map(day => WEEKDAYS[day]).join(', '));
+    return parts.join(' · ');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center text-lg">
+            <Tag className="w-5 h-5 mr-2 text-blue-600" />
+            Promo Codes
+          </CardTitle>
+          <Button onClick={() => setShowAddForm(true)} className="text-sm">
+            <Plus className="w-4 h-4 mr-2" />
+            Add Code
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Codes entered on a new booking come off its subtotal before tax. A booking keeps the discount it got if the
+          code is later changed, and cancelled bookings give their use back. Codes that have been redeemed can be
+          deactivated but not deleted.
+        </p>
+
+        {isLoading && <p className="text-sm text-gray-500">Loading promo codes…</p>}
+        {!isLoading && promos.length === 0 && <p className="text-sm text-gray-500">No promo codes yet.</p>}
+
+        {promos.map(promo => (
+          <div key={promo.id} className="border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between p-4">
+              <button
+                type="button"
+                onClick={() => setExpandedId(expandedId === promo.id ? null : promo.id)}
+                className="flex items-start space-x-2 text-left"
+              >
+                {expandedId === promo.id
+                  ? <ChevronDown className="w-4 h-4 mt-0.5 text-gray-400" />
+                  : <ChevronRight className="w-4 h-4 mt-0.5 text-gray-400" />}
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-3">
+                    <span className={`font-mono text-sm font-semibold ${promo.active ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                      {promo.code}
+                    </span>
+                    <Badge variant="outline" className="text-xs text-green-600 border-green-200">
+                      {promo.redemptionCount}{promo.maxUses ? ` / ${promo.maxUses}` : ''} redeemed
+                    </Badge>
+                    {promo.description && <span className="text-sm text-gray-600">{promo.description}</span>}
+                  </div>
+                  <p className="text-xs text-gray-500">{describePromoCode(promo)}</p>
+                  {describeEligibility(promo) && <p className="text-xs text-gray-500">{describeEligibility(promo)}</p>}
+                </div>
+              </button>
+              <div className="flex items-center space-x-3">
+                <label className="relative inline-flex items-center cursor-pointer" title="Accept this code">
+                  <input
+                    type="checkbox"
+                    checked={promo.active}
+                    onChange={(e) => updateMutation.mutate({ id: promo.id, data: { active: e.target.checked } })}
+                    className="sr-only peer"
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                </label>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(promo)}
+                  disabled={promo.redemptionCount > 0}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+            {expandedId === promo.id && (
+              <div className="px-4 pb-4 border-t border-gray-100 pt-3">
+                <PromoRedemptions promoId={promo.id} />
+              </div>
+            )}
+          </div>
+        ))}
+
+        {showAddForm && (
+          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+            <h5 className="text-sm font-medium text-gray-700 mb-4">Add Promo Code</h5>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Code</label>
+                <Input
+                  value={newPromo.code}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                  placeholder="e.g., SUMMER10"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Description</label>
+                <Input
+                  value={newPromo.description}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="Shown to staff only"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Discount</label>
+                <CustomSelect
+                  value={newPromo.discountType}
+                  onChange={(value) => setNewPromo(prev => ({ ...prev, discountType: value }))}
+                  options={PROMO_DISCOUNT_TYPES}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">
+                  {newPromo.discountType === 'percent' ? 'Percent off' : 'Amount off ($)'}
+                </label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={newPromo.amount}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, amount: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Bookings from</label>
+                <Input
+                  type="date"
+                  value={newPromo.validFrom}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, validFrom: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Bookings until</label>
+                <Input
+                  type="date"
+                  value={newPromo.validUntil}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, validUntil: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Starting no earlier than</label>
+                <Input
+                  type="time"
+                  value={newPromo.startTime}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, startTime: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Ending no later than</label>
+                <Input
+                  type="time"
+                  value={newPromo.endTime}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, endTime: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2 md:col-span-2">
+                <label className="text-sm font-medium text-gray-700">Rooms (none selected means every room)</label>
+                <div className="flex flex-wrap gap-3">
+                  {rooms.map(room => (
+                    <label key={room.id} className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newPromo.roomIds.includes(room.id)}
+                        onChange={() => setNewPromo(prev => ({ ...prev, roomIds: toggleValue(prev.roomIds, room.id) }))}
+                        className="rounded border-gray-300"
+                      />
+                      <span>{room.name}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2 md:col-span-2">
+                <label className="text-sm font-medium text-gray-700">Days (none selected means every day)</label>
+                <div className="flex flex-wrap gap-2">
+                  {WEEKDAYS.map((label, day) => (
+                    <label key={label} className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newPromo.daysOfWeek.includes(day)}
+                        onChange={() => setNewPromo(prev => ({ ...prev, daysOfWeek: toggleValue(prev.daysOfWeek, day) }))}
+                        className="rounded border-gray-300"
+                      />
+                      <span>{label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Minimum booking (minutes)</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={newPromo.minDurationMinutes}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, minDurationMinutes: e.target.value }))}
+                  placeholder="Any length"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Total uses</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={newPromo.maxUses}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, maxUses: e.target.value }))}
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Uses per customer</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={newPromo.maxUsesPerCustomer}
+                  onChange={(e) => setNewPromo(prev => ({ ...prev, maxUsesPerCustomer: e.target.value }))}
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="flex items-center space-x-2 pt-7">
+                  <input
+                    type="checkbox"
+                    checked={newPromo.stackable}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, stackable: e.target.checked }))}
+                    className="rounded border-gray-300"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Can be combined with other codes</span>
+                </label>
+              </div>
+            </div>
+            <div className="flex justify-end space-x-2 mt-4">
+              <Button
+                variant="ghost"
+                onClick={() => {
+                  setShowAddForm(false);
+                  setNewPromo(EMPTY_PROMO);
+                }}
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={handleAdd}
+                disabled={!newPromo.code.trim() || newPromo.amount === '' || createMutation.isPending}
+              >
+                Add Code
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PromoCodesSettings;
@@ -1,20 +1,130 @@
 import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import moment from 'moment';
+import toast from 'react-hot-toast';
+import { bookingsAPI, bookingFieldsAPI } from '../lib/api';
+import { formatCustomFieldValue } from '../utils/customFields';
+import { getFrontDeskActions, getStatusLabel, RELEASED_STATUSES } from '../utils/bookingLifecycle';
+import { describePolicyTiers } from '../utils/cancellations';
+import { formatCurrency } from '../utils/pricing';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Button } from './ui/Button';
 import { Badge } from './ui/Badge';
-import { X, Calendar, Clock, Users, Phone, Mail, User, Edit, Trash2, Copy } from 'lucide-react';
+import { X, Calendar, Clock, Users, Phone, Mail, User, Edit, Trash2, Copy, History, CalendarX } from 'lucide-react';
 import BookingConfirmation from './BookingConfirmation';
+import PriceQuoteSummary from './PriceQuoteSummary';
+import BookingPayments from './BookingPayments';
+import BookingDocuments from './BookingDocuments';
 
-const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNoShow }) => {
+// The cancellation policy a booking was made under, the fee it was charged on
+// cancelling or not showing up, and a way to waive that fee with a reason
+const CancellationFeeNotice = ({ booking }) => {
+  const queryClient = useQueryClient();
+  const [waiverReason, setWaiverReason] = useState('');
+  const [isWaiving, setIsWaiving] = useState(false);
+  const [waived, setWaived] = useState(null);
+
+  const waiveMutation = useMutation({
+    mutationFn: (reason) => bookingsAPI.waiveCancellationFee(booking._id, reason),
+    onSuccess: (response) => {
+      setWaived(response.data.booking);
+      setIsWaiving(false);
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['payment-ledger', booking._id] });
+      toast.success('Cancellation fee waived');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to waive the fee');
+    },
+  });
+
+  const current = waived || booking;
+  const released = RELEASED_STATUSES.includes(current.status);
+  const policy = current.cancellationPolicy;
+  if (!(released && current.cancellationFee > 0) && !policy) return null;
+
+  return (
+    <div className="bg-gray-50 p-2 rounded text-sm space-y-1">
+      <div className="flex items-center font-medium text-gray-700">
+        <CalendarX className="h-3 w-3 mr-1" />
+        Cancellation policy{policy?.name ? `: ${policy.name}` : ''}
+      </div>
+      {!released && policy && (
+        <p className="text-xs text-gray-500">
+          {[...describePolicyTiers(policy.tiers), `No-show: ${policy.noShowFeePercent || 0}%`].join(' · ')}
+        </p>
+      )}
+      {released && current.cancellationFee > 0 && (
+        <>
+          <div className="flex items-center justify-between">
+            <span className={current.cancellationFeeWaivedAt ? 'text-gray-400 line-through' : 'text-gray-700'}>
+              {current.status === 'no_show' ? 'No-show' : 'Cancellation'} fee {formatCurrency(current.cancellationFee)}
+              {current.cancellationFeePercent != null && ` (${current.cancellationFeePercent}%)`}
+            </span>
+            {!current.cancellationFeeWaivedAt && !isWaiving && (
+              <Button variant="outline" size="sm" onClick={() => setIsWaiving(true)}>
+                Waive Fee
+              </Button>
+            )}
+          </div>
+          {current.cancellationFeeWaivedAt && (
+            <p className="text-xs text-gray-500">
+              Waived {moment(current.cancellationFeeWaivedAt).format('MMM DD, h:mm A')}: {current.cancellationFeeWaiverReason}
+            </p>
+          )}
+          {isWaiving && (
+            <div className="flex items-center space-x-2">
+              <input
+                value={waiverReason}
+                onChange={(e) => setWaiverReason(e.target.value)}
+                placeholder="Reason for waiving"
+                className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+              <Button
+                size="sm"
+                onClick={() => waiveMutation.mutate(waiverReason.trim())}
+                disabled={!waiverReason.trim() || waiveMutation.isPending}
+              >
+                {waiveMutation.isPending ? 'Saving...' : 'Waive'}
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => setIsWaiving(false)}>
+                <X className="h-3 w-3" />
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onStatusChange }) => {
   const [showConfirmation, setShowConfirmation] = useState(false);
+
+  const { data: historyData } = useQuery({
+    queryKey: ['booking-history', booking?._id, booking?.status],
+    queryFn: () => bookingsAPI.getHistory(booking._id),
+    enabled: isOpen && !!booking?._id,
+  });
+  const history = historyData?.data || [];
+
+  const { data: customFieldsData } = useQuery({
+    queryKey: ['booking-fields'],
+    queryFn: () => bookingFieldsAPI.getAll(),
+    enabled: isOpen,
+  });
+  const customFieldValues = (customFieldsData?.data || [])
+    .filter(field => booking?.customFields?.[field.key] != null);
   
   if (!isOpen || !booking) return null;
 
   const getStatusColor = (status) => {
     switch (status) {
       case 'confirmed': return 'bg-green-100 text-green-800';
+      case 'held': return 'bg-amber-100 text-amber-800';
       case 'pending': return 'bg-yellow-100 text-yellow-800';
+      case 'checked_in': return 'bg-sky-100 text-sky-800';
+      case 'in_progress': return 'bg-indigo-100 text-indigo-800';
       case 'cancelled': return 'bg-red-100 text-red-800';
       case 'completed': return 'bg-gray-100 text-gray-800';
       case 'no_show': return 'bg-orange-100 text-orange-800';
@@ -56,6 +166,9 @@ const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNo
         
         <CardHeader className="flex flex-row items-center space-y-0 pb-2 pr-10">
           <CardTitle className="text-lg font-semibold">Reservation Details</CardTitle>
+          {booking.confirmationCode && (
+            <span className="ml-3 font-mono text-sm text-gray-500">{booking.confirmationCode}</span>
+          )}
         </CardHeader>
         
         <CardContent className="space-y-4">
@@ -68,7 +181,7 @@ const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNo
               </h3>
               <div className="flex items-center space-x-2">
                 <Badge className={getStatusColor(booking.status)}>
-                  {booking.status || 'confirmed'}
+                  {getStatusLabel(booking.status || 'confirmed')}
                 </Badge>
                 <Badge className={getSourceColor(booking.source)}>
                   {formatSource(booking.source)}
@@ -115,7 +228,7 @@ const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNo
 
 
           {/* Additional Information */}
-          {(booking.notes || booking.specialRequests || booking.pricing) && (
+          {(booking.notes || booking.specialRequests || booking.totalPrice != null) && (
             <div className="space-y-2">
               {booking.notes && (
                 <div className="bg-blue-50 p-2 rounded text-sm">
@@ -129,15 +242,69 @@ const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNo
                   <p className="text-orange-700 mt-1">{booking.specialRequests}</p>
                 </div>
               )}
-              {booking.pricing && (
+              {booking.totalPrice != null && (
                 <div className="bg-green-50 p-2 rounded text-sm">
                   <span className="font-medium text-green-800">Pricing:</span>
-                  <span className="text-green-700 ml-2">${booking.pricing}</span>
+                  {booking.priceLines?.length > 0 ? (
+                    <PriceQuoteSummary quote={{ ...booking, lines: booking.priceLines }} className="mt-1" />
+                  ) : (
+                    <span className="text-green-700 ml-2">${Number(booking.totalPrice).toFixed(2)}</span>
+                  )}
                 </div>
               )}
             </div>
           )}
 
+          {/* Custom Fields */}
+          {customFieldValues.length > 0 && (
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              {customFieldValues.map(field => (
+                <div key={field.id}>
+                  <span className="font-medium text-gray-700">{field.label}:</span>
+                  <span className="text-gray-600 ml-1">{formatCustomFieldValue(field, booking.customFields[field.key])}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Cancellation policy and fee */}
+          {booking._id && <CancellationFeeNotice key={booking._id} booking={booking} />}
+
+          {/* Payments */}
+          {booking._id && (
+            <div className="border-t pt-3">
+              <BookingPayments booking={booking} />
+            </div>
+          )}
+
+          {/* Invoices and receipts */}
+          {booking._id && (
+            <div className="border-t pt-3">
+              <BookingDocuments booking={booking} />
+            </div>
+          )}
+
+          {/* Status History */}
+          {history.length > 0 && (
+            <div className="space-y-1 text-sm">
+              <div className="flex items-center font-medium text-gray-700">
+                <History className="h-3 w-3 mr-1" />
+                Status history
+              </div>
+              {history.map(change => (
+                <div key={change.id} className="flex items-center justify-between text-gray-600">
+                  <span>
+                    {change.fromStatus
+                      ? `${getStatusLabel(change.fromStatus)} → ${getStatusLabel(change.toStatus)}`
+                      : `Created as ${getStatusLabel(change.toStatus)}`}
+                    {change.source === 'system' && <span className="text-gray-400"> (automatic)</span>}
+                  </span>
+                  <span className="text-gray-500">{moment(change.changedAt).format('MMM DD, h:mm A')}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex flex-wrap gap-2 pt-3 border-t">
             {onEdit && (
@@ -150,16 +317,17 @@ const ReservationViewModal = ({ isOpen, onClose, booking, onEdit, onDelete, onNo
                 Edit
               </Button>
             )}
-            {onNoShow && booking.status === 'confirmed' && (
+            {onStatusChange && getFrontDeskActions(booking.status || 'confirmed').map(action => (
               <Button
-                onClick={() => onNoShow(booking)}
+                key={action.status}
+                onClick={() => onStatusChange(booking, action.status)}
                 size="sm"
-                className="bg-orange-600 hover:bg-orange-700"
+                className={action.status === 'no_show' ? 'bg-orange-600 hover:bg-orange-700' : 'bg-green-600 hover:bg-green-700'}
               >
                 <User className="h-3 w-3 mr-1" />
-                No Show
+                {action.label}
               </Button>
-            )}
+            ))}
             <Button
               variant="outline"
               size="sm"
@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { bookingsAPI, roomBlocksAPI } from '../lib/api';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Wrench, X, Plus, Trash2, Users, Clock, ArrowRight, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getConflictMessage } from '../utils/bookingConflicts';
+import { describeRRule } from '../utils/recurrence';
+
+const emptyForm = (date, roomId) => ({
+  roomId: roomId || '',
+  reason: '',
+  date: moment(date).format('YYYY-MM-DD'),
+  from: '18:00',
+  to: '23:00',
+  frequency: 'none',
+  count: 4,
+});
+
+const formatWindow = (start, end) => `${moment(start).format('ddd MMM D, h:mm A')} – ${moment(end).format('h:mm A')}`;
+
+// Take rooms out of service for maintenance. Bookings already in the way are listed with a
+// free room of the same kind to move each one to.
+const RoomBlocksModal = ({ isOpen, onClose, rooms = [], selectedDate }) => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm(selectedDate));
+  // Bookings the last previewed or created block lands on; `created` once it is saved
+  const [report, setReport] = useState(null);
+  const [movedIds, setMovedIds] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(emptyForm(selectedDate, rooms[0]?._id || rooms[0]?.id));
+      setReport(null);
+      setMovedIds([]);
+    }
+  }, [isOpen, selectedDate]);
+
+  const { data: blocksData, isLoading } = useQuery({
+    queryKey: ['room-blocks'],
+    queryFn: () => roomBlocksAPI.getAll(),
+    enabled: isOpen,
+  });
+  const blocks = blocksData?.data || [];
+
+  const buildBlock = () => {
+    const startTime = moment(`${formData.date} ${formData.from}`, 'YYYY-MM-DD HH:mm');
+    const endTime = moment(`${formData.date} ${formData.to}`, 'YYYY-MM-DD HH:mm');
+    // A block like 20:00–02:00 runs past midnight
+    if (!endTime.isAfter(startTime)) endTime.add(1, 'day');
+    return {
+      roomId: parseInt(formData.roomId),
+      reason: formData.reason.trim(),
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      recurrence: formData.frequency === 'none'
+        ? undefined
+        : { frequency: formData.frequency, count: parseInt(formData.count) || 1 },
+    };
+  };
+
+  const blockMutation = useMutation({
+    mutationFn: ({ dryRun }) => roomBlocksAPI.create({ ...buildBlock(), dryRun }),
+    onSuccess: (response, { dryRun }) => {
+      const { affected } = response.data;
+      setReport({ affected, created: !dryRun });
+      setMovedIds([]);
+      if (!dryRun) {
+        toast.success('Room blocked');
+        queryClient.invalidateQueries({ queryKey: ['room-blocks'] });
+        queryClient.invalidateQueries({ queryKey: ['room-block-occurrences'] });
+        setShowForm(false);
+      } else if (affected.length === 0) {
+        toast.success('No bookings are in the way');
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to block room');
+    },
+  });
+
+  const deleteBlockMutation = useMutation({
+    mutationFn: (id) => roomBlocksAPI.delete(id),
+    onSuccess: () => {
+      toast.success('Room back in service');
+      queryClient.invalidateQueries({ queryKey: ['room-blocks'] });
+      queryClient.invalidateQueries({ queryKey: ['room-block-occurrences'] });
+    },
+    onError: () => {
+      toast.error('Failed to remove room block');
+    },
+  });
+
+  const moveMutation = useMutation({
+    mutationFn: (booking) => bookingsAPI.move({
+      bookingId: booking.id,
+      newRoomId: booking.replacementRoom.id,
+      newTimeIn: booking.startTime,
+      newTimeOut: booking.endTime,
+    }),
+    onSuccess: (_resp, booking) => {
+      toast.success(`Moved ${booking.customerName} to ${booking.replacementRoom.name}`);
+      setMovedIds(prev => [...prev, booking.id]);
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+    },
+    onError: (error) => {
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to move booking');
+    },
+  });
+
+  const handleSubmit = (e, dryRun) => {
+    e.preventDefault();
+    if (!formData.roomId) {
+      toast.error('Choose a room to block');
+      return;
+    }
+    if (!formData.reason.trim()) {
+      toast.error('Give a reason for the block');
+      return;
+    }
+    blockMutation.mutate({ dryRun });
+  };
+
+  const moveAll = async () => {
+    const movable = report.affected.filter(booking => booking.replacementRoom && !movedIds.includes(booking.id));
+    for (const booking of movable) {
+      try {
+        await moveMutation.mutateAsync(booking);
+      } catch {
+        // Reported by the mutation; carry on with the rest
+      }
+    }
+  };
+
+  const roomName = (roomId) => rooms.find(r => (r._id || r.id) === roomId)?.name || `Room ${roomId}`;
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <CardHeader className="flex flex-row items-center justify-between pb-4">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <Wrench className="w-5 h-5 mr-2 text-blue-600" />
+            Room Blocks
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-900">Out of service ({blocks.length})</h3>
+              <Button size="sm" variant="outline" onClick={() => setShowForm(!showForm)}>
+                <Plus className="w-4 h-4 mr-1" />
+                Block a Room
+              </Button>
+            </div>
+
+            {showForm && (
+              <form onSubmit={(e) => handleSubmit(e, false)} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Room</label>
+                    <select
+                      value={formData.roomId}
+                      onChange={(e) => setFormData(prev => ({ ...prev, roomId: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                      {rooms.map(room => (
+                        <option key={room._id || room.id} value={room._id || room.id}>{room.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Reason</label>
+                    <Input
+                      placeholder="e.g., Mic repair, repainting"
+                      value={formData.reason}
+                      onChange={(e) => setFormData(prev => ({ ...prev, reason: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Date</label>
+                    <Input
+                      type="date"
+                      value={formData.date}
+                      onChange={(e) => setFormData(prev => ({ ...prev, date: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">From</label>
+                    <Input
+                      type="time"
+                      value={formData.from}
+                      onChange={(e) => setFormData(prev => ({ ...prev, from: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">To</label>
+                    <Input
+                      type="time"
+                      value={formData.to}
+                      onChange={(e) => setFormData(prev => ({ ...prev, to: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Repeat</label>
+                    <select
+                      value={formData.frequency}
+                      onChange={(e) => setFormData(prev => ({ ...prev, frequency: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                      <option value="none">Does not repeat</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="biweekly">Every other week</option>
+                      <option value="monthly">Monthly</option>
+                    </select>
+                  </div>
+                  {formData.frequency !== 'none' && (
+                    <div>
+                      <label className="text-xs font-medium text-gray-600">Times</label>
+                      <Input
+                        type="number"
+                        min="1"
+                        max="104"
+                        value={formData.count}
+                        onChange={(e) => setFormData(prev => ({ ...prev, count: e.target.value }))}
+                      />
+                    </div>
+                  )}
+                </div>
+                <div className="flex justify-end space-x-2">
+                  <Button type="button" variant="outline" onClick={() => setShowForm(false)}>
+                    Cancel
+                  </Button>
+                  <Button type="button" variant="outline" onClick={(e) => handleSubmit(e, true)} disabled={blockMutation.isPending}>
+                    Check Bookings
+                  </Button>
+                  <Button type="submit" disabled={blockMutation.isPending}>
+                    {blockMutation.isPending ? 'Saving...' : 'Block Room'}
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {/* Bookings in the way of the block */}
+            {report && report.affected.length > 0 && (
+              <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium text-yellow-900 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {report.created
+                      ? `${report.affected.length} booking(s) are in the blocked room`
+                      : `This block would land on ${report.affected.length} booking(s)`}
+                  </p>
+                  {report.created && report.affected.some(b => b.replacementRoom && !movedIds.includes(b.id)) && (
+                    <Button size="sm" onClick={moveAll} disabled={moveMutation.isPending}>
+                      Move All
+                    </Button>
+                  )}
+                </div>
+                {report.affected.map(booking => (
+                  <div key={booking.id} className="flex items-center justify-between bg-white rounded-md px-3 py-2 border border-gray-200">
+                    <div className="text-sm">
+                      <span className="font-medium">{booking.customerName}</span>
+                      <span className="text-gray-500 ml-2">
+                        <Users className="w-3 h-3 inline mr-1" />{booking.partySize}
+                      </span>
+                      <span className="text-gray-500 ml-2">{formatWindow(booking.startTime, booking.endTime)}</span>
+                      <span className="text-gray-500 ml-2">{booking.roomName}</span>
+                      {booking.replacementRoom && (
+                        <span className="text-gray-700 ml-2">
+                          <ArrowRight className="w-3 h-3 inline mr-1" />{booking.replacementRoom.name}
+                        </span>
+                      )}
+                    </div>
+                    {movedIds.includes(booking.id) ? (
+                      <span className="text-xs text-green-700">Moved</span>
+                    ) : !booking.replacementRoom ? (
+                      <span className="text-xs text-gray-500">
+                        {booking.roomGroupId ? 'Combined booking; reschedule it' : 'No free room; reschedule it'}
+                      </span>
+                    ) : report.created ? (
+                      <Button size="sm" variant="outline" onClick={() => moveMutation.mutate(booking)} disabled={moveMutation.isPending}>
+                        Move
+                      </Button>
+                    ) : null}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="text-sm text-gray-500">Loading room blocks...</div>
+            ) : blocks.length === 0 ? (
+              <div className="text-sm text-gray-500">Every room is in service.</div>
+            ) : (
+              <div className="space-y-2">
+                {blocks.map(block => (
+                  <div key={block.id} className="flex items-start justify-between border border-gray-200 rounded-lg px-3 py-2">
+                    <div className="text-sm space-y-1">
+                      <div className="font-medium text-gray-900">
+                        {block.roomName || roomName(block.roomId)}
+                        <span className="text-gray-500 font-normal ml-2">{block.reason}</span>
+                      </div>
+                      <div className="text-gray-600 flex items-center">
+                        <Clock className="w-3 h-3 mr-1" />
+                        {formatWindow(block.startTime, block.endTime)}
+                        {block.rrule && <span className="ml-2">· {describeRRule(block.rrule)}</span>}
+                      </div>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => deleteBlockMutation.mutate(block.id)}
+                      title="Put the room back in service"
+                    >
+                      <Trash2 className="w-4 h-4 text-red-500" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RoomBlocksModal;
@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomCategoriesAPI } from '../lib/api';
+import { DEPOSIT_TYPES } from '../utils/payments';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import CustomSelect from './ui/CustomSelect';
+import { Tag, Plus, Trash2, Edit, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_CATEGORY = {
+  name: '',
+  description: '',
+  defaultHourlyRate: '',
+  defaultCapacity: '',
+  color: '#3B82F6',
+  depositType: 'percent',
+  depositAmount: ''
+};
+
+// Everything that names a category and so changes when one is renamed or removed
+const CATEGORY_QUERY_KEYS = [
+  ['room-categories'], ['rooms'], ['deposit-settings'], ['buffer-settings'],
+  ['pricing-rules'], ['cancellation-policies'], ['waitlist']
+];
+
+const formatDeposit = (deposit) => (
+  deposit.type === 'percent' ? `${deposit.amount}% deposit` : `$${deposit.amount} deposit`
+);
+
+// Room categories and the defaults a new room in each starts with. Renaming a category
+// renames it on its rooms and in pricing, buffers, deposits, cancellation policies and
+// the waitlist; a category cannot be removed while rooms are in it.
+const RoomCategoriesSettings = ({ rooms }) => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+
+  const { data: categoriesData, isLoading } = useQuery({
+    queryKey: ['room-categories', 'details'],
+    queryFn: () => roomCategoriesAPI.getAll(),
+  });
+  const categories = categoriesData?.data || [];
+
+  const invalidateCategoryQueries = () => {
+    CATEGORY_QUERY_KEYS.forEach(queryKey => queryClient.invalidateQueries({ queryKey }));
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? roomCategoriesAPI.update(id, data) : roomCategoriesAPI.create(data)),
+    onSuccess: (_, { id }) => {
+      invalidateCategoryQueries();
+      toast.success(id ? 'Category updated' : 'Category added');
+      closeForm();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save category');
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => roomCategoriesAPI.delete(id),
+    onSuccess: () => {
+      invalidateCategoryQueries();
+      toast.success('Category removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to remove category');
+    },
+  });
+
+  const startEdit = (category) => {
+    setEditingId(category.id);
+    setForm({
+      name: category.name,
+      description: category.description || '',
+      defaultHourlyRate: category.defaultHourlyRate ?? '',
+      defaultCapacity: category.defaultCapacity ?? '',
+      color: category.color || '#3B82F6',
+      depositType: category.deposit?.type || 'percent',
+      depositAmount: category.deposit?.amount ?? ''
+    });
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      toast.error('Give the category a name');
+      return;
+    }
+    const defaultHourlyRate = form.defaultHourlyRate === '' ? null : parseFloat(form.defaultHourlyRate);
+    if (defaultHourlyRate !== null && (Number.isNaN(defaultHourlyRate) || defaultHourlyRate < 0)) {
+      toast.error('The default hourly rate must be zero or more');
+      return;
+    }
+    const defaultCapacity = form.defaultCapacity === '' ? null : parseInt(form.defaultCapacity, 10);
+    if (defaultCapacity !== null && (Number.isNaN(defaultCapacity) || defaultCapacity < 1)) {
+      toast.error('The default capacity must be at least 1');
+      return;
+    }
+    // A blank or zero amount means no deposit, as on the deposit settings
+    const depositAmount = parseFloat(form.depositAmount);
+    if (form.depositType === 'percent' && depositAmount > 100) {
+      toast.error('A deposit cannot be more than 100%');
+      return;
+    }
+    saveMutation.mutate({
+      id: editingId,
+      data: {
+        name: form.name.trim(),
+        description: form.description.trim() || null,
+        defaultHourlyRate,
+        defaultCapacity,
+        color: form.color,
+        deposit: depositAmount > 0 ? { type: form.depositType, amount: depositAmount } : null
+      }
+    });
+  };
+
+  const handleRemove = (category) => {
+    if (window.confirm(`Remove the ${category.name} category? Its buffer and deposit settings are removed with it.`)) {
+      deleteMutation.mutate(category.id);
+    }
+  };
+
+  const roomCount = (category) => rooms.filter(room => room.category === category.name).length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center text-lg">
+            <Tag className="w-5 h-5 mr-2 text-blue-600" />
+            Room Categories
+          </CardTitle>
+          <Button onClick={() => { setEditingId(null); setForm(EMPTY_CATEGORY); }} className="text-sm">
+            <Plus className="w-4 h-4 mr-2" />
+            Add Category
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          A new room starts with its category's hourly rate, capacity and colour. Renaming a category renames it
+          everywhere it is used; move a category's rooms elsewhere before removing it.
+        </p>
+
+        {isLoading && <p className="text-sm text-gray-500">Loading categories…</p>}
+        {!isLoading && categories.length === 0 && (
+          <p className="text-sm text-gray-500">No room categories yet.</p>
+        )}
+
+        {categories.map(category => (
+          <div key={category.id} className="flex items-start justify-between border border-gray-200 rounded-lg p-4">
+            <div className="space-y-1">
+              <div className="flex items-center space-x-3">
+                <span
+                  className="w-3 h-3 rounded-full border border-gray-300"
+                  style={{ backgroundColor: category.color || 'transparent' }}
+                />
+                <span className="text-sm font-semibold text-gray-800">{category.name}</span>
+                <Badge variant="outline" className="text-xs">
+                  {roomCount(category) === 1 ? '1 room' : `${roomCount(category)} rooms`}
+                </Badge>
+                {category.deposit && (
+                  <Badge className="bg-blue-100 text-blue-800 text-xs">{formatDeposit(category.deposit)}</Badge>
+                )}
+              </div>
+              {category.description && <p className="text-xs text-gray-500">{category.description}</p>}
+              <p className="text-xs text-gray-500">
+                {category.defaultHourlyRate !== null && category.defaultHourlyRate !== undefined
+                  ? `$${category.defaultHourlyRate}/hr`
+                  : 'No default rate'}
+                {category.defaultCapacity ? (
+                  <span className="ml-3">
+                    <Users className="w-3 h-3 mr-1 inline" />
+                    {category.defaultCapacity} people
+                  </span>
+                ) : null}
+              </p>
+            </div>
+            <div className="flex items-center space-x-3">
+              <Button variant="ghost" size="sm" onClick={() => startEdit(category)}>
+                <Edit className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => handleRemove(category)} className="text-red-500 hover:text-red-700">
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-4">
+            <h5 className="text-sm font-medium text-gray-700">{editingId ? 'Edit Category' : 'Add Category'}</h5>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Name</label>
+                <Input
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., Deluxe"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Colour</label>
+                <input
+                  type="color"
+                  value={form.color}
+                  onChange={(e) => setForm(prev => ({ ...prev, color: e.target.value }))}
+                  className="w-full h-10 border border-gray-300 rounded-md"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Default hourly rate ($)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.defaultHourlyRate}
+                  onChange={(e) => setForm(prev => ({ ...prev, defaultHourlyRate: e.target.value }))}
+                  placeholder="None"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Default capacity</label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={form.defaultCapacity}
+                  onChange={(e) => setForm(prev => ({ ...prev, defaultCapacity: e.target.value }))}
+                  placeholder="None"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Deposit</label>
+                <CustomSelect
+                  value={form.depositType}
+                  onChange={(value) => setForm(prev => ({ ...prev, depositType: value }))}
+                  options={DEPOSIT_TYPES}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-700">Deposit amount</label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.depositAmount}
+                  onChange={(e) => setForm(prev => ({ ...prev, depositAmount: e.target.value }))}
+                  placeholder="None"
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Description</label>
+              <Input
+                value={form.description}
+                onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="Optional"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button variant="outline" onClick={closeForm}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : editingId ? 'Save Category' : 'Add Category'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RoomCategoriesSettings;
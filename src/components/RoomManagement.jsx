@@ -1,12 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { roomsAPI } from '../lib/api';
+import { roomsAPI, roomCategoriesAPI, roomFieldsAPI } from '../lib/api';
 import { useSettings } from '../contexts/SettingsContext';
+import { formatCustomFieldValue, getCustomFieldErrors, validateCustomFieldValues } from '../utils/customFields';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Button } from './ui/Button';
 import { Input } from './ui/Input';
 import { Badge } from './ui/Badge';
 import CustomSelect from './ui/CustomSelect';
+import CombinedRoomsSettings from './CombinedRoomsSettings';
+import RoomCategoriesSettings from './RoomCategoriesSettings';
+import RoomPhotoGallery from './RoomPhotoGallery';
+import CustomFieldInput from './CustomFieldInput';
 import { 
   Plus, 
   Edit, 
@@ -32,6 +37,8 @@ const RoomManagement = () => {
   const [showForm, setShowForm] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterCategory, setFilterCategory] = useState('all');
+  // Per-field messages from the server for the custom fields on the open form
+  const [customFieldErrors, setCustomFieldErrors] = useState({});
   const queryClient = useQueryClient();
 
   // Fetch rooms
@@ -46,8 +53,27 @@ const RoomManagement = () => {
     queryFn: () => roomsAPI.getCategories(),
   });
 
+  // Categories with the defaults a new room takes from them
+  const { data: categoryDetailsData } = useQuery({
+    queryKey: ['room-categories', 'details'],
+    queryFn: () => roomCategoriesAPI.getAll(),
+  });
+
+  // The venue's custom room field schema
+  const { data: roomFieldsData } = useQuery({
+    queryKey: ['room-fields'],
+    queryFn: () => roomFieldsAPI.getAll(),
+  });
+
   const rooms = roomsData?.data || [];
   const categories = categoriesData?.data || [];
+  const roomCategories = categoryDetailsData?.data || [];
+  const customRoomFields = roomFieldsData?.data || [];
+
+  const handleSaveError = (error, fallback) => {
+    setCustomFieldErrors(getCustomFieldErrors(error));
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
 
   // Filter rooms
   const filteredRooms = rooms.filter(room => {
@@ -68,7 +94,7 @@ const RoomManagement = () => {
       setSelectedRoom(null);
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to create room');
+      handleSaveError(error, 'Failed to create room');
     },
   });
 
@@ -90,8 +116,7 @@ const RoomManagement = () => {
       setSelectedRoom(null);
     },
     onError: (error) => {
-      // Room update failed - error handling removed for clean version
-      toast.error(error.response?.data?.error || 'Failed to update room');
+      handleSaveError(error, 'Failed to update room');
     },
   });
 
@@ -110,12 +135,14 @@ const RoomManagement = () => {
   });
 
   const handleEdit = (room) => {
+    setCustomFieldErrors({});
     setSelectedRoom(room);
     setIsEditing(true);
     setShowForm(true);
   };
 
   const handleCreate = () => {
+    setCustomFieldErrors({});
     setSelectedRoom(null);
     setIsEditing(false);
     setShowForm(true);
@@ -156,7 +183,6 @@ const RoomManagement = () => {
 
   // Get room form fields configuration
   const roomFormFields = settings.roomFormFields || {};
-  const customRoomFields = settings.customRoomFields || [];
 
   // Helper function to render room information based on field visibility
   const renderRoomInfo = (room) => {
@@ -189,9 +215,13 @@ const RoomManagement = () => {
 
     // Check custom fields
     customRoomFields.forEach((customField) => {
-      if (customField.visible && room[customField.name] !== undefined && room[customField.name] !== null && room[customField.name] !== '') {
-        const label = customField.label || customField.name;
-        visibleFields.push({ label, value: room[customField.name], fieldKey: customField.name });
+      const value = room.customFields?.[customField.key];
+      if (customField.visible && value !== undefined && value !== null && value !== '') {
+        visibleFields.push({
+          label: customField.label,
+          value: `${customField.label}: ${formatCustomFieldValue(customField, value)}`,
+          fieldKey: `custom.${customField.key}`
+        });
       }
     });
 
@@ -354,6 +384,12 @@ const RoomManagement = () => {
         </Card>
       )}
 
+      {/* Categories and the defaults new rooms take from them */}
+      <RoomCategoriesSettings rooms={rooms} />
+
+      {/* Rooms that can be booked together */}
+      <CombinedRoomsSettings rooms={rooms} />
+
       {/* Room Form Modal */}
       {showForm && (
         <RoomForm
@@ -376,7 +412,9 @@ const RoomManagement = () => {
             }
           }}
           saving={isEditing ? updateRoomMutation.isPending : createRoomMutation.isPending}
-          categories={categories}
+          roomCategories={roomCategories}
+          customRoomFields={customRoomFields}
+          serverErrors={customFieldErrors}
         />
       )}
     </div>
@@ -384,7 +422,7 @@ const RoomManagement = () => {
 };
 
 // Room Form Component
-const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false }) => {
+const RoomForm = ({ room, isEditing, onClose, onSave, roomCategories = [], customRoomFields = [], serverErrors, saving = false }) => {
   const { settings } = useSettings();
   const [formData, setFormData] = useState({
     name: '',
@@ -397,14 +435,33 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
     amenities: [],
     hourlyRate: 0,
     isBookable: true,
-    sortOrder: 0
+    sortOrder: 0,
+    bufferBeforeMinutes: '',
+    bufferAfterMinutes: '',
+    customFields: {}
   });
 
   const [newAmenity, setNewAmenity] = useState('');
+  const [customFieldErrors, setCustomFieldErrors] = useState({});
 
   // Get room form fields configuration
   const roomFormFields = settings.roomFormFields || {};
-  const customRoomFields = settings.customRoomFields || [];
+
+  // The rate, capacity and colour a new room takes from category `name`, where it has them
+  const getCategoryDefaults = (name) => {
+    const category = roomCategories.find(c => c.name === name);
+    if (!category) return {};
+    const defaults = {};
+    if (category.defaultHourlyRate !== null && category.defaultHourlyRate !== undefined) defaults.hourlyRate = category.defaultHourlyRate;
+    if (category.defaultCapacity) defaults.capacity = category.defaultCapacity;
+    if (category.color) defaults.color = category.color;
+    return defaults;
+  };
+
+  // Messages from a rejected save replace the ones found before sending
+  useEffect(() => {
+    setCustomFieldErrors(serverErrors || {});
+  }, [serverErrors]);
 
   // Update form data when room prop changes
   useEffect(() => {
@@ -419,21 +476,15 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
       amenities: [],
       hourlyRate: 0,
       isBookable: true,
-      sortOrder: 0
+      sortOrder: 0,
+      bufferBeforeMinutes: '',
+      bufferAfterMinutes: '',
+      customFields: {}
     };
 
-    // Initialize custom fields
-    const customFieldsData = {};
-    customRoomFields.forEach(customField => {
-      if (customField.visible) {
-        customFieldsData[customField.name] = '';
-      }
-    });
-
     if (room && isEditing) {
       setFormData({
         ...baseFormData,
-        ...customFieldsData,
         name: room.name || '',
         capacity: room.capacity || 8,
         type: room.type || 'medium',
@@ -445,30 +496,38 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
         hourlyRate: room.hourlyRate || 0,
         isBookable: room.isBookable !== undefined ? room.isBookable : true,
         sortOrder: room.sortOrder || 0,
-        // Add custom field values from room data
-        ...customRoomFields.reduce((acc, field) => {
-          if (field.visible && room[field.name] !== undefined) {
-            acc[field.name] = room[field.name];
-          }
-          return acc;
-        }, {})
+        bufferBeforeMinutes: room.bufferBeforeMinutes ?? '',
+        bufferAfterMinutes: room.bufferAfterMinutes ?? '',
+        customFields: room.customFields || {}
       });
     } else if (!room && !isEditing) {
-      // Reset form for new room creation
-      setFormData({
-        ...baseFormData,
-        ...customFieldsData
-      });
+      // Reset form for new room creation, starting from the first category's defaults
+      const category = roomCategories[0]?.name || baseFormData.category;
+      setFormData({ ...baseFormData, category, ...getCategoryDefaults(category) });
     }
-  }, [room, isEditing, customRoomFields]);
+  }, [room, isEditing]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     // console.log (removed for clean version)('🔧 Form submitted with data:', formData);
+    // Only fields in the schema are sent; the server rejects unknown keys
+    const customFields = Object.fromEntries(
+      customRoomFields.map(field => [field.key, formData.customFields[field.key]])
+    );
+    const { errors: fieldErrors } = validateCustomFieldValues(customFields, customRoomFields);
+    setCustomFieldErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      toast.error(Object.values(fieldErrors)[0]);
+      return;
+    }
     // Provide server-compatible data, ensuring required fields exist
     const payload = {
       ...formData,
+      customFields,
       isActive: formData.status !== 'inactive',
+      // Blank buffers inherit the category/global setting
+      bufferBeforeMinutes: formData.bufferBeforeMinutes === '' ? null : parseInt(formData.bufferBeforeMinutes, 10),
+      bufferAfterMinutes: formData.bufferAfterMinutes === '' ? null : parseInt(formData.bufferAfterMinutes, 10),
     };
     // console.log (removed for clean version)('🔧 Form payload:', payload);
     onSave(payload);
@@ -502,7 +561,9 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
     const fieldType = fieldConfig.type || 'text';
 
     const handleChange = (newValue) => {
-      setFormData(prev => ({ ...prev, [fieldKey]: newValue }));
+      // Picking a category for a new room fills in that category's defaults
+      const defaults = fieldKey === 'category' && !isEditing ? getCategoryDefaults(newValue) : {};
+      setFormData(prev => ({ ...prev, [fieldKey]: newValue, ...defaults }));
     };
 
     switch (fieldType) {
@@ -546,13 +607,7 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
             { value: 'party', label: 'Party (up to 25 people)' }
           ];
         } else if (fieldKey === 'category') {
-          options = [
-            { value: 'Standard', label: 'Standard' },
-            { value: 'Premium', label: 'Premium' },
-            { value: 'VIP', label: 'VIP' },
-            ...categories.filter(cat => !['Standard', 'Premium', 'VIP'].includes(cat))
-              .map(category => ({ value: category, label: category }))
-          ];
+          options = roomCategories.map(category => ({ value: category.name, label: category.name }));
         } else if (fieldKey === 'status') {
           options = [
             { value: 'active', label: 'Active' },
@@ -681,6 +736,32 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
               {renderFormField('sortOrder', roomFormFields.sortOrder)}
             </div>
 
+            {/* Turnover buffer overrides */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Setup Buffer (minutes)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="240"
+                  value={formData.bufferBeforeMinutes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, bufferBeforeMinutes: e.target.value }))}
+                  placeholder="Inherit from category"
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Cleanup Buffer (minutes)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="240"
+                  value={formData.bufferAfterMinutes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, bufferAfterMinutes: e.target.value }))}
+                  placeholder="Inherit from category"
+                />
+              </div>
+            </div>
+
             {/* Description Field */}
             {renderFormField('description', roomFormFields.description)}
 
@@ -716,19 +797,33 @@ const RoomForm = ({ room, isEditing, onClose, onSave, categories, saving = false
               </div>
             )}
 
+            {/* Photos are stored against the room, so it has to exist first */}
+            {isEditing && room ? (
+              <RoomPhotoGallery roomId={room._id || room.id} />
+            ) : (
+              <p className="text-sm text-gray-500">Photos can be added once the room is created.</p>
+            )}
+
             {/* Checkbox Fields */}
             {renderFormField('isBookable', roomFormFields.isBookable)}
 
             {/* Custom Fields */}
-            {customRoomFields.map((customField) => {
-              if (!customField.visible) return null;
-
-              return (
-                <div key={customField.id}>
-                  {renderFormField(customField.name, customField)}
-                </div>
-              );
-            })}
+            {customRoomFields.some(field => field.visible) && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {customRoomFields.filter(field => field.visible).map((customField) => (
+                  <CustomFieldInput
+                    key={customField.id}
+                    field={customField}
+                    value={formData.customFields[customField.key]}
+                    onChange={(value) => setFormData(prev => ({
+                      ...prev,
+                      customFields: { ...prev.customFields, [customField.key]: value }
+                    }))}
+                    error={customFieldErrors[customField.key]}
+                  />
+                ))}
+              </div>
+            )}
 
             {/* Actions */}
             <div className="flex justify-end space-x-3 pt-4 border-t">
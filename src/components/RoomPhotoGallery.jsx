@@ -0,0 +1,177 @@
+import React, { useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomsAPI } from '../lib/api';
+import { IMAGE_ACCEPT, readImageFile } from '../utils/images';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { Input } from './ui/Input';
+import { ChevronLeft, ChevronRight, ImagePlus, Star, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Photo gallery editor for one room: upload, caption, reorder, pick the cover and remove.
+// The cover is the room's picture elsewhere, such as on the schedule.
+const RoomPhotoGallery = ({ roomId }) => {
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const { data: photosData, isLoading } = useQuery({
+    queryKey: ['room-photos', roomId],
+    queryFn: () => roomsAPI.getPhotos(roomId),
+  });
+  const photos = photosData?.data || [];
+
+  // The cover also shows on the room itself
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['room-photos', roomId] });
+    queryClient.invalidateQueries({ queryKey: ['rooms'] });
+  };
+
+  const showError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
+
+  const updateMutation = useMutation({
+    mutationFn: ({ photoId, data }) => roomsAPI.updatePhoto(roomId, photoId, data),
+    onSuccess: refresh,
+    onError: showError('Failed to update photo'),
+  });
+
+  const reorderMutation = useMutation({
+    mutationFn: (photoIds) => roomsAPI.reorderPhotos(roomId, photoIds),
+    onSuccess: refresh,
+    onError: showError('Failed to reorder photos'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (photoId) => roomsAPI.deletePhoto(roomId, photoId),
+    onSuccess: () => {
+      refresh();
+      toast.success('Photo removed');
+    },
+    onError: showError('Failed to remove photo'),
+  });
+
+  // Files are uploaded one at a time, so a failure leaves the ones before it in place
+  const handleFiles = async (files) => {
+    setUploading(true);
+    let uploaded = 0;
+    try {
+      for (const file of files) {
+        const { image, thumbnail } = await readImageFile(file);
+        await roomsAPI.uploadPhoto(roomId, { image, thumbnail });
+        uploaded += 1;
+      }
+    } catch (error) {
+      showError('Failed to upload photo')(error);
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      if (uploaded > 0) {
+        refresh();
+        toast.success(uploaded === 1 ? 'Photo added' : `${uploaded} photos added`);
+      }
+    }
+  };
+
+  const movePhoto = (index, offset) => {
+    const photoIds = photos.map(photo => photo.id);
+    [photoIds[index], photoIds[index + offset]] = [photoIds[index + offset], photoIds[index]];
+    reorderMutation.mutate(photoIds);
+  };
+
+  const saveCaption = (photo, caption) => {
+    if ((photo.caption || '') !== caption.trim()) {
+      updateMutation.mutate({ photoId: photo.id, data: { caption: caption.trim() || null } });
+    }
+  };
+
+  const handleRemove = (photo) => {
+    if (window.confirm('Remove this photo?')) {
+      deleteMutation.mutate(photo.id);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium">Photos</label>
+        <Button type="button" variant="outline" size="sm" onClick={() => fileInputRef.current?.click()} disabled={uploading}>
+          <ImagePlus className="w-4 h-4 mr-2" />
+          {uploading ? 'Uploading…' : 'Add Photos'}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={IMAGE_ACCEPT}
+          multiple
+          className="hidden"
+          onChange={(e) => e.target.files.length > 0 && handleFiles([...e.target.files])}
+        />
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-500">Loading photos…</p>}
+      {!isLoading && photos.length === 0 && (
+        <p className="text-sm text-gray-500">No photos yet. The first one added becomes the cover.</p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {photos.map((photo, index) => (
+          <div key={photo.id} className="border border-gray-200 rounded-lg overflow-hidden">
+            <div className="relative">
+              <a href={photo.url} target="_blank" rel="noreferrer">
+                <img src={photo.thumbnailUrl} alt={photo.caption || `Photo ${index + 1}`} className="w-full h-28 object-cover" />
+              </a>
+              {photo.isCover && (
+                <Badge className="absolute top-2 left-2 bg-yellow-100 text-yellow-800 text-xs">Cover</Badge>
+              )}
+            </div>
+            <div className="p-2 space-y-2">
+              <Input
+                key={`${photo.id}-${photo.caption || ''}`}
+                defaultValue={photo.caption || ''}
+                placeholder="Caption"
+                className="text-xs"
+                onBlur={(e) => saveCaption(photo, e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter saves the caption rather than submitting the room form
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.target.blur();
+                  }
+                }}
+              />
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <Button type="button" variant="ghost" size="sm" onClick={() => movePhoto(index, -1)} disabled={index === 0} title="Move earlier">
+                    <ChevronLeft className="w-4 h-4" />
+                  </Button>
+                  <Button type="button" variant="ghost" size="sm" onClick={() => movePhoto(index, 1)} disabled={index === photos.length - 1} title="Move later">
+                    <ChevronRight className="w-4 h-4" />
+                  </Button>
+                </div>
+                <div className="flex items-center">
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => updateMutation.mutate({ photoId: photo.id, data: { isCover: true } })}
+                    disabled={photo.isCover}
+                    title="Make cover photo"
+                  >
+                    <Star className={`w-4 h-4 ${photo.isCover ? 'fill-yellow-400 text-yellow-500' : ''}`} />
+                  </Button>
+                  <Button type="button" variant="ghost" size="sm" onClick={() => handleRemove(photo)} className="text-red-500 hover:text-red-700" title="Remove photo">
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RoomPhotoGallery;
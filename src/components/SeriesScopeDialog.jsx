@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Repeat, X } from 'lucide-react';
+
+const SCOPE_OPTIONS = [
+  { value: 'this', label: 'This booking', description: 'Only this occurrence changes' },
+  { value: 'following', label: 'This and following', description: 'This occurrence and every later one' },
+  { value: 'series', label: 'Entire series', description: 'All upcoming occurrences in the series' }
+];
+
+// Asks which occurrences of a recurring booking an edit or cancellation applies to
+const SeriesScopeDialog = ({ isOpen, action = 'edit', onConfirm, onClose, isLoading = false }) => {
+  const [scope, setScope] = useState('this');
+
+  useEffect(() => {
+    if (isOpen) {
+      setScope('this');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const title = action === 'cancel' ? 'Cancel recurring booking' : 'Edit recurring booking';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="flex flex-row items-center justify-between pb-4">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <Repeat className="w-5 h-5 mr-2 text-blue-600" />
+            {title}
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {SCOPE_OPTIONS.map(option => (
+            <label
+              key={option.value}
+              className={`flex items-start p-3 border rounded-lg cursor-pointer transition-colors ${
+                scope === option.value ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name="series-scope"
+                value={option.value}
+                checked={scope === option.value}
+                onChange={() => setScope(option.value)}
+                className="mt-1 mr-3"
+              />
+              <div>
+                <div className="text-sm font-medium text-gray-900">{option.label}</div>
+                <div className="text-xs text-gray-500">{option.description}</div>
+              </div>
+            </label>
+          ))}
+          <div className="flex justify-end space-x-2 pt-2">
+            <Button variant="outline" onClick={onClose} disabled={isLoading}>
+              Back
+            </Button>
+            <Button
+              variant={action === 'cancel' ? 'destructive' : 'primary'}
+              onClick={() => onConfirm(scope)}
+              disabled={isLoading}
+            >
+              {isLoading ? 'Saving...' : action === 'cancel' ? 'Cancel Booking' : 'Save Changes'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default SeriesScopeDialog;
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useMemo } from 'react';
 import moment from 'moment';
 import { useSettings } from '../contexts/SettingsContext';
 import { useBusinessHours } from '../contexts/BusinessHoursContext';
-import { roomsAPI, bookingsAPI } from '../lib/api';
+import { roomsAPI, bookingsAPI, settingsAPI } from '../lib/api';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
 import { Button } from './ui/Button';
 import { Badge } from './ui/Badge';
@@ -11,6 +11,12 @@ import CustomSelect from './ui/CustomSelect';
 import RoomManagement from './RoomManagement';
 import BookingManagement from './BookingManagement';
 import BusinessHoursSettings from './BusinessHoursSettings';
+import BookingRulesSettings from './BookingRulesSettings';
+import CustomFieldsSettings from './CustomFieldsSettings';
+import PricingRulesSettings from './PricingRulesSettings';
+import PromoCodesSettings from './PromoCodesSettings';
+import PaymentSettings from './PaymentSettings';
+import CancellationPolicySettings from './CancellationPolicySettings';
 import { 
   X, 
   RotateCcw, 
@@ -37,7 +43,12 @@ import {
   Info,
   AlertCircle,
   CheckCircle,
-  FileText
+  FileText,
+  Timer,
+  DollarSign,
+  Tag,
+  CreditCard,
+  CalendarX
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -80,6 +91,41 @@ const SettingsModal = ({ isOpen, onClose }) => {
       description: 'Booking rules, validation, and workflow',
       category: 'business'
     },
+    { 
+      id: 'booking-rules', 
+      label: 'Booking Rules', 
+      icon: Timer, 
+      description: 'Turnover buffers between bookings',
+      category: 'business'
+    },
+    { 
+      id: 'pricing', 
+      label: 'Pricing', 
+      icon: DollarSign, 
+      description: 'Peak and off-peak rates, surcharges, fees and tax',
+      category: 'business'
+    },
+    { 
+      id: 'promotions', 
+      label: 'Promotions', 
+      icon: Tag, 
+      description: 'Promo codes, limits and redemptions',
+      category: 'business'
+    },
+    { 
+      id: 'payments', 
+      label: 'Payments', 
+      icon: CreditCard, 
+      description: 'Deposits by room category',
+      category: 'business'
+    },
+    { 
+      id: 'cancellations', 
+      label: 'Cancellations', 
+      icon: CalendarX, 
+      description: 'Cancellation and no-show fees by room category',
+      category: 'business'
+    },
     { 
       id: 'form', 
       label: 'Form Fields', 
@@ -429,6 +475,11 @@ const SettingsModal = ({ isOpen, onClose }) => {
               {activeTab === 'business-hours' && <BusinessHoursSettings />}
               {activeTab === 'rooms' && <RoomManagement />}
               {activeTab === 'bookings' && <BookingManagement />}
+              {activeTab === 'booking-rules' && <BookingRulesSettings />}
+              {activeTab === 'pricing' && <PricingRulesSettings />}
+              {activeTab === 'promotions' && <PromoCodesSettings />}
+              {activeTab === 'payments' && <PaymentSettings />}
+              {activeTab === 'cancellations' && <CancellationPolicySettings />}
               {activeTab === 'form' && <BookingFormSettings />}
               {activeTab === 'room-fields' && <RoomFieldsSettings />}
               {activeTab === 'confirmation' && <ConfirmationTemplateSettings />}
@@ -853,7 +904,15 @@ const LayoutSettings = ({ currentLayout, setIsDraggingSlider }) => {
             <label className="text-sm font-medium text-gray-700 mb-2 block">Time Slot Interval</label>
             <select
               value={settings.timeInterval || 15}
-              onChange={(e) => { updateSetting('timeInterval', parseInt(e.target.value)); notifyApplied(); }}
+              onChange={(e) => {
+                const interval = parseInt(e.target.value);
+                updateSetting('timeInterval', interval);
+                // Booking times are checked against the same grid on the server
+                settingsAPI.updateBookingPolicySettings({ timeInterval: interval }).catch(() => {
+                  toast.error('Failed to save the time slot interval for booking checks');
+                });
+                notifyApplied();
+              }}
               className="w-48 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               <option value={15}>15 minutes</option>
@@ -861,7 +920,7 @@ const LayoutSettings = ({ currentLayout, setIsDraggingSlider }) => {
               <option value={60}>60 minutes (1 hour)</option>
             </select>
             <div className="text-xs text-gray-500 mt-1">
-              Controls the granularity of time slots in the calendar view
+              Controls the granularity of time slots in the calendar view; booking times must line up with it
             </div>
           </div>
         </div>
@@ -1234,17 +1293,8 @@ const DisplaySettings = () => {
 
 // Booking Form Settings Component
 const BookingFormSettings = () => {
-  const { settings, updateBookingFormField, addCustomBookingField, updateCustomBookingField, removeCustomBookingField, saveAsDefaultFormFields, resetToDefaultFormFields } = useSettings();
+  const { settings, updateBookingFormField, saveAsDefaultFormFields, resetToDefaultFormFields } = useSettings();
   const [expandedField, setExpandedField] = useState(null);
-  const [showAddCustomField, setShowAddCustomField] = useState(false);
-  const [newCustomField, setNewCustomField] = useState({
-    name: '',
-    label: '',
-    placeholder: '',
-    type: 'text',
-    required: false,
-    validation: 'none'
-  });
 
   const fieldGroups = [
     {
@@ -1294,38 +1344,6 @@ const BookingFormSettings = () => {
     { value: 'currency', label: 'Currency amount' },
   ];
 
-  const fieldTypes = [
-    { value: 'text', label: 'Text Input' },
-    { value: 'textarea', label: 'Text Area' },
-    { value: 'number', label: 'Number Input' },
-    { value: 'email', label: 'Email Input' },
-    { value: 'tel', label: 'Phone Input' },
-    { value: 'select', label: 'Dropdown Select' },
-    { value: 'checkbox', label: 'Checkbox' },
-    { value: 'date', label: 'Date Picker' },
-    { value: 'time', label: 'Time Picker' },
-  ];
-
-  const handleAddCustomField = () => {
-    if (newCustomField.name && newCustomField.label) {
-      const field = {
-        id: Date.now().toString(),
-        ...newCustomField,
-        visible: true
-      };
-      addCustomBookingField(field);
-      setNewCustomField({
-        name: '',
-        label: '',
-        placeholder: '',
-        type: 'text',
-        required: false,
-        validation: 'none'
-      });
-      setShowAddCustomField(false);
-    }
-  };
-
   return (
     <div className="space-y-8">
       <div className="space-y-4">
@@ -1432,121 +1450,7 @@ const BookingFormSettings = () => {
       ))}
 
       {/* Custom Fields Section */}
-      <div className="space-y-4">
-        <div className="flex items-center justify-between">
-          <h4 className="text-md font-medium text-gray-800 border-b border-gray-200 pb-2">
-            Custom Fields
-          </h4>
-          <Button
-            onClick={() => setShowAddCustomField(true)}
-            className="text-sm"
-          >
-            <Plus className="w-4 h-4 mr-2" />
-            Add Custom Field
-          </Button>
-        </div>
-        
-        {settings.customBookingFields?.map((field) => (
-          <div key={field.id} className="border border-gray-200 rounded-lg">
-            <div className="flex items-center justify-between p-4">
-              <div className="flex items-center space-x-3">
-                <span className="text-sm font-medium text-gray-700">{field.label}</span>
-                <Badge variant="outline" className="text-xs text-blue-600 border-blue-200">
-                  Custom
-                </Badge>
-                {field.required && (
-                  <Badge variant="outline" className="text-xs text-red-600 border-red-200">
-                    Required
-                  </Badge>
-                )}
-              </div>
-              <div className="flex items-center space-x-2">
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => removeCustomBookingField(field.id)}
-                  className="text-red-500 hover:text-red-700"
-                >
-                  <Trash2 className="w-4 h-4" />
-                </Button>
-              </div>
-            </div>
-          </div>
-        ))}
-
-        {showAddCustomField && (
-          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
-            <h5 className="text-sm font-medium text-gray-700 mb-4">Add Custom Field</h5>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Name (ID)</label>
-                <Input
-                  value={newCustomField.name}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, name: e.target.value }))}
-                  placeholder="e.g., specialInstructions"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Label</label>
-                <Input
-                  value={newCustomField.label}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, label: e.target.value }))}
-                  placeholder="e.g., Special Instructions"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Type</label>
-                <CustomSelect
-                  value={newCustomField.type}
-                  onChange={(value) => setNewCustomField(prev => ({ ...prev, type: value }))}
-                  options={fieldTypes}
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Validation</label>
-                <CustomSelect
-                  value={newCustomField.validation}
-                  onChange={(value) => setNewCustomField(prev => ({ ...prev, validation: value }))}
-                  options={validationTypes}
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Placeholder</label>
-                <Input
-                  value={newCustomField.placeholder}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, placeholder: e.target.value }))}
-                  placeholder="Placeholder text"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="flex items-center space-x-2">
-                  <input
-                    type="checkbox"
-                    checked={newCustomField.required}
-                    onChange={(e) => setNewCustomField(prev => ({ ...prev, required: e.target.checked }))}
-                    className="rounded border-gray-300"
-                  />
-                  <span className="text-sm font-medium text-gray-700">Required Field</span>
-                </label>
-              </div>
-            </div>
-            <div className="flex justify-end space-x-2 mt-4">
-              <Button
-                variant="ghost"
-                onClick={() => setShowAddCustomField(false)}
-              >
-                Cancel
-              </Button>
-              <Button
-                onClick={handleAddCustomField}
-                disabled={!newCustomField.name || !newCustomField.label}
-              >
-                Add Field
-              </Button>
-            </div>
-          </div>
-        )}
-      </div>
+      <CustomFieldsSettings entity="booking" />
 
       {/* Default Settings Actions */}
       <div className="space-y-4">
@@ -2077,17 +1981,8 @@ const ConfirmationTemplateSettings = () => {
 
 // Room Fields Settings Component
 const RoomFieldsSettings = () => {
-  const { settings, updateRoomFormField, addCustomRoomField, updateCustomRoomField, removeCustomRoomField, saveAsDefaultFormFields, resetToDefaultFormFields } = useSettings();
+  const { settings, updateRoomFormField, saveAsDefaultFormFields, resetToDefaultFormFields } = useSettings();
   const [expandedField, setExpandedField] = useState(null);
-  const [showAddCustomField, setShowAddCustomField] = useState(false);
-  const [newCustomField, setNewCustomField] = useState({
-    name: '',
-    label: '',
-    placeholder: '',
-    type: 'text',
-    required: false,
-    validation: 'none'
-  });
 
   const fieldGroups = [
     {
@@ -2140,26 +2035,6 @@ const RoomFieldsSettings = () => {
     { value: 'time', label: 'Time Picker' },
   ];
 
-  const handleAddCustomField = () => {
-    if (newCustomField.name && newCustomField.label) {
-      const field = {
-        id: Date.now().toString(),
-        ...newCustomField,
-        visible: true
-      };
-      addCustomRoomField(field);
-      setNewCustomField({
-        name: '',
-        label: '',
-        placeholder: '',
-        type: 'text',
-        required: false,
-        validation: 'none'
-      });
-      setShowAddCustomField(false);
-    }
-  };
-
   return (
     <div className="space-y-8">
       <div className="space-y-4">
@@ -2274,121 +2149,7 @@ const RoomFieldsSettings = () => {
       ))}
 
       {/* Custom Fields Section */}
-      <div className="space-y-4">
-        <div className="flex items-center justify-between">
-          <h4 className="text-md font-medium text-gray-800 border-b border-gray-200 pb-2">
-            Custom Fields
-          </h4>
-          <Button
-            onClick={() => setShowAddCustomField(true)}
-            className="text-sm"
-          >
-            <Plus className="w-4 h-4 mr-2" />
-            Add Custom Field
-          </Button>
-        </div>
-        
-        {settings.customRoomFields?.map((field) => (
-          <div key={field.id} className="border border-gray-200 rounded-lg">
-            <div className="flex items-center justify-between p-4">
-              <div className="flex items-center space-x-3">
-                <span className="text-sm font-medium text-gray-700">{field.label}</span>
-                <Badge variant="outline" className="text-xs text-blue-600 border-blue-200">
-                  Custom
-                </Badge>
-                {field.required && (
-                  <Badge variant="outline" className="text-xs text-red-600 border-red-200">
-                    Required
-                  </Badge>
-                )}
-              </div>
-              <div className="flex items-center space-x-2">
-                <Button
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => removeCustomRoomField(field.id)}
-                  className="text-red-500 hover:text-red-700"
-                >
-                  <Trash2 className="w-4 h-4" />
-                </Button>
-              </div>
-            </div>
-          </div>
-        ))}
-
-        {showAddCustomField && (
-          <div className="border border-gray-200 rounded-lg p-4 bg-gray-50">
-            <h5 className="text-sm font-medium text-gray-700 mb-4">Add Custom Field</h5>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Name (ID)</label>
-                <Input
-                  value={newCustomField.name}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, name: e.target.value }))}
-                  placeholder="e.g., specialFeatures"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Label</label>
-                <Input
-                  value={newCustomField.label}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, label: e.target.value }))}
-                  placeholder="e.g., Special Features"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Field Type</label>
-                <CustomSelect
-                  value={newCustomField.type}
-                  onChange={(value) => setNewCustomField(prev => ({ ...prev, type: value }))}
-                  options={fieldTypes}
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Validation</label>
-                <CustomSelect
-                  value={newCustomField.validation}
-                  onChange={(value) => setNewCustomField(prev => ({ ...prev, validation: value }))}
-                  options={validationTypes}
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium text-gray-700">Placeholder</label>
-                <Input
-                  value={newCustomField.placeholder}
-                  onChange={(e) => setNewCustomField(prev => ({ ...prev, placeholder: e.target.value }))}
-                  placeholder="Placeholder text"
-                />
-              </div>
-              <div className="space-y-2">
-                <label className="flex items-center space-x-2">
-                  <input
-                    type="checkbox"
-                    checked={newCustomField.required}
-                    onChange={(e) => setNewCustomField(prev => ({ ...prev, required: e.target.checked }))}
-                    className="rounded border-gray-300"
-                  />
-                  <span className="text-sm font-medium text-gray-700">Required Field</span>
-                </label>
-              </div>
-            </div>
-            <div className="flex justify-end space-x-2 mt-4">
-              <Button
-                variant="ghost"
-                onClick={() => setShowAddCustomField(false)}
-              >
-                Cancel
-              </Button>
-              <Button
-                onClick={handleAddCustomField}
-                disabled={!newCustomField.name || !newCustomField.label}
-              >
-                Add Field
-              </Button>
-            </div>
-          </div>
-        )}
-      </div>
+      <CustomFieldsSettings entity="room" />
 
       {/* Default Settings Actions */}
       <div className="space-y-4">
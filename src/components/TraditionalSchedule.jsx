@@ -4,7 +4,7 @@ import { useBusinessHours } from '../contexts/BusinessHoursContext';
 import { useTutorial } from '../contexts/TutorialContext';
 import moment from 'moment-timezone';
 import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
-import { roomsAPI, bookingsAPI } from '../lib/api';
+import { roomsAPI, bookingsAPI, settingsAPI, pricingAPI, roomGroupsAPI, roomBlocksAPI } from '../lib/api';
 import { Card, CardContent } from './ui/Card';
 import { Badge } from './ui/Badge';
 import { Button } from './ui/Button';
@@ -19,14 +19,33 @@ import {
   Calendar as CalendarIcon,
   HelpCircle,
   BarChart3,
-  Users
+  Users,
+  Repeat,
+  Hourglass,
+  ClipboardList,
+  AlertCircle,
+  UserCheck,
+  Play,
+  CheckCircle,
+  Link2,
+  Wrench
 } from 'lucide-react';
 import BookingModal from './BookingModal';
 import InstructionsModal from './InstructionsModal';
+import WaitlistModal from './WaitlistModal';
+import RoomBlocksModal from './RoomBlocksModal';
+import CustomerBaseModal from './CustomerBaseModal';
 import ReservationViewModal from './ReservationViewModal';
 import BookingConfirmation from './BookingConfirmation';
 import LoadingSkeleton from './LoadingSkeleton';
 import toast from 'react-hot-toast';
+import { getConflictMessage } from '../utils/bookingConflicts';
+import { resolveRoomBuffers } from '../utils/buffers';
+import { EXCEPTION_KIND_LABELS, findHoursException, getIntervalMinutes } from '../utils/businessHours';
+import { announceWaitlistOffers, WAITLIST_OFFERS_EVENT } from '../utils/waitlist';
+import { RELEASED_STATUSES, getStatusLabel } from '../utils/bookingLifecycle';
+import { buildQuote, formatCurrency, getRedeemedPromos } from '../utils/pricing';
+import { getBookingRoomIds, getGroupPricingRoom, isCombinedBooking } from '../utils/roomGroups';
 import {
   DndContext,
   DragOverlay,
@@ -40,9 +59,32 @@ import {
   useDroppable,
 } from '@dnd-kit/core';
 
+// Extra block styling and badge icon per lifecycle status. Cancelled and no-show
+// bookings have released their slot and are not drawn.
+const STATUS_BLOCK_STYLES = {
+  held: { borderStyle: 'dashed', borderColor: 'rgba(255, 255, 255, 0.9)', opacity: 0.85 },
+  pending: { borderStyle: 'dotted', borderColor: 'rgba(255, 255, 255, 0.9)', opacity: 0.9 },
+  checked_in: { boxShadow: 'inset 4px 0 0 #22c55e' },
+  in_progress: { boxShadow: 'inset 4px 0 0 #22c55e, 0 0 0 2px rgba(34, 197, 94, 0.6)' },
+  completed: { opacity: 0.55, filter: 'grayscale(60%)' },
+};
+
+const STATUS_BLOCK_ICONS = {
+  pending: AlertCircle,
+  checked_in: UserCheck,
+  in_progress: Play,
+  completed: CheckCircle,
+};
+
+// Hatching for slots in the closed gap of a split shift
+const CLOSED_GAP_STYLE = {
+  backgroundImage: 'repeating-linear-gradient(-45deg, rgba(156, 163, 175, 0.35) 0, rgba(156, 163, 175, 0.35) 2px, transparent 2px, transparent 6px)',
+};
+
 // Enhanced draggable booking component with resize functionality (horizontal layout)
-const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle, onClick, onResize, settings, selectedDate, getBusinessHoursForDay, SLOT_WIDTH }) => {
+const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle, onClick, onResize, onConfirmHold, onHoldExpired, getPreviewPrice, settings, selectedDate, getBusinessHoursForDate, SLOT_WIDTH }) => {
   const [isResizing, setIsResizing] = useState(false);
+  const [resizePreview, setResizePreview] = useState(null); // { startTime, endTime } if released now
   const [isQuickEdit, setIsQuickEdit] = useState(false);
   const [resizeHandle, setResizeHandle] = useState(null); // 'left' or 'right'
   const [longPressTimer, setLongPressTimer] = useState(null);
@@ -52,6 +94,27 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
   const [resizeInterval] = useState(30); // Fixed at 30 minutes
   const rootRef = React.useRef(null);
   const resizeTimeoutRef = React.useRef(null);
+  const [holdSecondsLeft, setHoldSecondsLeft] = useState(null);
+  const isHeld = booking.status === 'held' && !!booking.holdExpiresAt;
+
+  // Tick the countdown on tentative holds; refetch once it runs out so the slot frees up
+  React.useEffect(() => {
+    if (!isHeld) {
+      setHoldSecondsLeft(null);
+      return;
+    }
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.floor((new Date(booking.holdExpiresAt) - Date.now()) / 1000));
+      setHoldSecondsLeft(secondsLeft);
+      if (secondsLeft === 0) {
+        clearInterval(timer);
+        onHoldExpired?.(booking);
+      }
+    };
+    const timer = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(timer);
+  }, [isHeld, booking.holdExpiresAt]);
   
   const {
     attributes,
@@ -164,11 +227,17 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
     // This ensures consistency between positioning and resize calculations
     
     // Get business hours for time calculations
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
+    const dayHours = getBusinessHoursForDate(selectedDate);
     const [openHour] = dayHours.openTime.split(':').map(Number);
     const dayStart = moment(selectedDate).startOf('day').add(openHour, 'hours');
-    
+
+    // The times handleBookingResize will snap this position to
+    const timeInterval = settings.timeInterval || 15;
+    const snapInterval = timeInterval === 60 ? 30 : timeInterval;
+    const pixelsToTime = (pixels) => {
+      const minutes = Math.round((pixels / SLOT_WIDTH * timeInterval - 60) / snapInterval) * snapInterval;
+      return dayStart.clone().add(minutes, 'minutes');
+    };
     
     const handleMouseMove = (moveEvent) => {
       const deltaX = moveEvent.clientX - startX;
@@ -196,6 +265,9 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
         left: Math.max(0, newLeft), 
         width: Math.max(20, newWidth) 
       });
+      setResizePreview(handle === 'left'
+        ? { startTime: pixelsToTime(newLeft), endTime: moment(booking.endTime || booking.timeOut) }
+        : { startTime: moment(booking.startTime || booking.timeIn), endTime: pixelsToTime(newLeft + newWidth) });
     };
 
     const handleMouseUpResize = (upEvent) => {
@@ -245,6 +317,7 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
       setResizeHandle(null);
       setIsResizing(false);
       setLocalStyle(null); // Clear local style when resize ends
+      setResizePreview(null);
       setWasResized(true); // Mark that a resize operation just completed
       
       // Reset wasResized after a longer delay to prevent accidental clicks
@@ -425,7 +498,14 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
           <div className="flex items-center space-x-2">
             <div className="w-2 h-2 bg-white rounded-full animate-pulse"></div>
             <span className="font-semibold">Resize Mode</span>
-            <span className="text-blue-200">• 30min intervals • ESC to exit</span>
+            {resizePreview && resizePreview.endTime.isAfter(resizePreview.startTime) ? (
+              <span className="text-blue-100">
+                • {resizePreview.startTime.format('h:mm A')} - {resizePreview.endTime.format('h:mm A')}
+                {getPreviewPrice && ` • ${formatCurrency(getPreviewPrice(booking, resizePreview).totalPrice)}`}
+              </span>
+            ) : (
+              <span className="text-blue-200">• 30min intervals • ESC to exit</span>
+            )}
           </div>
         </div>
       )}
@@ -447,7 +527,30 @@ const DraggableBooking = ({ booking, children, onDoubleClick, style: customStyle
         </div>
       )}
 
+      {/* Confirm hold button (appears on hover) */}
+      {isHeld && holdSecondsLeft > 0 && !isResizing && (
+        <button
+          type="button"
+          className="absolute top-1 right-7 hidden group-hover:flex items-center justify-center w-5 h-5 rounded bg-white/90 text-green-700 text-[10px]"
+          onMouseDown={(e) => { e.stopPropagation(); }}
+          onClick={(e) => { e.stopPropagation(); onConfirmHold?.(booking); }}
+          title="Confirm hold"
+        >
+          ✓
+        </button>
+      )}
+
       {children}
+
+      {/* Hold countdown */}
+      {isHeld && holdSecondsLeft !== null && (
+        <div className="mt-1 inline-flex items-center text-[10px] bg-black/30 text-white px-1.5 py-0.5 rounded" title="Tentative hold">
+          <Hourglass className="w-3 h-3 mr-1 flex-shrink-0" />
+          {holdSecondsLeft > 0
+            ? `Held ${Math.floor(holdSecondsLeft / 60)}:${String(holdSecondsLeft % 60).padStart(2, '0')}`
+            : 'Hold expired'}
+        </div>
+      )}
     </div>
   );
 };
@@ -487,7 +590,9 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
   // Mini calendar month base (independent from selected date)
   const [calendarBaseDate, setCalendarBaseDate] = useState(selectedDate);
   const { settings } = useSettings();
-  const { businessHours, getBusinessHoursForDay, getTimeSlotsForDay, isWithinBusinessHours } = useBusinessHours();
+  const { businessHours, hoursExceptions, getBusinessHoursForDate, getTimeSlotsForDay, isWithinBusinessHours } = useBusinessHours();
+  // Holiday or special hours on the day shown, if any
+  const dayException = getBusinessHoursForDate(selectedDate).exception;
   const { showTutorialButton, startTutorial, restartTutorial, tutorialCompleted, tutorialSkipped, isInitialized } = useTutorial();
   
   // Handle tutorial button click
@@ -502,9 +607,24 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [activeId, setActiveId] = useState(null);
   const [draggedBooking, setDraggedBooking] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
   const [showInstructions, setShowInstructions] = useState(false);
   const [showAnalytics, setShowAnalytics] = useState(false);
   const [showCustomerBase, setShowCustomerBase] = useState(false);
+  const [showWaitlist, setShowWaitlist] = useState(false);
+  const [showRoomBlocks, setShowRoomBlocks] = useState(false);
+  const [waitlistOffers, setWaitlistOffers] = useState([]);
+
+  // Open the waitlist with ranked offers whenever a cancel or move frees a slot someone is waiting for
+  React.useEffect(() => {
+    const handleOffers = (event) => {
+      setWaitlistOffers(event.detail);
+      setShowWaitlist(true);
+      toast('A freed slot matches the waitlist', { icon: '📋' });
+    };
+    window.addEventListener(WAITLIST_OFFERS_EVENT, handleOffers);
+    return () => window.removeEventListener(WAITLIST_OFFERS_EVENT, handleOffers);
+  }, []);
   const queryClient = useQueryClient();
 
   // Current time tracking with high frequency updates for smooth movement
@@ -526,8 +646,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       return null; // Don't show line if not on selected date
     }
     
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
+    const dayHours = getBusinessHoursForDate(selectedDate);
     
     if (dayHours.isClosed) {
       return null; // Don't show line if business is closed
@@ -649,6 +768,43 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     retryDelay: attemptIndex => Math.min(1000 * 2 ** attemptIndex, 30000),
   });
 
+  // Turnover buffers drawn around each booking block
+  const { data: bufferSettingsData } = useQuery({
+    queryKey: ['buffer-settings'],
+    queryFn: () => settingsAPI.getBufferSettings(),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  // Rules and tax for the live prices shown while dragging and resizing
+  const { data: pricingRulesData } = useQuery({
+    queryKey: ['pricing-rules'],
+    queryFn: () => pricingAPI.getRules(),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const { data: pricingSettingsData } = useQuery({
+    queryKey: ['pricing-settings'],
+    queryFn: () => settingsAPI.getPricingSettings(),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  // Rooms out of service on the selected day (and into the night after it)
+  const { data: blockOccurrencesData } = useQuery({
+    queryKey: ['room-block-occurrences', selectedDate],
+    queryFn: () => roomBlocksAPI.getOccurrences({
+      startTime: moment(selectedDate).startOf('day').toISOString(),
+      endTime: moment(selectedDate).startOf('day').add(2, 'days').toISOString(),
+    }),
+    staleTime: 60 * 1000,
+  });
+
+  // Combined rooms, for pricing combined bookings at their group rate
+  const { data: roomGroupsData } = useQuery({
+    queryKey: ['room-groups'],
+    queryFn: () => roomGroupsAPI.getAll(),
+    staleTime: 5 * 60 * 1000,
+  });
+
   // Fetch bookings for selected date with optimized settings
   const { data: bookingsData, isFetching: bookingsFetching, isLoading: bookingsLoading, error: bookingsError } = useQuery({
     queryKey: ['bookings', selectedDate],
@@ -666,7 +822,10 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     retryDelay: attemptIndex => Math.min(1000 * 2 ** attemptIndex, 30000),
   });
 
-  const rooms = roomsData?.data || [];
+  // One row per room, by sort order then name
+  const rooms = useMemo(() => [...(roomsData?.data || [])].sort((a, b) => (
+    (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name)
+  )), [roomsData]);
   const bookings = bookingsData?.data?.bookings || bookingsData?.data || [];
 
   // Mutation for moving bookings with optimistic update
@@ -675,8 +834,9 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       return bookingsAPI.move(data);
     },
     onMutate: async (variables) => {
-      await queryClient.cancelQueries({ queryKey: ['bookings'] });
-      const previous = queryClient.getQueryData(['bookings']);
+      // Snapshot the date-scoped cache the schedule renders from so a rejected drag can be rolled back
+      await queryClient.cancelQueries({ queryKey: ['bookings', selectedDate] });
+      const previous = queryClient.getQueryData(['bookings', selectedDate]);
       try {
         const oldBookings = previous?.data?.bookings || [];
         const { bookingId, newRoomId, newTimeIn, newTimeOut, targetBookingId, targetRoomId, targetNewTimeIn, targetNewTimeOut } = variables || {};
@@ -722,7 +882,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
             endTime: newTimeOut,
           };
         }
-        queryClient.setQueryData(['bookings'], (old) => ({
+        queryClient.setQueryData(['bookings', selectedDate], (old) => ({
           ...(old || {}),
           data: {
             ...((old || {}).data || {}),
@@ -736,30 +896,42 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     },
     onError: (_err, _vars, context) => {
       if (context?.previous) {
-        queryClient.setQueryData(['bookings'], context.previous);
+        queryClient.setQueryData(['bookings', selectedDate], context.previous);
       }
       try {
-        const message = _err?.response?.data?.message || _err?.response?.data?.error || 'Failed to move booking';
+        const message = getConflictMessage(_err) || _err?.response?.data?.message || _err?.response?.data?.error || 'Failed to move booking';
         toast.error(message);
       } catch {}
     },
     onSuccess: (data, variables) => {
-      toast.success(variables?.targetBookingId ? 'Booking swapped' : 'Booking moved');
-      // Invalidate queries to ensure data consistency with server
-      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      if (variables?.targetBookingId) {
+        const { source, target } = data?.data || {};
+        toast.success(source && target
+          ? `Booking swapped · now ${formatCurrency(source.totalPrice)} and ${formatCurrency(target.totalPrice)}`
+          : 'Booking swapped');
+      } else {
+        const moved = data?.data?.booking;
+        toast.success(moved ? `Booking moved · now ${formatCurrency(moved.totalPrice)}` : 'Booking moved');
+      }
+      announceWaitlistOffers(data?.data?.waitlist);
     },
     onSettled: () => {
-      // Additional cleanup if needed
+      // The server applies a move or swap all-or-nothing, so refetch either way
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
     },
   });
 
-  // Mutation for updating bookings
-  const updateBookingMutation = useMutation({
-    mutationFn: ({ id, data }) => bookingsAPI.update(id, data),
-    onSuccess: () => {
-      // Invalidate queries to ensure data consistency with server
+  // Front-desk status changes from the reservation view (check in, start, complete, no-show)
+  const setStatusMutation = useMutation({
+    mutationFn: ({ id, status }) => bookingsAPI.setStatus(id, status),
+    onSuccess: (data, { status }) => {
+      toast.success(`Booking marked ${getStatusLabel(status).toLowerCase()}`);
+      announceWaitlistOffers(data?.data?.waitlist);
       queryClient.invalidateQueries({ queryKey: ['bookings'] });
     },
+    onError: (error) => {
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to update booking status');
+    },
   });
 
   // Mutation for resizing bookings with optimistic update
@@ -772,8 +944,8 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     onMutate: async (variables) => {
       // Debug logging removed for clean version
       // console.log('🔄 Resize mutation onMutate called with variables:', variables);
-      await queryClient.cancelQueries({ queryKey: ['bookings'] });
-      const previous = queryClient.getQueryData(['bookings']);
+      await queryClient.cancelQueries({ queryKey: ['bookings', selectedDate] });
+      const previous = queryClient.getQueryData(['bookings', selectedDate]);
       try {
         const oldBookings = previous?.data?.bookings || [];
         const { bookingId, newStartTime, newEndTime } = variables || {};
@@ -788,7 +960,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
           startTime: newStartTime,
           endTime: newEndTime,
         };
-        queryClient.setQueryData(['bookings'], (old) => ({
+        queryClient.setQueryData(['bookings', selectedDate], (old) => ({
           ...(old || {}),
           data: {
             ...((old || {}).data || {}),
@@ -803,17 +975,19 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     onError: (_err, _vars, context) => {
       // Resize mutation failed - error handling removed for clean version
       if (context?.previous) {
-        queryClient.setQueryData(['bookings'], context.previous);
+        queryClient.setQueryData(['bookings', selectedDate], context.previous);
       }
       try {
-        const message = _err?.response?.data?.message || _err?.response?.data?.error || 'Failed to resize booking';
+        const message = getConflictMessage(_err) || _err?.response?.data?.message || _err?.response?.data?.error || 'Failed to resize booking';
         toast.error(message);
       } catch {}
     },
     onSuccess: (data, variables) => {
       // Debug logging removed for clean version
       // console.log('✅ Resize mutation succeeded:', { data, variables });
-      toast.success('Booking resized');
+      const resized = data?.data?.booking;
+      toast.success(resized ? `Booking resized · now ${formatCurrency(resized.totalPrice)}` : 'Booking resized');
+      announceWaitlistOffers(data?.data?.waitlist);
     },
     onSettled: () => {
       // Invalidate and refetch bookings to ensure UI is in sync
@@ -833,6 +1007,19 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     },
   });
 
+  // Promote a tentative hold to a confirmed booking
+  const confirmHoldMutation = useMutation({
+    mutationFn: (id) => bookingsAPI.confirmHold(id),
+    onSuccess: () => {
+      toast.success('Hold confirmed');
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+    },
+    onError: (error) => {
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to confirm hold');
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+    },
+  });
+
   const normalizedBookings = useMemo(() => {
     const mapped = bookings.map(b => ({
       ...b,
@@ -880,8 +1067,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     const slots = [];
     
     // Get business hours for the selected date
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
+    const dayHours = getBusinessHoursForDate(selectedDate);
     
     
     if (dayHours.isClosed) {
@@ -1016,11 +1202,17 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       });
     }
     
-    // Time slots generated
-    
+    // Slots between two opening intervals of a split shift are closed
+    const intervals = getIntervalMinutes(dayHours.intervals);
+    const firstOpen = intervals[0].open;
+    const lastClose = intervals[intervals.length - 1].close;
+    slots.forEach(slot => {
+      slot.isClosedGap = slot.minutes >= firstOpen && slot.minutes < lastClose &&
+        !intervals.some(interval => slot.minutes >= interval.open && slot.minutes < interval.close);
+    });
     
     return slots;
-  }, [getBusinessHoursForDay, settings.timezone, settings.timeInterval, selectedDate, businessHours]);
+  }, [getBusinessHoursForDate, settings.timezone, settings.timeInterval, selectedDate, businessHours, hoursExceptions]);
 
   // Calculate consistent slot dimensions based on settings
   // Enhanced slot size mapping with more options
@@ -1118,111 +1310,122 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
   
   // Slot dimensions calculated
 
+  // Where [start, end) sits on the selected day's schedule: pixel offsets and the hours
+  // it covers, clamped to the visible hours, or null when it falls outside them
+  const getSchedulePosition = (start, end) => {
+    const dayHours = getBusinessHoursForDate(selectedDate);
+    const [openHour] = dayHours.openTime.split(':').map(Number);
+
+    // ULTRA-SIMPLE APPROACH: Manual timezone handling
+    const timezone = settings.timezone || 'America/New_York';
+    
+    // Parse the times and convert to local timezone
+    const startTime = moment(start).tz(timezone);
+    const endTime = moment(end).tz(timezone);
+    
+    // Create business day start (6 PM = 18:00) at midnight of selected date in the selected timezone
+    const dateInTz = moment.tz(
+      {
+        year: selectedDate.getFullYear(),
+        month: selectedDate.getMonth(),
+        day: selectedDate.getDate(),
+        hour: 0,
+        minute: 0,
+        second: 0,
+        millisecond: 0,
+      },
+      timezone
+    );
+    const businessDayStart = dateInTz.clone().add(openHour, 'hours');
+    
+    // Calculate exact position and duration from business start with maximum precision
+    const startMinutesFromBusinessStart = startTime.diff(businessDayStart, 'minutes', true);
+    const endMinutesFromBusinessStart = endTime.diff(businessDayStart, 'minutes', true);
+    
+    // Calculate exact duration in minutes, then convert to hours for pixel calculation
+    const exactDurationMinutes = endMinutesFromBusinessStart - startMinutesFromBusinessStart;
+    const exactDurationHours = exactDurationMinutes / 60;
+    
+    // Use configurable time interval for slot calculations
+    const timeInterval = settings.timeInterval || 15;
+    
+    // Clamp to visible hours: 1 hour before open + business hours + 1 hour after close
+    const visibleStartMinutes = Math.max(-60, startMinutesFromBusinessStart); // -60 = 1 hour before open
+    const [closeHour] = dayHours.closeTime.split(':').map(Number);
+    // Include one extra hour after close time
+    const maxVisibleMinutes = ((closeHour - openHour) * 60) + 60; // +60 minutes = 1 extra hour
+    const visibleEndMinutes = Math.min(maxVisibleMinutes, endMinutesFromBusinessStart);
+    const visibleDurationMinutes = visibleEndMinutes - visibleStartMinutes;
+    const visibleDurationHours = visibleDurationMinutes / 60;
+    const visibleStartHours = visibleStartMinutes / 60;
+    
+    if (visibleDurationHours <= 0) {
+      return null; // outside visible range
+    }
+    
+    // CORRECT PIXEL CALCULATION
+    // Convert to time interval slots for consistent grid alignment
+    const minutesPerSlot = timeInterval; // Each slot represents configurable minutes
+    const slotsPerHour = 60 / minutesPerSlot; // Calculate slots per hour based on interval
+    
+    // Calculate precise pixel positions based on actual time, not slot boundaries
+    // Adjust for the 1-hour offset before business open
+    const adjustedStartMinutes = visibleStartMinutes + 60; // Add 60 minutes to account for 1 hour before open
+    
+    // Calculate precise pixel positions based on actual time
+    const leftPixels = (adjustedStartMinutes / timeInterval) * SLOT_WIDTH;
+    const widthPixels = (visibleDurationMinutes / timeInterval) * SLOT_WIDTH;
+    
+    // Booking positioning calculated
+
+    return {
+      startHours: visibleStartHours,
+      endHours: visibleStartHours + visibleDurationHours,
+      durationHours: visibleDurationHours,
+      leftPixels,
+      widthPixels,
+    };
+  };
+
   // Group bookings by room and calculate positions
   const bookingsByRoom = useMemo(() => {
     const grouped = {};
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
-    const [openHour] = dayHours.openTime.split(':').map(Number);
     
     rooms.forEach(room => {
       const roomId = room._id || room.id;
       grouped[roomId] = normalizedBookings
         .filter(booking => {
-          // Improved room matching logic - handle both object and ID cases
-          let bookingRoomId;
-          if (typeof booking.roomId === 'object' && booking.roomId !== null) {
-            // roomId is an object, get the _id or id
-            bookingRoomId = booking.roomId._id || booking.roomId.id;
-          } else if (typeof booking.room === 'object' && booking.room !== null) {
-            // room is an object, get the _id or id
-            bookingRoomId = booking.room._id || booking.room.id;
-          } else {
-            // roomId or room is a primitive value
-            bookingRoomId = booking.roomId || booking.room;
-          }
-          
-          const roomMatch = bookingRoomId === roomId;
-          const statusMatch = booking.status !== 'cancelled' && booking.status !== 'no_show';
+          // Combined bookings show in every room they hold
+          const roomMatch = getBookingRoomIds(booking).includes(Number(roomId));
+          const statusMatch = !RELEASED_STATUSES.includes(booking.status);
           
           return roomMatch && statusMatch;
         })
         .map(booking => {
-          // ULTRA-SIMPLE APPROACH: Manual timezone handling
-          const timezone = settings.timezone || 'America/New_York';
-          
-          // Parse booking times and convert to local timezone
-          const startTime = moment(booking.startTime || booking.timeIn).tz(timezone);
-          const endTime = moment(booking.endTime || booking.timeOut).tz(timezone);
-          
-          // Create business day start (6 PM = 18:00) at midnight of selected date in the selected timezone
-          const dateInTz = moment.tz(
-            {
-              year: selectedDate.getFullYear(),
-              month: selectedDate.getMonth(),
-              day: selectedDate.getDate(),
-              hour: 0,
-              minute: 0,
-              second: 0,
-              millisecond: 0,
-            },
-            timezone
-          );
-          const businessDayStart = dateInTz.clone().add(openHour, 'hours');
-          
-          // Calculate exact position and duration from business start with maximum precision
-          const startMinutesFromBusinessStart = startTime.diff(businessDayStart, 'minutes', true);
-          const endMinutesFromBusinessStart = endTime.diff(businessDayStart, 'minutes', true);
-          
-          // Calculate exact duration in minutes, then convert to hours for pixel calculation
-          const exactDurationMinutes = endMinutesFromBusinessStart - startMinutesFromBusinessStart;
-          const exactDurationHours = exactDurationMinutes / 60;
-          
-          // Use configurable time interval for slot calculations
-          const timeInterval = settings.timeInterval || 15;
-          
-          // Clamp to visible hours: 1 hour before open + business hours + 1 hour after close
-          const visibleStartMinutes = Math.max(-60, startMinutesFromBusinessStart); // -60 = 1 hour before open
-          const [closeHour] = dayHours.closeTime.split(':').map(Number);
-          // Include one extra hour after close time
-          const maxVisibleMinutes = ((closeHour - openHour) * 60) + 60; // +60 minutes = 1 extra hour
-          const visibleEndMinutes = Math.min(maxVisibleMinutes, endMinutesFromBusinessStart);
-          const visibleDurationMinutes = visibleEndMinutes - visibleStartMinutes;
-          const visibleDurationHours = visibleDurationMinutes / 60;
-          const visibleStartHours = visibleStartMinutes / 60;
-          
-          if (visibleDurationHours <= 0) {
-            return null; // outside visible range
-          }
-          
-          // CORRECT PIXEL CALCULATION
-          // Convert to time interval slots for consistent grid alignment
-          const minutesPerSlot = timeInterval; // Each slot represents configurable minutes
-          const slotsPerHour = 60 / minutesPerSlot; // Calculate slots per hour based on interval
-          
-          // Calculate precise pixel positions based on actual time, not slot boundaries
-          // Adjust for the 1-hour offset before business open
-          const adjustedStartMinutes = visibleStartMinutes + 60; // Add 60 minutes to account for 1 hour before open
-          
-          // Calculate precise pixel positions based on actual time
-          const leftPixels = (adjustedStartMinutes / timeInterval) * SLOT_WIDTH;
-          const widthPixels = (visibleDurationMinutes / timeInterval) * SLOT_WIDTH;
-          
-          // Booking positioning calculated
-
+          const position = getSchedulePosition(booking.startTime || booking.timeIn, booking.endTime || booking.timeOut);
+          if (!position) return null;
           return {
             ...booking,
-            startHours: visibleStartHours,
-            endHours: visibleStartHours + visibleDurationHours,
-            durationHours: visibleDurationHours,
-            leftPixels,
-            widthPixels,
+            // A combined booking is dragged from its own room; the other rooms it holds show a linked block
+            isLinkedRoom: isCombinedBooking(booking) && getBookingRoomIds(booking)[0] !== Number(roomId),
+            ...position,
           };
         })
         .filter(Boolean);
     });
     return grouped;
-  }, [rooms, normalizedBookings, selectedDate, getBusinessHoursForDay, SLOT_WIDTH, businessHours]);
+  }, [rooms, normalizedBookings, selectedDate, getBusinessHoursForDate, SLOT_WIDTH, businessHours, hoursExceptions]);
+
+  // Room blocks by room, positioned like bookings
+  const blocksByRoom = useMemo(() => {
+    const grouped = {};
+    (blockOccurrencesData?.data || []).forEach(occurrence => {
+      const position = getSchedulePosition(occurrence.startTime, occurrence.endTime);
+      if (!position) return;
+      grouped[occurrence.roomId] = [...(grouped[occurrence.roomId] || []), { ...occurrence, ...position }];
+    });
+    return grouped;
+  }, [blockOccurrencesData, selectedDate, getBusinessHoursForDate, SLOT_WIDTH, businessHours, hoursExceptions]);
 
   // Handle date navigation for main schedule
   const navigateDate = (direction) => {
@@ -1238,12 +1441,11 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
 
   // Handle room slot click
   const handleRoomSlotClick = (room, timeSlot) => {
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
+    const dayHours = getBusinessHoursForDate(selectedDate);
     
     // Check if business is closed
     if (dayHours.isClosed) {
-      toast.error('Business is closed on this date. Please choose a different date.');
+      toast.error(dayHours.exception ? `Closed for ${dayHours.exception.name}. Please choose a different date.` : 'Business is closed on this date. Please choose a different date.');
       return;
     }
     
@@ -1282,16 +1484,13 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     setSelectedBooking(null);
   };
 
-  // Handle no show
-  const handleNoShow = async (booking) => {
+  // Handle check-in, start, complete and no-show from the view modal
+  const handleStatusChange = async (booking, status) => {
     try {
-      await updateBookingMutation.mutateAsync({
-        id: booking._id,
-        data: { status: 'no_show' }
-      });
+      await setStatusMutation.mutateAsync({ id: booking._id, status });
       setIsViewModalOpen(false);
     } catch (error) {
-      // Failed to mark as no show - error handling removed for clean version
+      // Toast shown by setStatusMutation
     }
   };
 
@@ -1312,6 +1511,16 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
         source: booking.source,
         notes: booking.notes,
         duration: booking.durationMinutes,
+        seriesId: booking.seriesId,
+        holdExpiresAt: booking.holdExpiresAt,
+        basePrice: booking.basePrice,
+        basePriceManual: booking.basePriceManual,
+        additionalFees: booking.additionalFees,
+        discount: booking.discount,
+        promoCodes: booking.promoCodes,
+        roomGroupId: booking.roomGroupId,
+        roomGroupName: booking.roomGroupName,
+        customerId: booking.customerId,
       },
     });
     setIsViewModalOpen(false);
@@ -1323,12 +1532,12 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     setCalendarBaseDate(selectedDate);
   }, [selectedDate]);
 
-  // Helper function to find booking conflicts
-  const findBookingConflicts = (roomId, startTime, endTime, excludeBookingId = null) => {
+  // Helper function to find booking conflicts in any of `roomIds`
+  const findBookingConflicts = (roomIds, startTime, endTime, excludeBookingId = null) => {
     return normalizedBookings.filter(b => {
       if (b._id === excludeBookingId) return false;
-      const bookingRoomId = b.room?._id || b.roomId?._id || b.room?.id || b.roomId?.id || b.roomId;
-      if (bookingRoomId !== roomId) return false;
+      if (RELEASED_STATUSES.includes(b.status)) return false;
+      if (!getBookingRoomIds(b).some(id => roomIds.includes(id))) return false;
       
       const bStart = moment(b.startTime || b.timeIn);
       const bEnd = moment(b.endTime || b.timeOut);
@@ -1340,6 +1549,49 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     });
   };
 
+  // What `booking` would cost placed at { roomId?, startTime, endTime }, priced locally with
+  // the server's rules so drag and resize previews need no round trip
+  const getPreviewPrice = (booking, placement) => {
+    const roomId = placement.roomId ?? (booking.room?._id || booking.roomId?._id || booking.roomId);
+    const roomGroup = booking.roomGroupId && (roomGroupsData?.data || []).find(group => group.id === booking.roomGroupId);
+    return buildQuote({
+      room: roomGroup ? getGroupPricingRoom(roomGroup) : rooms.find(r => (r._id || r.id) === roomId),
+      startTime: placement.startTime,
+      endTime: placement.endTime,
+      rules: pricingRulesData?.data || [],
+      taxRate: pricingSettingsData?.data?.taxRate || 0,
+      adjustments: {
+        basePrice: booking.basePriceManual ? booking.basePrice : null,
+        additionalFees: booking.additionalFees || 0,
+        discount: booking.discount || 0,
+        promos: getRedeemedPromos(booking.priceLines)
+      }
+    });
+  };
+
+  // Room and times `booking` would get if dropped on schedule slot `slotId` ("slot-<roomId>-<index>")
+  const getSlotPlacement = (slotId, booking) => {
+    const rest = slotId.slice('slot-'.length);
+    const lastDash = rest.lastIndexOf('-');
+    if (lastDash === -1) return null;
+    // Use the slot's actual time: the schedule starts 1 hour before business open
+    const targetSlot = timeSlots[parseInt(rest.slice(lastDash + 1))];
+    if (!targetSlot) return null;
+
+    const dayStart = moment(selectedDate).startOf('day');
+    const start = dayStart.clone().add(targetSlot.hour, 'hours').add(targetSlot.minute, 'minutes');
+    const duration = moment(booking.timeOut || booking.endTime).diff(moment(booking.timeIn || booking.startTime), 'minutes', true);
+    return {
+      roomId: parseInt(rest.slice(0, lastDash)),
+      startTime: start.toISOString(),
+      endTime: start.clone().add(duration, 'minutes').toISOString()
+    };
+  };
+
+  const dragPreview = activeId && draggedBooking && dragOverId?.startsWith('slot-')
+    ? getSlotPlacement(dragOverId, draggedBooking)
+    : null;
+
   // Drag and drop handlers
   const handleDragStart = (event) => {
     const { active } = event;
@@ -1352,6 +1604,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     const { active, over } = event;
     setActiveId(null);
     setDraggedBooking(null);
+    setDragOverId(null);
 
     if (!over) {
       // Exit edit mode when drag is cancelled (dropped outside valid area)
@@ -1371,8 +1624,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       const roomId = parseInt(rest.slice(0, lastDash));
       const timeSlotIndex = rest.slice(lastDash + 1);
       // Calculate new time slot for horizontal view
-      const weekday = selectedDate.getDay();
-      const dayHours = getBusinessHoursForDay(weekday);
+      const dayHours = getBusinessHoursForDate(selectedDate);
       const [openHour, openMinute] = dayHours.openTime.split(':').map(Number);
       
       // Convert slot index to actual time (each slot is configurable minutes)
@@ -1404,10 +1656,19 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
         currentStartTime.minute() === slotMinute;
 
       if (!isSamePosition) {
+        // A combined booking can only change time; it keeps all of its rooms
+        if (isCombinedBooking(booking) && currentRoomId !== roomId) {
+          toast.error('Combined bookings keep their rooms; change the time, or cancel and book again.');
+          return;
+        }
+
         // Check for conflicts in the target position
-        const conflicts = findBookingConflicts(roomId, newTimeIn, newTimeOut, booking._id);
+        const targetRoomIds = isCombinedBooking(booking) ? getBookingRoomIds(booking) : [roomId];
+        const conflicts = findBookingConflicts(targetRoomIds, newTimeIn, newTimeOut, booking._id);
         
-        if (conflicts.length === 1) {
+        if (conflicts.length === 1 && (isCombinedBooking(booking) || isCombinedBooking(conflicts[0]))) {
+          toast.error('Combined bookings cannot be swapped; move them instead.');
+        } else if (conflicts.length === 1) {
           // Single conflict - perform swap
           const targetBooking = conflicts[0];
           // Debug logging removed for clean version
@@ -1466,7 +1727,9 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       // Handle direct booking-to-booking swap
       const targetId = overId.slice('booking-'.length);
       const targetBooking = normalizedBookings.find(b => b._id === targetId);
-      if (targetBooking && targetBooking._id !== booking._id) {
+      if (targetBooking && targetBooking._id !== booking._id && (isCombinedBooking(booking) || isCombinedBooking(targetBooking))) {
+        toast.error('Combined bookings cannot be swapped; move them instead.');
+      } else if (targetBooking && targetBooking._id !== booking._id) {
         const targetRoomId = targetBooking.room?._id || targetBooking.roomId?._id || targetBooking.room?.id || targetBooking.roomId?.id || targetBooking.roomId;
         const sourceRoomId = booking.room?._id || booking.roomId?._id || booking.room?.id || booking.roomId?.id || booking.roomId;
         
@@ -1665,8 +1928,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     const baseSlotWidth = customWidth || widthMap[settings?.horizontalLayoutSlots?.slotWidth] || 60;
     const widthScaleFactor = settings?.horizontalLayoutSlots?.widthScaleFactor || 0.4;
     const SLOT_WIDTH = Math.max(1, baseSlotWidth * widthScaleFactor);
-    const weekday = selectedDate.getDay();
-    const dayHours = getBusinessHoursForDay(weekday);
+    const dayHours = getBusinessHoursForDate(selectedDate);
     const [openHour] = dayHours.openTime.split(':').map(Number);
     const dayStart = moment(selectedDate).startOf('day').add(openHour, 'hours');
     
@@ -1711,6 +1973,16 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
         source: booking.source,
         notes: booking.notes,
         duration: booking.durationMinutes,
+        seriesId: booking.seriesId,
+        holdExpiresAt: booking.holdExpiresAt,
+        basePrice: booking.basePrice,
+        basePriceManual: booking.basePriceManual,
+        additionalFees: booking.additionalFees,
+        discount: booking.discount,
+        promoCodes: booking.promoCodes,
+        roomGroupId: booking.roomGroupId,
+        roomGroupName: booking.roomGroupName,
+        customerId: booking.customerId,
       },
     });
     setIsModalOpen(true);
@@ -1757,6 +2029,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
           } catch {}
           handleDragStart(e);
         }}
+        onDragOver={({ over }) => setDragOverId(over ? String(over.id) : null)}
         onDragEnd={handleDragEnd}
       >
         <div className="min-h-screen bg-white flex">
@@ -1856,11 +2129,13 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                 const isCurrentMonth = day.isSame(selectedDate, 'month');
                 const isToday = day.isSame(moment(), 'day');
                 const isSelected = day.isSame(selectedDate, 'day');
+                const exception = findHoursException(day, hoursExceptions);
                 
                 return (
                   <button
                     key={i}
                     type="button"
+                    title={exception ? `${exception.name}${exception.isClosed ? ' (closed)' : ''}` : undefined}
                     onClick={(e) => {
                       e.preventDefault();
                       e.stopPropagation();
@@ -1873,6 +2148,8 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                       ${isCurrentMonth ? 'text-gray-900' : 'text-gray-400'}
                       ${isToday ? 'bg-blue-100 text-blue-600' : ''}
                       ${isSelected ? 'bg-blue-600 text-white' : 'hover:bg-gray-100'}
+                      ${exception?.isClosed ? 'line-through decoration-red-500' : ''}
+                      ${exception && !exception.isClosed ? 'underline decoration-amber-500 decoration-2' : ''}
                     `}
                   >
                     {day.format('D')}
@@ -1929,6 +2206,22 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                 <Users className="w-4 h-4 mr-3" />
                 Customer Base
               </Button>
+              <Button 
+                variant="ghost" 
+                className="w-full justify-start"
+                onClick={() => setShowWaitlist(true)}
+              >
+                <ClipboardList className="w-4 h-4 mr-3" />
+                Waitlist
+              </Button>
+              <Button 
+                variant="ghost" 
+                className="w-full justify-start"
+                onClick={() => setShowRoomBlocks(true)}
+              >
+                <Wrench className="w-4 h-4 mr-3" />
+                Room Blocks
+              </Button>
               <Button 
                 variant="ghost" 
                 className="w-full justify-start"
@@ -1966,6 +2259,24 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
               >
                 <Users className="w-6 h-6" />
               </Button>
+              <Button 
+                variant="ghost" 
+                size="icon"
+                className="h-12 w-12"
+                onClick={() => setShowWaitlist(true)}
+                title="Waitlist"
+              >
+                <ClipboardList className="w-6 h-6" />
+              </Button>
+              <Button 
+                variant="ghost" 
+                size="icon"
+                className="h-12 w-12"
+                onClick={() => setShowRoomBlocks(true)}
+                title="Room Blocks"
+              >
+                <Wrench className="w-6 h-6" />
+              </Button>
               <Button 
                 variant="ghost" 
                 size="icon"
@@ -2000,6 +2311,11 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
             <h2 className="text-2xl font-semibold text-gray-900">
               {moment(selectedDate).format('MMMM D, YYYY')}
             </h2>
+            {dayException && (
+              <Badge variant={dayException.isClosed ? 'error' : 'warning'} title={EXCEPTION_KIND_LABELS[dayException.kind]}>
+                {dayException.name}: {dayException.isClosed ? 'Closed' : `${moment(dayException.openTime, 'HH:mm').format('h:mm A')} - ${moment(dayException.closeTime, 'HH:mm').format('h:mm A')}`}
+              </Badge>
+            )}
             <Button variant="ghost" size="icon" className="h-12 w-12 [&>svg]:w-8 [&>svg]:h-8" onClick={() => navigateDate(1)}>
               <ChevronRight className="w-8 h-8" strokeWidth={2.5} />
             </Button>
@@ -2041,7 +2357,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                           className={`sticky top-0 z-80 border-r border-b text-center shadow-sm relative transition-all duration-300 ${
                             isCurrentTimeSlot 
                               ? 'bg-gradient-to-b from-red-100 to-red-200 border-red-400 shadow-lg' 
-                              : 'bg-gray-50 border-gray-200'
+                              : slot.isClosedGap ? 'bg-gray-200 border-gray-200' : 'bg-gray-50 border-gray-200'
                           }`}
                           style={{ height: '48px', width: SLOT_WIDTH, minWidth: SLOT_WIDTH }}
                         >
@@ -2105,10 +2421,20 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                       style={{ height: SLOT_HEIGHT }}
                     >
                       <div className="flex items-center space-x-2 mb-1 min-w-0">
-                        <div
-                          className="w-3 h-3 rounded-full flex-shrink-0"
-                          style={{ backgroundColor: settings.colorByBookingSource ? '#9ca3af' : (room.color || getRoomTypeColor(room.category)) }}
-                        />
+                        {/* The room's cover photo, ringed in its colour; just the colour without one */}
+                        {room.coverThumbnailUrl ? (
+                          <img
+                            src={room.coverThumbnailUrl}
+                            alt=""
+                            className="w-6 h-6 rounded-full object-cover flex-shrink-0 border-2"
+                            style={{ borderColor: settings.colorByBookingSource ? '#9ca3af' : (room.color || getRoomTypeColor(room.type)) }}
+                          />
+                        ) : (
+                          <div
+                            className="w-3 h-3 rounded-full flex-shrink-0"
+                            style={{ backgroundColor: settings.colorByBookingSource ? '#9ca3af' : (room.color || getRoomTypeColor(room.type)) }}
+                          />
+                        )}
                         <span className="text-sm font-medium truncate text-gray-900" title={room.name || 'Unnamed Room'}>{room.name || 'Unnamed Room'}</span>
                       </div>
                       <div className="text-xs truncate text-gray-500">
@@ -2168,13 +2494,18 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                             height: SLOT_HEIGHT 
                           }}
                         >
-                          <DroppableSlot
-                            id={`slot-${room._id || room.id}-${slotIndex}`}
-                            className="w-full h-full hover:bg-blue-50 cursor-pointer"
-                            onClick={() => handleRoomSlotClick(room, slot)}
-                            bookings={normalizedBookings}
-                            draggedBooking={draggedBooking}
-                          />
+                          {slot.isClosedGap ? (
+                            // Closed between shifts: nothing can be booked or dropped here
+                            <div className="w-full h-full bg-gray-100 cursor-not-allowed" style={CLOSED_GAP_STYLE} title="Closed between shifts" />
+                          ) : (
+                            <DroppableSlot
+                              id={`slot-${room._id || room.id}-${slotIndex}`}
+                              className="w-full h-full hover:bg-blue-50 cursor-pointer"
+                              onClick={() => handleRoomSlotClick(room, slot)}
+                              bookings={normalizedBookings}
+                              draggedBooking={draggedBooking}
+                            />
+                          )}
                         </td>
                       ))}
                     </tr>
@@ -2187,20 +2518,113 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
         {rooms.flatMap((room, roomIndex) => {
           const roomId = room._id || room.id;
           const roomBookings = bookingsByRoom[roomId] || [];
+          const buffers = resolveRoomBuffers(room, bufferSettingsData?.data);
+          const minutesToPixels = (minutes) => (minutes / (settings.timeInterval || 15)) * SLOT_WIDTH;
+          const bufferBandStyle = {
+            position: 'absolute',
+            top: `${roomIndex * SLOT_HEIGHT}px`,
+            height: `${SLOT_HEIGHT}px`,
+            backgroundImage: 'repeating-linear-gradient(45deg, rgba(107, 114, 128, 0.35) 0, rgba(107, 114, 128, 0.35) 4px, transparent 4px, transparent 8px)',
+            zIndex: 5,
+            pointerEvents: 'none',
+          };
 
-          return roomBookings.map((booking) => {
+          // Out-of-service bands sit under nothing and can't be dragged or resized
+          const roomBlocks = (blocksByRoom[roomId] || []).map(block => (
+            <div
+              key={`block-${roomId}-${block.blockId}-${block.index}`}
+              title={`Out of service: ${block.reason}`}
+              className="rounded text-xs p-1 overflow-hidden text-gray-700"
+              style={{
+                position: 'absolute',
+                left: `${block.leftPixels}px`,
+                width: `${block.widthPixels}px`,
+                top: `${roomIndex * SLOT_HEIGHT}px`,
+                height: `${SLOT_HEIGHT}px`,
+                backgroundColor: '#e5e7eb',
+                backgroundImage: 'repeating-linear-gradient(-45deg, rgba(220, 38, 38, 0.18) 0, rgba(220, 38, 38, 0.18) 6px, transparent 6px, transparent 12px)',
+                border: '1px solid #d1d5db',
+                zIndex: 8,
+                pointerEvents: 'auto',
+              }}
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="font-medium truncate flex items-center">
+                <Wrench className="w-3 h-3 mr-1 flex-shrink-0" />
+                <span className="truncate">{block.reason}</span>
+              </div>
+              <div className="truncate text-[11px]">Out of service</div>
+            </div>
+          ));
+
+          return roomBlocks.concat(roomBookings.map((booking) => {
+            const StatusIcon = STATUS_BLOCK_ICONS[booking.status];
+            if (booking.isLinkedRoom) {
+              return (
+                <div
+                  key={`${roomId}-${booking._id || booking.id}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleBookingClick(booking);
+                  }}
+                  title={`Part of ${booking.roomGroupName || 'a combined booking'}`}
+                  className="rounded border-2 border-dashed text-xs p-1 cursor-pointer overflow-hidden"
+                  style={{
+                    position: 'absolute',
+                    left: `${booking.leftPixels}px`,
+                    width: `${booking.widthPixels}px`,
+                    top: `${roomIndex * SLOT_HEIGHT}px`,
+                    height: `${SLOT_HEIGHT}px`,
+                    borderColor: room.color || getRoomTypeColor(room.type),
+                    backgroundColor: 'rgba(255, 255, 255, 0.85)',
+                    color: '#374151',
+                    zIndex: 10,
+                    pointerEvents: 'auto',
+                  }}
+                >
+                  <div className="font-medium truncate flex items-center">
+                    <Link2 className="w-3 h-3 mr-1 flex-shrink-0" />
+                    <span className="truncate">{booking.customerName || 'Reservation'}</span>
+                  </div>
+                  <div className="truncate text-[11px]">{booking.roomGroupName}</div>
+                </div>
+              );
+            }
             // Passing SLOT_WIDTH to DraggableBooking
             return (
+            <React.Fragment key={`${roomId}-${booking._id || booking.id}`}>
+            {buffers.before > 0 && (
+              <div
+                title={`${buffers.before} min setup`}
+                style={{
+                  ...bufferBandStyle,
+                  left: `${booking.leftPixels - minutesToPixels(buffers.before)}px`,
+                  width: `${minutesToPixels(buffers.before)}px`,
+                }}
+              />
+            )}
+            {buffers.after > 0 && (
+              <div
+                title={`${buffers.after} min cleanup`}
+                style={{
+                  ...bufferBandStyle,
+                  left: `${booking.leftPixels + booking.widthPixels}px`,
+                  width: `${minutesToPixels(buffers.after)}px`,
+                }}
+              />
+            )}
             <DraggableBooking
-              key={`${roomId}-${booking._id || booking.id}`}
               booking={booking}
               onDoubleClick={handleBookingDoubleClick}
               onClick={(e) => {
                 e.stopPropagation();
                 handleBookingClick(booking);
               }}
-              getBusinessHoursForDay={getBusinessHoursForDay}
+              getBusinessHoursForDate={getBusinessHoursForDate}
               onResize={handleBookingResize}
+              getPreviewPrice={getPreviewPrice}
+              onConfirmHold={(held) => confirmHoldMutation.mutate(held._id || held.id)}
+              onHoldExpired={() => queryClient.invalidateQueries({ queryKey: ['bookings'] })}
               settings={settings}
               selectedDate={selectedDate}
               SLOT_WIDTH={SLOT_WIDTH}
@@ -2210,14 +2634,20 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                 width: `${booking.widthPixels}px`,
                 top: `${roomIndex * SLOT_HEIGHT}px`, // Align with room row
                 height: `${SLOT_HEIGHT}px`, // Full height to match slot
-                backgroundColor: settings.colorByBookingSource ? (settings.bookingSourceColors?.[(booking.source || '').toLowerCase() === 'walk_in' ? 'walkin' : (booking.source || '').toLowerCase()] || settings.bookingSourceColors?.online || '#2563eb') : (room.color || getRoomTypeColor(room.category)),
+                backgroundColor: settings.colorByBookingSource ? (settings.bookingSourceColors?.[(booking.source || '').toLowerCase() === 'walk_in' ? 'walkin' : (booking.source || '').toLowerCase()] || settings.bookingSourceColors?.online || '#2563eb') : (room.color || getRoomTypeColor(room.type)),
                 zIndex: 10,
                 pointerEvents: 'auto',
                 borderRadius: '4px', // Add rounded corners for better visual appearance
+                ...STATUS_BLOCK_STYLES[booking.status],
               }}
             >
               <div className="flex items-center justify-between">
-                <div className="font-medium truncate pr-1">{booking.customerName || 'Reservation'}</div>
+                <div className="font-medium truncate pr-1 flex items-center">
+                  {StatusIcon && <StatusIcon className="w-3 h-3 mr-1 flex-shrink-0" title={getStatusLabel(booking.status)} />}
+                  {booking.seriesId && <Repeat className="w-3 h-3 mr-1 flex-shrink-0" title="Recurring booking" />}
+                  {isCombinedBooking(booking) && <Link2 className="w-3 h-3 mr-1 flex-shrink-0" title={booking.roomGroupName || 'Combined booking'} />}
+                  <span className="truncate">{booking.customerName || 'Reservation'}</span>
+                </div>
                 {booking.notes ? (
                   <span className="ml-1 text-[10px] bg-white/90 text-gray-800 px-1.5 py-0.5 rounded">Note</span>
                 ) : null}
@@ -2231,8 +2661,9 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
                 </div>
               )}
             </DraggableBooking>
+            </React.Fragment>
             );
-          });
+          }));
         })}
               </div>
             </div>
@@ -2247,8 +2678,13 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
           <div className="rounded-lg p-2 shadow-lg border text-white text-xs bg-blue-600">
             <div className="font-medium truncate">{draggedBooking.customerName || 'Reservation'}</div>
             <div className="opacity-90 truncate text-[11px]">
-              {moment(draggedBooking.startTime).format('h:mm A')} - {moment(draggedBooking.endTime).format('h:mm A')}
+              {moment(dragPreview?.startTime || draggedBooking.startTime).format('h:mm A')} - {moment(dragPreview?.endTime || draggedBooking.endTime).format('h:mm A')}
             </div>
+            {dragPreview && (
+              <div className="font-semibold text-[11px]">
+                {formatCurrency(getPreviewPrice(draggedBooking, dragPreview).totalPrice)}
+              </div>
+            )}
           </div>
         ) : null}
       </DragOverlay>
@@ -2258,12 +2694,11 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
     <button
       type="button"
       onClick={() => {
-        const weekday = selectedDate.getDay();
-        const dayHours = getBusinessHoursForDay(weekday);
+        const dayHours = getBusinessHoursForDate(selectedDate);
         
         // Check if business is closed
         if (dayHours.isClosed) {
-          toast.error('Business is closed on this date. Please choose a different date.');
+          toast.error(dayHours.exception ? `Closed for ${dayHours.exception.name}. Please choose a different date.` : 'Business is closed on this date. Please choose a different date.');
           return;
         }
         
@@ -2314,7 +2749,7 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       }}
       booking={selectedBooking}
       onEdit={handleEditBooking}
-      onNoShow={handleNoShow}
+      onStatusChange={handleStatusChange}
       onDelete={(booking) => {
         if (window.confirm('Are you sure you want to delete this reservation?')) {
           deleteBookingMutation.mutate(booking._id);
@@ -2337,6 +2772,25 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       }}
     />
 
+    <WaitlistModal
+      isOpen={showWaitlist}
+      onClose={() => {
+        setShowWaitlist(false);
+        setWaitlistOffers([]);
+      }}
+      rooms={rooms}
+      selectedDate={selectedDate}
+      offers={waitlistOffers}
+      onOfferTaken={(slotIndex) => setWaitlistOffers(prev => prev.filter((_, index) => index !== slotIndex))}
+    />
+
+    <RoomBlocksModal
+      isOpen={showRoomBlocks}
+      onClose={() => setShowRoomBlocks(false)}
+      rooms={rooms}
+      selectedDate={selectedDate}
+    />
+
     <InstructionsModal
       isOpen={showInstructions}
       onClose={() => setShowInstructions(false)}
@@ -2364,21 +2818,10 @@ const TraditionalSchedule = ({ selectedDate = new Date(2025, 8, 14), onDateChang
       </div>
     )}
     
-    {/* Customer Base Modal - placeholder */}
-    {showCustomerBase && (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-        <div className="bg-white rounded-lg p-6 max-w-md w-full">
-          <h2 className="text-xl font-semibold mb-4 flex items-center">
-            <Users className="w-5 h-5 mr-2" />
-            Customer Base
-          </h2>
-          <p className="text-gray-600 mb-4">Customer management dashboard coming soon...</p>
-          <Button onClick={() => setShowCustomerBase(false)} className="w-full">
-            Close
-          </Button>
-        </div>
-      </div>
-    )}
+    <CustomerBaseModal
+      isOpen={showCustomerBase}
+      onClose={() => setShowCustomerBase(false)}
+    />
     </>
   );
 };
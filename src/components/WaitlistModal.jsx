@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { roomsAPI, waitlistAPI } from '../lib/api';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Badge } from './ui/Badge';
+import { ClipboardList, X, Plus, Trash2, Users, Clock, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getConflictMessage } from '../utils/bookingConflicts';
+
+const emptyForm = (date) => ({
+  customerName: '',
+  phone: '',
+  email: '',
+  partySize: 2,
+  date: moment(date).format('YYYY-MM-DD'),
+  from: '18:00',
+  to: '22:00',
+  durationMinutes: 120,
+  roomIds: [],
+  categories: [],
+  notes: '',
+});
+
+const formatWindow = (start, end) => `${moment(start).format('ddd MMM D, h:mm A')} – ${moment(end).format('h:mm A')}`;
+
+// Waitlist entries for fully booked nights, plus ranked offers for slots that were just freed
+const WaitlistModal = ({ isOpen, onClose, rooms = [], selectedDate, offers = [], onOfferTaken }) => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm(selectedDate));
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(emptyForm(selectedDate));
+    }
+  }, [isOpen, selectedDate]);
+
+  const { data: waitlistData, isLoading } = useQuery({
+    queryKey: ['waitlist'],
+    queryFn: () => waitlistAPI.getAll({ status: 'waiting' }),
+    enabled: isOpen,
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['room-categories'],
+    queryFn: () => roomsAPI.getCategories(),
+    enabled: isOpen,
+  });
+
+  const entries = waitlistData?.data || [];
+  const categories = categoriesData?.data || [];
+
+  const createEntryMutation = useMutation({
+    mutationFn: (data) => waitlistAPI.create(data),
+    onSuccess: () => {
+      toast.success('Added to waitlist');
+      queryClient.invalidateQueries({ queryKey: ['waitlist'] });
+      setShowForm(false);
+      setFormData(emptyForm(selectedDate));
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to add to waitlist');
+    },
+  });
+
+  const deleteEntryMutation = useMutation({
+    mutationFn: (id) => waitlistAPI.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['waitlist'] });
+    },
+    onError: () => {
+      toast.error('Failed to remove waitlist entry');
+    },
+  });
+
+  const convertMutation = useMutation({
+    mutationFn: ({ match }) => waitlistAPI.convert(match.entry.id, {
+      roomId: match.roomId,
+      startTime: match.startTime,
+      endTime: match.endTime,
+    }),
+    onSuccess: (_resp, { match, slotIndex }) => {
+      toast.success(`Booked ${match.entry.customerName} in ${match.roomName}`);
+      queryClient.invalidateQueries({ queryKey: ['bookings'] });
+      queryClient.invalidateQueries({ queryKey: ['waitlist'] });
+      onOfferTaken?.(slotIndex);
+    },
+    onError: (error) => {
+      toast.error(getConflictMessage(error) || error.response?.data?.error || 'Failed to book waitlist entry');
+      queryClient.invalidateQueries({ queryKey: ['waitlist'] });
+    },
+  });
+
+  const toggleListValue = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value) ? prev[field].filter(v => v !== value) : [...prev[field], value],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.customerName.trim()) {
+      toast.error('Customer name is required');
+      return;
+    }
+
+    const windowStart = moment(`${formData.date} ${formData.from}`, 'YYYY-MM-DD HH:mm');
+    const windowEnd = moment(`${formData.date} ${formData.to}`, 'YYYY-MM-DD HH:mm');
+    // A window like 20:00–01:00 runs past midnight
+    if (!windowEnd.isAfter(windowStart)) windowEnd.add(1, 'day');
+
+    const durationMinutes = parseInt(formData.durationMinutes) || 60;
+    if (windowEnd.diff(windowStart, 'minutes') < durationMinutes) {
+      toast.error('Preferred window is shorter than the requested duration');
+      return;
+    }
+
+    createEntryMutation.mutate({
+      customerName: formData.customerName.trim(),
+      phone: formData.phone || undefined,
+      email: formData.email || undefined,
+      partySize: parseInt(formData.partySize) || 1,
+      windowStart: windowStart.toISOString(),
+      windowEnd: windowEnd.toISOString(),
+      durationMinutes,
+      roomIds: formData.roomIds,
+      categories: formData.categories,
+      notes: formData.notes || undefined,
+    });
+  };
+
+  const roomName = (roomId) => rooms.find(r => (r._id || r.id) === roomId)?.name || `Room ${roomId}`;
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <CardHeader className="flex flex-row items-center justify-between pb-4">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <ClipboardList className="w-5 h-5 mr-2 text-blue-600" />
+            Waitlist
+          </CardTitle>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {/* Offers for freed slots */}
+          {offers.length > 0 && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-semibold text-gray-900">Slots just freed</h3>
+              {offers.map((slot, slotIndex) => (
+                <div key={`${slot.roomId}-${slot.startTime}`} className="border border-green-200 bg-green-50 rounded-lg p-3">
+                  <div className="text-sm font-medium text-green-900 mb-2">
+                    {roomName(slot.roomId)} · {formatWindow(slot.startTime, slot.endTime)}
+                  </div>
+                  <div className="space-y-2">
+                    {slot.matches.map(match => (
+                      <div key={match.entry.id} className="flex items-center justify-between bg-white rounded-md px-3 py-2 border border-gray-200">
+                        <div className="text-sm">
+                          <span className="font-semibold text-gray-900 mr-2">#{match.rank}</span>
+                          <span className="font-medium">{match.entry.customerName}</span>
+                          <span className="text-gray-500 ml-2">
+                            <Users className="w-3 h-3 inline mr-1" />{match.entry.partySize}
+                          </span>
+                          <span className="text-gray-500 ml-2">
+                            {moment(match.startTime).format('h:mm A')} – {moment(match.endTime).format('h:mm A')}
+                          </span>
+                          {match.entry.phone && <span className="text-gray-400 ml-2">{match.entry.phone}</span>}
+                        </div>
+                        <Button
+                          size="sm"
+                          onClick={() => convertMutation.mutate({ match, slotIndex })}
+                          disabled={convertMutation.isLoading}
+                        >
+                          <CheckCircle className="w-4 h-4 mr-1" />
+                          Book
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Waiting entries */}
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-900">Waiting ({entries.length})</h3>
+              <Button size="sm" variant="outline" onClick={() => setShowForm(!showForm)}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add to Waitlist
+              </Button>
+            </div>
+
+            {showForm && (
+              <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <Input
+                    placeholder="Customer name"
+                    value={formData.customerName}
+                    onChange={(e) => setFormData(prev => ({ ...prev, customerName: e.target.value }))}
+                  />
+                  <Input
+                    placeholder="Phone"
+                    value={formData.phone}
+                    onChange={(e) => setFormData(prev => ({ ...prev, phone: e.target.value }))}
+                  />
+                  <Input
+                    type="email"
+                    placeholder="Email"
+                    value={formData.email}
+                    onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
+                  />
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Party size</label>
+                    <Input
+                      type="number"
+                      min="1"
+                      value={formData.partySize}
+                      onChange={(e) => setFormData(prev => ({ ...prev, partySize: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Date</label>
+                    <Input
+                      type="date"
+                      value={formData.date}
+                      onChange={(e) => setFormData(prev => ({ ...prev, date: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">From</label>
+                    <Input
+                      type="time"
+                      value={formData.from}
+                      onChange={(e) => setFormData(prev => ({ ...prev, from: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">To</label>
+                    <Input
+                      type="time"
+                      value={formData.to}
+                      onChange={(e) => setFormData(prev => ({ ...prev, to: e.target.value }))}
+                    />
+                  </div>
+                  <div>
+                    <label className="text-xs font-medium text-gray-600">Duration (min)</label>
+                    <Input
+                      type="number"
+                      min="15"
+                      step="15"
+                      value={formData.durationMinutes}
+                      onChange={(e) => setFormData(prev => ({ ...prev, durationMinutes: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <label className="text-xs font-medium text-gray-600">Acceptable rooms (leave all unticked for any room that fits)</label>
+                  <div className="flex flex-wrap gap-2">
+                    {categories.map(category => (
+                      <label key={category} className="flex items-center text-sm px-2 py-1 border rounded-md cursor-pointer">
+                        <input
+                          type="checkbox"
+                          className="mr-1"
+                          checked={formData.categories.includes(category)}
+                          onChange={() => toggleListValue('categories', category)}
+                        />
+                        Any {category}
+                      </label>
+                    ))}
+                    {rooms.map(room => (
+                      <label key={room._id || room.id} className="flex items-center text-sm px-2 py-1 border rounded-md cursor-pointer">
+                        <input
+                          type="checkbox"
+                          className="mr-1"
+                          checked={formData.roomIds.includes(room._id || room.id)}
+                          onChange={() => toggleListValue('roomIds', room._id || room.id)}
+                        />
+                        {room.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <Input
+                  placeholder="Notes"
+                  value={formData.notes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                />
+                <div className="flex justify-end space-x-2">
+                  <Button type="button" variant="outline" onClick={() => setShowForm(false)}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" disabled={createEntryMutation.isLoading}>
+                    {createEntryMutation.isLoading ? 'Adding...' : 'Add'}
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {isLoading ? (
+              <div className="text-sm text-gray-500">Loading waitlist...</div>
+            ) : entries.length === 0 ? (
+              <div className="text-sm text-gray-500">Nobody is waiting.</div>
+            ) : (
+              <div className="space-y-2">
+                {entries.map(entry => (
+                  <div key={entry.id} className="flex items-start justify-between border border-gray-200 rounded-lg px-3 py-2">
+                    <div className="text-sm space-y-1">
+                      <div className="font-medium text-gray-900">
+                        {entry.customerName}
+                        <span className="text-gray-500 font-normal ml-2">
+                          <Users className="w-3 h-3 inline mr-1" />{entry.partySize}
+                        </span>
+                        {entry.phone && <span className="text-gray-400 font-normal ml-2">{entry.phone}</span>}
+                      </div>
+                      <div className="text-gray-600 flex items-center">
+                        <Clock className="w-3 h-3 mr-1" />
+                        {formatWindow(entry.windowStart, entry.windowEnd)} · {entry.durationMinutes} min
+                      </div>
+                      {(entry.categories.length > 0 || entry.roomIds.length > 0) && (
+                        <div className="flex flex-wrap gap-1">
+                          {entry.categories.map(category => (
+                            <Badge key={category}>Any {category}</Badge>
+                          ))}
+                          {entry.roomIds.map(roomId => (
+                            <Badge key={roomId}>{roomName(roomId)}</Badge>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => deleteEntryMutation.mutate(entry.id)}
+                      title="Remove from waitlist"
+                    >
+                      <Trash2 className="w-4 h-4 text-red-500" />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default WaitlistModal;
@@ -104,7 +104,6 @@ export const SettingsProvider = ({ children }) => {
             notes: { visible: true, required: false, label: 'Notes', placeholder: 'Additional notes', validation: 'none' },
             specialRequests: { visible: true, required: false, label: 'Special requests', placeholder: 'Special requirements', validation: 'none' },
           },
-          customBookingFields: [],
           // Room form fields configuration
           roomFormFields: {
             name: { visible: true, required: true, label: 'Room name', placeholder: 'Enter room name', type: 'text', validation: 'required' },
@@ -119,7 +118,6 @@ export const SettingsProvider = ({ children }) => {
             description: { visible: true, required: false, label: 'Description', placeholder: 'Room description', type: 'textarea', validation: 'none' },
             amenities: { visible: true, required: false, label: 'Amenities', placeholder: 'Add amenities', type: 'text', validation: 'none' },
           },
-          customRoomFields: [],
           // Confirmation template settings
           confirmationTemplate: {
             template: '🎤 BOOKING CONFIRMATION\n\n' +
@@ -323,29 +321,6 @@ export const SettingsProvider = ({ children }) => {
     }));
   };
 
-  const addCustomBookingField = (field) => {
-    setSettings(prev => ({
-      ...prev,
-      customBookingFields: [...prev.customBookingFields, field]
-    }));
-  };
-
-  const updateCustomBookingField = (fieldId, property, value) => {
-    setSettings(prev => ({
-      ...prev,
-      customBookingFields: prev.customBookingFields.map(field => 
-        field.id === fieldId ? { ...field, [property]: value } : field
-      )
-    }));
-  };
-
-  const removeCustomBookingField = (fieldId) => {
-    setSettings(prev => ({
-      ...prev,
-      customBookingFields: prev.customBookingFields.filter(field => field.id !== fieldId)
-    }));
-  };
-
   const updateRoomFormField = (fieldName, property, value) => {
     setSettings(prev => ({
       ...prev,
@@ -359,29 +334,6 @@ export const SettingsProvider = ({ children }) => {
     }));
   };
 
-  const addCustomRoomField = (field) => {
-    setSettings(prev => ({
-      ...prev,
-      customRoomFields: [...prev.customRoomFields, field]
-    }));
-  };
-
-  const updateCustomRoomField = (fieldId, property, value) => {
-    setSettings(prev => ({
-      ...prev,
-      customRoomFields: prev.customRoomFields.map(field => 
-        field.id === fieldId ? { ...field, [property]: value } : field
-      )
-    }));
-  };
-
-  const removeCustomRoomField = (fieldId) => {
-    setSettings(prev => ({
-      ...prev,
-      customRoomFields: prev.customRoomFields.filter(field => field.id !== fieldId)
-    }));
-  };
-
   const updateLayoutSlotSetting = (layoutType, slotType, value) => {
     setSettings(prev => ({
       ...prev,
@@ -476,7 +428,6 @@ export const SettingsProvider = ({ children }) => {
         description: { visible: true, required: false, label: 'Description', placeholder: 'Room description', type: 'textarea', validation: 'none' },
         amenities: { visible: true, required: false, label: 'Amenities', placeholder: 'Add amenities', type: 'text', validation: 'none' },
       },
-      customRoomFields: [],
       // Confirmation template settings
       confirmationTemplate: {
         template: '🎤 BOOKING CONFIRMATION\n\n' +
@@ -515,9 +466,7 @@ export const SettingsProvider = ({ children }) => {
     setSettings(prev => ({
       ...prev,
       defaultBookingFormFields: JSON.parse(JSON.stringify(prev.bookingFormFields)),
-      defaultCustomBookingFields: JSON.parse(JSON.stringify(prev.customBookingFields || [])),
       defaultRoomFormFields: JSON.parse(JSON.stringify(prev.roomFormFields || {})),
-      defaultCustomRoomFields: JSON.parse(JSON.stringify(prev.customRoomFields || [])),
       formFieldsSavedAt: new Date().toISOString()
     }));
   };
@@ -532,21 +481,11 @@ export const SettingsProvider = ({ children }) => {
         newSettings.bookingFormFields = JSON.parse(JSON.stringify(prev.defaultBookingFormFields));
       }
       
-      // Reset custom booking fields if defaults exist
-      if (prev.defaultCustomBookingFields) {
-        newSettings.customBookingFields = JSON.parse(JSON.stringify(prev.defaultCustomBookingFields));
-      }
-      
       // Reset room form fields if defaults exist
       if (prev.defaultRoomFormFields) {
         newSettings.roomFormFields = JSON.parse(JSON.stringify(prev.defaultRoomFormFields));
       }
       
-      // Reset custom room fields if defaults exist
-      if (prev.defaultCustomRoomFields) {
-        newSettings.customRoomFields = JSON.parse(JSON.stringify(prev.defaultCustomRoomFields));
-      }
-      
       return newSettings;
     });
   };
@@ -556,13 +495,7 @@ export const SettingsProvider = ({ children }) => {
     updateSetting,
     toggleLayoutOrientation,
     updateBookingFormField,
-    addCustomBookingField,
-    updateCustomBookingField,
-    removeCustomBookingField,
     updateRoomFormField,
-    addCustomRoomField,
-    updateCustomRoomField,
-    removeCustomRoomField,
     updateLayoutSlotSetting,
     updateBookingSourceColor,
     updateConfirmationTemplate,
@@ -1,5 +1,8 @@
 import { mockAPI } from './mockData.js';
 import axios from 'axios';
+import moment from 'moment';
+import { DEFAULT_BOOKING_POLICY } from '../utils/bookingPolicy.js';
+import { normalizeDayHours } from '../utils/businessHours.js';
 
 // API configuration - switches between mock and real backend based on environment
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
@@ -27,146 +30,2145 @@ apiClient.interceptors.request.use((config) => {
 
 // Helper function to convert frontend business hours format to backend format
 const convertToBackendFormat = (businessHours) => {
-  return businessHours.map(bh => ({
-    day_of_week: bh.weekday,
-    open_time: bh.openTime,
-    close_time: bh.closeTime,
-    is_closed: bh.isClosed || false
+  return businessHours.flatMap(bh => {
+    const { intervals } = normalizeDayHours(bh);
+    if (bh.isClosed) {
+      return [{ day_of_week: bh.weekday, open_time: intervals[0].openTime, close_time: intervals[0].closeTime, is_closed: true }];
+    }
+    return intervals.map(interval => ({
+      day_of_week: bh.weekday,
+      open_time: interval.openTime,
+      close_time: interval.closeTime,
+      is_closed: false
+    }));
+  });
+};
+
+// Helper function to convert backend business hours format to frontend format. The
+// backend has a row per opening interval; the frontend has one entry per weekday.
+const convertToFrontendFormat = (backendHours) => {
+  const byWeekday = new Map();
+  backendHours.forEach(bh => {
+    byWeekday.set(bh.day_of_week, [...(byWeekday.get(bh.day_of_week) || []), bh]);
+  });
+  return [...byWeekday.entries()].map(([weekday, rows]) => normalizeDayHours({
+    weekday,
+    isClosed: rows.some(row => row.is_closed),
+    intervals: rows.map(row => ({ openTime: row.open_time, closeTime: row.close_time }))
   }));
 };
 
-// Helper function to convert backend business hours format to frontend format
-const convertToFrontendFormat = (backendHours) => {
-  return backendHours.map(bh => ({
-    weekday: bh.day_of_week,
-    openTime: bh.open_time,
-    closeTime: bh.close_time,
-    isClosed: bh.is_closed || false
-  }));
+const convertHoursExceptionToFrontendFormat = (exception) => ({
+  id: exception.id,
+  date: exception.date,
+  name: exception.name,
+  kind: exception.kind,
+  isClosed: exception.is_closed,
+  openTime: exception.open_time,
+  closeTime: exception.close_time,
+  intervals: (exception.intervals || []).map(interval => ({ openTime: interval.open_time, closeTime: interval.close_time })),
+  recursAnnually: exception.recurs_annually
+});
+
+const convertHoursExceptionToBackendFormat = (exception) => {
+  const mapped = {
+    date: exception.date,
+    name: exception.name,
+    kind: exception.kind,
+    is_closed: exception.isClosed,
+    intervals: exception.isClosed
+      ? null
+      : normalizeDayHours(exception).intervals.map(interval => ({ open_time: interval.openTime, close_time: interval.closeTime })),
+    recurs_annually: exception.recursAnnually
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+const toOptionalNumber = (parse) => (value) => (
+  value === '' || value === null || value === undefined ? undefined : parse(value)
+);
+
+// One itemised line of a booking's price or of a quote
+const convertPriceLineToFrontendFormat = (line) => ({
+  type: line.type,
+  label: line.label,
+  ruleId: line.rule_id,
+  code: line.code,
+  discountType: line.discount_type,
+  promoAmount: line.promo_amount,
+  startTime: line.start_time,
+  minutes: line.minutes,
+  hourlyRate: line.hourly_rate,
+  amount: line.amount
+});
+
+const convertPolicyTiersToFrontendFormat = (tiers) => (tiers || []).map(tier => ({
+  hoursBefore: tier.hours_before,
+  feePercent: tier.fee_percent
+}));
+
+// The copy of its cancellation policy a booking was made under
+const convertPolicySnapshotToFrontendFormat = (policy) => policy && {
+  policyId: policy.policy_id,
+  name: policy.name,
+  tiers: convertPolicyTiersToFrontendFormat(policy.tiers),
+  noShowFeePercent: policy.no_show_fee_percent
+};
+
+// Frontend booking fields and the backend columns they map to. Both booking
+// converters read this map, so a field is named and parsed in one place only.
+// Read-only fields are computed by the backend and never sent.
+const BOOKING_FIELD_MAP = {
+  // Set when the booking is a combined booking holding all of roomIds
+  roomGroupId: { column: 'room_group_id', toBackend: value => value || undefined },
+  roomGroupName: { column: 'room_group_name', readOnly: true },
+  roomIds: { column: 'room_ids', readOnly: true, toFrontend: ids => ids || [] },
+  customerName: { column: 'customer_name' },
+  // The directory customer; left out of a new booking, one is matched on email or phone
+  customerId: { column: 'customer_id' },
+  email: { column: 'customer_email', toBackend: value => value || undefined },
+  phone: { column: 'customer_phone', toBackend: value => value || undefined },
+  startTime: { column: 'start_time' },
+  endTime: { column: 'end_time' },
+  status: { column: 'status' },
+  notes: { column: 'notes' },
+  partySize: { column: 'party_size', toBackend: toOptionalNumber(parseInt) },
+  source: { column: 'source' },
+  priority: { column: 'priority' },
+  // A blank base price is sent as null, handing it back to the pricing rules
+  basePrice: { column: 'base_price', toBackend: value => (value === '' || value === null || value === undefined ? null : parseFloat(value)) },
+  additionalFees: { column: 'additional_fees', toBackend: toOptionalNumber(parseFloat) },
+  discount: { column: 'discount', toBackend: toOptionalNumber(parseFloat) },
+  specialRequests: { column: 'special_requests' },
+  customFields: { column: 'custom_fields' },
+  surcharges: { column: 'surcharges', readOnly: true },
+  ruleFees: { column: 'rule_fees', readOnly: true },
+  ruleDiscounts: { column: 'rule_discounts', readOnly: true },
+  // Codes to redeem; only read when a booking is created
+  promoCodes: { column: 'promo_codes' },
+  promoDiscount: { column: 'promo_discount', readOnly: true },
+  taxRate: { column: 'tax_rate', readOnly: true },
+  tax: { column: 'tax', readOnly: true },
+  basePriceManual: { column: 'base_price_manual', readOnly: true },
+  priceLines: { column: 'price_lines', readOnly: true, toFrontend: lines => (lines || []).map(convertPriceLineToFrontendFormat) },
+  totalPrice: { column: 'total_price', readOnly: true },
+  confirmationCode: { column: 'confirmation_code', readOnly: true },
+  seriesId: { column: 'series_id', readOnly: true },
+  seriesIndex: { column: 'series_index', readOnly: true },
+  holdExpiresAt: { column: 'hold_expires_at', readOnly: true },
+  cancellationPolicy: { column: 'cancellation_policy', readOnly: true, toFrontend: convertPolicySnapshotToFrontendFormat },
+  cancellationFee: { column: 'cancellation_fee', readOnly: true },
+  cancellationFeePercent: { column: 'cancellation_fee_percent', readOnly: true },
+  cancellationFeeWaivedAt: { column: 'cancellation_fee_waived_at', readOnly: true },
+  cancellationFeeWaiverReason: { column: 'cancellation_fee_waiver_reason', readOnly: true },
+  createdAt: { column: 'created_at', readOnly: true },
+  updatedAt: { column: 'updated_at', readOnly: true }
+};
+
+// Helper function to convert frontend booking fields to backend format
+const convertBookingToBackendFormat = (booking) => {
+  const mapped = {
+    room_id: typeof booking.roomId === 'object' && booking.roomId !== null
+      ? booking.roomId._id || booking.roomId.id
+      : booking.roomId,
+    hold_minutes: booking.holdMinutes
+  };
+  Object.entries(BOOKING_FIELD_MAP).forEach(([field, { column, toBackend, readOnly }]) => {
+    if (readOnly || !(field in booking)) return;
+    mapped[column] = toBackend ? toBackend(booking[field]) : booking[field];
+  });
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+// Helper function to convert a backend booking row to frontend format
+const convertBookingToFrontendFormat = (booking) => {
+  const converted = {
+    _id: booking.id,
+    id: booking.id,
+    roomId: {
+      _id: booking.room_id,
+      id: booking.room_id,
+      name: booking.room_name,
+      capacity: booking.room_capacity,
+      category: booking.room_category
+    },
+    timeIn: booking.start_time,
+    timeOut: booking.end_time
+  };
+  Object.entries(BOOKING_FIELD_MAP).forEach(([field, { column, toFrontend }]) => {
+    converted[field] = toFrontend ? toFrontend(booking[column]) : booking[column];
+  });
+  return converted;
+};
+
+// A cancellation or no-show fee, as charged or previewed
+const convertCancellationFeeToFrontendFormat = (fee) => ({
+  bookingId: fee.booking_id,
+  startTime: fee.start_time,
+  totalPrice: fee.total_price,
+  policyName: fee.policy_name,
+  kind: fee.kind,
+  hoursBeforeStart: fee.hours_before_start,
+  tier: fee.tier && { hoursBefore: fee.tier.hours_before, feePercent: fee.tier.fee_percent },
+  feePercent: fee.fee_percent,
+  fee: fee.fee,
+  netPaid: fee.net_paid,
+  balanceDue: fee.balance_due,
+  refundDue: fee.refund_due
+});
+
+// Helper function to convert booking list filters to backend query parameters
+const convertBookingQuery = (params) => {
+  const query = { room_id: params.room };
+  if (params.status && params.status !== 'all') {
+    query.status = params.status;
+  }
+  if (params.date) {
+    query.start_date = moment(params.date).startOf('day').toISOString();
+    query.end_date = moment(params.date).endOf('day').toISOString();
+  } else if (params.startDate && params.endDate) {
+    query.start_date = new Date(params.startDate).toISOString();
+    query.end_date = new Date(params.endDate).toISOString();
+  }
+  if (params.customer) {
+    query.customer = params.customer;
+  }
+  if (params.custom) {
+    query.custom = params.custom;
+  }
+  Object.keys(query).forEach(key => query[key] === undefined && delete query[key]);
+  return query;
+};
+
+// Helper function to convert a blocking booking from a conflict report to frontend format
+const convertConflictToFrontendFormat = (conflict) => ({
+  id: conflict.id,
+  roomId: conflict.room_id,
+  customerName: conflict.customer_name,
+  startTime: conflict.start_time,
+  endTime: conflict.end_time,
+  status: conflict.status
+});
+
+// Helper function to convert one occurrence of a room block to frontend format
+const convertRoomBlockOccurrenceToFrontendFormat = (occurrence) => ({
+  blockId: occurrence.block_id,
+  roomId: occurrence.room_id,
+  reason: occurrence.reason,
+  index: occurrence.index,
+  startTime: occurrence.start_time,
+  endTime: occurrence.end_time
+});
+
+// Helper function to convert a series occurrence report to frontend format
+const convertOccurrenceToFrontendFormat = (occurrence) => ({
+  id: occurrence.id,
+  index: occurrence.index,
+  bookingId: occurrence.booking_id,
+  startTime: occurrence.start_time,
+  endTime: occurrence.end_time,
+  status: occurrence.status,
+  conflicts: (occurrence.conflicts || []).map(convertConflictToFrontendFormat),
+  blocks: (occurrence.blocks || []).map(convertRoomBlockOccurrenceToFrontendFormat),
+  // Booking policy rules the occurrence breaks, as messages
+  policyErrors: (occurrence.policy_errors || []).map(error => error.msg)
+});
+
+// Maps the blocking bookings and room blocks of a 409 (`data.conflicts` and `data.blocks`,
+// or per-occurrence `data.occurrences`) so callers can render the conflict report
+const convertConflictError = (error) => {
+  const details = error.response?.status === 409 ? error.response.data?.data : null;
+  if (details?.occurrences) {
+    details.occurrences = details.occurrences.map(convertOccurrenceToFrontendFormat);
+  }
+  if (details?.conflicts) {
+    details.conflicts = details.conflicts.map(convertConflictToFrontendFormat);
+  }
+  if (details?.blocks) {
+    details.blocks = details.blocks.map(convertRoomBlockOccurrenceToFrontendFormat);
+  }
+  return error;
+};
+
+const convertSeriesRequest = (data) => ({
+  ...convertBookingToBackendFormat(data),
+  recurrence: data.recurrence,
+  on_conflict: data.onConflict
+});
+
+// Helper function to read a setting stored as a JSON object, {} if unset or malformed
+const parseJsonSetting = (value) => {
+  try {
+    return JSON.parse(value || '{}') || {};
+  } catch {
+    return {};
+  }
+};
+
+// Helper function to read the turnover buffer keys out of the backend settings object
+const convertBufferSettingsToFrontendFormat = (settings) => ({
+  before: parseInt(settings.buffer_before_minutes, 10) || 0,
+  after: parseInt(settings.buffer_after_minutes, 10) || 0,
+  categories: parseJsonSetting(settings.category_buffers)
+});
+
+// Booking policy fields and the settings keys they are stored under
+const BOOKING_POLICY_KEYS = {
+  minDuration: 'booking_min_duration',
+  maxDuration: 'booking_max_duration',
+  advanceDays: 'booking_advance_days',
+  leadMinutes: 'booking_lead_minutes',
+  timeInterval: 'booking_time_interval'
+};
+
+const convertBookingPolicyToFrontendFormat = (settings) => Object.fromEntries(
+  Object.entries(BOOKING_POLICY_KEYS).map(([field, key]) => {
+    const value = parseInt(settings[key], 10);
+    return [field, Number.isNaN(value) ? DEFAULT_BOOKING_POLICY[field] : value];
+  })
+);
+
+const convertStatusChangeToFrontendFormat = (change) => ({
+  id: change.id,
+  bookingId: change.booking_id,
+  fromStatus: change.from_status,
+  toStatus: change.to_status,
+  source: change.source,
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  changedAt: `${change.changed_at.replace(' ', 'T')}Z`
+});
+
+// Auth API
+export const authAPI = {
+  login: async (credentials) => {
+    if (isMockMode) {
+      return mockAPI.login(credentials);
+    }
+    
+    try {
+      const response = await apiClient.post('/auth/login', credentials);
+      return response.data;
+    } catch (error) {
+      // console.error('Error logging in:', error);
+      throw error;
+    }
+  },
+  
+  logout: async () => {
+    if (isMockMode) {
+      return mockAPI.logout();
+    }
+    
+    try {
+      const response = await apiClient.post('/auth/logout');
+      return response.data;
+    } catch (error) {
+      // console.error('Error logging out:', error);
+      throw error;
+    }
+  },
+  
+  getSession: async () => {
+    if (isMockMode) {
+      return mockAPI.getSession();
+    }
+    
+    try {
+      const response = await apiClient.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      // console.error('Error getting session:', error);
+      throw error;
+    }
+  },
+};
+
+// Helper function to convert a room to the frontend format
+// Media URLs from the server are paths on the API's host, which may not be the app's
+const resolveMediaUrl = (url) => (url && url.startsWith('/') ? new URL(url, API_BASE_URL).href : url);
+
+const convertRoomToFrontendFormat = (room) => ({
+  _id: room.id,
+  id: room.id,
+  name: room.name,
+  capacity: room.capacity,
+  category: room.category,
+  type: room.type,
+  description: room.description,
+  hourlyRate: room.price_per_hour,
+  status: room.status,
+  isActive: room.is_active,
+  isBookable: room.is_bookable,
+  sortOrder: room.sort_order,
+  color: room.color,
+  amenities: room.amenities || [],
+  bufferBeforeMinutes: room.buffer_before_minutes,
+  bufferAfterMinutes: room.buffer_after_minutes,
+  customFields: room.custom_fields || {},
+  coverPhotoUrl: resolveMediaUrl(room.cover_photo_url),
+  coverThumbnailUrl: resolveMediaUrl(room.cover_thumbnail_url)
+});
+
+const convertRoomPhotoToFrontendFormat = (photo) => ({
+  id: photo.id,
+  roomId: photo.room_id,
+  url: resolveMediaUrl(photo.url),
+  thumbnailUrl: resolveMediaUrl(photo.thumbnail_url),
+  contentType: photo.content_type,
+  size: photo.size,
+  caption: photo.caption,
+  sortOrder: photo.sort_order,
+  isCover: photo.is_cover
+});
+
+const convertRoomToBackendFormat = (room) => {
+  const mapped = {
+    name: room.name,
+    capacity: room.capacity,
+    category: room.category,
+    type: room.type,
+    description: room.description,
+    price_per_hour: room.hourlyRate,
+    status: room.status,
+    is_active: room.isActive,
+    is_bookable: room.isBookable,
+    sort_order: room.sortOrder,
+    color: room.color,
+    amenities: room.amenities,
+    buffer_before_minutes: room.bufferBeforeMinutes,
+    buffer_after_minutes: room.bufferAfterMinutes,
+    custom_fields: room.customFields
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+// Rooms API
+export const roomsAPI = {
+  // Rooms come back in schedule order: by sort order, then name
+  getAll: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getRooms(params);
+    }
+
+    try {
+      const response = await apiClient.get('/rooms', { params });
+      return { data: response.data.data.map(convertRoomToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching rooms:', error);
+      throw error;
+    }
+  },
+  getById: async (id) => {
+    if (isMockMode) {
+      return mockAPI.getRooms().then(response =>
+        response.data.find(room => room.id === id)
+      );
+    }
+
+    try {
+      const response = await apiClient.get(`/rooms/${id}`);
+      return convertRoomToFrontendFormat(response.data.data);
+    } catch (error) {
+      // console.error('Error fetching room:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createRoom(data);
+    }
+
+    try {
+      const response = await apiClient.post('/rooms', convertRoomToBackendFormat(data));
+      return { data: convertRoomToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating room:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateRoom(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/rooms/${id}`, convertRoomToBackendFormat(data));
+      return { data: convertRoomToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating room:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteRoom(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/rooms/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting room:', error);
+      throw error;
+    }
+  },
+  // A room's photos in gallery order; one of them is the cover
+  getPhotos: async (roomId) => {
+    if (isMockMode) {
+      return mockAPI.getRoomPhotos(roomId);
+    }
+
+    try {
+      const response = await apiClient.get(`/rooms/${roomId}/photos`);
+      return { data: response.data.data.map(convertRoomPhotoToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching room photos:', error);
+      throw error;
+    }
+  },
+  // `photo` is { image, thumbnail, caption } with the images as data: URLs (see readImageFile)
+  uploadPhoto: async (roomId, photo) => {
+    if (isMockMode) {
+      return mockAPI.uploadRoomPhoto(roomId, photo);
+    }
+
+    try {
+      const response = await apiClient.post(`/rooms/${roomId}/photos`, photo);
+      return { data: convertRoomPhotoToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error uploading room photo:', error);
+      throw error;
+    }
+  },
+  // Change a photo's caption, or make it the cover with { isCover: true }
+  updatePhoto: async (roomId, photoId, data) => {
+    if (isMockMode) {
+      return mockAPI.updateRoomPhoto(roomId, photoId, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/rooms/${roomId}/photos/${photoId}`, {
+        caption: data.caption,
+        is_cover: data.isCover
+      });
+      return { data: convertRoomPhotoToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating room photo:', error);
+      throw error;
+    }
+  },
+  reorderPhotos: async (roomId, photoIds) => {
+    if (isMockMode) {
+      return mockAPI.reorderRoomPhotos(roomId, photoIds);
+    }
+
+    try {
+      const response = await apiClient.put(`/rooms/${roomId}/photos/order`, { photo_ids: photoIds });
+      return { data: response.data.data.map(convertRoomPhotoToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error reordering room photos:', error);
+      throw error;
+    }
+  },
+  deletePhoto: async (roomId, photoId) => {
+    if (isMockMode) {
+      return mockAPI.deleteRoomPhoto(roomId, photoId);
+    }
+
+    try {
+      const response = await apiClient.delete(`/rooms/${roomId}/photos/${photoId}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error removing room photo:', error);
+      throw error;
+    }
+  },
+  // Category names, for pickers and filters; roomCategoriesAPI has the categories in full
+  getCategories: async () => {
+    if (isMockMode) {
+      return mockAPI.getRoomCategories().then(response => ({
+        data: response.data.map(category => category.name)
+      }));
+    }
+
+    try {
+      const response = await apiClient.get('/rooms/categories/list');
+      return { data: response.data.data };
+    } catch (error) {
+      // console.error('Error fetching room categories:', error);
+      throw error;
+    }
+  },
+};
+
+const convertRoomCategoryToFrontendFormat = (category) => ({
+  id: category.id,
+  name: category.name,
+  description: category.description,
+  defaultHourlyRate: category.default_price_per_hour,
+  defaultCapacity: category.default_capacity,
+  color: category.color,
+  sortOrder: category.sort_order,
+  deposit: category.deposit
+});
+
+const convertRoomCategoryToBackendFormat = (category) => {
+  const mapped = {
+    name: category.name,
+    description: category.description,
+    default_price_per_hour: category.defaultHourlyRate,
+    default_capacity: category.defaultCapacity,
+    color: category.color,
+    sort_order: category.sortOrder,
+    deposit: category.deposit
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+// Room categories API. Renaming a category renames it on its rooms and everywhere
+// else it is referred to; one that rooms are in cannot be deleted.
+export const roomCategoriesAPI = {
+  getAll: async () => {
+    if (isMockMode) {
+      return mockAPI.getRoomCategories();
+    }
+
+    try {
+      const response = await apiClient.get('/room-categories');
+      return { data: response.data.data.map(convertRoomCategoryToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching room categories:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createRoomCategory(data);
+    }
+
+    try {
+      const response = await apiClient.post('/room-categories', convertRoomCategoryToBackendFormat(data));
+      return { data: convertRoomCategoryToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating room category:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateRoomCategory(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/room-categories/${id}`, convertRoomCategoryToBackendFormat(data));
+      return { data: convertRoomCategoryToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating room category:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteRoomCategory(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/room-categories/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting room category:', error);
+      throw error;
+    }
+  },
+};
+
+const convertCustomerToFrontendFormat = (customer) => ({
+  id: customer.id,
+  name: customer.name,
+  email: customer.email,
+  phone: customer.phone,
+  notes: customer.notes,
+  bookingCount: customer.booking_count,
+  lastVisit: customer.last_visit,
+  totalSpend: customer.total_spend,
+  createdAt: customer.created_at,
+  // Only when fetched by id
+  bookings: customer.bookings?.map(convertBookingToFrontendFormat)
+});
+
+const convertCustomerToBackendFormat = (customer) => {
+  const mapped = {
+    name: customer.name,
+    email: customer.email,
+    phone: customer.phone,
+    notes: customer.notes
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+// Customers API. Customers are created and matched by their bookings' email or phone;
+// each comes with its booking count, last visit and total spend.
+export const customersAPI = {
+  // params: { search, sort: 'last_visit' | 'total_spend' | 'booking_count' | 'name', limit }
+  getAll: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getCustomers(params);
+    }
+
+    try {
+      const response = await apiClient.get('/customers', { params });
+      return { data: response.data.data.map(convertCustomerToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching customers:', error);
+      throw error;
+    }
+  },
+  // The customer with their bookings, most recent first
+  getById: async (id) => {
+    if (isMockMode) {
+      return mockAPI.getCustomer(id);
+    }
+
+    try {
+      const response = await apiClient.get(`/customers/${id}`);
+      return { data: convertCustomerToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error fetching customer:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createCustomer(data);
+    }
+
+    try {
+      const response = await apiClient.post('/customers', convertCustomerToBackendFormat(data));
+      return { data: convertCustomerToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating customer:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateCustomer(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/customers/${id}`, convertCustomerToBackendFormat(data));
+      return { data: convertCustomerToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating customer:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteCustomer(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/customers/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting customer:', error);
+      throw error;
+    }
+  },
+};
+
+// Bookings API
+export const bookingsAPI = {
+  getAll: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getBookings(params);
+    }
+
+    try {
+      const response = await apiClient.get('/bookings', { params: convertBookingQuery(params) });
+      const bookings = response.data.data.map(convertBookingToFrontendFormat);
+      return { data: { bookings, total: bookings.length } };
+    } catch (error) {
+      // console.error('Error fetching bookings:', error);
+      throw error;
+    }
+  },
+  getById: async (id) => {
+    if (isMockMode) {
+      return mockAPI.getBookings().then(response =>
+        response.data.bookings.find(booking => booking.id === id)
+      );
+    }
+
+    try {
+      const response = await apiClient.get(`/bookings/${id}`);
+      return convertBookingToFrontendFormat(response.data.data);
+    } catch (error) {
+      // console.error('Error fetching booking:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createBooking(data);
+    }
+
+    try {
+      const response = await apiClient.post('/bookings', convertBookingToBackendFormat(data));
+      return { data: { booking: convertBookingToFrontendFormat(response.data.data) } };
+    } catch (error) {
+      // console.error('Error creating booking:', error);
+      throw convertConflictError(error);
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateBooking(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${id}`, convertBookingToBackendFormat(data));
+      return {
+        data: {
+          booking: convertBookingToFrontendFormat(response.data.data),
+          waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist)
+        }
+      };
+    } catch (error) {
+      // console.error('Error updating booking:', error);
+      throw convertConflictError(error);
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteBooking(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/bookings/${id}`);
+      return { data: { message: response.data.message } };
+    } catch (error) {
+      // console.error('Error deleting booking:', error);
+      throw error;
+    }
+  },
+  // Promote a held booking to confirmed
+  confirmHold: async (id) => {
+    if (isMockMode) {
+      return mockAPI.confirmHold(id);
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${id}/confirm`);
+      return { data: { booking: convertBookingToFrontendFormat(response.data.data) } };
+    } catch (error) {
+      // console.error('Error confirming hold:', error);
+      throw convertConflictError(error);
+    }
+  },
+  // Move a booking along its lifecycle; rejected with INVALID_STATUS_TRANSITION for illegal changes
+  setStatus: async (id, status) => {
+    if (isMockMode) {
+      return mockAPI.setBookingStatus(id, status);
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${id}/status`, { status });
+      return {
+        data: {
+          booking: convertBookingToFrontendFormat(response.data.data),
+          waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist)
+        }
+      };
+    } catch (error) {
+      // console.error('Error changing booking status:', error);
+      throw convertConflictError(error);
+    }
+  },
+  getHistory: async (id) => {
+    if (isMockMode) {
+      return mockAPI.getBookingHistory(id);
+    }
+
+    try {
+      const response = await apiClient.get(`/bookings/${id}/history`);
+      return { data: response.data.data.map(convertStatusChangeToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching booking history:', error);
+      throw error;
+    }
+  },
+  // Cancel a booking, or with `scope` its series. Each cancelled booking is charged its
+  // cancellation fee unless `waiverReason` is given.
+  cancel: async (id, scope = 'this', { waiverReason } = {}) => {
+    if (isMockMode) {
+      return mockAPI.cancelBooking(id, scope, { waiverReason });
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${id}/cancel`, { scope, waiver_reason: waiverReason || null });
+      return {
+        ...response.data,
+        data: {
+          ...response.data.data,
+          fees: (response.data.data.fees || []).map(convertCancellationFeeToFrontendFormat),
+          waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist)
+        }
+      };
+    } catch (error) {
+      // console.error('Error cancelling booking:', error);
+      throw error;
+    }
+  },
+  // What cancelling (kind 'cancelled') or marking a no-show (kind 'no_show') would
+  // cost under the booking's policy, per occurrence in `scope`
+  getCancellationFee: async (id, { scope = 'this', kind = 'cancelled' } = {}) => {
+    if (isMockMode) {
+      return mockAPI.getCancellationFee(id, { scope, kind });
+    }
+
+    try {
+      const response = await apiClient.get(`/bookings/${id}/cancellation-fee`, { params: { scope, kind } });
+      const preview = response.data.data;
+      return {
+        data: {
+          bookings: preview.bookings.map(convertCancellationFeeToFrontendFormat),
+          totalFee: preview.total_fee,
+          totalBalanceDue: preview.total_balance_due,
+          totalRefundDue: preview.total_refund_due
+        }
+      };
+    } catch (error) {
+      // console.error('Error previewing cancellation fee:', error);
+      throw error;
+    }
+  },
+  waiveCancellationFee: async (id, reason) => {
+    if (isMockMode) {
+      return mockAPI.waiveCancellationFee(id, reason);
+    }
+
+    try {
+      const response = await apiClient.post(`/bookings/${id}/cancellation-fee/waive`, { reason });
+      return { data: { booking: convertBookingToFrontendFormat(response.data.data) } };
+    } catch (error) {
+      // console.error('Error waiving cancellation fee:', error);
+      throw error;
+    }
+  },
+  previewSeries: async (data) => {
+    if (isMockMode) {
+      return mockAPI.previewBookingSeries(data);
+    }
+
+    try {
+      const response = await apiClient.post('/bookings/series', { ...convertSeriesRequest(data), dry_run: true });
+      return {
+        data: {
+          rrule: response.data.data.rrule,
+          occurrences: response.data.data.occurrences.map(convertOccurrenceToFrontendFormat)
+        }
+      };
+    } catch (error) {
+      // console.error('Error previewing booking series:', error);
+      throw convertConflictError(error);
+    }
+  },
+  createSeries: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createBookingSeries(data);
+    }
+
+    try {
+      const response = await apiClient.post('/bookings/series', convertSeriesRequest(data));
+      return {
+        data: {
+          series: response.data.data.series,
+          occurrences: response.data.data.occurrences.map(convertOccurrenceToFrontendFormat)
+        }
+      };
+    } catch (error) {
+      // console.error('Error creating booking series:', error);
+      throw convertConflictError(error);
+    }
+  },
+  updateSeries: async (id, data, scope) => {
+    if (isMockMode) {
+      return mockAPI.updateBookingSeries(id, data, scope);
+    }
+
+    try {
+      const fields = convertBookingToBackendFormat(data);
+      delete fields.status;
+      const response = await apiClient.put(`/bookings/${id}/series`, { ...fields, scope });
+      return { data: response.data.data.map(convertBookingToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error updating booking series:', error);
+      throw convertConflictError(error);
+    }
+  },
+  // Move a booking, or swap it with `targetBookingId` atomically: either both bookings move or neither does
+  move: async (data) => {
+    if (data.targetBookingId) {
+      if (isMockMode) {
+        const response = await mockAPI.swapBookings(data.bookingId, {
+          targetBookingId: data.targetBookingId,
+          newRoomId: data.newRoomId,
+          newStartTime: data.newTimeIn,
+          newEndTime: data.newTimeOut,
+          targetNewRoomId: data.targetRoomId,
+          targetNewStartTime: data.targetNewTimeIn,
+          targetNewEndTime: data.targetNewTimeOut
+        });
+        return { data: { ...response.data, type: 'swap' } };
+      }
+
+      try {
+        const response = await apiClient.put(`/bookings/${data.bookingId}/swap`, {
+          target_booking_id: data.targetBookingId,
+          new_room_id: data.newRoomId,
+          new_start_time: data.newTimeIn,
+          new_end_time: data.newTimeOut,
+          target_new_room_id: data.targetRoomId,
+          target_new_start_time: data.targetNewTimeIn,
+          target_new_end_time: data.targetNewTimeOut
+        });
+        return {
+          data: {
+            source: convertBookingToFrontendFormat(response.data.data.source),
+            target: convertBookingToFrontendFormat(response.data.data.target),
+            waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist),
+            type: 'swap'
+          }
+        };
+      } catch (error) {
+        // console.error('Error swapping bookings:', error);
+        throw convertConflictError(error);
+      }
+    }
+
+    if (isMockMode) {
+      const response = await mockAPI.updateBooking(data.bookingId, {
+        roomId: data.newRoomId,
+        startTime: data.newTimeIn,
+        endTime: data.newTimeOut,
+        timeIn: data.newTimeIn,
+        timeOut: data.newTimeOut
+      });
+      return { data: { ...response.data, type: 'move' } };
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${data.bookingId}/move`, {
+        new_room_id: data.newRoomId,
+        new_start_time: data.newTimeIn,
+        new_end_time: data.newTimeOut
+      });
+      return {
+        data: {
+          booking: convertBookingToFrontendFormat(response.data.data),
+          waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist),
+          type: 'move'
+        }
+      };
+    } catch (error) {
+      // console.error('Error moving booking:', error);
+      throw convertConflictError(error);
+    }
+  },
+  // Change start/end in place; rejected with BOOKING_POLICY_VIOLATION or a conflict without touching the booking
+  resize: async (data) => {
+    if (isMockMode) {
+      return mockAPI.resizeBooking(data.bookingId, {
+        startTime: data.newStartTime,
+        endTime: data.newEndTime
+      });
+    }
+
+    try {
+      const response = await apiClient.put(`/bookings/${data.bookingId}/resize`, {
+        start_time: data.newStartTime,
+        end_time: data.newEndTime
+      });
+      return {
+        data: {
+          booking: convertBookingToFrontendFormat(response.data.data),
+          waitlist: convertFreedSlotsToFrontendFormat(response.data.waitlist)
+        }
+      };
+    } catch (error) {
+      // console.error('Error resizing booking:', error);
+      throw convertConflictError(error);
+    }
+  },
+};
+
+// Helper function to convert availability query params to backend format
+const convertAvailabilityParams = (params) => {
+  const mapped = {
+    start_date: params.startDate,
+    end_date: params.endDate,
+    start_time: params.startTime,
+    party_size: params.partySize,
+    duration: params.duration,
+    interval: params.interval,
+    room_id: params.roomId
+  };
+  Object.keys(mapped).forEach(key => (mapped[key] === undefined || mapped[key] === '') && delete mapped[key]);
+  return mapped;
+};
+
+const convertWindowToFrontendFormat = (window) => ({
+  startTime: window.start_time,
+  endTime: window.end_time
+});
+
+const convertAvailabilityDayToFrontendFormat = (day) => ({
+  date: day.date,
+  isClosed: day.is_closed,
+  openTime: day.open_time,
+  closeTime: day.close_time,
+  openingWindows: (day.opening_windows || []).map(convertWindowToFrontendFormat),
+  freeWindows: day.free_windows.map(convertWindowToFrontendFormat),
+  slots: day.slots.map(convertWindowToFrontendFormat)
+});
+
+// Availability API
+export const availabilityAPI = {
+  // Free windows and bookable slots per room: { startDate, endDate, partySize, duration, interval, roomId }
+  get: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getAvailability(params);
+    }
+
+    try {
+      const response = await apiClient.get('/availability', { params: convertAvailabilityParams(params) });
+      const data = response.data.data;
+      return {
+        data: {
+          partySize: data.party_size,
+          duration: data.duration,
+          rooms: data.rooms.map(room => ({
+            roomId: room.room_id,
+            name: room.name,
+            capacity: room.capacity,
+            category: room.category,
+            days: room.days.map(convertAvailabilityDayToFrontendFormat)
+          })),
+          // Combined rooms that fit the party, offered when no single room does
+          combinations: (data.combinations || []).map(group => ({
+            roomGroupId: group.room_group_id,
+            roomIds: group.room_ids,
+            name: group.name,
+            capacity: group.capacity,
+            days: group.days.map(convertAvailabilityDayToFrontendFormat)
+          }))
+        }
+      };
+    } catch (error) {
+      // console.error('Error fetching availability:', error);
+      throw error;
+    }
+  },
+
+  // Rooms ranked by fit: { startDate | startTime, endDate, partySize, duration, roomId }.
+  // When no single room is big enough, combined rooms come back with roomGroupId and roomIds.
+  findBest: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.findBestRooms(params);
+    }
+
+    try {
+      const response = await apiClient.get('/availability/best', { params: convertAvailabilityParams(params) });
+      const data = response.data.data;
+      return {
+        data: {
+          partySize: data.party_size,
+          duration: data.duration,
+          rooms: data.rooms.map(room => ({
+            rank: room.rank,
+            roomId: room.room_id,
+            roomGroupId: room.room_group_id || null,
+            roomIds: room.room_ids || [room.room_id],
+            name: room.name,
+            capacity: room.capacity,
+            category: room.category,
+            startTime: room.start_time,
+            endTime: room.end_time,
+            spareCapacity: room.spare_capacity,
+            fragmentationMinutes: room.fragmentation_minutes
+          }))
+        }
+      };
+    } catch (error) {
+      // console.error('Error finding best room:', error);
+      throw error;
+    }
+  },
+};
+
+// Helper function to convert a waitlist entry to backend format
+const convertWaitlistEntryToBackendFormat = (entry) => {
+  const mapped = {
+    customer_name: entry.customerName,
+    customer_email: entry.email,
+    customer_phone: entry.phone,
+    party_size: entry.partySize,
+    window_start: entry.windowStart,
+    window_end: entry.windowEnd,
+    duration_minutes: entry.durationMinutes,
+    room_ids: entry.roomIds,
+    categories: entry.categories,
+    notes: entry.notes,
+    status: entry.status
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+const convertWaitlistEntryToFrontendFormat = (entry) => ({
+  id: entry.id,
+  customerName: entry.customer_name,
+  email: entry.customer_email,
+  phone: entry.customer_phone,
+  partySize: entry.party_size,
+  windowStart: entry.window_start,
+  windowEnd: entry.window_end,
+  durationMinutes: entry.duration_minutes,
+  roomIds: entry.room_ids || [],
+  categories: entry.categories || [],
+  notes: entry.notes,
+  status: entry.status,
+  bookingId: entry.booking_id,
+  createdAt: entry.created_at,
+  updatedAt: entry.updated_at
+});
+
+const convertWaitlistMatchToFrontendFormat = (match) => ({
+  rank: match.rank,
+  entry: convertWaitlistEntryToFrontendFormat(match.entry),
+  roomId: match.room_id,
+  roomName: match.room_name,
+  startTime: match.start_time,
+  endTime: match.end_time,
+  spareCapacity: match.spare_capacity
+});
+
+// Slots freed by a cancellation or move, each with its ranked waitlist matches
+const convertFreedSlotsToFrontendFormat = (slots = []) => slots.map(slot => ({
+  roomId: slot.room_id,
+  startTime: slot.start_time,
+  endTime: slot.end_time,
+  matches: slot.matches.map(convertWaitlistMatchToFrontendFormat)
+}));
+
+// Waitlist API
+export const waitlistAPI = {
+  // Entries by status ('waiting' by default, or 'all'), optionally for one date
+  getAll: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getWaitlist(params);
+    }
+
+    try {
+      const response = await apiClient.get('/waitlist', { params });
+      return { data: response.data.data.map(convertWaitlistEntryToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching waitlist:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createWaitlistEntry(data);
+    }
+
+    try {
+      const response = await apiClient.post('/waitlist', convertWaitlistEntryToBackendFormat(data));
+      return { data: convertWaitlistEntryToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating waitlist entry:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateWaitlistEntry(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/waitlist/${id}`, convertWaitlistEntryToBackendFormat(data));
+      return { data: convertWaitlistEntryToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating waitlist entry:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteWaitlistEntry(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/waitlist/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error removing waitlist entry:', error);
+      throw error;
+    }
+  },
+  // Ranked entries that could take a free slot: { roomId, startTime, endTime }
+  getMatches: async (slot) => {
+    if (isMockMode) {
+      return mockAPI.getWaitlistMatches(slot);
+    }
+
+    try {
+      const response = await apiClient.get('/waitlist/matches', {
+        params: { room_id: slot.roomId, start_time: slot.startTime, end_time: slot.endTime }
+      });
+      return { data: response.data.data.map(convertWaitlistMatchToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error matching waitlist:', error);
+      throw error;
+    }
+  },
+  // Book an offered slot for the entry: { roomId, startTime, endTime }
+  convert: async (id, placement) => {
+    if (isMockMode) {
+      return mockAPI.convertWaitlistEntry(id, placement);
+    }
+
+    try {
+      const response = await apiClient.post(`/waitlist/${id}/convert`, {
+        room_id: placement.roomId,
+        start_time: placement.startTime,
+        end_time: placement.endTime
+      });
+      return { data: { booking: convertBookingToFrontendFormat(response.data.data) } };
+    } catch (error) {
+      // console.error('Error converting waitlist entry:', error);
+      throw convertConflictError(error);
+    }
+  },
+};
+
+// Helper function to convert a custom booking or room field definition to backend format
+const convertCustomFieldToBackendFormat = (field) => {
+  const mapped = {
+    field_key: field.key,
+    label: field.label,
+    type: field.type,
+    required: field.required,
+    visible: field.visible,
+    min_value: field.min,
+    max_value: field.max,
+    options: field.options,
+    placeholder: field.placeholder,
+    sort_order: field.sortOrder
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+const convertCustomFieldToFrontendFormat = (field) => ({
+  id: field.id,
+  key: field.field_key,
+  label: field.label,
+  type: field.type,
+  required: field.required,
+  visible: field.visible,
+  min: field.min_value,
+  max: field.max_value,
+  options: field.options || [],
+  placeholder: field.placeholder,
+  sortOrder: field.sort_order
+});
+
+// The API for the custom field schema of `entity` ('booking' or 'room'), served at `path`
+const createCustomFieldsAPI = (entity, path) => ({
+  getAll: async () => {
+    if (isMockMode) {
+      return mockAPI.getCustomFields(entity);
+    }
+
+    try {
+      const response = await apiClient.get(path);
+      return { data: response.data.data.map(convertCustomFieldToFrontendFormat) };
+    } catch (error) {
+      // console.error(`Error fetching ${entity} fields:`, error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createCustomField(entity, data);
+    }
+
+    try {
+      const response = await apiClient.post(path, convertCustomFieldToBackendFormat(data));
+      return { data: convertCustomFieldToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error(`Error creating ${entity} field:`, error);
+      throw error;
+    }
+  },
+  // The key of an existing field cannot change
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateCustomField(entity, id, data);
+    }
+
+    try {
+      const fields = convertCustomFieldToBackendFormat(data);
+      delete fields.field_key;
+      const response = await apiClient.put(`${path}/${id}`, fields);
+      return { data: convertCustomFieldToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error(`Error updating ${entity} field:`, error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteCustomField(entity, id);
+    }
+
+    try {
+      const response = await apiClient.delete(`${path}/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error(`Error removing ${entity} field:`, error);
+      throw error;
+    }
+  },
+});
+
+// Custom booking fields API: the venue's schema for extra booking data
+export const bookingFieldsAPI = createCustomFieldsAPI('booking', '/booking-fields');
+
+// Custom room fields API: the venue's schema for extra room data
+export const roomFieldsAPI = createCustomFieldsAPI('room', '/room-fields');
+
+const convertPricingRuleToFrontendFormat = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  type: rule.rule_type,
+  amount: rule.amount,
+  amountType: rule.amount_type,
+  daysOfWeek: rule.days_of_week || [],
+  startTime: rule.start_time,
+  endTime: rule.end_time,
+  startDate: rule.start_date,
+  endDate: rule.end_date,
+  roomId: rule.room_id,
+  category: rule.category,
+  priority: rule.priority,
+  active: rule.active
+});
+
+const PRICING_RULE_COLUMNS = {
+  name: 'name',
+  type: 'rule_type',
+  amount: 'amount',
+  amountType: 'amount_type',
+  daysOfWeek: 'days_of_week',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  roomId: 'room_id',
+  category: 'category',
+  priority: 'priority',
+  active: 'active'
+};
+
+const convertPricingRuleToBackendFormat = (rule) => {
+  const mapped = {};
+  Object.entries(PRICING_RULE_COLUMNS).forEach(([field, column]) => {
+    if (field in rule) {
+      mapped[column] = rule[field] === '' ? null : rule[field];
+    }
+  });
+  return mapped;
+};
+
+const convertQuoteToFrontendFormat = (quote) => ({
+  minutes: quote.minutes,
+  lines: quote.lines.map(convertPriceLineToFrontendFormat),
+  basePrice: quote.base_price,
+  surcharges: quote.surcharges,
+  ruleFees: quote.rule_fees,
+  ruleDiscounts: quote.rule_discounts,
+  additionalFees: quote.additional_fees,
+  discount: quote.discount,
+  promoDiscount: quote.promo_discount,
+  taxRate: quote.tax_rate,
+  subtotal: quote.subtotal,
+  tax: quote.tax,
+  totalPrice: quote.total_price
+});
+
+// Pricing API: rate, surcharge, fee and discount rules, and price quotes
+export const pricingAPI = {
+  getRules: async () => {
+    if (isMockMode) {
+      return mockAPI.getPricingRules();
+    }
+
+    try {
+      const response = await apiClient.get('/pricing/rules');
+      return { data: response.data.data.map(convertPricingRuleToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching pricing rules:', error);
+      throw error;
+    }
+  },
+  createRule: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createPricingRule(data);
+    }
+
+    try {
+      const response = await apiClient.post('/pricing/rules', convertPricingRuleToBackendFormat(data));
+      return { data: convertPricingRuleToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating pricing rule:', error);
+      throw error;
+    }
+  },
+  updateRule: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updatePricingRule(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/pricing/rules/${id}`, convertPricingRuleToBackendFormat(data));
+      return { data: convertPricingRuleToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating pricing rule:', error);
+      throw error;
+    }
+  },
+  deleteRule: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deletePricingRule(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/pricing/rules/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting pricing rule:', error);
+      throw error;
+    }
+  },
+  // Itemised price for { roomId | roomGroupId, startTime, endTime } plus optional basePrice, additionalFees,
+  // discount and promoCodes; customerEmail / customerPhone check per-customer promo caps.
+  // bookingId quotes an existing booking with the promos already redeemed on it.
+  getQuote: async (params) => {
+    if (isMockMode) {
+      return mockAPI.getPriceQuote(params);
+    }
+
+    try {
+      const query = {
+        room_id: params.roomGroupId ? undefined : params.roomId,
+        room_group_id: params.roomGroupId || undefined,
+        start_time: params.startTime,
+        end_time: params.endTime,
+        base_price: toOptionalNumber(parseFloat)(params.basePrice),
+        additional_fees: toOptionalNumber(parseFloat)(params.additionalFees),
+        discount: toOptionalNumber(parseFloat)(params.discount),
+        promo_codes: params.promoCodes?.length ? params.promoCodes.join(',') : undefined,
+        customer_email: params.customerEmail || undefined,
+        customer_phone: params.customerPhone || undefined,
+        booking_id: params.bookingId || undefined
+      };
+      Object.keys(query).forEach(key => query[key] === undefined && delete query[key]);
+      const response = await apiClient.get('/pricing/quote', { params: query });
+      return { data: convertQuoteToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error quoting price:', error);
+      throw error;
+    }
+  },
+};
+
+const PROMO_CODE_COLUMNS = {
+  code: 'code',
+  description: 'description',
+  discountType: 'discount_type',
+  amount: 'amount',
+  validFrom: 'valid_from',
+  validUntil: 'valid_until',
+  roomIds: 'room_ids',
+  daysOfWeek: 'days_of_week',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  minDurationMinutes: 'min_duration_minutes',
+  maxUses: 'max_uses',
+  maxUsesPerCustomer: 'max_uses_per_customer',
+  stackable: 'stackable',
+  active: 'active'
+};
+
+const convertPromoCodeToFrontendFormat = (promo) => {
+  const converted = { id: promo.id, redemptionCount: promo.redemption_count || 0 };
+  Object.entries(PROMO_CODE_COLUMNS).forEach(([field, column]) => {
+    converted[field] = promo[column];
+  });
+  return converted;
+};
+
+const convertPromoCodeToBackendFormat = (promo) => {
+  const mapped = {};
+  Object.entries(PROMO_CODE_COLUMNS).forEach(([field, column]) => {
+    if (field in promo) {
+      mapped[column] = promo[field] === '' ? null : promo[field];
+    }
+  });
+  return mapped;
+};
+
+const convertPromoRedemptionToFrontendFormat = (redemption) => ({
+  id: redemption.id,
+  bookingId: redemption.booking_id,
+  code: redemption.code,
+  discountType: redemption.discount_type,
+  amount: redemption.amount,
+  customerEmail: redemption.customer_email,
+  customerPhone: redemption.customer_phone,
+  customerName: redemption.customer_name,
+  startTime: redemption.start_time,
+  status: redemption.status,
+  confirmationCode: redemption.confirmation_code,
+  createdAt: redemption.created_at
+});
+
+// Promotions API: promo codes and where they were redeemed
+export const promotionsAPI = {
+  getAll: async () => {
+    if (isMockMode) {
+      return mockAPI.getPromoCodes();
+    }
+
+    try {
+      const response = await apiClient.get('/promotions');
+      return { data: response.data.data.map(convertPromoCodeToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching promo codes:', error);
+      throw error;
+    }
+  },
+  getRedemptions: async (id) => {
+    if (isMockMode) {
+      return mockAPI.getPromoRedemptions(id);
+    }
+
+    try {
+      const response = await apiClient.get(`/promotions/${id}/redemptions`);
+      return { data: response.data.data.map(convertPromoRedemptionToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching promo redemptions:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createPromoCode(data);
+    }
+
+    try {
+      const response = await apiClient.post('/promotions', convertPromoCodeToBackendFormat(data));
+      return { data: convertPromoCodeToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating promo code:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updatePromoCode(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/promotions/${id}`, convertPromoCodeToBackendFormat(data));
+      return { data: convertPromoCodeToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating promo code:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deletePromoCode(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/promotions/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting promo code:', error);
+      throw error;
+    }
+  },
+};
+
+const convertPaymentEntryToFrontendFormat = (entry) => ({
+  id: entry.id,
+  bookingId: entry.booking_id,
+  entryType: entry.entry_type,
+  amount: entry.amount,
+  provider: entry.provider,
+  status: entry.status,
+  reference: entry.reference,
+  cardLast4: entry.card_last4,
+  refundedPaymentId: entry.refunded_payment_id,
+  note: entry.note,
+  failureReason: entry.failure_reason,
+  createdAt: entry.created_at
+});
+
+const convertLedgerToFrontendFormat = (ledger) => ({
+  entries: (ledger.entries || []).map(convertPaymentEntryToFrontendFormat),
+  summary: {
+    bookingTotal: ledger.summary.booking_total,
+    charges: ledger.summary.charges,
+    adjustments: ledger.summary.adjustments,
+    paid: ledger.summary.paid,
+    refunded: ledger.summary.refunded,
+    totalDue: ledger.summary.total_due,
+    netPaid: ledger.summary.net_paid,
+    balanceDue: ledger.summary.balance_due,
+    depositRequired: ledger.summary.deposit_required,
+    depositOutstanding: ledger.summary.deposit_outstanding,
+    status: ledger.summary.status
+  }
+});
+
+// Payments API: a booking's ledger of charges, payments, refunds and adjustments
+export const paymentsAPI = {
+  getProviders: async () => {
+    if (isMockMode) {
+      return mockAPI.getPaymentProviders();
+    }
+
+    try {
+      const response = await apiClient.get('/payments/providers');
+      return {
+        data: response.data.data.map(provider => ({ id: provider.id, label: provider.label, requiresCard: provider.requires_card }))
+      };
+    } catch (error) {
+      // console.error('Error fetching payment providers:', error);
+      throw error;
+    }
+  },
+  // { entries, summary } for a booking
+  getLedger: async (bookingId) => {
+    if (isMockMode) {
+      return mockAPI.getPaymentLedger(bookingId);
+    }
+
+    try {
+      const response = await apiClient.get(`/payments/booking/${bookingId}`);
+      return { data: convertLedgerToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error fetching payment ledger:', error);
+      throw error;
+    }
+  },
+  // { bookingId, entryType, amount, provider?, cardNumber?, reference?, paymentId?, note? }.
+  // Resolves to the new entry and the updated ledger; a declined card rejects with
+  // code PAYMENT_FAILED after the attempt is recorded.
+  record: async (entry) => {
+    if (isMockMode) {
+      return mockAPI.recordPayment(entry);
+    }
+
+    try {
+      const response = await apiClient.post('/payments', {
+        booking_id: entry.bookingId,
+        entry_type: entry.entryType,
+        amount: entry.amount,
+        provider: entry.provider || null,
+        card_number: entry.cardNumber || null,
+        reference: entry.reference || null,
+        payment_id: entry.paymentId || null,
+        note: entry.note || null
+      });
+      const { entry: created, ...ledger } = response.data.data;
+      return { data: { entry: convertPaymentEntryToFrontendFormat(created), ...convertLedgerToFrontendFormat(ledger) } };
+    } catch (error) {
+      // console.error('Error recording payment:', error);
+      throw error;
+    }
+  },
+};
+
+const convertCancellationPolicyToFrontendFormat = (policy) => ({
+  id: policy.id,
+  name: policy.name,
+  roomCategory: policy.room_category,
+  tiers: convertPolicyTiersToFrontendFormat(policy.tiers),
+  noShowFeePercent: policy.no_show_fee_percent,
+  active: policy.active
+});
+
+const convertCancellationPolicyToBackendFormat = (policy) => {
+  const mapped = {
+    name: policy.name,
+    room_category: policy.roomCategory === undefined ? undefined : policy.roomCategory || null,
+    tiers: policy.tiers && policy.tiers.map(tier => ({ hours_before: tier.hoursBefore, fee_percent: tier.feePercent })),
+    no_show_fee_percent: policy.noShowFeePercent,
+    active: policy.active
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
+};
+
+// Cancellation policies API: fee tiers by how close to the start a booking is
+// cancelled, per room category
+export const cancellationPoliciesAPI = {
+  getAll: async () => {
+    if (isMockMode) {
+      return mockAPI.getCancellationPolicies();
+    }
+
+    try {
+      const response = await apiClient.get('/cancellation-policies');
+      return { data: response.data.data.map(convertCancellationPolicyToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching cancellation policies:', error);
+      throw error;
+    }
+  },
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createCancellationPolicy(data);
+    }
+
+    try {
+      const response = await apiClient.post('/cancellation-policies', convertCancellationPolicyToBackendFormat(data));
+      return { data: convertCancellationPolicyToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating cancellation policy:', error);
+      throw error;
+    }
+  },
+  update: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateCancellationPolicy(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/cancellation-policies/${id}`, convertCancellationPolicyToBackendFormat(data));
+      return { data: convertCancellationPolicyToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating cancellation policy:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteCancellationPolicy(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/cancellation-policies/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting cancellation policy:', error);
+      throw error;
+    }
+  },
+};
+
+const convertRoomGroupToFrontendFormat = (group) => ({
+  id: group.id,
+  name: group.name,
+  pricePerHour: group.price_per_hour,
+  isActive: group.is_active,
+  roomIds: group.room_ids,
+  rooms: group.rooms.map(room => ({
+    id: room.id,
+    name: room.name,
+    capacity: room.capacity,
+    category: room.category,
+    hourlyRate: room.price_per_hour,
+    isActive: Boolean(room.is_active)
+  })),
+  capacity: group.capacity,
+  membersActive: group.members_active
+});
+
+const convertRoomGroupToBackendFormat = (group) => {
+  const mapped = {
+    name: group.name,
+    room_ids: group.roomIds,
+    // A blank rate is sent as null, pricing the group at its rooms' rates added up
+    price_per_hour: group.pricePerHour === undefined
+      ? undefined
+      : (group.pricePerHour === '' || group.pricePerHour === null ? null : parseFloat(group.pricePerHour)),
+    is_active: group.isActive
+  };
+  Object.keys(mapped).forEach(key => mapped[key] === undefined && delete mapped[key]);
+  return mapped;
 };
 
-// Auth API
-export const authAPI = {
-  login: async (credentials) => {
+// Room groups API: rooms that can be booked together as one combined room
+export const roomGroupsAPI = {
+  getAll: async () => {
     if (isMockMode) {
-      return mockAPI.login(credentials);
+      return mockAPI.getRoomGroups();
     }
-    
+
     try {
-      const response = await apiClient.post('/auth/login', credentials);
-      return response.data;
+      const response = await apiClient.get('/room-groups');
+      return { data: response.data.data.map(convertRoomGroupToFrontendFormat) };
     } catch (error) {
-      // console.error('Error logging in:', error);
+      // console.error('Error fetching room groups:', error);
       throw error;
     }
   },
-  
-  logout: async () => {
+  create: async (data) => {
     if (isMockMode) {
-      return mockAPI.logout();
+      return mockAPI.createRoomGroup(data);
     }
-    
+
     try {
-      const response = await apiClient.post('/auth/logout');
-      return response.data;
+      const response = await apiClient.post('/room-groups', convertRoomGroupToBackendFormat(data));
+      return { data: convertRoomGroupToFrontendFormat(response.data.data) };
     } catch (error) {
-      // console.error('Error logging out:', error);
+      // console.error('Error creating room group:', error);
       throw error;
     }
   },
-  
-  getSession: async () => {
+  update: async (id, data) => {
     if (isMockMode) {
-      return mockAPI.getSession();
+      return mockAPI.updateRoomGroup(id, data);
     }
-    
+
     try {
-      const response = await apiClient.get('/auth/me');
+      const response = await apiClient.put(`/room-groups/${id}`, convertRoomGroupToBackendFormat(data));
+      return { data: convertRoomGroupToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating room group:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteRoomGroup(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/room-groups/${id}`);
       return response.data;
     } catch (error) {
-      // console.error('Error getting session:', error);
+      // console.error('Error deleting room group:', error);
       throw error;
     }
   },
 };
 
-// Rooms API
-export const roomsAPI = {
-  getAll: (params = {}) => mockAPI.getRooms(params),
-  getById: (id) => mockAPI.getRooms().then(response => 
-    response.data.find(room => room.id === id)
-  ),
-  create: (data) => mockAPI.createRoom(data),
-  update: (id, data) => mockAPI.updateRoom(id, data),
-  delete: (id) => mockAPI.deleteRoom(id),
-  getCategories: () => Promise.resolve({ 
-    data: ['Standard', 'Premium', 'VIP'] 
-  }),
-};
+const convertRoomBlockToFrontendFormat = (block) => ({
+  id: block.id,
+  roomId: block.room_id,
+  roomName: block.room_name,
+  reason: block.reason,
+  startTime: block.start_time,
+  endTime: block.end_time,
+  rrule: block.rrule,
+  lastEndTime: block.last_end_time
+});
 
-// Bookings API
-export const bookingsAPI = {
-  getAll: (params = {}) => mockAPI.getBookings(params),
-  getById: (id) => mockAPI.getBookings().then(response => 
-    response.data.find(booking => booking.id === id)
-  ),
-  create: (data) => mockAPI.createBooking(data),
-  update: (id, data) => mockAPI.updateBooking(id, data),
-  delete: (id) => mockAPI.deleteBooking(id),
-  cancel: (id) => mockAPI.updateBooking(id, { status: 'cancelled' }),
-  move: async (data) => {
-    
-    // Update the source booking
-    const sourceResult = await mockAPI.updateBooking(data.bookingId, { 
-      roomId: data.newRoomId,
-      startTime: data.newTimeIn, 
-      endTime: data.newTimeOut,
-      timeIn: data.newTimeIn,
-      timeOut: data.newTimeOut
-    });
-    
-    // If there's a target booking (swap), update it too
-    if (data.targetBookingId && data.targetNewTimeIn && data.targetNewTimeOut) {
-      const targetResult = await mockAPI.updateBooking(data.targetBookingId, {
-        roomId: data.targetRoomId || data.newRoomId,
-        startTime: data.targetNewTimeIn,
-        endTime: data.targetNewTimeOut,
-        timeIn: data.targetNewTimeIn,
-        timeOut: data.targetNewTimeOut
+// A booking a new room block lands on, with the free room suggested for it (or null)
+const convertAffectedBookingToFrontendFormat = (booking) => ({
+  id: booking.id,
+  roomId: booking.room_id,
+  roomName: booking.room_name,
+  roomGroupId: booking.room_group_id,
+  customerName: booking.customer_name,
+  partySize: booking.party_size,
+  startTime: booking.start_time,
+  endTime: booking.end_time,
+  status: booking.status,
+  replacementRoom: booking.replacement_room
+});
+
+// Room blocks API: rooms out of service for maintenance, which nothing can be booked over
+export const roomBlocksAPI = {
+  getAll: async (params = {}) => {
+    if (isMockMode) {
+      return mockAPI.getRoomBlocks(params);
+    }
+
+    try {
+      const response = await apiClient.get('/room-blocks', {
+        params: { room_id: params.roomId, include_past: params.includePast }
       });
-      
+      return { data: response.data.data.map(convertRoomBlockToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching room blocks:', error);
+      throw error;
+    }
+  },
+  // Occurrences of every block overlapping { startTime, endTime }, optionally in one room
+  getOccurrences: async (params) => {
+    if (isMockMode) {
+      return mockAPI.getRoomBlockOccurrences(params);
+    }
+
+    try {
+      const response = await apiClient.get('/room-blocks/occurrences', {
+        params: { start_time: params.startTime, end_time: params.endTime, room_id: params.roomId }
+      });
+      return { data: response.data.data.map(convertRoomBlockOccurrenceToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching room block occurrences:', error);
+      throw error;
+    }
+  },
+  // Creates the block, or with `dryRun` only reports what it would affect. Either way the
+  // result lists the bookings in the way, each with a free room to move it to.
+  create: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createRoomBlock(data);
+    }
+
+    try {
+      const response = await apiClient.post('/room-blocks', {
+        room_id: data.roomId,
+        reason: data.reason,
+        start_time: data.startTime,
+        end_time: data.endTime,
+        recurrence: data.recurrence,
+        dry_run: data.dryRun
+      });
+      const { block, occurrences, affected } = response.data.data;
       return {
         data: {
-          source: sourceResult.data.booking,
-          target: targetResult.data.booking,
-          type: 'swap'
+          block: block ? convertRoomBlockToFrontendFormat(block) : null,
+          occurrences: occurrences.map(convertRoomBlockOccurrenceToFrontendFormat),
+          affected: affected.map(convertAffectedBookingToFrontendFormat)
         }
       };
+    } catch (error) {
+      // console.error('Error creating room block:', error);
+      throw error;
+    }
+  },
+  delete: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteRoomBlock(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/room-blocks/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting room block:', error);
+      throw error;
     }
-    
-    return {
-      data: {
-        booking: sourceResult.data.booking,
-        type: 'move'
-      }
-    };
   },
-  resize: (data) => mockAPI.updateBooking(data.bookingId, { 
-    startTime: data.newStartTime, 
-    endTime: data.newEndTime,
-    timeIn: data.newStartTime,
-    timeOut: data.newEndTime
-  }),
 };
 
-// Availability API (simplified for mock)
-export const availabilityAPI = {
-  get: (params = {}) => Promise.resolve({ 
-    data: { available: true, message: 'Mock availability data' } 
-  }),
-  findBest: (params = {}) => Promise.resolve({ 
-    data: { roomId: 1, available: true } 
-  }),
+const convertDocumentEntriesToFrontendFormat = (entries) => (entries || []).map(entry => ({
+  date: entry.date,
+  label: entry.label,
+  detail: entry.detail,
+  amount: entry.amount
+}));
+
+const convertInvoiceToFrontendFormat = (document) => ({
+  id: document.id,
+  bookingId: document.booking_id,
+  documentType: document.document_type,
+  number: document.number,
+  total: document.total,
+  business: document.business,
+  currency: document.currency,
+  customer: document.customer,
+  booking: document.booking && {
+    id: document.booking.id,
+    confirmationCode: document.booking.confirmation_code,
+    roomName: document.booking.room_name,
+    startTime: document.booking.start_time,
+    endTime: document.booking.end_time,
+    status: document.booking.status,
+    partySize: document.booking.party_size
+  },
+  items: convertDocumentEntriesToFrontendFormat(document.items),
+  subtotal: document.subtotal,
+  taxRate: document.tax_rate,
+  tax: document.tax,
+  bookingTotal: document.booking_total,
+  charges: convertDocumentEntriesToFrontendFormat(document.charges),
+  totalDue: document.total_due,
+  payments: convertDocumentEntriesToFrontendFormat(document.payments),
+  paid: document.paid,
+  balanceDue: document.balance_due,
+  paymentStatus: document.payment_status,
+  createdAt: document.created_at
+});
+
+// Invoices API: numbered invoices and receipts issued for bookings
+export const invoicesAPI = {
+  // Documents issued for a booking, newest first
+  getForBooking: async (bookingId) => {
+    if (isMockMode) {
+      return mockAPI.getInvoices(bookingId);
+    }
+
+    try {
+      const response = await apiClient.get('/invoices', { params: { booking_id: bookingId } });
+      return { data: response.data.data.map(convertInvoiceToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching invoices:', error);
+      throw error;
+    }
+  },
+  // { bookingId, documentType: 'invoice' | 'receipt', business }. Resolves to the new
+  // document, or the one already issued if nothing on the booking has changed since.
+  issue: async ({ bookingId, documentType, business }) => {
+    if (isMockMode) {
+      return mockAPI.issueInvoice({ bookingId, documentType, business });
+    }
+
+    try {
+      const response = await apiClient.post('/invoices', {
+        booking_id: bookingId,
+        document_type: documentType,
+        business: business || null
+      });
+      return { data: convertInvoiceToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error issuing invoice:', error);
+      throw error;
+    }
+  },
+  // Rendered document, format 'html' or 'pdf'. Resolves to { data: Blob, filename }.
+  download: async (id, format) => {
+    if (isMockMode) {
+      return mockAPI.downloadInvoice(id, format);
+    }
+
+    try {
+      const response = await apiClient.get(`/invoices/${id}/${format}`, { responseType: 'blob' });
+      const filename = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || `document-${id}.${format}`;
+      return { data: response.data, filename };
+    } catch (error) {
+      // console.error('Error downloading invoice:', error);
+      throw error;
+    }
+  },
 };
 
 // Business Hours API
@@ -241,9 +2243,62 @@ export const businessHoursAPI = {
     }
   },
   
-  getExceptions: () => Promise.resolve({ data: [] }),
-  createException: (data) => Promise.resolve({ data }),
-  deleteException: (id) => Promise.resolve({ data: { message: 'Exception deleted' } }),
+  // Date exceptions: holidays, special events and other one-off hours
+  getExceptions: async () => {
+    if (isMockMode) {
+      return mockAPI.getHoursExceptions();
+    }
+
+    try {
+      const response = await apiClient.get('/business-hours/exceptions');
+      return { data: response.data.data.map(convertHoursExceptionToFrontendFormat) };
+    } catch (error) {
+      // console.error('Error fetching business hours exceptions:', error);
+      throw error;
+    }
+  },
+
+  createException: async (data) => {
+    if (isMockMode) {
+      return mockAPI.createHoursException(data);
+    }
+
+    try {
+      const response = await apiClient.post('/business-hours/exceptions', convertHoursExceptionToBackendFormat(data));
+      return { data: convertHoursExceptionToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error creating business hours exception:', error);
+      throw error;
+    }
+  },
+
+  updateException: async (id, data) => {
+    if (isMockMode) {
+      return mockAPI.updateHoursException(id, data);
+    }
+
+    try {
+      const response = await apiClient.put(`/business-hours/exceptions/${id}`, convertHoursExceptionToBackendFormat(data));
+      return { data: convertHoursExceptionToFrontendFormat(response.data.data) };
+    } catch (error) {
+      // console.error('Error updating business hours exception:', error);
+      throw error;
+    }
+  },
+
+  deleteException: async (id) => {
+    if (isMockMode) {
+      return mockAPI.deleteHoursException(id);
+    }
+
+    try {
+      const response = await apiClient.delete(`/business-hours/exceptions/${id}`);
+      return response.data;
+    } catch (error) {
+      // console.error('Error deleting business hours exception:', error);
+      throw error;
+    }
+  },
 };
 
 // Settings API
@@ -275,6 +2330,168 @@ export const settingsAPI = {
       throw error;
     }
   },
+
+  // Turnover buffers: { before, after, categories: { [category]: { before, after } } }
+  getBufferSettings: async () => {
+    if (isMockMode) {
+      return mockAPI.getBufferSettings();
+    }
+
+    try {
+      const response = await apiClient.get('/settings');
+      return { data: convertBufferSettingsToFrontendFormat(response.data.data || {}) };
+    } catch (error) {
+      // console.error('Error fetching buffer settings:', error);
+      throw error;
+    }
+  },
+
+  updateBufferSettings: async (buffers) => {
+    if (isMockMode) {
+      return mockAPI.updateBufferSettings(buffers);
+    }
+
+    try {
+      const response = await apiClient.put('/settings', {
+        buffer_before_minutes: String(buffers.before || 0),
+        buffer_after_minutes: String(buffers.after || 0),
+        category_buffers: JSON.stringify(buffers.categories || {})
+      });
+      return { data: convertBufferSettingsToFrontendFormat(response.data.data || {}) };
+    } catch (error) {
+      // console.error('Error updating buffer settings:', error);
+      throw error;
+    }
+  },
+
+  // Deposits by room category: { [category]: { type: 'percent' | 'fixed', amount } }
+  getDepositSettings: async () => {
+    if (isMockMode) {
+      return mockAPI.getDepositSettings();
+    }
+
+    try {
+      const response = await apiClient.get('/settings');
+      return { data: parseJsonSetting(response.data.data?.category_deposits) };
+    } catch (error) {
+      // console.error('Error fetching deposit settings:', error);
+      throw error;
+    }
+  },
+
+  updateDepositSettings: async (deposits) => {
+    if (isMockMode) {
+      return mockAPI.updateDepositSettings(deposits);
+    }
+
+    try {
+      const response = await apiClient.put('/settings', {
+        category_deposits: JSON.stringify(deposits || {})
+      });
+      return { data: parseJsonSetting(response.data.data?.category_deposits) };
+    } catch (error) {
+      // console.error('Error updating deposit settings:', error);
+      throw error;
+    }
+  },
+
+  // Booking limits the server enforces: { minDuration, maxDuration, advanceDays, leadMinutes, timeInterval }
+  getBookingPolicySettings: async () => {
+    if (isMockMode) {
+      return mockAPI.getBookingPolicySettings();
+    }
+
+    try {
+      const response = await apiClient.get('/settings');
+      return { data: convertBookingPolicyToFrontendFormat(response.data.data || {}) };
+    } catch (error) {
+      // console.error('Error fetching booking policy settings:', error);
+      throw error;
+    }
+  },
+
+  // Saves only the limits given
+  updateBookingPolicySettings: async (policy) => {
+    if (isMockMode) {
+      return mockAPI.updateBookingPolicySettings(policy);
+    }
+
+    try {
+      const updates = {};
+      Object.entries(BOOKING_POLICY_KEYS).forEach(([field, key]) => {
+        if (policy[field] !== undefined) updates[key] = String(policy[field] || 0);
+      });
+      await apiClient.put('/settings', updates);
+      // The response only echoes the keys saved, so read back the whole policy
+      const response = await apiClient.get('/settings');
+      return { data: convertBookingPolicyToFrontendFormat(response.data.data || {}) };
+    } catch (error) {
+      // console.error('Error updating booking policy settings:', error);
+      throw error;
+    }
+  },
+
+  getLifecycleSettings: async () => {
+    if (isMockMode) {
+      return mockAPI.getLifecycleSettings();
+    }
+
+    try {
+      const response = await apiClient.get('/settings');
+      const minutes = parseInt(response.data.data?.no_show_after_minutes, 10);
+      return { data: { noShowAfterMinutes: Number.isNaN(minutes) ? 15 : minutes } };
+    } catch (error) {
+      // console.error('Error fetching lifecycle settings:', error);
+      throw error;
+    }
+  },
+
+  updateLifecycleSettings: async (settings) => {
+    if (isMockMode) {
+      return mockAPI.updateLifecycleSettings(settings);
+    }
+
+    try {
+      const response = await apiClient.put('/settings', {
+        no_show_after_minutes: String(settings.noShowAfterMinutes || 0)
+      });
+      return { data: { noShowAfterMinutes: parseInt(response.data.data?.no_show_after_minutes, 10) || 0 } };
+    } catch (error) {
+      // console.error('Error updating lifecycle settings:', error);
+      throw error;
+    }
+  },
+
+  // Sales tax percentage applied to booking prices
+  getPricingSettings: async () => {
+    if (isMockMode) {
+      return mockAPI.getPricingSettings();
+    }
+
+    try {
+      const response = await apiClient.get('/settings');
+      return { data: { taxRate: parseFloat(response.data.data?.tax_rate) || 0 } };
+    } catch (error) {
+      // console.error('Error fetching pricing settings:', error);
+      throw error;
+    }
+  },
+
+  updatePricingSettings: async (settings) => {
+    if (isMockMode) {
+      return mockAPI.updatePricingSettings(settings);
+    }
+
+    try {
+      const response = await apiClient.put('/settings', {
+        tax_rate: String(settings.taxRate || 0)
+      });
+      return { data: { taxRate: parseFloat(response.data.data?.tax_rate) || 0 } };
+    } catch (error) {
+      // console.error('Error updating pricing settings:', error);
+      throw error;
+    }
+  },
 };
 
 // Health API
@@ -288,6 +2505,7 @@ export default {
   roomsAPI,
   bookingsAPI,
   availabilityAPI,
+  waitlistAPI,
   businessHoursAPI,
   settingsAPI,
   healthAPI
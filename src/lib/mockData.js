@@ -1,3 +1,28 @@
+import moment from 'moment';
+import { buildRRule, expandSeries, truncateRRule, remainingRRule } from '../utils/recurrence.js';
+import { resolveRoomBuffers, turnoverGap } from '../utils/buffers.js';
+import { RELEASED_STATUSES, canTransition } from '../utils/bookingLifecycle.js';
+import { validateCustomFieldValues, matchesCustomFieldFilters } from '../utils/customFields.js';
+import { buildQuote, roundCurrency, sortPricingRules } from '../utils/pricing.js';
+import {
+  normalizePromoCode,
+  normalizeCustomerEmail,
+  normalizeCustomerPhone,
+  getPromoEligibilityError
+} from '../utils/promotions.js';
+import { summarizeLedger, getRefundableAmount, getFakeCardFailure } from '../utils/payments.js';
+import {
+  getPolicyForCategory,
+  snapshotPolicy,
+  getCancellationFee,
+  describeCancellationFee
+} from '../utils/cancellations.js';
+import { buildDocumentContent, formatDocumentNumber, renderDocumentHtml } from '../utils/invoices.js';
+import { DEFAULT_BOOKING_POLICY, checkBookingPolicy } from '../utils/bookingPolicy.js';
+import { findHoursException, getHoursForDate, getIntervalsError, getOpeningWindows, normalizeDayHours } from '../utils/businessHours.js';
+import { getBookingRoomIds, getGroupPricingRoom, isGroupBookable } from '../utils/roomGroups.js';
+import { expandBlock, findBlockOccurrences } from '../utils/roomBlocks.js';
+
 // Mock data for standalone frontend
 export const mockData = {
   // Mock user data
@@ -21,7 +46,9 @@ export const mockData = {
       isBookable: true,
       status: 'active',
       color: '#3B82F6',
-      hourlyRate: 25
+      hourlyRate: 25,
+      sortOrder: 0,
+      customFields: {}
     },
     {
       _id: 2,
@@ -34,7 +61,9 @@ export const mockData = {
       isBookable: true,
       status: 'active',
       color: '#10B981',
-      hourlyRate: 35
+      hourlyRate: 35,
+      sortOrder: 1,
+      customFields: {}
     },
     {
       _id: 3,
@@ -47,10 +76,36 @@ export const mockData = {
       isBookable: true,
       status: 'active',
       color: '#F59E0B',
-      hourlyRate: 50
+      hourlyRate: 50,
+      sortOrder: 2,
+      customFields: {}
     }
   ],
 
+  // Room categories in the roomCategoriesAPI format, without the deposit rule, which is
+  // read from settings.categoryDeposits (see getMockRoomCategory)
+  roomCategories: [
+    { id: 1, name: 'Standard', description: 'Standard karaoke rooms for small groups', defaultHourlyRate: 25, defaultCapacity: 4, color: '#3B82F6', sortOrder: 0 },
+    { id: 2, name: 'Premium', description: 'Rooms with a better sound system', defaultHourlyRate: 35, defaultCapacity: 6, color: '#10B981', sortOrder: 1 },
+    { id: 3, name: 'VIP', description: 'Rooms with luxury amenities', defaultHourlyRate: 50, defaultCapacity: 8, color: '#F59E0B', sortOrder: 2 }
+  ],
+
+  // Combined rooms: member rooms booked together for a large party, in the roomGroupsAPI
+  // format without the member details (see getMockRoomGroup)
+  roomGroups: [
+    { id: 1, name: 'Rooms A + B', pricePerHour: null, isActive: true, roomIds: [1, 2] }
+  ],
+
+  // Customer directory in the customersAPI format, without the booking stats, which are
+  // counted from the bookings (see getMockCustomer). Filled from the bookings on load.
+  customers: [],
+
+  // Room photos in the roomsAPI.getPhotos format, with the images kept as data: URLs
+  roomPhotos: [],
+
+  // Rooms out of service, in the roomBlocksAPI format; occurrences are expanded on read
+  roomBlocks: [],
+
   // Mock bookings data
   bookings: [
     {
@@ -185,6 +240,23 @@ export const mockData = {
     }
   ],
 
+  // Mock recurring booking series
+  bookingSeries: [],
+  waitlist: [],
+  bookingStatusChanges: [],
+  bookingCustomFields: [],
+  roomCustomFields: [],
+  pricingRules: [],
+  promoCodes: [],
+  // { id, promoCodeId, bookingId, code, discountType, amount, customerEmail, customerPhone, createdAt }
+  promoRedemptions: [],
+  // Payment ledger: { id, bookingId, entryType, amount, provider, status, reference, cardLast4, refundedPaymentId, note, failureReason, createdAt }
+  payments: [],
+  // { id, name, roomCategory (null for the default), tiers: [{ hoursBefore, feePercent }], noShowFeePercent, active }
+  cancellationPolicies: [],
+  // Issued invoices and receipts, in the invoicesAPI format
+  invoices: [],
+
   // Mock business hours
   businessHours: [
     { weekday: 1, openTime: '16:00', closeTime: '23:00', isClosed: false }, // Monday
@@ -195,6 +267,8 @@ export const mockData = {
     { weekday: 6, openTime: '16:00', closeTime: '23:00', isClosed: false }, // Saturday
     { weekday: 0, openTime: '16:00', closeTime: '23:00', isClosed: false }  // Sunday
   ],
+  // Date exceptions to the weekly hours, in the businessHoursAPI format
+  hoursExceptions: [],
 
   // Mock settings
   settings: {
@@ -203,11 +277,804 @@ export const mockData = {
     maxAdvanceBooking: 30, // days
     minAdvanceBooking: 1, // hours
     allowCancellation: true,
-    cancellationDeadline: 24 // hours
+    cancellationDeadline: 24, // hours
+    bufferBeforeMinutes: 0,
+    bufferAfterMinutes: 0,
+    categoryBuffers: {},
+    holdDurationMinutes: 15,
+    noShowAfterMinutes: 15,
+    taxRate: 0,
+    categoryDeposits: {},
+    bookingPolicy: { ...DEFAULT_BOOKING_POLICY }
   }
 };
 
 // Mock API functions
+
+const bookingRoomId = (booking) => (
+  typeof booking.roomId === 'object' && booking.roomId !== null
+    ? booking.roomId._id || booking.roomId.id
+    : booking.roomId
+);
+
+const getMockBufferSettings = () => ({
+  before: mockData.settings.bufferBeforeMinutes || 0,
+  after: mockData.settings.bufferAfterMinutes || 0,
+  categories: mockData.settings.categoryBuffers || {}
+});
+
+const getMockTurnoverGap = (roomId) => {
+  const room = mockData.rooms.find(r => r.id === parseInt(roomId));
+  return turnoverGap(resolveRoomBuffers(room, getMockBufferSettings()));
+};
+
+// Bookings that still occupy their slot: anything not cancelled or a no-show, except holds past their expiry
+const isMockBlocking = (booking) => (
+  !RELEASED_STATUSES.includes(booking.status) &&
+  (booking.status !== 'held' || new Date(booking.holdExpiresAt) > new Date())
+);
+
+// Same format as the backend: BK- and six characters without look-alikes (0/O, 1/I/L)
+const createMockConfirmationCode = () => {
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  let code;
+  do {
+    code = 'BK-' + Array.from({ length: 6 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+  } while (mockData.bookings.some(b => b.confirmationCode === code));
+  return code;
+};
+
+const getMockHoldExpiry = (holdMinutes) => (
+  moment().add(holdMinutes || mockData.settings.holdDurationMinutes || 15, 'minutes').toISOString()
+);
+
+// Audit a status change the way the backend's booking_status_changes table does. A
+// new booking is recorded as a change from a null status.
+const recordMockStatusChange = (booking, toStatus, source = 'staff') => {
+  if (booking.status === toStatus) return;
+  const newId = mockData.bookingStatusChanges.length > 0 ? Math.max(...mockData.bookingStatusChanges.map(c => c.id)) + 1 : 1;
+  mockData.bookingStatusChanges.push({
+    id: newId,
+    bookingId: booking.id,
+    fromStatus: booking.status,
+    toStatus,
+    source,
+    changedAt: new Date().toISOString()
+  });
+};
+
+const mockTransitionError = (from, to) => {
+  const error = new Error(`Cannot change a booking from ${from} to ${to}`);
+  error.response = { status: 400, data: { error: error.message, code: 'INVALID_STATUS_TRANSITION' } };
+  return error;
+};
+
+// Stands in for the backend hold sweeper: cancel holds whose expiry has passed
+const releaseExpiredMockHolds = () => {
+  mockData.bookings.forEach(b => {
+    if (b.status === 'held' && new Date(b.holdExpiresAt) <= new Date()) {
+      recordMockStatusChange(b, 'cancelled', 'system');
+      b.status = 'cancelled';
+      b.updatedAt = new Date();
+    }
+  });
+};
+
+// Stands in for the backend no-show sweeper: flag bookings still awaiting arrival
+// noShowAfterMinutes past their start, unless they have already ended
+const flagMockNoShows = () => {
+  const minutes = mockData.settings.noShowAfterMinutes ?? 15;
+  if (minutes <= 0) return;
+  const now = moment();
+  const cutoff = now.clone().subtract(minutes, 'minutes');
+  mockData.bookings.forEach(b => {
+    if (['pending', 'confirmed'].includes(b.status) && !moment(b.startTime).isAfter(cutoff) && moment(b.endTime).isAfter(now)) {
+      recordMockStatusChange(b, 'no_show', 'system');
+      applyMockCancellationFees(b, 'no_show');
+      b.status = 'no_show';
+      b.updatedAt = new Date();
+    }
+  });
+};
+
+// Blocking bookings holding any of `roomIds` (one id or a list; combined bookings hold
+// several) overlapping [startTime, endTime) or closer than that room's turnover buffers
+const findMockConflicts = (roomIds, startTime, endTime, excludeIds = []) => {
+  const conflicts = new Map();
+  [].concat(roomIds).forEach(roomId => {
+    const gapMs = getMockTurnoverGap(roomId) * 60 * 1000;
+    const start = new Date(new Date(startTime).getTime() - gapMs);
+    const end = new Date(new Date(endTime).getTime() + gapMs);
+    mockData.bookings
+      .filter(b => !excludeIds.includes(b.id))
+      .filter(b => isMockBlocking(b) && getBookingRoomIds(b).includes(parseInt(roomId)))
+      .filter(b => new Date(b.startTime) < end && new Date(b.endTime) > start)
+      .forEach(b => conflicts.set(b.id, {
+        id: b.id, roomId: bookingRoomId(b), roomGroupId: b.roomGroupId || null, customerName: b.customerName,
+        startTime: b.startTime, endTime: b.endTime, status: b.status, holdExpiresAt: b.holdExpiresAt
+      }));
+  });
+  return [...conflicts.values()];
+};
+
+// Room block occurrences in any of `roomIds` (one id or a list) overlapping [startTime, endTime)
+const findMockRoomBlocks = (roomIds, startTime, endTime) => findBlockOccurrences(
+  mockData.roomBlocks, [].concat(roomIds).map(id => parseInt(id)), startTime, endTime
+);
+
+// The 409 for a placement that overlaps bookings or room blocks, or null if it is free
+const getMockConflictError = (roomIds, startTime, endTime, excludeIds = []) => {
+  const conflicts = findMockConflicts(roomIds, startTime, endTime, excludeIds);
+  const blocks = findMockRoomBlocks(roomIds, startTime, endTime);
+  if (conflicts.length > 0) {
+    return mockConflictError('Time slot conflicts with existing booking', { conflicts, blocks });
+  }
+  if (blocks.length > 0) {
+    return mockConflictError(`Room is out of service: ${blocks[0].reason}`, { conflicts, blocks });
+  }
+  return null;
+};
+
+// Whether a room takes new bookings: active, open for bookings and not under maintenance
+const isMockRoomBookable = (room) => (
+  room.isActive !== false && room.status !== 'inactive' && room.isBookable !== false && room.status !== 'maintenance'
+);
+
+// The 400 the API rejects a booking placed in a room that takes no bookings with, if any
+const checkMockRoomBookable = (roomId, path = 'room_id') => {
+  const room = mockData.rooms.find(r => r.id === parseInt(roomId));
+  if (room && isMockRoomBookable(room)) return null;
+  let msg = 'Room not found';
+  if (room) {
+    if (room.isActive === false || room.status === 'inactive') msg = `${room.name} is inactive`;
+    else if (room.status === 'maintenance') msg = `${room.name} is under maintenance`;
+    else msg = `${room.name} is not taking bookings`;
+  }
+  const error = new Error(msg);
+  error.response = {
+    status: 400,
+    data: { error: msg, code: 'ROOM_UNAVAILABLE', errors: [{ type: 'field', value: roomId, msg, path, location: 'body', code: 'ROOM_UNAVAILABLE' }] }
+  };
+  return error;
+};
+
+// A room group with its member rooms, their total capacity and whether all take bookings
+const getMockRoomGroup = (id) => {
+  const group = mockData.roomGroups.find(g => g.id === parseInt(id));
+  if (!group) return null;
+  const rooms = group.roomIds.map(roomId => mockData.rooms.find(r => r.id === roomId)).filter(Boolean);
+  return {
+    ...group,
+    rooms,
+    capacity: rooms.reduce((sum, room) => sum + room.capacity, 0),
+    membersActive: rooms.length === group.roomIds.length && rooms.every(isMockRoomBookable)
+  };
+};
+
+const combinedBookingError = (message = 'Combined bookings keep their rooms; change the time, or cancel and book again') => (
+  mockBadRequestError(message, 'COMBINED_BOOKING')
+);
+
+const planMockSeries = (data) => {
+  const rrule = buildRRule(data.recurrence, data.startTime);
+  const occurrences = expandSeries(rrule, data.startTime, data.endTime).map(o => {
+    const conflicts = findMockConflicts(data.roomId, o.start_time, o.end_time);
+    const blocks = findMockRoomBlocks(data.roomId, o.start_time, o.end_time);
+    // Breaking the booking policy counts as a conflict, as on the server
+    const policyError = checkMockBookingPolicy({ startTime: o.start_time, endTime: o.end_time });
+    const policyErrors = policyError ? policyError.response.data.errors.map(error => error.msg) : [];
+    return {
+      index: o.index,
+      startTime: o.start_time,
+      endTime: o.end_time,
+      status: conflicts.length > 0 || blocks.length > 0 || policyErrors.length > 0 ? 'conflict' : 'available',
+      conflicts,
+      blocks,
+      policyErrors
+    };
+  });
+  return { rrule, occurrences };
+};
+
+// Occurrences affected by an edit/cancel of `booking` with the given scope
+const getMockScopedOccurrences = (booking, scope) => {
+  if (scope === 'this' || !booking.seriesId) return [booking];
+  const boundary = scope === 'following' ? new Date(booking.startTime) : new Date();
+  return mockData.bookings
+    .filter(b => b.seriesId === booking.seriesId && !['cancelled', 'completed'].includes(b.status))
+    .filter(b => new Date(scope === 'following' ? b.startTime : b.endTime) >= boundary)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+// Opening windows for a date from mockData.businessHours and its exceptions, earliest
+// first; late-night closes roll over
+const getMockBusinessWindows = (date) => getOpeningWindows(
+  date,
+  getHoursForDate(date, mockData.businessHours, mockData.hoursExceptions)
+);
+
+// The opening window `startTime` falls in: one of the day it starts on, or the previous
+// day's last when that runs past midnight
+const findMockBusinessWindow = (startTime) => {
+  const start = moment(startTime);
+  return [start.clone().subtract(1, 'day'), start.clone()]
+    .flatMap(day => getMockBusinessWindows(day))
+    .find(window => !start.isBefore(window.open) && start.isBefore(window.close)) || null;
+};
+
+// The 400 the API rejects a placement that breaks the booking policy with, if any
+const checkMockBookingPolicy = (placement, previous = null) => {
+  const errors = checkBookingPolicy(placement, mockData.settings.bookingPolicy, findMockBusinessWindow, {
+    previous,
+    findException: (start) => findHoursException(start, mockData.hoursExceptions)
+  });
+  if (errors.length === 0) return null;
+  const error = new Error(errors[0].msg);
+  error.response = { status: 400, data: { error: errors[0].msg, code: 'BOOKING_POLICY_VIOLATION', errors } };
+  return error;
+};
+
+// Time a room is taken: each blocking booking widened by its turnover gap, and its room
+// blocks. A combined room (one with roomIds) is taken whenever any of its rooms is.
+const getMockBusy = (room) => {
+  if (room.roomIds) return room.roomIds.flatMap(roomId => getMockBusy({ id: roomId }));
+  const gap = getMockTurnoverGap(room.id);
+  return mockData.bookings
+    .filter(b => isMockBlocking(b) && getBookingRoomIds(b).includes(room.id))
+    .map(b => ({ start: moment(b.startTime).subtract(gap, 'minutes'), end: moment(b.endTime).add(gap, 'minutes') }))
+    .concat(mockData.roomBlocks
+      .filter(block => block.roomId === room.id)
+      .flatMap(expandBlock)
+      .map(occurrence => ({ start: moment(occurrence.startTime), end: moment(occurrence.endTime) })));
+};
+
+// Free windows, slots and best placement for one room (or combined room) within one opening window
+const getMockRoomDay = (room, window, { duration, interval, minUseful, startTime }) => {
+  const busy = getMockBusy(room)
+    .filter(b => b.end.isAfter(window.open) && b.start.isBefore(window.close))
+    .sort((a, b) => a.start - b.start);
+
+  const freeWindows = [];
+  let cursor = window.open.clone();
+  busy.forEach(b => {
+    if (b.start.isAfter(cursor)) freeWindows.push({ start: cursor.clone(), end: b.start.clone() });
+    if (b.end.isAfter(cursor)) cursor = b.end.clone();
+  });
+  if (window.close.isAfter(cursor)) freeWindows.push({ start: cursor, end: window.close.clone() });
+
+  const slots = [];
+  freeWindows.forEach(free => {
+    const starts = [];
+    if (startTime) {
+      starts.push(moment(startTime));
+    } else {
+      for (let start = free.start.clone(); !start.clone().add(duration, 'minutes').isAfter(free.end); start.add(interval, 'minutes')) {
+        starts.push(start.clone());
+      }
+    }
+    starts.forEach(start => {
+      const end = start.clone().add(duration, 'minutes');
+      if (start.isBefore(free.start) || end.isAfter(free.end)) return;
+      // Only slots a booking could actually be made in (past, lead time, advance window, grid, duration)
+      if (checkMockBookingPolicy({ startTime: start.toISOString(), endTime: end.toISOString() })) return;
+      const fragmentation = [start.diff(free.start, 'minutes'), free.end.diff(end, 'minutes')]
+        .filter(gap => gap > 0 && gap < minUseful)
+        .reduce((sum, gap) => sum + gap, 0);
+      slots.push({ startTime: start.toISOString(), endTime: end.toISOString(), fragmentation });
+    });
+  });
+
+  return {
+    freeWindows: freeWindows.map(w => ({ startTime: w.start.toISOString(), endTime: w.end.toISOString() })),
+    slots
+  };
+};
+
+const getMockAvailabilityRooms = (params) => mockData.rooms
+  .filter(r => isMockRoomBookable(r) && r.capacity >= (params.partySize || 1))
+  .filter(r => !params.roomId || r.id === parseInt(params.roomId))
+  .sort((a, b) => a.capacity - b.capacity || a.name.localeCompare(b.name));
+
+// Bookable combined rooms big enough for the party, offered when no single room is
+const getMockAvailabilityCombinations = (params, rooms) => {
+  if (rooms.length > 0 || params.roomId) return [];
+  return mockData.roomGroups
+    .map(group => getMockRoomGroup(group.id))
+    .filter(group => isGroupBookable(group) && group.capacity >= (params.partySize || 1))
+    .sort((a, b) => a.capacity - b.capacity || a.name.localeCompare(b.name));
+};
+
+const getMockAvailabilityDays = (startDate, endDate) => {
+  const days = [];
+  for (let day = moment(startDate).startOf('day'); !day.isAfter(moment(endDate || startDate)); day.add(1, 'day')) {
+    days.push({ date: day.format('YYYY-MM-DD'), windows: getMockBusinessWindows(day) });
+  }
+  return days;
+};
+
+// Waitlist entries that could take a slot freed in a room, longest-waiting first, then best fit
+const findMockWaitlistMatches = ({ roomId, startTime, endTime }) => {
+  const room = mockData.rooms.find(r => r.id === parseInt(roomId));
+  if (!room || !isMockRoomBookable(room)) return [];
+
+  const freedStart = moment(startTime);
+  const freedEnd = moment(endTime);
+  const matches = [];
+  mockData.waitlist
+    .filter(entry => entry.status === 'waiting' && entry.partySize <= room.capacity)
+    .filter(entry => moment(entry.windowStart).isBefore(freedEnd) && moment(entry.windowEnd).isAfter(freedStart))
+    .filter(entry => (
+      (entry.roomIds.length === 0 && entry.categories.length === 0) ||
+      entry.roomIds.includes(room.id) || entry.categories.includes(room.category)
+    ))
+    .forEach(entry => {
+      const window = { open: moment(entry.windowStart), close: moment(entry.windowEnd) };
+      const free = getMockRoomDay(room, window, { duration: entry.durationMinutes, interval: 15, minUseful: 0 }).freeWindows
+        .map(w => ({ start: moment(w.startTime), end: moment(w.endTime) }))
+        .find(w => w.start.isBefore(freedEnd) && w.end.isAfter(freedStart) &&
+          w.end.diff(w.start, 'minutes') >= entry.durationMinutes);
+      if (!free) return;
+
+      const latestStart = free.end.clone().subtract(entry.durationMinutes, 'minutes');
+      const start = moment.max(free.start, moment.min(freedStart, latestStart));
+      matches.push({
+        entry,
+        roomId: room.id,
+        roomName: room.name,
+        startTime: start.toISOString(),
+        endTime: start.clone().add(entry.durationMinutes, 'minutes').toISOString(),
+        spareCapacity: room.capacity - entry.partySize
+      });
+    });
+
+  matches.sort((a, b) => new Date(a.entry.createdAt) - new Date(b.entry.createdAt) || a.spareCapacity - b.spareCapacity);
+  return matches.map((match, index) => ({ rank: index + 1, ...match }));
+};
+
+// Ranked waitlist matches for each future slot a cancellation or move just freed
+// (a combined booking frees a slot in each of its rooms)
+const evaluateMockFreedSlots = (bookings) => {
+  const now = moment();
+  return bookings
+    .filter(b => moment(b.endTime).isAfter(now))
+    .flatMap(b => getBookingRoomIds(b).map(roomId => ({
+      roomId,
+      startTime: b.startTime,
+      endTime: b.endTime,
+      matches: findMockWaitlistMatches({
+        roomId,
+        startTime: moment.max(moment(b.startTime), now).toISOString(),
+        endTime: b.endTime
+      })
+    })))
+    .filter(slot => slot.matches.length > 0);
+};
+
+const mockConflictError = (message, data) => {
+  const error = new Error(message);
+  error.response = { status: 409, data: { error: message, code: 'TIME_SLOT_CONFLICT', data } };
+  return error;
+};
+
+const mockBadRequestError = (message, code) => {
+  const error = new Error(message);
+  error.response = { status: 400, data: { error: message, code } };
+  return error;
+};
+
+// The 400 the API rejects an exception with: missing or overlapping times, or another
+// exception already covering the same day
+const checkMockHoursException = (exception) => {
+  if (!exception.isClosed) {
+    const { intervals } = normalizeDayHours(exception);
+    if (intervals.some(interval => !interval.openTime || !interval.closeTime)) {
+      return mockBadRequestError('Set opening and closing times, or mark the day as closed');
+    }
+    const intervalsError = getIntervalsError(intervals);
+    if (intervalsError) return mockBadRequestError(intervalsError, 'INVALID_OPENING_INTERVALS');
+  }
+  const duplicate = mockData.hoursExceptions.find(e => e.id !== exception.id && Boolean(e.recursAnnually) === Boolean(exception.recursAnnually) && (
+    exception.recursAnnually ? e.date.slice(5) === exception.date.slice(5) : e.date === exception.date
+  ));
+  if (duplicate) {
+    return mockBadRequestError(`${duplicate.name} already covers this date`, 'DUPLICATE_EXCEPTION');
+  }
+  return null;
+};
+
+// An exception as the API saves it: intervals in order with openTime and closeTime
+// spanning them, and no times when closed
+const toMockHoursException = (exception) => (
+  exception.isClosed
+    ? { ...exception, openTime: null, closeTime: null, intervals: [] }
+    : normalizeDayHours(exception)
+);
+
+// Schedule order, like the API: by sort order, then name
+const getMockRoomCategory = (category) => ({
+  ...category,
+  deposit: mockData.settings.categoryDeposits[category.name] || null
+});
+
+const setMockCategoryDeposit = (name, deposit) => {
+  const deposits = { ...mockData.settings.categoryDeposits };
+  if (deposit) {
+    deposits[name] = { type: deposit.type, amount: Number(deposit.amount) };
+  } else {
+    delete deposits[name];
+  }
+  mockData.settings.categoryDeposits = deposits;
+};
+
+// Category-keyed settings, as in CATEGORY_SETTING_KEYS on the backend
+const MOCK_CATEGORY_SETTINGS = ['categoryBuffers', 'categoryDeposits'];
+
+// Carry a category rename through everything that refers to it by name, as
+// renameCategoryReferences does on the backend
+const renameMockCategoryReferences = (oldName, newName) => {
+  mockData.rooms.forEach(room => {
+    if (room.category === oldName) room.category = newName;
+  });
+  mockData.pricingRules.forEach(rule => {
+    if (rule.category === oldName) rule.category = newName;
+  });
+  mockData.cancellationPolicies.forEach(policy => {
+    if (policy.roomCategory === oldName) policy.roomCategory = newName;
+  });
+  mockData.waitlist.forEach(entry => {
+    if ((entry.categories || []).includes(oldName)) {
+      entry.categories = [...new Set(entry.categories.map(category => (category === oldName ? newName : category)))];
+    }
+  });
+  MOCK_CATEGORY_SETTINGS.forEach(key => {
+    const value = mockData.settings[key] || {};
+    if (oldName in value) {
+      const { [oldName]: entry, ...rest } = value;
+      mockData.settings[key] = { ...rest, [newName]: entry };
+    }
+  });
+};
+
+// A customer with their booking count and last visit, leaving out cancelled, no-show and
+// held bookings, and their total spend: succeeded payments less refunds in the ledger,
+// as the API returns them
+const getMockCustomer = (customer) => {
+  const now = new Date();
+  const bookingIds = mockData.bookings.filter(b => b.customerId === customer.id).map(b => b.id);
+  const bookings = mockData.bookings.filter(b => (
+    b.customerId === customer.id && !RELEASED_STATUSES.includes(b.status) && b.status !== 'held'
+  ));
+  const visits = bookings
+    .map(b => new Date(b.startTime || b.timeIn))
+    .filter(start => start <= now);
+  const netPaid = mockData.payments
+    .filter(entry => bookingIds.includes(entry.bookingId) && entry.status === 'succeeded')
+    .reduce((sum, entry) => {
+      if (entry.entryType === 'payment') return sum + entry.amount;
+      if (entry.entryType === 'refund') return sum - entry.amount;
+      return sum;
+    }, 0);
+  return {
+    ...customer,
+    bookingCount: bookings.length,
+    lastVisit: visits.length > 0 ? new Date(Math.max(...visits)).toISOString() : null,
+    totalSpend: roundCurrency(netPaid)
+  };
+};
+
+// The customer with this email or phone, preferring one that has both, as
+// findCustomerByContact does on the backend
+const findMockCustomerByContact = ({ email, phone }, excludeId = null) => {
+  const emailKey = normalizeCustomerEmail(email);
+  const phoneKey = normalizeCustomerPhone(phone);
+  if (!emailKey && !phoneKey) return null;
+  const score = (customer) => (
+    (emailKey && normalizeCustomerEmail(customer.email) === emailKey ? 1 : 0) +
+    (phoneKey && normalizeCustomerPhone(customer.phone) === phoneKey ? 1 : 0)
+  );
+  return mockData.customers
+    .filter(customer => customer.id !== excludeId && score(customer) > 0)
+    .sort((a, b) => score(b) - score(a) || a.id - b.id)[0] || null;
+};
+
+const insertMockCustomer = ({ name, email = null, phone = null, notes = null }) => {
+  const id = mockData.customers.length > 0 ? Math.max(...mockData.customers.map(c => c.id)) + 1 : 1;
+  const customer = { id, name, email: email || null, phone: phone || null, notes: notes || null, createdAt: new Date().toISOString() };
+  mockData.customers.push(customer);
+  return customer;
+};
+
+// { customerId } for a new booking: `customerId` when staff picked the customer,
+// otherwise the one matching its email or phone, created if there is none (see
+// resolveBookingCustomer on the backend); or { error }
+const resolveMockCustomer = (booking, customerId = null) => {
+  if (customerId) {
+    return mockData.customers.some(c => c.id === customerId)
+      ? { customerId }
+      : { error: mockBadRequestError('Customer not found', 'CUSTOMER_NOT_FOUND') };
+  }
+  const match = findMockCustomerByContact(booking);
+  if (!match) {
+    if (!normalizeCustomerEmail(booking.email) && !normalizeCustomerPhone(booking.phone)) return { customerId: null };
+    return { customerId: insertMockCustomer({ name: booking.customerName, email: booking.email, phone: booking.phone }).id };
+  }
+  if (!match.email && booking.email) match.email = booking.email;
+  if (!match.phone && normalizeCustomerPhone(booking.phone)) match.phone = booking.phone;
+  return { customerId: match.id };
+};
+
+mockData.bookings.forEach(booking => {
+  booking.customerId = resolveMockCustomer(booking).customerId;
+});
+
+// A room with the URLs of its cover photo, as the API returns it
+const withMockCover = (room) => {
+  const cover = mockData.roomPhotos.find(photo => photo.roomId === room.id && photo.isCover);
+  return { ...room, coverPhotoUrl: cover?.url || null, coverThumbnailUrl: cover?.thumbnailUrl || null };
+};
+
+const getMockRoomPhotos = (roomId) => mockData.roomPhotos
+  .filter(photo => photo.roomId === roomId)
+  .sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id);
+
+// Give a room whose cover was removed a new one: its first photo, if any
+const ensureMockCoverPhoto = (roomId) => {
+  const photos = getMockRoomPhotos(roomId);
+  if (photos.length > 0 && !photos.some(photo => photo.isCover)) {
+    photos[0].isCover = true;
+  }
+};
+
+const MOCK_IMAGE_PATTERN = /^data:image\/(jpeg|png|webp|gif);base64,/;
+
+const compareMockRooms = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+
+// Status 'inactive' and isActive false mean the same thing, so setting either sets both
+const syncMockRoomStatus = (room, current = null) => {
+  if (room.status !== undefined) {
+    room.isActive = room.status !== 'inactive';
+  } else if (room.isActive !== undefined) {
+    const status = current?.status || 'active';
+    room.status = room.isActive ? (status === 'inactive' ? 'active' : status) : 'inactive';
+  }
+  return room;
+};
+
+// Where the custom field schema of each kind of record is kept
+const MOCK_CUSTOM_FIELD_COLLECTIONS = {
+  booking: 'bookingCustomFields',
+  room: 'roomCustomFields'
+};
+
+const getMockCustomFieldSchema = (entity) => mockData[MOCK_CUSTOM_FIELD_COLLECTIONS[entity]];
+
+// Checks custom field values against the mock schema like the API does. Returns the
+// values to store, or the 400 (with field-level errors) to reject with.
+const checkMockCustomFields = (values, entity = 'booking') => {
+  const result = validateCustomFieldValues(values || {}, getMockCustomFieldSchema(entity));
+  const keys = Object.keys(result.errors);
+  if (keys.length === 0) {
+    return { values: result.values };
+  }
+  const error = new Error(result.errors[keys[0]]);
+  error.response = {
+    status: 400,
+    data: {
+      errors: keys.map(key => ({
+        type: 'field', value: values?.[key], msg: result.errors[key], path: `custom_fields.${key}`, location: 'body'
+      }))
+    }
+  };
+  return { error };
+};
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) ? null : amount;
+};
+
+// Redemptions of a promo code on bookings that still count towards its caps
+const countMockRedemptions = (promoId, customer = null) => mockData.promoRedemptions.filter(redemption => {
+  if (redemption.promoCodeId !== promoId) return false;
+  const booking = mockData.bookings.find(b => b.id === redemption.bookingId);
+  if (!booking || booking.status === 'cancelled') return false;
+  if (!customer) return true;
+  return (customer.email && redemption.customerEmail === customer.email) ||
+    (customer.phone && redemption.customerPhone === customer.phone);
+}).length;
+
+// Checks promo codes for a booking like the API does. Returns the promos to redeem,
+// or the 400 INVALID_PROMO_CODE error to reject with.
+const resolveMockPromoCodes = (codes, booking) => {
+  const normalized = [...new Set((codes || []).map(normalizePromoCode).filter(Boolean))];
+  const customer = {
+    email: normalizeCustomerEmail(booking.email),
+    phone: normalizeCustomerPhone(booking.phone)
+  };
+  const reject = (message, code) => {
+    const error = mockBadRequestError(message, 'INVALID_PROMO_CODE');
+    error.response.data.promo_code = code;
+    return { error };
+  };
+
+  const promos = [];
+  for (const code of normalized) {
+    const promo = mockData.promoCodes.find(p => p.code === code);
+    if (!promo) return reject(`Promo code ${code} does not exist`, code);
+
+    const eligibilityError = getPromoEligibilityError(promo, booking);
+    if (eligibilityError) return reject(eligibilityError, code);
+    if (!promo.stackable && normalized.length > 1) {
+      return reject(`Promo code ${code} cannot be combined with other codes`, code);
+    }
+    if (promo.maxUses != null && countMockRedemptions(promo.id) >= promo.maxUses) {
+      return reject(`Promo code ${code} has been used the maximum number of times`, code);
+    }
+    if (promo.maxUsesPerCustomer != null) {
+      if (!customer.email && !customer.phone) return reject(`Promo code ${code} needs the customer's email or phone`, code);
+      if (countMockRedemptions(promo.id, customer) >= promo.maxUsesPerCustomer) {
+        return reject(`This customer has already used promo code ${code} the maximum number of times`, code);
+      }
+    }
+    promos.push({ promoCodeId: promo.id, code: promo.code, discountType: promo.discountType, amount: promo.amount });
+  }
+  return { promos };
+};
+
+const getMockPriceQuote = ({ roomId, roomGroupId, startTime, endTime, adjustments }) => buildQuote({
+  room: roomGroupId
+    ? getGroupPricingRoom(getMockRoomGroup(roomGroupId))
+    : mockData.rooms.find(r => r.id === parseInt(roomId)),
+  startTime,
+  endTime,
+  rules: mockData.pricingRules,
+  taxRate: mockData.settings.taxRate || 0,
+  adjustments
+});
+
+const MOCK_PAYMENT_PROVIDERS = [
+  { id: 'manual', label: 'Cash / manual', requiresCard: false },
+  { id: 'fake_card', label: 'Card (test)', requiresCard: true }
+];
+
+// A mock booking's ledger entries and summary, like GET /payments/booking/:id
+const getMockPaymentLedger = (bookingId) => {
+  const booking = mockData.bookings.find(b => b.id === bookingId);
+  if (!booking) return null;
+  const room = mockData.rooms.find(r => r.id === parseInt(bookingRoomId(booking) || booking.room));
+  const entries = mockData.payments.filter(entry => entry.bookingId === bookingId);
+  return {
+    entries,
+    summary: summarizeLedger(booking, entries, (mockData.settings.categoryDeposits || {})[room?.category])
+  };
+};
+
+const addMockLedgerEntry = (entry) => {
+  const created = {
+    id: mockData.payments.length > 0 ? Math.max(...mockData.payments.map(p => p.id)) + 1 : 1,
+    provider: null,
+    status: 'succeeded',
+    reference: null,
+    cardLast4: null,
+    refundedPaymentId: null,
+    failureReason: null,
+    createdAt: new Date(),
+    ...entry
+  };
+  mockData.payments.push(created);
+  return created;
+};
+
+const getMockRoomPolicy = (roomId) => {
+  const room = mockData.rooms.find(r => r.id === parseInt(roomId));
+  return getPolicyForCategory(mockData.cancellationPolicies, room?.category);
+};
+
+const getMockPolicySnapshot = (roomId) => snapshotPolicy(getMockRoomPolicy(roomId));
+
+// A booking's own copy of its policy, or the current one for bookings made before it had one
+const getMockBookingPolicy = (booking) => (
+  booking.cancellationPolicy || snapshotPolicy(getMockRoomPolicy(bookingRoomId(booking) || booking.room))
+);
+
+// Like GET /bookings/:id/cancellation-fee for one booking
+const previewMockCancellationFee = (booking, kind) => {
+  const fee = getCancellationFee(getMockBookingPolicy(booking), booking, { kind });
+  const { summary } = getMockPaymentLedger(booking.id);
+  const balance = Math.round((fee.fee + summary.charges + summary.adjustments - summary.netPaid) * 100) / 100;
+  return {
+    bookingId: booking.id,
+    startTime: booking.startTime,
+    totalPrice: booking.totalPrice,
+    ...fee,
+    netPaid: summary.netPaid,
+    balanceDue: Math.max(0, balance),
+    refundDue: Math.max(0, -balance)
+  };
+};
+
+const waiveMockCancellationFee = (booking, reason) => {
+  addMockLedgerEntry({ bookingId: booking.id, entryType: 'adjustment', amount: -booking.cancellationFee, note: `Cancellation fee waived: ${reason}` });
+  booking.cancellationFeeWaivedAt = new Date().toISOString();
+  booking.cancellationFeeWaiverReason = reason;
+};
+
+// Charge or reverse cancellation fees for `booking` moving to `nextStatus`, as the
+// server does. Call before the booking's status changes. Holds are never charged.
+const applyMockCancellationFees = (booking, nextStatus, { waiverReason = null } = {}) => {
+  const wasReleased = RELEASED_STATUSES.includes(booking.status);
+  const releases = RELEASED_STATUSES.includes(nextStatus);
+  if (releases && !wasReleased && booking.status !== 'held') {
+    const fee = getCancellationFee(getMockBookingPolicy(booking), booking, { kind: nextStatus === 'no_show' ? 'no_show' : 'cancelled' });
+    Object.assign(booking, {
+      cancellationFee: fee.fee,
+      cancellationFeePercent: fee.feePercent,
+      cancellationFeeWaivedAt: null,
+      cancellationFeeWaiverReason: null
+    });
+    if (fee.fee > 0) {
+      addMockLedgerEntry({ bookingId: booking.id, entryType: 'charge', amount: fee.fee, note: describeCancellationFee(fee) });
+      if (waiverReason) waiveMockCancellationFee(booking, waiverReason);
+    }
+    return { bookingId: booking.id, ...fee };
+  }
+  if (wasReleased && !releases) {
+    if (booking.cancellationFee > 0 && !booking.cancellationFeeWaivedAt) {
+      addMockLedgerEntry({ bookingId: booking.id, entryType: 'adjustment', amount: -booking.cancellationFee, note: 'Cancellation fee reversed: booking reinstated' });
+    }
+    Object.assign(booking, {
+      cancellationFee: 0,
+      cancellationFeePercent: null,
+      cancellationFeeWaivedAt: null,
+      cancellationFeeWaiverReason: null
+    });
+  }
+  return null;
+};
+
+// Price fields of a mock booking from the pricing rules, as the server reprices
+// bookings; a hand-set base price (basePriceManual) and redeemed promos are kept
+const priceMockBooking = (booking) => {
+  const quote = getMockPriceQuote({
+    roomId: bookingRoomId(booking) || booking.room,
+    roomGroupId: booking.roomGroupId,
+    startTime: booking.startTime || booking.timeIn,
+    endTime: booking.endTime || booking.timeOut,
+    adjustments: {
+      basePrice: booking.basePriceManual ? toAmount(booking.basePrice) : null,
+      additionalFees: toAmount(booking.additionalFees) || 0,
+      discount: toAmount(booking.discount) || 0,
+      promos: mockData.promoRedemptions.filter(redemption => redemption.bookingId === booking.id)
+    }
+  });
+  return {
+    basePrice: quote.basePrice,
+    surcharges: quote.surcharges,
+    ruleFees: quote.ruleFees,
+    ruleDiscounts: quote.ruleDiscounts,
+    additionalFees: quote.additionalFees,
+    discount: quote.discount,
+    promoDiscount: quote.promoDiscount,
+    taxRate: quote.taxRate,
+    tax: quote.tax,
+    totalPrice: quote.totalPrice,
+    priceLines: quote.lines
+  };
+};
+
+const MOCK_PRICED_FIELDS = ['roomId', 'startTime', 'endTime', 'basePrice', 'additionalFees', 'discount'];
+
+// Validation shared by swaps and resizes of `previous`; returns the error to reject with, if any
+const checkMockPlacement = (placement, excludeIds, previous) => {
+  if (new Date(placement.endTime) <= new Date(placement.startTime)) {
+    return mockBadRequestError('End time must be after start time');
+  }
+  const policyError = checkMockBookingPolicy(placement, previous);
+  if (policyError) {
+    return policyError;
+  }
+  return getMockConflictError(placement.roomIds || placement.roomId, placement.startTime, placement.endTime, excludeIds);
+};
 export const mockAPI = {
   // Auth mock
   login: (credentials) => {
@@ -252,30 +1119,52 @@ export const mockAPI = {
   getRooms: () => {
     return new Promise((resolve) => {
       setTimeout(() => {
-        resolve({ data: mockData.rooms });
+        resolve({ data: [...mockData.rooms].sort(compareMockRooms).map(withMockCover) });
       }, 500);
     });
   },
 
   createRoom: (data) => {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       setTimeout(() => {
+        const customFields = checkMockCustomFields(data.customFields, 'room');
+        if (customFields.error) {
+          reject(customFields.error);
+          return;
+        }
+        // New rooms take their category's defaults for anything not given
+        const category = mockData.roomCategories.find(c => c.name === data.category);
+        if (!category) {
+          reject(mockBadRequestError('Unknown room category', 'UNKNOWN_CATEGORY'));
+          return;
+        }
+        const capacity = data.capacity || category.defaultCapacity;
+        if (!capacity) {
+          reject(mockBadRequestError(`Capacity is required; ${category.name} has no default capacity`));
+          return;
+        }
         // Generate unique ID by finding the highest existing ID and adding 1
         const maxId = mockData.rooms.length > 0 ? Math.max(...mockData.rooms.map(r => r.id)) : 0;
-        const newRoom = {
+        const newRoom = syncMockRoomStatus({
           id: maxId + 1,
           name: data.name,
-          capacity: data.capacity,
+          capacity,
           category: data.category,
+          type: data.type || null,
           amenities: data.amenities || [],
-          isActive: data.isActive !== false,
-          status: data.status || 'active',
-          color: data.color || '#3B82F6',
+          isActive: data.isActive,
+          status: data.status,
+          color: data.color || category.color || '#3B82F6',
           description: data.description || '',
-          hourlyRate: data.hourlyRate || 0,
+          hourlyRate: data.hourlyRate ?? category.defaultHourlyRate ?? 0,
           isBookable: data.isBookable !== false,
-          sortOrder: data.sortOrder || 0
-        };
+          sortOrder: data.sortOrder || 0,
+          bufferBeforeMinutes: data.bufferBeforeMinutes ?? null,
+          bufferAfterMinutes: data.bufferAfterMinutes ?? null,
+          customFields: customFields.values
+        });
+        newRoom.status = newRoom.status || 'active';
+        newRoom.isActive = newRoom.isActive !== false;
         mockData.rooms.push(newRoom);
         resolve({ data: newRoom });
       }, 1000);
@@ -283,16 +1172,29 @@ export const mockAPI = {
   },
 
   updateRoom: (id, data) => {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       setTimeout(() => {
         // Look for room by both _id and id to handle different ID formats
         const index = mockData.rooms.findIndex(r => r.id === id || r._id === id);
         
         if (index !== -1) {
-          mockData.rooms[index] = { ...mockData.rooms[index], ...data };
-          resolve({ data: mockData.rooms[index] });
+          if (data.category !== undefined && !mockData.roomCategories.some(c => c.name === data.category)) {
+            reject(mockBadRequestError('Unknown room category', 'UNKNOWN_CATEGORY'));
+            return;
+          }
+          const updates = syncMockRoomStatus({ ...data }, mockData.rooms[index]);
+          if (data.customFields !== undefined) {
+            const customFields = checkMockCustomFields(data.customFields, 'room');
+            if (customFields.error) {
+              reject(customFields.error);
+              return;
+            }
+            updates.customFields = customFields.values;
+          }
+          mockData.rooms[index] = { ...mockData.rooms[index], ...updates };
+          resolve({ data: withMockCover(mockData.rooms[index]) });
         } else {
-          throw new Error('Room not found');
+          reject(new Error('Room not found'));
         }
       }, 1000);
     });
@@ -313,127 +1215,1946 @@ export const mockAPI = {
     });
   },
 
-  // Bookings mock
-  getBookings: (params = {}) => {
+  // Customers mock
+  getCustomers: (params = {}) => {
     return new Promise((resolve) => {
       setTimeout(() => {
-        let filteredBookings = [...mockData.bookings];
-        
-        // Join room data with bookings
-        filteredBookings = filteredBookings.map(booking => {
-          // Handle both object and primitive roomId values
-          let roomIdToMatch;
-          if (typeof booking.roomId === 'object' && booking.roomId !== null) {
-            roomIdToMatch = booking.roomId._id || booking.roomId.id;
-          } else {
-            roomIdToMatch = booking.roomId;
-          }
-          
-          const room = mockData.rooms.find(r => r.id === roomIdToMatch);
-          return {
-            ...booking,
-            roomId: {
-              _id: room?.id,
-              id: room?.id,
-              name: room?.name,
-              capacity: room?.capacity,
-              color: room?.color,
-              category: room?.category,
-              amenities: room?.amenities,
-              hourlyRate: room?.hourlyRate || 25 // Use room's hourly rate or default
-            }
-          };
-        });
-        
-        // Apply filters
-        if (params.room) {
-          filteredBookings = filteredBookings.filter(b => b.roomId?._id === parseInt(params.room));
-        }
-        
-        if (params.status && params.status !== 'all') {
-          filteredBookings = filteredBookings.filter(b => b.status === params.status);
+        const { search = '', sort = 'last_visit', limit = 100 } = params;
+        const text = search.trim().toLowerCase();
+        const digits = normalizeCustomerPhone(search);
+        const sorts = {
+          last_visit: (a, b) => (b.lastVisit ? new Date(b.lastVisit) : 0) - (a.lastVisit ? new Date(a.lastVisit) : 0),
+          total_spend: (a, b) => b.totalSpend - a.totalSpend,
+          booking_count: (a, b) => b.bookingCount - a.bookingCount,
+          name: () => 0
+        };
+        const customers = mockData.customers
+          .filter(customer => !text ||
+            customer.name.toLowerCase().includes(text) ||
+            (customer.email || '').toLowerCase().includes(text) ||
+            (digits && (normalizeCustomerPhone(customer.phone) || '').includes(digits)))
+          .map(getMockCustomer)
+          .sort((a, b) => (sorts[sort] || sorts.last_visit)(a, b) || a.name.localeCompare(b.name))
+          .slice(0, limit);
+        resolve({ data: customers });
+      }, 300);
+    });
+  },
+
+  getCustomer: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const customer = mockData.customers.find(c => c.id === id);
+        if (!customer) {
+          reject(new Error('Customer not found'));
+          return;
         }
-        
-        if (params.customer) {
-          filteredBookings = filteredBookings.filter(b => 
-            b.customerName.toLowerCase().includes(params.customer.toLowerCase())
-          );
+        const bookings = mockData.bookings
+          .filter(b => b.customerId === id)
+          .sort((a, b) => new Date(b.startTime || b.timeIn) - new Date(a.startTime || a.timeIn));
+        resolve({ data: { ...getMockCustomer(customer), bookings } });
+      }, 300);
+    });
+  },
+
+  createCustomer: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const duplicate = findMockCustomerByContact(data);
+        if (duplicate) {
+          reject(mockBadRequestError(`${duplicate.name} already has this email or phone`, 'DUPLICATE_CUSTOMER'));
+          return;
         }
-        
-        if (params.date) {
-          const selectedDate = new Date(params.date);
-          const startOfDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate());
-          const endOfDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() + 1);
-          
-          filteredBookings = filteredBookings.filter(b => {
-            const bookingStart = new Date(b.startTime);
-            const bookingEnd = new Date(b.endTime);
-            return (bookingStart < endOfDay && bookingEnd > startOfDay);
-          });
+        resolve({ data: getMockCustomer(insertMockCustomer({ ...data, name: data.name.trim() })) });
+      }, 300);
+    });
+  },
+
+  updateCustomer: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const customer = mockData.customers.find(c => c.id === id);
+        if (!customer) {
+          reject(new Error('Customer not found'));
+          return;
         }
-        
-        if (params.startDate && params.endDate) {
-          const start = new Date(params.startDate);
-          const end = new Date(params.endDate);
-          filteredBookings = filteredBookings.filter(b => 
-            b.startTime >= start && b.endTime <= end
-          );
+        const duplicate = findMockCustomerByContact({ email: data.email, phone: data.phone }, id);
+        if (duplicate) {
+          reject(mockBadRequestError(`${duplicate.name} already has this email or phone`, 'DUPLICATE_CUSTOMER'));
+          return;
         }
-        
-        resolve({ 
-          data: { 
-            bookings: filteredBookings,
-            total: filteredBookings.length
-          } 
+        ['name', 'email', 'phone', 'notes'].forEach(field => {
+          if (data[field] !== undefined) customer[field] = data[field] || null;
         });
-      }, 500);
+        resolve({ data: getMockCustomer(customer) });
+      }, 300);
     });
   },
 
-  createBooking: (data) => {
-    return new Promise((resolve) => {
+  deleteCustomer: (id) => {
+    return new Promise((resolve, reject) => {
       setTimeout(() => {
-        const newId = mockData.bookings.length > 0 ? Math.max(...mockData.bookings.map(b => b.id)) + 1 : 1;
+        if (mockData.bookings.some(b => b.customerId === id)) {
+          reject(mockBadRequestError('Cannot delete a customer with bookings', 'CUSTOMER_HAS_BOOKINGS'));
+          return;
+        }
+        mockData.customers = mockData.customers.filter(c => c.id !== id);
+        resolve({ data: { message: 'Customer deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  // Room photos mock
+  getRoomPhotos: (roomId) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: getMockRoomPhotos(roomId).map(photo => ({ ...photo })) });
+      }, 300);
+    });
+  },
+
+  uploadRoomPhoto: (roomId, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const match = (data.image || '').match(MOCK_IMAGE_PATTERN);
+        if (!match) {
+          reject(mockBadRequestError('Upload a JPEG, PNG, WebP or GIF image', 'INVALID_IMAGE'));
+          return;
+        }
+        if (!MOCK_IMAGE_PATTERN.test(data.thumbnail || '')) {
+          reject(mockBadRequestError('The thumbnail must be a JPEG, PNG, WebP or GIF image', 'INVALID_THUMBNAIL'));
+          return;
+        }
+        const photos = getMockRoomPhotos(roomId);
+        const id = mockData.roomPhotos.length > 0 ? Math.max(...mockData.roomPhotos.map(p => p.id)) + 1 : 1;
+        const photo = {
+          id,
+          roomId,
+          url: data.image,
+          thumbnailUrl: data.thumbnail,
+          contentType: `image/${match[1]}`,
+          size: Math.floor((data.image.length - match[0].length) * 3 / 4),
+          caption: data.caption || null,
+          sortOrder: photos.length > 0 ? photos[photos.length - 1].sortOrder + 1 : 0,
+          isCover: photos.length === 0
+        };
+        mockData.roomPhotos.push(photo);
+        resolve({ data: { ...photo } });
+      }, 500);
+    });
+  },
+
+  updateRoomPhoto: (roomId, photoId, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const photo = mockData.roomPhotos.find(p => p.id === photoId && p.roomId === roomId);
+        if (!photo) {
+          reject(new Error('Photo not found'));
+          return;
+        }
+        if (data.isCover === false && photo.isCover) {
+          reject(mockBadRequestError('Make another photo the cover instead'));
+          return;
+        }
+        if (data.caption !== undefined) photo.caption = data.caption || null;
+        if (data.isCover) {
+          getMockRoomPhotos(roomId).forEach(p => { p.isCover = p.id === photoId; });
+        }
+        resolve({ data: { ...photo } });
+      }, 300);
+    });
+  },
+
+  reorderRoomPhotos: (roomId, photoIds) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const photos = getMockRoomPhotos(roomId);
+        if (photoIds.length !== photos.length || !photos.every(photo => photoIds.includes(photo.id))) {
+          reject(mockBadRequestError("List each of the room's photos exactly once"));
+          return;
+        }
+        photos.forEach(photo => { photo.sortOrder = photoIds.indexOf(photo.id); });
+        resolve({ data: getMockRoomPhotos(roomId).map(photo => ({ ...photo })) });
+      }, 300);
+    });
+  },
+
+  deleteRoomPhoto: (roomId, photoId) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (!mockData.roomPhotos.some(p => p.id === photoId && p.roomId === roomId)) {
+          reject(new Error('Photo not found'));
+          return;
+        }
+        mockData.roomPhotos = mockData.roomPhotos.filter(p => p.id !== photoId);
+        ensureMockCoverPhoto(roomId);
+        resolve({ data: { message: 'Photo removed successfully' } });
+      }, 300);
+    });
+  },
+
+  // Room categories mock
+  getRoomCategories: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const categories = [...mockData.roomCategories]
+          .sort(compareMockRooms)
+          .map(getMockRoomCategory);
+        resolve({ data: categories });
+      }, 300);
+    });
+  },
+
+  createRoomCategory: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const name = (data.name || '').trim();
+        if (mockData.roomCategories.some(c => c.name === name)) {
+          reject(mockBadRequestError('A category with this name already exists', 'DUPLICATE_CATEGORY'));
+          return;
+        }
+        const id = mockData.roomCategories.length > 0 ? Math.max(...mockData.roomCategories.map(c => c.id)) + 1 : 1;
+        const category = {
+          id,
+          name,
+          description: data.description || null,
+          defaultHourlyRate: data.defaultHourlyRate ?? null,
+          defaultCapacity: data.defaultCapacity ?? null,
+          color: data.color || null,
+          sortOrder: data.sortOrder ?? Math.max(-1, ...mockData.roomCategories.map(c => c.sortOrder)) + 1
+        };
+        mockData.roomCategories.push(category);
+        if (data.deposit !== undefined) {
+          setMockCategoryDeposit(name, data.deposit);
+        }
+        resolve({ data: getMockRoomCategory(category) });
+      }, 300);
+    });
+  },
+
+  updateRoomCategory: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const category = mockData.roomCategories.find(c => c.id === id);
+        if (!category) {
+          reject(new Error('Room category not found'));
+          return;
+        }
+        const name = data.name !== undefined ? data.name.trim() : category.name;
+        const renamed = name !== category.name;
+        if (renamed && mockData.roomCategories.some(c => c.name === name)) {
+          reject(mockBadRequestError('A category with this name already exists', 'DUPLICATE_CATEGORY'));
+          return;
+        }
+        ['description', 'defaultHourlyRate', 'defaultCapacity', 'color', 'sortOrder'].forEach(field => {
+          if (data[field] !== undefined) category[field] = data[field];
+        });
+        if (renamed) {
+          renameMockCategoryReferences(category.name, name);
+          category.name = name;
+        }
+        if (data.deposit !== undefined) {
+          setMockCategoryDeposit(name, data.deposit);
+        }
+        resolve({ data: getMockRoomCategory(category) });
+      }, 300);
+    });
+  },
+
+  deleteRoomCategory: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const category = mockData.roomCategories.find(c => c.id === id);
+        if (!category) {
+          reject(new Error('Room category not found'));
+          return;
+        }
+        const roomCount = mockData.rooms.filter(r => r.category === category.name).length;
+        if (roomCount > 0) {
+          reject(mockBadRequestError(
+            `${roomCount === 1 ? '1 room still uses' : `${roomCount} rooms still use`} ${category.name}; move ${roomCount === 1 ? 'it' : 'them'} to another category first`,
+            'CATEGORY_IN_USE'
+          ));
+          return;
+        }
+        mockData.roomCategories = mockData.roomCategories.filter(c => c.id !== id);
+        MOCK_CATEGORY_SETTINGS.forEach(key => {
+          const rest = { ...mockData.settings[key] };
+          delete rest[category.name];
+          mockData.settings[key] = rest;
+        });
+        resolve({ data: { message: 'Room category deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  // Room groups mock
+  getRoomGroups: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const groups = mockData.roomGroups
+          .map(group => getMockRoomGroup(group.id))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        resolve({ data: groups });
+      }, 300);
+    });
+  },
+
+  createRoomGroup: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const roomIds = (data.roomIds || []).map(Number);
+        if (roomIds.length < 2 || new Set(roomIds).size !== roomIds.length) {
+          reject(mockBadRequestError('A combined room needs at least two different rooms'));
+          return;
+        }
+        const id = mockData.roomGroups.length > 0 ? Math.max(...mockData.roomGroups.map(g => g.id)) + 1 : 1;
+        mockData.roomGroups.push({
+          id,
+          name: data.name,
+          pricePerHour: toAmount(data.pricePerHour),
+          isActive: data.isActive !== false,
+          roomIds
+        });
+        resolve({ data: getMockRoomGroup(id) });
+      }, 300);
+    });
+  },
+
+  updateRoomGroup: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const group = mockData.roomGroups.find(g => g.id === id);
+        if (!group) {
+          reject(new Error('Room group not found'));
+          return;
+        }
+        const next = { ...group, ...data };
+        next.roomIds = next.roomIds.map(Number);
+        if (next.roomIds.length < 2 || new Set(next.roomIds).size !== next.roomIds.length) {
+          reject(mockBadRequestError('A combined room needs at least two different rooms'));
+          return;
+        }
+        if ('pricePerHour' in data) next.pricePerHour = toAmount(data.pricePerHour);
+        Object.assign(group, {
+          name: next.name,
+          pricePerHour: next.pricePerHour,
+          isActive: next.isActive !== false,
+          roomIds: next.roomIds
+        });
+        resolve({ data: getMockRoomGroup(id) });
+      }, 300);
+    });
+  },
+
+  deleteRoomGroup: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (mockData.bookings.some(b => b.roomGroupId === id && b.status !== 'cancelled')) {
+          reject(mockBadRequestError('Cannot delete a combined room with active bookings; deactivate it instead'));
+          return;
+        }
+        mockData.roomGroups = mockData.roomGroups.filter(g => g.id !== id);
+        resolve({ data: { message: 'Room group deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  // Room blocks mock
+  getRoomBlocks: (params = {}) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const now = moment();
+        const blocks = mockData.roomBlocks
+          .filter(block => !params.roomId || block.roomId === parseInt(params.roomId))
+          .filter(block => params.includePast || moment(block.lastEndTime).isAfter(now))
+          .map(block => ({ ...block, roomName: mockData.rooms.find(r => r.id === block.roomId)?.name }))
+          .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        resolve({ data: blocks });
+      }, 300);
+    });
+  },
+
+  getRoomBlockOccurrences: ({ startTime, endTime, roomId }) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: findBlockOccurrences(mockData.roomBlocks, roomId ? [parseInt(roomId)] : null, startTime, endTime) });
+      }, 300);
+    });
+  },
+
+  // Block a room; bookings in the way are kept and come back as `affected`, each with a
+  // free room it could move to (never the same room for two overlapping bookings)
+  createRoomBlock: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const roomId = parseInt(data.roomId);
+        if (!mockData.rooms.some(r => r.id === roomId)) {
+          reject(mockBadRequestError('Room not found'));
+          return;
+        }
+        if (!data.reason?.trim()) {
+          reject(mockBadRequestError('Give a reason for the block'));
+          return;
+        }
+        if (new Date(data.endTime) <= new Date(data.startTime)) {
+          reject(mockBadRequestError('End time must be after start time'));
+          return;
+        }
+
+        const block = {
+          id: mockData.roomBlocks.length > 0 ? Math.max(...mockData.roomBlocks.map(b => b.id)) + 1 : 1,
+          roomId,
+          reason: data.reason.trim(),
+          startTime: new Date(data.startTime).toISOString(),
+          endTime: new Date(data.endTime).toISOString(),
+          rrule: data.recurrence?.frequency ? buildRRule(data.recurrence, data.startTime) : null
+        };
+        const occurrences = expandBlock(block);
+        block.lastEndTime = occurrences[occurrences.length - 1].endTime;
+
+        const affectedBookings = mockData.bookings
+          .filter(b => isMockBlocking(b) && getBookingRoomIds(b).includes(roomId))
+          .filter(b => occurrences.some(o => new Date(b.startTime) < new Date(o.endTime) && new Date(b.endTime) > new Date(o.startTime)))
+          .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        const blockedRoom = mockData.rooms.find(r => r.id === roomId);
+        const claimed = [];
+        const affected = affectedBookings.map(booking => {
+          const replacement = booking.roomGroupId ? null : mockData.rooms
+            .filter(r => r.id !== roomId && isMockRoomBookable(r) && r.capacity >= (booking.partySize || 1))
+            .sort((a, b) => Number(b.category === blockedRoom.category) - Number(a.category === blockedRoom.category) || a.capacity - b.capacity)
+            .find(r => (
+              !claimed.some(c => c.roomId === r.id && new Date(c.startTime) < new Date(booking.endTime) && new Date(c.endTime) > new Date(booking.startTime)) &&
+              !getMockConflictError(r.id, booking.startTime, booking.endTime, [booking.id])
+            ));
+          if (replacement) {
+            claimed.push({ roomId: replacement.id, startTime: booking.startTime, endTime: booking.endTime });
+          }
+          return {
+            id: booking.id,
+            roomId: bookingRoomId(booking),
+            roomName: blockedRoom.name,
+            roomGroupId: booking.roomGroupId || null,
+            customerName: booking.customerName,
+            partySize: booking.partySize,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            status: booking.status,
+            replacementRoom: replacement
+              ? { id: replacement.id, name: replacement.name, capacity: replacement.capacity, category: replacement.category }
+              : null
+          };
+        });
+
+        if (data.dryRun) {
+          resolve({ data: { block: null, occurrences, affected } });
+          return;
+        }
+        mockData.roomBlocks.push(block);
+        resolve({ data: { block: { ...block, roomName: blockedRoom.name }, occurrences, affected } });
+      }, 300);
+    });
+  },
+
+  deleteRoomBlock: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (!mockData.roomBlocks.some(b => b.id === id)) {
+          reject(mockBadRequestError('Room block not found'));
+          return;
+        }
+        mockData.roomBlocks = mockData.roomBlocks.filter(b => b.id !== id);
+        resolve({ data: { message: 'Room block deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  // Bookings mock
+  getBookings: (params = {}) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        releaseExpiredMockHolds();
+        flagMockNoShows();
+        let filteredBookings = [...mockData.bookings];
+        
+        // Join room data with bookings
+        filteredBookings = filteredBookings.map(booking => {
+          // Handle both object and primitive roomId values
+          let roomIdToMatch;
+          if (typeof booking.roomId === 'object' && booking.roomId !== null) {
+            roomIdToMatch = booking.roomId._id || booking.roomId.id;
+          } else {
+            roomIdToMatch = booking.roomId;
+          }
+          
+          const room = mockData.rooms.find(r => r.id === roomIdToMatch);
+          return {
+            ...booking,
+            roomId: {
+              _id: room?.id,
+              id: room?.id,
+              name: room?.name,
+              capacity: room?.capacity,
+              color: room?.color,
+              category: room?.category,
+              amenities: room?.amenities,
+              hourlyRate: room?.hourlyRate || 25 // Use room's hourly rate or default
+            }
+          };
+        });
+        
+        // Apply filters
+        if (params.room) {
+          filteredBookings = filteredBookings.filter(b => getBookingRoomIds(b).includes(parseInt(params.room)));
+        }
+        
+        if (params.status && params.status !== 'all') {
+          filteredBookings = filteredBookings.filter(b => b.status === params.status);
+        }
+        
+        if (params.customer) {
+          filteredBookings = filteredBookings.filter(b => 
+            b.customerName.toLowerCase().includes(params.customer.toLowerCase())
+          );
+        }
+        
+        if (params.date) {
+          const selectedDate = new Date(params.date);
+          const startOfDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate());
+          const endOfDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() + 1);
+          
+          filteredBookings = filteredBookings.filter(b => {
+            const bookingStart = new Date(b.startTime);
+            const bookingEnd = new Date(b.endTime);
+            return (bookingStart < endOfDay && bookingEnd > startOfDay);
+          });
+        }
+        
+        if (params.custom) {
+          filteredBookings = filteredBookings.filter(b =>
+            matchesCustomFieldFilters(b.customFields, params.custom, mockData.bookingCustomFields)
+          );
+        }
+        
+        if (params.startDate && params.endDate) {
+          const start = new Date(params.startDate);
+          const end = new Date(params.endDate);
+          filteredBookings = filteredBookings.filter(b => 
+            b.startTime >= start && b.endTime <= end
+          );
+        }
+        
+        resolve({ 
+          data: { 
+            bookings: filteredBookings,
+            total: filteredBookings.length
+          } 
+        });
+      }, 500);
+    });
+  },
+
+  createBooking: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        // A combined booking holds every room of its group and sits on the first one
+        let group = null;
+        if (data.roomGroupId) {
+          group = getMockRoomGroup(data.roomGroupId);
+          if (!group) {
+            reject(new Error('Room group not found'));
+            return;
+          }
+          if (!isGroupBookable(group)) {
+            reject(mockBadRequestError(`${group.name} cannot be booked while it or one of its rooms is inactive or not taking bookings`));
+            return;
+          }
+          data = { ...data, roomId: group.roomIds[0], room: group.roomIds[0], roomIds: group.roomIds, roomGroupName: group.name };
+        } else {
+          const roomError = checkMockRoomBookable(bookingRoomId(data) || data.room);
+          if (roomError) {
+            reject(roomError);
+            return;
+          }
+        }
+
+        const policyError = checkMockBookingPolicy({ startTime: data.startTime || data.timeIn, endTime: data.endTime || data.timeOut });
+        if (policyError) {
+          reject(policyError);
+          return;
+        }
+
+        const conflictError = getMockConflictError(group ? group.roomIds : bookingRoomId(data) || data.room, data.startTime || data.timeIn, data.endTime || data.timeOut);
+        if (conflictError) {
+          reject(conflictError);
+          return;
+        }
+
+        const customFields = checkMockCustomFields(data.customFields);
+        if (customFields.error) {
+          reject(customFields.error);
+          return;
+        }
+
+        const customer = resolveMockCustomer(data, data.customerId);
+        if (customer.error) {
+          reject(customer.error);
+          return;
+        }
+
+        const { holdMinutes, promoCodes, ...fields } = data;
+        const placement = {
+          roomId: bookingRoomId(data) || data.room,
+          startTime: data.startTime || data.timeIn,
+          endTime: data.endTime || data.timeOut
+        };
+        const promoResult = resolveMockPromoCodes(promoCodes, { ...placement, email: data.email, phone: data.phone });
+        if (promoResult.error) {
+          reject(promoResult.error);
+          return;
+        }
+
+        const newId = mockData.bookings.length > 0 ? Math.max(...mockData.bookings.map(b => b.id)) + 1 : 1;
+        promoResult.promos.forEach(promo => {
+          const redemptionId = mockData.promoRedemptions.length > 0 ? Math.max(...mockData.promoRedemptions.map(r => r.id)) + 1 : 1;
+          mockData.promoRedemptions.push({
+            ...promo,
+            id: redemptionId,
+            bookingId: newId,
+            customerEmail: normalizeCustomerEmail(data.email),
+            customerPhone: normalizeCustomerPhone(data.phone),
+            createdAt: new Date()
+          });
+        });
+        fields.basePriceManual = toAmount(fields.basePrice) !== null;
         const newBooking = {
           _id: newId,
           id: newId,
+          ...fields,
+          ...priceMockBooking({ ...fields, id: newId }),
+          promoCodes: promoResult.promos.map(promo => promo.code),
+          customFields: customFields.values,
+          customerId: customer.customerId,
+          confirmationCode: createMockConfirmationCode(),
+          cancellationPolicy: getMockPolicySnapshot(placement.roomId),
+          status: data.status || 'confirmed',
+          holdExpiresAt: data.status === 'held' ? getMockHoldExpiry(holdMinutes) : null,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+        mockData.bookings.push(newBooking);
+        recordMockStatusChange({ id: newId, status: null }, newBooking.status);
+        resolve({ data: { booking: newBooking } });
+      }, 1000);
+    });
+  },
+
+  updateBooking: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const index = mockData.bookings.findIndex(b => b.id === id || b._id === id);
+        if (index !== -1) {
+          const oldBooking = mockData.bookings[index];
+          // Promo codes are only redeemed when a booking is created
+          const { holdMinutes, ...fields } = data;
+          delete fields.promoCodes;
+          if (fields.customFields !== undefined) {
+            const customFields = checkMockCustomFields(fields.customFields);
+            if (customFields.error) {
+              reject(customFields.error);
+              return;
+            }
+            fields.customFields = customFields.values;
+          }
+          if ('basePrice' in fields) {
+            fields.basePriceManual = toAmount(fields.basePrice) !== null;
+          }
+          // A booking without a customer is matched once it is given an email or phone
+          if (fields.customerId !== undefined) {
+            const customer = fields.customerId ? resolveMockCustomer(fields, fields.customerId) : { customerId: null };
+            if (customer.error) {
+              reject(customer.error);
+              return;
+            }
+            fields.customerId = customer.customerId;
+          } else if (!oldBooking.customerId && ('email' in fields || 'phone' in fields)) {
+            fields.customerId = resolveMockCustomer({ ...oldBooking, ...fields }).customerId;
+          }
+          const next = { ...oldBooking, ...fields };
+          if (oldBooking.roomGroupId && parseInt(bookingRoomId(next)) !== parseInt(bookingRoomId(oldBooking))) {
+            reject(combinedBookingError());
+            return;
+          }
+          if (parseInt(bookingRoomId(next)) !== parseInt(bookingRoomId(oldBooking))) {
+            const roomError = checkMockRoomBookable(bookingRoomId(next));
+            if (roomError) {
+              reject(roomError);
+              return;
+            }
+          }
+          next.roomGroupId = oldBooking.roomGroupId || null;
+          next.roomIds = oldBooking.roomIds;
+          if (MOCK_PRICED_FIELDS.some(key => key in fields)) {
+            Object.assign(next, priceMockBooking(next));
+          }
+          if (!canTransition(oldBooking.status, next.status)) {
+            reject(mockTransitionError(oldBooking.status, next.status));
+            return;
+          }
+          if (next.status === 'held') {
+            if (oldBooking.status !== 'held' || holdMinutes !== undefined) {
+              next.holdExpiresAt = getMockHoldExpiry(holdMinutes);
+            }
+          } else {
+            next.holdExpiresAt = null;
+          }
+          // Reinstating a released booking (or confirming a hold) needs its slot to still be free
+          const reclaimsSlot = next.status !== oldBooking.status &&
+            (RELEASED_STATUSES.includes(oldBooking.status) || oldBooking.status === 'held');
+          const timeChanged = reclaimsSlot || ['roomId', 'startTime', 'endTime'].some(key => key in data);
+          if (timeChanged && !RELEASED_STATUSES.includes(next.status)) {
+            const policyError = checkMockBookingPolicy(next, oldBooking);
+            if (policyError) {
+              reject(policyError);
+              return;
+            }
+            const conflictError = getMockConflictError(getBookingRoomIds(next), next.startTime, next.endTime, [oldBooking.id]);
+            if (conflictError) {
+              reject(conflictError);
+              return;
+            }
+          }
+          recordMockStatusChange(oldBooking, next.status);
+          if (next.status !== oldBooking.status) {
+            const charged = { ...next, status: oldBooking.status };
+            applyMockCancellationFees(charged, next.status);
+            Object.assign(next, charged, { status: next.status });
+          }
+          mockData.bookings[index] = { ...next, updatedAt: new Date() };
+          const freedSlot = !RELEASED_STATUSES.includes(oldBooking.status) && (
+            RELEASED_STATUSES.includes(next.status) ||
+            bookingRoomId(next) !== bookingRoomId(oldBooking) ||
+            next.startTime !== oldBooking.startTime ||
+            next.endTime !== oldBooking.endTime
+          );
+          resolve({
+            data: {
+              booking: mockData.bookings[index],
+              waitlist: freedSlot ? evaluateMockFreedSlots([oldBooking]) : []
+            }
+          });
+        } else {
+          throw new Error('Booking not found');
+        }
+      }, 1000);
+    });
+  },
+
+  // Exchange two bookings' rooms and times (or apply the given placements) all-or-nothing
+  swapBookings: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const source = mockData.bookings.find(b => b.id === id || b._id === id);
+        const target = mockData.bookings.find(b => b.id === data.targetBookingId || b._id === data.targetBookingId);
+        if (!source || !target) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        if (source.id === target.id) {
+          reject(mockBadRequestError('A booking cannot be swapped with itself'));
+          return;
+        }
+        if (RELEASED_STATUSES.includes(source.status) || RELEASED_STATUSES.includes(target.status)) {
+          reject(mockBadRequestError('Cancelled or no-show bookings cannot be swapped'));
+          return;
+        }
+        if (source.roomGroupId || target.roomGroupId) {
+          reject(combinedBookingError('Combined bookings cannot be swapped; move them instead'));
+          return;
+        }
+
+        const sourceNext = {
+          roomId: data.newRoomId || bookingRoomId(target),
+          startTime: data.newStartTime || target.startTime,
+          endTime: data.newEndTime || target.endTime
+        };
+        const targetNext = {
+          roomId: data.targetNewRoomId || bookingRoomId(source),
+          startTime: data.targetNewStartTime || source.startTime,
+          endTime: data.targetNewEndTime || source.endTime
+        };
+
+        // As with a move, only a booking changing rooms needs its new room to take bookings
+        const roomError = [[source, sourceNext, 'new_room_id'], [target, targetNext, 'target_new_room_id']]
+          .filter(([booking, placement]) => parseInt(placement.roomId) !== parseInt(bookingRoomId(booking)))
+          .map(([, placement, path]) => checkMockRoomBookable(placement.roomId, path))
+          .find(Boolean);
+        if (roomError) {
+          reject(roomError);
+          return;
+        }
+
+        const excludeIds = [source.id, target.id];
+        const error = checkMockPlacement(sourceNext, excludeIds, source) || checkMockPlacement(targetNext, excludeIds, target);
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        if (parseInt(sourceNext.roomId) === parseInt(targetNext.roomId)) {
+          const gapMs = getMockTurnoverGap(sourceNext.roomId) * 60 * 1000;
+          const overlaps = new Date(sourceNext.startTime).getTime() < new Date(targetNext.endTime).getTime() + gapMs &&
+            new Date(sourceNext.endTime).getTime() + gapMs > new Date(targetNext.startTime).getTime();
+          if (overlaps) {
+            reject(mockConflictError('Swapped bookings would overlap each other', {
+              conflicts: [{ id: target.id, customerName: target.customerName, status: target.status, ...targetNext }]
+            }));
+            return;
+          }
+        }
+
+        const previous = [{ ...source }, { ...target }];
+        [[source, sourceNext], [target, targetNext]].forEach(([booking, placement]) => {
+          const index = mockData.bookings.indexOf(booking);
+          mockData.bookings[index] = {
+            ...booking,
+            ...placement,
+            ...priceMockBooking({ ...booking, ...placement }),
+            timeIn: placement.startTime,
+            timeOut: placement.endTime,
+            updatedAt: new Date()
+          };
+        });
+
+        resolve({
+          data: {
+            source: mockData.bookings.find(b => b.id === source.id),
+            target: mockData.bookings.find(b => b.id === target.id),
+            waitlist: evaluateMockFreedSlots(previous)
+          }
+        });
+      }, 1000);
+    });
+  },
+
+  // Change a booking's start and/or end within its room
+  resizeBooking: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const index = mockData.bookings.findIndex(b => b.id === id || b._id === id);
+        if (index === -1) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        const oldBooking = mockData.bookings[index];
+        if (RELEASED_STATUSES.includes(oldBooking.status)) {
+          reject(mockBadRequestError('Cancelled or no-show bookings cannot be resized'));
+          return;
+        }
+
+        const error = checkMockPlacement(
+          { roomIds: getBookingRoomIds(oldBooking), startTime: data.startTime, endTime: data.endTime },
+          [oldBooking.id],
+          oldBooking
+        );
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        mockData.bookings[index] = {
+          ...oldBooking,
+          ...priceMockBooking({ ...oldBooking, startTime: data.startTime, endTime: data.endTime }),
+          startTime: data.startTime,
+          endTime: data.endTime,
+          timeIn: data.startTime,
+          timeOut: data.endTime,
+          updatedAt: new Date()
+        };
+        resolve({
+          data: {
+            booking: mockData.bookings[index],
+            waitlist: evaluateMockFreedSlots([oldBooking])
+          }
+        });
+      }, 1000);
+    });
+  },
+
+  deleteBooking: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const index = mockData.bookings.findIndex(b => b.id === id || b._id === id);
+        if (index !== -1) {
+          mockData.bookings.splice(index, 1);
+          resolve({ data: { message: 'Booking deleted successfully' } });
+        } else {
+          throw new Error('Booking not found');
+        }
+      }, 1000);
+    });
+  },
+
+  previewBookingSeries: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: planMockSeries(data) });
+      }, 500);
+    });
+  },
+
+  createBookingSeries: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const { onConflict = 'skip', ...bookingData } = data;
+        delete bookingData.recurrence;
+        const customFields = checkMockCustomFields(bookingData.customFields);
+        if (customFields.error) {
+          reject(customFields.error);
+          return;
+        }
+        bookingData.customFields = customFields.values;
+        const roomError = checkMockRoomBookable(bookingData.roomId);
+        if (roomError) {
+          reject(roomError);
+          return;
+        }
+        if (bookingData.customerId && !mockData.customers.some(c => c.id === bookingData.customerId)) {
+          reject(mockBadRequestError('Customer not found', 'CUSTOMER_NOT_FOUND'));
+          return;
+        }
+        const { rrule, occurrences } = planMockSeries(data);
+        const conflictCount = occurrences.filter(o => o.status === 'conflict').length;
+
+        if (conflictCount > 0 && (onConflict === 'abort' || conflictCount === occurrences.length)) {
+          reject(mockConflictError(
+            conflictCount === occurrences.length
+              ? 'No occurrence can be booked: each conflicts with an existing booking or the booking policy'
+              : 'Some occurrences conflict with existing bookings or the booking policy',
+            { rrule, occurrences }
+          ));
+          return;
+        }
+
+        const seriesId = mockData.bookingSeries.length > 0 ? Math.max(...mockData.bookingSeries.map(s => s.id)) + 1 : 1;
+        const series = { id: seriesId, ...bookingData, rrule, status: 'active', createdAt: new Date() };
+        mockData.bookingSeries.push(series);
+
+        occurrences.forEach(occurrence => {
+          if (occurrence.status === 'conflict') {
+            occurrence.status = 'skipped';
+            return;
+          }
+          const newId = mockData.bookings.length > 0 ? Math.max(...mockData.bookings.map(b => b.id)) + 1 : 1;
+          const placed = { ...bookingData, startTime: occurrence.startTime, endTime: occurrence.endTime };
+          mockData.bookings.push({
+            ...bookingData,
+            ...priceMockBooking(placed),
+            _id: newId,
+            id: newId,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            timeIn: occurrence.startTime,
+            timeOut: occurrence.endTime,
+            status: bookingData.status || 'confirmed',
+            customerId: resolveMockCustomer(bookingData, bookingData.customerId).customerId,
+            confirmationCode: createMockConfirmationCode(),
+            cancellationPolicy: getMockPolicySnapshot(bookingRoomId(placed) || placed.room),
+            seriesId,
+            seriesIndex: occurrence.index,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          });
+          recordMockStatusChange({ id: newId, status: null }, bookingData.status || 'confirmed');
+          occurrence.status = 'created';
+          occurrence.bookingId = newId;
+        });
+
+        resolve({ data: { series, occurrences } });
+      }, 1000);
+    });
+  },
+
+  updateBookingSeries: (id, data, scope) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+
+        const { startTime, endTime, ...fields } = data;
+        if (fields.customFields !== undefined) {
+          const customFields = checkMockCustomFields(fields.customFields);
+          if (customFields.error) {
+            reject(customFields.error);
+            return;
+          }
+          fields.customFields = customFields.values;
+        }
+        const newStart = new Date(startTime || booking.startTime);
+        const newEnd = new Date(endTime || booking.endTime);
+        const shift = newStart - new Date(booking.startTime);
+        const duration = newEnd - newStart;
+
+        const targets = getMockScopedOccurrences(booking, scope);
+        const targetIds = targets.map(t => t.id);
+        if (fields.roomId && targets.some(target => parseInt(bookingRoomId(target)) !== parseInt(fields.roomId))) {
+          const roomError = checkMockRoomBookable(fields.roomId);
+          if (roomError) {
+            reject(roomError);
+            return;
+          }
+        }
+        const planned = targets.map(target => {
+          const start = new Date(new Date(target.startTime).getTime() + shift);
+          const end = new Date(start.getTime() + duration);
+          const roomId = fields.roomId || bookingRoomId(target);
+          const conflicts = findMockConflicts(roomId, start, end, targetIds);
+          const blocks = findMockRoomBlocks(roomId, start, end);
+          const status = conflicts.length > 0 || blocks.length > 0 ? 'conflict' : 'available';
+          return { id: target.id, roomId, startTime: start, endTime: end, status, conflicts, blocks };
+        });
+
+        if (planned.some(o => o.status === 'conflict')) {
+          reject(mockConflictError('The change conflicts with existing bookings', { occurrences: planned }));
+          return;
+        }
+        for (const [index, occurrence] of planned.entries()) {
+          const policyError = checkMockBookingPolicy(occurrence, targets[index]);
+          if (policyError) {
+            reject(policyError);
+            return;
+          }
+        }
+
+        const series = mockData.bookingSeries.find(s => s.id === booking.seriesId);
+        if (scope === 'following' && series && booking.seriesIndex > 0) {
+          const newSeriesId = Math.max(...mockData.bookingSeries.map(s => s.id)) + 1;
+          mockData.bookingSeries.push({ ...series, ...fields, id: newSeriesId, rrule: remainingRRule(series.rrule, booking.seriesIndex) });
+          series.rrule = truncateRRule(series.rrule, booking.startTime);
+          targets.forEach(t => {
+            t.seriesId = newSeriesId;
+            t.seriesIndex -= booking.seriesIndex;
+          });
+        } else if (scope === 'series' && series) {
+          Object.assign(series, fields);
+        }
+
+        planned.forEach(occurrence => {
+          const index = mockData.bookings.findIndex(b => b.id === occurrence.id);
+          const next = {
+            ...mockData.bookings[index],
+            ...fields,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            timeIn: occurrence.startTime,
+            timeOut: occurrence.endTime,
+            updatedAt: new Date()
+          };
+          mockData.bookings[index] = { ...next, ...priceMockBooking(next) };
+        });
+
+        resolve({ data: mockData.bookings.filter(b => targetIds.includes(b.id)) });
+      }, 1000);
+    });
+  },
+
+  confirmHold: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        if (!['held', 'pending'].includes(booking.status)) {
+          const error = new Error('Only held or pending bookings can be confirmed');
+          error.response = { status: 400, data: { error: error.message } };
+          reject(error);
+          return;
+        }
+
+        const conflictError = getMockConflictError(getBookingRoomIds(booking), booking.startTime, booking.endTime, [booking.id]);
+        if (conflictError) {
+          reject(conflictError);
+          return;
+        }
+
+        recordMockStatusChange(booking, 'confirmed');
+        booking.status = 'confirmed';
+        booking.holdExpiresAt = null;
+        booking.updatedAt = new Date();
+        resolve({ data: { booking } });
+      }, 500);
+    });
+  },
+
+  cancelBooking: (id, scope = 'this', { waiverReason } = {}) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+
+        if (scope === 'this' && !canTransition(booking.status, 'cancelled')) {
+          reject(mockTransitionError(booking.status, 'cancelled'));
+          return;
+        }
+
+        // Occurrences already checked in or finished are left as they are
+        const targets = getMockScopedOccurrences(booking, scope).filter(t => canTransition(t.status, 'cancelled'));
+        const freed = targets.filter(t => !RELEASED_STATUSES.includes(t.status)).map(t => ({ ...t }));
+        const fees = [];
+        targets.forEach(t => {
+          recordMockStatusChange(t, 'cancelled');
+          const fee = applyMockCancellationFees(t, 'cancelled', { waiverReason: waiverReason?.trim() || null });
+          if (fee) fees.push(fee);
+          t.status = 'cancelled';
+          t.holdExpiresAt = null;
+          t.updatedAt = new Date();
+        });
+
+        const series = mockData.bookingSeries.find(s => s.id === booking.seriesId);
+        if (series && scope !== 'this') {
+          if (scope === 'following' && booking.seriesIndex > 0) {
+            series.rrule = truncateRRule(series.rrule, booking.startTime);
+          } else {
+            series.status = 'cancelled';
+          }
+        }
+
+        resolve({ data: { cancelled: targets.map(t => t.id), fees, waitlist: evaluateMockFreedSlots(freed) } });
+      }, 1000);
+    });
+  },
+
+  // Move a booking along its lifecycle (check in, start, complete, no-show, reinstate...)
+  setBookingStatus: (id, status) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        if (!canTransition(booking.status, status)) {
+          reject(mockTransitionError(booking.status, status));
+          return;
+        }
+
+        const previous = { ...booking };
+        if (RELEASED_STATUSES.includes(previous.status) && !RELEASED_STATUSES.includes(status)) {
+          const conflictError = getMockConflictError(getBookingRoomIds(booking), booking.startTime, booking.endTime, [booking.id]);
+          if (conflictError) {
+            reject(conflictError);
+            return;
+          }
+        }
+
+        recordMockStatusChange(booking, status);
+        applyMockCancellationFees(booking, status);
+        booking.status = status;
+        booking.holdExpiresAt = null;
+        booking.updatedAt = new Date();
+
+        const freedSlot = !RELEASED_STATUSES.includes(previous.status) && RELEASED_STATUSES.includes(status);
+        resolve({ data: { booking, waitlist: freedSlot ? evaluateMockFreedSlots([previous]) : [] } });
+      }, 500);
+    });
+  },
+
+  getCancellationFee: (id, { scope = 'this', kind = 'cancelled' } = {}) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        const bookings = getMockScopedOccurrences(booking, scope)
+          .filter(t => canTransition(t.status, kind) && t.status !== 'held')
+          .map(t => previewMockCancellationFee(t, kind));
+        const sum = (key) => Math.round(bookings.reduce((total, preview) => total + preview[key], 0) * 100) / 100;
+        resolve({
+          data: { bookings, totalFee: sum('fee'), totalBalanceDue: sum('balanceDue'), totalRefundDue: sum('refundDue') }
+        });
+      }, 300);
+    });
+  },
+
+  waiveCancellationFee: (id, reason) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === id || b._id === id);
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        if (!reason?.trim()) {
+          reject(mockBadRequestError('Give a reason for waiving the fee'));
+          return;
+        }
+        if (!RELEASED_STATUSES.includes(booking.status) || !(booking.cancellationFee > 0)) {
+          reject(mockBadRequestError('This booking has no cancellation fee to waive', 'NO_CANCELLATION_FEE'));
+          return;
+        }
+        if (booking.cancellationFeeWaivedAt) {
+          reject(mockBadRequestError('The cancellation fee has already been waived', 'FEE_ALREADY_WAIVED'));
+          return;
+        }
+        waiveMockCancellationFee(booking, reason.trim());
+        booking.updatedAt = new Date();
+        resolve({ data: { booking } });
+      }, 300);
+    });
+  },
+
+  getBookingHistory: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: mockData.bookingStatusChanges.filter(c => c.bookingId === id) });
+      }, 300);
+    });
+  },
+
+  // Custom booking and room fields mock; `entity` is 'booking' or 'room'
+  getCustomFields: (entity) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const fields = [...getMockCustomFieldSchema(entity)].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.id - b.id);
+        resolve({ data: fields });
+      }, 300);
+    });
+  },
+
+  createCustomField: (entity, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const schema = getMockCustomFieldSchema(entity);
+        if (schema.some(f => f.key === data.key)) {
+          reject(mockBadRequestError('A field with this key already exists', 'DUPLICATE_FIELD_KEY'));
+          return;
+        }
+        if (data.type === 'select' && !(data.options || []).length) {
+          reject(mockBadRequestError('Select fields need at least one option'));
+          return;
+        }
+        const newId = schema.length > 0 ? Math.max(...schema.map(f => f.id)) + 1 : 1;
+        const field = {
+          id: newId,
+          required: false,
+          visible: true,
+          min: null,
+          max: null,
+          options: [],
+          placeholder: null,
+          sortOrder: 0,
+          ...data
+        };
+        schema.push(field);
+        resolve({ data: field });
+      }, 300);
+    });
+  },
+
+  updateCustomField: (entity, id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const field = getMockCustomFieldSchema(entity).find(f => f.id === id);
+        if (!field) {
+          reject(new Error(`${entity === 'room' ? 'Room' : 'Booking'} field not found`));
+          return;
+        }
+        const updates = { ...data };
+        delete updates.key;
+        const next = { ...field, ...updates };
+        if (next.type === 'select' && !next.options.length) {
+          reject(mockBadRequestError('Select fields need at least one option'));
+          return;
+        }
+        Object.assign(field, updates);
+        resolve({ data: field });
+      }, 300);
+    });
+  },
+
+  deleteCustomField: (entity, id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const collection = MOCK_CUSTOM_FIELD_COLLECTIONS[entity];
+        mockData[collection] = mockData[collection].filter(f => f.id !== id);
+        resolve({ data: { message: `${entity === 'room' ? 'Room' : 'Booking'} field removed successfully` } });
+      }, 300);
+    });
+  },
+
+  // Waitlist mock
+  getPricingRules: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: sortPricingRules(mockData.pricingRules) });
+      }, 300);
+    });
+  },
+
+  createPricingRule: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const newId = mockData.pricingRules.length > 0 ? Math.max(...mockData.pricingRules.map(r => r.id)) + 1 : 1;
+        const rule = { daysOfWeek: [], priority: 0, active: true, ...data, id: newId };
+        mockData.pricingRules.push(rule);
+        resolve({ data: rule });
+      }, 300);
+    });
+  },
+
+  updatePricingRule: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const rule = mockData.pricingRules.find(r => r.id === id);
+        if (!rule) {
+          reject(new Error('Pricing rule not found'));
+          return;
+        }
+        Object.assign(rule, data);
+        resolve({ data: rule });
+      }, 300);
+    });
+  },
+
+  deletePricingRule: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.pricingRules = mockData.pricingRules.filter(r => r.id !== id);
+        resolve({ data: { message: 'Pricing rule deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  getPriceQuote: (params) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        // An existing booking keeps the promos redeemed on it
+        const promoResult = params.bookingId
+          ? { promos: mockData.promoRedemptions.filter(redemption => redemption.bookingId === Number(params.bookingId)) }
+          : resolveMockPromoCodes(params.promoCodes, {
+            roomId: params.roomGroupId ? getMockRoomGroup(params.roomGroupId)?.roomIds[0] : params.roomId,
+            startTime: params.startTime,
+            endTime: params.endTime,
+            email: params.customerEmail,
+            phone: params.customerPhone
+          });
+        if (promoResult.error) {
+          reject(promoResult.error);
+          return;
+        }
+        resolve({
+          data: getMockPriceQuote({
+            roomId: params.roomId,
+            roomGroupId: params.roomGroupId,
+            startTime: params.startTime,
+            endTime: params.endTime,
+            adjustments: {
+              basePrice: toAmount(params.basePrice),
+              additionalFees: toAmount(params.additionalFees) || 0,
+              discount: toAmount(params.discount) || 0,
+              promos: promoResult.promos
+            }
+          })
+        });
+      }, 200);
+    });
+  },
+
+  getPromoCodes: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const promos = [...mockData.promoCodes]
+          .sort((a, b) => a.code.localeCompare(b.code))
+          .map(promo => ({ ...promo, redemptionCount: countMockRedemptions(promo.id) }));
+        resolve({ data: promos });
+      }, 300);
+    });
+  },
+
+  getPromoRedemptions: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const redemptions = mockData.promoRedemptions
+          .filter(redemption => redemption.promoCodeId === id)
+          .map(redemption => {
+            const booking = mockData.bookings.find(b => b.id === redemption.bookingId);
+            return {
+              ...redemption,
+              customerName: booking?.customerName,
+              startTime: booking?.startTime,
+              status: booking?.status,
+              confirmationCode: booking?.confirmationCode
+            };
+          })
+          .reverse();
+        resolve({ data: redemptions });
+      }, 300);
+    });
+  },
+
+  createPromoCode: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const code = normalizePromoCode(data.code);
+        if (mockData.promoCodes.some(p => p.code === code)) {
+          reject(mockBadRequestError(`Promo code ${code} already exists`));
+          return;
+        }
+        const newId = mockData.promoCodes.length > 0 ? Math.max(...mockData.promoCodes.map(p => p.id)) + 1 : 1;
+        const promo = { roomIds: [], daysOfWeek: [], stackable: false, active: true, ...data, code, id: newId };
+        mockData.promoCodes.push(promo);
+        resolve({ data: { ...promo, redemptionCount: 0 } });
+      }, 300);
+    });
+  },
+
+  updatePromoCode: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const promo = mockData.promoCodes.find(p => p.id === id);
+        if (!promo) {
+          reject(new Error('Promo code not found'));
+          return;
+        }
+        Object.assign(promo, data, data.code ? { code: normalizePromoCode(data.code) } : {});
+        resolve({ data: { ...promo, redemptionCount: countMockRedemptions(promo.id) } });
+      }, 300);
+    });
+  },
+
+  deletePromoCode: (id) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (mockData.promoRedemptions.some(redemption => redemption.promoCodeId === id)) {
+          reject(mockBadRequestError('This code has been redeemed, so it can only be deactivated'));
+          return;
+        }
+        mockData.promoCodes = mockData.promoCodes.filter(p => p.id !== id);
+        resolve({ data: { message: 'Promo code deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  getCancellationPolicies: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const policies = [...mockData.cancellationPolicies]
+          .sort((a, b) => Boolean(a.roomCategory) - Boolean(b.roomCategory) || (a.roomCategory || '').localeCompare(b.roomCategory || '') || a.id - b.id);
+        resolve({ data: policies });
+      }, 300);
+    });
+  },
+
+  createCancellationPolicy: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const policy = { tiers: [], noShowFeePercent: 0, active: true, ...data, roomCategory: data.roomCategory || null };
+        const conflict = policy.active && mockData.cancellationPolicies.find(p => p.active && p.roomCategory === policy.roomCategory);
+        if (conflict) {
+          reject(mockBadRequestError(`${conflict.name} already applies to ${policy.roomCategory || 'rooms without their own policy'}; deactivate it first`));
+          return;
+        }
+        policy.id = mockData.cancellationPolicies.length > 0 ? Math.max(...mockData.cancellationPolicies.map(p => p.id)) + 1 : 1;
+        policy.tiers = [...policy.tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+        mockData.cancellationPolicies.push(policy);
+        resolve({ data: policy });
+      }, 300);
+    });
+  },
+
+  updateCancellationPolicy: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const policy = mockData.cancellationPolicies.find(p => p.id === id);
+        if (!policy) {
+          reject(new Error('Cancellation policy not found'));
+          return;
+        }
+        const next = { ...policy, ...data };
+        if ('roomCategory' in data) next.roomCategory = data.roomCategory || null;
+        const conflict = next.active && mockData.cancellationPolicies.find(p => p.id !== id && p.active && p.roomCategory === next.roomCategory);
+        if (conflict) {
+          reject(mockBadRequestError(`${conflict.name} already applies to ${next.roomCategory || 'rooms without their own policy'}; deactivate it first`));
+          return;
+        }
+        next.tiers = [...next.tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+        Object.assign(policy, next);
+        resolve({ data: policy });
+      }, 300);
+    });
+  },
+
+  deleteCancellationPolicy: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.cancellationPolicies = mockData.cancellationPolicies.filter(p => p.id !== id);
+        resolve({ data: { message: 'Cancellation policy deleted successfully' } });
+      }, 300);
+    });
+  },
+
+  getInvoices: (bookingId) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const documents = mockData.invoices
+          .filter(document => document.bookingId === parseInt(bookingId))
+          .sort((a, b) => b.id - a.id);
+        resolve({ data: documents });
+      }, 200);
+    });
+  },
+
+  issueInvoice: ({ bookingId, documentType, business }) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const booking = mockData.bookings.find(b => b.id === parseInt(bookingId));
+        if (!booking) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        const room = mockData.rooms.find(r => r.id === parseInt(bookingRoomId(booking) || booking.room));
+        const content = buildDocumentContent(
+          { ...booking, roomName: room?.name },
+          getMockPaymentLedger(booking.id),
+          business || {},
+          MOCK_PAYMENT_PROVIDERS
+        );
+        if (documentType === 'receipt' && !(content.paid > 0)) {
+          reject(mockBadRequestError('Nothing has been paid on this booking yet, so there is no receipt to issue', 'NOTHING_PAID'));
+          return;
+        }
+        if (documentType === 'invoice' && content.totalDue === 0 && content.payments.length === 0) {
+          reject(mockBadRequestError('This booking has nothing to invoice', 'NOTHING_TO_INVOICE'));
+          return;
+        }
+
+        // Unchanged since the last one issued: hand that back rather than use up a number
+        const sameType = mockData.invoices.filter(document => document.documentType === documentType);
+        const latest = sameType
+          .filter(document => document.bookingId === booking.id)
+          .sort((a, b) => b.sequence - a.sequence)[0];
+        if (latest && Object.keys(content).every(key => JSON.stringify(latest[key]) === JSON.stringify(content[key]))) {
+          resolve({ data: latest });
+          return;
+        }
+
+        const sequence = sameType.reduce((last, document) => Math.max(last, document.sequence), 0) + 1;
+        const document = {
+          ...content,
+          id: mockData.invoices.length > 0 ? Math.max(...mockData.invoices.map(d => d.id)) + 1 : 1,
+          bookingId: booking.id,
+          documentType,
+          sequence,
+          number: formatDocumentNumber(documentType, sequence),
+          total: documentType === 'receipt' ? content.paid : content.totalDue,
+          createdAt: new Date().toISOString()
+        };
+        mockData.invoices.push(document);
+        resolve({ data: document });
+      }, 300);
+    });
+  },
+
+  downloadInvoice: (id, format) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const document = mockData.invoices.find(d => d.id === parseInt(id));
+        if (!document) {
+          reject(new Error('Document not found'));
+          return;
+        }
+        if (format !== 'html') {
+          reject(mockBadRequestError('PDFs are generated by the server; download the HTML copy in demo mode'));
+          return;
+        }
+        resolve({
+          data: new Blob([renderDocumentHtml(document)], { type: 'text/html' }),
+          filename: `${document.number}.html`
+        });
+      }, 300);
+    });
+  },
+
+  getPricingSettings: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: { taxRate: mockData.settings.taxRate || 0 } });
+      }, 300);
+    });
+  },
+
+  updatePricingSettings: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.settings = { ...mockData.settings, taxRate: data.taxRate };
+        resolve({ data: { taxRate: mockData.settings.taxRate } });
+      }, 300);
+    });
+  },
+
+  getDepositSettings: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: mockData.settings.categoryDeposits || {} });
+      }, 300);
+    });
+  },
+
+  updateDepositSettings: (deposits) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.settings = { ...mockData.settings, categoryDeposits: deposits || {} };
+        resolve({ data: mockData.settings.categoryDeposits });
+      }, 300);
+    });
+  },
+
+  getPaymentProviders: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: MOCK_PAYMENT_PROVIDERS });
+      }, 200);
+    });
+  },
+
+  getPaymentLedger: (bookingId) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const ledger = getMockPaymentLedger(parseInt(bookingId));
+        if (!ledger) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+        resolve({ data: ledger });
+      }, 200);
+    });
+  },
+
+  recordPayment: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const bookingId = parseInt(data.bookingId);
+        const ledger = getMockPaymentLedger(bookingId);
+        if (!ledger) {
+          reject(new Error('Booking not found'));
+          return;
+        }
+
+        const amount = Math.round((parseFloat(data.amount) || 0) * 100) / 100;
+        if (data.entryType === 'adjustment' ? amount === 0 : amount <= 0) {
+          reject(mockBadRequestError('Enter an amount greater than zero'));
+          return;
+        }
+        if ((data.entryType === 'charge' || data.entryType === 'adjustment') && !data.note?.trim()) {
+          reject(mockBadRequestError(`A ${data.entryType} needs a note saying what it is for`));
+          return;
+        }
+
+        const entry = {
+          id: mockData.payments.length > 0 ? Math.max(...mockData.payments.map(p => p.id)) + 1 : 1,
+          bookingId,
+          entryType: data.entryType,
+          amount,
+          provider: null,
+          status: 'succeeded',
+          reference: null,
+          cardLast4: null,
+          refundedPaymentId: null,
+          note: data.note?.trim() || null,
+          failureReason: null,
+          createdAt: new Date()
+        };
+
+        if (data.entryType === 'payment') {
+          const provider = MOCK_PAYMENT_PROVIDERS.find(p => p.id === data.provider);
+          if (!provider) {
+            reject(mockBadRequestError('Choose how the payment was taken', 'PROVIDER_REQUIRED'));
+            return;
+          }
+          if (amount > ledger.summary.balanceDue) {
+            reject(mockBadRequestError(`Payment is more than the balance due of ${ledger.summary.balanceDue.toFixed(2)}`, 'AMOUNT_TOO_HIGH'));
+            return;
+          }
+          const cardNumber = String(data.cardNumber || '').replace(/\D/g, '');
+          const failure = provider.requiresCard ? getFakeCardFailure(cardNumber) : null;
+          Object.assign(entry, {
+            provider: provider.id,
+            status: failure ? 'failed' : 'succeeded',
+            reference: failure ? null : data.reference || `mock_${entry.id}`,
+            cardLast4: provider.requiresCard ? cardNumber.slice(-4) || null : null,
+            failureReason: failure
+          });
+        } else if (data.entryType === 'refund') {
+          const payment = ledger.entries.find(e => e.id === data.paymentId && e.entryType === 'payment' && e.status === 'succeeded');
+          if (!payment) {
+            reject(mockBadRequestError('Choose a payment on this booking to refund', 'PAYMENT_NOT_FOUND'));
+            return;
+          }
+          const refundable = getRefundableAmount(payment, ledger.entries);
+          if (amount > refundable) {
+            reject(mockBadRequestError(`At most ${refundable.toFixed(2)} of this payment can be refunded`, 'AMOUNT_TOO_HIGH'));
+            return;
+          }
+          Object.assign(entry, {
+            provider: payment.provider,
+            reference: `mock_${entry.id}`,
+            cardLast4: payment.cardLast4,
+            refundedPaymentId: payment.id
+          });
+        }
+
+        mockData.payments.push(entry);
+        const updated = getMockPaymentLedger(bookingId);
+        if (entry.status === 'failed') {
+          const error = mockBadRequestError(entry.failureReason, 'PAYMENT_FAILED');
+          error.response.data.data = { entry, ...updated };
+          reject(error);
+          return;
+        }
+        resolve({ data: { entry, ...updated } });
+      }, 400);
+    });
+  },
+
+  getWaitlist: (params = {}) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const status = params.status || 'waiting';
+        let entries = mockData.waitlist.filter(e => status === 'all' || e.status === status);
+        if (params.date) {
+          const day = moment(params.date).startOf('day');
+          entries = entries.filter(e => moment(e.windowStart).isBefore(day.clone().add(1, 'day')) && moment(e.windowEnd).isAfter(day));
+        }
+        resolve({ data: entries });
+      }, 300);
+    });
+  },
+
+  createWaitlistEntry: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const newId = mockData.waitlist.length > 0 ? Math.max(...mockData.waitlist.map(e => e.id)) + 1 : 1;
+        const entry = {
+          id: newId,
+          partySize: 1,
+          roomIds: [],
+          categories: [],
           ...data,
-          status: data.status || 'confirmed',
+          status: 'waiting',
+          bookingId: null,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+        mockData.waitlist.push(entry);
+        resolve({ data: entry });
+      }, 500);
+    });
+  },
+
+  updateWaitlistEntry: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const entry = mockData.waitlist.find(e => e.id === id);
+        if (!entry) {
+          reject(new Error('Waitlist entry not found'));
+          return;
+        }
+        Object.assign(entry, data, { updatedAt: new Date().toISOString() });
+        resolve({ data: entry });
+      }, 500);
+    });
+  },
+
+  deleteWaitlistEntry: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.waitlist = mockData.waitlist.filter(e => e.id !== id);
+        resolve({ data: { message: 'Waitlist entry removed successfully' } });
+      }, 300);
+    });
+  },
+
+  getWaitlistMatches: (slot) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: findMockWaitlistMatches(slot) });
+      }, 300);
+    });
+  },
+
+  convertWaitlistEntry: (id, placement) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const entry = mockData.waitlist.find(e => e.id === id);
+        if (!entry) {
+          reject(new Error('Waitlist entry not found'));
+          return;
+        }
+        if (entry.status !== 'waiting') {
+          const error = new Error('Waitlist entry is no longer waiting');
+          error.response = { status: 400, data: { error: error.message } };
+          reject(error);
+          return;
+        }
+
+        const roomError = checkMockRoomBookable(placement.roomId);
+        if (roomError) {
+          reject(roomError);
+          return;
+        }
+
+        const policyError = checkMockBookingPolicy(placement);
+        if (policyError) {
+          reject(policyError);
+          return;
+        }
+
+        const conflictError = getMockConflictError(placement.roomId, placement.startTime, placement.endTime);
+        if (conflictError) {
+          reject(conflictError);
+          return;
+        }
+
+        const newId = mockData.bookings.length > 0 ? Math.max(...mockData.bookings.map(b => b.id)) + 1 : 1;
+        const booking = {
+          _id: newId,
+          id: newId,
+          roomId: placement.roomId,
+          customerName: entry.customerName,
+          phone: entry.phone,
+          email: entry.email,
+          partySize: entry.partySize,
+          notes: entry.notes,
+          startTime: placement.startTime,
+          endTime: placement.endTime,
+          timeIn: placement.startTime,
+          timeOut: placement.endTime,
+          ...priceMockBooking({ roomId: placement.roomId, startTime: placement.startTime, endTime: placement.endTime }),
+          status: 'confirmed',
+          customerId: resolveMockCustomer(entry).customerId,
+          confirmationCode: createMockConfirmationCode(),
+          cancellationPolicy: getMockPolicySnapshot(placement.roomId),
           createdAt: new Date(),
           updatedAt: new Date()
         };
-        mockData.bookings.push(newBooking);
-        resolve({ data: { booking: newBooking } });
-      }, 1000);
+        mockData.bookings.push(booking);
+        recordMockStatusChange({ id: newId, status: null }, booking.status);
+        Object.assign(entry, { status: 'converted', bookingId: newId, updatedAt: new Date().toISOString() });
+        resolve({ data: { booking } });
+      }, 500);
     });
   },
 
-  updateBooking: (id, data) => {
+  // Availability mock
+  getAvailability: (params = {}) => {
     return new Promise((resolve) => {
       setTimeout(() => {
-        const index = mockData.bookings.findIndex(b => b.id === id || b._id === id);
-        if (index !== -1) {
-          const oldBooking = mockData.bookings[index];
-          mockData.bookings[index] = { ...mockData.bookings[index], ...data, updatedAt: new Date() };
-          resolve({ data: { booking: mockData.bookings[index] } });
-        } else {
-          throw new Error('Booking not found');
-        }
-      }, 1000);
+        const options = {
+          duration: params.duration || mockData.settings.bookingDuration,
+          interval: params.interval || 15,
+          minUseful: mockData.settings.bookingDuration
+        };
+        const days = getMockAvailabilityDays(params.startDate, params.endDate);
+        const getDays = (room) => days.map(({ date, windows }) => {
+          if (windows.length === 0) {
+            return { date, isClosed: true, openTime: null, closeTime: null, openingWindows: [], freeWindows: [], slots: [] };
+          }
+          const roomDays = windows.map(window => getMockRoomDay(room, window, options));
+          return {
+            date,
+            isClosed: false,
+            openTime: windows[0].open.toISOString(),
+            closeTime: windows[windows.length - 1].close.toISOString(),
+            openingWindows: windows.map(window => ({ startTime: window.open.toISOString(), endTime: window.close.toISOString() })),
+            freeWindows: roomDays.flatMap(roomDay => roomDay.freeWindows),
+            slots: roomDays.flatMap(roomDay => roomDay.slots).map(({ startTime, endTime }) => ({ startTime, endTime }))
+          };
+        });
+        const rooms = getMockAvailabilityRooms(params);
+        resolve({
+          data: {
+            partySize: params.partySize || 1,
+            duration: options.duration,
+            rooms: rooms.map(room => ({
+              roomId: room.id,
+              name: room.name,
+              capacity: room.capacity,
+              category: room.category,
+              days: getDays(room)
+            })),
+            combinations: getMockAvailabilityCombinations(params, rooms).map(group => ({
+              roomGroupId: group.id,
+              roomIds: group.roomIds,
+              name: group.name,
+              capacity: group.capacity,
+              days: getDays(group)
+            }))
+          }
+        });
+      }, 300);
     });
   },
 
-  deleteBooking: (id) => {
+  findBestRooms: (params = {}) => {
     return new Promise((resolve) => {
       setTimeout(() => {
-        const index = mockData.bookings.findIndex(b => b.id === id || b._id === id);
-        if (index !== -1) {
-          mockData.bookings.splice(index, 1);
-          resolve({ data: { message: 'Booking deleted successfully' } });
-        } else {
-          throw new Error('Booking not found');
-        }
-      }, 1000);
+        const partySize = params.partySize || 1;
+        const options = {
+          duration: params.duration || mockData.settings.bookingDuration,
+          interval: params.interval || 15,
+          minUseful: mockData.settings.bookingDuration,
+          startTime: params.startTime
+        };
+        const days = getMockAvailabilityDays(params.startTime || params.startDate, params.startTime ? null : params.endDate);
+
+        const candidates = [];
+        const rooms = getMockAvailabilityRooms({ ...params, partySize });
+        const combinations = getMockAvailabilityCombinations({ ...params, partySize }, rooms);
+        [...rooms, ...combinations].forEach(room => {
+          const slots = days
+            .flatMap(d => d.windows)
+            .flatMap(window => getMockRoomDay(room, window, options).slots)
+            .sort((a, b) => a.fragmentation - b.fragmentation || new Date(a.startTime) - new Date(b.startTime));
+          if (slots.length === 0) return;
+          // Combined rooms carry their group and member rooms instead of a room id
+          const placement = room.roomIds
+            ? { roomId: null, roomGroupId: room.id, roomIds: room.roomIds, category: null }
+            : { roomId: room.id, roomGroupId: null, roomIds: [room.id], category: room.category };
+          candidates.push({
+            ...placement,
+            name: room.name,
+            capacity: room.capacity,
+            startTime: slots[0].startTime,
+            endTime: slots[0].endTime,
+            spareCapacity: room.capacity - partySize,
+            fragmentationMinutes: slots[0].fragmentation
+          });
+        });
+
+        candidates.sort((a, b) =>
+          a.spareCapacity - b.spareCapacity ||
+          a.fragmentationMinutes - b.fragmentationMinutes ||
+          new Date(a.startTime) - new Date(b.startTime)
+        );
+
+        resolve({
+          data: {
+            partySize,
+            duration: options.duration,
+            rooms: candidates.map((candidate, index) => ({ rank: index + 1, ...candidate }))
+          }
+        });
+      }, 300);
     });
   },
 
@@ -444,7 +3165,7 @@ export const mockAPI = {
         resolve({ 
           data: { 
             success: true, 
-            businessHours: mockData.businessHours 
+            businessHours: mockData.businessHours.map(normalizeDayHours)
           } 
         });
       }, 500);
@@ -452,10 +3173,16 @@ export const mockAPI = {
   },
 
   updateBusinessHours: (data) => {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       setTimeout(() => {
         // Update the business hours array with the new data
-        mockData.businessHours = data.businessHours || mockData.businessHours;
+        const hours = (data.businessHours || mockData.businessHours).map(normalizeDayHours);
+        const invalid = hours.find(bh => !bh.isClosed && getIntervalsError(bh.intervals));
+        if (invalid) {
+          reject(mockBadRequestError(`${moment().day(invalid.weekday).format('dddd')}: ${getIntervalsError(invalid.intervals)}`, 'INVALID_OPENING_INTERVALS'));
+          return;
+        }
+        mockData.businessHours = hours;
         resolve({ 
           data: { 
             success: true, 
@@ -466,6 +3193,61 @@ export const mockAPI = {
     });
   },
 
+  getHoursExceptions: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        const exceptions = [...mockData.hoursExceptions].sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+        resolve({ data: exceptions });
+      }, 200);
+    });
+  },
+
+  createHoursException: (data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const exception = { kind: 'holiday', isClosed: true, openTime: null, closeTime: null, intervals: [], recursAnnually: false, ...data };
+        const error = checkMockHoursException(exception);
+        if (error) {
+          reject(error);
+          return;
+        }
+        exception.id = mockData.hoursExceptions.length > 0 ? Math.max(...mockData.hoursExceptions.map(e => e.id)) + 1 : 1;
+        const saved = toMockHoursException(exception);
+        mockData.hoursExceptions.push(saved);
+        resolve({ data: saved });
+      }, 300);
+    });
+  },
+
+  updateHoursException: (id, data) => {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const index = mockData.hoursExceptions.findIndex(e => e.id === id);
+        if (index === -1) {
+          reject(new Error('Business hours exception not found'));
+          return;
+        }
+        const next = toMockHoursException({ ...mockData.hoursExceptions[index], ...data, id });
+        const error = checkMockHoursException(next);
+        if (error) {
+          reject(error);
+          return;
+        }
+        mockData.hoursExceptions[index] = next;
+        resolve({ data: next });
+      }, 300);
+    });
+  },
+
+  deleteHoursException: (id) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.hoursExceptions = mockData.hoursExceptions.filter(e => e.id !== id);
+        resolve({ data: { message: 'Business hours exception deleted successfully' } });
+      }, 300);
+    });
+  },
+
   // Settings mock
   getSettings: () => {
     return new Promise((resolve) => {
@@ -484,6 +3266,62 @@ export const mockAPI = {
     });
   },
 
+  getBufferSettings: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: getMockBufferSettings() });
+      }, 300);
+    });
+  },
+
+  updateBufferSettings: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.settings = {
+          ...mockData.settings,
+          bufferBeforeMinutes: data.before,
+          bufferAfterMinutes: data.after,
+          categoryBuffers: data.categories
+        };
+        resolve({ data: getMockBufferSettings() });
+      }, 500);
+    });
+  },
+
+  getBookingPolicySettings: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: mockData.settings.bookingPolicy });
+      }, 300);
+    });
+  },
+
+  updateBookingPolicySettings: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.settings = { ...mockData.settings, bookingPolicy: { ...mockData.settings.bookingPolicy, ...data } };
+        resolve({ data: mockData.settings.bookingPolicy });
+      }, 300);
+    });
+  },
+
+  getLifecycleSettings: () => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        resolve({ data: { noShowAfterMinutes: mockData.settings.noShowAfterMinutes ?? 15 } });
+      }, 300);
+    });
+  },
+
+  updateLifecycleSettings: (data) => {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        mockData.settings = { ...mockData.settings, noShowAfterMinutes: data.noShowAfterMinutes };
+        resolve({ data: { noShowAfterMinutes: mockData.settings.noShowAfterMinutes } });
+      }, 500);
+    });
+  },
+
   // Health check mock
   healthCheck: () => {
     return new Promise((resolve) => {
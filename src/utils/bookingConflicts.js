@@ -0,0 +1,18 @@
+import moment from 'moment';
+
+// Toast text for a 409 TIME_SLOT_CONFLICT response naming the blocking bookings,
+// or null when the error is something else
+export const getConflictMessage = (error) => {
+  const data = error?.response?.data;
+  if (data?.code !== 'TIME_SLOT_CONFLICT') return null;
+
+  const conflicts = data.data?.conflicts || [];
+  if (conflicts.length === 0) {
+    return data.error || 'This time slot is already booked. Please choose a different time.';
+  }
+
+  const blockers = conflicts
+    .map(c => `${c.customerName || 'Reservation'} (${moment(c.startTime).format('h:mm A')}–${moment(c.endTime).format('h:mm A')})`)
+    .join(', ');
+  return `This time slot is already booked: ${blockers}`;
+};
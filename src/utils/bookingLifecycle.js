@@ -0,0 +1,56 @@
+// Booking lifecycle, kept in step with backend/utils/bookingLifecycle.js
+
+export const STATUS_LABELS = {
+  held: 'Held',
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  checked_in: 'Checked In',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  no_show: 'No Show',
+  cancelled: 'Cancelled'
+};
+
+// Allowed next statuses. Cancelled and no-show bookings can be reinstated as
+// confirmed, and a no-show can still be checked in when the party turns up late.
+export const STATUS_TRANSITIONS = {
+  held: ['pending', 'confirmed', 'cancelled'],
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['pending', 'checked_in', 'no_show', 'cancelled'],
+  checked_in: ['in_progress', 'completed'],
+  in_progress: ['completed'],
+  completed: [],
+  no_show: ['confirmed', 'checked_in', 'cancelled'],
+  cancelled: ['confirmed']
+};
+
+// Statuses whose booking no longer occupies its room
+export const RELEASED_STATUSES = ['cancelled', 'no_show'];
+
+// Statuses a new booking can start in
+const INITIAL_STATUSES = ['pending', 'confirmed', 'held'];
+
+// Front-desk buttons, in lifecycle order
+const FRONT_DESK_ACTIONS = [
+  { status: 'checked_in', label: 'Check In' },
+  { status: 'in_progress', label: 'Start' },
+  { status: 'completed', label: 'Complete' },
+  { status: 'no_show', label: 'No Show' }
+];
+
+export const getStatusLabel = (status) => STATUS_LABELS[status] || status;
+
+export const canTransition = (from, to) => (
+  from === to || (STATUS_TRANSITIONS[from] || []).includes(to)
+);
+
+export const BOOKING_STATUS_OPTIONS = Object.entries(STATUS_LABELS).map(([value, label]) => ({ value, label }));
+
+// Select options for a booking currently in `status` (or a new booking when empty)
+export const getStatusOptions = (status) => BOOKING_STATUS_OPTIONS.filter(({ value }) => (
+  status ? canTransition(status, value) : INITIAL_STATUSES.includes(value)
+));
+
+export const getFrontDeskActions = (status) => FRONT_DESK_ACTIONS.filter(action => (
+  (STATUS_TRANSITIONS[status] || []).includes(action.status)
+));
@@ -0,0 +1,88 @@
+import moment from 'moment';
+
+// Booking policy, kept in step with backend/utils/bookingPolicy.js. The server checks
+// it on every booking write; this copy lets the mock API do the same and maps the
+// server's field errors onto the booking forms.
+
+export const DEFAULT_BOOKING_POLICY = {
+  minDuration: 60,
+  maxDuration: 480,
+  advanceDays: 30,
+  leadMinutes: 0,
+  timeInterval: 15
+};
+
+const describeMinutes = (minutes) => {
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+// Whether `time` sits on the `interval`-minute grid counted from midnight
+const isAligned = (time, interval) => (
+  !interval || (time.seconds() === 0 && time.milliseconds() === 0 && (time.hours() * 60 + time.minutes()) % interval === 0)
+);
+
+// Policy errors for placing a booking at [startTime, endTime), shaped like the
+// server's. `findWindow(start)` gives the opening window the start falls in, or null;
+// `findException(start)` the date exception for its day, if any. With `previous` only
+// what changed is checked.
+export const checkBookingPolicy = ({ startTime, endTime }, policy, findWindow, { previous = null, now = moment(), findException = () => null } = {}) => {
+  const errors = [];
+  const fieldError = (path, value, msg, code) => errors.push({ type: 'field', value, msg, path, location: 'body', code });
+
+  const start = moment(startTime);
+  const end = moment(endTime);
+  const startChanged = !previous || !start.isSame(moment(previous.startTime));
+  const endChanged = !previous || !end.isSame(moment(previous.endTime));
+  const duration = end.diff(start, 'minutes');
+
+  if (startChanged || endChanged) {
+    if (policy.minDuration && duration < policy.minDuration) {
+      fieldError('end_time', endTime, `Bookings must be at least ${describeMinutes(policy.minDuration)} long`, 'DURATION_TOO_SHORT');
+    } else if (policy.maxDuration && duration > policy.maxDuration) {
+      fieldError('end_time', endTime, `Bookings can be at most ${describeMinutes(policy.maxDuration)} long`, 'DURATION_TOO_LONG');
+    }
+  }
+
+  if (startChanged) {
+    if (start.isBefore(now)) {
+      fieldError('start_time', startTime, 'Bookings cannot start in the past', 'START_IN_PAST');
+    } else if (start.isBefore(now.clone().add(policy.leadMinutes, 'minutes'))) {
+      fieldError('start_time', startTime, `Bookings must start at least ${describeMinutes(policy.leadMinutes)} from now`, 'LEAD_TIME');
+    }
+    if (policy.advanceDays && start.isAfter(now.clone().add(policy.advanceDays, 'days'))) {
+      fieldError('start_time', startTime, `Bookings can be made at most ${policy.advanceDays} days ahead`, 'BEYOND_ADVANCE_WINDOW');
+    }
+    if (!isAligned(start, policy.timeInterval)) {
+      fieldError('start_time', startTime, `Start time must be on a ${policy.timeInterval}-minute mark`, 'NOT_ALIGNED');
+    }
+  }
+  if (endChanged && !isAligned(end, policy.timeInterval)) {
+    fieldError('end_time', endTime, `End time must be on a ${policy.timeInterval}-minute mark`, 'NOT_ALIGNED');
+  }
+
+  if (startChanged || endChanged) {
+    const window = findWindow(start);
+    if (!window) {
+      const exception = findException(start);
+      const message = exception?.isClosed ? `Closed on ${start.format('MMM D')} (${exception.name})` : 'Start time is outside business hours';
+      fieldError('start_time', startTime, message, 'OUTSIDE_BUSINESS_HOURS');
+    } else if (end.isAfter(window.close)) {
+      fieldError('end_time', endTime, `Bookings must end by closing time (${window.close.format('h:mm A')})`, 'OUTSIDE_BUSINESS_HOURS');
+    }
+  }
+
+  return errors;
+};
+
+// A rejected booking write's policy errors by form field ({ startTime, endTime }),
+// first message per field
+export const getBookingPolicyErrors = (error) => {
+  const errors = {};
+  if (error?.response?.data?.code !== 'BOOKING_POLICY_VIOLATION') return errors;
+  (error.response.data.errors || []).forEach(({ path, msg }) => {
+    const field = path === 'start_time' ? 'startTime' : 'endTime';
+    if (!errors[field]) errors[field] = msg;
+  });
+  return errors;
+};
@@ -0,0 +1,23 @@
+// Turnover buffers (cleaning/setup minutes) around bookings, mirroring backend/utils/buffers.js:
+// a room's own override wins over its category's entry, which wins over the global setting.
+
+export const DEFAULT_BUFFER_SETTINGS = { before: 0, after: 0, categories: {} };
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+export const resolveRoomBuffers = (room, bufferSettings = DEFAULT_BUFFER_SETTINGS) => {
+  const category = bufferSettings.categories?.[room?.category] || {};
+  const pick = (roomValue, categoryValue, globalValue) => {
+    if (isSet(roomValue)) return Number(roomValue) || 0;
+    if (isSet(categoryValue)) return Number(categoryValue) || 0;
+    return Number(globalValue) || 0;
+  };
+
+  return {
+    before: pick(room?.bufferBeforeMinutes, category.before, bufferSettings.before),
+    after: pick(room?.bufferAfterMinutes, category.after, bufferSettings.after),
+  };
+};
+
+// Minimum gap between two bookings in a room: the earlier one's cleanup plus the later one's setup
+export const turnoverGap = (buffers) => buffers.before + buffers.after;
@@ -0,0 +1,93 @@
+import moment from 'moment';
+
+// Date exceptions to the weekly business hours, kept in step with
+// backend/utils/businessHours.js
+
+export const EXCEPTION_KINDS = ['holiday', 'event', 'other'];
+
+export const EXCEPTION_KIND_LABELS = {
+  holiday: 'Holiday',
+  event: 'Special event',
+  other: 'Other'
+};
+
+// The exception that applies on `date`: one for that exact date, otherwise a recurring
+// one for its month and day. Recurring exceptions apply from the year they were set for.
+export const findHoursException = (date, exceptions = []) => {
+  const dateText = moment(date).format('YYYY-MM-DD');
+  return exceptions.find(e => e.date === dateText)
+    || exceptions.find(e => e.recursAnnually && e.date.slice(5) === dateText.slice(5) && e.date <= dateText)
+    || null;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A day's opening intervals ({ openTime, closeTime }) as minutes from the start of the
+// day, earliest first. A close at or before its open runs past midnight.
+export const getIntervalMinutes = (intervals) => intervals
+  .map(interval => {
+    const open = toMinutes(interval.openTime);
+    let close = toMinutes(interval.closeTime);
+    if (close <= open) close += 24 * 60;
+    return { open, close, interval };
+  })
+  .sort((a, b) => a.open - b.open);
+
+// Why a day's opening intervals can't be saved, or null. They may not overlap, and
+// only the last one as entered may run past midnight: an opening listed after one that
+// does (20:00-02:00, then 03:00-04:00) would otherwise be read as earlier that day.
+export const getIntervalsError = (intervals) => {
+  const minutes = getIntervalMinutes(intervals);
+  if (minutes.some((interval, index) => index > 0 && interval.open < minutes[index - 1].close)) {
+    return 'Opening times on the same day may not overlap';
+  }
+  if (intervals.slice(0, -1).some(interval => toMinutes(interval.closeTime) <= toMinutes(interval.openTime))) {
+    return 'Only the last opening on a day may run past midnight';
+  }
+  return null;
+};
+
+// A day's hours with `intervals` in order (older data only has openTime and closeTime)
+// and openTime/closeTime spanning them, from the first opening to the last close
+export const normalizeDayHours = (dayHours) => {
+  const intervals = dayHours.intervals && dayHours.intervals.length > 0
+    ? getIntervalMinutes(dayHours.intervals).map(({ interval }) => ({ openTime: interval.openTime, closeTime: interval.closeTime }))
+    : [{ openTime: dayHours.openTime, closeTime: dayHours.closeTime }];
+  return {
+    ...dayHours,
+    intervals,
+    openTime: intervals[0].openTime,
+    closeTime: intervals[intervals.length - 1].closeTime
+  };
+};
+
+// Opening windows ({ open, close } moments) for a date with `dayHours`, earliest first;
+// none when closed
+export const getOpeningWindows = (date, dayHours) => {
+  if (!dayHours || dayHours.isClosed) return [];
+  const day = moment(date).startOf('day');
+  return getIntervalMinutes(normalizeDayHours(dayHours).intervals).map(({ open, close }) => ({
+    open: day.clone().add(open, 'minutes'),
+    close: day.clone().add(close, 'minutes')
+  }));
+};
+
+// { weekday, openTime, closeTime, isClosed, intervals, exception } for a calendar date,
+// from its exception if it has one and the weekly hours (one entry per weekday) otherwise
+export const getHoursForDate = (date, weeklyHours, exceptions = []) => {
+  const weekday = moment(date).day();
+  const weekly = (weeklyHours || []).find(bh => bh.weekday === weekday) || null;
+  const exception = findHoursException(date, exceptions);
+  if (!exception) return weekly && { ...normalizeDayHours(weekly), exception: null };
+  if (exception.isClosed) {
+    return { ...(weekly ? normalizeDayHours(weekly) : { weekday }), isClosed: true, exception };
+  }
+  return {
+    ...normalizeDayHours({ weekday, openTime: exception.openTime, closeTime: exception.closeTime, intervals: exception.intervals }),
+    isClosed: false,
+    exception
+  };
+};
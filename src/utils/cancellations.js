@@ -0,0 +1,59 @@
+import moment from 'moment';
+import { roundCurrency } from './pricing.js';
+
+// Cancellation fees for the mock API and the settings preview. The server charges
+// fees for real bookings.
+
+// The active policy for rooms of `category`: the category's own, else the venue default
+export const getPolicyForCategory = (policies, category) => (
+  policies.find(policy => policy.active && category && policy.roomCategory === category) ||
+  policies.find(policy => policy.active && !policy.roomCategory) ||
+  null
+);
+
+// The part of a policy copied onto a booking
+export const snapshotPolicy = (policy) => policy && {
+  policyId: policy.id,
+  name: policy.name,
+  tiers: [...policy.tiers].sort((a, b) => b.hoursBefore - a.hoursBefore),
+  noShowFeePercent: policy.noShowFeePercent || 0
+};
+
+// Fee for cancelling `booking` at `at` (or marking it a no-show when `kind` is
+// 'no_show') under `policy`: the highest tier whose window the cancellation falls in
+export const getCancellationFee = (policy, booking, { kind = 'cancelled', at = moment() } = {}) => {
+  const hoursBefore = roundCurrency(moment(booking.startTime).diff(moment(at), 'hours', true));
+  let percent = 0;
+  let tier = null;
+
+  if (policy && kind === 'no_show') {
+    percent = policy.noShowFeePercent || 0;
+  } else if (policy) {
+    (policy.tiers || []).forEach(candidate => {
+      if (hoursBefore < candidate.hoursBefore && candidate.feePercent >= percent) {
+        percent = candidate.feePercent;
+        tier = candidate;
+      }
+    });
+  }
+
+  return {
+    policyName: policy?.name || null,
+    kind,
+    hoursBeforeStart: hoursBefore,
+    tier,
+    feePercent: percent,
+    fee: roundCurrency((booking.totalPrice || 0) * percent / 100)
+  };
+};
+
+// Ledger note for a charged fee
+export const describeCancellationFee = (fee) => {
+  const reason = fee.kind === 'no_show' ? 'no-show' : `cancelled ${Math.max(0, fee.hoursBeforeStart).toFixed(1)}h before start`;
+  return `${fee.kind === 'no_show' ? 'No-show' : 'Cancellation'} fee: ${fee.feePercent}% (${reason}${fee.policyName ? `, ${fee.policyName}` : ''})`;
+};
+
+// "Within 24h: 50%" lines describing a policy's tiers, widest window first
+export const describePolicyTiers = (tiers) => [...(tiers || [])]
+  .sort((a, b) => b.hoursBefore - a.hoursBefore)
+  .map(tier => `Within ${tier.hoursBefore}h: ${tier.feePercent}%`);
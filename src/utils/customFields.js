@@ -0,0 +1,110 @@
+import moment from 'moment';
+
+// Venue-defined booking and room fields. Mirrors backend/utils/customFields.js so the
+// mock API and the booking and room forms apply the same rules as the server.
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'select', label: 'Dropdown' },
+  { value: 'date', label: 'Date' },
+  { value: 'checkbox', label: 'Checkbox' }
+];
+
+export const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const normalizeValue = (field, value) => {
+  const { min, max } = field;
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (typeof value === 'boolean' || Number.isNaN(number)) return { error: `${field.label} must be a number` };
+      if (min != null && number < min) return { error: `${field.label} must be at least ${min}` };
+      if (max != null && number > max) return { error: `${field.label} must be at most ${max}` };
+      return { value: number };
+    }
+    case 'checkbox':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    case 'date':
+      if (typeof value !== 'string' || !moment(value, 'YYYY-MM-DD', true).isValid()) {
+        return { error: `${field.label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+    case 'select':
+      if (!field.options.includes(value)) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    default: {
+      const text = String(value).trim();
+      if (min != null && text.length < min) return { error: `${field.label} must be at least ${min} characters` };
+      if (max != null && text.length > max) return { error: `${field.label} must be at most ${max} characters` };
+      return { value: text };
+    }
+  }
+};
+
+// Values to store (blank ones dropped) and per-field error messages keyed by field key
+export const validateCustomFieldValues = (values = {}, schema = []) => {
+  const errors = {};
+  const normalized = {};
+  const known = new Set(schema.map(field => field.key));
+
+  Object.keys(values).forEach(key => {
+    if (!known.has(key)) errors[key] = `Unknown custom field "${key}"`;
+  });
+
+  schema.forEach(field => {
+    const value = values[field.key];
+    // An unticked required checkbox is a missing answer, not a false one
+    if (isBlank(value) || (field.type === 'checkbox' && field.required && (value === false || value === 'false'))) {
+      if (field.required) errors[field.key] = `${field.label} is required`;
+      return;
+    }
+    const result = normalizeValue(field, value);
+    if (result.error) {
+      errors[field.key] = result.error;
+    } else {
+      normalized[field.key] = result.value;
+    }
+  });
+
+  return { values: normalized, errors };
+};
+
+// Whether a booking's stored values match a filter of { key: value } from the bookings list
+export const matchesCustomFieldFilters = (values = {}, filters = {}, schema = []) => (
+  schema.every(field => {
+    const filter = filters[field.key];
+    if (isBlank(filter)) return true;
+    const value = values[field.key];
+    if (value === undefined || value === null) return false;
+    if (field.type === 'text') return String(value).toLowerCase().includes(String(filter).toLowerCase());
+    if (field.type === 'checkbox') return value === (filter === 'true');
+    if (field.type === 'number') return value === Number(filter);
+    return value === filter;
+  })
+);
+
+export const formatCustomFieldValue = (field, value) => {
+  if (isBlank(value)) return '—';
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (field.type === 'date') return moment(value, 'YYYY-MM-DD').format('MMM D, YYYY');
+  return String(value);
+};
+
+// Per-field messages from a 400 response, keyed by custom field key
+export const getCustomFieldErrors = (error) => {
+  const errors = {};
+  (error?.response?.data?.errors || []).forEach(({ path, msg }) => {
+    if (path?.startsWith('custom_fields.')) {
+      errors[path.slice('custom_fields.'.length)] = msg;
+    }
+  });
+  return errors;
+};
@@ -0,0 +1,50 @@
+// Preparing photos for upload in the browser: a copy scaled down for display and a
+// thumbnail, both as data: URLs. The server stores what it is sent, so resizing here
+// keeps uploads small.
+
+export const IMAGE_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif';
+
+// Longest side, in pixels, of the stored photo and of its thumbnail. The server rejects
+// larger thumbnails (THUMBNAIL_SIZE in backend/utils/roomPhotos.js).
+export const PHOTO_MAX_SIZE = 1920;
+export const THUMBNAIL_SIZE = 320;
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} is not an image that can be opened`));
+  };
+  image.src = url;
+});
+
+// `image` scaled to fit within maxSize x maxSize (never enlarged), as a JPEG data: URL
+const scaleImage = (image, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; show transparent areas as white
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
+
+// { image, thumbnail } data: URLs for uploading `file`
+export const readImageFile = async (file) => {
+  if (!IMAGE_ACCEPT.split(',').includes(file.type)) {
+    throw new Error(`${file.name} is not a JPEG, PNG, WebP or GIF image`);
+  }
+  const image = await loadImage(file);
+  return {
+    image: scaleImage(image, PHOTO_MAX_SIZE),
+    thumbnail: scaleImage(image, THUMBNAIL_SIZE)
+  };
+};
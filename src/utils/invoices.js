@@ -0,0 +1,200 @@
+import moment from 'moment';
+import { roundCurrency } from './pricing.js';
+import { PAYMENT_STATUS_LABELS } from './payments.js';
+
+// Invoices and receipts, kept in step with backend/utils/invoices.js and
+// invoiceRenderers.js. The server issues and renders documents for real bookings;
+// this copy builds and renders them for the mock API.
+
+export const DOCUMENT_TYPE_LABELS = { invoice: 'Invoice', receipt: 'Receipt' };
+
+const NUMBER_PREFIXES = { invoice: 'INV', receipt: 'RCT' };
+
+// Business details a document can show, as kept in BusinessInfoContext. Documents the
+// server issues can also carry the tax_id setting.
+export const BUSINESS_FIELDS = ['name', 'address', 'phone', 'email', 'website', 'tax_id'];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const DEDUCTION_TYPES = ['discount', 'promo'];
+
+export const formatDocumentNumber = (documentType, sequence) => (
+  `${NUMBER_PREFIXES[documentType]}-${String(sequence).padStart(6, '0')}`
+);
+
+// Signed amount in a document's currency, e.g. -$20.00 for a refund
+export const formatSignedCurrency = (amount, currency = DEFAULT_CURRENCY) => (
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0)
+);
+
+const describePriceLine = (line, currency) => {
+  if (line.type === 'base' && line.hourlyRate != null) {
+    return `${roundCurrency(line.minutes / 60)}h at ${formatSignedCurrency(line.hourlyRate, currency)}/h`;
+  }
+  if (line.minutes) return `${roundCurrency(line.minutes / 60)}h`;
+  return null;
+};
+
+const describeLedgerEntry = (entry, providers) => {
+  const provider = providers.find(p => p.id === entry.provider);
+  const parts = [provider ? provider.label : entry.provider];
+  if (entry.cardLast4) parts.push(`ending ${entry.cardLast4}`);
+  if (entry.reference) parts.push(entry.reference);
+  return parts.filter(Boolean).join(' · ');
+};
+
+const getItems = (booking, subtotal, currency) => {
+  if (!booking.priceLines || booking.priceLines.length === 0) {
+    return [{ label: 'Room booking', detail: null, amount: subtotal }];
+  }
+  return booking.priceLines.map(line => ({
+    label: line.label,
+    detail: describePriceLine(line, currency),
+    amount: DEDUCTION_TYPES.includes(line.type) ? -line.amount : line.amount
+  }));
+};
+
+// What a document for `booking` (with its roomName) says, from its price lines and
+// payment ledger ({ entries, summary }), with amounts in `currency`
+export const buildDocumentContent = (booking, ledger, business = {}, providers = [], currency = DEFAULT_CURRENCY) => {
+  const { summary } = ledger;
+  const succeeded = ledger.entries.filter(entry => entry.status === 'succeeded');
+  const owesBookingPrice = summary.bookingTotal > 0;
+  const subtotal = roundCurrency((booking.totalPrice || 0) - (booking.tax || 0));
+
+  return {
+    business: Object.fromEntries(BUSINESS_FIELDS.map(field => [field, business[field] || null])),
+    currency,
+    customer: {
+      name: booking.customerName,
+      email: booking.email || null,
+      phone: booking.phone || null
+    },
+    booking: {
+      id: booking.id,
+      confirmationCode: booking.confirmationCode,
+      roomName: booking.roomName,
+      startTime: moment(booking.startTime).toISOString(),
+      endTime: moment(booking.endTime).toISOString(),
+      status: booking.status,
+      partySize: booking.partySize ?? null
+    },
+    items: owesBookingPrice ? getItems(booking, subtotal, currency) : [],
+    subtotal: owesBookingPrice ? subtotal : 0,
+    taxRate: owesBookingPrice ? booking.taxRate || 0 : 0,
+    tax: owesBookingPrice ? booking.tax || 0 : 0,
+    bookingTotal: summary.bookingTotal,
+    charges: succeeded
+      .filter(entry => entry.entryType === 'charge' || entry.entryType === 'adjustment')
+      .map(entry => ({ date: moment(entry.createdAt).toISOString(), label: entry.note, amount: entry.amount })),
+    totalDue: summary.totalDue,
+    payments: succeeded
+      .filter(entry => entry.entryType === 'payment' || entry.entryType === 'refund')
+      .map(entry => ({
+        date: moment(entry.createdAt).toISOString(),
+        label: entry.entryType === 'refund' ? 'Refund' : 'Payment',
+        detail: describeLedgerEntry(entry, providers),
+        amount: entry.entryType === 'refund' ? -entry.amount : entry.amount
+      })),
+    paid: summary.netPaid,
+    balanceDue: summary.balanceDue,
+    paymentStatus: summary.status
+  };
+};
+
+// The label/amount rows under the line items, in order
+const getTotals = (document) => {
+  const rows = [];
+  if (document.items.length > 0) {
+    rows.push({ label: 'Subtotal', amount: document.subtotal });
+    if (document.taxRate > 0) rows.push({ label: `Tax (${document.taxRate}%)`, amount: document.tax });
+  }
+  rows.push({ label: 'Total', amount: document.totalDue, bold: true });
+  if (document.paid !== 0) rows.push({ label: 'Paid', amount: -document.paid });
+  if (document.balanceDue < 0) {
+    rows.push({ label: 'Refund due', amount: -document.balanceDue, bold: true });
+  } else {
+    rows.push({ label: 'Balance due', amount: document.balanceDue, bold: true });
+  }
+  return rows;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Printable HTML page for an issued document, laid out like the server's
+export const renderDocumentHtml = (document) => {
+  const { business, customer, booking } = document;
+  const typeLabel = DOCUMENT_TYPE_LABELS[document.documentType];
+  const lines = (values) => values.filter(Boolean).map(value => `<div>${escapeHtml(value)}</div>`).join('');
+  const table = (heading, entries, withDate) => (entries.length === 0 ? '' : `
+  <h2>${heading}</h2>
+  <table><tbody>${entries.map(entry => `
+    <tr>
+      ${withDate ? `<td>${escapeHtml(moment(entry.date).format('MMM D, YYYY'))}</td>` : ''}
+      <td>${escapeHtml(entry.label)}${entry.detail ? `<div class="muted">${escapeHtml(entry.detail)}</div>` : ''}</td>
+      <td class="amount">${escapeHtml(formatSignedCurrency(entry.amount, document.currency))}</td>
+    </tr>`).join('')}
+  </tbody></table>`);
+  const when = `${moment(booking.startTime).format('MMM D, YYYY h:mm A')} - ${moment(booking.endTime).format('h:mm A')}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(`${typeLabel} ${document.number}`)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 720px; margin: 40px auto; padding: 0 24px; font-size: 14px; }
+    header, .parties { display: flex; justify-content: space-between; }
+    header { border-bottom: 2px solid #111827; padding-bottom: 16px; }
+    h1 { margin: 0; font-size: 28px; }
+    h2 { font-size: 14px; text-transform: uppercase; color: #6b7280; margin: 24px 0 8px; }
+    .muted { color: #6b7280; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 6px 0; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.amount { text-align: right; white-space: nowrap; }
+    .totals td { border: none; }
+    .totals .strong td { font-weight: bold; border-top: 1px solid #111827; }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <strong>${escapeHtml(business.name || '')}</strong>
+      <div class="muted">${lines([business.address, business.phone, business.email, business.website, business.tax_id && `Tax ID ${business.tax_id}`])}</div>
+    </div>
+    <div style="text-align: right">
+      <h1>${escapeHtml(typeLabel)}</h1>
+      <div>${escapeHtml(document.number)}</div>
+      <div class="muted">Issued ${escapeHtml(moment(document.createdAt).format('MMM D, YYYY'))}</div>
+      <div class="muted">${escapeHtml(PAYMENT_STATUS_LABELS[document.paymentStatus] || '')}</div>
+    </div>
+  </header>
+  <div class="parties">
+    <div><h2>Billed to</h2>${lines([customer.name, customer.email, customer.phone])}</div>
+    <div style="text-align: right"><h2>Booking</h2>${lines([booking.confirmationCode, booking.roomName, when])}</div>
+  </div>
+  ${table('Items', document.items, false)}
+  ${table('Other charges', document.charges, true)}
+  ${table('Payments', document.payments, true)}
+  <table class="totals" style="margin-top: 16px"><tbody>${getTotals(document).map(row => `
+    <tr${row.bold ? ' class="strong"' : ''}><td>${escapeHtml(row.label)}</td><td class="amount">${escapeHtml(formatSignedCurrency(row.amount, document.currency))}</td></tr>`).join('')}
+  </tbody></table>
+</body>
+</html>
+`;
+};
+
+// Save `blob` through the browser as `filename`
+export const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,117 @@
+import { roundCurrency } from './pricing.js';
+import { RELEASED_STATUSES } from './bookingLifecycle.js';
+
+// Payment ledger summaries for the mock API. The server keeps the ledger for real
+// bookings.
+
+export const PAYMENT_ENTRY_TYPES = [
+  { value: 'payment', label: 'Payment' },
+  { value: 'refund', label: 'Refund' },
+  { value: 'charge', label: 'Charge' },
+  { value: 'adjustment', label: 'Adjustment' }
+];
+
+export const DEPOSIT_TYPES = [
+  { value: 'percent', label: 'Percent of price' },
+  { value: 'fixed', label: 'Fixed amount' }
+];
+
+export const PAYMENT_STATUS_LABELS = {
+  no_charge: 'No charge',
+  unpaid: 'Unpaid',
+  deposit_due: 'Deposit due',
+  deposit_paid: 'Deposit paid',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  refund_due: 'Refund due'
+};
+
+export const PAYMENT_STATUS_COLORS = {
+  no_charge: 'bg-gray-100 text-gray-700',
+  unpaid: 'bg-red-100 text-red-800',
+  deposit_due: 'bg-orange-100 text-orange-800',
+  deposit_paid: 'bg-blue-100 text-blue-800',
+  partially_paid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  refund_due: 'bg-purple-100 text-purple-800'
+};
+
+// Test card numbers the fake card provider declines, with the reason it gives
+export const FAKE_DECLINED_CARDS = {
+  '4000000000000002': 'Card declined',
+  '4000000000009995': 'Insufficient funds'
+};
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+};
+
+// Why the fake card provider would decline `cardNumber`, or null if it takes it
+export const getFakeCardFailure = (cardNumber) => {
+  const number = String(cardNumber || '').replace(/\D/g, '');
+  if (number.length < 12 || !passesLuhn(number)) return 'Invalid card number';
+  return FAKE_DECLINED_CARDS[number] || null;
+};
+
+// Deposit owed up front on a booking priced `total` under a category's deposit rule
+export const getDepositAmount = (total, rule) => {
+  if (!rule || !(rule.amount > 0) || total <= 0) return 0;
+  const amount = rule.type === 'percent' ? total * rule.amount / 100 : rule.amount;
+  return roundCurrency(Math.min(total, amount));
+};
+
+// Totals of a booking's ledger ({ entryType, amount, status } entries) and where its payment stands
+export const summarizeLedger = (booking, entries, depositRule = null) => {
+  const succeeded = entries.filter(entry => entry.status === 'succeeded');
+  const sum = (type) => roundCurrency(succeeded
+    .filter(entry => entry.entryType === type)
+    .reduce((total, entry) => total + entry.amount, 0));
+
+  const bookingTotal = RELEASED_STATUSES.includes(booking.status) ? 0 : booking.totalPrice || 0;
+  const charges = sum('charge');
+  const adjustments = sum('adjustment');
+  const paid = sum('payment');
+  const refunded = sum('refund');
+
+  const totalDue = roundCurrency(bookingTotal + charges + adjustments);
+  const netPaid = roundCurrency(paid - refunded);
+  const balanceDue = roundCurrency(totalDue - netPaid);
+  const depositRequired = getDepositAmount(bookingTotal, depositRule);
+  const depositOutstanding = roundCurrency(Math.max(0, depositRequired - netPaid));
+
+  let status = 'unpaid';
+  if (balanceDue < 0) status = 'refund_due';
+  else if (totalDue <= 0 && netPaid === 0) status = 'no_charge';
+  else if (balanceDue === 0) status = 'paid';
+  else if (depositOutstanding > 0) status = 'deposit_due';
+  else if (depositRequired > 0) status = 'deposit_paid';
+  else if (netPaid > 0) status = 'partially_paid';
+
+  return {
+    bookingTotal,
+    charges,
+    adjustments,
+    paid,
+    refunded,
+    totalDue,
+    netPaid,
+    balanceDue,
+    depositRequired,
+    depositOutstanding,
+    status
+  };
+};
+
+// How much of a succeeded payment has not been refunded yet
+export const getRefundableAmount = (payment, entries) => roundCurrency(payment.amount - entries
+  .filter(entry => entry.entryType === 'refund' && entry.status === 'succeeded' && entry.refundedPaymentId === payment.id)
+  .reduce((total, entry) => total + entry.amount, 0));
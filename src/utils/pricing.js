@@ -0,0 +1,198 @@
+import moment from 'moment';
+
+// Rule-based pricing for mock bookings and the schedule's drag previews. Real
+// bookings are priced by the server.
+
+export const PRICING_RULE_TYPES = [
+  { value: 'rate', label: 'Rate' },
+  { value: 'surcharge', label: 'Surcharge' },
+  { value: 'fee', label: 'Fee' },
+  { value: 'discount', label: 'Discount' }
+];
+
+export const PRICING_AMOUNT_TYPES = [
+  { value: 'per_hour', label: 'Per hour' },
+  { value: 'percent', label: 'Percent' },
+  { value: 'flat', label: 'Flat' }
+];
+
+export const RULE_AMOUNT_TYPES = {
+  rate: ['per_hour', 'percent'],
+  surcharge: ['per_hour', 'percent', 'flat'],
+  fee: ['per_hour', 'percent', 'flat'],
+  discount: ['per_hour', 'percent', 'flat']
+};
+
+export const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+export const formatCurrency = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+// Highest priority first, as the server returns them
+export const sortPricingRules = (rules) => (
+  [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.id - b.id)
+);
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The day a rule's conditions are checked against: the previous one for the
+// after-midnight part of an overnight band
+const getRuleDay = (rule, minute) => {
+  if (!rule.startTime || !rule.endTime) return minute;
+
+  const start = minutesOfDay(rule.startTime);
+  const end = minutesOfDay(rule.endTime);
+  const now = minute.hours() * 60 + minute.minutes();
+  if (start < end) {
+    return now >= start && now < end ? minute : null;
+  }
+  if (now >= start) return minute;
+  if (now < end) return minute.clone().subtract(1, 'day');
+  return null;
+};
+
+export const ruleMatches = (rule, minute, room) => {
+  if (!rule.active) return false;
+  if (rule.roomId && rule.roomId !== room.id) return false;
+  if (rule.category && rule.category !== room.category) return false;
+
+  const day = getRuleDay(rule, minute);
+  if (!day) return false;
+  if (rule.daysOfWeek?.length > 0 && !rule.daysOfWeek.includes(day.day())) return false;
+
+  const date = day.format('YYYY-MM-DD');
+  if (rule.startDate && date < rule.startDate) return false;
+  if (rule.endDate && date > rule.endDate) return false;
+  return true;
+};
+
+const ruleAmount = (rule, minutes, matchedBase) => {
+  if (rule.amountType === 'flat') return rule.amount;
+  if (rule.amountType === 'percent') return matchedBase * rule.amount / 100;
+  return rule.amount * minutes / 60;
+};
+
+export const computePriceTotals = (prices) => {
+  const subtotal = roundCurrency(Math.max(0,
+    (prices.basePrice || 0) + (prices.surcharges || 0) + (prices.ruleFees || 0) + (prices.additionalFees || 0) -
+    (prices.ruleDiscounts || 0) - (prices.discount || 0) - (prices.promoDiscount || 0)
+  ));
+  const tax = roundCurrency(subtotal * (prices.taxRate || 0) / 100);
+  return { subtotal, tax, totalPrice: roundCurrency(subtotal + tax) };
+};
+
+// Percentages are of the subtotal before any promo; together the codes never take off more than it
+const getPromoLines = (promos, subtotal) => {
+  let remaining = subtotal;
+  return promos.map(promo => {
+    const value = promo.discountType === 'percent' ? subtotal * promo.amount / 100 : promo.amount;
+    const amount = roundCurrency(Math.min(remaining, value));
+    remaining = roundCurrency(remaining - amount);
+    return {
+      type: 'promo',
+      label: promo.discountType === 'percent' ? `Promo ${promo.code} (${promo.amount}%)` : `Promo ${promo.code}`,
+      ruleId: null,
+      code: promo.code,
+      discountType: promo.discountType,
+      promoAmount: promo.amount,
+      amount
+    };
+  });
+};
+
+// Itemised price of booking `room` ({ id, category, hourlyRate }) from startTime to endTime.
+// adjustments.promos are redeemed codes: { code, discountType, amount }
+export const buildQuote = ({ room, startTime, endTime, rules = [], taxRate = 0, adjustments = {} }) => {
+  const start = moment(startTime);
+  const totalMinutes = Math.max(0, Math.round(moment(endTime).diff(start, 'minutes', true)));
+  const roomRate = room?.hourlyRate || 0;
+  const ordered = sortPricingRules(rules);
+
+  const rateRules = ordered.filter(rule => rule.type === 'rate');
+  const extraRules = ordered.filter(rule => rule.type !== 'rate');
+  const baseLines = [];
+  const extras = new Map(extraRules.map(rule => [rule.id, { minutes: 0, base: 0 }]));
+
+  for (let i = 0; i < totalMinutes; i++) {
+    const minute = start.clone().add(i, 'minutes');
+    const rateRule = rateRules.find(rule => ruleMatches(rule, minute, room));
+    let hourlyRate = roomRate;
+    if (rateRule) {
+      hourlyRate = rateRule.amountType === 'percent' ? roomRate * rateRule.amount / 100 : rateRule.amount;
+    }
+
+    const last = baseLines[baseLines.length - 1];
+    if (last && last.ruleId === (rateRule?.id ?? null) && last.hourlyRate === roundCurrency(hourlyRate)) {
+      last.minutes += 1;
+    } else {
+      baseLines.push({
+        type: 'base',
+        label: rateRule ? rateRule.name : 'Standard rate',
+        ruleId: rateRule?.id ?? null,
+        startTime: minute.toISOString(),
+        minutes: 1,
+        hourlyRate: roundCurrency(hourlyRate)
+      });
+    }
+
+    extraRules.forEach(rule => {
+      if (ruleMatches(rule, minute, room)) {
+        const extra = extras.get(rule.id);
+        extra.minutes += 1;
+        extra.base += hourlyRate / 60;
+      }
+    });
+  }
+
+  baseLines.forEach(line => {
+    line.amount = roundCurrency(line.hourlyRate * line.minutes / 60);
+  });
+  const ratedBase = roundCurrency(baseLines.reduce((sum, line) => sum + line.amount, 0));
+
+  const lines = [];
+  const basePrice = adjustments.basePrice ?? null;
+  if (basePrice !== null) {
+    lines.push({ type: 'base', label: 'Base price (set manually)', ruleId: null, minutes: totalMinutes, amount: roundCurrency(basePrice) });
+  } else {
+    lines.push(...baseLines);
+  }
+
+  extraRules.forEach(rule => {
+    const { minutes, base } = extras.get(rule.id);
+    if (minutes === 0) return;
+    const amount = roundCurrency(ruleAmount(rule, minutes, base));
+    if (amount === 0) return;
+    lines.push({ type: rule.type, label: rule.name, ruleId: rule.id, minutes, amount });
+  });
+
+  if (adjustments.additionalFees > 0) {
+    lines.push({ type: 'fee', label: 'Additional fees', ruleId: null, amount: roundCurrency(adjustments.additionalFees) });
+  }
+  if (adjustments.discount > 0) {
+    lines.push({ type: 'discount', label: 'Discount', ruleId: null, amount: roundCurrency(adjustments.discount) });
+  }
+
+  const sum = (predicate) => roundCurrency(lines.filter(predicate).reduce((total, line) => total + line.amount, 0));
+  const quote = {
+    minutes: totalMinutes,
+    lines,
+    basePrice: basePrice !== null ? roundCurrency(basePrice) : ratedBase,
+    surcharges: sum(line => line.type === 'surcharge'),
+    ruleFees: sum(line => line.type === 'fee' && line.ruleId !== null),
+    ruleDiscounts: sum(line => line.type === 'discount' && line.ruleId !== null),
+    additionalFees: roundCurrency(adjustments.additionalFees || 0),
+    discount: roundCurrency(adjustments.discount || 0),
+    taxRate
+  };
+
+  lines.push(...getPromoLines(adjustments.promos || [], computePriceTotals(quote).subtotal));
+  quote.promoDiscount = sum(line => line.type === 'promo');
+  return { ...quote, ...computePriceTotals(quote) };
+};
+
+// The promos redeemed on a priced booking, from its promo price lines, as buildQuote takes them
+export const getRedeemedPromos = (priceLines) => (priceLines || [])
+  .filter(line => line.type === 'promo')
+  .map(line => ({ code: line.code, discountType: line.discountType, amount: line.promoAmount }));
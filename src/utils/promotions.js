@@ -0,0 +1,81 @@
+import moment from 'moment';
+
+// Promotion code checks for the mock API. The server checks codes on real bookings.
+
+export const PROMO_DISCOUNT_TYPES = [
+  { value: 'percent', label: 'Percent off' },
+  { value: 'fixed', label: 'Fixed amount off' }
+];
+
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+// "summer10, five" -> ['SUMMER10', 'FIVE']
+export const parsePromoCodes = (text) => (
+  [...new Set(String(text || '').split(',').map(normalizePromoCode).filter(Boolean))]
+);
+
+export const normalizeCustomerEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+export const normalizeCustomerPhone = (phone) => String(phone || '').replace(/\D/g, '') || null;
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Sessions starting before this time count towards the night before, as with the
+// server's default business_day_start
+const BUSINESS_DAY_START = '06:00';
+
+// Why `promo` cannot be used on a booking of roomId from startTime to endTime, or null.
+// Dates and days are those of the business date the booking starts on.
+export const getPromoEligibilityError = (promo, { roomId, startTime, endTime }) => {
+  const start = moment(startTime);
+  const end = moment(endTime);
+  const day = start.clone().startOf('day');
+  if (start.format('HH:mm') < BUSINESS_DAY_START) day.subtract(1, 'day');
+  const date = day.format('YYYY-MM-DD');
+
+  if (!promo.active) return `Promo code ${promo.code} is not active`;
+  if (promo.validFrom && date < promo.validFrom) return `Promo code ${promo.code} is not valid until ${promo.validFrom}`;
+  if (promo.validUntil && date > promo.validUntil) return `Promo code ${promo.code} expired on ${promo.validUntil}`;
+  if (promo.roomIds?.length > 0 && !promo.roomIds.includes(Number(roomId))) {
+    return `Promo code ${promo.code} is not valid for this room`;
+  }
+  if (promo.daysOfWeek?.length > 0 && !promo.daysOfWeek.includes(day.day())) {
+    return `Promo code ${promo.code} is not valid on ${day.format('dddd')}s`;
+  }
+  if (promo.startTime && promo.endTime) {
+    const bandStart = minutesOfDay(promo.startTime);
+    let bandEnd = minutesOfDay(promo.endTime);
+    let startMinute = start.hours() * 60 + start.minutes();
+    let endMinute = end.diff(start.clone().startOf('day'), 'minutes');
+    // A band ending before it starts runs past midnight
+    if (bandEnd <= bandStart) {
+      bandEnd += 24 * 60;
+      if (startMinute < bandEnd - 24 * 60) {
+        startMinute += 24 * 60;
+        endMinute += 24 * 60;
+      }
+    }
+    if (startMinute < bandStart || endMinute > bandEnd) {
+      return `Promo code ${promo.code} is only valid for bookings between ${promo.startTime} and ${promo.endTime}`;
+    }
+  }
+  if (promo.minDurationMinutes && end.diff(start, 'minutes') < promo.minDurationMinutes) {
+    return `Promo code ${promo.code} needs a booking of at least ${promo.minDurationMinutes} minutes`;
+  }
+  return null;
+};
+
+// One-line summary of a code's value and conditions for lists
+export const describePromoCode = (promo) => {
+  const parts = [promo.discountType === 'percent' ? `${promo.amount}% off` : `$${Number(promo.amount).toFixed(2)} off`];
+  if (promo.validFrom || promo.validUntil) parts.push(`${promo.validFrom || '…'} to ${promo.validUntil || '…'}`);
+  if (promo.startTime) parts.push(`${promo.startTime}–${promo.endTime}`);
+  if (promo.minDurationMinutes) parts.push(`min ${promo.minDurationMinutes} min`);
+  if (promo.maxUses) parts.push(`${promo.maxUses} uses`);
+  if (promo.maxUsesPerCustomer) parts.push(`${promo.maxUsesPerCustomer} per customer`);
+  parts.push(promo.stackable ? 'stackable' : 'not stackable');
+  return parts.join(' · ');
+};
@@ -0,0 +1,171 @@
+import moment from 'moment';
+
+// RRULE-style recurrence for booking series (mirrors backend/utils/recurrence.js).
+// Supported rules (a subset of RFC 5545):
+//   FREQ=WEEKLY;INTERVAL=1|2            every week / every other week
+//   FREQ=MONTHLY;BYDAY=2FR | -1FR      nth (or last) weekday of the month
+// terminated by either UNTIL=YYYYMMDD (inclusive) or COUNT=n.
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+export const MAX_OCCURRENCES = 104;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const UNTIL_FORMAT = 'YYYYMMDD';
+
+// Ordinal of the start date's weekday within its month; the 5th weekday is treated as "last"
+function weekdayOrdinal(date) {
+  const ordinal = Math.ceil(date.date() / 7);
+  return ordinal === 5 ? -1 : ordinal;
+}
+
+export function buildRRule({ frequency, until, count }, startTime) {
+  const start = moment(startTime);
+  const parts = [];
+
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    parts.push('FREQ=WEEKLY', `INTERVAL=${frequency === 'biweekly' ? 2 : 1}`);
+  } else if (frequency === 'monthly') {
+    parts.push('FREQ=MONTHLY', `BYDAY=${weekdayOrdinal(start)}${WEEKDAY_CODES[start.day()]}`);
+  } else {
+    throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+
+  if (count) {
+    parts.push(`COUNT=${Math.min(parseInt(count, 10), MAX_OCCURRENCES)}`);
+  } else if (until) {
+    parts.push(`UNTIL=${moment(until).format(UNTIL_FORMAT)}`);
+  } else {
+    throw new Error('Recurrence needs either an end date or an occurrence count');
+  }
+
+  return parts.join(';');
+}
+
+export function parseRRule(rrule) {
+  const rule = { freq: null, interval: 1, byDay: null, until: null, count: null };
+
+  rrule.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10) || 1;
+        break;
+      case 'BYDAY': {
+        const match = value.match(/^(-?\d)([A-Z]{2})$/);
+        if (match) {
+          rule.byDay = { ordinal: parseInt(match[1], 10), weekday: WEEKDAY_CODES.indexOf(match[2]) };
+        }
+        break;
+      }
+      case 'UNTIL':
+        rule.until = moment(value, UNTIL_FORMAT).endOf('day');
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return rule;
+}
+
+function nthWeekdayOfMonth(month, { ordinal, weekday }) {
+  if (ordinal === -1) {
+    const last = month.clone().endOf('month').startOf('day');
+    return last.subtract((last.day() - weekday + 7) % 7, 'days');
+  }
+
+  const first = month.clone().startOf('month');
+  const date = first.add((weekday - first.day() + 7) % 7, 'days').add(ordinal - 1, 'weeks');
+  return date.month() === month.month() ? date : null;
+}
+
+// Expand a rule into concrete occurrences, keeping the wall-clock time and duration of the first one
+export function expandSeries(rrule, startTime, endTime) {
+  const rule = parseRRule(rrule);
+  const first = moment(startTime);
+  const durationMinutes = moment(endTime).diff(first, 'minutes');
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const occurrences = [];
+
+  const push = (start) => {
+    occurrences.push({
+      index: occurrences.length,
+      start_time: start.toISOString(),
+      end_time: start.clone().add(durationMinutes, 'minutes').toISOString()
+    });
+  };
+
+  if (rule.freq === 'WEEKLY') {
+    for (let step = 0; occurrences.length < limit; step++) {
+      const start = first.clone().add(step * rule.interval, 'weeks');
+      if (rule.until && start.isAfter(rule.until)) break;
+      push(start);
+    }
+  } else if (rule.freq === 'MONTHLY' && rule.byDay) {
+    // Months without a matching weekday (e.g. no 5th Friday) are skipped, so cap the scan
+    for (let step = 0; occurrences.length < limit && step < MAX_OCCURRENCES * 2; step++) {
+      const month = first.clone().startOf('month').add(step * rule.interval, 'months');
+      const day = nthWeekdayOfMonth(month, rule.byDay);
+      if (!day) continue;
+
+      const start = day.hour(first.hour()).minute(first.minute()).second(0).millisecond(0);
+      if (start.isBefore(first)) continue;
+      if (rule.until && start.isAfter(rule.until)) break;
+      push(start);
+    }
+  }
+
+  return occurrences;
+}
+
+// Rule for the part of a series that ends just before `beforeTime` (used when splitting a series)
+export function truncateRRule(rrule, beforeTime) {
+  const until = moment(beforeTime).subtract(1, 'day').format(UNTIL_FORMAT);
+  return rrule
+    .split(';')
+    .filter(part => !part.startsWith('COUNT=') && !part.startsWith('UNTIL='))
+    .concat(`UNTIL=${until}`)
+    .join(';');
+}
+
+// Rule for the remainder of a series starting at occurrence `fromIndex`
+export function remainingRRule(rrule, fromIndex) {
+  return rrule
+    .split(';')
+    .map(part => {
+      if (!part.startsWith('COUNT=')) return part;
+      const count = parseInt(part.slice('COUNT='.length), 10);
+      return `COUNT=${Math.max(1, count - fromIndex)}`;
+    })
+    .join(';');
+}
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Human readable summary of a rule, e.g. "Every other week, 6 times"
+export function describeRRule(rrule) {
+  if (!rrule) return '';
+  const rule = parseRRule(rrule);
+  let text = '';
+
+  if (rule.freq === 'WEEKLY') {
+    text = rule.interval === 2 ? 'Every other week' : 'Every week';
+  } else if (rule.freq === 'MONTHLY' && rule.byDay) {
+    const weekday = moment().day(rule.byDay.weekday).format('dddd');
+    text = `Monthly on the ${ORDINAL_LABELS[rule.byDay.ordinal]} ${weekday}`;
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (rule.until) {
+    text += `, until ${rule.until.format('MMM D, YYYY')}`;
+  }
+
+  return text;
+}
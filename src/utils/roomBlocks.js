@@ -0,0 +1,28 @@
+import moment from 'moment';
+import { expandSeries } from './recurrence.js';
+
+// Room blocks, mirroring backend/utils/roomBlocks.js: a room out of service for
+// maintenance or repairs. A recurring block repeats its first occurrence by rrule.
+
+// Occurrences of `block` as { blockId, roomId, reason, index, startTime, endTime }
+export const expandBlock = (block) => {
+  const occurrences = block.rrule
+    ? expandSeries(block.rrule, block.startTime, block.endTime)
+    : [{ index: 0, start_time: block.startTime, end_time: block.endTime }];
+  return occurrences.map(occurrence => ({
+    blockId: block.id,
+    roomId: block.roomId,
+    reason: block.reason,
+    index: occurrence.index,
+    startTime: occurrence.start_time,
+    endTime: occurrence.end_time
+  }));
+};
+
+// Occurrences of `blocks` in any of `roomIds` (all rooms when null) that overlap
+// [startTime, endTime), earliest first
+export const findBlockOccurrences = (blocks, roomIds, startTime, endTime) => blocks
+  .filter(block => !roomIds || roomIds.includes(block.roomId))
+  .flatMap(expandBlock)
+  .filter(occurrence => moment(occurrence.startTime).isBefore(endTime) && moment(occurrence.endTime).isAfter(startTime))
+  .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
@@ -0,0 +1,30 @@
+// Combined rooms (room groups), mirroring backend/utils/roomGroups.js: rooms opened up
+// together for a large party. A combined booking keeps roomId on the group's first room,
+// sets roomGroupId and lists every room it holds in roomIds.
+
+const toRoomId = (roomId) => parseInt(
+  typeof roomId === 'object' && roomId !== null ? roomId._id || roomId.id : roomId
+);
+
+// Rooms `booking` occupies: every room of a combined booking, otherwise its own
+export const getBookingRoomIds = (booking) => (
+  booking.roomGroupId && booking.roomIds?.length > 0
+    ? booking.roomIds.map(Number)
+    : [toRoomId(booking.roomId ?? booking.room)]
+);
+
+export const isCombinedBooking = (booking) => Boolean(booking?.roomGroupId);
+
+// Whether a combined booking can be made on `group` now
+export const isGroupBookable = (group) => group.isActive !== false && group.membersActive !== false && group.roomIds.length >= 2;
+
+// The hourly rate a combined booking is charged: the group's own rate, or its rooms' rates added up
+export const getGroupRate = (group) => {
+  if (group.pricePerHour !== null && group.pricePerHour !== undefined && group.pricePerHour !== '') {
+    return Number(group.pricePerHour) || 0;
+  }
+  return (group.rooms || []).reduce((sum, room) => sum + (Number(room.hourlyRate) || 0), 0);
+};
+
+// The room a combined booking is priced as; only venue-wide pricing rules apply on top
+export const getGroupPricingRoom = (group) => ({ id: null, name: group.name, category: null, hourlyRate: getGroupRate(group) });
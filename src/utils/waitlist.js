@@ -0,0 +1,9 @@
+// Slots freed by a cancel/move come back with ranked waitlist matches. Mutations
+// announce them on window so the schedule can offer them no matter where the change was made.
+export const WAITLIST_OFFERS_EVENT = 'waitlist-offers';
+
+export const announceWaitlistOffers = (slots) => {
+  if (Array.isArray(slots) && slots.length > 0) {
+    window.dispatchEvent(new CustomEvent(WAITLIST_OFFERS_EVENT, { detail: slots }));
+  }
+};